@@ -16,12 +16,16 @@ import {
 	type EditorReadyEvent
 } from 'ckeditor5/src/core.js';
 
-import { DomEmitterMixin, type DomEmitter } from 'ckeditor5/src/utils.js';
+import { DomEmitterMixin, logWarning, type DomEmitter } from 'ckeditor5/src/utils.js';
 
 import type { DocumentChangeEvent } from 'ckeditor5/src/engine.js';
 
 import { debounce, type DebouncedFunc } from 'lodash-es';
 
+import LocalStorageDraftStorage from './localstoragedraftstorage.js';
+import IndexedDBDraftStorage from './indexeddbdraftstorage.js';
+import type { AutosaveDraft, AutosaveDraftStorage } from './autosavedraftstorage.js';
+
 /* globals window */
 
 /**
@@ -50,6 +54,9 @@ import { debounce, type DebouncedFunc } from 'lodash-es';
  * 	} );
  * ```
  *
+ * When the {@link module:autosave/autosave~AutosaveConfig#draft local drafts} are enabled, the plugin also keeps a snapshot of
+ * the editor data in a local storage until it is successfully saved, and allows restoring it the next time the editor is created.
+ *
  * Read more about this feature in the {@glink features/autosave Autosave} feature guide.
  */
 export default class Autosave extends Plugin {
@@ -70,7 +77,12 @@ export default class Autosave extends Plugin {
 	 * * waiting &ndash; When the plugin is waiting for other changes before calling `adapter#save()` and `config.autosave.save()`.
 	 * * saving &ndash; When the provided save method is called and the plugin waits for the response.
 	 * * error &ndash When the provided save method will throw an error. This state immediately changes to the `saving` state and
-	 * the save method will be called again in the short period of time.
+	 * the save method will be called again after a delay that grows with each consecutive failure
+	 * (see {@link module:autosave/autosave~AutosaveConfig#maxRetryDelay `config.autosave.maxRetryDelay`}). If the
+	 * {@link module:autosave/autosave~AutosaveConfig#maxRetries maximum number of retries} is reached, the plugin stays in this
+	 * state until the next change or {@link #save} call.
+	 *
+	 * Each failure is also reported by the {@link #event:saveFailed} event.
 	 *
 	 * @observable
 	 * @readonly
@@ -124,6 +136,36 @@ export default class Autosave extends Plugin {
 	 */
 	private _action: PendingAction | null = null;
 
+	/**
+	 * The minimum amount of time that needs to pass after the last action to call the save callbacks.
+	 */
+	private _waitingTime: number;
+
+	/**
+	 * The number of consecutive failed save attempts.
+	 */
+	private _failedAttempts: number = 0;
+
+	/**
+	 * The ID of the timeout that retries the failed save.
+	 */
+	private _retryTimeoutId: ReturnType<typeof setTimeout> | null = null;
+
+	/**
+	 * The storage of local drafts or `null` if the drafts are disabled.
+	 */
+	private _draftStorage: AutosaveDraftStorage | null;
+
+	/**
+	 * The key under which the local draft is stored.
+	 */
+	private _draftKey: string;
+
+	/**
+	 * A queue of the draft storage operations. Ensures that the operations are executed in the order they were requested.
+	 */
+	private _draftQueue: Promise<unknown> = Promise.resolve();
+
 	/**
 	 * @inheritDoc
 	 */
@@ -152,6 +194,7 @@ export default class Autosave extends Plugin {
 
 		this.set( 'state', 'synchronized' );
 
+		this._waitingTime = waitingTime;
 		this._debouncedSave = debounce( this._save.bind( this ), waitingTime );
 		this._lastDocumentVersion = editor.model.document.version;
 		this._savePromise = null;
@@ -159,6 +202,8 @@ export default class Autosave extends Plugin {
 		this._config = config;
 		this._pendingActions = editor.plugins.get( PendingActions );
 		this._makeImmediateSave = false;
+		this._draftStorage = createDraftStorage( config.draft );
+		this._draftKey = config.draft && config.draft.key || 'ckeditor5-autosave-draft';
 	}
 
 	/**
@@ -179,7 +224,7 @@ export default class Autosave extends Plugin {
 					return;
 				}
 
-				if ( this.state === 'synchronized' ) {
+				if ( this.state === 'synchronized' || this.state === 'error' ) {
 					this.state = 'waiting';
 					// Set pending action already when we are waiting for the autosave callback.
 					this._setPendingAction();
@@ -193,6 +238,20 @@ export default class Autosave extends Plugin {
 				// If the `document.version` will be higher than stored `#_lastDocumentVersion`, then it means, that some `change:data`
 				// event has fired in the meantime.
 			} );
+
+			if ( this._draftStorage ) {
+				this._checkDraft().catch( error => {
+					/**
+					 * An error occurred while checking or restoring the local draft of the autosave feature,
+					 * for example, the custom {@link module:autosave/autosave~AutosaveDraftConfig#confirmRestore `confirmRestore()`}
+					 * callback was rejected.
+					 *
+					 * @error autosave-draft-restore-error
+					 * @param error The original error.
+					 */
+					logWarning( 'autosave-draft-restore-error', { error } );
+				} );
+			}
 		} );
 
 		// Flush on the editor's destroy listener with the highest priority to ensure that
@@ -203,6 +262,10 @@ export default class Autosave extends Plugin {
 		// to warn before full page reload and this event cannot be dispatched manually.
 		/* istanbul ignore next -- @preserve */
 		this._domEmitter.listenTo( window, 'beforeunload', ( evtInfo, domEvt ) => {
+			if ( this.state !== 'synchronized' ) {
+				this._saveDraft();
+			}
+
 			if ( this._pendingActions.hasAny ) {
 				domEvt.returnValue = this._pendingActions.first!.message;
 			}
@@ -216,6 +279,7 @@ export default class Autosave extends Plugin {
 		// There's no need for canceling or flushing the throttled save, as
 		// it's done on the editor's destroy event with the highest priority.
 
+		this._cancelRetry();
 		this._domEmitter.stopListening();
 		super.destroy();
 	}
@@ -232,6 +296,56 @@ export default class Autosave extends Plugin {
 		return this._save();
 	}
 
+	/**
+	 * Returns the local draft of the editor data or `null` if there is no draft (or the drafts are disabled).
+	 */
+	public async getDraft(): Promise<AutosaveDraft | null> {
+		if ( !this._draftStorage ) {
+			return null;
+		}
+
+		const storage = this._draftStorage;
+
+		return this._enqueueDraftOperation( () => storage.get( this._draftKey ) ) as Promise<AutosaveDraft | null>;
+	}
+
+	/**
+	 * Replaces the editor data with the data of the given local draft. The change can be undone and is saved just like
+	 * any other change made by the user.
+	 *
+	 * Only the roots that exist in the editor are restored.
+	 *
+	 * @fires draftRestored
+	 */
+	public restoreDraft( draft: AutosaveDraft ): void {
+		const editor = this.editor;
+		const rootNames = editor.model.document.getRootNames();
+		const data: Record<string, string> = {};
+
+		for ( const [ rootName, rootData ] of Object.entries( draft.data ) ) {
+			if ( rootNames.includes( rootName ) ) {
+				data[ rootName ] = rootData;
+			}
+		}
+
+		editor.data.set( data, { batchType: { isUndoable: true } } );
+
+		this.fire<AutosaveDraftRestoredEvent>( 'draftRestored', draft );
+	}
+
+	/**
+	 * Removes the local draft of the editor data.
+	 */
+	public discardDraft(): Promise<void> {
+		if ( !this._draftStorage ) {
+			return Promise.resolve();
+		}
+
+		const storage = this._draftStorage;
+
+		return this._enqueueDraftOperation( () => storage.remove( this._draftKey ) ) as Promise<void>;
+	}
+
 	/**
 	 * Invokes the remaining `_save()` method call.
 	 */
@@ -255,16 +369,21 @@ export default class Autosave extends Plugin {
 
 		// Make sure there is a pending action (in case if `_save()` was called through manual `save()` call).
 		this._setPendingAction();
+		this._cancelRetry();
 
 		this.state = 'saving';
 		this._lastDocumentVersion = this.editor.model.document.version;
 
 		// Wait one promise cycle to be sure that save callbacks are not called inside a conversion or when the editor's state changes.
 		this._savePromise = Promise.resolve()
-			// Make autosave callback.
-			.then( () => Promise.all(
-				this._saveCallbacks.map( cb => cb( this.editor ) )
-			) )
+			// Make autosave callback. Keep the local draft in case the callback fails or the page gets closed in the meantime.
+			.then( () => {
+				this._saveDraft();
+
+				return Promise.all(
+					this._saveCallbacks.map( cb => cb( this.editor ) )
+				);
+			} )
 			// When the autosave callback is finished, always clear `this._savePromise`, no matter if it was successful or not.
 			.finally( () => {
 				this._savePromise = null;
@@ -276,6 +395,8 @@ export default class Autosave extends Plugin {
 			// 2. Otherwise, if changes happened to the model, make a delayed autosave callback (like the change just happened).
 			// 3. If no changes happened to the model, return to the `synchronized` state.
 			.then( () => {
+				this._failedAttempts = 0;
+
 				if ( this._makeImmediateSave ) {
 					this._makeImmediateSave = false;
 
@@ -295,18 +416,36 @@ export default class Autosave extends Plugin {
 						this.state = 'synchronized';
 						this._pendingActions.remove( this._action! );
 						this._action = null;
+
+						// The data is safe now, so the local draft is no longer needed.
+						this.discardDraft();
 					}
 				}
 			} )
 			// In case of an error, retry the autosave callback after a delay (and also throw the original error).
 			.catch( err => {
+				const maxRetries = typeof this._config.maxRetries == 'number' ? this._config.maxRetries : Infinity;
+				const attempt = ++this._failedAttempts;
+				const retryDelay = attempt <= maxRetries ? this._getRetryDelay( attempt ) : null;
+
 				// Change state to `error` so that listeners handling autosave error can be called.
 				this.state = 'error';
-				// Then, immediately change to the `saving` state as described above.
-				// Being in the `saving` state ensures that the autosave callback won't be delayed further by the `change:data` listener.
-				this.state = 'saving';
 
-				this._debouncedSave();
+				this.fire<AutosaveSaveFailedEvent>( 'saveFailed', { error: err, attempt, retryDelay } );
+
+				if ( retryDelay !== null ) {
+					// Then, immediately change to the `saving` state as described above.
+					// Being in the `saving` state ensures that the autosave callback won't be delayed further
+					// by the `change:data` listener.
+					this.state = 'saving';
+
+					this._retryTimeoutId = setTimeout( () => {
+						this._retryTimeoutId = null;
+
+						// The failure of the retried save is handled here as well, so it is already reported by the #saveFailed event.
+						this._save().catch( () => {} );
+					}, retryDelay );
+				}
 
 				throw err;
 			} );
@@ -314,6 +453,121 @@ export default class Autosave extends Plugin {
 		return this._savePromise;
 	}
 
+	/**
+	 * Returns the delay before the next save attempt. The delay starts at `config.autosave.waitingTime` and is doubled
+	 * with each consecutive failure, up to `config.autosave.maxRetryDelay`.
+	 */
+	private _getRetryDelay( attempt: number ): number {
+		const maxRetryDelay = this._config.maxRetryDelay || 30000;
+
+		return Math.min( this._waitingTime * 2 ** ( attempt - 1 ), maxRetryDelay );
+	}
+
+	/**
+	 * Cancels the scheduled retry of the failed save, if any.
+	 */
+	private _cancelRetry(): void {
+		if ( this._retryTimeoutId !== null ) {
+			clearTimeout( this._retryTimeoutId );
+			this._retryTimeoutId = null;
+		}
+	}
+
+	/**
+	 * Stores a snapshot of the current editor data in the draft storage (if the drafts are enabled).
+	 */
+	private _saveDraft(): void {
+		if ( !this._draftStorage ) {
+			return;
+		}
+
+		const storage = this._draftStorage;
+		const draft: AutosaveDraft = {
+			data: this._getRootsData(),
+			version: this.editor.model.document.version,
+			timestamp: Date.now()
+		};
+
+		this._enqueueDraftOperation( () => storage.set( this._draftKey, draft ) );
+	}
+
+	/**
+	 * Checks whether there is a local draft that differs from the current editor data and offers restoring it
+	 * using `config.autosave.draft.confirmRestore()`. The draft is removed if it was declined or has the same data as the editor.
+	 */
+	private async _checkDraft(): Promise<void> {
+		const draft = await this.getDraft();
+
+		if ( !draft ) {
+			return;
+		}
+
+		const currentData = this._getRootsData();
+		const isDifferent = Object.keys( draft.data ).some( rootName => {
+			return rootName in currentData && draft.data[ rootName ] !== currentData[ rootName ];
+		} );
+
+		if ( !isDifferent ) {
+			await this.discardDraft();
+
+			return;
+		}
+
+		const confirmRestore = this._config.draft!.confirmRestore;
+
+		// Without the confirmation callback, the draft is kept for the integration to restore or discard it.
+		if ( !confirmRestore ) {
+			return;
+		}
+
+		const shouldRestore = await confirmRestore( draft );
+
+		// The editor could have been destroyed while waiting for the confirmation.
+		if ( this.editor.state == 'destroyed' ) {
+			return;
+		}
+
+		if ( shouldRestore ) {
+			this.restoreDraft( draft );
+		} else {
+			await this.discardDraft();
+		}
+	}
+
+	/**
+	 * Adds an operation to the queue of the draft storage operations. Storage errors are logged instead of being thrown.
+	 */
+	private _enqueueDraftOperation( operation: () => Promise<unknown> ): Promise<unknown> {
+		const result = this._draftQueue.then( operation ).catch( error => {
+			/**
+			 * An error occurred while accessing the local draft storage of the autosave feature.
+			 *
+			 * @error autosave-draft-storage-error
+			 * @param error The original error.
+			 */
+			logWarning( 'autosave-draft-storage-error', { error } );
+
+			return null;
+		} );
+
+		this._draftQueue = result;
+
+		return result;
+	}
+
+	/**
+	 * Returns the data of all editor roots, keyed by the root name.
+	 */
+	private _getRootsData(): Record<string, string> {
+		const data: Record<string, string> = {};
+
+		for ( const rootName of this.editor.model.document.getRootNames() ) {
+			data[ rootName ] = this.editor.data.get( { rootName } );
+		}
+
+		return data;
+	}
+
 	/**
 	 * Creates a pending action if it is not set already.
 	 */
@@ -343,6 +597,62 @@ export default class Autosave extends Plugin {
 	}
 }
 
+/**
+ * Creates the draft storage based on the configuration. Returns `null` if the drafts are disabled.
+ */
+function createDraftStorage( config?: AutosaveDraftConfig ): AutosaveDraftStorage | null {
+	if ( !config ) {
+		return null;
+	}
+
+	if ( config.storage === 'indexedDB' ) {
+		return new IndexedDBDraftStorage();
+	}
+
+	if ( !config.storage || config.storage === 'localStorage' ) {
+		return new LocalStorageDraftStorage();
+	}
+
+	return config.storage;
+}
+
+/**
+ * Fired when the save callback fails.
+ *
+ * @eventName ~Autosave#saveFailed
+ */
+export type AutosaveSaveFailedEvent = {
+	name: 'saveFailed';
+	args: [ {
+
+		/**
+		 * The error thrown (or the rejection reason) of the save callback.
+		 */
+		error: unknown;
+
+		/**
+		 * The number of consecutive failed attempts, including this one.
+		 */
+		attempt: number;
+
+		/**
+		 * The delay (in milliseconds) after which the save will be retried or `null`
+		 * if the {@link module:autosave/autosave~AutosaveConfig#maxRetries maximum number of retries} was reached.
+		 */
+		retryDelay: number | null;
+	} ];
+};
+
+/**
+ * Fired when a local draft was restored in the editor.
+ *
+ * @eventName ~Autosave#draftRestored
+ */
+export type AutosaveDraftRestoredEvent = {
+	name: 'draftRestored';
+	args: [ AutosaveDraft ];
+};
+
 /**
  * An interface that requires the `save()` method.
  *
@@ -420,4 +730,120 @@ export interface AutosaveConfig {
 	 * ```
 	 */
 	waitingTime?: number;
+
+	/**
+	 * The maximum delay (in milliseconds) between the consecutive attempts to save the data after the save callback failed.
+	 *
+	 * The first attempt is made after {@link #waitingTime} and the delay is doubled after each consecutive failure.
+	 * By default it is 30000 ms.
+	 *
+	 * ```ts
+	 * ClassicEditor
+	 * 	.create( editorElement, {
+	 * 		autosave: {
+	 * 			save( editor: Editor ) {
+	 * 				return saveData( editor.getData() );
+	 * 			},
+	 * 			maxRetryDelay: 60000
+	 * 		}
+	 * 	} );
+	 * 	.then( ... )
+	 * 	.catch( ... );
+	 * ```
+	 */
+	maxRetryDelay?: number;
+
+	/**
+	 * The maximum number of attempts to save the data again after the save callback failed. When it is reached,
+	 * the plugin stays in the `error` state until the next change or a manual {@link module:autosave/autosave~Autosave#save} call.
+	 *
+	 * By default, the plugin retries infinitely.
+	 *
+	 * ```ts
+	 * ClassicEditor
+	 * 	.create( editorElement, {
+	 * 		autosave: {
+	 * 			save( editor: Editor ) {
+	 * 				return saveData( editor.getData() );
+	 * 			},
+	 * 			maxRetries: 5
+	 * 		}
+	 * 	} );
+	 * 	.then( ... )
+	 * 	.catch( ... );
+	 * ```
+	 */
+	maxRetries?: number;
+
+	/**
+	 * The configuration of the local drafts. When set, the plugin keeps a snapshot of the editor data in a local storage
+	 * until it is successfully saved. When the editor is created again and there is a draft that differs from the editor data
+	 * (for example, because the page was closed before saving or the saving failed), it can be restored
+	 * (see {@link module:autosave/autosave~AutosaveDraftConfig#confirmRestore `confirmRestore()`}).
+	 *
+	 * ```ts
+	 * ClassicEditor
+	 * 	.create( editorElement, {
+	 * 		autosave: {
+	 * 			save( editor: Editor ) {
+	 * 				return saveData( editor.getData() );
+	 * 			},
+	 * 			draft: {
+	 * 				key: 'article-123',
+	 * 				storage: 'indexedDB'
+	 * 			}
+	 * 		}
+	 * 	} );
+	 * 	.then( ... )
+	 * 	.catch( ... );
+	 * ```
+	 */
+	draft?: AutosaveDraftConfig;
+}
+
+/**
+ * The configuration of the local drafts of the {@link module:autosave/autosave~Autosave autosave feature}.
+ *
+ * Read more in {@link module:autosave/autosave~AutosaveConfig#draft}.
+ */
+export interface AutosaveDraftConfig {
+
+	/**
+	 * The key under which the draft is stored. It should identify the edited document, for instance,
+	 * `'article-123'`. Make sure to use different keys for different editor instances on the same page.
+	 *
+	 * @default 'ckeditor5-autosave-draft'
+	 */
+	key?: string;
+
+	/**
+	 * The storage of the drafts. It can be either `'localStorage'`, `'indexedDB'` or a custom
+	 * {@link module:autosave/autosavedraftstorage~AutosaveDraftStorage storage}, for instance, one that keeps the drafts
+	 * in an encrypted form.
+	 *
+	 * The draft is also saved when the page is being closed. Only a synchronous storage, like `'localStorage'`,
+	 * can reliably store it at that moment. The asynchronous ones, like `'indexedDB'`, may keep the draft of the last save instead.
+	 *
+	 * @default 'localStorage'
+	 */
+	storage?: 'localStorage' | 'indexedDB' | AutosaveDraftStorage;
+
+	/**
+	 * A function called when a draft that differs from the editor data is found on the editor initialization.
+	 * It should return (or resolve with) `true` if the draft should be restored. Otherwise, the draft is discarded.
+	 *
+	 * If the function is not set, the draft is neither restored nor discarded. The integration can then handle it using
+	 * {@link module:autosave/autosave~Autosave#getDraft `getDraft()`}, {@link module:autosave/autosave~Autosave#restoreDraft
+	 * `restoreDraft()`} and {@link module:autosave/autosave~Autosave#discardDraft `discardDraft()`}. Note that the draft
+	 * is replaced with a new one on the next save.
+	 *
+	 * ```ts
+	 * const draftConfig = {
+	 * 	confirmRestore( draft ) {
+	 * 		return showMyRestoreDialog( new Date( draft.timestamp ) );
+	 * 	}
+	 * };
+	 * ```
+	 */
+	confirmRestore?: ( draft: AutosaveDraft ) => boolean | Promise<boolean>;
 }
@@ -0,0 +1,57 @@
+/**
+ * @license Copyright (c) 2003-2024, CKSource Holding sp. z o.o. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+
+/**
+ * @module autosave/autosavedraftstorage
+ */
+
+/**
+ * A local snapshot of the editor data created by the {@link module:autosave/autosave~Autosave} plugin
+ * when the {@link module:autosave/autosave~AutosaveConfig#draft local drafts} are enabled.
+ */
+export interface AutosaveDraft {
+
+	/**
+	 * The editor data, keyed by the root name.
+	 */
+	data: Record<string, string>;
+
+	/**
+	 * The {@link module:engine/model/document~Document#version document version} at the moment the snapshot was made.
+	 */
+	version: number;
+
+	/**
+	 * The time (in milliseconds since the epoch) at which the snapshot was made.
+	 */
+	timestamp: number;
+}
+
+/**
+ * A storage used by the {@link module:autosave/autosave~Autosave} plugin to persist the
+ * {@link module:autosave/autosavedraftstorage~AutosaveDraft drafts} locally.
+ *
+ * Two implementations are available out of the box:
+ * {@link module:autosave/localstoragedraftstorage~LocalStorageDraftStorage} and
+ * {@link module:autosave/indexeddbdraftstorage~IndexedDBDraftStorage}. You can also provide your own implementation
+ * via the {@link module:autosave/autosave~AutosaveDraftConfig#storage `config.autosave.draft.storage`} option.
+ */
+export interface AutosaveDraftStorage {
+
+	/**
+	 * Returns the draft stored under the given key or `null` if there is no such draft.
+	 */
+	get( key: string ): Promise<AutosaveDraft | null>;
+
+	/**
+	 * Stores the draft under the given key, replacing the previous one.
+	 */
+	set( key: string, draft: AutosaveDraft ): Promise<void>;
+
+	/**
+	 * Removes the draft stored under the given key.
+	 */
+	remove( key: string ): Promise<void>;
+}
@@ -7,6 +7,15 @@
  * @module autosave
  */
 
-export { default as Autosave, type AutosaveConfig } from './autosave.js';
+export {
+	default as Autosave,
+	type AutosaveConfig,
+	type AutosaveDraftConfig,
+	type AutosaveSaveFailedEvent,
+	type AutosaveDraftRestoredEvent
+} from './autosave.js';
+export { default as LocalStorageDraftStorage } from './localstoragedraftstorage.js';
+export { default as IndexedDBDraftStorage } from './indexeddbdraftstorage.js';
+export type { AutosaveDraft, AutosaveDraftStorage } from './autosavedraftstorage.js';
 
 import './augmentation.js';
@@ -0,0 +1,109 @@
+/**
+ * @license Copyright (c) 2003-2024, CKSource Holding sp. z o.o. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+
+/**
+ * @module autosave/indexeddbdraftstorage
+ */
+
+/* globals window */
+
+import type { AutosaveDraft, AutosaveDraftStorage } from './autosavedraftstorage.js';
+
+/**
+ * The draft storage that keeps the drafts in the
+ * [IndexedDB](https://developer.mozilla.org/en-US/docs/Web/API/IndexedDB_API) database.
+ *
+ * It is suitable for large documents that exceed the `localStorage` quota. However, the storage is asynchronous, so the browser
+ * may close the page before the draft saved on the
+ * [`window#beforeunload`](https://developer.mozilla.org/en-US/docs/Web/API/Window/beforeunload_event) event is stored.
+ * In such a case, the draft saved before the last save request is kept.
+ */
+export default class IndexedDBDraftStorage implements AutosaveDraftStorage {
+	/**
+	 * The name of the database.
+	 */
+	public readonly databaseName: string;
+
+	/**
+	 * The name of the object store in the database.
+	 */
+	public readonly storeName: string;
+
+	/**
+	 * The promise of the opened database. Created on the first access.
+	 */
+	private _databasePromise: Promise<IDBDatabase> | null = null;
+
+	/**
+	 * Creates a new instance of the IndexedDB draft storage.
+	 *
+	 * @param databaseName The name of the database.
+	 * @param storeName The name of the object store in the database.
+	 */
+	constructor( databaseName: string = 'ckeditor5-autosave', storeName: string = 'drafts' ) {
+		this.databaseName = databaseName;
+		this.storeName = storeName;
+	}
+
+	/**
+	 * @inheritDoc
+	 */
+	public async get( key: string ): Promise<AutosaveDraft | null> {
+		const result = await this._request( 'readonly', store => store.get( key ) );
+
+		return result || null;
+	}
+
+	/**
+	 * @inheritDoc
+	 */
+	public async set( key: string, draft: AutosaveDraft ): Promise<void> {
+		await this._request( 'readwrite', store => store.put( draft, key ) );
+	}
+
+	/**
+	 * @inheritDoc
+	 */
+	public async remove( key: string ): Promise<void> {
+		await this._request( 'readwrite', store => store.delete( key ) );
+	}
+
+	/**
+	 * Executes a request on the object store within a new transaction.
+	 */
+	private async _request( mode: IDBTransactionMode, createRequest: ( store: IDBObjectStore ) => IDBRequest ): Promise<any> {
+		const database = await this._openDatabase();
+
+		return new Promise( ( resolve, reject ) => {
+			const request = createRequest( database.transaction( this.storeName, mode ).objectStore( this.storeName ) );
+
+			request.onsuccess = () => resolve( request.result );
+			request.onerror = () => reject( request.error );
+		} );
+	}
+
+	/**
+	 * Opens the database (and creates the object store if needed).
+	 */
+	private _openDatabase(): Promise<IDBDatabase> {
+		if ( !this._databasePromise ) {
+			this._databasePromise = new Promise( ( resolve, reject ) => {
+				const request = window.indexedDB.open( this.databaseName, 1 );
+
+				request.onupgradeneeded = () => {
+					request.result.createObjectStore( this.storeName );
+				};
+
+				request.onsuccess = () => resolve( request.result );
+				request.onerror = () => {
+					this._databasePromise = null;
+					reject( request.error );
+				};
+			} );
+		}
+
+		return this._databasePromise;
+	}
+}
@@ -0,0 +1,44 @@
+/**
+ * @license Copyright (c) 2003-2024, CKSource Holding sp. z o.o. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+
+/**
+ * @module autosave/localstoragedraftstorage
+ */
+
+/* globals window */
+
+import type { AutosaveDraft, AutosaveDraftStorage } from './autosavedraftstorage.js';
+
+/**
+ * The draft storage that keeps the drafts in
+ * [`window.localStorage`](https://developer.mozilla.org/en-US/docs/Web/API/Window/localStorage).
+ *
+ * The storage is synchronous under the hood, which makes it the most reliable choice for saving a draft
+ * when the page is being closed. Keep in mind that the amount of data that can be stored is limited by the browser.
+ */
+export default class LocalStorageDraftStorage implements AutosaveDraftStorage {
+	/**
+	 * @inheritDoc
+	 */
+	public async get( key: string ): Promise<AutosaveDraft | null> {
+		const value = window.localStorage.getItem( key );
+
+		return value ? JSON.parse( value ) : null;
+	}
+
+	/**
+	 * @inheritDoc
+	 */
+	public async set( key: string, draft: AutosaveDraft ): Promise<void> {
+		window.localStorage.setItem( key, JSON.stringify( draft ) );
+	}
+
+	/**
+	 * @inheritDoc
+	 */
+	public async remove( key: string ): Promise<void> {
+		window.localStorage.removeItem( key );
+	}
+}
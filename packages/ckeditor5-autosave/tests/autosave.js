@@ -3,7 +3,7 @@
  * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
  */
 
-/* globals document, window */
+/* globals document, window, console */
 
 import ClassicTestEditor from '@ckeditor/ckeditor5-core/tests/_utils/classictesteditor.js';
 import Autosave from '../src/autosave.js';
@@ -863,6 +863,487 @@ describe( 'Autosave', () => {
 		} );
 	} );
 
+	describe( 'retrying failed saves', () => {
+		let saveStub;
+
+		beforeEach( () => {
+			element = document.createElement( 'div' );
+			document.body.appendChild( element );
+
+			saveStub = sinon.stub().rejects( new Error( 'foo' ) );
+
+			return ClassicTestEditor
+				.create( element, {
+					plugins: [ Autosave, Paragraph ],
+					autosave: {
+						save: saveStub,
+						maxRetryDelay: 3000,
+						maxRetries: 3
+					}
+				} )
+				.then( _editor => {
+					editor = _editor;
+					editor.setData( '<p>paragraph1</p>' );
+					autosave = editor.plugins.get( Autosave );
+				} );
+		} );
+
+		afterEach( () => {
+			document.body.removeChild( element );
+
+			saveStub.resolves();
+
+			return editor.destroy().catch( () => {} );
+		} );
+
+		it( 'should fire the #saveFailed event with the error and the retry delay', () => {
+			const spy = sinon.spy();
+			const error = new Error( 'foo' );
+
+			saveStub.rejects( error );
+			autosave.on( 'saveFailed', spy );
+
+			return autosave.save()
+				.then( () => {
+					throw new Error( 'It should not resolve.' );
+				}, err => {
+					expect( err ).to.equal( error );
+
+					sinon.assert.calledOnce( spy );
+					sinon.assert.calledWithExactly( spy, sinon.match.any, { error, attempt: 1, retryDelay: 1000 } );
+				} );
+		} );
+
+		it( 'should be in the `error` state when the #saveFailed event is fired', () => {
+			const states = [];
+
+			autosave.on( 'saveFailed', () => {
+				states.push( autosave.state );
+			} );
+
+			return autosave.save()
+				.catch( () => {
+					expect( states ).to.deep.equal( [ 'error' ] );
+					expect( autosave.state ).to.equal( 'saving' );
+				} );
+		} );
+
+		it( 'should retry with the exponential backoff up to config.autosave.maxRetryDelay', () => {
+			const spy = sinon.spy();
+
+			autosave.on( 'saveFailed', spy );
+
+			return autosave.save()
+				.catch( () => {} )
+				.then( () => {
+					sinon.assert.calledOnce( saveStub );
+
+					sinon.clock.tick( 1000 );
+				} )
+				.then( runPromiseCycles )
+				.then( () => {
+					sinon.assert.calledTwice( saveStub );
+					expect( spy.secondCall.args[ 1 ].retryDelay ).to.equal( 2000 );
+
+					sinon.clock.tick( 1999 );
+				} )
+				.then( runPromiseCycles )
+				.then( () => {
+					sinon.assert.calledTwice( saveStub );
+
+					sinon.clock.tick( 1 );
+				} )
+				.then( runPromiseCycles )
+				.then( () => {
+					sinon.assert.calledThrice( saveStub );
+
+					// 4000 ms capped by `maxRetryDelay`.
+					expect( spy.thirdCall.args[ 1 ].retryDelay ).to.equal( 3000 );
+				} );
+		} );
+
+		it( 'should stop retrying after config.autosave.maxRetries attempts', () => {
+			const spy = sinon.spy();
+
+			autosave.on( 'saveFailed', spy );
+
+			return autosave.save()
+				.catch( () => {} )
+				.then( () => sinon.clock.tick( 1000 ) )
+				.then( runPromiseCycles )
+				.then( () => sinon.clock.tick( 2000 ) )
+				.then( runPromiseCycles )
+				.then( () => sinon.clock.tick( 3000 ) )
+				.then( runPromiseCycles )
+				.then( () => {
+					sinon.assert.callCount( saveStub, 4 );
+					expect( spy.lastCall.args[ 1 ].retryDelay ).to.be.null;
+					expect( autosave.state ).to.equal( 'error' );
+
+					sinon.clock.tick( 10000 );
+				} )
+				.then( runPromiseCycles )
+				.then( () => {
+					sinon.assert.callCount( saveStub, 4 );
+				} );
+		} );
+
+		it( 'should reset the backoff after a successful save', () => {
+			const spy = sinon.spy();
+
+			saveStub.onSecondCall().resolves();
+			autosave.on( 'saveFailed', spy );
+
+			return autosave.save()
+				.catch( () => {} )
+				.then( () => sinon.clock.tick( 1000 ) )
+				.then( runPromiseCycles )
+				.then( () => {
+					expect( autosave.state ).to.equal( 'synchronized' );
+
+					return autosave.save();
+				} )
+				.catch( () => {
+					expect( spy.lastCall.args[ 1 ].attempt ).to.equal( 1 );
+					expect( spy.lastCall.args[ 1 ].retryDelay ).to.equal( 1000 );
+				} );
+		} );
+
+		it( 'should save again after a change when the maximum number of retries was reached', () => {
+			return autosave.save()
+				.catch( () => {} )
+				.then( () => sinon.clock.tick( 1000 ) )
+				.then( runPromiseCycles )
+				.then( () => sinon.clock.tick( 2000 ) )
+				.then( runPromiseCycles )
+				.then( () => sinon.clock.tick( 3000 ) )
+				.then( runPromiseCycles )
+				.then( () => {
+					saveStub.resetHistory();
+					saveStub.resolves();
+
+					editor.model.change( writer => {
+						editor.model.insertContent( writer.createText( 'foo' ) );
+					} );
+
+					expect( autosave.state ).to.equal( 'waiting' );
+
+					sinon.clock.tick( 1000 );
+				} )
+				.then( runPromiseCycles )
+				.then( () => {
+					sinon.assert.calledOnce( saveStub );
+					expect( autosave.state ).to.equal( 'synchronized' );
+				} );
+		} );
+
+		it( 'should cancel the scheduled retry when save() is called', () => {
+			return autosave.save()
+				.catch( () => {} )
+				.then( () => {
+					saveStub.resolves();
+
+					return autosave.save();
+				} )
+				.then( () => {
+					sinon.assert.calledTwice( saveStub );
+
+					sinon.clock.tick( 1000 );
+				} )
+				.then( runPromiseCycles )
+				.then( () => {
+					sinon.assert.calledTwice( saveStub );
+				} );
+		} );
+
+		it( 'should cancel the scheduled retry when the editor is destroyed', () => {
+			return autosave.save()
+				.catch( () => {} )
+				.then( () => autosave.destroy() )
+				.then( () => {
+					sinon.clock.tick( 1000 );
+				} )
+				.then( runPromiseCycles )
+				.then( () => {
+					sinon.assert.calledOnce( saveStub );
+				} );
+		} );
+	} );
+
+	describe( 'local drafts', () => {
+		let storage, saveStub;
+
+		function createEditor( draftConfig, initialData = '<p>paragraph1</p>' ) {
+			element = document.createElement( 'div' );
+			element.innerHTML = initialData;
+			document.body.appendChild( element );
+
+			return ClassicTestEditor
+				.create( element, {
+					plugins: [ Autosave, Paragraph ],
+					autosave: {
+						save: saveStub,
+						draft: draftConfig
+					}
+				} )
+				.then( _editor => {
+					editor = _editor;
+					autosave = editor.plugins.get( Autosave );
+				} )
+				// Wait for the draft check that is performed when the editor is ready.
+				.then( runPromiseCycles )
+				.then( runPromiseCycles );
+		}
+
+		beforeEach( () => {
+			const drafts = new Map();
+
+			storage = {
+				get: sinon.spy( key => Promise.resolve( drafts.has( key ) ? drafts.get( key ) : null ) ),
+				set: sinon.spy( ( key, draft ) => Promise.resolve( drafts.set( key, draft ) ).then( () => {} ) ),
+				remove: sinon.spy( key => Promise.resolve( drafts.delete( key ) ).then( () => {} ) )
+			};
+
+			saveStub = sinon.stub().resolves();
+		} );
+
+		afterEach( () => {
+			document.body.removeChild( element );
+			saveStub.resolves();
+
+			return editor.destroy();
+		} );
+
+		it( 'should not store drafts when config.autosave.draft is not set', () => {
+			return createEditor( undefined )
+				.then( () => autosave.getDraft() )
+				.then( draft => {
+					expect( draft ).to.be.null;
+				} );
+		} );
+
+		it( 'should store a snapshot of the data of each root when saving', () => {
+			return createEditor( { storage, key: 'foo' } )
+				.then( () => {
+					editor.setData( '<p>bar</p>' );
+
+					return autosave.save();
+				} )
+				.then( () => {
+					const [ key, draft ] = storage.set.firstCall.args;
+
+					expect( key ).to.equal( 'foo' );
+					expect( draft.data ).to.deep.equal( { main: '<p>bar</p>' } );
+					expect( draft.version ).to.equal( editor.model.document.version );
+					expect( draft.timestamp ).to.be.a( 'number' );
+				} );
+		} );
+
+		it( 'should use the default key', () => {
+			return createEditor( { storage } )
+				.then( () => autosave.save() )
+				.then( () => {
+					expect( storage.set.firstCall.args[ 0 ] ).to.equal( 'ckeditor5-autosave-draft' );
+				} );
+		} );
+
+		it( 'should remove the draft once the data is saved', () => {
+			return createEditor( { storage } )
+				.then( () => autosave.save() )
+				.then( runPromiseCycles )
+				.then( () => autosave.getDraft() )
+				.then( draft => {
+					sinon.assert.calledOnce( storage.remove );
+					expect( draft ).to.be.null;
+				} );
+		} );
+
+		it( 'should keep the draft when the save callback fails', () => {
+			saveStub.rejects( new Error( 'foo' ) );
+
+			return createEditor( { storage } )
+				.then( () => autosave.save() )
+				.catch( () => autosave.getDraft() )
+				.then( draft => {
+					sinon.assert.notCalled( storage.remove );
+					expect( draft.data ).to.deep.equal( { main: '<p>paragraph1</p>' } );
+				} );
+		} );
+
+		it( 'should log a warning when the storage fails', () => {
+			const error = new Error( 'Quota exceeded.' );
+			const warnStub = sinon.stub( console, 'warn' );
+
+			storage.set = sinon.stub().rejects( error );
+
+			return createEditor( { storage } )
+				.then( () => autosave.save() )
+				.then( runPromiseCycles )
+				.then( () => {
+					sinon.assert.calledWithMatch( warnStub, 'autosave-draft-storage-error' );
+				} );
+		} );
+
+		describe( 'restoring', () => {
+			it( 'should restore the draft that differs from the editor data if confirmed', () => {
+				const confirmRestore = sinon.stub().returns( true );
+				const draft = { data: { main: '<p>draft</p>' }, version: 10, timestamp: 0 };
+
+				storage.set( 'ckeditor5-autosave-draft', draft );
+
+				return createEditor( { storage, confirmRestore } )
+					.then( () => {
+						sinon.assert.calledOnceWithExactly( confirmRestore, draft );
+						expect( editor.getData() ).to.equal( '<p>draft</p>' );
+					} );
+			} );
+
+			it( 'should fire the #draftRestored event', () => {
+				const draft = { data: { main: '<p>draft</p>' }, version: 10, timestamp: 0 };
+				const spy = sinon.spy();
+
+				return createEditor( { storage } )
+					.then( () => {
+						autosave.on( 'draftRestored', spy );
+						autosave.restoreDraft( draft );
+
+						sinon.assert.calledOnceWithExactly( spy, sinon.match.any, draft );
+						expect( editor.getData() ).to.equal( '<p>draft</p>' );
+					} );
+			} );
+
+			it( 'should allow confirming the restoration asynchronously', () => {
+				storage.set( 'ckeditor5-autosave-draft', { data: { main: '<p>draft</p>' }, version: 10, timestamp: 0 } );
+
+				return createEditor( { storage, confirmRestore: () => Promise.resolve( true ) } )
+					.then( runPromiseCycles )
+					.then( () => {
+						expect( editor.getData() ).to.equal( '<p>draft</p>' );
+					} );
+			} );
+
+			it( 'should save the restored data', () => {
+				storage.set( 'ckeditor5-autosave-draft', { data: { main: '<p>draft</p>' }, version: 10, timestamp: 0 } );
+
+				return createEditor( { storage, confirmRestore: () => true } )
+					.then( () => {
+						expect( autosave.state ).to.equal( 'waiting' );
+
+						sinon.clock.tick( 1000 );
+					} )
+					.then( runPromiseCycles )
+					.then( () => {
+						sinon.assert.calledOnce( saveStub );
+					} );
+			} );
+
+			it( 'should allow undoing the restoration', () => {
+				storage.set( 'ckeditor5-autosave-draft', { data: { main: '<p>draft</p>' }, version: 10, timestamp: 0 } );
+
+				return createEditor( { storage, confirmRestore: () => true } )
+					.then( () => {
+						const batch = editor.model.document.history.getOperations().pop().batch;
+
+						expect( batch.isUndoable ).to.be.true;
+					} );
+			} );
+
+			it( 'should discard the draft if the restoration was declined', () => {
+				storage.set( 'ckeditor5-autosave-draft', { data: { main: '<p>draft</p>' }, version: 10, timestamp: 0 } );
+
+				return createEditor( { storage, confirmRestore: () => false } )
+					.then( () => autosave.getDraft() )
+					.then( draft => {
+						expect( editor.getData() ).to.equal( '<p>paragraph1</p>' );
+						expect( draft ).to.be.null;
+					} );
+			} );
+
+			it( 'should discard the draft without asking if it has the same data as the editor', () => {
+				const confirmRestore = sinon.spy();
+
+				storage.set( 'ckeditor5-autosave-draft', { data: { main: '<p>paragraph1</p>' }, version: 10, timestamp: 0 } );
+
+				return createEditor( { storage, confirmRestore } )
+					.then( () => autosave.getDraft() )
+					.then( draft => {
+						sinon.assert.notCalled( confirmRestore );
+						expect( draft ).to.be.null;
+					} );
+			} );
+
+			it( 'should neither restore nor discard the draft without the confirmation callback', () => {
+				const draft = { data: { main: '<p>draft</p>' }, version: 10, timestamp: 0 };
+
+				storage.set( 'ckeditor5-autosave-draft', draft );
+
+				return createEditor( { storage } )
+					.then( runPromiseCycles )
+					.then( () => autosave.getDraft() )
+					.then( storedDraft => {
+						expect( editor.getData() ).to.equal( '<p>paragraph1</p>' );
+						expect( storedDraft ).to.deep.equal( draft );
+						sinon.assert.notCalled( storage.remove );
+					} );
+			} );
+
+			it( 'should log a warning if the restoration confirmation was rejected', () => {
+				const error = new Error( 'foo' );
+				const warnStub = sinon.stub( console, 'warn' );
+
+				storage.set( 'ckeditor5-autosave-draft', { data: { main: '<p>draft</p>' }, version: 10, timestamp: 0 } );
+
+				return createEditor( { storage, confirmRestore: () => Promise.reject( error ) } )
+					.then( runPromiseCycles )
+					.then( () => {
+						sinon.assert.calledWithMatch( warnStub, 'autosave-draft-restore-error', { error } );
+						expect( editor.getData() ).to.equal( '<p>paragraph1</p>' );
+					} );
+			} );
+
+			it( 'should not restore the draft if the editor was destroyed while waiting for the confirmation', () => {
+				let confirm, dataSetSpy;
+
+				storage.set( 'ckeditor5-autosave-draft', { data: { main: '<p>draft</p>' }, version: 10, timestamp: 0 } );
+
+				const confirmRestore = () => new Promise( resolve => {
+					confirm = resolve;
+				} );
+
+				return createEditor( { storage, confirmRestore } )
+					.then( () => {
+						dataSetSpy = sinon.spy( editor.data, 'set' );
+
+						return editor.destroy();
+					} )
+					.then( () => {
+						confirm( true );
+					} )
+					.then( runPromiseCycles )
+					.then( () => {
+						sinon.assert.notCalled( dataSetSpy );
+
+						// Create a new editor for the `afterEach()` cleanup.
+						document.body.removeChild( element );
+
+						return createEditor( undefined );
+					} );
+			} );
+
+			it( 'should restore only the roots that exist in the editor', () => {
+				storage.set( 'ckeditor5-autosave-draft', {
+					data: { main: '<p>draft</p>', removedRoot: '<p>foo</p>' }, version: 10, timestamp: 0
+				} );
+
+				return createEditor( { storage, confirmRestore: () => true } )
+					.then( () => {
+						expect( editor.getData() ).to.equal( '<p>draft</p>' );
+						expect( editor.model.document.getRoot( 'removedRoot' ) ).to.be.null;
+					} );
+			} );
+		} );
+	} );
+
 	it( 'should run callbacks until the editor is in the ready state', () => {
 		element = document.createElement( 'div' );
 		document.body.appendChild( element );
@@ -0,0 +1,44 @@
+/**
+ * @license Copyright (c) 2003-2024, CKSource Holding sp. z o.o. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+
+import IndexedDBDraftStorage from '../src/indexeddbdraftstorage.js';
+
+describe( 'IndexedDBDraftStorage', () => {
+	const draft = { data: { main: '<p>foo</p>' }, version: 5, timestamp: 1000 };
+
+	let storage;
+
+	beforeEach( () => {
+		storage = new IndexedDBDraftStorage( 'ckeditor5-autosave-test' );
+	} );
+
+	afterEach( async () => {
+		await storage.remove( 'test-draft' );
+	} );
+
+	it( 'should use default database and store names', () => {
+		const storage = new IndexedDBDraftStorage();
+
+		expect( storage.databaseName ).to.equal( 'ckeditor5-autosave' );
+		expect( storage.storeName ).to.equal( 'drafts' );
+	} );
+
+	it( 'should return null if there is no draft', async () => {
+		expect( await storage.get( 'test-draft' ) ).to.be.null;
+	} );
+
+	it( 'should store and return the draft', async () => {
+		await storage.set( 'test-draft', draft );
+
+		expect( await storage.get( 'test-draft' ) ).to.deep.equal( draft );
+	} );
+
+	it( 'should remove the draft', async () => {
+		await storage.set( 'test-draft', draft );
+		await storage.remove( 'test-draft' );
+
+		expect( await storage.get( 'test-draft' ) ).to.be.null;
+	} );
+} );
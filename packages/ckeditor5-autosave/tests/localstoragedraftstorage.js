@@ -0,0 +1,40 @@
+/**
+ * @license Copyright (c) 2003-2024, CKSource Holding sp. z o.o. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+
+/* globals window */
+
+import LocalStorageDraftStorage from '../src/localstoragedraftstorage.js';
+
+describe( 'LocalStorageDraftStorage', () => {
+	const draft = { data: { main: '<p>foo</p>' }, version: 5, timestamp: 1000 };
+
+	let storage;
+
+	beforeEach( () => {
+		storage = new LocalStorageDraftStorage();
+	} );
+
+	afterEach( () => {
+		window.localStorage.removeItem( 'test-draft' );
+	} );
+
+	it( 'should return null if there is no draft', async () => {
+		expect( await storage.get( 'test-draft' ) ).to.be.null;
+	} );
+
+	it( 'should store and return the draft', async () => {
+		await storage.set( 'test-draft', draft );
+
+		expect( await storage.get( 'test-draft' ) ).to.deep.equal( draft );
+		expect( JSON.parse( window.localStorage.getItem( 'test-draft' ) ) ).to.deep.equal( draft );
+	} );
+
+	it( 'should remove the draft', async () => {
+		await storage.set( 'test-draft', draft );
+		await storage.remove( 'test-draft' );
+
+		expect( await storage.get( 'test-draft' ) ).to.be.null;
+	} );
+} );
@@ -8,6 +8,8 @@ import type {
 	CodeBlockCommand,
 	CodeBlockConfig,
 	CodeBlockEditing,
+	CodeBlockHighlighting,
+	CodeBlockPropertiesCommand,
 	CodeBlockUI,
 	IndentCodeBlockCommand,
 	OutdentCodeBlockCommand
@@ -28,10 +30,12 @@ declare module '@ckeditor/ckeditor5-core' {
 		[ CodeBlock.pluginName ]: CodeBlock;
 		[ CodeBlockEditing.pluginName ]: CodeBlockEditing;
 		[ CodeBlockUI.pluginName ]: CodeBlockUI;
+		[ CodeBlockHighlighting.pluginName ]: CodeBlockHighlighting;
 	}
 
 	interface CommandsMap {
 		codeBlock: CodeBlockCommand;
+		codeBlockProperties: CodeBlockPropertiesCommand;
 		indentCodeBlock: IndentCodeBlockCommand;
 		outdentCodeBlock: OutdentCodeBlockCommand;
 	}
@@ -157,13 +157,13 @@ export default class CodeBlockCommand extends Command {
 					const elementAfter = position.nodeAfter as Element;
 
 					writer.rename( elementAfter, 'paragraph' );
-					writer.removeAttribute( 'language', elementAfter );
+					removeCodeBlockAttributes( writer, elementAfter );
 					writer.remove( item );
 				}
 			}
 
 			writer.rename( block, 'paragraph' );
-			writer.removeAttribute( 'language', block );
+			removeCodeBlockAttributes( writer, block );
 		}
 	}
 }
@@ -189,3 +189,12 @@ function getLanguage(
 
 	return defaultLanguage;
 }
+
+/**
+ * Removes the language and the properties of the code block from the element.
+ */
+function removeCodeBlockAttributes( writer: Writer, element: Element ): void {
+	for ( const attributeName of [ 'language', 'showLineNumbers', 'highlightLines', 'title' ] ) {
+		writer.removeAttribute( attributeName, element );
+	}
+}
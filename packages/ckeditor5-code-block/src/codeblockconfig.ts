@@ -121,6 +121,36 @@ export interface CodeBlockConfig {
 	 *
 	 */
 	indentSequence?: string;
+
+	/**
+	 * The tokenizer used by the {@link module:code-block/codeblockhighlighting~CodeBlockHighlighting code block highlighting feature}
+	 * to highlight the syntax of the code blocks in the editing view.
+	 *
+	 * It is called with the code and the {@link module:code-block/codeblockconfig~CodeBlockLanguageDefinition#language language}
+	 * of the code block and returns the stream of tokens compatible with [Prism](https://prismjs.com/), for instance:
+	 *
+	 * ```ts
+	 * import Prism from 'prismjs';
+	 *
+	 * ClassicEditor
+	 * 	.create( document.querySelector( '#editor' ), {
+	 * 		plugins: [ CodeBlock, CodeBlockHighlighting, ... ],
+	 * 		codeBlock: {
+	 * 			tokenizer: ( code, language ) => {
+	 * 				const grammar = Prism.languages[ language ];
+	 *
+	 * 				return grammar ? Prism.tokenize( code, grammar ) : [ code ];
+	 * 			}
+	 * 		}
+	 * 	} )
+	 * 	.then( ... )
+	 * 	.catch( ... );
+	 * ```
+	 *
+	 * The lines of the code are separated by the new line (`\n`) characters. The tokens are rendered in the editing view only,
+	 * the model and the editor data are not affected.
+	 */
+	tokenizer?: CodeBlockTokenizer;
 }
 
 /**
@@ -153,3 +183,41 @@ export interface CodeBlockLanguageDefinition {
 	class?: string;
 }
 
+/**
+ * The code block tokenizer. See {@link module:code-block/codeblockconfig~CodeBlockConfig#tokenizer} to learn more.
+ *
+ * @param code The code of the code block.
+ * @param language The language of the code block.
+ * @returns The stream of tokens. The strings are the parts of the code that are not highlighted.
+ */
+export type CodeBlockTokenizer = ( code: string, language: string ) => Array<string | CodeBlockToken>;
+
+/**
+ * The token of the code returned by the {@link module:code-block/codeblockconfig~CodeBlockTokenizer code block tokenizer}.
+ * It has the same shape as the `Token` in [Prism](https://prismjs.com/).
+ *
+ * ```ts
+ * {
+ * 	type: 'keyword',
+ * 	content: 'function'
+ * }
+ * ```
+ */
+export interface CodeBlockToken {
+
+	/**
+	 * The type of the token, for instance `'keyword'` or `'string'`. It is rendered as a CSS class of the token,
+	 * next to the `token` class.
+	 */
+	type: string;
+
+	/**
+	 * The content of the token. The tokens can be nested.
+	 */
+	content: string | CodeBlockToken | Array<string | CodeBlockToken>;
+
+	/**
+	 * The additional types of the token rendered as its CSS classes.
+	 */
+	alias?: string | Array<string>;
+}
@@ -18,7 +18,9 @@ import {
 	type Node,
 	type ModelGetSelectedContentEvent,
 	type ViewDocumentTabEvent,
+	type DowncastAttributeEvent,
 	type DowncastInsertEvent,
+	type DowncastRemoveEvent,
 	type UpcastElementEvent,
 	type UpcastTextEvent,
 	type Element,
@@ -30,6 +32,7 @@ import type { ListEditing } from '@ckeditor/ckeditor5-list';
 import CodeBlockCommand from './codeblockcommand.js';
 import IndentCodeBlockCommand from './indentcodeblockcommand.js';
 import OutdentCodeBlockCommand from './outdentcodeblockcommand.js';
+import CodeBlockPropertiesCommand from './codeblockpropertiescommand.js';
 import {
 	getNormalizedAndLocalizedLanguageDefinitions,
 	getLeadingWhiteSpaces,
@@ -38,6 +41,8 @@ import {
 } from './utils.js';
 import {
 	modelToViewCodeBlockInsertion,
+	modelToViewCodeBlockPropertyChange,
+	modelToViewCodeBlockGutterUpdate,
 	modelToDataViewSoftBreakInsertion,
 	dataViewToModelCodeBlockInsertion,
 	dataViewToModelTextNewlinesInsertion,
@@ -49,7 +54,7 @@ const DEFAULT_ELEMENT = 'paragraph';
 /**
  * The editing part of the code block feature.
  *
- * Introduces the `'codeBlock'` command and the `'codeBlock'` model element.
+ * Introduces the `'codeBlock'` and `'codeBlockProperties'` commands and the `'codeBlock'` model element.
  */
 export default class CodeBlockEditing extends Plugin {
 	/**
@@ -115,6 +120,9 @@ export default class CodeBlockEditing extends Plugin {
 		editor.commands.add( 'indentCodeBlock', new IndentCodeBlockCommand( editor ) );
 		editor.commands.add( 'outdentCodeBlock', new OutdentCodeBlockCommand( editor ) );
 
+		// The command that changes the line numbers, the highlighted lines, and the title of the code block.
+		editor.commands.add( 'codeBlockProperties', new CodeBlockPropertiesCommand( editor ) );
+
 		this.listenTo<ViewDocumentTabEvent>( view.document, 'tab', ( evt, data ) => {
 			const commandName = data.shiftKey ? 'outdentCodeBlock' : 'indentCodeBlock';
 			const command: OutdentCodeBlockCommand | IndentCodeBlockCommand = editor.commands.get( commandName )!;
@@ -134,7 +142,7 @@ export default class CodeBlockEditing extends Plugin {
 			allowWhere: '$block',
 			allowChildren: '$text',
 			isBlock: true,
-			allowAttributes: [ 'language' ]
+			allowAttributes: [ 'language', 'showLineNumbers', 'highlightLines', 'title' ]
 		} );
 
 		// Allow all list* attributes on `codeBlock` (integration with DocumentList).
@@ -173,6 +181,29 @@ export default class CodeBlockEditing extends Plugin {
 			modelToDataViewSoftBreakInsertion( model ),
 			{ priority: 'high' }
 		);
+
+		for ( const attributeName of [ 'showLineNumbers', 'highlightLines', 'title' ] ) {
+			editor.editing.downcastDispatcher.on<DowncastAttributeEvent>(
+				`attribute:${ attributeName }:codeBlock`,
+				modelToViewCodeBlockPropertyChange( true )
+			);
+			editor.data.downcastDispatcher.on<DowncastAttributeEvent>(
+				`attribute:${ attributeName }:codeBlock`,
+				modelToViewCodeBlockPropertyChange()
+			);
+		}
+
+		// Keep the line numbers in sync with the lines of the code block.
+		editor.editing.downcastDispatcher.on<DowncastInsertEvent>(
+			'insert:softBreak',
+			modelToViewCodeBlockGutterUpdate(),
+			{ priority: 'low' }
+		);
+		editor.editing.downcastDispatcher.on<DowncastRemoveEvent>(
+			'remove:softBreak',
+			modelToViewCodeBlockGutterUpdate(),
+			{ priority: 'low' }
+		);
 		editor.data.upcastDispatcher.on<UpcastElementEvent>(
 			'element:code',
 			dataViewToModelCodeBlockInsertion( view, normalizedLanguagesDefs )
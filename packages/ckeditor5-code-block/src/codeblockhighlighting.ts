@@ -0,0 +1,282 @@
+/**
+ * @license Copyright (c) 2003-2024, CKSource Holding sp. z o.o. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+
+/**
+ * @module code-block/codeblockhighlighting
+ */
+
+import { Plugin } from 'ckeditor5/src/core.js';
+import { CKEditorError, logWarning, toArray } from 'ckeditor5/src/utils.js';
+import type {
+	DocumentChangeEvent,
+	DowncastWriter,
+	Element,
+	Node,
+	ViewAttributeElement,
+	ViewElement
+} from 'ckeditor5/src/engine.js';
+
+import CodeBlockEditing from './codeblockediting.js';
+import type { CodeBlockToken, CodeBlockTokenizer } from './codeblockconfig.js';
+
+/**
+ * The priority of the outermost token attribute elements. The nested tokens get higher priorities so they are rendered
+ * inside their parent tokens.
+ */
+const TOKEN_PRIORITY = 5;
+
+/**
+ * The code block syntax highlighting feature.
+ *
+ * It tokenizes the content of the code blocks using the {@link module:code-block/codeblockconfig~CodeBlockConfig#tokenizer
+ * configured tokenizer} and renders the tokens in the editing view as `<span class="token ...">` elements:
+ *
+ * ```html
+ * <pre data-language="JavaScript" spellcheck="false">
+ * 	<code class="language-javascript"><span class="keyword token">const</span> foo = <span class="number token">1</span>;</code>
+ * </pre>
+ * ```
+ *
+ * The tokens exist in the editing view only. The model and the editor data are not affected. Only the code blocks that changed
+ * are highlighted again after each change of the document.
+ */
+export default class CodeBlockHighlighting extends Plugin {
+	/**
+	 * The code blocks to highlight with the next render of the editing view.
+	 */
+	private readonly _codeBlocksToHighlight = new Set<Element>();
+
+	/**
+	 * @inheritDoc
+	 */
+	public static get pluginName() {
+		return 'CodeBlockHighlighting' as const;
+	}
+
+	/**
+	 * @inheritDoc
+	 */
+	public static get requires() {
+		return [ CodeBlockEditing ] as const;
+	}
+
+	/**
+	 * @inheritDoc
+	 */
+	public init(): void {
+		const editor = this.editor;
+		const model = editor.model;
+		const mapper = editor.editing.mapper;
+		const tokenizer = editor.config.get( 'codeBlock.tokenizer' );
+
+		if ( !tokenizer ) {
+			return;
+		}
+
+		// Collect the changed code blocks before the changes are converted to the editing view...
+		this.listenTo<DocumentChangeEvent>( model.document, 'change', () => {
+			for ( const change of model.document.differ.getChanges() ) {
+				if ( change.type == 'insert' || change.type == 'remove' ) {
+					const parent = change.position.parent;
+
+					if ( parent.is( 'element', 'codeBlock' ) ) {
+						this._codeBlocksToHighlight.add( parent );
+					}
+
+					if ( change.type == 'insert' && change.name != '$text' ) {
+						this._addCodeBlocksToHighlight( change.position.nodeAfter! );
+					}
+				} else if ( change.type == 'attribute' && change.attributeKey == 'language' ) {
+					this._addCodeBlocksToHighlight( change.range.start.nodeAfter! );
+				}
+			}
+		}, { priority: 'high' } );
+
+		// ...and highlight them once they are converted.
+		editor.editing.view.document.registerPostFixer( writer => {
+			for ( const codeBlock of this._codeBlocksToHighlight ) {
+				const viewCode = codeBlock.isAttached() && codeBlock.is( 'element', 'codeBlock' ) && mapper.toViewElement( codeBlock );
+
+				if ( viewCode ) {
+					removeTokens( writer, viewCode );
+					this._renderTokens( writer, codeBlock, tokenizer );
+				}
+			}
+
+			this._codeBlocksToHighlight.clear();
+
+			return false;
+		} );
+	}
+
+	/**
+	 * Marks the code block or the code blocks inside the element as requiring highlighting.
+	 */
+	private _addCodeBlocksToHighlight( node: Node ): void {
+		if ( !node.is( 'element' ) ) {
+			return;
+		}
+
+		if ( node.is( 'element', 'codeBlock' ) ) {
+			this._codeBlocksToHighlight.add( node );
+
+			return;
+		}
+
+		for ( const item of this.editor.model.createRangeIn( node ).getItems() ) {
+			if ( item.is( 'element', 'codeBlock' ) ) {
+				this._codeBlocksToHighlight.add( item );
+			}
+		}
+	}
+
+	/**
+	 * Tokenizes the code of the code block and wraps the tokens in the editing view in the token attribute elements.
+	 */
+	private _renderTokens( writer: DowncastWriter, codeBlock: Element, tokenizer: CodeBlockTokenizer ): void {
+		const model = this.editor.model;
+		const mapper = this.editor.editing.mapper;
+
+		// The soft breaks separate the lines of the code. Each of them takes a single offset in the model.
+		const code = Array.from( codeBlock.getChildren(), child => child.is( '$text' ) ? child.data : '\n' ).join( '' );
+		const segments: Array<TokenSegment> = [];
+
+		const language = codeBlock.getAttribute( 'language' ) as string;
+
+		// The tokenizer is provided by the integrator. An error thrown by it must not break the rendering of the editing view,
+		// so the code is displayed without highlighting instead.
+		try {
+			const length = collectTokenSegments( tokenizer( code, language ), 0, 0, segments );
+
+			// The tokens not covering exactly the code would be mapped to the wrong (or non-existing) positions in the code block.
+			if ( length != code.length ) {
+				/**
+				 * The content of the tokens returned by the
+				 * {@link module:code-block/codeblockconfig~CodeBlockConfig#tokenizer code block tokenizer} does not match the code.
+				 *
+				 * @error code-block-highlighting-invalid-tokens
+				 * @param language The language of the code block.
+				 */
+				throw new CKEditorError( 'code-block-highlighting-invalid-tokens', this.editor, { language } );
+			}
+		} catch ( error ) {
+			/**
+			 * The {@link module:code-block/codeblockconfig~CodeBlockConfig#tokenizer code block tokenizer} threw an error
+			 * or returned an incorrect stream of tokens. The code block is displayed without the syntax highlighting.
+			 *
+			 * @error code-block-highlighting-tokenizer-error
+			 * @param language The language of the code block.
+			 * @param error The original error.
+			 */
+			logWarning( 'code-block-highlighting-tokenizer-error', { language, error } );
+
+			return;
+		}
+
+		for ( const { start, end, depth, classes } of segments ) {
+			// Do not wrap the soft breaks so the tokens spanning multiple lines are rendered line by line.
+			for ( const [ lineStart, lineEnd ] of splitIntoLines( code, start, end ) ) {
+				const modelRange = model.createRange(
+					model.createPositionAt( codeBlock, lineStart ),
+					model.createPositionAt( codeBlock, lineEnd )
+				);
+				const token = writer.createAttributeElement( 'span', { class: classes.join( ' ' ) }, {
+					priority: TOKEN_PRIORITY + depth
+				} );
+
+				writer.setCustomProperty( 'codeBlockToken', true, token );
+				writer.wrap( mapper.toViewRange( modelRange ), token );
+			}
+		}
+	}
+}
+
+/**
+ * The range of the code covered by the token.
+ */
+interface TokenSegment {
+	start: number;
+	end: number;
+	depth: number;
+	classes: Array<string>;
+}
+
+/**
+ * Flattens the stream of tokens to the list of ranges of the code covered by the tokens.
+ *
+ * @returns The offset of the end of the content.
+ */
+function collectTokenSegments(
+	content: string | CodeBlockToken | Array<string | CodeBlockToken>,
+	offset: number,
+	depth: number,
+	segments: Array<TokenSegment>
+): number {
+	if ( typeof content == 'string' ) {
+		return offset + content.length;
+	}
+
+	if ( Array.isArray( content ) ) {
+		for ( const item of content ) {
+			offset = collectTokenSegments( item, offset, depth, segments );
+		}
+
+		return offset;
+	}
+
+	const end = collectTokenSegments( content.content, offset, depth + 1, segments );
+
+	if ( end > offset ) {
+		segments.push( {
+			start: offset,
+			end,
+			depth,
+			classes: [ 'token', content.type, ...toArray( content.alias || [] ) ]
+		} );
+	}
+
+	return end;
+}
+
+/**
+ * Splits the range of the code into the non-empty ranges of the individual lines.
+ */
+function splitIntoLines( code: string, start: number, end: number ): Array<[ number, number ]> {
+	const lines: Array<[ number, number ]> = [];
+	let lineStart = start;
+
+	while ( lineStart < end ) {
+		const newLineIndex = code.indexOf( '\n', lineStart );
+		const lineEnd = newLineIndex == -1 || newLineIndex > end ? end : newLineIndex;
+
+		if ( lineEnd > lineStart ) {
+			lines.push( [ lineStart, lineEnd ] );
+		}
+
+		lineStart = lineEnd + 1;
+	}
+
+	return lines;
+}
+
+/**
+ * Unwraps the content of the code block in the editing view from the token attribute elements.
+ */
+function removeTokens( writer: DowncastWriter, viewCode: ViewElement ): void {
+	const tokens: Array<ViewAttributeElement> = [];
+
+	for ( const item of writer.createRangeIn( viewCode ).getItems() ) {
+		if ( item.is( 'attributeElement' ) && item.getCustomProperty( 'codeBlockToken' ) ) {
+			tokens.push( item );
+		}
+	}
+
+	for ( const token of tokens ) {
+		// The nested tokens might have been merged with their siblings when their parent tokens were unwrapped.
+		if ( token.isAttached() ) {
+			writer.unwrap( writer.createRangeOn( token ), token );
+		}
+	}
+}
@@ -0,0 +1,130 @@
+/**
+ * @license Copyright (c) 2003-2024, CKSource Holding sp. z o.o. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+
+/**
+ * @module code-block/codeblockpropertiescommand
+ */
+
+import type { Element } from 'ckeditor5/src/engine.js';
+import { Command } from 'ckeditor5/src/core.js';
+import { first } from 'ckeditor5/src/utils.js';
+
+import { normalizeLineRanges } from './utils.js';
+
+/**
+ * The code block properties command. It sets the properties of the code blocks in the selection:
+ *
+ * * `showLineNumbers` &ndash; whether the line numbers are displayed,
+ * * `highlightLines` &ndash; the highlighted lines, for instance `'3-5,9'`,
+ * * `title` &ndash; the title of the code block, for instance, the name of the file.
+ *
+ * ```ts
+ * editor.execute( 'codeBlockProperties', { showLineNumbers: true, highlightLines: '3-5,9', title: 'app.js' } );
+ * ```
+ */
+export default class CodeBlockPropertiesCommand extends Command {
+	/**
+	 * The properties of the first code block in the selection or `null` if the selection is not in a code block.
+	 *
+	 * @observable
+	 * @readonly
+	 */
+	declare public value: CodeBlockProperties | null;
+
+	/**
+	 * @inheritDoc
+	 */
+	public override refresh(): void {
+		const codeBlock = this._getSelectedCodeBlocks()[ 0 ];
+
+		this.value = codeBlock ? {
+			showLineNumbers: !!codeBlock.getAttribute( 'showLineNumbers' ),
+			highlightLines: codeBlock.getAttribute( 'highlightLines' ) as string || '',
+			title: codeBlock.getAttribute( 'title' ) as string || ''
+		} : null;
+
+		this.isEnabled = !!codeBlock;
+	}
+
+	/**
+	 * Executes the command. Only the passed properties are changed. The empty properties are removed from the code blocks.
+	 *
+	 * @fires execute
+	 * @param properties The properties of the code blocks.
+	 * @param properties.showLineNumbers Whether the line numbers should be displayed.
+	 * @param properties.highlightLines The comma-separated line numbers or ranges of the line numbers to highlight,
+	 * for instance, `'3-5,9'`. An invalid value is ignored.
+	 * @param properties.title The title of the code blocks.
+	 */
+	public override execute( properties: Partial<CodeBlockProperties> = {} ): void {
+		const model = this.editor.model;
+		const codeBlocks = this._getSelectedCodeBlocks();
+		const attributes: Partial<Record<keyof CodeBlockProperties, unknown>> = {};
+
+		if ( properties.showLineNumbers !== undefined ) {
+			attributes.showLineNumbers = properties.showLineNumbers || null;
+		}
+
+		if ( properties.highlightLines !== undefined ) {
+			const highlightLines = normalizeLineRanges( properties.highlightLines );
+
+			if ( highlightLines !== null ) {
+				attributes.highlightLines = highlightLines || null;
+			}
+		}
+
+		if ( properties.title !== undefined ) {
+			attributes.title = properties.title.trim() || null;
+		}
+
+		model.change( writer => {
+			for ( const codeBlock of codeBlocks ) {
+				for ( const [ key, value ] of Object.entries( attributes ) ) {
+					if ( value === null ) {
+						writer.removeAttribute( key, codeBlock );
+					} else {
+						writer.setAttribute( key, value, codeBlock );
+					}
+				}
+			}
+		} );
+	}
+
+	/**
+	 * Returns the code blocks in the selection.
+	 */
+	private _getSelectedCodeBlocks(): Array<Element> {
+		const selection = this.editor.model.document.selection;
+		const firstBlock = first( selection.getSelectedBlocks() );
+
+		// Follow the code block command which treats the selection as in the code block when its first block is a code block.
+		if ( !firstBlock || !firstBlock.is( 'element', 'codeBlock' ) ) {
+			return [];
+		}
+
+		return Array.from( selection.getSelectedBlocks() ).filter( block => block.is( 'element', 'codeBlock' ) );
+	}
+}
+
+/**
+ * The properties of the code block set by the {@link module:code-block/codeblockpropertiescommand~CodeBlockPropertiesCommand}.
+ */
+export interface CodeBlockProperties {
+
+	/**
+	 * Whether the line numbers are displayed.
+	 */
+	showLineNumbers: boolean;
+
+	/**
+	 * The comma-separated line numbers or ranges of the line numbers to highlight, for instance, `'3-5,9'`.
+	 */
+	highlightLines: string;
+
+	/**
+	 * The title of the code block, for instance, the name of the file.
+	 */
+	title: string;
+}
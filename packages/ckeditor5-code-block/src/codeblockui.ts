@@ -18,20 +18,24 @@ import {
 	MenuBarMenuListView,
 	MenuBarMenuView,
 	MenuBarMenuListItemView,
+	type DropdownView,
 	type ListDropdownButtonDefinition
 } from 'ckeditor5/src/ui.js';
 
+import CodeBlockPropertiesView from './ui/codeblockpropertiesview.js';
 import { getNormalizedAndLocalizedLanguageDefinitions } from './utils.js';
 
 import type { CodeBlockLanguageDefinition } from './codeblockconfig.js';
 import type CodeBlockCommand from './codeblockcommand.js';
+import type CodeBlockPropertiesCommand from './codeblockpropertiescommand.js';
 
 import '../theme/codeblock.css';
 
 /**
  * The code block UI plugin.
  *
- * Introduces the `'codeBlock'` dropdown.
+ * Introduces the `'codeBlock'` dropdown. When the selection is in a code block, the dropdown also allows changing
+ * the line numbers, the title, and the highlighted lines of the code block.
  */
 export default class CodeBlockUI extends Plugin {
 	/**
@@ -91,6 +95,11 @@ export default class CodeBlockUI extends Plugin {
 				ariaLabel: accessibleLabel
 			} );
 
+			// Display the properties of the code block below the list of languages.
+			dropdownView.once( 'change:isOpen', () => {
+				dropdownView.panelView.children.add( this._createPropertiesView( dropdownView ) );
+			} );
+
 			return dropdownView;
 		} );
 
@@ -137,6 +146,43 @@ export default class CodeBlockUI extends Plugin {
 		} );
 	}
 
+	/**
+	 * Creates the form changing the properties of the code block displayed in the `codeBlock` dropdown.
+	 */
+	private _createPropertiesView( dropdownView: DropdownView ): CodeBlockPropertiesView {
+		const editor = this.editor;
+		const command: CodeBlockPropertiesCommand = editor.commands.get( 'codeBlockProperties' )!;
+		const propertiesView = new CodeBlockPropertiesView( editor.locale );
+
+		propertiesView.bind( 'isVisible' ).to( command, 'isEnabled' );
+
+		// Note: Use the low priority to make sure the following listener starts working after the
+		// default action of the drop-down is executed (i.e. the panel showed up).
+		dropdownView.buttonView.on( 'open', () => {
+			const value = command.value;
+
+			// Make sure that each time the panel shows up, the form remains in sync with the value of the command.
+			propertiesView.showLineNumbers = !!value && value.showLineNumbers;
+			propertiesView.title = value ? value.title : '';
+			propertiesView.highlightLines = value ? value.highlightLines : '';
+		}, { priority: 'low' } );
+
+		dropdownView.on( 'change:isOpen', () => propertiesView.resetFormStatus() );
+
+		propertiesView.on( 'submit', () => {
+			if ( propertiesView.isValid() ) {
+				editor.execute( 'codeBlockProperties', {
+					showLineNumbers: propertiesView.showLineNumbers,
+					title: propertiesView.title,
+					highlightLines: propertiesView.highlightLines
+				} );
+				editor.editing.view.focus();
+			}
+		} );
+
+		return propertiesView;
+	}
+
 	/**
 	 * A helper returning a collection of the `codeBlock` dropdown items representing languages
 	 * available for the user to choose from.
@@ -8,9 +8,29 @@
  */
 
 import type { GetCallback } from 'ckeditor5/src/utils.js';
-import type { DowncastInsertEvent, Element, Model, UpcastElementEvent, UpcastTextEvent, EditingView } from 'ckeditor5/src/engine.js';
+import type {
+	DowncastAttributeEvent,
+	DowncastInsertEvent,
+	DowncastRemoveEvent,
+	DowncastWriter,
+	Element,
+	Model,
+	UpcastElementEvent,
+	UpcastTextEvent,
+	EditingView,
+	ViewElement
+} from 'ckeditor5/src/engine.js';
 import type { CodeBlockLanguageDefinition } from './codeblockconfig.js';
-import { getPropertyAssociation } from './utils.js';
+import { getPropertyAssociation, normalizeLineRanges, parseLineRanges } from './utils.js';
+
+/**
+ * The attributes of the `<pre>` element representing the properties of the code block.
+ */
+const PROPERTIES_TO_VIEW_ATTRIBUTES = {
+	showLineNumbers: 'data-line-numbers',
+	highlightLines: 'data-highlight-lines',
+	title: 'data-title'
+} as const;
 
 /**
  * A model-to-view (both editing and data) converter for the `codeBlock` element.
@@ -27,6 +47,11 @@ import { getPropertyAssociation } from './utils.js';
  * <pre data-language="JavaScript"><code class="language-javascript">foo();<br />bar();</code></pre>
  * ```
  *
+ * The {@link module:code-block/converters~modelToViewCodeBlockPropertyChange properties} of the code block are represented
+ * as the `data-line-numbers`, `data-highlight-lines` and `data-title` attributes of the `<pre>` element. In the editing,
+ * the line numbers and the highlighted lines are displayed in a gutter (`<span class="ck-code-block__gutter">`)
+ * rendered before the `<code>` element.
+ *
  * Sample output (data, see {@link module:code-block/converters~modelToDataViewSoftBreakInsertion}):
  *
  * ```html
@@ -35,7 +60,7 @@ import { getPropertyAssociation } from './utils.js';
  *
  * @param languageDefs The normalized language configuration passed to the feature.
  * @param useLabels When `true`, the `<pre>` element will get a `data-language` attribute with a
- * human–readable label of the language. Used only in the editing.
+ * human–readable label of the language and the gutter displaying the line numbers. Used only in the editing.
  * @returns Returns a conversion callback.
  */
 export function modelToViewCodeBlockInsertion(
@@ -80,6 +105,12 @@ export function modelToViewCodeBlockInsertion(
 			preAttributes.spellcheck = 'false';
 		}
 
+		for ( const [ property, viewAttribute ] of Object.entries( PROPERTIES_TO_VIEW_ATTRIBUTES ) ) {
+			if ( data.item.hasAttribute( property ) ) {
+				preAttributes[ viewAttribute ] = String( data.item.getAttribute( property ) );
+			}
+		}
+
 		const codeAttributes = languagesToClasses[ codeBlockLanguage ] ? {
 			class: languagesToClasses[ codeBlockLanguage ]
 		} : undefined;
@@ -87,12 +118,87 @@ export function modelToViewCodeBlockInsertion(
 
 		const pre = writer.createContainerElement( 'pre', preAttributes, code );
 
+		// The line numbers and the highlighted lines are displayed only in the editing.
+		if ( useLabels ) {
+			updateCodeBlockGutter( writer, data.item as Element, pre );
+		}
+
 		writer.insert( targetViewPosition, pre );
 
 		mapper.bindElements( data.item as Element, code );
 	};
 }
 
+/**
+ * A model-to-view (both editing and data) converter for the changes of the `showLineNumbers`, `highlightLines` and `title`
+ * attributes of the `codeBlock` element.
+ *
+ * Sample input:
+ *
+ * ```html
+ * <codeBlock language="javascript" showLineNumbers="true" highlightLines="3-5,9" title="app.js">...</codeBlock>
+ * ```
+ *
+ * Sample output:
+ *
+ * ```html
+ * <pre data-line-numbers="true" data-highlight-lines="3-5,9" data-title="app.js"><code class="language-javascript">...</code></pre>
+ * ```
+ *
+ * @param useGutter When `true`, the gutter displaying the line numbers will be updated. Used only in the editing.
+ * @returns Returns a conversion callback.
+ */
+export function modelToViewCodeBlockPropertyChange( useGutter: boolean = false ): GetCallback<DowncastAttributeEvent> {
+	return ( evt, data, conversionApi ) => {
+		const { writer, mapper, consumable } = conversionApi;
+		const property = data.attributeKey as keyof typeof PROPERTIES_TO_VIEW_ATTRIBUTES;
+
+		if ( !consumable.consume( data.item, evt.name ) ) {
+			return;
+		}
+
+		const viewCode = mapper.toViewElement( data.item as Element )!;
+		const viewPre = viewCode.parent as ViewElement;
+
+		if ( data.attributeNewValue !== null ) {
+			writer.setAttribute( PROPERTIES_TO_VIEW_ATTRIBUTES[ property ], String( data.attributeNewValue ), viewPre );
+		} else {
+			writer.removeAttribute( PROPERTIES_TO_VIEW_ATTRIBUTES[ property ], viewPre );
+		}
+
+		if ( useGutter ) {
+			updateCodeBlockGutter( writer, data.item as Element, viewPre );
+		}
+	};
+}
+
+/**
+ * A model-to-editing view converter updating the gutter of the code block when the soft breaks (lines) are inserted
+ * into or removed from the code block.
+ *
+ * @returns Returns a conversion callback.
+ */
+export function modelToViewCodeBlockGutterUpdate(): GetCallback<DowncastInsertEvent | DowncastRemoveEvent> {
+	return ( evt, data, conversionApi ) => {
+		const codeBlock = 'item' in data ? data.item.parent : data.position.parent;
+
+		if ( !codeBlock || !codeBlock.is( 'element', 'codeBlock' ) ) {
+			return;
+		}
+
+		// The gutter of the code block inserted (converted) together with the soft break is already up to date.
+		if ( conversionApi.consumable.test( codeBlock, 'insert' ) === false ) {
+			return;
+		}
+
+		const viewCode = conversionApi.mapper.toViewElement( codeBlock );
+
+		if ( viewCode ) {
+			updateCodeBlockGutter( conversionApi.writer, codeBlock, viewCode.parent as ViewElement );
+		}
+	};
+}
+
 /**
  * A model-to-data view converter for the new line (`softBreak`) separator.
  *
@@ -143,6 +249,9 @@ export function modelToDataViewSoftBreakInsertion( model: Model ): GetCallback<D
  * <codeBlock language="javascript">foo();bar();</codeBlock>
  * ```
  *
+ * The `data-line-numbers`, `data-highlight-lines` and `data-title` attributes of the `<pre>` element are converted
+ * to the `showLineNumbers`, `highlightLines` and `title` attributes of the code block.
+ *
  * @param languageDefs The normalized language configuration passed to the feature.
  * @returns Returns a conversion callback.
  */
@@ -206,6 +315,25 @@ export function dataViewToModelCodeBlockInsertion(
 			writer.setAttribute( 'language', defaultLanguageName, codeBlock );
 		}
 
+		const preAttributesToConsume = [];
+
+		if ( viewPreElement.getAttribute( 'data-line-numbers' ) == 'true' ) {
+			writer.setAttribute( 'showLineNumbers', true, codeBlock );
+			preAttributesToConsume.push( 'data-line-numbers' );
+		}
+
+		const highlightLines = normalizeLineRanges( viewPreElement.getAttribute( 'data-highlight-lines' ) || '' );
+
+		if ( highlightLines ) {
+			writer.setAttribute( 'highlightLines', highlightLines, codeBlock );
+			preAttributesToConsume.push( 'data-highlight-lines' );
+		}
+
+		if ( viewPreElement.getAttribute( 'data-title' ) ) {
+			writer.setAttribute( 'title', viewPreElement.getAttribute( 'data-title' ), codeBlock );
+			preAttributesToConsume.push( 'data-title' );
+		}
+
 		conversionApi.convertChildren( viewCodeElement, codeBlock );
 
 		// Let's try to insert code block.
@@ -214,6 +342,7 @@ export function dataViewToModelCodeBlockInsertion(
 		}
 
 		consumable.consume( viewCodeElement, { name: true } );
+		consumable.consume( viewPreElement, { attributes: preAttributesToConsume } );
 
 		conversionApi.updateConversionResult( codeBlock, data );
 	};
@@ -338,3 +467,45 @@ export function dataViewToModelOrphanNodeConsumer(): GetCallback<UpcastElementEv
 		}
 	};
 }
+
+/**
+ * Replaces the gutter of the code block in the editing view with a new one reflecting the current number of lines
+ * and the properties of the code block. The gutter is rendered only when the code block displays the line numbers
+ * or has highlighted lines.
+ */
+function updateCodeBlockGutter( writer: DowncastWriter, codeBlock: Element, viewPre: ViewElement ): void {
+	const oldGutter = Array.from( viewPre.getChildren() )
+		.find( child => child.is( 'uiElement' ) && child.getCustomProperty( 'codeBlockGutter' ) );
+	const showLineNumbers = !!codeBlock.getAttribute( 'showLineNumbers' );
+	const highlightedRanges = parseLineRanges( codeBlock.getAttribute( 'highlightLines' ) as string || '' ) || [];
+
+	if ( oldGutter ) {
+		writer.remove( oldGutter );
+	}
+
+	if ( !showLineNumbers && !highlightedRanges.length ) {
+		return;
+	}
+
+	const linesCount = Array.from( codeBlock.getChildren() ).filter( child => child.is( 'element', 'softBreak' ) ).length + 1;
+	const gutter = writer.createUIElement( 'span', {
+		class: [ 'ck', 'ck-code-block__gutter', ...( showLineNumbers ? [ 'ck-code-block__gutter_line-numbers' ] : [] ) ].join( ' ' ),
+		'aria-hidden': 'true'
+	}, function( domDocument ) {
+		const domElement = this.toDomElement( domDocument );
+
+		for ( let lineNumber = 1; lineNumber <= linesCount; lineNumber++ ) {
+			const domLine = domDocument.createElement( 'span' );
+			const isHighlighted = highlightedRanges.some( ( [ start, end ] ) => lineNumber >= start && lineNumber <= end );
+
+			domLine.className = isHighlighted ? 'ck-code-block__line ck-code-block__line_highlighted' : 'ck-code-block__line';
+			domLine.textContent = String( lineNumber );
+			domElement.appendChild( domLine );
+		}
+
+		return domElement;
+	} );
+
+	writer.setCustomProperty( 'codeBlockGutter', true, gutter );
+	writer.insert( writer.createPositionAt( viewPre, 0 ), gutter );
+}
@@ -10,9 +10,11 @@
 export { default as CodeBlock } from './codeblock.js';
 export { default as CodeBlockEditing } from './codeblockediting.js';
 export { default as CodeBlockUI } from './codeblockui.js';
+export { default as CodeBlockHighlighting } from './codeblockhighlighting.js';
 export type { default as CodeBlockCommand } from './codeblockcommand.js';
 export type { default as IndentCodeBlockCommand } from './indentcodeblockcommand.js';
 export type { default as OutdentCodeBlockCommand } from './outdentcodeblockcommand.js';
-export type { CodeBlockConfig } from './codeblockconfig.js';
+export type { default as CodeBlockPropertiesCommand, CodeBlockProperties } from './codeblockpropertiescommand.js';
+export type { CodeBlockConfig, CodeBlockTokenizer, CodeBlockToken } from './codeblockconfig.js';
 
 import './augmentation.js';
@@ -0,0 +1,291 @@
+/**
+ * @license Copyright (c) 2003-2024, CKSource Holding sp. z o.o. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+
+/**
+ * @module code-block/ui/codeblockpropertiesview
+ */
+
+import {
+	type InputTextView,
+	ButtonView,
+	FocusCycler,
+	SwitchButtonView,
+	LabeledFieldView,
+	View,
+	ViewCollection,
+	createLabeledInputText,
+	submitHandler,
+	type FocusableView
+} from 'ckeditor5/src/ui.js';
+import { FocusTracker, KeystrokeHandler, type Locale } from 'ckeditor5/src/utils.js';
+import { icons } from 'ckeditor5/src/core.js';
+
+import { parseLineRanges } from '../utils.js';
+
+// See: #8833.
+// eslint-disable-next-line ckeditor5-rules/ckeditor-imports
+import '@ckeditor/ckeditor5-ui/theme/components/responsive-form/responsiveform.css';
+import '../../theme/codeblockproperties.css';
+
+/**
+ * The code block properties form view. It allows changing the line numbers, the title, and the highlighted lines of the code block.
+ * It is displayed in the panel of the `'codeBlock'` dropdown when the selection is in a code block.
+ */
+export default class CodeBlockPropertiesView extends View {
+	/**
+	 * Tracks information about the DOM focus in the form.
+	 */
+	public readonly focusTracker: FocusTracker;
+
+	/**
+	 * An instance of the {@link module:utils/keystrokehandler~KeystrokeHandler}.
+	 */
+	public readonly keystrokes: KeystrokeHandler;
+
+	/**
+	 * The "Line numbers" switch button view.
+	 */
+	public lineNumbersSwitchView: SwitchButtonView;
+
+	/**
+	 * The title input view.
+	 */
+	public titleInputView: LabeledFieldView<InputTextView>;
+
+	/**
+	 * The highlighted lines input view.
+	 */
+	public highlightLinesInputView: LabeledFieldView<InputTextView>;
+
+	/**
+	 * The Save button view.
+	 */
+	public saveButtonView: ButtonView;
+
+	/**
+	 * Controls whether the form is displayed.
+	 *
+	 * @observable
+	 */
+	declare public isVisible: boolean;
+
+	/**
+	 * A collection of views that can be focused in the form.
+	 */
+	private readonly _focusables: ViewCollection<FocusableView>;
+
+	/**
+	 * Helps cycling over {@link #_focusables} in the form.
+	 */
+	private readonly _focusCycler: FocusCycler;
+
+	/**
+	 * @inheritDoc
+	 */
+	constructor( locale: Locale ) {
+		super( locale );
+
+		const t = locale.t;
+		const bind = this.bindTemplate;
+
+		this.focusTracker = new FocusTracker();
+		this.keystrokes = new KeystrokeHandler();
+		this.set( 'isVisible', true );
+
+		this.lineNumbersSwitchView = new SwitchButtonView( locale );
+		this.lineNumbersSwitchView.set( {
+			label: t( 'Line numbers' ),
+			withText: true
+		} );
+		this.lineNumbersSwitchView.on( 'execute', () => {
+			this.lineNumbersSwitchView.isOn = !this.lineNumbersSwitchView.isOn;
+		} );
+
+		this.titleInputView = this._createInput( t( 'Title' ) );
+		this.highlightLinesInputView = this._createInput( t( 'Highlighted lines' ), t( 'For example: 3-5, 9' ) );
+
+		this.saveButtonView = new ButtonView( locale );
+		this.saveButtonView.set( {
+			label: t( 'Save' ),
+			icon: icons.check,
+			tooltip: true,
+			type: 'submit'
+		} );
+		this.saveButtonView.extendTemplate( {
+			attributes: {
+				class: 'ck-button-save'
+			}
+		} );
+
+		this._focusables = new ViewCollection();
+
+		this._focusCycler = new FocusCycler( {
+			focusables: this._focusables,
+			focusTracker: this.focusTracker,
+			keystrokeHandler: this.keystrokes,
+			actions: {
+				// Navigate form fields backwards using the <kbd>Shift</kbd> + <kbd>Tab</kbd> keystroke.
+				focusPrevious: 'shift + tab',
+
+				// Navigate form fields forwards using the <kbd>Tab</kbd> key.
+				focusNext: 'tab'
+			}
+		} );
+
+		this.setTemplate( {
+			tag: 'form',
+
+			attributes: {
+				class: [
+					'ck',
+					'ck-code-block-properties-form',
+					'ck-responsive-form',
+					bind.if( 'isVisible', 'ck-hidden', value => !value )
+				],
+
+				tabindex: '-1'
+			},
+
+			children: [
+				this.lineNumbersSwitchView,
+				this.titleInputView,
+				this.highlightLinesInputView,
+				this.saveButtonView
+			]
+		} );
+	}
+
+	/**
+	 * @inheritDoc
+	 */
+	public override render(): void {
+		super.render();
+
+		submitHandler( {
+			view: this
+		} );
+
+		const childViews = [
+			this.lineNumbersSwitchView,
+			this.titleInputView,
+			this.highlightLinesInputView,
+			this.saveButtonView
+		];
+
+		childViews.forEach( v => {
+			// Register the view as focusable.
+			this._focusables.add( v );
+
+			// Register the view in the focus tracker.
+			this.focusTracker.add( v.element! );
+		} );
+
+		// Start listening for the keystrokes coming from #element.
+		this.keystrokes.listenTo( this.element! );
+
+		const stopPropagation = ( data: KeyboardEvent ) => data.stopPropagation();
+
+		// Since the form is in the dropdown panel which is a child of the toolbar, the toolbar's
+		// keystroke handler would take over the key management in the inputs. We need to prevent
+		// this ASAP. Otherwise, the basic caret movement using the arrow keys will be impossible.
+		this.keystrokes.set( 'arrowright', stopPropagation );
+		this.keystrokes.set( 'arrowleft', stopPropagation );
+		this.keystrokes.set( 'arrowup', stopPropagation );
+		this.keystrokes.set( 'arrowdown', stopPropagation );
+	}
+
+	/**
+	 * @inheritDoc
+	 */
+	public override destroy(): void {
+		super.destroy();
+
+		this.focusTracker.destroy();
+		this.keystrokes.destroy();
+	}
+
+	/**
+	 * Focuses the fist {@link #_focusables} in the form.
+	 */
+	public focus(): void {
+		this._focusCycler.focusFirst();
+	}
+
+	/**
+	 * The state of the {@link #lineNumbersSwitchView}.
+	 */
+	public get showLineNumbers(): boolean {
+		return this.lineNumbersSwitchView.isOn;
+	}
+
+	public set showLineNumbers( showLineNumbers: boolean ) {
+		this.lineNumbersSwitchView.isOn = showLineNumbers;
+	}
+
+	/**
+	 * The native DOM `value` of the {@link #titleInputView} element.
+	 */
+	public get title(): string {
+		return this.titleInputView.fieldView.element!.value.trim();
+	}
+
+	public set title( title: string ) {
+		this.titleInputView.fieldView.element!.value = title;
+	}
+
+	/**
+	 * The native DOM `value` of the {@link #highlightLinesInputView} element.
+	 */
+	public get highlightLines(): string {
+		return this.highlightLinesInputView.fieldView.element!.value.trim();
+	}
+
+	public set highlightLines( highlightLines: string ) {
+		this.highlightLinesInputView.fieldView.element!.value = highlightLines;
+	}
+
+	/**
+	 * Validates the form and returns `false` when the highlighted lines are invalid.
+	 */
+	public isValid(): boolean {
+		const t = this.locale!.t;
+
+		this.resetFormStatus();
+
+		if ( !parseLineRanges( this.highlightLines ) ) {
+			this.highlightLinesInputView.errorText = t( 'Enter the line numbers or ranges separated by commas.' );
+
+			return false;
+		}
+
+		return true;
+	}
+
+	/**
+	 * Cleans up the error text of the {@link #highlightLinesInputView}.
+	 */
+	public resetFormStatus(): void {
+		this.highlightLinesInputView.errorText = null;
+	}
+
+	/**
+	 * Creates a labeled input view.
+	 *
+	 * @param label The input label.
+	 * @param infoText The additional information displayed below the input.
+	 * @returns Labeled input view instance.
+	 */
+	private _createInput( label: string, infoText?: string ): LabeledFieldView<InputTextView> {
+		const labeledInput = new LabeledFieldView( this.locale, createLabeledInputText );
+
+		labeledInput.label = label;
+
+		if ( infoText ) {
+			labeledInput.infoText = infoText;
+		}
+
+		return labeledInput;
+	}
+}
@@ -288,3 +288,52 @@ export function getCodeBlockAriaAnnouncement(
 
 	return t( 'Leaving code snippet' );
 }
+
+/**
+ * Parses the ranges of the line numbers, for instance `'3-5, 9'`, to the list of the ranges (`[ [ 3, 5 ], [ 9, 9 ] ]`).
+ *
+ * @param value The comma-separated line numbers or ranges of the line numbers.
+ * @returns The ranges of the line numbers or `null` if the value is invalid.
+ */
+export function parseLineRanges( value: string ): Array<[ number, number ]> | null {
+	const ranges: Array<[ number, number ]> = [];
+
+	for ( const part of value.split( ',' ) ) {
+		if ( !part.trim() ) {
+			continue;
+		}
+
+		const match = part.match( /^\s*(\d+)\s*(?:-\s*(\d+)\s*)?$/ );
+
+		if ( !match ) {
+			return null;
+		}
+
+		const start = Number( match[ 1 ] );
+		const end = match[ 2 ] ? Number( match[ 2 ] ) : start;
+
+		if ( start < 1 || end < start ) {
+			return null;
+		}
+
+		ranges.push( [ start, end ] );
+	}
+
+	return ranges;
+}
+
+/**
+ * Returns the normalized value of the ranges of the line numbers, for instance `'3-5,9'` for `' 3 - 5, 9, '`.
+ *
+ * @param value The comma-separated line numbers or ranges of the line numbers.
+ * @returns The normalized value or `null` if the value is invalid.
+ */
+export function normalizeLineRanges( value: string ): string | null {
+	const ranges = parseLineRanges( value );
+
+	if ( !ranges ) {
+		return null;
+	}
+
+	return ranges.map( ( [ start, end ] ) => start == end ? String( start ) : `${ start }-${ end }` ).join( ',' );
+}
@@ -219,6 +219,18 @@ describe( 'CodeBlockCommand', () => {
 			);
 		} );
 
+		it( 'should remove the properties of the codeBlock changed to paragraphs', () => {
+			setModelData( model,
+				'<codeBlock highlightLines="1" language="plaintext" showLineNumbers="true" title="app.js">' +
+					'f[]oo<softBreak></softBreak>bar' +
+				'</codeBlock>'
+			);
+
+			command.execute();
+
+			expect( getModelData( model ) ).to.equal( '<paragraph>f[]oo</paragraph><paragraph>bar</paragraph>' );
+		} );
+
 		it( 'should filter out attributes from nodes changed to codeBlock', () => {
 			setModelData( model, '<paragraph alignment="right"><$text bold="true">f[o]o</$text></paragraph>' );
 
@@ -9,6 +9,7 @@ import CodeBlockEditing from '../src/codeblockediting.js';
 import CodeBlockCommand from '../src/codeblockcommand.js';
 import IndentCodeBlockCommand from '../src/indentcodeblockcommand.js';
 import OutdentCodeBlockCommand from '../src/outdentcodeblockcommand.js';
+import CodeBlockPropertiesCommand from '../src/codeblockpropertiescommand.js';
 
 import AlignmentEditing from '@ckeditor/ckeditor5-alignment/src/alignmentediting.js';
 import BoldEditing from '@ckeditor/ckeditor5-basic-styles/src/bold/boldediting.js';
@@ -121,6 +122,16 @@ describe( 'CodeBlockEditing', () => {
 		expect( editor.commands.get( 'outdentCodeBlock' ) ).to.be.instanceOf( OutdentCodeBlockCommand );
 	} );
 
+	it( 'adds a "codeBlockProperties" command', () => {
+		expect( editor.commands.get( 'codeBlockProperties' ) ).to.be.instanceOf( CodeBlockPropertiesCommand );
+	} );
+
+	it( 'allows for the properties attributes on codeBlock', () => {
+		expect( model.schema.checkAttribute( [ '$root', 'codeBlock' ], 'showLineNumbers' ) ).to.be.true;
+		expect( model.schema.checkAttribute( [ '$root', 'codeBlock' ], 'highlightLines' ) ).to.be.true;
+		expect( model.schema.checkAttribute( [ '$root', 'codeBlock' ], 'title' ) ).to.be.true;
+	} );
+
 	it( 'allows for codeBlock in the $root', () => {
 		expect( model.schema.checkChild( [ '$root' ], 'codeBlock' ) ).to.be.true;
 	} );
@@ -1595,6 +1606,171 @@ describe( 'CodeBlockEditing', () => {
 		} );
 	} );
 
+	describe( 'code block properties', () => {
+		describe( 'editing pipeline m -> v', () => {
+			it( 'should convert the properties to the attributes of the pre tag', () => {
+				setModelData( model, '<codeBlock language="plaintext" title="app.js">Foo</codeBlock>' );
+
+				expect( getViewData( view, { withoutSelection: true } ) ).to.equal(
+					'<pre data-language="Plain text" data-title="app.js" spellcheck="false">' +
+						'<code class="language-plaintext">Foo</code>' +
+					'</pre>' );
+			} );
+
+			it( 'should render the gutter when the line numbers are displayed', () => {
+				setModelData( model,
+					'<codeBlock language="plaintext" showLineNumbers="true">Foo<softBreak></softBreak>Bar</codeBlock>'
+				);
+
+				expect( getViewData( view, { withoutSelection: true } ) ).to.equal(
+					'<pre data-language="Plain text" data-line-numbers="true" spellcheck="false">' +
+						'<span aria-hidden="true" class="ck ck-code-block__gutter ck-code-block__gutter_line-numbers"></span>' +
+						'<code class="language-plaintext">Foo<br></br>Bar</code>' +
+					'</pre>' );
+
+				expect( getGutterLines() ).to.deep.equal( [ '1', '2' ] );
+			} );
+
+			it( 'should render the gutter when some lines are highlighted', () => {
+				setModelData( model,
+					'<codeBlock language="plaintext" highlightLines="2-3">' +
+						'Foo<softBreak></softBreak>Bar<softBreak></softBreak>Baz<softBreak></softBreak>Qux' +
+					'</codeBlock>'
+				);
+
+				expect( getViewData( view, { withoutSelection: true } ) ).to.equal(
+					'<pre data-highlight-lines="2-3" data-language="Plain text" spellcheck="false">' +
+						'<span aria-hidden="true" class="ck ck-code-block__gutter"></span>' +
+						'<code class="language-plaintext">Foo<br></br>Bar<br></br>Baz<br></br>Qux</code>' +
+					'</pre>' );
+
+				expect( getGutterLines() ).to.deep.equal( [ '1', '2 (highlighted)', '3 (highlighted)', '4' ] );
+			} );
+
+			it( 'should update the pre tag and the gutter when the properties change', () => {
+				setModelData( model, '<codeBlock language="plaintext">Foo<softBreak></softBreak>Bar</codeBlock>' );
+
+				const codeBlock = root.getChild( 0 );
+
+				model.change( writer => {
+					writer.setAttribute( 'showLineNumbers', true, codeBlock );
+					writer.setAttribute( 'highlightLines', '2', codeBlock );
+					writer.setAttribute( 'title', 'app.js', codeBlock );
+				} );
+
+				expect( getViewData( view, { withoutSelection: true } ) ).to.equal(
+					'<pre data-highlight-lines="2" data-language="Plain text" data-line-numbers="true" data-title="app.js" ' +
+						'spellcheck="false">' +
+						'<span aria-hidden="true" class="ck ck-code-block__gutter ck-code-block__gutter_line-numbers"></span>' +
+						'<code class="language-plaintext">Foo<br></br>Bar</code>' +
+					'</pre>' );
+
+				expect( getGutterLines() ).to.deep.equal( [ '1', '2 (highlighted)' ] );
+
+				model.change( writer => {
+					writer.removeAttribute( 'showLineNumbers', codeBlock );
+					writer.removeAttribute( 'highlightLines', codeBlock );
+					writer.removeAttribute( 'title', codeBlock );
+				} );
+
+				expect( getViewData( view, { withoutSelection: true } ) ).to.equal(
+					'<pre data-language="Plain text" spellcheck="false">' +
+						'<code class="language-plaintext">Foo<br></br>Bar</code>' +
+					'</pre>' );
+			} );
+
+			it( 'should update the gutter when the lines are added or removed', () => {
+				setModelData( model, '<codeBlock language="plaintext" showLineNumbers="true">Foo[]</codeBlock>' );
+
+				expect( getGutterLines() ).to.deep.equal( [ '1' ] );
+
+				editor.execute( 'shiftEnter' );
+				editor.execute( 'shiftEnter' );
+
+				expect( getGutterLines() ).to.deep.equal( [ '1', '2', '3' ] );
+
+				model.change( writer => {
+					writer.remove( root.getChild( 0 ).getChild( 1 ) );
+				} );
+
+				expect( getGutterLines() ).to.deep.equal( [ '1', '2' ] );
+			} );
+
+			it( 'should not render the gutter for an invalid value of the highlighted lines', () => {
+				setModelData( model, '<codeBlock language="plaintext" highlightLines="foo">Foo</codeBlock>' );
+
+				expect( getViewData( view, { withoutSelection: true } ) ).to.equal(
+					'<pre data-highlight-lines="foo" data-language="Plain text" spellcheck="false">' +
+						'<code class="language-plaintext">Foo</code>' +
+					'</pre>' );
+			} );
+
+			function getGutterLines() {
+				const viewGutter = viewDoc.getRoot().getChild( 0 ).getChild( 0 );
+				const domGutter = view.domConverter.mapViewToDom( viewGutter );
+
+				return Array.from( domGutter.children, domLine => {
+					return domLine.classList.contains( 'ck-code-block__line_highlighted' ) ?
+						`${ domLine.textContent } (highlighted)` :
+						domLine.textContent;
+				} );
+			}
+		} );
+
+		describe( 'data pipeline m -> v conversion', () => {
+			it( 'should convert the properties to the attributes of the pre tag', () => {
+				setModelData( model,
+					'<codeBlock language="plaintext" highlightLines="1" showLineNumbers="true" title="app.js">' +
+						'Foo<softBreak></softBreak>Bar' +
+					'</codeBlock>'
+				);
+
+				expect( editor.getData() ).to.equal(
+					'<pre data-line-numbers="true" data-highlight-lines="1" data-title="app.js">' +
+						'<code class="language-plaintext">Foo\nBar</code>' +
+					'</pre>'
+				);
+			} );
+
+			it( 'should convert the changes of the properties', () => {
+				setModelData( model, '<codeBlock language="plaintext" title="app.js">Foo</codeBlock>' );
+
+				model.change( writer => {
+					writer.removeAttribute( 'title', root.getChild( 0 ) );
+					writer.setAttribute( 'showLineNumbers', true, root.getChild( 0 ) );
+				} );
+
+				expect( editor.getData() ).to.equal( '<pre data-line-numbers="true"><code class="language-plaintext">Foo</code></pre>' );
+			} );
+		} );
+
+		describe( 'data pipeline v -> m conversion', () => {
+			it( 'should convert the attributes of the pre tag to the properties', () => {
+				editor.setData(
+					'<pre data-line-numbers="true" data-highlight-lines="3 - 5, 9" data-title="app.js">' +
+						'<code class="language-plaintext">Foo</code>' +
+					'</pre>'
+				);
+
+				expect( getModelData( model, { withoutSelection: true } ) ).to.equal(
+					'<codeBlock highlightLines="3-5,9" language="plaintext" showLineNumbers="true" title="app.js">Foo</codeBlock>'
+				);
+			} );
+
+			it( 'should not convert the invalid or empty attributes', () => {
+				editor.setData(
+					'<pre data-line-numbers="false" data-highlight-lines="foo" data-title="">' +
+						'<code class="language-plaintext">Foo</code>' +
+					'</pre>'
+				);
+
+				expect( getModelData( model, { withoutSelection: true } ) ).to.equal(
+					'<codeBlock language="plaintext">Foo</codeBlock>'
+				);
+			} );
+		} );
+	} );
+
 	describe( 'clipboard integration', () => {
 		it( 'should not intercept input when selection anchored outside any code block', () => {
 			setModelData( model, '<paragraph>f[]oo</paragraph>' );
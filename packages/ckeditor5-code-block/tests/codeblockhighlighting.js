@@ -0,0 +1,324 @@
+/**
+ * @license Copyright (c) 2003-2024, CKSource Holding sp. z o.o. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+
+/* globals console */
+
+import VirtualTestEditor from '@ckeditor/ckeditor5-core/tests/_utils/virtualtesteditor.js';
+import testUtils from '@ckeditor/ckeditor5-core/tests/_utils/utils.js';
+import Paragraph from '@ckeditor/ckeditor5-paragraph/src/paragraph.js';
+import BlockQuoteEditing from '@ckeditor/ckeditor5-block-quote/src/blockquoteediting.js';
+import { getData as getModelData, setData as setModelData } from '@ckeditor/ckeditor5-engine/src/dev-utils/model.js';
+import { getData as getViewData } from '@ckeditor/ckeditor5-engine/src/dev-utils/view.js';
+
+import CodeBlockEditing from '../src/codeblockediting.js';
+import CodeBlockHighlighting from '../src/codeblockhighlighting.js';
+
+describe( 'CodeBlockHighlighting', () => {
+	let editor, model, tokenizer;
+
+	testUtils.createSinonSandbox();
+
+	beforeEach( async () => {
+		tokenizer = sinon.spy( tokenize );
+		editor = await createEditor( tokenizer );
+	} );
+
+	afterEach( async () => {
+		await editor.destroy();
+	} );
+
+	it( 'should be named', () => {
+		expect( CodeBlockHighlighting.pluginName ).to.equal( 'CodeBlockHighlighting' );
+	} );
+
+	it( 'should require CodeBlockEditing', () => {
+		expect( CodeBlockHighlighting.requires ).to.deep.equal( [ CodeBlockEditing ] );
+	} );
+
+	it( 'should not highlight the code blocks without the tokenizer', async () => {
+		await editor.destroy();
+
+		editor = await createEditor();
+
+		setModelData( model, '<codeBlock language="javascript">const a = 1;</codeBlock>' );
+
+		expect( getViewData( editor.editing.view, { withoutSelection: true } ) ).to.equal(
+			'<pre data-language="JavaScript" spellcheck="false">' +
+				'<code class="language-javascript">const a = 1;</code>' +
+			'</pre>'
+		);
+	} );
+
+	it( 'should highlight the code block in the editing view', () => {
+		setModelData( model, '<codeBlock language="javascript">const a = 1;</codeBlock>' );
+
+		sinon.assert.calledOnceWithExactly( tokenizer, 'const a = 1;', 'javascript' );
+
+		expect( getViewData( editor.editing.view, { withoutSelection: true } ) ).to.equal(
+			'<pre data-language="JavaScript" spellcheck="false">' +
+				'<code class="language-javascript">' +
+					'<span class="keyword token">const</span> a = <span class="number token">1</span>;' +
+				'</code>' +
+			'</pre>'
+		);
+	} );
+
+	it( 'should not change the model and the data', () => {
+		setModelData( model, '<codeBlock language="javascript">const a = 1;</codeBlock>' );
+
+		expect( getModelData( model, { withoutSelection: true } ) ).to.equal(
+			'<codeBlock language="javascript">const a = 1;</codeBlock>'
+		);
+		expect( editor.getData() ).to.equal( '<pre><code class="language-javascript">const a = 1;</code></pre>' );
+	} );
+
+	it( 'should highlight the code block loaded with the data', () => {
+		editor.setData( '<pre><code class="language-javascript">const a = 1;</code></pre>' );
+
+		expect( getViewData( editor.editing.view, { withoutSelection: true } ) ).to.equal(
+			'<pre data-language="JavaScript" spellcheck="false">' +
+				'<code class="language-javascript">' +
+					'<span class="keyword token">const</span> a = <span class="number token">1</span>;' +
+				'</code>' +
+			'</pre>'
+		);
+	} );
+
+	it( 'should highlight the code blocks inside other elements', () => {
+		setModelData( model, '<blockQuote><codeBlock language="javascript">const a;</codeBlock></blockQuote>' );
+
+		expect( getViewData( editor.editing.view, { withoutSelection: true } ) ).to.equal(
+			'<blockquote>' +
+				'<pre data-language="JavaScript" spellcheck="false">' +
+					'<code class="language-javascript"><span class="keyword token">const</span> a;</code>' +
+				'</pre>' +
+			'</blockquote>'
+		);
+	} );
+
+	it( 'should render the nested tokens and the aliases', async () => {
+		tokenizer = () => [
+			{ type: 'string', alias: 'template', content: [ '`a', { type: 'interpolation', alias: [ 'x', 'y' ], content: '${ b }' }, '`' ] }
+		];
+
+		await recreateEditor();
+
+		setModelData( model, '<codeBlock language="javascript">`a${ b }`</codeBlock>' );
+
+		expect( getViewData( editor.editing.view, { withoutSelection: true } ) ).to.equal(
+			'<pre data-language="JavaScript" spellcheck="false">' +
+				'<code class="language-javascript">' +
+					'<span class="string template token">' +
+						'`a<span class="interpolation token x y">${ b }</span>`' +
+					'</span>' +
+				'</code>' +
+			'</pre>'
+		);
+	} );
+
+	it( 'should render the tokens spanning multiple lines line by line', async () => {
+		tokenizer = code => [ { type: 'comment', content: code } ];
+
+		await recreateEditor();
+
+		setModelData( model, '<codeBlock language="javascript">/* a<softBreak></softBreak><softBreak></softBreak>b */</codeBlock>' );
+
+		expect( getViewData( editor.editing.view, { withoutSelection: true } ) ).to.equal(
+			'<pre data-language="JavaScript" spellcheck="false">' +
+				'<code class="language-javascript">' +
+					'<span class="comment token">/* a</span><br></br><br></br><span class="comment token">b */</span>' +
+				'</code>' +
+			'</pre>'
+		);
+	} );
+
+	it( 'should ignore the empty tokens', async () => {
+		tokenizer = code => [ { type: 'keyword', content: '' }, code ];
+
+		await recreateEditor();
+
+		setModelData( model, '<codeBlock language="javascript">foo</codeBlock>' );
+
+		expect( getViewData( editor.editing.view, { withoutSelection: true } ) ).to.equal(
+			'<pre data-language="JavaScript" spellcheck="false">' +
+				'<code class="language-javascript">foo</code>' +
+			'</pre>'
+		);
+	} );
+
+	it( 'should render the code block without highlighting and log a warning if the tokenizer throws', async () => {
+		const error = new Error( 'foo' );
+		const warnStub = sinon.stub( console, 'warn' );
+
+		tokenizer = () => {
+			throw error;
+		};
+
+		await recreateEditor();
+
+		setModelData( model, '<codeBlock language="javascript">const a = 1;</codeBlock>' );
+
+		sinon.assert.calledOnce( warnStub );
+		sinon.assert.calledWithMatch( warnStub, 'code-block-highlighting-tokenizer-error', { language: 'javascript', error } );
+		expect( getViewData( editor.editing.view, { withoutSelection: true } ) ).to.equal(
+			'<pre data-language="JavaScript" spellcheck="false">' +
+				'<code class="language-javascript">const a = 1;</code>' +
+			'</pre>'
+		);
+	} );
+
+	it( 'should render the code block without highlighting and log a warning if the tokens do not match the code', async () => {
+		const warnStub = sinon.stub( console, 'warn' );
+
+		tokenizer = code => [ { type: 'keyword', content: code + 'foo' } ];
+
+		await recreateEditor();
+
+		setModelData( model, '<codeBlock language="javascript">const a = 1;</codeBlock>' );
+
+		sinon.assert.calledOnce( warnStub );
+		sinon.assert.calledWithMatch( warnStub, 'code-block-highlighting-tokenizer-error', {
+			language: 'javascript',
+			error: sinon.match.has( 'message', sinon.match( /^code-block-highlighting-invalid-tokens/ ) )
+		} );
+		expect( getViewData( editor.editing.view, { withoutSelection: true } ) ).to.equal(
+			'<pre data-language="JavaScript" spellcheck="false">' +
+				'<code class="language-javascript">const a = 1;</code>' +
+			'</pre>'
+		);
+	} );
+
+	it( 'should not highlight the code block if the tokens are shorter than the code', async () => {
+		sinon.stub( console, 'warn' );
+
+		tokenizer = () => [ { type: 'keyword', content: 'const' } ];
+
+		await recreateEditor();
+
+		setModelData( model, '<codeBlock language="javascript">const a = 1;</codeBlock>' );
+
+		expect( getViewData( editor.editing.view, { withoutSelection: true } ) ).to.equal(
+			'<pre data-language="JavaScript" spellcheck="false">' +
+				'<code class="language-javascript">const a = 1;</code>' +
+			'</pre>'
+		);
+	} );
+
+	it( 'should highlight the code block again when its content changes', () => {
+		setModelData( model, '<codeBlock language="javascript">const a = 1;</codeBlock>' );
+
+		const codeBlock = model.document.getRoot().getChild( 0 );
+
+		model.change( writer => {
+			writer.remove( writer.createRange( writer.createPositionAt( codeBlock, 0 ), writer.createPositionAt( codeBlock, 2 ) ) );
+			writer.insertText( '2', writer.createPositionAt( codeBlock, 'end' ) );
+		} );
+
+		expect( getViewData( editor.editing.view, { withoutSelection: true } ) ).to.equal(
+			'<pre data-language="JavaScript" spellcheck="false">' +
+				'<code class="language-javascript">nst a = <span class="number token">1</span>;<span class="number token">2</span></code>' +
+			'</pre>'
+		);
+
+		model.change( writer => {
+			writer.insertText( 'co', writer.createPositionAt( codeBlock, 0 ) );
+		} );
+
+		expect( getViewData( editor.editing.view, { withoutSelection: true } ) ).to.equal(
+			'<pre data-language="JavaScript" spellcheck="false">' +
+				'<code class="language-javascript">' +
+					'<span class="keyword token">const</span> a = <span class="number token">1</span>;<span class="number token">2</span>' +
+				'</code>' +
+			'</pre>'
+		);
+	} );
+
+	it( 'should highlight only the changed code blocks', () => {
+		setModelData( model,
+			'<codeBlock language="javascript">const a = 1;</codeBlock>' +
+			'<paragraph>foo</paragraph>' +
+			'<codeBlock language="javascript">const b = 2;</codeBlock>'
+		);
+
+		tokenizer.resetHistory();
+
+		model.change( writer => {
+			writer.insertText( ' ', writer.createPositionAt( model.document.getRoot().getChild( 2 ), 'end' ) );
+			writer.insertText( 'bar', writer.createPositionAt( model.document.getRoot().getChild( 1 ), 'end' ) );
+		} );
+
+		sinon.assert.calledOnceWithExactly( tokenizer, 'const b = 2; ', 'javascript' );
+	} );
+
+	it( 'should highlight the code block again when its language changes', () => {
+		setModelData( model, '<codeBlock language="javascript">const a = 1;</codeBlock>' );
+
+		tokenizer.resetHistory();
+
+		model.change( writer => {
+			writer.setAttribute( 'language', 'plaintext', model.document.getRoot().getChild( 0 ) );
+		} );
+
+		sinon.assert.calledOnceWithExactly( tokenizer, 'const a = 1;', 'plaintext' );
+	} );
+
+	it( 'should not highlight the code block converted to a paragraph', () => {
+		setModelData( model, '<codeBlock language="javascript">[]const a = 1;</codeBlock>' );
+
+		editor.execute( 'codeBlock' );
+
+		expect( getViewData( editor.editing.view, { withoutSelection: true } ) ).to.equal( '<p>const a = 1;</p>' );
+	} );
+
+	it( 'should not highlight the removed code block', () => {
+		setModelData( model, '<codeBlock language="javascript">const a = 1;</codeBlock><paragraph>foo</paragraph>' );
+
+		tokenizer.resetHistory();
+
+		model.change( writer => {
+			const codeBlock = model.document.getRoot().getChild( 0 );
+
+			writer.insertText( 'x', writer.createPositionAt( codeBlock, 0 ) );
+			writer.remove( codeBlock );
+		} );
+
+		sinon.assert.notCalled( tokenizer );
+		expect( getViewData( editor.editing.view, { withoutSelection: true } ) ).to.equal( '<p>foo</p>' );
+	} );
+
+	// A tokenizer highlighting the `const` keyword and the numbers.
+	function tokenize( code ) {
+		return code.split( /(\bconst\b|\d+)/ )
+			.filter( part => part )
+			.map( part => {
+				if ( part == 'const' ) {
+					return { type: 'keyword', content: part };
+				}
+
+				if ( /^\d+$/.test( part ) ) {
+					return { type: 'number', content: part };
+				}
+
+				return part;
+			} );
+	}
+
+	async function createEditor( tokenizer ) {
+		const editor = await VirtualTestEditor.create( {
+			plugins: [ Paragraph, BlockQuoteEditing, CodeBlockEditing, CodeBlockHighlighting ],
+			codeBlock: { tokenizer }
+		} );
+
+		model = editor.model;
+
+		return editor;
+	}
+
+	async function recreateEditor() {
+		await editor.destroy();
+
+		editor = await createEditor( tokenizer );
+	}
+} );
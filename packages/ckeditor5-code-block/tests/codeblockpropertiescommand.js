@@ -0,0 +1,124 @@
+/**
+ * @license Copyright (c) 2003-2024, CKSource Holding sp. z o.o. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+
+import CodeBlockEditing from '../src/codeblockediting.js';
+import CodeBlockPropertiesCommand from '../src/codeblockpropertiescommand.js';
+
+import Paragraph from '@ckeditor/ckeditor5-paragraph/src/paragraph.js';
+
+import ModelTestEditor from '@ckeditor/ckeditor5-core/tests/_utils/modeltesteditor.js';
+import { getData as getModelData, setData as setModelData } from '@ckeditor/ckeditor5-engine/src/dev-utils/model.js';
+
+describe( 'CodeBlockPropertiesCommand', () => {
+	let editor, model, command;
+
+	beforeEach( async () => {
+		editor = await ModelTestEditor.create( {
+			plugins: [ CodeBlockEditing, Paragraph ]
+		} );
+
+		model = editor.model;
+		command = new CodeBlockPropertiesCommand( editor );
+	} );
+
+	afterEach( () => {
+		command.destroy();
+
+		return editor.destroy();
+	} );
+
+	describe( '#value', () => {
+		it( 'should be the properties of the first selected code block', () => {
+			setModelData( model,
+				'<codeBlock highlightLines="3-5" language="plaintext" showLineNumbers="true" title="app.js">f[oo</codeBlock>' +
+				'<codeBlock language="plaintext">ba]r</codeBlock>'
+			);
+
+			expect( command.value ).to.deep.equal( { showLineNumbers: true, highlightLines: '3-5', title: 'app.js' } );
+		} );
+
+		it( 'should be the default properties when the code block has no properties', () => {
+			setModelData( model, '<codeBlock language="plaintext">f[]oo</codeBlock>' );
+
+			expect( command.value ).to.deep.equal( { showLineNumbers: false, highlightLines: '', title: '' } );
+		} );
+
+		it( 'should be null when the first selected block is not a code block', () => {
+			setModelData( model, '<paragraph>f[oo</paragraph><codeBlock language="plaintext">ba]r</codeBlock>' );
+
+			expect( command.value ).to.be.null;
+		} );
+	} );
+
+	describe( '#isEnabled', () => {
+		it( 'should be true when the first selected block is a code block', () => {
+			setModelData( model, '<codeBlock language="plaintext">f[oo</codeBlock><paragraph>ba]r</paragraph>' );
+
+			expect( command.isEnabled ).to.be.true;
+		} );
+
+		it( 'should be false when the first selected block is not a code block', () => {
+			setModelData( model, '<paragraph>f[]oo</paragraph>' );
+
+			expect( command.isEnabled ).to.be.false;
+		} );
+	} );
+
+	describe( 'execute()', () => {
+		it( 'should set the properties of the code block', () => {
+			setModelData( model, '<codeBlock language="plaintext">f[]oo</codeBlock>' );
+
+			command.execute( { showLineNumbers: true, highlightLines: ' 3 - 5, 9 ', title: ' app.js ' } );
+
+			expect( getModelData( model ) ).to.equal(
+				'<codeBlock highlightLines="3-5,9" language="plaintext" showLineNumbers="true" title="app.js">f[]oo</codeBlock>'
+			);
+		} );
+
+		it( 'should change only the passed properties', () => {
+			setModelData( model, '<codeBlock language="plaintext" showLineNumbers="true" title="app.js">f[]oo</codeBlock>' );
+
+			command.execute( { title: 'index.js' } );
+
+			expect( getModelData( model ) ).to.equal(
+				'<codeBlock language="plaintext" showLineNumbers="true" title="index.js">f[]oo</codeBlock>'
+			);
+		} );
+
+		it( 'should remove the empty properties', () => {
+			setModelData( model,
+				'<codeBlock highlightLines="1" language="plaintext" showLineNumbers="true" title="app.js">f[]oo</codeBlock>'
+			);
+
+			command.execute( { showLineNumbers: false, highlightLines: '', title: ' ' } );
+
+			expect( getModelData( model ) ).to.equal( '<codeBlock language="plaintext">f[]oo</codeBlock>' );
+		} );
+
+		it( 'should ignore the invalid highlighted lines', () => {
+			setModelData( model, '<codeBlock highlightLines="1" language="plaintext">f[]oo</codeBlock>' );
+
+			command.execute( { highlightLines: 'foo' } );
+
+			expect( getModelData( model ) ).to.equal( '<codeBlock highlightLines="1" language="plaintext">f[]oo</codeBlock>' );
+		} );
+
+		it( 'should set the properties of all selected code blocks', () => {
+			setModelData( model,
+				'<codeBlock language="plaintext">f[oo</codeBlock>' +
+				'<paragraph>bar</paragraph>' +
+				'<codeBlock language="plaintext">ba]z</codeBlock>'
+			);
+
+			command.execute( { title: 'app.js' } );
+
+			expect( getModelData( model ) ).to.equal(
+				'<codeBlock language="plaintext" title="app.js">f[oo</codeBlock>' +
+				'<paragraph>bar</paragraph>' +
+				'<codeBlock language="plaintext" title="app.js">ba]z</codeBlock>'
+			);
+		} );
+	} );
+} );
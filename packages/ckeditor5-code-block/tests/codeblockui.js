@@ -7,10 +7,12 @@
 
 import CodeBlockEditing from '../src/codeblockediting.js';
 import CodeBlockUI from '../src/codeblockui.js';
+import CodeBlockPropertiesView from '../src/ui/codeblockpropertiesview.js';
 
 import { icons } from 'ckeditor5/src/core.js';
 
 import ClassicTestEditor from '@ckeditor/ckeditor5-core/tests/_utils/classictesteditor.js';
+import { setData as setModelData } from '@ckeditor/ckeditor5-engine/src/dev-utils/model.js';
 import { _clear as clearTranslations, add as addTranslations } from '@ckeditor/ckeditor5-utils/src/translation-service.js';
 
 describe( 'CodeBlockUI', () => {
@@ -193,6 +195,102 @@ describe( 'CodeBlockUI', () => {
 			command.isEnabled = false;
 			expect( dropdown ).to.have.property( 'isEnabled', false );
 		} );
+
+		describe( 'properties form', () => {
+			let dropdown, form, propertiesCommand;
+
+			beforeEach( () => {
+				setModelData( editor.model, '<codeBlock language="plaintext" showLineNumbers="true" title="app.js">f[]oo</codeBlock>' );
+
+				propertiesCommand = editor.commands.get( 'codeBlockProperties' );
+				dropdown = editor.ui.componentFactory.create( 'codeBlock' );
+				dropdown.render();
+				document.body.appendChild( dropdown.element );
+
+				dropdown.isOpen = true;
+				form = dropdown.panelView.children.last;
+			} );
+
+			afterEach( () => {
+				dropdown.element.remove();
+				dropdown.destroy();
+			} );
+
+			it( 'should be added to the panel below the list of languages', () => {
+				expect( form ).to.be.instanceOf( CodeBlockPropertiesView );
+				expect( dropdown.panelView.children.first ).to.equal( dropdown.listView );
+			} );
+
+			it( 'should be visible only when the codeBlockProperties command is enabled', () => {
+				propertiesCommand.isEnabled = true;
+				expect( form.isVisible ).to.be.true;
+
+				propertiesCommand.isEnabled = false;
+				expect( form.isVisible ).to.be.false;
+			} );
+
+			it( 'should be filled with the value of the command when the dropdown opens', () => {
+				form.showLineNumbers = false;
+				form.title = 'foo';
+				form.highlightLines = '1';
+
+				dropdown.buttonView.fire( 'open' );
+
+				expect( form.showLineNumbers ).to.be.true;
+				expect( form.title ).to.equal( 'app.js' );
+				expect( form.highlightLines ).to.equal( '' );
+			} );
+
+			it( 'should be cleared when the command has no value', () => {
+				propertiesCommand.value = null;
+
+				dropdown.buttonView.fire( 'open' );
+
+				expect( form.showLineNumbers ).to.be.false;
+				expect( form.title ).to.equal( '' );
+				expect( form.highlightLines ).to.equal( '' );
+			} );
+
+			it( 'should reset the form status when the dropdown opens or closes', () => {
+				const spy = sinon.spy( form, 'resetFormStatus' );
+
+				dropdown.isOpen = false;
+				sinon.assert.calledOnce( spy );
+
+				dropdown.isOpen = true;
+				sinon.assert.calledTwice( spy );
+			} );
+
+			it( 'should execute the codeBlockProperties command when submitted', () => {
+				const executeSpy = sinon.stub( editor, 'execute' );
+				const focusSpy = sinon.stub( editor.editing.view, 'focus' );
+
+				form.showLineNumbers = true;
+				form.title = ' index.js ';
+				form.highlightLines = '3-5, 9';
+
+				form.fire( 'submit' );
+
+				sinon.assert.calledOnce( executeSpy );
+				sinon.assert.calledOnce( focusSpy );
+				sinon.assert.calledWithExactly( executeSpy, 'codeBlockProperties', {
+					showLineNumbers: true,
+					title: 'index.js',
+					highlightLines: '3-5, 9'
+				} );
+			} );
+
+			it( 'should not execute the codeBlockProperties command when the form is invalid', () => {
+				const executeSpy = sinon.stub( editor, 'execute' );
+
+				form.highlightLines = 'foo';
+
+				form.fire( 'submit' );
+
+				sinon.assert.notCalled( executeSpy );
+				expect( form.highlightLinesInputView.errorText ).to.be.a( 'string' );
+			} );
+		} );
 	} );
 
 	function testLanguagesList() {
@@ -0,0 +1,241 @@
+/**
+ * @license Copyright (c) 2003-2024, CKSource Holding sp. z o.o. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+
+/* globals document, Event */
+
+import CodeBlockPropertiesView from '../../src/ui/codeblockpropertiesview.js';
+import SwitchButtonView from '@ckeditor/ckeditor5-ui/src/button/switchbuttonview.js';
+import LabeledFieldView from '@ckeditor/ckeditor5-ui/src/labeledfield/labeledfieldview.js';
+import ButtonView from '@ckeditor/ckeditor5-ui/src/button/buttonview.js';
+import { keyCodes } from '@ckeditor/ckeditor5-utils/src/keyboard.js';
+import KeystrokeHandler from '@ckeditor/ckeditor5-utils/src/keystrokehandler.js';
+import FocusTracker from '@ckeditor/ckeditor5-utils/src/focustracker.js';
+import testUtils from '@ckeditor/ckeditor5-core/tests/_utils/utils.js';
+
+describe( 'CodeBlockPropertiesView', () => {
+	let view;
+
+	testUtils.createSinonSandbox();
+
+	beforeEach( () => {
+		view = new CodeBlockPropertiesView( { t: val => val } );
+		view.render();
+		document.body.appendChild( view.element );
+	} );
+
+	afterEach( () => {
+		view.element.remove();
+		view.destroy();
+	} );
+
+	describe( 'constructor()', () => {
+		it( 'should create element from template', () => {
+			expect( view.element.classList.contains( 'ck' ) ).to.be.true;
+			expect( view.element.classList.contains( 'ck-code-block-properties-form' ) ).to.be.true;
+			expect( view.element.classList.contains( 'ck-responsive-form' ) ).to.be.true;
+			expect( view.element.getAttribute( 'tabindex' ) ).to.equal( '-1' );
+		} );
+
+		it( 'should create child views', () => {
+			expect( view.lineNumbersSwitchView ).to.be.instanceOf( SwitchButtonView );
+			expect( view.titleInputView ).to.be.instanceOf( LabeledFieldView );
+			expect( view.highlightLinesInputView ).to.be.instanceOf( LabeledFieldView );
+			expect( view.saveButtonView ).to.be.instanceOf( ButtonView );
+
+			expect( view.lineNumbersSwitchView.label ).to.equal( 'Line numbers' );
+			expect( view.titleInputView.label ).to.equal( 'Title' );
+			expect( view.highlightLinesInputView.label ).to.equal( 'Highlighted lines' );
+			expect( view.highlightLinesInputView.infoText ).to.equal( 'For example: 3-5, 9' );
+			expect( view.saveButtonView.element.classList.contains( 'ck-button-save' ) ).to.be.true;
+
+			expect( view.template.children ).to.deep.equal( [
+				view.lineNumbersSwitchView,
+				view.titleInputView,
+				view.highlightLinesInputView,
+				view.saveButtonView
+			] );
+		} );
+
+		it( 'should create #focusTracker instance', () => {
+			expect( view.focusTracker ).to.be.instanceOf( FocusTracker );
+		} );
+
+		it( 'should create #keystrokes instance', () => {
+			expect( view.keystrokes ).to.be.instanceOf( KeystrokeHandler );
+		} );
+
+		it( 'should toggle the line numbers switch on execute', () => {
+			view.lineNumbersSwitchView.fire( 'execute' );
+			expect( view.lineNumbersSwitchView.isOn ).to.be.true;
+
+			view.lineNumbersSwitchView.fire( 'execute' );
+			expect( view.lineNumbersSwitchView.isOn ).to.be.false;
+		} );
+
+		it( 'should hide the form depending on #isVisible', () => {
+			expect( view.element.classList.contains( 'ck-hidden' ) ).to.be.false;
+
+			view.isVisible = false;
+
+			expect( view.element.classList.contains( 'ck-hidden' ) ).to.be.true;
+		} );
+	} );
+
+	describe( 'render()', () => {
+		it( 'should register child views in #_focusables', () => {
+			expect( view._focusables.map( f => f ) ).to.have.members( [
+				view.lineNumbersSwitchView,
+				view.titleInputView,
+				view.highlightLinesInputView,
+				view.saveButtonView
+			] );
+		} );
+
+		it( 'should register child views\' #element in #focusTracker', () => {
+			const view = new CodeBlockPropertiesView( { t: val => val } );
+			const spy = testUtils.sinon.spy( view.focusTracker, 'add' );
+
+			view.render();
+
+			sinon.assert.calledWithExactly( spy.getCall( 0 ), view.lineNumbersSwitchView.element );
+			sinon.assert.calledWithExactly( spy.getCall( 1 ), view.titleInputView.element );
+			sinon.assert.calledWithExactly( spy.getCall( 2 ), view.highlightLinesInputView.element );
+			sinon.assert.calledWithExactly( spy.getCall( 3 ), view.saveButtonView.element );
+
+			view.destroy();
+		} );
+
+		it( 'so "tab" focuses the next focusable item', () => {
+			const keyEvtData = {
+				keyCode: keyCodes.tab,
+				preventDefault: sinon.spy(),
+				stopPropagation: sinon.spy()
+			};
+
+			// Mock the title input is focused.
+			view.focusTracker.isFocused = true;
+			view.focusTracker.focusedElement = view.titleInputView.element;
+
+			const spy = sinon.spy( view.highlightLinesInputView, 'focus' );
+
+			view.keystrokes.press( keyEvtData );
+			sinon.assert.calledOnce( keyEvtData.preventDefault );
+			sinon.assert.calledOnce( keyEvtData.stopPropagation );
+			sinon.assert.calledOnce( spy );
+		} );
+
+		it( 'intercepts the arrow* events and overrides the default toolbar behavior', () => {
+			const keyEvtData = {
+				stopPropagation: sinon.spy()
+			};
+
+			keyEvtData.keyCode = keyCodes.arrowdown;
+			view.keystrokes.press( keyEvtData );
+			sinon.assert.calledOnce( keyEvtData.stopPropagation );
+
+			keyEvtData.keyCode = keyCodes.arrowup;
+			view.keystrokes.press( keyEvtData );
+			sinon.assert.calledTwice( keyEvtData.stopPropagation );
+
+			keyEvtData.keyCode = keyCodes.arrowleft;
+			view.keystrokes.press( keyEvtData );
+			sinon.assert.calledThrice( keyEvtData.stopPropagation );
+
+			keyEvtData.keyCode = keyCodes.arrowright;
+			view.keystrokes.press( keyEvtData );
+			sinon.assert.callCount( keyEvtData.stopPropagation, 4 );
+		} );
+
+		it( 'should trigger submit event', () => {
+			const spy = sinon.spy();
+
+			view.on( 'submit', spy );
+			view.element.dispatchEvent( new Event( 'submit' ) );
+
+			sinon.assert.calledOnce( spy );
+		} );
+	} );
+
+	describe( 'destroy()', () => {
+		it( 'should destroy the FocusTracker and the KeystrokeHandler instances', () => {
+			const focusTrackerSpy = sinon.spy( view.focusTracker, 'destroy' );
+			const keystrokesSpy = sinon.spy( view.keystrokes, 'destroy' );
+
+			view.destroy();
+
+			sinon.assert.calledOnce( focusTrackerSpy );
+			sinon.assert.calledOnce( keystrokesSpy );
+		} );
+	} );
+
+	describe( 'focus()', () => {
+		it( 'focuses the #lineNumbersSwitchView', () => {
+			const spy = sinon.spy( view.lineNumbersSwitchView, 'focus' );
+
+			view.focus();
+
+			sinon.assert.calledOnce( spy );
+		} );
+	} );
+
+	describe( 'properties', () => {
+		it( 'should reflect the state of the line numbers switch', () => {
+			view.showLineNumbers = true;
+
+			expect( view.lineNumbersSwitchView.isOn ).to.be.true;
+			expect( view.showLineNumbers ).to.be.true;
+		} );
+
+		it( 'should set and return the trimmed value of the title input', () => {
+			view.title = ' app.js ';
+
+			expect( view.titleInputView.fieldView.element.value ).to.equal( ' app.js ' );
+			expect( view.title ).to.equal( 'app.js' );
+		} );
+
+		it( 'should set and return the trimmed value of the highlighted lines input', () => {
+			view.highlightLines = ' 3-5 ';
+
+			expect( view.highlightLinesInputView.fieldView.element.value ).to.equal( ' 3-5 ' );
+			expect( view.highlightLines ).to.equal( '3-5' );
+		} );
+	} );
+
+	describe( 'isValid()', () => {
+		it( 'calls resetFormStatus()', () => {
+			const spy = sinon.spy( view, 'resetFormStatus' );
+
+			view.isValid();
+
+			sinon.assert.calledOnce( spy );
+		} );
+
+		it( 'returns true for the valid or empty highlighted lines', () => {
+			view.highlightLines = '';
+			expect( view.isValid() ).to.be.true;
+
+			view.highlightLines = '3-5, 9';
+			expect( view.isValid() ).to.be.true;
+			expect( view.highlightLinesInputView.errorText ).to.be.null;
+		} );
+
+		it( 'returns false and sets the error text for the invalid highlighted lines', () => {
+			view.highlightLines = '5-3';
+
+			expect( view.isValid() ).to.be.false;
+			expect( view.highlightLinesInputView.errorText ).to.equal( 'Enter the line numbers or ranges separated by commas.' );
+		} );
+	} );
+
+	describe( 'resetFormStatus()', () => {
+		it( 'resets highlightLinesInputView#errorText', () => {
+			view.highlightLinesInputView.errorText = 'foo';
+
+			view.resetFormStatus();
+
+			expect( view.highlightLinesInputView.errorText ).to.be.null;
+		} );
+	} );
+} );
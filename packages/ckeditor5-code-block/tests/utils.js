@@ -5,7 +5,7 @@
 
 import Model from '@ckeditor/ckeditor5-engine/src/model/model.js';
 
-import { canBeCodeBlock } from '../src/utils.js';
+import { canBeCodeBlock, normalizeLineRanges, parseLineRanges } from '../src/utils.js';
 
 describe( 'CodeBlock - utils', () => {
 	describe( 'canBecomeCodeBlock()', () => {
@@ -87,4 +87,40 @@ describe( 'CodeBlock - utils', () => {
 			expect( testResult ).to.be.true;
 		} );
 	} );
+
+	describe( 'parseLineRanges()', () => {
+		it( 'should parse the line numbers and the ranges of the line numbers', () => {
+			expect( parseLineRanges( '3-5,9' ) ).to.deep.equal( [ [ 3, 5 ], [ 9, 9 ] ] );
+		} );
+
+		it( 'should ignore the white spaces and the empty parts', () => {
+			expect( parseLineRanges( ' 3 - 5 , , 9, ' ) ).to.deep.equal( [ [ 3, 5 ], [ 9, 9 ] ] );
+		} );
+
+		it( 'should return an empty array for an empty value', () => {
+			expect( parseLineRanges( '' ) ).to.deep.equal( [] );
+		} );
+
+		it( 'should return null for an invalid value', () => {
+			expect( parseLineRanges( 'foo' ) ).to.be.null;
+			expect( parseLineRanges( '1,foo' ) ).to.be.null;
+			expect( parseLineRanges( '0' ) ).to.be.null;
+			expect( parseLineRanges( '5-3' ) ).to.be.null;
+			expect( parseLineRanges( '1-2-3' ) ).to.be.null;
+		} );
+	} );
+
+	describe( 'normalizeLineRanges()', () => {
+		it( 'should normalize the line numbers and the ranges of the line numbers', () => {
+			expect( normalizeLineRanges( ' 3 - 5, 9 ,7-7' ) ).to.equal( '3-5,9,7' );
+		} );
+
+		it( 'should return an empty string for an empty value', () => {
+			expect( normalizeLineRanges( ' ' ) ).to.equal( '' );
+		} );
+
+		it( 'should return null for an invalid value', () => {
+			expect( normalizeLineRanges( '1,foo' ) ).to.be.null;
+		} );
+	} );
 } );
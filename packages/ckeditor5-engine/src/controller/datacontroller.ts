@@ -39,11 +39,13 @@ import type ModelText from '../model/text.js';
 import type ModelElement from '../model/element.js';
 import type ModelTextProxy from '../model/textproxy.js';
 import type ModelDocumentFragment from '../model/documentfragment.js';
+import type ModelRootElement from '../model/rootelement.js';
 import type { SchemaContextDefinition } from '../model/schema.js';
 import type { BatchType } from '../model/batch.js';
 import { autoParagraphEmptyRoots } from '../model/utils/autoparagraphing.js';
 
 import HtmlDataProcessor from '../dataprocessor/htmldataprocessor.js';
+import JsonDataProcessor, { type ModelJsonData } from '../dataprocessor/jsondataprocessor.js';
 import type DataProcessor from '../dataprocessor/dataprocessor.js';
 
 /**
@@ -107,6 +109,11 @@ export default class DataController extends /* #__PURE__ */ EmitterMixin() {
 	 */
 	public processor: DataProcessor;
 
+	/**
+	 * Data processor used by the {@link #toJSON} and {@link #fromJSON} methods to convert the model data to JSON and back.
+	 */
+	public readonly jsonProcessor: JsonDataProcessor;
+
 	/**
 	 * The view downcast writer just for data conversion purposes, i.e. to modify
 	 * the {@link #viewDocument}.
@@ -140,6 +147,7 @@ export default class DataController extends /* #__PURE__ */ EmitterMixin() {
 		this.stylesProcessor = stylesProcessor;
 		this.htmlProcessor = new HtmlDataProcessor( this.viewDocument );
 		this.processor = this.htmlProcessor;
+		this.jsonProcessor = new JsonDataProcessor( model );
 		this._viewWriter = new ViewDowncastWriter( this.viewDocument );
 
 		// Define default converters for text and elements.
@@ -153,6 +161,7 @@ export default class DataController extends /* #__PURE__ */ EmitterMixin() {
 
 		ObservableMixin().prototype.decorate.call( this, 'init' as any );
 		ObservableMixin().prototype.decorate.call( this, 'set' as any );
+		ObservableMixin().prototype.decorate.call( this, 'fromJSON' as any );
 		ObservableMixin().prototype.decorate.call( this, 'get' as any );
 		ObservableMixin().prototype.decorate.call( this, 'toView' as any );
 		ObservableMixin().prototype.decorate.call( this, 'toModel' as any );
@@ -453,6 +462,126 @@ export default class DataController extends /* #__PURE__ */ EmitterMixin() {
 		} );
 	}
 
+	/**
+	 * Returns the model data of the given roots (all attached roots by default) converted to JSON by the {@link #jsonProcessor}.
+	 * Unlike the {@link #get} method, it does not use the converters, so all model attributes are preserved, including those
+	 * that are not converted to the view. The data includes the root attributes and the markers that
+	 * {@link module:engine/model/markercollection~Marker#affectsData affect the data}.
+	 *
+	 * ```ts
+	 * const data = editor.data.toJSON(); // -> { version: 1, roots: { main: { ... } }, markers: { ... } }
+	 *
+	 * // The data can be restored with the `fromJSON()` method.
+	 * editor.data.fromJSON( data );
+	 * ```
+	 *
+	 * @param options Additional configuration for the retrieved data.
+	 * @param options.rootNames The names of the roots to retrieve the data from. All attached roots by default.
+	 * @returns The JSON-serializable model data.
+	 */
+	public toJSON( options: { rootNames?: Array<string> } = {} ): ModelJsonData {
+		const { rootNames = this.model.document.getRootNames() } = options;
+
+		if ( !this._checkIfRootsExists( rootNames ) ) {
+			/**
+			 * Cannot get the JSON data from a non-existent root. This error is thrown when the
+			 * {@link module:engine/controller/datacontroller~DataController#toJSON `DataController#toJSON()` method}
+			 * is called with a non-existent root name.
+			 *
+			 * @error datacontroller-tojson-non-existent-root
+			 */
+			throw new CKEditorError( 'datacontroller-tojson-non-existent-root', this );
+		}
+
+		return this.jsonProcessor.toJSON( rootNames );
+	}
+
+	/**
+	 * Sets the model data from JSON created by the {@link #toJSON} method. The content and the attributes of the roots included
+	 * in the data are replaced, as well as the markers affecting the data in these roots. The other roots are not changed.
+	 *
+	 * The data is validated against the {@link module:engine/model/schema~Schema schema} before the document is changed.
+	 * An error is thrown if the data has an unsupported version, contains nodes or attributes that are not allowed
+	 * in their places, or contains incorrect marker ranges.
+	 *
+	 * Just like with the {@link #set} method, by default the batch is not undoable and the undo stack is cleared after
+	 * the new data is applied.
+	 *
+	 * @fires fromJSON
+	 * @param data The JSON data.
+	 * @param options Options for setting data.
+	 * @param options.batchType The batch type that will be used to create a batch for the changes applied by this method.
+	 * See the {@link #set} method.
+	 */
+	public fromJSON(
+		data: ModelJsonData,
+		options: {
+			batchType?: BatchType;
+		} = {}
+	): void {
+		const rootNames = Object.keys( data && data.roots || {} );
+
+		if ( !this._checkIfRootsExists( rootNames ) ) {
+			/**
+			 * Cannot set the JSON data on a non-existent root. This error is thrown when the
+			 * {@link module:engine/controller/datacontroller~DataController#fromJSON `DataController#fromJSON()` method}
+			 * is called with data containing a non-existent root name.
+			 *
+			 * @error datacontroller-fromjson-non-existent-root
+			 */
+			throw new CKEditorError( 'datacontroller-fromjson-non-existent-root', this );
+		}
+
+		this.model.enqueueChange( options.batchType || {}, writer => {
+			// Convert and validate the whole data first, so the document is not changed if the data is incorrect.
+			const fragments = this.jsonProcessor.toModel( data, writer );
+			const markers = data.markers || {};
+
+			writer.setSelection( null );
+			writer.removeSelectionAttribute( this.model.document.selection.getAttributeKeys() );
+
+			for ( const marker of Array.from( this.model.markers ) ) {
+				const root = marker.getRange().root as ModelRootElement;
+
+				if ( marker.affectsData && rootNames.includes( root.rootName ) && !markers[ marker.name ] ) {
+					writer.removeMarker( marker );
+				}
+			}
+
+			for ( const rootName of rootNames ) {
+				const modelRoot = this.model.document.getRoot( rootName )!;
+				const attributes = data.roots[ rootName ].attributes || {};
+
+				writer.remove( writer.createRangeIn( modelRoot ) );
+				writer.insert( fragments[ rootName ], modelRoot, 0 );
+
+				for ( const key of Array.from( modelRoot.getAttributeKeys() ) ) {
+					if ( !( key in attributes ) ) {
+						writer.removeAttribute( key, modelRoot );
+					}
+				}
+
+				for ( const [ key, value ] of Object.entries( attributes ) ) {
+					writer.setAttribute( key, value, modelRoot );
+				}
+			}
+
+			for ( const [ name, { rootName, start, end, usingOperation = false } ] of Object.entries( markers ) ) {
+				const modelRoot = this.model.document.getRoot( rootName )!;
+				const range = writer.createRange(
+					writer.createPositionFromPath( modelRoot, start ),
+					writer.createPositionFromPath( modelRoot, end )
+				);
+
+				if ( this.model.markers.has( name ) ) {
+					writer.updateMarker( name, { range, usingOperation, affectsData: true } );
+				} else {
+					writer.addMarker( name, { range, usingOperation, affectsData: true } );
+				}
+			}
+		} );
+	}
+
 	/**
 	 * Returns the data parsed by the {@link #processor data processor} and then converted by upcast converters
 	 * attached to the {@link #upcastDispatcher}.
@@ -591,6 +720,20 @@ export type DataControllerSetEvent = {
 	return: ReturnType<DataController[ 'set' ]>;
 };
 
+/**
+ * An event fired after the {@link ~DataController#fromJSON fromJSON() method} has been run.
+ *
+ * The `fromJSON` event is fired by the decorated {@link ~DataController#fromJSON} method.
+ * See {@link module:utils/observablemixin~Observable#decorate} for more information and samples.
+ *
+ * @eventName ~DataController#fromJSON
+ */
+export type DataControllerFromJSONEvent = {
+	name: 'fromJSON';
+	args: [ Parameters<DataController[ 'fromJSON' ]> ];
+	return: ReturnType<DataController[ 'fromJSON' ]>;
+};
+
 /**
  * Event fired after the {@link ~DataController#get get() method} has been run.
  *
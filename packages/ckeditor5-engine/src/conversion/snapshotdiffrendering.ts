@@ -0,0 +1,152 @@
+/**
+ * @license Copyright (c) 2003-2024, CKSource Holding sp. z o.o. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+
+/**
+ * @module engine/conversion/snapshotdiffrendering
+ */
+
+import { CKEditorError, uid } from '@ckeditor/ckeditor5-utils';
+
+import DowncastHelpers from './downcasthelpers.js';
+import { getSnapshotNodesText, type ModelSnapshotDiff } from '../model/snapshot.js';
+
+import type EditingController from '../controller/editingcontroller.js';
+
+import '../../theme/snapshotdiff.css';
+
+/**
+ * The removed content displayed by the markers, by the marker names. Stored per editing controller, so the converters
+ * are registered only once.
+ */
+const removedContents = new WeakMap<EditingController, Map<string, { text: string; isBlock: boolean }>>();
+
+/**
+ * Displays the {@link module:engine/model/snapshot~diffModelSnapshots difference between two model snapshots} in the editing view.
+ * The diff must be computed against the current state of the document.
+ *
+ * The changes are displayed using the markers that do not affect the editor data:
+ *
+ * * The inserted content is highlighted with the `ck-snapshot-diff_inserted` class.
+ * * The content with changed attributes is highlighted with the `ck-snapshot-diff_changed` class.
+ * * The removed content is displayed (as a text) in the UI element with the `ck-snapshot-diff_removed` class,
+ * placed where the content was.
+ *
+ * ```ts
+ * const diff = diffModelSnapshots( savedSnapshot, createModelSnapshot( editor.model ) );
+ * const hideDiff = renderModelSnapshotDiff( editor.editing, diff );
+ *
+ * // Later on:
+ * hideDiff();
+ * ```
+ *
+ * The markers are not updated when the document changes, so the diff should be hidden (and computed again) after that.
+ *
+ * @param editing The editing controller of the editor.
+ * @param diff The difference between the snapshots.
+ * @returns The callback hiding the difference.
+ */
+export function renderModelSnapshotDiff( editing: EditingController, diff: ModelSnapshotDiff ): () => void {
+	const model = editing.model;
+
+	if ( model.document.version != diff.newVersion ) {
+		/**
+		 * The snapshot diff can be rendered only if it was computed against the current state of the document.
+		 *
+		 * @error snapshot-diff-rendering-outdated-diff
+		 * @param diffVersion The document version of the new snapshot in the diff.
+		 * @param documentVersion The current document version.
+		 */
+		throw new CKEditorError( 'snapshot-diff-rendering-outdated-diff', null, {
+			diffVersion: diff.newVersion,
+			documentVersion: model.document.version
+		} );
+	}
+
+	const contents = getRemovedContents( editing );
+	const markerNames: Array<string> = [];
+
+	model.change( writer => {
+		for ( const change of diff.changes ) {
+			if ( change.type != 'insert' && change.type != 'remove' && change.type != 'attribute' ) {
+				continue;
+			}
+
+			const root = model.document.getRoot( change.rootName )!;
+			const start = model.createPositionFromPath( root, change.path );
+			const end = change.type == 'remove' ? start : start.getShiftedBy( change.length );
+			const name = `snapshotDiff:${ change.type }:${ uid() }`;
+
+			if ( change.type == 'remove' ) {
+				contents.set( name, {
+					text: getSnapshotNodesText( change.nodes ),
+					isBlock: change.nodes.some( node => 'name' in node )
+				} );
+			}
+
+			writer.addMarker( name, { range: model.createRange( start, end ), usingOperation: false, affectsData: false } );
+			markerNames.push( name );
+		}
+	} );
+
+	return () => {
+		model.change( writer => {
+			for ( const name of markerNames ) {
+				if ( model.markers.has( name ) ) {
+					writer.removeMarker( name );
+				}
+
+				contents.delete( name );
+			}
+		} );
+	};
+}
+
+/**
+ * Returns the removed contents for the editing controller, registering the converters displaying the snapshot diff markers first
+ * if needed.
+ */
+function getRemovedContents( editing: EditingController ) {
+	if ( removedContents.has( editing ) ) {
+		return removedContents.get( editing )!;
+	}
+
+	const contents = new Map<string, { text: string; isBlock: boolean }>();
+	const helpers = new DowncastHelpers( [ editing.downcastDispatcher ] );
+
+	helpers.markerToHighlight( {
+		model: 'snapshotDiff:insert',
+		view: { classes: 'ck-snapshot-diff_inserted' }
+	} );
+
+	helpers.markerToHighlight( {
+		model: 'snapshotDiff:attribute',
+		view: { classes: 'ck-snapshot-diff_changed' }
+	} );
+
+	helpers.markerToElement( {
+		model: 'snapshotDiff:remove',
+		view: ( data, { writer } ) => {
+			const content = contents.get( data.markerName );
+
+			if ( !content ) {
+				return null;
+			}
+
+			const attributes = { class: 'ck-snapshot-diff_removed' };
+
+			return writer.createUIElement( content.isBlock ? 'div' : 'span', attributes, function( domDocument ) {
+				const domElement = this.toDomElement( domDocument );
+
+				domElement.textContent = content.text;
+
+				return domElement;
+			} );
+		}
+	} );
+
+	removedContents.set( editing, contents );
+
+	return contents;
+}
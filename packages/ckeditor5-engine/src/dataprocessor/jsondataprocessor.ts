@@ -0,0 +1,423 @@
+/**
+ * @license Copyright (c) 2003-2024, CKSource Holding sp. z o.o. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+
+/**
+ * @module engine/dataprocessor/jsondataprocessor
+ */
+
+import { CKEditorError } from '@ckeditor/ckeditor5-utils';
+import { isPlainObject } from 'lodash-es';
+
+import Position from '../model/position.js';
+
+import type Model from '../model/model.js';
+import type ModelDocumentFragment from '../model/documentfragment.js';
+import type ModelElement from '../model/element.js';
+import type ModelNode from '../model/node.js';
+import type RootElement from '../model/rootelement.js';
+import type Writer from '../model/writer.js';
+
+/**
+ * The version of the JSON data format produced by the {@link module:engine/dataprocessor/jsondataprocessor~JsonDataProcessor}.
+ * It is increased whenever the format changes in a backward incompatible way.
+ */
+export const JSON_DATA_VERSION = 1;
+
+/**
+ * The JSON data processor class. It converts the model roots directly to a JSON-serializable object and back, without
+ * the view and the HTML conversion, so the attributes existing only in the model are preserved.
+ *
+ * Unlike the other data processors, it does not implement the {@link module:engine/dataprocessor/dataprocessor~DataProcessor}
+ * interface, as it does not operate on the view. It is used by the
+ * {@link module:engine/controller/datacontroller~DataController#toJSON `DataController#toJSON()`} and
+ * {@link module:engine/controller/datacontroller~DataController#fromJSON `DataController#fromJSON()`} methods:
+ *
+ * ```ts
+ * const data = editor.data.toJSON();
+ * // -> { version: 1, roots: { main: { children: [ { name: 'paragraph', children: [ { text: 'Foo' } ] } ] } }, markers: {} }
+ *
+ * editor.data.fromJSON( data );
+ * ```
+ *
+ * The data is validated against the {@link module:engine/model/schema~Schema schema} when it is converted to the model.
+ */
+export default class JsonDataProcessor {
+	/**
+	 * The model whose data is processed.
+	 */
+	public readonly model: Model;
+
+	/**
+	 * Creates a new instance of the JSON data processor class.
+	 *
+	 * @param model The model whose data is processed.
+	 */
+	constructor( model: Model ) {
+		this.model = model;
+	}
+
+	/**
+	 * Converts the model roots to the JSON data. The data includes the content and the attributes of the roots and the markers
+	 * that {@link module:engine/model/markercollection~Marker#affectsData affect the data} and are placed in these roots.
+	 *
+	 * @param rootNames The names of the roots to convert.
+	 */
+	public toJSON( rootNames: Array<string> ): ModelJsonData {
+		const roots: Record<string, ModelJsonRoot> = {};
+		const markers: Record<string, ModelJsonMarker> = {};
+
+		for ( const rootName of rootNames ) {
+			const root = this.model.document.getRoot( rootName )!;
+			const attributes = getJsonAttributes( root );
+
+			roots[ rootName ] = {
+				...( attributes && { attributes } ),
+				children: Array.from( root.getChildren(), createJsonNode )
+			};
+		}
+
+		for ( const marker of this.model.markers ) {
+			const range = marker.getRange();
+			const rootName = ( range.root as RootElement ).rootName;
+
+			if ( marker.affectsData && roots[ rootName ] ) {
+				markers[ marker.name ] = {
+					rootName,
+					start: range.start.path.slice(),
+					end: range.end.path.slice(),
+					usingOperation: marker.managedUsingOperations
+				};
+			}
+		}
+
+		return { version: JSON_DATA_VERSION, roots, markers };
+	}
+
+	/**
+	 * Converts the content of the roots in the JSON data to the model document fragments, one for each root.
+	 *
+	 * All roots in the data must exist in the document. The data is validated before anything is returned: the content and
+	 * the attributes of each root must be allowed in that root by the {@link module:engine/model/schema~Schema schema}
+	 * and the marker ranges must be correct in the converted content.
+	 *
+	 * @param data The JSON data.
+	 * @param writer The model writer.
+	 * @returns The document fragments with the content of the roots, by the root names.
+	 */
+	public toModel( data: ModelJsonData, writer: Writer ): Record<string, ModelDocumentFragment> {
+		if ( !isPlainObject( data ) || data.version !== JSON_DATA_VERSION ) {
+			/**
+			 * The JSON data has a version that is not supported by the
+			 * {@link module:engine/dataprocessor/jsondataprocessor~JsonDataProcessor} (or no version at all).
+			 *
+			 * @error jsondataprocessor-unsupported-version
+			 * @param version The version of the data.
+			 * @param supportedVersion The version of the data supported by the processor.
+			 */
+			throw new CKEditorError( 'jsondataprocessor-unsupported-version', this, {
+				version: data && data.version,
+				supportedVersion: JSON_DATA_VERSION
+			} );
+		}
+
+		const fragments: Record<string, ModelDocumentFragment> = {};
+
+		for ( const [ rootName, rootData ] of Object.entries( data.roots || {} ) ) {
+			if ( !isPlainObject( rootData ) || !Array.isArray( rootData.children ) || !isValidAttributes( rootData.attributes ) ) {
+				throwInvalidNodeError( this, rootName, [] );
+			}
+
+			const root = this.model.document.getRoot( rootName )!;
+
+			for ( const key of Object.keys( rootData.attributes || {} ) ) {
+				if ( !this.model.schema.checkAttribute( root, key ) ) {
+					throw new CKEditorError( 'jsondataprocessor-disallowed-attribute', this, { rootName, path: [], key } );
+				}
+			}
+
+			const fragment = writer.createDocumentFragment();
+
+			this._appendNodes( rootData.children, fragment, [ root ], rootName, [], writer );
+
+			fragments[ rootName ] = fragment;
+		}
+
+		for ( const [ name, markerData ] of Object.entries( data.markers || {} ) ) {
+			const fragment = isPlainObject( markerData ) && fragments[ markerData.rootName ];
+
+			if ( !fragment || !isValidRange( fragment, markerData.start, markerData.end ) ) {
+				/**
+				 * The JSON data contains a marker with an incorrect range or in a root that is not included in the data.
+				 *
+				 * @error jsondataprocessor-invalid-marker
+				 * @param name The name of the marker.
+				 */
+				throw new CKEditorError( 'jsondataprocessor-invalid-marker', this, { name } );
+			}
+		}
+
+		return fragments;
+	}
+
+	/**
+	 * Creates the model nodes from the JSON nodes and appends them to the parent, checking them against the schema.
+	 *
+	 * @param nodes The JSON nodes.
+	 * @param parent The parent of the created nodes.
+	 * @param context The schema context of the created nodes: the root and the created ancestors.
+	 * @param rootName The name of the root (for the error messages).
+	 * @param parentPath The path of the parent (for the error messages).
+	 * @param writer The model writer.
+	 */
+	private _appendNodes(
+		nodes: Array<ModelJsonNode>,
+		parent: ModelElement | ModelDocumentFragment,
+		context: Array<ModelNode>,
+		rootName: string,
+		parentPath: Array<number>,
+		writer: Writer
+	): void {
+		const schema = this.model.schema;
+
+		for ( const nodeData of nodes ) {
+			const path = [ ...parentPath, parent.maxOffset ];
+
+			if ( !isPlainObject( nodeData ) || !isValidAttributes( nodeData.attributes ) ) {
+				throwInvalidNodeError( this, rootName, path );
+			}
+
+			let node: ModelNode;
+
+			if ( 'text' in nodeData && typeof nodeData.text == 'string' && nodeData.text ) {
+				node = writer.createText( nodeData.text, nodeData.attributes );
+			} else if ( 'name' in nodeData && typeof nodeData.name == 'string' && isValidChildren( nodeData.children ) ) {
+				node = writer.createElement( nodeData.name, nodeData.attributes );
+			} else {
+				throwInvalidNodeError( this, rootName, path );
+			}
+
+			if ( !schema.checkChild( context, node ) ) {
+				/**
+				 * The node in the JSON data is not allowed in its place by the {@link module:engine/model/schema~Schema schema}.
+				 *
+				 * @error jsondataprocessor-disallowed-node
+				 * @param rootName The name of the root.
+				 * @param path The path of the node in the root.
+				 */
+				throw new CKEditorError( 'jsondataprocessor-disallowed-node', this, { rootName, path } );
+			}
+
+			for ( const key of node.getAttributeKeys() ) {
+				if ( !schema.checkAttribute( [ ...context, node ], key ) ) {
+					/**
+					 * The attribute in the JSON data is not allowed on its node by the {@link module:engine/model/schema~Schema schema}.
+					 *
+					 * @error jsondataprocessor-disallowed-attribute
+					 * @param rootName The name of the root.
+					 * @param path The path of the node in the root (an empty path for the attributes of the root).
+					 * @param key The key of the attribute.
+					 */
+					throw new CKEditorError( 'jsondataprocessor-disallowed-attribute', this, { rootName, path, key } );
+				}
+			}
+
+			writer.append( node, parent );
+
+			if ( node.is( 'element' ) && 'children' in nodeData && nodeData.children ) {
+				this._appendNodes( nodeData.children, node, [ ...context, node ], rootName, path, writer );
+			}
+		}
+	}
+}
+
+/**
+ * The JSON representation of the model data created by the {@link module:engine/dataprocessor/jsondataprocessor~JsonDataProcessor}.
+ */
+export interface ModelJsonData {
+
+	/**
+	 * The version of the data format. See {@link module:engine/dataprocessor/jsondataprocessor~JSON_DATA_VERSION}.
+	 */
+	version: number;
+
+	/**
+	 * The content and the attributes of the roots, by the root names.
+	 */
+	roots: Record<string, ModelJsonRoot>;
+
+	/**
+	 * The markers, by the marker names.
+	 */
+	markers: Record<string, ModelJsonMarker>;
+}
+
+/**
+ * The attributes of a node in the {@link module:engine/dataprocessor/jsondataprocessor~ModelJsonData JSON data}.
+ */
+export type ModelJsonAttributes = Record<string, unknown>;
+
+/**
+ * A root in the {@link module:engine/dataprocessor/jsondataprocessor~ModelJsonData JSON data}.
+ */
+export interface ModelJsonRoot {
+
+	/**
+	 * The attributes of the root. Omitted if the root has no attributes.
+	 */
+	attributes?: ModelJsonAttributes;
+	children: Array<ModelJsonNode>;
+}
+
+/**
+ * An element in the {@link module:engine/dataprocessor/jsondataprocessor~ModelJsonData JSON data}.
+ */
+export interface ModelJsonElement {
+	name: string;
+
+	/**
+	 * The attributes of the element. Omitted if the element has no attributes.
+	 */
+	attributes?: ModelJsonAttributes;
+
+	/**
+	 * The children of the element. Omitted if the element is empty.
+	 */
+	children?: Array<ModelJsonNode>;
+}
+
+/**
+ * A text node in the {@link module:engine/dataprocessor/jsondataprocessor~ModelJsonData JSON data}.
+ */
+export interface ModelJsonText {
+	text: string;
+
+	/**
+	 * The attributes of the text. Omitted if the text has no attributes.
+	 */
+	attributes?: ModelJsonAttributes;
+}
+
+/**
+ * A node in the {@link module:engine/dataprocessor/jsondataprocessor~ModelJsonData JSON data}.
+ */
+export type ModelJsonNode = ModelJsonElement | ModelJsonText;
+
+/**
+ * A marker in the {@link module:engine/dataprocessor/jsondataprocessor~ModelJsonData JSON data}.
+ */
+export interface ModelJsonMarker {
+
+	/**
+	 * The name of the root containing the marker.
+	 */
+	rootName: string;
+
+	/**
+	 * The path of the marker range start in the root.
+	 */
+	start: Array<number>;
+
+	/**
+	 * The path of the marker range end in the root.
+	 */
+	end: Array<number>;
+
+	/**
+	 * Whether the marker is {@link module:engine/model/markercollection~Marker#managedUsingOperations managed using operations}.
+	 */
+	usingOperation?: boolean;
+}
+
+/**
+ * Creates the JSON representation of the model node.
+ */
+function createJsonNode( node: ModelNode ): ModelJsonNode {
+	const attributes = getJsonAttributes( node );
+
+	if ( node.is( '$text' ) ) {
+		return { text: node.data, ...( attributes && { attributes } ) };
+	}
+
+	const element = node as ModelElement;
+
+	return {
+		name: element.name,
+		...( attributes && { attributes } ),
+		...( !element.isEmpty && { children: Array.from( element.getChildren(), createJsonNode ) } )
+	};
+}
+
+/**
+ * Returns the attributes of the model node sorted by their keys or `null` if the node has no attributes.
+ */
+function getJsonAttributes( node: ModelNode ): ModelJsonAttributes | null {
+	const attributes = Array.from( node.getAttributes() ).sort( ( [ a ], [ b ] ) => a < b ? -1 : 1 );
+
+	return attributes.length ? Object.fromEntries( attributes ) : null;
+}
+
+/**
+ * Checks if the attributes in the JSON data are either omitted or an object.
+ */
+function isValidAttributes( attributes: unknown ): boolean {
+	return attributes === undefined || isPlainObject( attributes );
+}
+
+/**
+ * Checks if the children in the JSON data are either omitted or an array.
+ */
+function isValidChildren( children: unknown ): boolean {
+	return children === undefined || Array.isArray( children );
+}
+
+/**
+ * Checks if the paths point to the correct positions in the document fragment and the start is not after the end.
+ */
+function isValidRange( fragment: ModelDocumentFragment, start: unknown, end: unknown ): boolean {
+	if ( !isValidPath( fragment, start ) || !isValidPath( fragment, end ) ) {
+		return false;
+	}
+
+	return !new Position( fragment, start as Array<number> ).isAfter( new Position( fragment, end as Array<number> ) );
+}
+
+/**
+ * Checks if the path points to a correct position in the document fragment: all offsets but the last must point
+ * to the elements and the last one must not exceed the size of its parent.
+ */
+function isValidPath( fragment: ModelDocumentFragment, path: unknown ): boolean {
+	if ( !Array.isArray( path ) || !path.length || !path.every( offset => Number.isInteger( offset ) && offset >= 0 ) ) {
+		return false;
+	}
+
+	let parent: ModelElement | ModelDocumentFragment = fragment;
+
+	for ( const offset of path.slice( 0, -1 ) ) {
+		const node: ModelNode | null = offset < parent.maxOffset ? parent.getChild( parent.offsetToIndex( offset ) ) : null;
+
+		if ( !node || !node.is( 'element' ) || node.startOffset != offset ) {
+			return false;
+		}
+
+		parent = node;
+	}
+
+	return path[ path.length - 1 ] <= parent.maxOffset;
+}
+
+/**
+ * Throws the error about the incorrect node in the JSON data.
+ */
+function throwInvalidNodeError( context: JsonDataProcessor, rootName: string, path: Array<number> ): never {
+	/**
+	 * The JSON data contains a node with an incorrect structure. Each element must have the `name`, each text node must have
+	 * a non-empty `text` and the `attributes` and `children` (if present) must be an object and an array.
+	 *
+	 * @error jsondataprocessor-invalid-node
+	 * @param rootName The name of the root.
+	 * @param path The path of the node in the root (an empty path means the root itself).
+	 */
+	throw new CKEditorError( 'jsondataprocessor-invalid-node', context, { rootName, path } );
+}
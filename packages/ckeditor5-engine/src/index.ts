@@ -15,6 +15,7 @@ export {
 	default as DataController,
 	type DataControllerInitEvent,
 	type DataControllerSetEvent,
+	type DataControllerFromJSONEvent,
 	type DataControllerToModelEvent,
 	type DataControllerToViewEvent
 } from './controller/datacontroller.js';
@@ -54,10 +55,22 @@ export type {
 } from './conversion/mapper.js';
 export type { default as ModelConsumable } from './conversion/modelconsumable.js';
 export type { Consumables, default as ViewConsumable } from './conversion/viewconsumable.js';
+export { renderModelSnapshotDiff } from './conversion/snapshotdiffrendering.js';
 
 // DataProcessor.
 export type { default as DataProcessor } from './dataprocessor/dataprocessor.js';
 export { default as HtmlDataProcessor } from './dataprocessor/htmldataprocessor.js';
+export {
+	default as JsonDataProcessor,
+	JSON_DATA_VERSION,
+	type ModelJsonData,
+	type ModelJsonAttributes,
+	type ModelJsonRoot,
+	type ModelJsonElement,
+	type ModelJsonText,
+	type ModelJsonNode,
+	type ModelJsonMarker
+} from './dataprocessor/jsondataprocessor.js';
 
 // Model / Operation.
 export type { default as Operation } from './model/operation/operation.js';
@@ -109,6 +122,26 @@ export type {
 export type { default as Selection, Selectable } from './model/selection.js';
 export type { default as TypeCheckable } from './model/typecheckable.js';
 export type { default as Writer } from './model/writer.js';
+export {
+	createModelSnapshot,
+	diffModelSnapshots,
+	getSnapshotNodesText,
+	type ModelSnapshot,
+	type ModelSnapshotAttributes,
+	type ModelSnapshotRoot,
+	type ModelSnapshotElement,
+	type ModelSnapshotText,
+	type ModelSnapshotNode,
+	type ModelSnapshotRange,
+	type ModelSnapshotDiff,
+	type ModelSnapshotChange,
+	type ModelSnapshotInsertChange,
+	type ModelSnapshotRemoveChange,
+	type ModelSnapshotAttributeChange,
+	type ModelSnapshotRootChange,
+	type ModelSnapshotRootAttributeChange,
+	type ModelSnapshotMarkerChange
+} from './model/snapshot.js';
 
 // Model Events.
 export type { DocumentChangeEvent } from './model/document.js';
@@ -0,0 +1,647 @@
+/**
+ * @license Copyright (c) 2003-2024, CKSource Holding sp. z o.o. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+
+/**
+ * @module engine/model/snapshot
+ */
+
+import { isEqual } from 'lodash-es';
+
+import type Element from './element.js';
+import type Model from './model.js';
+import type Node from './node.js';
+import type RootElement from './rootelement.js';
+
+/**
+ * Takes a snapshot of the current state of the {@link module:engine/model/document~Document model document}: the content and
+ * the attributes of all attached roots and the ranges of all {@link module:engine/model/markercollection~Marker markers}.
+ *
+ * The snapshot is a plain object that can be serialized with `JSON.stringify()` (as long as the attribute values
+ * can be serialized) and compared with another snapshot using
+ * {@link module:engine/model/snapshot~diffModelSnapshots `diffModelSnapshots()`}:
+ *
+ * ```ts
+ * const before = createModelSnapshot( editor.model );
+ *
+ * // ...
+ *
+ * const diff = diffModelSnapshots( before, createModelSnapshot( editor.model ) );
+ * ```
+ *
+ * @param model The model to take the snapshot of.
+ */
+export function createModelSnapshot( model: Model ): ModelSnapshot {
+	const roots: Record<string, ModelSnapshotRoot> = {};
+	const markers: Record<string, ModelSnapshotRange> = {};
+
+	for ( const root of model.document.getRoots() ) {
+		roots[ root.rootName ] = {
+			name: root.name,
+			attributes: getSnapshotAttributes( root ),
+			children: Array.from( root.getChildren(), createSnapshotNode )
+		};
+	}
+
+	for ( const marker of model.markers ) {
+		const range = marker.getRange();
+		const rootName = ( range.root as RootElement ).rootName;
+
+		if ( roots[ rootName ] ) {
+			markers[ marker.name ] = { rootName, start: range.start.path.slice(), end: range.end.path.slice() };
+		}
+	}
+
+	return { version: model.document.version, roots, markers };
+}
+
+/**
+ * Computes the structural difference between two {@link module:engine/model/snapshot~createModelSnapshot model snapshots}.
+ *
+ * The content of the roots is compared node by node (and character by character in texts). The nodes with the same content
+ * are matched first. Then, the remaining elements with the same names and the remaining characters are matched to detect
+ * the attribute changes and the changes inside the elements. The nodes that could not be matched are reported as inserted
+ * or removed. The renamed elements are reported as removed and inserted.
+ *
+ * The changes are listed in the document order. The positions of all changes are expressed as
+ * {@link module:engine/model/position~Position#path paths} in the new snapshot, so they can be used to mark the changes
+ * in the document that the new snapshot was taken of. The removed and modified content has also the paths in the old snapshot.
+ *
+ * @param oldSnapshot The snapshot of the older state of the document.
+ * @param newSnapshot The snapshot of the newer state of the document.
+ */
+export function diffModelSnapshots( oldSnapshot: ModelSnapshot, newSnapshot: ModelSnapshot ): ModelSnapshotDiff {
+	const changes: Array<ModelSnapshotChange> = [];
+
+	for ( const rootName of Object.keys( oldSnapshot.roots ) ) {
+		if ( !newSnapshot.roots[ rootName ] ) {
+			changes.push( { type: 'removeRoot', rootName } );
+		}
+	}
+
+	for ( const [ rootName, newRoot ] of Object.entries( newSnapshot.roots ) ) {
+		const oldRoot = oldSnapshot.roots[ rootName ];
+
+		if ( !oldRoot ) {
+			changes.push( { type: 'addRoot', rootName } );
+
+			continue;
+		}
+
+		for ( const { key, oldValue, newValue } of diffAttributes( oldRoot.attributes, newRoot.attributes ) ) {
+			changes.push( { type: 'rootAttribute', rootName, key, oldValue, newValue } );
+		}
+
+		diffChildren( oldRoot.children, newRoot.children, { rootName, oldPath: [], newPath: [], changes } );
+	}
+
+	const markerNames = new Set( [ ...Object.keys( oldSnapshot.markers ), ...Object.keys( newSnapshot.markers ) ] );
+
+	for ( const name of markerNames ) {
+		const oldRange = oldSnapshot.markers[ name ] || null;
+		const newRange = newSnapshot.markers[ name ] || null;
+
+		if ( !isEqual( oldRange, newRange ) ) {
+			changes.push( { type: 'marker', name, oldRange, newRange } );
+		}
+	}
+
+	return {
+		oldVersion: oldSnapshot.version,
+		newVersion: newSnapshot.version,
+		changes
+	};
+}
+
+/**
+ * Returns the text contents of the snapshot nodes. The contents of the block elements are separated by line breaks.
+ *
+ * @param nodes The snapshot nodes.
+ */
+export function getSnapshotNodesText( nodes: Array<ModelSnapshotNode> ): string {
+	return nodes
+		.map( node => 'data' in node ? node.data : getSnapshotNodesText( node.children ) )
+		.join( nodes.some( node => 'name' in node ) ? '\n' : '' );
+}
+
+/**
+ * A snapshot of the model document created by {@link module:engine/model/snapshot~createModelSnapshot `createModelSnapshot()`}.
+ */
+export interface ModelSnapshot {
+
+	/**
+	 * The {@link module:engine/model/document~Document#version version of the document} when the snapshot was taken.
+	 */
+	version: number;
+
+	/**
+	 * The snapshots of the attached roots, by the root names.
+	 */
+	roots: Record<string, ModelSnapshotRoot>;
+
+	/**
+	 * The ranges of the markers, by the marker names.
+	 */
+	markers: Record<string, ModelSnapshotRange>;
+}
+
+/**
+ * The attributes of a node in the {@link module:engine/model/snapshot~ModelSnapshot model snapshot}, sorted by their keys.
+ */
+export type ModelSnapshotAttributes = Record<string, unknown>;
+
+/**
+ * A root in the {@link module:engine/model/snapshot~ModelSnapshot model snapshot}.
+ */
+export interface ModelSnapshotRoot {
+
+	/**
+	 * The name of the root element, e.g. `'$root'`.
+	 */
+	name: string;
+	attributes: ModelSnapshotAttributes;
+	children: Array<ModelSnapshotNode>;
+}
+
+/**
+ * An element in the {@link module:engine/model/snapshot~ModelSnapshot model snapshot}.
+ */
+export interface ModelSnapshotElement {
+	name: string;
+	attributes: ModelSnapshotAttributes;
+	children: Array<ModelSnapshotNode>;
+}
+
+/**
+ * A text node in the {@link module:engine/model/snapshot~ModelSnapshot model snapshot}.
+ */
+export interface ModelSnapshotText {
+	data: string;
+	attributes: ModelSnapshotAttributes;
+}
+
+/**
+ * A node in the {@link module:engine/model/snapshot~ModelSnapshot model snapshot}.
+ */
+export type ModelSnapshotNode = ModelSnapshotElement | ModelSnapshotText;
+
+/**
+ * A range in the {@link module:engine/model/snapshot~ModelSnapshot model snapshot}.
+ */
+export interface ModelSnapshotRange {
+	rootName: string;
+	start: Array<number>;
+	end: Array<number>;
+}
+
+/**
+ * The difference between two {@link module:engine/model/snapshot~ModelSnapshot model snapshots} computed by
+ * {@link module:engine/model/snapshot~diffModelSnapshots `diffModelSnapshots()`}.
+ */
+export interface ModelSnapshotDiff {
+
+	/**
+	 * The document version of the old snapshot.
+	 */
+	oldVersion: number;
+
+	/**
+	 * The document version of the new snapshot.
+	 */
+	newVersion: number;
+
+	/**
+	 * The changes between the snapshots.
+	 */
+	changes: Array<ModelSnapshotChange>;
+}
+
+/**
+ * A single change between two {@link module:engine/model/snapshot~ModelSnapshot model snapshots}.
+ */
+export type ModelSnapshotChange =
+	ModelSnapshotInsertChange |
+	ModelSnapshotRemoveChange |
+	ModelSnapshotAttributeChange |
+	ModelSnapshotRootChange |
+	ModelSnapshotRootAttributeChange |
+	ModelSnapshotMarkerChange;
+
+/**
+ * The content inserted in the new snapshot.
+ */
+export interface ModelSnapshotInsertChange {
+	type: 'insert';
+	rootName: string;
+
+	/**
+	 * The path of the inserted content in the new snapshot.
+	 */
+	path: Array<number>;
+
+	/**
+	 * The offset size of the inserted content.
+	 */
+	length: number;
+
+	/**
+	 * The inserted nodes.
+	 */
+	nodes: Array<ModelSnapshotNode>;
+}
+
+/**
+ * The content removed from the old snapshot.
+ */
+export interface ModelSnapshotRemoveChange {
+	type: 'remove';
+	rootName: string;
+
+	/**
+	 * The path in the new snapshot where the removed content was.
+	 */
+	path: Array<number>;
+
+	/**
+	 * The path of the removed content in the old snapshot.
+	 */
+	oldPath: Array<number>;
+
+	/**
+	 * The offset size of the removed content.
+	 */
+	length: number;
+
+	/**
+	 * The removed nodes.
+	 */
+	nodes: Array<ModelSnapshotNode>;
+}
+
+/**
+ * The attribute of the content changed between the snapshots.
+ */
+export interface ModelSnapshotAttributeChange {
+	type: 'attribute';
+	rootName: string;
+
+	/**
+	 * The path of the changed content in the new snapshot.
+	 */
+	path: Array<number>;
+
+	/**
+	 * The path of the changed content in the old snapshot.
+	 */
+	oldPath: Array<number>;
+
+	/**
+	 * The offset size of the changed content.
+	 */
+	length: number;
+	key: string;
+
+	/**
+	 * The old value of the attribute or `null` if the attribute was added.
+	 */
+	oldValue: unknown;
+
+	/**
+	 * The new value of the attribute or `null` if the attribute was removed.
+	 */
+	newValue: unknown;
+}
+
+/**
+ * The root added to or removed from the document.
+ */
+export interface ModelSnapshotRootChange {
+	type: 'addRoot' | 'removeRoot';
+	rootName: string;
+}
+
+/**
+ * The root attribute changed between the snapshots.
+ */
+export interface ModelSnapshotRootAttributeChange {
+	type: 'rootAttribute';
+	rootName: string;
+	key: string;
+	oldValue: unknown;
+	newValue: unknown;
+}
+
+/**
+ * The marker added, removed or moved between the snapshots.
+ */
+export interface ModelSnapshotMarkerChange {
+	type: 'marker';
+	name: string;
+
+	/**
+	 * The range of the marker in the old snapshot or `null` if the marker was added.
+	 */
+	oldRange: ModelSnapshotRange | null;
+
+	/**
+	 * The range of the marker in the new snapshot or `null` if the marker was removed.
+	 */
+	newRange: ModelSnapshotRange | null;
+}
+
+/**
+ * The limit of the memory used to compare the sequences of nodes (the number of stored integers). If the compared sequences
+ * are too different to fit in it, the rest of them is reported as removed and inserted.
+ */
+const MAX_TRACE_SIZE = 1e7;
+
+/**
+ * A single node of an element or a single character of a text node, taking one offset in the model.
+ */
+type Token = {
+	node: ModelSnapshotNode;
+	char?: string;
+};
+
+/**
+ * The state of the comparison of the children of two elements.
+ */
+interface DiffContext {
+	rootName: string;
+	oldPath: Array<number>;
+	newPath: Array<number>;
+	changes: Array<ModelSnapshotChange>;
+}
+
+/**
+ * Creates the snapshot of the model node.
+ */
+function createSnapshotNode( node: Node ): ModelSnapshotNode {
+	if ( node.is( '$text' ) ) {
+		return { data: node.data, attributes: getSnapshotAttributes( node ) };
+	}
+
+	return {
+		name: ( node as Element ).name,
+		attributes: getSnapshotAttributes( node ),
+		children: Array.from( ( node as Element ).getChildren(), createSnapshotNode )
+	};
+}
+
+/**
+ * Returns the attributes of the model node, sorted by their keys.
+ */
+function getSnapshotAttributes( node: Node ): ModelSnapshotAttributes {
+	return Object.fromEntries( Array.from( node.getAttributes() ).sort( ( [ a ], [ b ] ) => a < b ? -1 : 1 ) );
+}
+
+/**
+ * Compares the children of two elements and adds the found changes to the context.
+ */
+function diffChildren( oldNodes: Array<ModelSnapshotNode>, newNodes: Array<ModelSnapshotNode>, context: DiffContext ) {
+	const oldTokens = tokenize( oldNodes );
+	const newTokens = tokenize( newNodes );
+	const exactKeys = new Map<ModelSnapshotNode, string>();
+
+	const getExactKey = ( token: Token ) => {
+		if ( !exactKeys.has( token.node ) ) {
+			exactKeys.set( token.node, JSON.stringify( 'data' in token.node ? token.node.attributes : token.node ) );
+		}
+
+		return ( token.char === undefined ? 'e' : 'c' + token.char ) + exactKeys.get( token.node );
+	};
+
+	const getLooseKey = ( token: Token ) => token.char === undefined ? 'e' + ( token.node as ModelSnapshotElement ).name : 'c' + token.char;
+
+	// The identical nodes are matched first, so the changed nodes are not matched with the unrelated nodes of the same name.
+	const exactMatches = diffSequences( oldTokens.map( getExactKey ), newTokens.map( getExactKey ) );
+	let oldIndex = 0;
+	let newIndex = 0;
+
+	for ( const [ oldMatch, newMatch ] of [ ...exactMatches, [ oldTokens.length, newTokens.length ] ] ) {
+		const oldGap = oldTokens.slice( oldIndex, oldMatch );
+		const newGap = newTokens.slice( newIndex, newMatch );
+		const looseMatches = diffSequences( oldGap.map( getLooseKey ), newGap.map( getLooseKey ) );
+		let oldGapIndex = 0;
+		let newGapIndex = 0;
+
+		for ( const [ oldGapMatch, newGapMatch ] of [ ...looseMatches, [ oldGap.length, newGap.length ] ] ) {
+			if ( oldGapMatch > oldGapIndex ) {
+				context.changes.push( {
+					type: 'remove',
+					rootName: context.rootName,
+					path: [ ...context.newPath, newIndex + newGapIndex ],
+					oldPath: [ ...context.oldPath, oldIndex + oldGapIndex ],
+					length: oldGapMatch - oldGapIndex,
+					nodes: getTokensNodes( oldGap.slice( oldGapIndex, oldGapMatch ) )
+				} );
+			}
+
+			if ( newGapMatch > newGapIndex ) {
+				context.changes.push( {
+					type: 'insert',
+					rootName: context.rootName,
+					path: [ ...context.newPath, newIndex + newGapIndex ],
+					length: newGapMatch - newGapIndex,
+					nodes: getTokensNodes( newGap.slice( newGapIndex, newGapMatch ) )
+				} );
+			}
+
+			if ( oldGapMatch < oldGap.length ) {
+				diffMatchedTokens( oldGap[ oldGapMatch ], newGap[ newGapMatch ], oldIndex + oldGapMatch, newIndex + newGapMatch, context );
+			}
+
+			oldGapIndex = oldGapMatch + 1;
+			newGapIndex = newGapMatch + 1;
+		}
+
+		oldIndex = oldMatch + 1;
+		newIndex = newMatch + 1;
+	}
+}
+
+/**
+ * Compares the attributes of the matched nodes (and the children of the matched elements) and adds the found changes to the context.
+ */
+function diffMatchedTokens( oldToken: Token, newToken: Token, oldOffset: number, newOffset: number, context: DiffContext ) {
+	const oldPath = [ ...context.oldPath, oldOffset ];
+	const newPath = [ ...context.newPath, newOffset ];
+
+	for ( const { key, oldValue, newValue } of diffAttributes( oldToken.node.attributes, newToken.node.attributes ) ) {
+		const lastChange = context.changes[ context.changes.length - 1 ];
+
+		// Merge the change with the change of the previous node, so a formatted text is reported as a single change.
+		if (
+			lastChange && lastChange.type == 'attribute' && lastChange.rootName == context.rootName &&
+			lastChange.key == key && isEqual( lastChange.oldValue, oldValue ) && isEqual( lastChange.newValue, newValue ) &&
+			isEqual( lastChange.path, [ ...context.newPath, newOffset - lastChange.length ] ) &&
+			isEqual( lastChange.oldPath, [ ...context.oldPath, oldOffset - lastChange.length ] )
+		) {
+			lastChange.length++;
+		} else {
+			context.changes.push( {
+				type: 'attribute',
+				rootName: context.rootName,
+				path: newPath,
+				oldPath,
+				length: 1,
+				key,
+				oldValue,
+				newValue
+			} );
+		}
+	}
+
+	if ( 'children' in oldToken.node && 'children' in newToken.node ) {
+		diffChildren( oldToken.node.children, newToken.node.children, { ...context, oldPath, newPath } );
+	}
+}
+
+/**
+ * Returns the attribute changes between two sets of attributes. The missing attributes have the `null` value.
+ */
+function diffAttributes(
+	oldAttributes: ModelSnapshotAttributes,
+	newAttributes: ModelSnapshotAttributes
+): Array<{ key: string; oldValue: unknown; newValue: unknown }> {
+	const keys = new Set( [ ...Object.keys( oldAttributes ), ...Object.keys( newAttributes ) ] );
+	const result = [];
+
+	for ( const key of keys ) {
+		const oldValue = key in oldAttributes ? oldAttributes[ key ] : null;
+		const newValue = key in newAttributes ? newAttributes[ key ] : null;
+
+		if ( !isEqual( oldValue, newValue ) ) {
+			result.push( { key, oldValue, newValue } );
+		}
+	}
+
+	return result;
+}
+
+/**
+ * Splits the nodes into the tokens: the elements and the single characters of the text nodes.
+ */
+function tokenize( nodes: Array<ModelSnapshotNode> ): Array<Token> {
+	const tokens: Array<Token> = [];
+
+	for ( const node of nodes ) {
+		if ( 'data' in node ) {
+			tokens.push( ...Array.from( node.data, char => ( { node, char } ) ) );
+		} else {
+			tokens.push( { node } );
+		}
+	}
+
+	return tokens;
+}
+
+/**
+ * Joins the tokens back into the nodes. The characters of the same text node are joined into a single text node.
+ */
+function getTokensNodes( tokens: Array<Token> ): Array<ModelSnapshotNode> {
+	const nodes: Array<ModelSnapshotNode> = [];
+	let lastToken: Token | null = null;
+
+	for ( const token of tokens ) {
+		if ( token.char === undefined ) {
+			nodes.push( token.node );
+		} else if ( lastToken && lastToken.node === token.node ) {
+			( nodes[ nodes.length - 1 ] as ModelSnapshotText ).data += token.char;
+		} else {
+			nodes.push( { data: token.char, attributes: token.node.attributes } );
+		}
+
+		lastToken = token;
+	}
+
+	return nodes;
+}
+
+/**
+ * Finds the longest common subsequence of two sequences of keys using the Myers' algorithm.
+ *
+ * @returns The pairs of the indexes of the matched items, in ascending order.
+ */
+function diffSequences( oldKeys: Array<string>, newKeys: Array<string> ): Array<[ number, number ]> {
+	const matches: Array<[ number, number ]> = [];
+	let start = 0;
+	let oldEnd = oldKeys.length;
+	let newEnd = newKeys.length;
+
+	while ( start < oldEnd && start < newEnd && oldKeys[ start ] === newKeys[ start ] ) {
+		matches.push( [ start, start ] );
+		start++;
+	}
+
+	while ( oldEnd > start && newEnd > start && oldKeys[ oldEnd - 1 ] === newKeys[ newEnd - 1 ] ) {
+		oldEnd--;
+		newEnd--;
+	}
+
+	const oldLength = oldEnd - start;
+	const newLength = newEnd - start;
+	const max = oldLength + newLength;
+	const v = new Int32Array( 2 * max + 2 );
+	const trace: Array<Int32Array> = [];
+	const middleMatches: Array<[ number, number ]> = [];
+
+	for ( let d = 0; d <= max && ( d + 1 ) * v.length <= MAX_TRACE_SIZE; d++ ) {
+		trace.push( v.slice() );
+
+		for ( let k = -d; k <= d; k += 2 ) {
+			let x = k == -d || ( k != d && v[ max + k - 1 ] < v[ max + k + 1 ] ) ? v[ max + k + 1 ] : v[ max + k - 1 ] + 1;
+			let y = x - k;
+
+			while ( x < oldLength && y < newLength && oldKeys[ start + x ] === newKeys[ start + y ] ) {
+				x++;
+				y++;
+			}
+
+			v[ max + k ] = x;
+
+			if ( x >= oldLength && y >= newLength ) {
+				middleMatches.push( ...backtrack( trace, max, x, y ) );
+
+				d = max;
+
+				break;
+			}
+		}
+	}
+
+	matches.push( ...middleMatches.map( ( [ x, y ] ): [ number, number ] => [ start + x, start + y ] ) );
+
+	for ( let offset = 0; offset < oldKeys.length - oldEnd; offset++ ) {
+		matches.push( [ oldEnd + offset, newEnd + offset ] );
+	}
+
+	return matches;
+}
+
+/**
+ * Reads the matched items from the trace of the Myers' algorithm, going back from the end of the sequences.
+ */
+function backtrack( trace: Array<Int32Array>, max: number, x: number, y: number ): Array<[ number, number ]> {
+	const matches: Array<[ number, number ]> = [];
+
+	for ( let d = trace.length - 1; d >= 0; d-- ) {
+		const v = trace[ d ];
+		const k = x - y;
+		const previousK = k == -d || ( k != d && v[ max + k - 1 ] < v[ max + k + 1 ] ) ? k + 1 : k - 1;
+		const previousX = d ? v[ max + previousK ] : 0;
+		const previousY = d ? previousX - previousK : 0;
+
+		while ( x > previousX && y > previousY ) {
+			x--;
+			y--;
+			matches.push( [ x, y ] );
+		}
+
+		x = previousX;
+		y = previousY;
+	}
+
+	return matches.reverse();
+}
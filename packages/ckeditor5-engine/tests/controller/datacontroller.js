@@ -8,6 +8,7 @@ import ModelRange from '../../src/model/range.js';
 import ViewRange from '../../src/view/range.js';
 import DataController from '../../src/controller/datacontroller.js';
 import HtmlDataProcessor from '../../src/dataprocessor/htmldataprocessor.js';
+import { JSON_DATA_VERSION } from '../../src/dataprocessor/jsondataprocessor.js';
 
 import ModelDocumentFragment from '../../src/model/documentfragment.js';
 import ViewDocumentFragment from '../../src/view/documentfragment.js';
@@ -422,6 +423,198 @@ describe( 'DataController', () => {
 		} );
 	} );
 
+	describe( 'toJSON()', () => {
+		beforeEach( () => {
+			schema.register( 'paragraph', { inheritAllFrom: '$block' } );
+			schema.extend( '$text', { allowAttributes: 'bold' } );
+		} );
+
+		it( 'should return the JSON data of all attached roots', () => {
+			modelDocument.createRoot( '$root', 'detached' )._isAttached = false;
+
+			setData( model, '<paragraph>f<$text bold="true">o</$text>o</paragraph>' );
+
+			expect( data.toJSON() ).to.deep.equal( {
+				version: JSON_DATA_VERSION,
+				roots: {
+					main: {
+						children: [
+							{ name: 'paragraph', children: [ { text: 'f' }, { text: 'o', attributes: { bold: true } }, { text: 'o' } ] }
+						]
+					},
+					title: {
+						children: []
+					}
+				},
+				markers: {}
+			} );
+		} );
+
+		it( 'should return the JSON data of the given roots', () => {
+			expect( Object.keys( data.toJSON( { rootNames: [ 'title' ] } ).roots ) ).to.deep.equal( [ 'title' ] );
+		} );
+
+		it( 'should not use the converters', () => {
+			const spy = sinon.spy( data.downcastDispatcher, 'convert' );
+
+			setData( model, '<paragraph>foo</paragraph>' );
+			data.toJSON();
+
+			sinon.assert.notCalled( spy );
+		} );
+
+		it( 'should throw an error when a non-existent root is given', () => {
+			expectToThrowCKEditorError( () => {
+				data.toJSON( { rootNames: [ 'nonexistent' ] } );
+			}, 'datacontroller-tojson-non-existent-root', data );
+		} );
+	} );
+
+	describe( 'fromJSON()', () => {
+		beforeEach( () => {
+			schema.register( 'paragraph', { inheritAllFrom: '$block' } );
+			schema.extend( '$text', { allowAttributes: 'bold' } );
+		} );
+
+		it( 'should be decorated', () => {
+			const spy = sinon.spy();
+			const json = data.toJSON();
+
+			data.on( 'fromJSON', spy );
+
+			data.fromJSON( json );
+
+			sinon.assert.calledWithExactly( spy, sinon.match.any, [ json ] );
+		} );
+
+		it( 'should replace the content of the roots in the data', () => {
+			setData( model, '<paragraph>foo</paragraph>' );
+			setData( model, '<paragraph>title</paragraph>', { rootName: 'title' } );
+
+			data.fromJSON( {
+				version: JSON_DATA_VERSION,
+				roots: {
+					main: { children: [ { name: 'paragraph', children: [ { text: 'b' }, { text: 'ar', attributes: { bold: true } } ] } ] }
+				},
+				markers: {}
+			} );
+
+			expect( getData( model, { withoutSelection: true } ) ).to.equal( '<paragraph>b<$text bold="true">ar</$text></paragraph>' );
+			expect( getData( model, { withoutSelection: true, rootName: 'title' } ) ).to.equal( '<paragraph>title</paragraph>' );
+		} );
+
+		it( 'should restore the data returned by toJSON()', () => {
+			setData( model, '<paragraph>f<$text bold="true">o</$text>o</paragraph><paragraph></paragraph>' );
+
+			const json = data.toJSON();
+
+			setData( model, '<paragraph>bar</paragraph>' );
+
+			data.fromJSON( json );
+
+			expect( data.toJSON() ).to.deep.equal( json );
+		} );
+
+		it( 'should not use the converters', () => {
+			const spy = sinon.spy( data.upcastDispatcher, 'convert' );
+
+			data.fromJSON( { version: JSON_DATA_VERSION, roots: { main: { children: [ { name: 'paragraph' } ] } }, markers: {} } );
+
+			sinon.assert.notCalled( spy );
+		} );
+
+		it( 'should replace the root attributes', () => {
+			schema.extend( '$root', { allowAttributes: [ 'foo', 'bar', 'baz' ] } );
+
+			model.change( writer => {
+				writer.setAttribute( 'foo', 1, modelDocument.getRoot() );
+				writer.setAttribute( 'bar', 2, modelDocument.getRoot() );
+			} );
+
+			data.fromJSON( { version: JSON_DATA_VERSION, roots: { main: { attributes: { bar: 3, baz: 4 }, children: [] } }, markers: {} } );
+
+			expect( Object.fromEntries( modelDocument.getRoot().getAttributes() ) ).to.deep.equal( { bar: 3, baz: 4 } );
+		} );
+
+		it( 'should set the markers and remove the markers affecting the data that are not in the data', () => {
+			setData( model, '<paragraph>foo</paragraph>' );
+
+			model.change( writer => {
+				const range = writer.createRangeIn( modelDocument.getRoot() );
+
+				writer.addMarker( 'comment:1', { range, usingOperation: false, affectsData: true } );
+				writer.addMarker( 'comment:2', { range, usingOperation: false, affectsData: true } );
+				writer.addMarker( 'search:1', { range, usingOperation: false } );
+			} );
+
+			data.fromJSON( {
+				version: JSON_DATA_VERSION,
+				roots: {
+					main: { children: [ { name: 'paragraph', children: [ { text: 'bar' } ] } ] }
+				},
+				markers: {
+					'comment:2': { rootName: 'main', start: [ 0, 1 ], end: [ 0, 2 ] },
+					'comment:3': { rootName: 'main', start: [ 0, 0 ], end: [ 0, 3 ], usingOperation: true }
+				}
+			} );
+
+			expect( model.markers.has( 'comment:1' ) ).to.be.false;
+			expect( model.markers.has( 'search:1' ) ).to.be.true;
+			expect( data.toJSON().markers ).to.deep.equal( {
+				'comment:2': { rootName: 'main', start: [ 0, 1 ], end: [ 0, 2 ], usingOperation: false },
+				'comment:3': { rootName: 'main', start: [ 0, 0 ], end: [ 0, 3 ], usingOperation: true }
+			} );
+		} );
+
+		it( 'should use the given batch type', () => {
+			setData( model, '<paragraph>foo</paragraph>' );
+
+			data.fromJSON( data.toJSON(), { batchType: { isUndoable: false } } );
+
+			expect( modelDocument.history.getOperations().pop().batch.isUndoable ).to.be.false;
+		} );
+
+		it( 'should not change the document if the data is incorrect', () => {
+			setData( model, '<paragraph>foo</paragraph>' );
+
+			const version = modelDocument.version;
+
+			expectToThrowCKEditorError( () => {
+				data.fromJSON( {
+					version: JSON_DATA_VERSION,
+					roots: { main: { children: [ { name: 'paragraph' }, { name: 'unknown' } ] } },
+					markers: {}
+				} );
+			}, 'jsondataprocessor-disallowed-node' );
+
+			expect( modelDocument.version ).to.equal( version );
+			expect( getData( model, { withoutSelection: true } ) ).to.equal( '<paragraph>foo</paragraph>' );
+		} );
+
+		it( 'should not change the document if a root attribute is not allowed by the schema', () => {
+			setData( model, '<paragraph>foo</paragraph>' );
+
+			const version = modelDocument.version;
+
+			expectToThrowCKEditorError( () => {
+				data.fromJSON( {
+					version: JSON_DATA_VERSION,
+					roots: { main: { attributes: { foo: 1 }, children: [ { name: 'paragraph' } ] } },
+					markers: {}
+				} );
+			}, 'jsondataprocessor-disallowed-attribute' );
+
+			expect( modelDocument.version ).to.equal( version );
+			expect( modelDocument.getRoot().hasAttribute( 'foo' ) ).to.be.false;
+		} );
+
+		it( 'should throw an error when the data contains a non-existent root', () => {
+			expectToThrowCKEditorError( () => {
+				data.fromJSON( { version: JSON_DATA_VERSION, roots: { nonexistent: { children: [] } }, markers: {} } );
+			}, 'datacontroller-fromjson-non-existent-root', data );
+		} );
+	} );
+
 	describe( 'get()', () => {
 		beforeEach( () => {
 			schema.register( 'paragraph', { inheritAllFrom: '$block' } );
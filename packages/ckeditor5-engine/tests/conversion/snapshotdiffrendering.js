@@ -0,0 +1,148 @@
+/**
+ * @license Copyright (c) 2003-2024, CKSource Holding sp. z o.o. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+
+/* globals document */
+
+import EditingController from '../../src/controller/editingcontroller.js';
+import Model from '../../src/model/model.js';
+import DowncastHelpers from '../../src/conversion/downcasthelpers.js';
+import { renderModelSnapshotDiff } from '../../src/conversion/snapshotdiffrendering.js';
+import { createModelSnapshot, diffModelSnapshots } from '../../src/model/snapshot.js';
+import { setData as setModelData } from '../../src/dev-utils/model.js';
+import { stringify as stringifyView } from '../../src/dev-utils/view.js';
+import { StylesProcessor } from '../../src/view/stylesmap.js';
+import { expectToThrowCKEditorError } from '@ckeditor/ckeditor5-utils/tests/_utils/utils.js';
+
+describe( 'renderModelSnapshotDiff()', () => {
+	let model, controller, viewRoot, oldSnapshot;
+
+	beforeEach( () => {
+		model = new Model();
+		model.document.createRoot();
+
+		model.schema.register( 'paragraph', { inheritAllFrom: '$block' } );
+		model.schema.extend( '$text', { allowAttributes: 'bold' } );
+
+		controller = new EditingController( model, new StylesProcessor() );
+
+		// Set name of view root the same as dom root.
+		// This is a mock of attaching view root to dom root.
+		controller.view.document.getRoot()._name = 'div';
+
+		viewRoot = controller.view.document.getRoot();
+
+		const downcastHelpers = new DowncastHelpers( [ controller.downcastDispatcher ] );
+
+		downcastHelpers.elementToElement( { model: 'paragraph', view: 'p' } );
+		downcastHelpers.attributeToElement( { model: 'bold', view: 'strong' } );
+
+		setModelData( model, '<paragraph>foo bar</paragraph><paragraph>baz</paragraph>' );
+
+		oldSnapshot = createModelSnapshot( model );
+	} );
+
+	afterEach( () => {
+		controller.destroy();
+	} );
+
+	it( 'should highlight the inserted content', () => {
+		setModelData( model, '<paragraph>foo new bar</paragraph><paragraph>baz</paragraph>' );
+
+		renderModelSnapshotDiff( controller, getDiff() );
+
+		expectResult( '<p>foo <span class="ck-snapshot-diff_inserted">new </span>bar</p><p>baz</p>' );
+	} );
+
+	it( 'should highlight the content with the changed attributes', () => {
+		setModelData( model, '<paragraph>foo <$text bold="true">bar</$text></paragraph><paragraph>baz</paragraph>' );
+
+		renderModelSnapshotDiff( controller, getDiff() );
+
+		expectResult( '<p>foo <span class="ck-snapshot-diff_changed"><strong>bar</strong></span></p><p>baz</p>' );
+	} );
+
+	it( 'should display the removed text inline', () => {
+		setModelData( model, '<paragraph>foo</paragraph><paragraph>baz</paragraph>' );
+
+		renderModelSnapshotDiff( controller, getDiff() );
+
+		expectResult( '<p>foo<span class="ck-snapshot-diff_removed"></span></p><p>baz</p>' );
+
+		const uiElement = viewRoot.getChild( 0 ).getChild( 1 );
+
+		expect( uiElement.render( document, controller.view.domConverter ).textContent ).to.equal( ' bar' );
+	} );
+
+	it( 'should display the removed blocks as a block', () => {
+		setModelData( model, '<paragraph>baz</paragraph>' );
+
+		renderModelSnapshotDiff( controller, getDiff() );
+
+		expectResult( '<div class="ck-snapshot-diff_removed"></div><p>baz</p>' );
+
+		const uiElement = viewRoot.getChild( 0 );
+
+		expect( uiElement.render( document, controller.view.domConverter ).textContent ).to.equal( 'foo bar' );
+	} );
+
+	it( 'should not change the model content', () => {
+		setModelData( model, '<paragraph>foo</paragraph><paragraph>baz!</paragraph>' );
+
+		const snapshot = createModelSnapshot( model );
+
+		renderModelSnapshotDiff( controller, getDiff() );
+
+		expect( diffModelSnapshots( snapshot, createModelSnapshot( model ) ).changes ).to.deep.equal( [] );
+		expect( Array.from( model.markers, marker => marker.affectsData ) ).to.deep.equal( [ false, false ] );
+	} );
+
+	it( 'should return the callback hiding the diff', () => {
+		setModelData( model, '<paragraph>foo</paragraph><paragraph>baz!</paragraph>' );
+
+		const hideDiff = renderModelSnapshotDiff( controller, getDiff() );
+
+		hideDiff();
+
+		expectResult( '<p>foo</p><p>baz!</p>' );
+		expect( Array.from( model.markers ) ).to.be.empty;
+	} );
+
+	it( 'should allow rendering the diffs multiple times', () => {
+		setModelData( model, '<paragraph>foo</paragraph><paragraph>baz!</paragraph>' );
+
+		const diff = getDiff();
+
+		renderModelSnapshotDiff( controller, diff )();
+		renderModelSnapshotDiff( controller, diff );
+
+		expectResult(
+			'<p>foo<span class="ck-snapshot-diff_removed"></span></p>' +
+			'<p>baz<span class="ck-snapshot-diff_inserted">!</span></p>'
+		);
+	} );
+
+	it( 'should throw if the diff was not computed against the current document', () => {
+		setModelData( model, '<paragraph>foo</paragraph><paragraph>baz</paragraph>' );
+
+		const diff = getDiff();
+
+		setModelData( model, '<paragraph>foo</paragraph>' );
+
+		expectToThrowCKEditorError( () => {
+			renderModelSnapshotDiff( controller, diff );
+		}, 'snapshot-diff-rendering-outdated-diff', null, {
+			diffVersion: diff.newVersion,
+			documentVersion: model.document.version
+		} );
+	} );
+
+	function getDiff() {
+		return diffModelSnapshots( oldSnapshot, createModelSnapshot( model ) );
+	}
+
+	function expectResult( string ) {
+		expect( stringifyView( viewRoot, null, { ignoreRoot: true } ) ).to.equal( string );
+	}
+} );
@@ -0,0 +1,245 @@
+/**
+ * @license Copyright (c) 2003-2024, CKSource Holding sp. z o.o. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+
+import JsonDataProcessor, { JSON_DATA_VERSION } from '../../src/dataprocessor/jsondataprocessor.js';
+import Model from '../../src/model/model.js';
+import { setData, stringify } from '../../src/dev-utils/model.js';
+import { expectToThrowCKEditorError } from '@ckeditor/ckeditor5-utils/tests/_utils/utils.js';
+
+describe( 'JsonDataProcessor', () => {
+	let model, root, processor;
+
+	beforeEach( () => {
+		model = new Model();
+		root = model.document.createRoot();
+
+		model.schema.register( 'paragraph', { inheritAllFrom: '$block', allowAttributes: 'alignment' } );
+		model.schema.register( 'blockQuote', { inheritAllFrom: '$container' } );
+		model.schema.extend( '$text', { allowAttributes: [ 'bold', 'linkHref' ] } );
+
+		processor = new JsonDataProcessor( model );
+	} );
+
+	describe( 'constructor()', () => {
+		it( 'should set the model', () => {
+			expect( processor.model ).to.equal( model );
+		} );
+	} );
+
+	describe( 'toJSON()', () => {
+		it( 'should return the versioned data of the roots', () => {
+			setData( model,
+				'<paragraph alignment="right">f<$text linkHref="url" bold="true">o</$text>o</paragraph>' +
+				'<blockQuote><paragraph></paragraph></blockQuote>'
+			);
+
+			expect( processor.toJSON( [ 'main' ] ) ).to.deep.equal( {
+				version: JSON_DATA_VERSION,
+				roots: {
+					main: {
+						children: [
+							{
+								name: 'paragraph',
+								attributes: { alignment: 'right' },
+								children: [
+									{ text: 'f' },
+									{ text: 'o', attributes: { bold: true, linkHref: 'url' } },
+									{ text: 'o' }
+								]
+							},
+							{
+								name: 'blockQuote',
+								children: [
+									{ name: 'paragraph' }
+								]
+							}
+						]
+					}
+				},
+				markers: {}
+			} );
+		} );
+
+		it( 'should include the root attributes', () => {
+			model.change( writer => {
+				writer.setAttribute( 'order', 10, root );
+			} );
+
+			expect( processor.toJSON( [ 'main' ] ).roots.main ).to.deep.equal( { attributes: { order: 10 }, children: [] } );
+		} );
+
+		it( 'should include only the given roots', () => {
+			model.document.createRoot( '$root', 'second' );
+
+			expect( Object.keys( processor.toJSON( [ 'second' ] ).roots ) ).to.deep.equal( [ 'second' ] );
+		} );
+
+		it( 'should include the markers affecting the data in the given roots', () => {
+			const secondRoot = model.document.createRoot( '$root', 'second' );
+
+			setData( model, '<paragraph>foo</paragraph>' );
+
+			model.change( writer => {
+				const range = writer.createRangeIn( root.getChild( 0 ) );
+
+				writer.addMarker( 'comment:1', { range, usingOperation: true, affectsData: true } );
+				writer.addMarker( 'search:1', { range, usingOperation: false } );
+				writer.addMarker( 'comment:2', { range: writer.createRangeIn( secondRoot ), usingOperation: false, affectsData: true } );
+			} );
+
+			expect( processor.toJSON( [ 'main' ] ).markers ).to.deep.equal( {
+				'comment:1': { rootName: 'main', start: [ 0, 0 ], end: [ 0, 3 ], usingOperation: true }
+			} );
+		} );
+
+		it( 'should return a serializable data', () => {
+			setData( model, '<paragraph>f<$text bold="true">o</$text>o</paragraph>' );
+
+			const data = processor.toJSON( [ 'main' ] );
+
+			expect( JSON.parse( JSON.stringify( data ) ) ).to.deep.equal( data );
+		} );
+	} );
+
+	describe( 'toModel()', () => {
+		it( 'should convert the roots to the document fragments', () => {
+			setData( model,
+				'<paragraph alignment="right">f<$text linkHref="url" bold="true">o</$text>o</paragraph>' +
+				'<blockQuote><paragraph></paragraph></blockQuote>'
+			);
+
+			const data = processor.toJSON( [ 'main' ] );
+			const fragments = model.change( writer => processor.toModel( data, writer ) );
+
+			expect( Object.keys( fragments ) ).to.deep.equal( [ 'main' ] );
+			expect( stringify( fragments.main ) ).to.equal(
+				'<paragraph alignment="right">f<$text bold="true" linkHref="url">o</$text>o</paragraph>' +
+				'<blockQuote><paragraph></paragraph></blockQuote>'
+			);
+		} );
+
+		it( 'should throw if the data has an unsupported version', () => {
+			expectToThrowCKEditorError( () => {
+				model.change( writer => processor.toModel( { version: 2, roots: {}, markers: {} }, writer ) );
+			}, 'jsondataprocessor-unsupported-version', processor, { version: 2, supportedVersion: JSON_DATA_VERSION } );
+		} );
+
+		it( 'should throw if the data has no version', () => {
+			expectToThrowCKEditorError( () => {
+				model.change( writer => processor.toModel( { roots: {} }, writer ) );
+			}, 'jsondataprocessor-unsupported-version', processor, { version: undefined, supportedVersion: JSON_DATA_VERSION } );
+		} );
+
+		it( 'should throw if the root has an incorrect structure', () => {
+			expectToThrowCKEditorError( () => {
+				convert( { main: { attributes: [] } } );
+			}, 'jsondataprocessor-invalid-node', processor, { rootName: 'main', path: [] } );
+		} );
+
+		it( 'should throw if a node has an incorrect structure', () => {
+			const invalidNodes = [
+				null,
+				{},
+				{ text: '' },
+				{ text: 'foo', attributes: 'bold' },
+				{ name: 'paragraph', children: {} }
+			];
+
+			for ( const node of invalidNodes ) {
+				expectToThrowCKEditorError( () => {
+					convert( { main: { children: [ { name: 'paragraph' }, node ] } } );
+				}, 'jsondataprocessor-invalid-node', processor, { rootName: 'main', path: [ 1 ] } );
+			}
+		} );
+
+		it( 'should report the offset path of the incorrect node', () => {
+			expectToThrowCKEditorError( () => {
+				convert( { main: { children: [ { name: 'paragraph', children: [ { text: 'foo' }, { text: 'bar' }, {} ] } ] } } );
+			}, 'jsondataprocessor-invalid-node', processor, { rootName: 'main', path: [ 0, 6 ] } );
+		} );
+
+		it( 'should throw if a node is not allowed by the schema', () => {
+			expectToThrowCKEditorError( () => {
+				convert( { main: { children: [ { name: 'paragraph', children: [ { name: 'paragraph' } ] } ] } } );
+			}, 'jsondataprocessor-disallowed-node', processor, { rootName: 'main', path: [ 0, 0 ] } );
+		} );
+
+		it( 'should throw if an element is not registered in the schema', () => {
+			expectToThrowCKEditorError( () => {
+				convert( { main: { children: [ { name: 'unknown' } ] } } );
+			}, 'jsondataprocessor-disallowed-node', processor, { rootName: 'main', path: [ 0 ] } );
+		} );
+
+		it( 'should throw if a text is not allowed by the schema', () => {
+			expectToThrowCKEditorError( () => {
+				convert( { main: { children: [ { text: 'foo' } ] } } );
+			}, 'jsondataprocessor-disallowed-node', processor, { rootName: 'main', path: [ 0 ] } );
+		} );
+
+		it( 'should throw if an attribute is not allowed by the schema', () => {
+			expectToThrowCKEditorError( () => {
+				convert( { main: { children: [ { name: 'paragraph', children: [ { text: 'foo', attributes: { italic: true } } ] } ] } } );
+			}, 'jsondataprocessor-disallowed-attribute', processor, { rootName: 'main', path: [ 0, 0 ], key: 'italic' } );
+
+			expectToThrowCKEditorError( () => {
+				convert( { main: { children: [ { name: 'blockQuote', attributes: { alignment: 'left' } } ] } } );
+			}, 'jsondataprocessor-disallowed-attribute', processor, { rootName: 'main', path: [ 0 ], key: 'alignment' } );
+		} );
+
+		it( 'should throw if a root attribute is not allowed by the schema', () => {
+			model.schema.extend( '$root', { allowAttributes: 'order' } );
+
+			expect( () => convert( { main: { attributes: { order: 1 }, children: [] } } ) ).not.to.throw();
+
+			expectToThrowCKEditorError( () => {
+				convert( { main: { attributes: { order: 1, foo: 'bar' }, children: [] } } );
+			}, 'jsondataprocessor-disallowed-attribute', processor, { rootName: 'main', path: [], key: 'foo' } );
+		} );
+
+		it( 'should check the children in the context of the root', () => {
+			model.document.createRoot( 'blockQuote', 'quote' );
+
+			expect( () => convert( { quote: { children: [ { name: 'paragraph' } ] } } ) ).not.to.throw();
+
+			expectToThrowCKEditorError( () => {
+				convert( { quote: { children: [ { text: 'foo' } ] } } );
+			}, 'jsondataprocessor-disallowed-node', processor, { rootName: 'quote', path: [ 0 ] } );
+		} );
+
+		it( 'should accept the correct markers', () => {
+			const children = [ { name: 'paragraph', children: [ { text: 'foo' } ] } ];
+
+			expect( () => convert( { main: { children } }, {
+				a: { rootName: 'main', start: [ 0, 1 ], end: [ 0, 3 ] },
+				b: { rootName: 'main', start: [ 0 ], end: [ 1 ] },
+				c: { rootName: 'main', start: [ 1 ], end: [ 1 ] }
+			} ) ).not.to.throw();
+		} );
+
+		it( 'should throw if a marker is incorrect', () => {
+			const children = [ { name: 'paragraph', children: [ { text: 'foo' } ] } ];
+			const invalidMarkers = [
+				null,
+				{ rootName: 'other', start: [ 0 ], end: [ 1 ] },
+				{ rootName: 'main', start: [ 0, 4 ], end: [ 0, 4 ] },
+				{ rootName: 'main', start: [ 0, 1, 0 ], end: [ 1 ] },
+				{ rootName: 'main', start: [ 1, 0 ], end: [ 1 ] },
+				{ rootName: 'main', start: [], end: [ 1 ] },
+				{ rootName: 'main', start: [ 0, -1 ], end: [ 1 ] },
+				{ rootName: 'main', start: [ 0, 2 ], end: [ 0, 1 ] }
+			];
+
+			for ( const marker of invalidMarkers ) {
+				expectToThrowCKEditorError( () => {
+					convert( { main: { children } }, { foo: marker } );
+				}, 'jsondataprocessor-invalid-marker', processor, { name: 'foo' } );
+			}
+		} );
+
+		function convert( roots, markers = {} ) {
+			return model.change( writer => processor.toModel( { version: JSON_DATA_VERSION, roots, markers }, writer ) );
+		}
+	} );
+} );
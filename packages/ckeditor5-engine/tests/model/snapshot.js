@@ -0,0 +1,386 @@
+/**
+ * @license Copyright (c) 2003-2024, CKSource Holding sp. z o.o. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+
+import Model from '../../src/model/model.js';
+import { createModelSnapshot, diffModelSnapshots, getSnapshotNodesText } from '../../src/model/snapshot.js';
+import { setData } from '../../src/dev-utils/model.js';
+
+describe( 'snapshot', () => {
+	let model, doc, root;
+
+	beforeEach( () => {
+		model = new Model();
+		doc = model.document;
+		root = doc.createRoot();
+
+		model.schema.register( 'paragraph', { inheritAllFrom: '$block', allowAttributes: 'alignment' } );
+		model.schema.register( 'blockQuote', { inheritAllFrom: '$container' } );
+		model.schema.extend( '$text', { allowAttributes: [ 'bold', 'linkHref' ] } );
+	} );
+
+	describe( 'createModelSnapshot()', () => {
+		it( 'should return the snapshot of the root content', () => {
+			setData( model,
+				'<paragraph alignment="right">f<$text bold="true">o</$text>o</paragraph>' +
+				'<blockQuote><paragraph></paragraph></blockQuote>'
+			);
+
+			expect( createModelSnapshot( model ) ).to.deep.equal( {
+				version: doc.version,
+				roots: {
+					main: {
+						name: '$root',
+						attributes: {},
+						children: [
+							{
+								name: 'paragraph',
+								attributes: { alignment: 'right' },
+								children: [
+									{ data: 'f', attributes: {} },
+									{ data: 'o', attributes: { bold: true } },
+									{ data: 'o', attributes: {} }
+								]
+							},
+							{
+								name: 'blockQuote',
+								attributes: {},
+								children: [
+									{ name: 'paragraph', attributes: {}, children: [] }
+								]
+							}
+						]
+					}
+				},
+				markers: {}
+			} );
+		} );
+
+		it( 'should sort the attributes by their keys', () => {
+			setData( model, '<paragraph><$text linkHref="url" bold="true">foo</$text></paragraph>' );
+
+			const snapshot = createModelSnapshot( model );
+
+			expect( Object.keys( snapshot.roots.main.children[ 0 ].children[ 0 ].attributes ) ).to.deep.equal( [ 'bold', 'linkHref' ] );
+		} );
+
+		it( 'should include all attached roots and their attributes', () => {
+			const secondRoot = doc.createRoot( '$root', 'second' );
+
+			doc.createRoot( '$root', 'detached' )._isAttached = false;
+
+			model.change( writer => {
+				writer.insertElement( 'paragraph', secondRoot, 0 );
+				writer.setAttribute( 'order', 2, secondRoot );
+			} );
+
+			const snapshot = createModelSnapshot( model );
+
+			expect( Object.keys( snapshot.roots ) ).to.deep.equal( [ 'main', 'second' ] );
+			expect( snapshot.roots.second ).to.deep.equal( {
+				name: '$root',
+				attributes: { order: 2 },
+				children: [ { name: 'paragraph', attributes: {}, children: [] } ]
+			} );
+		} );
+
+		it( 'should include the marker ranges', () => {
+			setData( model, '<paragraph>foo</paragraph><paragraph>bar</paragraph>' );
+
+			model.change( writer => {
+				writer.addMarker( 'comment:1', {
+					range: writer.createRange(
+						writer.createPositionFromPath( root, [ 0, 1 ] ),
+						writer.createPositionFromPath( root, [ 1, 2 ] )
+					),
+					usingOperation: false
+				} );
+			} );
+
+			expect( createModelSnapshot( model ).markers ).to.deep.equal( {
+				'comment:1': { rootName: 'main', start: [ 0, 1 ], end: [ 1, 2 ] }
+			} );
+		} );
+
+		it( 'should not include the markers in the graveyard', () => {
+			setData( model, '<paragraph>foo</paragraph><paragraph>bar</paragraph>' );
+
+			model.change( writer => {
+				writer.addMarker( 'comment:1', { range: writer.createRangeIn( root.getChild( 1 ) ), usingOperation: false } );
+			} );
+
+			model.change( writer => {
+				writer.remove( root.getChild( 1 ) );
+			} );
+
+			expect( createModelSnapshot( model ).markers ).to.deep.equal( {} );
+		} );
+
+		it( 'should be serializable', () => {
+			setData( model, '<paragraph>f<$text bold="true">o</$text>o</paragraph>' );
+
+			const snapshot = createModelSnapshot( model );
+
+			expect( JSON.parse( JSON.stringify( snapshot ) ) ).to.deep.equal( snapshot );
+		} );
+
+		it( 'should not change when the document changes', () => {
+			setData( model, '<paragraph>foo</paragraph>' );
+
+			const snapshot = createModelSnapshot( model );
+
+			model.change( writer => {
+				writer.insertText( 'bar', root.getChild( 0 ), 'end' );
+			} );
+
+			expect( snapshot.roots.main.children[ 0 ].children ).to.deep.equal( [ { data: 'foo', attributes: {} } ] );
+		} );
+	} );
+
+	describe( 'diffModelSnapshots()', () => {
+		let oldSnapshot;
+
+		beforeEach( () => {
+			setData( model, '<paragraph>foo</paragraph><paragraph>bar</paragraph>' );
+
+			oldSnapshot = createModelSnapshot( model );
+		} );
+
+		it( 'should return the versions of the snapshots and no changes for the same content', () => {
+			setData( model, '<paragraph>foo</paragraph><paragraph>bar</paragraph>' );
+
+			const newSnapshot = createModelSnapshot( model );
+
+			expect( diffModelSnapshots( oldSnapshot, newSnapshot ) ).to.deep.equal( {
+				oldVersion: oldSnapshot.version,
+				newVersion: newSnapshot.version,
+				changes: []
+			} );
+		} );
+
+		it( 'should report the inserted text', () => {
+			setData( model, '<paragraph>foo</paragraph><paragraph>bazar</paragraph>' );
+
+			expectChanges( [
+				{ type: 'insert', rootName: 'main', path: [ 1, 2 ], length: 2, nodes: [ { data: 'za', attributes: {} } ] }
+			] );
+		} );
+
+		it( 'should report the removed text', () => {
+			setData( model, '<paragraph>fo</paragraph><paragraph>bar</paragraph>' );
+
+			expectChanges( [
+				{ type: 'remove', rootName: 'main', path: [ 0, 2 ], oldPath: [ 0, 2 ], length: 1, nodes: [ { data: 'o', attributes: {} } ] }
+			] );
+		} );
+
+		it( 'should report the replaced text as removed and inserted', () => {
+			setData( model, '<paragraph>foo</paragraph><paragraph>baz</paragraph>' );
+
+			expectChanges( [
+				{
+					type: 'remove', rootName: 'main', path: [ 1, 2 ], oldPath: [ 1, 2 ], length: 1,
+					nodes: [ { data: 'r', attributes: {} } ]
+				},
+				{ type: 'insert', rootName: 'main', path: [ 1, 2 ], length: 1, nodes: [ { data: 'z', attributes: {} } ] }
+			] );
+		} );
+
+		it( 'should report the inserted and removed elements', () => {
+			setData( model, '<paragraph>new</paragraph><paragraph>foo</paragraph>' );
+
+			expectChanges( [
+				{
+					type: 'insert',
+					rootName: 'main',
+					path: [ 0 ],
+					length: 1,
+					nodes: [ { name: 'paragraph', attributes: {}, children: [ { data: 'new', attributes: {} } ] } ]
+				},
+				{
+					type: 'remove',
+					rootName: 'main',
+					path: [ 2 ],
+					oldPath: [ 1 ],
+					length: 1,
+					nodes: [ { name: 'paragraph', attributes: {}, children: [ { data: 'bar', attributes: {} } ] } ]
+				}
+			] );
+		} );
+
+		it( 'should report the renamed element as removed and inserted', () => {
+			setData( model, '<paragraph>foo</paragraph><blockQuote><paragraph>bar</paragraph></blockQuote>' );
+
+			expectChanges( [
+				{
+					type: 'remove',
+					rootName: 'main',
+					path: [ 1 ],
+					oldPath: [ 1 ],
+					length: 1,
+					nodes: [ { name: 'paragraph', attributes: {}, children: [ { data: 'bar', attributes: {} } ] } ]
+				},
+				{
+					type: 'insert',
+					rootName: 'main',
+					path: [ 1 ],
+					length: 1,
+					nodes: [ {
+						name: 'blockQuote',
+						attributes: {},
+						children: [ { name: 'paragraph', attributes: {}, children: [ { data: 'bar', attributes: {} } ] } ]
+					} ]
+				}
+			] );
+		} );
+
+		it( 'should report the attribute changes of the text as a single change', () => {
+			setData( model, '<paragraph>f<$text bold="true">oo</$text></paragraph><paragraph>bar</paragraph>' );
+
+			expectChanges( [
+				{
+					type: 'attribute', rootName: 'main', path: [ 0, 1 ], oldPath: [ 0, 1 ], length: 2, key: 'bold',
+					oldValue: null, newValue: true
+				}
+			] );
+		} );
+
+		it( 'should report the attribute changes of the elements', () => {
+			setData( model, '<paragraph alignment="right">foo</paragraph><paragraph>bar</paragraph>' );
+
+			const afterSnapshot = createModelSnapshot( model );
+
+			expectChanges( [
+				{
+					type: 'attribute', rootName: 'main', path: [ 0 ], oldPath: [ 0 ], length: 1, key: 'alignment',
+					oldValue: null, newValue: 'right'
+				}
+			] );
+
+			setData( model, '<paragraph alignment="center">foo</paragraph><paragraph>bar</paragraph>' );
+
+			expect( diffModelSnapshots( afterSnapshot, createModelSnapshot( model ) ).changes ).to.deep.equal( [
+				{
+					type: 'attribute', rootName: 'main', path: [ 0 ], oldPath: [ 0 ], length: 1, key: 'alignment',
+					oldValue: 'right', newValue: 'center'
+				}
+			] );
+		} );
+
+		it( 'should report the changes inside the changed element', () => {
+			setData( model, '<paragraph alignment="right">foo</paragraph><paragraph>bar!</paragraph>' );
+
+			expectChanges( [
+				{
+					type: 'attribute', rootName: 'main', path: [ 0 ], oldPath: [ 0 ], length: 1, key: 'alignment',
+					oldValue: null, newValue: 'right'
+				},
+				{ type: 'insert', rootName: 'main', path: [ 1, 3 ], length: 1, nodes: [ { data: '!', attributes: {} } ] }
+			] );
+		} );
+
+		it( 'should report the paths of the removed content in both snapshots', () => {
+			setData( model, '<paragraph>new</paragraph><paragraph>foo</paragraph><paragraph>ba</paragraph>' );
+
+			expect( diffModelSnapshots( oldSnapshot, createModelSnapshot( model ) ).changes[ 1 ] ).to.deep.equal(
+				{ type: 'remove', rootName: 'main', path: [ 2, 2 ], oldPath: [ 1, 2 ], length: 1, nodes: [ { data: 'r', attributes: {} } ] }
+			);
+		} );
+
+		it( 'should report the added and removed roots', () => {
+			doc.createRoot( '$root', 'second' );
+			oldSnapshot = createModelSnapshot( model );
+
+			root._isAttached = false;
+			doc.createRoot( '$root', 'third' );
+
+			expectChanges( [
+				{ type: 'removeRoot', rootName: 'main' },
+				{ type: 'addRoot', rootName: 'third' }
+			] );
+		} );
+
+		it( 'should report the changed root attributes', () => {
+			model.change( writer => {
+				writer.setAttribute( 'order', 1, root );
+			} );
+
+			expectChanges( [
+				{ type: 'rootAttribute', rootName: 'main', key: 'order', oldValue: null, newValue: 1 }
+			] );
+		} );
+
+		it( 'should report the added, removed and moved markers', () => {
+			model.change( writer => {
+				writer.addMarker( 'a', { range: writer.createRangeIn( root.getChild( 0 ) ), usingOperation: false } );
+				writer.addMarker( 'b', { range: writer.createRangeIn( root.getChild( 1 ) ), usingOperation: false } );
+			} );
+
+			oldSnapshot = createModelSnapshot( model );
+
+			model.change( writer => {
+				writer.removeMarker( 'a' );
+				writer.updateMarker( 'b', { range: writer.createRangeIn( root.getChild( 0 ) ) } );
+				writer.addMarker( 'c', { range: writer.createRangeOn( root.getChild( 1 ) ), usingOperation: false } );
+			} );
+
+			expectChanges( [
+				{ type: 'marker', name: 'a', oldRange: { rootName: 'main', start: [ 0, 0 ], end: [ 0, 3 ] }, newRange: null },
+				{
+					type: 'marker',
+					name: 'b',
+					oldRange: { rootName: 'main', start: [ 1, 0 ], end: [ 1, 3 ] },
+					newRange: { rootName: 'main', start: [ 0, 0 ], end: [ 0, 3 ] }
+				},
+				{ type: 'marker', name: 'c', oldRange: null, newRange: { rootName: 'main', start: [ 1 ], end: [ 2 ] } }
+			] );
+		} );
+
+		it( 'should compare the snapshots restored from JSON', () => {
+			setData( model, '<paragraph>foo</paragraph><paragraph>bar!</paragraph>' );
+
+			const changes = diffModelSnapshots( JSON.parse( JSON.stringify( oldSnapshot ) ), createModelSnapshot( model ) ).changes;
+
+			expect( changes ).to.deep.equal( [
+				{ type: 'insert', rootName: 'main', path: [ 1, 3 ], length: 1, nodes: [ { data: '!', attributes: {} } ] }
+			] );
+		} );
+
+		it( 'should handle long, completely different texts', () => {
+			setData( model, `<paragraph>${ 'a'.repeat( 5000 ) }</paragraph>` );
+			oldSnapshot = createModelSnapshot( model );
+			setData( model, `<paragraph>${ 'b'.repeat( 5000 ) }</paragraph>` );
+
+			expectChanges( [
+				{
+					type: 'remove', rootName: 'main', path: [ 0, 0 ], oldPath: [ 0, 0 ], length: 5000,
+					nodes: [ { data: 'a'.repeat( 5000 ), attributes: {} } ]
+				},
+				{ type: 'insert', rootName: 'main', path: [ 0, 0 ], length: 5000, nodes: [ { data: 'b'.repeat( 5000 ), attributes: {} } ] }
+			] );
+		} );
+
+		function expectChanges( expected ) {
+			expect( diffModelSnapshots( oldSnapshot, createModelSnapshot( model ) ).changes ).to.deep.equal( expected );
+		}
+	} );
+
+	describe( 'getSnapshotNodesText()', () => {
+		it( 'should return the text of the text nodes', () => {
+			const nodes = [ { data: 'foo', attributes: {} }, { data: 'bar', attributes: { bold: true } } ];
+
+			expect( getSnapshotNodesText( nodes ) ).to.equal( 'foobar' );
+		} );
+
+		it( 'should separate the contents of the elements with line breaks', () => {
+			expect( getSnapshotNodesText( [
+				{ name: 'paragraph', attributes: {}, children: [ { data: 'foo', attributes: {} } ] },
+				{ name: 'blockQuote', attributes: {}, children: [
+					{ name: 'paragraph', attributes: {}, children: [ { data: 'bar', attributes: {} } ] },
+					{ name: 'paragraph', attributes: {}, children: [ { data: 'baz', attributes: {} } ] }
+				] }
+			] ) ).to.equal( 'foo\nbar\nbaz' );
+		} );
+	} );
+} );
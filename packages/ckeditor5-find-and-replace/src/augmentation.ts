@@ -12,10 +12,21 @@ import type {
 	FindNextCommand,
 	FindPreviousCommand,
 	ReplaceAllCommand,
-	ReplaceCommand
+	ReplaceCommand,
+	FindAndReplaceConfig
 } from './index.js';
 
 declare module '@ckeditor/ckeditor5-core' {
+	interface EditorConfig {
+
+		/**
+		 * The configuration of the {@link module:find-and-replace/findandreplace~FindAndReplace find and replace feature}.
+		 *
+		 * Read more in {@link module:find-and-replace/findandreplaceconfig~FindAndReplaceConfig}.
+		 */
+		findAndReplace?: FindAndReplaceConfig;
+	}
+
 	interface PluginsMap {
 		[ FindAndReplace.pluginName ]: FindAndReplace;
 		[ FindAndReplaceEditing.pluginName ]: FindAndReplaceEditing;
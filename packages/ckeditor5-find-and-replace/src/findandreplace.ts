@@ -19,6 +19,23 @@ export type ResultType = {
 	start?: number;
 	end?: number;
 	marker?: Marker;
+
+	/**
+	 * The name of the attribute whose value matched the search (e.g. `linkHref` or `alt`).
+	 * Not set if the result is a match in the text.
+	 */
+	attributeKey?: string;
+
+	/**
+	 * The texts matched by the capturing groups of the regular expression. Set only for the regular expression search.
+	 */
+	groups?: Array<string>;
+
+	/**
+	 * The regular expression used to find all occurrences of the searched phrase in the attribute value
+	 * when replacing the {@link #attributeKey attribute} result.
+	 */
+	regExp?: RegExp;
 };
 
 /**
@@ -31,4 +31,26 @@ export interface FindAndReplaceConfig {
 	 * The default value is `'dialog'`.
 	 */
 	uiType?: 'dialog' | 'dropdown';
+
+	/**
+	 * The names of the model attributes whose values are searched (and replaced) when the "Search in attribute values"
+	 * option is enabled in the find and replace form (or the `searchAttributes` option is passed to the
+	 * {@link module:find-and-replace/findcommand~FindCommand find command}).
+	 *
+	 * The attributes can be set on the text (e.g. the link URL) or on the elements (e.g. the alternative text of an image).
+	 *
+	 * ```ts
+	 * ClassicEditor
+	 *   .create( editorElement, {
+	 *     findAndReplace: {
+	 *       searchableAttributes: [ 'linkHref', 'alt', 'htmlA' ]
+	 *     }
+	 *   } )
+	 *   .then( ... )
+	 *   .catch( ... );
+	 * ```
+	 *
+	 * The default value is `[ 'linkHref', 'alt' ]`.
+	 */
+	searchableAttributes?: Array<string>;
 }
@@ -7,8 +7,8 @@
  * @module find-and-replace/findandreplaceediting
  */
 
-import { Plugin } from 'ckeditor5/src/core.js';
-import type { DiffItem, DiffItemAttribute, Element, Node } from 'ckeditor5/src/engine.js';
+import { Plugin, type Editor } from 'ckeditor5/src/core.js';
+import type { DiffItem, Element, Node } from 'ckeditor5/src/engine.js';
 import {
 	scrollViewportToShowTarget,
 	type Collection,
@@ -63,6 +63,15 @@ export default class FindAndReplaceEditing extends Plugin {
 	 */
 	public declare _isSearchActive: boolean;
 
+	/**
+	 * @inheritDoc
+	 */
+	constructor( editor: Editor ) {
+		super( editor );
+
+		editor.config.define( 'findAndReplace.searchableAttributes', [ 'linkHref', 'alt' ] );
+	}
+
 	/**
 	 * @inheritDoc
 	 */
@@ -209,11 +218,23 @@ export default class FindAndReplaceEditing extends Plugin {
 		const model = this.editor.model;
 		const { results } = this.state!;
 
-		const changes = model.document.differ.getChanges() as Array<Exclude<DiffItem, DiffItemAttribute>>;
+		const changes = model.document.differ.getChanges() as Array<DiffItem>;
 		const changedMarkers = model.document.differ.getChangedMarkers();
+		const includeObjects = this.state!.searchAttributes;
 
 		// Get nodes in which changes happened to re-run a search callback on them.
 		changes.forEach( change => {
+			if ( change.type === 'attribute' ) {
+				// The attribute values are searched only on demand.
+				if ( includeObjects ) {
+					const { start } = change.range;
+
+					changedNodes.add( start.nodeAfter && !start.nodeAfter.is( '$text' ) ? start.nodeAfter : start.parent as Element );
+				}
+
+				return;
+			}
+
 			if ( !change.position ) {
 				return;
 			}
@@ -262,7 +283,7 @@ export default class FindAndReplaceEditing extends Plugin {
 
 		changedNodes.forEach( nodeToCheck => {
 			const changedNodeSearchResults = findAndReplaceUtils.updateFindResultFromRange(
-				model.createRangeOn( nodeToCheck ), model, this.state!.lastSearchCallback!, results
+				model.createRangeOn( nodeToCheck ), model, this.state!.lastSearchCallback!, results, { includeObjects }
 			);
 
 			changedSearchResults.push( ...changedNodeSearchResults );
@@ -273,7 +294,7 @@ export default class FindAndReplaceEditing extends Plugin {
 			// Lookup is performed only on newly inserted markers.
 			if ( markerToCheck.data.newRange ) {
 				const changedNodeSearchResults = findAndReplaceUtils.updateFindResultFromRange(
-					markerToCheck.data.newRange, model, this.state!.lastSearchCallback!, results
+					markerToCheck.data.newRange, model, this.state!.lastSearchCallback!, results, { includeObjects }
 				);
 
 				changedSearchResults.push( ...changedNodeSearchResults );
@@ -79,6 +79,31 @@ export default class FindAndReplaceState extends /* #__PURE__ */ ObservableMixin
 	 */
 	declare public matchWholeWords: boolean;
 
+	/**
+	 * Indicates whether the search text is treated as a regular expression.
+	 *
+	 * @readonly
+	 * @observable
+	 */
+	declare public matchRegExp: boolean;
+
+	/**
+	 * Indicates whether the search has been limited to the content selected when it was started.
+	 *
+	 * @readonly
+	 * @observable
+	 */
+	declare public searchInSelection: boolean;
+
+	/**
+	 * Indicates whether the values of the {@link module:find-and-replace/findandreplaceconfig~FindAndReplaceConfig#searchableAttributes
+	 * searchable attributes} are searched, too.
+	 *
+	 * @readonly
+	 * @observable
+	 */
+	declare public searchAttributes: boolean;
+
 	/**
 	 * Creates an instance of the state.
 	 */
@@ -93,6 +118,9 @@ export default class FindAndReplaceState extends /* #__PURE__ */ ObservableMixin
 		this.set( 'lastSearchCallback', null );
 		this.set( 'matchCase', false );
 		this.set( 'matchWholeWords', false );
+		this.set( 'matchRegExp', false );
+		this.set( 'searchInSelection', false );
+		this.set( 'searchAttributes', false );
 
 		this.results.on<CollectionChangeEvent<ResultType>>( 'change', ( eventInfo, { removed, index } ) => {
 			if ( Array.from( removed ).length ) {
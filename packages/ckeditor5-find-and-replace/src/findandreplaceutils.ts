@@ -32,6 +32,11 @@ export default class FindAndReplaceUtils extends Plugin {
 	 * @param findCallback The callback that should return `true` if provided text matches the search term.
 	 * @param startResults An optional collection of find matches that the function should
 	 * start with. This would be a collection returned by a previous `updateFindResultFromRange()` call.
+	 * @param options Additional options.
+	 * @param options.includeObjects If set to `true`, the `findCallback` will also be called for the
+	 * {@link module:engine/model/schema~Schema#isObject object elements} that do not allow text (like block images)
+	 * so their attribute values can be searched. The `text` passed to the callback is empty in such case and the results
+	 * without the `start` and `end` offsets cover the entire element.
 	 * @returns A collection of objects describing find match.
 	 *
 	 * An example structure:
@@ -48,60 +53,78 @@ export default class FindAndReplaceUtils extends Plugin {
 		range: Range,
 		model: Model,
 		findCallback: ( { item, text }: { item: Item; text: string } ) => Array<ResultType>,
-		startResults: Collection<ResultType> | null
+		startResults: Collection<ResultType> | null,
+		{ includeObjects = false }: { includeObjects?: boolean } = {}
 	): Collection<ResultType> {
 		const results = startResults || new Collection();
 
-		const checkIfResultAlreadyOnList = ( marker: Marker ) => results.find(
+		const checkIfResultAlreadyOnList = ( marker: Marker, attributeKey?: string ) => results.find(
 			markerItem => {
 				const { marker: resultsMarker } = markerItem;
 
 				const resultRange = resultsMarker!.getRange();
 				const markerRange = marker.getRange();
 
-				return resultRange.isEqual( markerRange );
+				return resultRange.isEqual( markerRange ) && markerItem.attributeKey === attributeKey;
 			}
 		);
 
 		model.change( writer => {
 			[ ...range ].forEach( ( { type, item } ) => {
-				if ( type === 'elementStart' ) {
-					if ( model.schema.checkChild( item, '$text' ) ) {
-						const foundItems = findCallback( {
-							item,
-							text: this.rangeToText( model.createRangeIn( item as Element ) )
-						} );
-
-						if ( !foundItems ) {
-							return;
+				if ( type !== 'elementStart' ) {
+					return;
+				}
+
+				const allowsText = model.schema.checkChild( item, '$text' );
+
+				if ( !allowsText && !( includeObjects && model.schema.isObject( item ) ) ) {
+					return;
+				}
+
+				const foundItems = findCallback( {
+					item,
+					text: allowsText ? this.rangeToText( model.createRangeIn( item as Element ) ) : ''
+				} );
+
+				if ( !foundItems ) {
+					return;
+				}
+
+				foundItems.forEach( foundItem => {
+					const resultId = `findResult:${ uid() }`;
+					const marker = writer.addMarker( resultId, {
+						usingOperation: false,
+						affectsData: false,
+						range: foundItem.start === undefined ? writer.createRangeOn( item ) : writer.createRange(
+							writer.createPositionAt( item, foundItem.start ),
+							writer.createPositionAt( item, foundItem.end! )
+						)
+					} );
+
+					const index = findInsertIndex( results, marker );
+
+					if ( !checkIfResultAlreadyOnList( marker, foundItem.attributeKey ) ) {
+						const result: ResultType = {
+							id: resultId,
+							label: foundItem.label,
+							marker
+						};
+
+						if ( foundItem.attributeKey ) {
+							result.attributeKey = foundItem.attributeKey;
+						}
+
+						if ( foundItem.regExp ) {
+							result.regExp = foundItem.regExp;
+						}
+
+						if ( foundItem.groups ) {
+							result.groups = foundItem.groups;
 						}
 
-						foundItems.forEach( foundItem => {
-							const resultId = `findResult:${ uid() }`;
-							const marker = writer.addMarker( resultId, {
-								usingOperation: false,
-								affectsData: false,
-								range: writer.createRange(
-									writer.createPositionAt( item, foundItem.start ),
-									writer.createPositionAt( item, foundItem.end )
-								)
-							} );
-
-							const index = findInsertIndex( results, marker );
-
-							if ( !checkIfResultAlreadyOnList( marker ) ) {
-								results.add(
-									{
-										id: resultId,
-										label: foundItem.label,
-										marker
-									},
-									index
-								);
-							}
-						} );
+						results.add( result, index );
 					}
-				}
+				} );
 			} );
 		} );
 
@@ -135,41 +158,173 @@ export default class FindAndReplaceUtils extends Plugin {
 	 * @param options Matching options.
 	 * 	- options.matchCase=false If set to `true` letter casing will be ignored.
 	 * 	- options.wholeWords=false If set to `true` only whole words that match `callbackOrText` will be matched.
+	 * 	- options.regExp=false If set to `true` the search term will be treated as a regular expression pattern.
+	 * 	- options.attributes=[] The names of the attributes whose values should be searched, too.
 	 */
 	public findByTextCallback(
 		searchTerm: string,
-		options: { matchCase?: boolean; wholeWords?: boolean }
+		options: FindByTextOptions
 	): ( { item, text }: { item: Item; text: string } ) => Array<ResultType> {
+		const regExp = this.createSearchRegExp( searchTerm, options );
+		const attributes = options.attributes || [];
+		const isRegExp = !!options.regExp;
+
+		function findCallback( { item, text }: { item: Item; text: string } ) {
+			const results = [ ...text.matchAll( regExp ) ]
+				.map( matchResult => regexpMatchToFindResult( matchResult, isRegExp ) )
+				.filter( result => result.label );
+
+			if ( !attributes.length ) {
+				return results;
+			}
+
+			return results.concat( findInAttributes( item, attributes, regExp, isRegExp ) );
+		}
+
+		return findCallback;
+	}
+
+	/**
+	 * Creates a global regular expression for a specified search term and matching options.
+	 *
+	 * The expression always contains two leading capturing groups: the first one matches the text preceding the match
+	 * (not empty only for the whole words search) and the second one matches the searched phrase itself. The groups
+	 * defined in the regular expression pattern (if {@link ~FindByTextOptions#regExp} is used) follow them, so the numbered
+	 * backreferences in the pattern are shifted accordingly.
+	 *
+	 * @param searchTerm The search term or a regular expression pattern.
+	 * @param options Matching options.
+	 * @throws SyntaxError When the `searchTerm` is not a valid regular expression pattern.
+	 */
+	public createSearchRegExp( searchTerm: string, options: FindByTextOptions ): RegExp {
 		let flags = 'gu';
 
 		if ( !options.matchCase ) {
 			flags += 'i';
 		}
 
-		let regExpQuery = `(${ escapeRegExp( searchTerm ) })`;
+		let regExpQuery = `(${ options.regExp ? shiftBackreferences( searchTerm, 2 ) : escapeRegExp( searchTerm ) })`;
+		let prefixGroup = '()';
 
 		if ( options.wholeWords ) {
 			const nonLetterGroup = '[^a-zA-Z\u00C0-\u024F\u1E00-\u1EFF]';
 
-			if ( !new RegExp( '^' + nonLetterGroup ).test( searchTerm ) ) {
-				regExpQuery = `(^|${ nonLetterGroup }|_)${ regExpQuery }`;
+			if ( options.regExp || !new RegExp( '^' + nonLetterGroup ).test( searchTerm ) ) {
+				prefixGroup = `(^|${ nonLetterGroup }|_)`;
 			}
 
-			if ( !new RegExp( nonLetterGroup + '$' ).test( searchTerm ) ) {
+			if ( options.regExp || !new RegExp( nonLetterGroup + '$' ).test( searchTerm ) ) {
 				regExpQuery = `${ regExpQuery }(?=_|${ nonLetterGroup }|$)`;
 			}
 		}
 
-		const regExp = new RegExp( regExpQuery, flags );
+		return new RegExp( prefixGroup + regExpQuery, flags );
+	}
 
-		function findCallback( { text }: { text: string } ) {
-			const matches = [ ...text.matchAll( regExp ) ];
+	/**
+	 * Returns the text that should replace a given find result.
+	 *
+	 * For results of a {@link ~FindByTextOptions#regExp regular expression} search, the following substitution patterns
+	 * are supported in the replacement text:
+	 *
+	 * * `$&` &ndash; inserts the matched text,
+	 * * `$1`, `$2`, ... `$99` &ndash; inserts the text matched by the n-th capturing group,
+	 * * `$$` &ndash; inserts the `$` character.
+	 *
+	 * For other results the replacement text is returned as is.
+	 *
+	 * @param replacementText The replacement text.
+	 * @param result The find result.
+	 */
+	public getReplacementText( replacementText: string, result: ResultType ): string {
+		const groups = result.groups;
 
-			return matches.map( regexpMatchToFindResult );
+		if ( !groups ) {
+			return replacementText;
 		}
 
-		return findCallback;
+		return replacementText.replace( /\$(\$|&|\d{1,2})/g, ( pattern, symbol ) => {
+			if ( symbol == '$' ) {
+				return '$';
+			}
+
+			if ( symbol == '&' ) {
+				return result.label!;
+			}
+
+			// Prefer the two digit group reference ("$12") only if such a group exists, like `String#replace()` does.
+			let groupIndex = Number( symbol );
+
+			if ( symbol.length == 2 && groupIndex > groups.length ) {
+				groupIndex = Number( symbol[ 0 ] );
+
+				if ( groupIndex >= 1 && groupIndex <= groups.length ) {
+					return ( groups[ groupIndex - 1 ] || '' ) + symbol[ 1 ];
+				}
+
+				return pattern;
+			}
+
+			if ( groupIndex < 1 || groupIndex > groups.length ) {
+				return pattern;
+			}
+
+			return groups[ groupIndex - 1 ] || '';
+		} );
 	}
+
+	/**
+	 * Returns the new value of the attribute matched by a given {@link module:find-and-replace/findandreplace~ResultType#attributeKey
+	 * attribute find result}. All occurrences of the searched phrase in the attribute value are replaced.
+	 *
+	 * @param value The current attribute value.
+	 * @param replacementText The replacement text.
+	 * @param result The find result.
+	 */
+	public getReplacedAttributeValue( value: string, replacementText: string, result: ResultType ): string {
+		if ( !result.regExp ) {
+			return replacementText;
+		}
+
+		return value.replace( result.regExp, ( ...args ) => {
+			const [ match, prefix, label ] = args as Array<string>;
+
+			// Keep the empty matches (possible with some regular expressions) intact.
+			if ( !label ) {
+				return match;
+			}
+
+			const groups = result.groups ? args.slice( 3, 3 + result.groups.length ) as Array<string> : undefined;
+
+			return prefix + this.getReplacementText( replacementText, { label, groups } );
+		} );
+	}
+}
+
+/**
+ * The matching options of the {@link module:find-and-replace/findandreplaceutils~FindAndReplaceUtils#findByTextCallback}.
+ */
+export interface FindByTextOptions {
+
+	/**
+	 * If set to `true`, the letter case will be matched.
+	 */
+	matchCase?: boolean;
+
+	/**
+	 * If set to `true`, only whole words will be matched.
+	 */
+	wholeWords?: boolean;
+
+	/**
+	 * If set to `true`, the search term will be treated as a regular expression pattern.
+	 */
+	regExp?: boolean;
+
+	/**
+	 * The names of the model attributes (like `linkHref` or `alt`) whose values should be searched, too.
+	 */
+	attributes?: Array<string>;
 }
 
 // Finds the appropriate index in the resultsList Collection.
@@ -182,22 +337,111 @@ function findInsertIndex( resultsList: Collection<any>, markerToInsert: Marker )
 }
 
 /**
- *  Maps RegExp match result to find result.
+ * Shifts the numbered backreferences (`\1`, `\2`, ...) in the regular expression pattern by a given number of groups.
+ * Other escape sequences, including the named backreferences, are kept intact.
  */
-function regexpMatchToFindResult( matchResult: RegExpMatchArray ): ResultType {
-	const lastGroupIndex = matchResult.length - 1;
+function shiftBackreferences( pattern: string, shift: number ): string {
+	return pattern.replace( /\\(?:([1-9]\d*)|[\s\S])/g, ( escape, groupIndex ) => {
+		return groupIndex ? `\\${ Number( groupIndex ) + shift }` : escape;
+	} );
+}
 
-	let startOffset = matchResult.index!;
+/**
+ * Maps RegExp match result to find result.
+ *
+ * The regular expression is expected to be created by `FindAndReplaceUtils#createSearchRegExp()`, so the first group
+ * contains the text matched before the word and the second group contains the searched phrase.
+ */
+function regexpMatchToFindResult( matchResult: RegExpMatchArray, isRegExp: boolean ): ResultType {
+	const startOffset = matchResult.index! + matchResult[ 1 ].length;
+	const label = matchResult[ 2 ];
+	const result: ResultType = {
+		label,
+		start: startOffset,
+		end: startOffset + label.length
+	};
 
-	// Searches with match all flag have an extra matching group with empty string or white space matched before the word.
-	// If the search term starts with the space already, there is no extra group even with match all flag on.
-	if ( matchResult.length === 3 ) {
-		startOffset += matchResult[ 1 ].length;
+	if ( isRegExp ) {
+		result.groups = matchResult.slice( 3 );
 	}
 
-	return {
-		label: matchResult[ lastGroupIndex ],
-		start: startOffset,
-		end: startOffset + matchResult[ lastGroupIndex ].length
+	return result;
+}
+
+/**
+ * Finds the values of the given attributes that match the regular expression.
+ *
+ * The attributes of the element itself (like the `alt` attribute of a block image) produce results that cover the entire
+ * element, so they do not have the `start` and `end` offsets. The attributes of its direct children (like the `linkHref`
+ * attribute of a text) produce results with the offsets of these children. The adjacent text nodes sharing the same attribute
+ * value (like a link spanning across a bold and a regular text) form a single result.
+ */
+function findInAttributes( item: Item, attributes: Array<string>, regExp: RegExp, isRegExp: boolean ): Array<ResultType> {
+	const results: Array<ResultType> = [];
+
+	if ( !item.is( 'element' ) ) {
+		return results;
+	}
+
+	for ( const key of attributes ) {
+		const result = matchAttributeValue( item.getAttribute( key ), key, regExp, isRegExp );
+
+		if ( result ) {
+			results.push( result );
+		}
+	}
+
+	for ( const key of attributes ) {
+		let lastResult: ResultType | null = null;
+		let lastValue: unknown = null;
+
+		for ( const child of item.getChildren() ) {
+			const value = child.getAttribute( key );
+
+			if ( lastResult && child.is( '$text' ) && value === lastValue && lastResult.end == child.startOffset ) {
+				lastResult.end = child.endOffset!;
+
+				continue;
+			}
+
+			lastResult = matchAttributeValue( value, key, regExp, isRegExp );
+			lastValue = value;
+
+			if ( lastResult ) {
+				lastResult.start = child.startOffset!;
+				lastResult.end = child.endOffset!;
+
+				results.push( lastResult );
+			}
+		}
+	}
+
+	return results;
+}
+
+/**
+ * Returns the attribute find result if the attribute value matches the regular expression.
+ */
+function matchAttributeValue( value: unknown, key: string, regExp: RegExp, isRegExp: boolean ): ResultType | null {
+	if ( typeof value != 'string' ) {
+		return null;
+	}
+
+	const matchResult = [ ...value.matchAll( regExp ) ].find( matchResult => matchResult[ 2 ] );
+
+	if ( !matchResult ) {
+		return null;
+	}
+
+	const result: ResultType = {
+		label: matchResult[ 2 ],
+		attributeKey: key,
+		regExp
 	};
+
+	if ( isRegExp ) {
+		result.groups = matchResult.slice( 3 );
+	}
+
+	return result;
 }
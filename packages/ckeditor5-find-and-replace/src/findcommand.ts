@@ -8,6 +8,7 @@
 */
 
 import { Command, type Editor } from 'ckeditor5/src/core.js';
+import { LiveRange, type Model, type Range } from 'ckeditor5/src/engine.js';
 import type { Collection } from 'ckeditor5/src/utils.js';
 
 import type { default as FindAndReplaceState, FindCallback } from './findandreplacestate.js';
@@ -23,6 +24,11 @@ export default class FindCommand extends Command {
 	 */
 	private _state: FindAndReplaceState;
 
+	/**
+	 * The live ranges of the selection the last search was limited to or `null` if the entire content was searched.
+	 */
+	private _searchScope: Array<LiveRange> | null = null;
+
 	/**
 	 * Creates a new `FindCommand` instance.
 	 *
@@ -48,12 +54,17 @@ export default class FindCommand extends Command {
 	 * @param options Options object.
 	 * @param options.matchCase If set to `true`, the letter case will be matched.
 	 * @param options.wholeWords If set to `true`, only whole words that match `callbackOrText` will be matched.
+	 * @param options.regExp If set to `true`, `callbackOrText` will be treated as a regular expression pattern.
+	 * @param options.inSelection If set to `true` and the selection is not collapsed, only the selected content will be searched.
+	 * @param options.searchAttributes If set to `true`, the values of the
+	 * {@link module:find-and-replace/findandreplaceconfig~FindAndReplaceConfig#searchableAttributes searchable attributes}
+	 * will be searched, too.
 	 *
 	 * @fires execute
 	 */
 	public override execute(
 		callbackOrText: string | FindCallback,
-		{ matchCase, wholeWords }: FindAttributes = {}
+		{ matchCase, wholeWords, regExp, inSelection, searchAttributes }: FindAttributes = {}
 	): { results: Collection<ResultType>; findCallback: FindCallback } {
 		const { editor } = this;
 		const { model } = editor;
@@ -63,20 +74,32 @@ export default class FindCommand extends Command {
 
 		// Allow to execute `find()` on a plugin with a keyword only.
 		if ( typeof callbackOrText === 'string' ) {
-			findCallback = findAndReplaceUtils.findByTextCallback( callbackOrText, { matchCase, wholeWords } );
+			findCallback = findAndReplaceUtils.findByTextCallback( callbackOrText, {
+				matchCase,
+				wholeWords,
+				regExp,
+				attributes: searchAttributes ? editor.config.get( 'findAndReplace.searchableAttributes' ) : []
+			} );
 
 			this._state.searchText = callbackOrText;
 		} else {
 			findCallback = callbackOrText;
 		}
 
-		// Initial search is done on all nodes in all roots inside the content.
-		const results = model.document.getRootNames()
-			.reduce( ( ( currentResults: Collection<ResultType> | null, rootName ) => findAndReplaceUtils.updateFindResultFromRange(
-				model.createRangeIn( model.document.getRoot( rootName )! ),
+		const searchRanges = this._getSearchRanges( !!inSelection );
+
+		if ( this._searchScope ) {
+			findCallback = createScopedFindCallback( findCallback, this._searchScope, model );
+		}
+
+		// Initial search is done on all nodes in all roots inside the content (or in the selected content only).
+		const results = searchRanges
+			.reduce( ( ( currentResults: Collection<ResultType> | null, range ) => findAndReplaceUtils.updateFindResultFromRange(
+				range,
 				model,
 				findCallback!,
-				currentResults
+				currentResults,
+				{ includeObjects: !!searchAttributes }
 			) ), null )!;
 
 		this._state.clear( model );
@@ -93,15 +116,86 @@ export default class FindCommand extends Command {
 
 		this._state.matchCase = !!matchCase;
 		this._state.matchWholeWords = !!wholeWords;
+		this._state.matchRegExp = !!regExp;
+		this._state.searchInSelection = !!inSelection;
+		this._state.searchAttributes = !!searchAttributes;
 
 		return {
 			results,
 			findCallback
 		};
 	}
+
+	/**
+	 * Returns the ranges that should be searched. These are the ranges of the entire content of all roots
+	 * unless the search should be limited to a non-collapsed selection.
+	 *
+	 * The ranges of the selection are expanded to contain entire text blocks (so the search callback can be provided
+	 * with an entire text of each block) and they are live, so they stay valid when the user modifies the content.
+	 * The selected ranges are stored as the {@link #_searchScope search scope}.
+	 */
+	private _getSearchRanges( inSelection: boolean ): Array<Range> {
+		const { model } = this.editor;
+		const selection = model.document.selection;
+
+		this._detachSearchScope();
+
+		if ( !inSelection || selection.isCollapsed ) {
+			return model.document.getRootNames().map( rootName => model.createRangeIn( model.document.getRoot( rootName )! ) );
+		}
+
+		this._searchScope = Array.from( selection.getRanges() ).map( range => LiveRange.fromRange( range ) );
+
+		return this._searchScope.map( range => {
+			const start = range.start.parent.is( 'element' ) && !range.start.parent.is( 'rootElement' ) ?
+				model.createPositionBefore( range.start.parent ) : range.start;
+			const end = range.end.parent.is( 'element' ) && !range.end.parent.is( 'rootElement' ) ?
+				model.createPositionAfter( range.end.parent ) : range.end;
+
+			return model.createRange( start, end );
+		} );
+	}
+
+	/**
+	 * Detaches the live ranges of the {@link #_searchScope search scope}.
+	 */
+	private _detachSearchScope(): void {
+		if ( this._searchScope ) {
+			this._searchScope.forEach( range => range.detach() );
+			this._searchScope = null;
+		}
+	}
+
+	/**
+	 * @inheritDoc
+	 */
+	public override destroy(): void {
+		this._detachSearchScope();
+
+		super.destroy();
+	}
+}
+
+/**
+ * Wraps the find callback so it returns only the results that are within the search scope.
+ */
+function createScopedFindCallback( findCallback: FindCallback, searchScope: Array<LiveRange>, model: Model ): FindCallback {
+	return ( { item, text } ) => findCallback( { item, text } ).filter( result => {
+		const resultRange = result.start === undefined ?
+			model.createRangeOn( item ) :
+			model.createRange( model.createPositionAt( item, result.start ), model.createPositionAt( item, result.end! ) );
+
+		return searchScope.some( range => range.containsRange( resultRange, true ) );
+	} );
 }
 
 /**
  * The options object for the find command.
  */
-export type FindAttributes = { matchCase?: boolean; wholeWords?: boolean };
+export type FindAttributes = {
+	matchCase?: boolean;
+	wholeWords?: boolean;
+	regExp?: boolean;
+	inSelection?: boolean;
+	searchAttributes?: boolean;
+};
@@ -17,5 +17,7 @@ export { default as FindPreviousCommand } from './findpreviouscommand.js';
 export { default as ReplaceCommand } from './replacecommand.js';
 export { default as ReplaceAllCommand } from './replaceallcommand.js';
 export type { FindAndReplaceConfig } from './findandreplaceconfig.js';
+export type { FindByTextOptions } from './findandreplaceutils.js';
+export type { FindAttributes } from './findcommand.js';
 
 import './augmentation.js';
@@ -45,8 +45,14 @@ export default class ReplaceAllCommand extends ReplaceCommandBase {
 				.reduce( ( ( currentResults: Collection<ResultType> | null, rootName ) => findAndReplaceUtils.updateFindResultFromRange(
 					model.createRangeIn( model.document.getRoot( rootName )! ),
 					model,
-					findAndReplaceUtils.findByTextCallback( textToReplace, this._state ),
-					currentResults
+					findAndReplaceUtils.findByTextCallback( textToReplace, {
+						matchCase: this._state.matchCase,
+						wholeWords: this._state.matchWholeWords,
+						regExp: this._state.matchRegExp,
+						attributes: this._state.searchAttributes ? editor.config.get( 'findAndReplace.searchableAttributes' ) : []
+					} ),
+					currentResults,
+					{ includeObjects: this._state.searchAttributes }
 				) ), null as Collection<ResultType> | null )!;
 
 		if ( results.length ) {
@@ -10,6 +10,7 @@
 import { Command, type Editor } from 'ckeditor5/src/core.js';
 import type { ResultType } from './findandreplace.js';
 import type FindAndReplaceState from './findandreplacestate.js';
+import type FindAndReplaceUtils from './findandreplaceutils.js';
 
 export abstract class ReplaceCommandBase extends Command {
 	/**
@@ -61,6 +62,14 @@ export abstract class ReplaceCommandBase extends Command {
 				return;
 			}
 
+			const findAndReplaceUtils: FindAndReplaceUtils = this.editor.plugins.get( 'FindAndReplaceUtils' );
+
+			if ( result.attributeKey ) {
+				this._replaceAttributeValue( replacementText, result );
+
+				return;
+			}
+
 			let textAttributes = {};
 
 			for ( const item of range.getItems() ) {
@@ -70,7 +79,36 @@ export abstract class ReplaceCommandBase extends Command {
 				}
 			}
 
-			model.insertContent( writer.createText( replacementText, textAttributes ), range );
+			model.insertContent( writer.createText(
+				findAndReplaceUtils.getReplacementText( replacementText, result ),
+				textAttributes
+			), range );
+
+			if ( this._state.results.has( result ) ) {
+				this._state.results.remove( result );
+			}
+		} );
+	}
+
+	/**
+	 * Replaces the searched phrase in the value of the attribute matched by a given result.
+	 * The attribute is set on the entire range of the result (e.g. a link) or on the matched element (e.g. an image).
+	 */
+	private _replaceAttributeValue( replacementText: string, result: ResultType ): void {
+		const { model } = this.editor;
+		const findAndReplaceUtils: FindAndReplaceUtils = this.editor.plugins.get( 'FindAndReplaceUtils' );
+		const range = result.marker!.getRange();
+		const key = result.attributeKey!;
+		const element = range.start.nodeAfter;
+		const target = element && element.is( 'element' ) && range.isEqual( model.createRangeOn( element ) ) ? element : range;
+		const node = target.is( 'element' ) ? target : range.getItems().next().value;
+
+		model.change( writer => {
+			const value = node && node.getAttribute( key );
+
+			if ( typeof value == 'string' ) {
+				writer.setAttribute( key, findAndReplaceUtils.getReplacedAttributeValue( value, replacementText, result ), target );
+			}
 
 			if ( this._state.results.has( result ) ) {
 				this._state.results.remove( result );
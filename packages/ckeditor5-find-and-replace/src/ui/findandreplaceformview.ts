@@ -121,6 +121,36 @@ export default class FindAndReplaceFormView extends View {
 	 */
 	declare public _wholeWordsOnly: boolean;
 
+	/**
+	 * The flag reflecting the state of the "Regular expression" switch button in the search options
+	 * dropdown.
+	 *
+	 * @internal
+	 * @readonly
+	 * @observable
+	 */
+	declare public _regExp: boolean;
+
+	/**
+	 * The flag reflecting the state of the "Search in selection only" switch button in the search options
+	 * dropdown.
+	 *
+	 * @internal
+	 * @readonly
+	 * @observable
+	 */
+	declare public _inSelection: boolean;
+
+	/**
+	 * The flag reflecting the state of the "Search in attribute values" switch button in the search options
+	 * dropdown.
+	 *
+	 * @internal
+	 * @readonly
+	 * @observable
+	 */
+	declare public _searchAttributes: boolean;
+
 	/**
 	 * This flag is set `true` when some matches were found and the user didn't change the search
 	 * params (text to find, options) yet. This is only possible immediately after hitting the "Find" button.
@@ -176,6 +206,21 @@ export default class FindAndReplaceFormView extends View {
 	 */
 	private readonly _wholeWordsOnlySwitchView: SwitchButtonView;
 
+	/**
+	 * A switch button view controlling the "Regular expression" option.
+	 */
+	private readonly _regExpSwitchView: SwitchButtonView;
+
+	/**
+	 * A switch button view controlling the "Search in selection only" option.
+	 */
+	private readonly _inSelectionSwitchView: SwitchButtonView;
+
+	/**
+	 * A switch button view controlling the "Search in attribute values" option.
+	 */
+	private readonly _searchAttributesSwitchView: SwitchButtonView;
+
 	/**
 	 * The replace button view.
 	 */
@@ -244,6 +289,12 @@ export default class FindAndReplaceFormView extends View {
 
 		this.set( '_wholeWordsOnly', false );
 
+		this.set( '_regExp', false );
+
+		this.set( '_inSelection', false );
+
+		this.set( '_searchAttributes', false );
+
 		this.bind( '_searchResultsFound' ).to(
 			this, 'matchCount',
 			this, 'isDirty',
@@ -276,6 +327,9 @@ export default class FindAndReplaceFormView extends View {
 
 		this._matchCaseSwitchView = this._createMatchCaseSwitch();
 		this._wholeWordsOnlySwitchView = this._createWholeWordsOnlySwitch();
+		this._regExpSwitchView = this._createOptionSwitch( t( 'Regular expression' ), '_regExp' );
+		this._inSelectionSwitchView = this._createOptionSwitch( t( 'Search in selection only' ), '_inSelection' );
+		this._searchAttributesSwitchView = this._createOptionSwitch( t( 'Search in attribute values' ), '_searchAttributes' );
 
 		this._advancedOptionsCollapsibleView = this._createAdvancedOptionsCollapsible();
 
@@ -469,13 +523,27 @@ export default class FindAndReplaceFormView extends View {
 			return;
 		}
 
+		// An invalid regular expression pattern cannot be searched for. Let the user know about it.
+		if ( this._regExp && !isValidRegExpPattern( this._textToFind ) ) {
+			const t = this.t!;
+
+			this._findInputView.errorText = t( 'Invalid regular expression.' );
+
+			return;
+		}
+
+		this._findInputView.errorText = null;
+
 		// Hitting "Find" automatically clears the dirty state.
 		this.isDirty = false;
 
 		this.fire<FindNextEvent>( 'findNext', {
 			searchText: this._textToFind,
 			matchCase: this._matchCase,
-			wholeWords: this._wholeWordsOnly
+			wholeWords: this._wholeWordsOnly,
+			regExp: this._regExp,
+			inSelection: this._inSelection,
+			searchAttributes: this._searchAttributes
 		} );
 	}
 
@@ -550,7 +618,10 @@ export default class FindAndReplaceFormView extends View {
 		const t = this.locale.t;
 		const collapsible = new CollapsibleView( this.locale, [
 			this._matchCaseSwitchView,
-			this._wholeWordsOnlySwitchView
+			this._wholeWordsOnlySwitchView,
+			this._regExpSwitchView,
+			this._inSelectionSwitchView,
+			this._searchAttributesSwitchView
 		] );
 
 		collapsible.set( {
@@ -666,6 +737,34 @@ export default class FindAndReplaceFormView extends View {
 		return wholeWordsOnlySwitchButton;
 	}
 
+	/**
+	 * Creates, configures and returns an instance of a switch button controlling one of the search options.
+	 *
+	 * @param label The label of the switch button.
+	 * @param property The name of the form's observable property reflecting the state of the option.
+	 */
+	private _createOptionSwitch( label: string, property: '_regExp' | '_inSelection' | '_searchAttributes' ): SwitchButtonView {
+		const switchButton = new SwitchButtonView( this.locale );
+
+		switchButton.set( {
+			label,
+			withText: true
+		} );
+
+		// Let the switch be controlled by form's observable property.
+		switchButton.bind( 'isOn' ).to( this, property );
+
+		// Update the state of the form when a switch is toggled.
+		switchButton.on( 'execute', () => {
+			this[ property ] = !this[ property ];
+			// Toggling a switch makes the form dirty because this changes search criteria
+			// just like typing text of the find input.
+			this.isDirty = true;
+		} );
+
+		return switchButton;
+	}
+
 	/**
 	 * Initializes the {@link #_focusables} and {@link #_focusTracker} to allow navigation
 	 * using <kbd>Tab</kbd> and <kbd>Shift</kbd>+<kbd>Tab</kbd> keystrokes in the right order.
@@ -679,6 +778,9 @@ export default class FindAndReplaceFormView extends View {
 			this._advancedOptionsCollapsibleView.buttonView,
 			this._matchCaseSwitchView,
 			this._wholeWordsOnlySwitchView,
+			this._regExpSwitchView,
+			this._inSelectionSwitchView,
+			this._searchAttributesSwitchView,
 			this._replaceAllButtonView,
 			this._replaceButtonView,
 			this._findButtonView
@@ -807,6 +909,9 @@ export type FindNextEvent = {
 export type FindNextEventData = FindEventBaseData & {
 	matchCase: boolean;
 	wholeWords: boolean;
+	regExp: boolean;
+	inSelection: boolean;
+	searchAttributes: boolean;
 };
 
 /**
@@ -852,3 +957,16 @@ export type ReplaceAllEvent = {
 	name: 'replaceAll';
 	args: [ data: ReplaceEventData ];
 };
+
+/**
+ * Checks whether the pattern can be used to create a regular expression.
+ */
+function isValidRegExpPattern( pattern: string ): boolean {
+	try {
+		new RegExp( pattern, 'u' ); // eslint-disable-line no-new
+	} catch {
+		return false;
+	}
+
+	return true;
+}
@@ -59,6 +59,18 @@ describe( 'FindAndReplaceState', () => {
 		it( 'matchWholeWords should be false', () => {
 			expect( state.matchWholeWords ).to.be.false;
 		} );
+
+		it( 'matchRegExp should be false', () => {
+			expect( state.matchRegExp ).to.be.false;
+		} );
+
+		it( 'searchInSelection should be false', () => {
+			expect( state.searchInSelection ).to.be.false;
+		} );
+
+		it( 'searchAttributes should be false', () => {
+			expect( state.searchAttributes ).to.be.false;
+		} );
 	} );
 
 	describe( 'highlighted result handling', () => {
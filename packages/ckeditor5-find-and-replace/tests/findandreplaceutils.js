@@ -58,6 +58,75 @@ describe( 'FindAndReplace', () => {
 		expect( results.length ).to.equal( 3 );
 	} );
 
+	describe( 'createSearchRegExp()', () => {
+		it( 'should escape the search term by default', () => {
+			const regExp = findAndReplaceUtils.createSearchRegExp( 'a.b', {} );
+
+			expect( 'axb a.b'.match( regExp ) ).to.deep.equal( [ 'a.b' ] );
+		} );
+
+		it( 'should use the search term as a pattern if the regExp option is set', () => {
+			const regExp = findAndReplaceUtils.createSearchRegExp( 'a.b', { regExp: true } );
+
+			expect( 'axb a.b'.match( regExp ) ).to.deep.equal( [ 'axb', 'a.b' ] );
+		} );
+
+		it( 'should keep the numbered backreferences of the pattern pointing at the groups of the pattern', () => {
+			const regExp = findAndReplaceUtils.createSearchRegExp( '(\\w)\\1', { regExp: true } );
+
+			expect( 'abba xyz'.match( regExp ) ).to.deep.equal( [ 'bb' ] );
+		} );
+
+		it( 'should keep the numbered backreferences of the pattern pointing at the groups of the pattern for the whole words', () => {
+			const regExp = findAndReplaceUtils.createSearchRegExp( '(\\w)\\1\\w*', { regExp: true, wholeWords: true } );
+
+			expect( [ ...'abba bbc ddd'.matchAll( regExp ) ].map( match => match[ 2 ] ) ).to.deep.equal( [ 'bbc', 'ddd' ] );
+		} );
+
+		it( 'should keep the named backreferences and the escaped backslashes of the pattern intact', () => {
+			expect( 'abba'.match( findAndReplaceUtils.createSearchRegExp( '(?<letter>\\w)\\k<letter>', { regExp: true } ) ) )
+				.to.deep.equal( [ 'bb' ] );
+			expect( 'a\\1 aa'.match( findAndReplaceUtils.createSearchRegExp( 'a\\\\1', { regExp: true } ) ) )
+				.to.deep.equal( [ 'a\\1' ] );
+		} );
+
+		it( 'should throw for an invalid pattern', () => {
+			expect( () => findAndReplaceUtils.createSearchRegExp( '[a', { regExp: true } ) ).to.throw( SyntaxError );
+		} );
+	} );
+
+	describe( 'getReplacementText()', () => {
+		const result = { label: 'John Smith', groups: [ 'John', 'Smith', undefined ] };
+
+		it( 'should return the replacement text as is for the results without groups', () => {
+			expect( findAndReplaceUtils.getReplacementText( '$1 $& $$', { label: 'foo' } ) ).to.equal( '$1 $& $$' );
+		} );
+
+		it( 'should expand the group references', () => {
+			expect( findAndReplaceUtils.getReplacementText( '$2 $1', result ) ).to.equal( 'Smith John' );
+		} );
+
+		it( 'should expand the matched text reference', () => {
+			expect( findAndReplaceUtils.getReplacementText( '[$&]', result ) ).to.equal( '[John Smith]' );
+		} );
+
+		it( 'should expand the dollar sign escape', () => {
+			expect( findAndReplaceUtils.getReplacementText( '$$1', result ) ).to.equal( '$1' );
+		} );
+
+		it( 'should replace the references to unmatched groups with an empty string', () => {
+			expect( findAndReplaceUtils.getReplacementText( '[$3]', result ) ).to.equal( '[]' );
+		} );
+
+		it( 'should keep the references to non-existing groups', () => {
+			expect( findAndReplaceUtils.getReplacementText( '$4 $0', result ) ).to.equal( '$4 $0' );
+		} );
+
+		it( 'should use a single digit reference if there is no two digit group', () => {
+			expect( findAndReplaceUtils.getReplacementText( '$10', result ) ).to.equal( 'John0' );
+		} );
+	} );
+
 	afterEach( async () => {
 		await editor.destroy();
 
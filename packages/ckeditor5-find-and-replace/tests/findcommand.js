@@ -316,6 +316,273 @@ describe( 'FindCommand', () => {
 				} );
 			} );
 
+			describe( 'options.regExp', () => {
+				it( 'set to true treats the search term as a regular expression', () => {
+					editor.setData( '<p>foo 123 bar 45</p>' );
+
+					const { results } = command.execute( '\\d+', { regExp: true } );
+
+					expect( results.map( result => result.label ) ).to.deep.equal( [ '123', '45' ] );
+				} );
+
+				it( 'set to true makes a proper selection', () => {
+					setData( model, '<paragraph>foo 123 bar</paragraph>' );
+
+					const { results } = command.execute( '[0-9]+', { regExp: true } );
+					const markers = getSimplifiedMarkersFromResults( results );
+
+					expect( stringify( model.document.getRoot(), null, markers ) ).to.equal(
+						'<paragraph>foo <X:start></X:start>123<X:end></X:end> bar</paragraph>'
+					);
+				} );
+
+				it( 'set to true stores the capturing groups in the results', () => {
+					editor.setData( '<p>John Smith</p>' );
+
+					const { results } = command.execute( '(\\w+) (\\w+)', { regExp: true } );
+
+					expect( results.get( 0 ).groups ).to.deep.equal( [ 'John', 'Smith' ] );
+				} );
+
+				it( 'set to true ignores empty matches', () => {
+					editor.setData( '<p>foo</p>' );
+
+					const { results } = command.execute( 'x*', { regExp: true } );
+
+					expect( results.length ).to.equal( 0 );
+				} );
+
+				it( 'set to true respects the matchCase option', () => {
+					editor.setData( '<p>Foo foo</p>' );
+
+					expect( command.execute( 'f.o', { regExp: true } ).results.length ).to.equal( 2 );
+					expect( command.execute( 'f.o', { regExp: true, matchCase: true } ).results.length ).to.equal( 1 );
+				} );
+
+				it( 'set to true respects the wholeWords option', () => {
+					editor.setData( '<p>foo foobar</p>' );
+
+					const { results } = command.execute( 'fo+', { regExp: true, wholeWords: true } );
+
+					expect( results.length ).to.equal( 1 );
+					expect( results.get( 0 ).marker.getStart().offset ).to.equal( 0 );
+				} );
+
+				it( 'set to true supports the backreferences in the pattern', () => {
+					editor.setData( '<p>abba xyz</p>' );
+
+					const { results } = command.execute( '(\\w)\\1', { regExp: true } );
+
+					expect( results.map( result => result.label ) ).to.deep.equal( [ 'bb' ] );
+					expect( results.get( 0 ).groups ).to.deep.equal( [ 'b' ] );
+				} );
+
+				it( 'set to true supports the backreferences in the pattern with the wholeWords option', () => {
+					editor.setData( '<p>abba bbc ddd</p>' );
+
+					const { results } = command.execute( '(\\w)\\1\\w*', { regExp: true, wholeWords: true } );
+
+					expect( results.map( result => result.label ) ).to.deep.equal( [ 'bbc', 'ddd' ] );
+				} );
+
+				it( 'set to true throws for an invalid pattern', () => {
+					editor.setData( '<p>foo</p>' );
+
+					expect( () => command.execute( 'foo(', { regExp: true } ) ).to.throw( SyntaxError );
+				} );
+
+				it( 'is disabled by default', () => {
+					editor.setData( '<p>foo f.o</p>' );
+
+					const { results } = command.execute( 'f.o' );
+
+					expect( results.length ).to.equal( 1 );
+					expect( results.get( 0 ).groups ).to.be.undefined;
+				} );
+
+				it( 'is stored in the state', () => {
+					const state = editor.plugins.get( 'FindAndReplaceEditing' ).state;
+
+					command.execute( 'foo', { regExp: true } );
+					expect( state.matchRegExp ).to.be.true;
+
+					command.execute( 'foo' );
+					expect( state.matchRegExp ).to.be.false;
+				} );
+			} );
+
+			describe( 'options.inSelection', () => {
+				it( 'set to true limits the search to the selected content', () => {
+					setData( model,
+						'<paragraph>bar</paragraph>' +
+						'<paragraph>bar [bar</paragraph>' +
+						'<paragraph>bar] bar</paragraph>' +
+						'<paragraph>bar</paragraph>'
+					);
+
+					const { results } = command.execute( 'bar', { inSelection: true } );
+					const markers = getSimplifiedMarkersFromResults( results );
+
+					expect( stringify( model.document.getRoot(), null, markers ) ).to.equal(
+						'<paragraph>bar</paragraph>' +
+						'<paragraph>bar <X:start></X:start>bar<X:end></X:end></paragraph>' +
+						'<paragraph><Y:start></Y:start>bar<Y:end></Y:end> bar</paragraph>' +
+						'<paragraph>bar</paragraph>'
+					);
+				} );
+
+				it( 'set to true ignores the matches crossing the selection boundaries', () => {
+					setData( model, '<paragraph>ba[r bar b]ar</paragraph>' );
+
+					const { results } = command.execute( 'bar', { inSelection: true } );
+
+					expect( results.length ).to.equal( 1 );
+					expect( results.get( 0 ).marker.getStart().offset ).to.equal( 4 );
+				} );
+
+				it( 'set to true searches the entire content if the selection is collapsed', () => {
+					setData( model, '<paragraph>bar []bar</paragraph><paragraph>bar</paragraph>' );
+
+					const { results } = command.execute( 'bar', { inSelection: true } );
+
+					expect( results.length ).to.equal( 3 );
+				} );
+
+				it( 'set to true keeps the search scope when the content changes', () => {
+					setData( model, '<paragraph>bar [foo] bar</paragraph>' );
+
+					editor.plugins.get( 'FindAndReplaceEditing' ).find( 'bar', { inSelection: true } );
+
+					model.change( writer => {
+						writer.insertText( 'bar', model.document.getRoot().getChild( 0 ), 5 );
+						writer.insertText( 'bar', model.document.getRoot().getChild( 0 ), 0 );
+					} );
+
+					const results = editor.plugins.get( 'FindAndReplaceEditing' ).state.results;
+
+					expect( results.length ).to.equal( 1 );
+					expect( results.get( 0 ).marker.getStart().offset ).to.equal( 8 );
+				} );
+
+				it( 'detaches the previous search scope', () => {
+					setData( model, '<paragraph>bar [foo] bar</paragraph>' );
+
+					command.execute( 'bar', { inSelection: true } );
+
+					const searchScope = command._searchScope;
+					const spy = sinon.spy( searchScope[ 0 ], 'detach' );
+
+					command.execute( 'bar' );
+
+					sinon.assert.calledOnce( spy );
+					expect( command._searchScope ).to.be.null;
+				} );
+
+				it( 'is stored in the state', () => {
+					const state = editor.plugins.get( 'FindAndReplaceEditing' ).state;
+
+					command.execute( 'foo', { inSelection: true } );
+					expect( state.searchInSelection ).to.be.true;
+
+					command.execute( 'foo' );
+					expect( state.searchInSelection ).to.be.false;
+				} );
+			} );
+
+			describe( 'options.searchAttributes', () => {
+				beforeEach( () => {
+					model.schema.extend( '$text', { allowAttributes: 'linkHref' } );
+					model.schema.register( 'imageBlock', {
+						inheritAllFrom: '$blockObject',
+						allowAttributes: [ 'alt', 'src' ]
+					} );
+				} );
+
+				it( 'set to true matches the values of the searchable attributes set on text', () => {
+					setData( model, '<paragraph>foo <$text linkHref="https://example.com">link</$text></paragraph>' );
+
+					const { results } = command.execute( 'example', { searchAttributes: true } );
+					const markers = getSimplifiedMarkersFromResults( results );
+
+					expect( results.length ).to.equal( 1 );
+					expect( results.get( 0 ).attributeKey ).to.equal( 'linkHref' );
+					expect( results.get( 0 ).label ).to.equal( 'example' );
+					expect( stringify( model.document.getRoot(), null, markers ) ).to.equal(
+						'<paragraph>foo <X:start></X:start><$text linkHref="https://example.com">link</$text><X:end></X:end></paragraph>'
+					);
+				} );
+
+				it( 'set to true creates a single result for a link spanning across differently formatted text', () => {
+					model.schema.extend( '$text', { allowAttributes: 'bold' } );
+
+					setData( model,
+						'<paragraph>' +
+							'<$text linkHref="https://example.com">foo</$text>' +
+							'<$text bold="true" linkHref="https://example.com">bar</$text>' +
+						'</paragraph>'
+					);
+
+					const { results } = command.execute( 'example', { searchAttributes: true } );
+
+					expect( results.length ).to.equal( 1 );
+					expect( results.get( 0 ).marker.getStart().offset ).to.equal( 0 );
+					expect( results.get( 0 ).marker.getEnd().offset ).to.equal( 6 );
+				} );
+
+				it( 'set to true matches the values of the searchable attributes set on object elements', () => {
+					setData( model, '<paragraph>foo</paragraph><imageBlock alt="A foo image" src="foo.png"></imageBlock>' );
+
+					const { results } = command.execute( 'foo', { searchAttributes: true } );
+
+					expect( results.length ).to.equal( 2 );
+					expect( results.get( 1 ).attributeKey ).to.equal( 'alt' );
+					expect( results.get( 1 ).marker.getRange().isEqual(
+						model.createRangeOn( model.document.getRoot().getChild( 1 ) )
+					) ).to.be.true;
+				} );
+
+				it( 'set to true matches both the text and the attribute value of the same range', () => {
+					setData( model, '<paragraph><$text linkHref="foo">foo</$text></paragraph>' );
+
+					const { results } = command.execute( 'foo', { searchAttributes: true } );
+
+					expect( results.length ).to.equal( 2 );
+				} );
+
+				it( 'set to true does not match the attributes that are not configured as searchable', () => {
+					setData( model, '<imageBlock alt="bar" src="foo.png"></imageBlock>' );
+
+					const { results } = command.execute( 'foo', { searchAttributes: true } );
+
+					expect( results.length ).to.equal( 0 );
+				} );
+
+				it( 'set to true updates the results when a searchable attribute changes', () => {
+					setData( model, '<imageBlock alt="bar" src="foo.png"></imageBlock>' );
+
+					const findAndReplaceEditing = editor.plugins.get( 'FindAndReplaceEditing' );
+
+					findAndReplaceEditing.find( 'foo', { searchAttributes: true } );
+
+					model.change( writer => {
+						writer.setAttribute( 'alt', 'foo', model.document.getRoot().getChild( 0 ) );
+					} );
+
+					expect( findAndReplaceEditing.state.results.length ).to.equal( 1 );
+				} );
+
+				it( 'is disabled by default', () => {
+					setData( model,
+						'<paragraph><$text linkHref="https://example.com">link</$text></paragraph>' +
+						'<imageBlock alt="example" src="foo.png"></imageBlock>'
+					);
+
+					const { results } = command.execute( 'example' );
+
+					expect( results.length ).to.equal( 0 );
+				} );
+			} );
+
 			describe( 'in multi-root editor', () => {
 				let multiRootEditor, multiRootModel;
 
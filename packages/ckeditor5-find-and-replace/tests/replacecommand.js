@@ -171,6 +171,80 @@ describe( 'ReplaceCommand', () => {
 			);
 		} );
 
+		it( 'should expand the substitution patterns for the regular expression results', () => {
+			setData( model, '<paragraph>John Smith</paragraph>' );
+
+			const { results } = editor.execute( 'find', '(\\w+) (\\w+)', { regExp: true } );
+			editor.execute( 'replace', '$2, $1 ($&) costs $$5', results.get( 0 ) );
+
+			expect( getData( editor.model, { withoutSelection: true } ) ).to.equal(
+				'<paragraph>Smith, John (John Smith) costs $5</paragraph>'
+			);
+		} );
+
+		it( 'should not expand the substitution patterns for the plain text results', () => {
+			setData( model, '<paragraph>foo bar</paragraph>' );
+
+			const { results } = editor.execute( 'find', 'bar' );
+			editor.execute( 'replace', '$1 $&', results.get( 0 ) );
+
+			expect( getData( editor.model, { withoutSelection: true } ) ).to.equal(
+				'<paragraph>foo $1 $&</paragraph>'
+			);
+		} );
+
+		describe( 'attribute results', () => {
+			beforeEach( () => {
+				model.schema.extend( '$text', { allowAttributes: 'linkHref' } );
+				model.schema.register( 'imageBlock', {
+					inheritAllFrom: '$blockObject',
+					allowAttributes: [ 'alt' ]
+				} );
+			} );
+
+			it( 'should replace all occurrences in the attribute value of the text', () => {
+				setData( model,
+					'<paragraph>' +
+						'<$text linkHref="http://foo.com/foo">foo</$text><$text bold="true" linkHref="http://foo.com/foo">bar</$text>' +
+					'</paragraph>'
+				);
+
+				const { results } = editor.execute( 'find', 'foo', { searchAttributes: true, wholeWords: true } );
+				const attributeResult = results.find( result => result.attributeKey );
+
+				editor.execute( 'replace', 'bar', attributeResult );
+
+				expect( getData( editor.model, { withoutSelection: true } ) ).to.equal(
+					'<paragraph>' +
+						'<$text linkHref="http://bar.com/bar">foo</$text><$text bold="true" linkHref="http://bar.com/bar">bar</$text>' +
+					'</paragraph>'
+				);
+				expect( results.has( attributeResult ) ).to.be.false;
+			} );
+
+			it( 'should replace the attribute value of the element', () => {
+				setData( model, '<imageBlock alt="A foo image"></imageBlock>' );
+
+				const { results } = editor.execute( 'find', 'foo', { searchAttributes: true } );
+				editor.execute( 'replace', 'bar', results.get( 0 ) );
+
+				expect( getData( editor.model, { withoutSelection: true } ) ).to.equal(
+					'<imageBlock alt="A bar image"></imageBlock>'
+				);
+			} );
+
+			it( 'should expand the substitution patterns for the regular expression results', () => {
+				setData( model, '<imageBlock alt="image-12"></imageBlock>' );
+
+				const { results } = editor.execute( 'find', '(\\w+)-(\\d+)', { searchAttributes: true, regExp: true } );
+				editor.execute( 'replace', '$2 ($1)', results.get( 0 ) );
+
+				expect( getData( editor.model, { withoutSelection: true } ) ).to.equal(
+					'<imageBlock alt="12 (image)"></imageBlock>'
+				);
+			} );
+		} );
+
 		it( 'doesn\'t pick attributes from sibling nodes', () => {
 			setData( model, '<paragraph><$text italic="true">foo </$text>bar<$text italic="true"> foo</$text></paragraph>' );
 
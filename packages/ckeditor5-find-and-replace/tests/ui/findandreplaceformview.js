@@ -74,6 +74,18 @@ describe( 'FindAndReplaceFormView', () => {
 				expect( view._wholeWordsOnly ).to.be.false;
 			} );
 
+			it( 'should set #_regExp', () => {
+				expect( view._regExp ).to.be.false;
+			} );
+
+			it( 'should set #_inSelection', () => {
+				expect( view._inSelection ).to.be.false;
+			} );
+
+			it( 'should set #_searchAttributes', () => {
+				expect( view._searchAttributes ).to.be.false;
+			} );
+
 			it( 'should set #_searchResultsFound', () => {
 				expect( view._searchResultsFound ).to.be.false;
 			} );
@@ -204,6 +216,45 @@ describe( 'FindAndReplaceFormView', () => {
 					expect( switchView.withText ).to.be.true;
 				} );
 
+				it( 'should have a "regular expression" switch', () => {
+					const switchView = collapsible.children.get( 2 );
+
+					expect( switchView.label ).to.equal( 'Regular expression' );
+					expect( switchView.withText ).to.be.true;
+				} );
+
+				it( 'should have a "search in selection only" switch', () => {
+					const switchView = collapsible.children.get( 3 );
+
+					expect( switchView.label ).to.equal( 'Search in selection only' );
+					expect( switchView.withText ).to.be.true;
+				} );
+
+				it( 'should have a "search in attribute values" switch', () => {
+					const switchView = collapsible.children.get( 4 );
+
+					expect( switchView.label ).to.equal( 'Search in attribute values' );
+					expect( switchView.withText ).to.be.true;
+				} );
+
+				it( 'should bind the states of the option switches to form properties and toggle them', () => {
+					const options = [ '_regExp', '_inSelection', '_searchAttributes' ];
+
+					options.forEach( ( property, index ) => {
+						const switchView = collapsible.children.get( index + 2 );
+
+						view[ property ] = true;
+						expect( switchView.isOn ).to.be.true;
+
+						view.isDirty = false;
+						switchView.fire( 'execute' );
+
+						expect( view[ property ] ).to.be.false;
+						expect( switchView.isOn ).to.be.false;
+						expect( view.isDirty ).to.be.true;
+					} );
+				} );
+
 				it( 'should bind switch states to form properties', () => {
 					const matchCaseSwitchView = collapsible.children.get( 0 );
 					const wholeWordsSwitchView = collapsible.children.get( 1 );
@@ -318,6 +369,9 @@ describe( 'FindAndReplaceFormView', () => {
 				expect( view._advancedOptionsCollapsibleView ).to.be.instanceOf( CollapsibleView );
 				expect( view._matchCaseSwitchView ).to.be.instanceOf( SwitchButtonView );
 				expect( view._wholeWordsOnlySwitchView ).to.be.instanceOf( SwitchButtonView );
+				expect( view._regExpSwitchView ).to.be.instanceOf( SwitchButtonView );
+				expect( view._inSelectionSwitchView ).to.be.instanceOf( SwitchButtonView );
+				expect( view._searchAttributesSwitchView ).to.be.instanceOf( SwitchButtonView );
 
 				expect( view._actionButtonsDivView ).to.be.instanceOf( View );
 				expect( view._replaceAllButtonView ).to.be.instanceOf( ButtonView );
@@ -366,6 +420,9 @@ describe( 'FindAndReplaceFormView', () => {
 					view._advancedOptionsCollapsibleView.buttonView,
 					view._matchCaseSwitchView,
 					view._wholeWordsOnlySwitchView,
+					view._regExpSwitchView,
+					view._inSelectionSwitchView,
+					view._searchAttributesSwitchView,
 					view._replaceAllButtonView,
 					view._replaceButtonView,
 					view._findButtonView
@@ -386,9 +443,12 @@ describe( 'FindAndReplaceFormView', () => {
 				sinon.assert.calledWithExactly( spy.getCall( 4 ), view._advancedOptionsCollapsibleView.buttonView.element );
 				sinon.assert.calledWithExactly( spy.getCall( 5 ), view._matchCaseSwitchView.element );
 				sinon.assert.calledWithExactly( spy.getCall( 6 ), view._wholeWordsOnlySwitchView.element );
-				sinon.assert.calledWithExactly( spy.getCall( 7 ), view._replaceAllButtonView.element );
-				sinon.assert.calledWithExactly( spy.getCall( 8 ), view._replaceButtonView.element );
-				sinon.assert.calledWithExactly( spy.getCall( 9 ), view._findButtonView.element );
+				sinon.assert.calledWithExactly( spy.getCall( 7 ), view._regExpSwitchView.element );
+				sinon.assert.calledWithExactly( spy.getCall( 8 ), view._inSelectionSwitchView.element );
+				sinon.assert.calledWithExactly( spy.getCall( 9 ), view._searchAttributesSwitchView.element );
+				sinon.assert.calledWithExactly( spy.getCall( 10 ), view._replaceAllButtonView.element );
+				sinon.assert.calledWithExactly( spy.getCall( 11 ), view._replaceButtonView.element );
+				sinon.assert.calledWithExactly( spy.getCall( 12 ), view._findButtonView.element );
 
 				view.destroy();
 			} );
@@ -857,7 +917,58 @@ describe( 'FindAndReplaceFormView', () => {
 				findInput.fieldView.value = 'foo';
 
 				findButton.fire( 'execute' );
-				sinon.assert.calledWithExactly( spy, 'findNext', { searchText: 'foo', matchCase: false, wholeWords: false } );
+				sinon.assert.calledWithExactly( spy, 'findNext', {
+					searchText: 'foo',
+					matchCase: false,
+					wholeWords: false,
+					regExp: false,
+					inSelection: false,
+					searchAttributes: false
+				} );
+			} );
+
+			it( 'hitting "Find" should pass the search options with the #findNext event', () => {
+				toggleDialog();
+
+				const spy = sinon.spy( view, 'fire' );
+				findInput.fieldView.value = 'fo+';
+				view._regExp = view._inSelection = view._searchAttributes = true;
+
+				findButton.fire( 'execute' );
+				sinon.assert.calledWithExactly( spy, 'findNext', {
+					searchText: 'fo+',
+					matchCase: false,
+					wholeWords: false,
+					regExp: true,
+					inSelection: true,
+					searchAttributes: true
+				} );
+			} );
+
+			it( 'hitting "Find" with an invalid regular expression should show an error instead of finding things', () => {
+				toggleDialog();
+
+				const spy = sinon.spy( view, 'fire' );
+				findInput.fieldView.value = 'foo(';
+				view._regExp = true;
+
+				findButton.fire( 'execute' );
+
+				expect( findInput.errorText ).to.equal( 'Invalid regular expression.' );
+				sinon.assert.notCalled( spy );
+			} );
+
+			it( 'hitting "Find" with a valid search should clear the previous error', () => {
+				toggleDialog();
+
+				findInput.fieldView.value = 'foo(';
+				view._regExp = true;
+				findButton.fire( 'execute' );
+
+				findInput.fieldView.value = 'foo';
+				findButton.fire( 'execute' );
+
+				expect( findInput.errorText ).to.be.null;
 			} );
 
 			it( 'hitting "Find" when the find input is empty should show an error instead of finding things', () => {
@@ -10,6 +10,7 @@ import type {
 	Image,
 	ImageBlock,
 	ImageCaption,
+	ImageEdit,
 	ImageInline,
 	ImageInsert,
 	ImageInsertViaUrl,
@@ -24,6 +25,8 @@ import type {
 	ImageCaptionEditing,
 	ImageCaptionUI,
 	ImageCaptionUtils,
+	ImageEditEditing,
+	ImageEditUI,
 	ImageInsertUI,
 	ImageResizeEditing,
 	ImageCustomResizeUI,
@@ -39,6 +42,7 @@ import type {
 	ImageTypeCommand,
 	InsertImageCommand,
 	ReplaceImageSourceCommand,
+	ImageEditCommand,
 	ToggleImageCaptionCommand,
 	ResizeImageCommand,
 	ImageStyleCommand,
@@ -62,6 +66,7 @@ declare module '@ckeditor/ckeditor5-core' {
 		[ Image.pluginName ]: Image;
 		[ ImageBlock.pluginName ]: ImageBlock;
 		[ ImageCaption.pluginName ]: ImageCaption;
+		[ ImageEdit.pluginName ]: ImageEdit;
 		[ ImageInline.pluginName ]: ImageInline;
 		[ ImageInsert.pluginName ]: ImageInsert;
 		[ ImageInsertViaUrl.pluginName ]: ImageInsertViaUrl;
@@ -76,6 +81,8 @@ declare module '@ckeditor/ckeditor5-core' {
 		[ ImageCaptionEditing.pluginName ]: ImageCaptionEditing;
 		[ ImageCaptionUI.pluginName ]: ImageCaptionUI;
 		[ ImageCaptionUtils.pluginName ]: ImageCaptionUtils;
+		[ ImageEditEditing.pluginName ]: ImageEditEditing;
+		[ ImageEditUI.pluginName ]: ImageEditUI;
 		[ ImageInsertUI.pluginName ]: ImageInsertUI;
 		[ ImageResizeEditing.pluginName ]: ImageResizeEditing;
 		[ ImageCustomResizeUI.pluginName ]: ImageCustomResizeUI;
@@ -94,6 +101,7 @@ declare module '@ckeditor/ckeditor5-core' {
 		imageTypeInline: ImageTypeCommand;
 		insertImage: InsertImageCommand;
 		replaceImageSource: ReplaceImageSourceCommand;
+		imageEdit: ImageEditCommand;
 		toggleImageCaption: ToggleImageCaptionCommand;
 		resizeImage: ResizeImageCommand;
 		imageStyle: ImageStyleCommand;
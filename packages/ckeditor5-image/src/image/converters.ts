@@ -180,10 +180,12 @@ export function upcastPicture( imageUtils: ImageUtils ): ( dispatcher: UpcastDis
  *
  * @internal
  * @param imageType The type of the image.
+ * @param sizes The value of the `sizes` attribute (see {@link module:image/imageconfig~ImageUploadResponsiveConfig#sizes}).
  */
 export function downcastSrcsetAttribute(
 	imageUtils: ImageUtils,
-	imageType: 'imageBlock' | 'imageInline'
+	imageType: 'imageBlock' | 'imageInline',
+	sizes: string = '100vw'
 ): ( dispatcher: DowncastDispatcher ) => void {
 	const converter: GetCallback<DowncastAttributeEvent<Element>> = ( evt, data, conversionApi	) => {
 		if ( !conversionApi.consumable.consume( data.item, evt.name ) ) {
@@ -200,8 +202,8 @@ export function downcastSrcsetAttribute(
 		} else {
 			if ( data.attributeNewValue ) {
 				writer.setAttribute( 'srcset', data.attributeNewValue, img );
-				// Always outputting `100vw`. See https://github.com/ckeditor/ckeditor5-image/issues/2.
-				writer.setAttribute( 'sizes', '100vw', img );
+				// Outputting `100vw` unless configured otherwise. See https://github.com/ckeditor/ckeditor5-image/issues/2.
+				writer.setAttribute( 'sizes', sizes, img );
 			}
 		}
 	};
@@ -102,7 +102,7 @@ export default class ImageBlockEditing extends Plugin {
 		conversion.for( 'downcast' )
 			.add( downcastImageAttribute( imageUtils, 'imageBlock', 'src' ) )
 			.add( downcastImageAttribute( imageUtils, 'imageBlock', 'alt' ) )
-			.add( downcastSrcsetAttribute( imageUtils, 'imageBlock' ) );
+			.add( downcastSrcsetAttribute( imageUtils, 'imageBlock', editor.config.get( 'image.upload.responsive.sizes' ) ) );
 
 		// More image related upcasts are in 'ImageEditing' plugin.
 		conversion.for( 'upcast' )
@@ -110,7 +110,7 @@ export default class ImageInlineEditing extends Plugin {
 		conversion.for( 'downcast' )
 			.add( downcastImageAttribute( imageUtils, 'imageInline', 'src' ) )
 			.add( downcastImageAttribute( imageUtils, 'imageInline', 'alt' ) )
-			.add( downcastSrcsetAttribute( imageUtils, 'imageInline' ) );
+			.add( downcastSrcsetAttribute( imageUtils, 'imageInline', editor.config.get( 'image.upload.responsive.sizes' ) ) );
 
 		// More image related upcasts are in 'ImageEditing' plugin.
 		conversion.for( 'upcast' )
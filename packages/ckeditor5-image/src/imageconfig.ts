@@ -741,4 +741,136 @@ export interface ImageUploadConfig {
 	 * @default [ 'jpeg', 'png', 'gif', 'bmp', 'webp', 'tiff' ]
 	 */
 	types: Array<string>;
+
+	/**
+	 * The transformation applied to the uploaded images in the browser, before they are handed over to the upload adapter.
+	 * It allows for limiting the size of the images, converting them to other formats and removing their metadata.
+	 *
+	 * ```ts
+	 * const imageUploadConfig = {
+	 * 	types: [ 'jpeg', 'png', 'webp', 'heic' ],
+	 * 	transform: {
+	 * 		maxWidth: 2000,
+	 * 		maxHeight: 2000,
+	 * 		quality: 0.8,
+	 * 		convert: { png: 'webp', heic: 'jpeg' }
+	 * 	}
+	 * };
+	 * ```
+	 *
+	 * The transformation is disabled by default. Read more in {@link module:image/imageconfig~ImageUploadTransformConfig}.
+	 */
+	transform?: ImageUploadTransformConfig;
+
+	/**
+	 * The configuration of the responsive images generated in the browser. When set, downscaled variants of each uploaded image
+	 * are created and uploaded with the same upload adapter, and the image gets the `srcset` attribute listing them.
+	 *
+	 * ```ts
+	 * const imageUploadConfig = {
+	 * 	responsive: {
+	 * 		widths: [ 400, 800, 1200 ],
+	 * 		formats: [ 'webp' ],
+	 * 		sizes: '(max-width: 800px) 100vw, 800px'
+	 * 	}
+	 * };
+	 * ```
+	 *
+	 * The variants are not created if the upload adapter already responds with multiple image widths.
+	 * Read more in {@link module:image/imageconfig~ImageUploadResponsiveConfig}.
+	 */
+	responsive?: ImageUploadResponsiveConfig;
+}
+
+/**
+ * The configuration of the responsive images generated for the uploaded images.
+ * See {@link module:image/imageconfig~ImageUploadConfig#responsive}.
+ */
+export interface ImageUploadResponsiveConfig {
+
+	/**
+	 * The widths (in pixels) of the downscaled variants of the uploaded image. The widths greater than or equal to the width
+	 * of the uploaded image are skipped.
+	 */
+	widths: Array<number>;
+
+	/**
+	 * The additional formats of the variants. When the {@link module:image/pictureediting~PictureEditing} plugin is loaded,
+	 * the variants in these formats are uploaded, too, and the image is rendered as a `<picture>` element with
+	 * a `<source>` element for each format, for instance:
+	 *
+	 * ```html
+	 * <picture>
+	 * 	<source srcset="photo-400w.webp 400w, photo-1600w.webp 1600w" type="image/webp" sizes="100vw">
+	 * 	<img src="photo.jpg" srcset="photo-400w.jpg 400w, photo.jpg 1600w" sizes="100vw">
+	 * </picture>
+	 * ```
+	 */
+	formats?: Array<'jpeg' | 'png' | 'webp'>;
+
+	/**
+	 * The value of the `sizes` attribute of the images with the `srcset` attribute and of the `<source>` elements.
+	 *
+	 * @default '100vw'
+	 */
+	sizes?: string;
+
+	/**
+	 * The quality of the JPEG and WebP variants, a number between `0` and `1`.
+	 *
+	 * @default 0.92
+	 */
+	quality?: number;
+}
+
+/**
+ * The configuration of the transformation applied to the uploaded images. See {@link module:image/imageconfig~ImageUploadConfig#transform}.
+ *
+ * The transformation is applied to JPEG, PNG, WebP, BMP, HEIC and HEIF images. Other images (for instance animated GIFs or SVGs)
+ * are uploaded as they are. The image is decoded by the browser, so the images which the browser cannot decode
+ * (like HEIC images in most browsers) are uploaded as they are, too.
+ *
+ * The image is re-encoded when it needs to be resized or converted, when its metadata should be removed or when its EXIF orientation
+ * should be applied to the pixels. The re-encoded image contains no metadata (including the EXIF orientation and the GPS location).
+ */
+export interface ImageUploadTransformConfig {
+
+	/**
+	 * The maximum width of the image (in pixels). Wider images are scaled down proportionally.
+	 */
+	maxWidth?: number;
+
+	/**
+	 * The maximum height of the image (in pixels). Taller images are scaled down proportionally.
+	 */
+	maxHeight?: number;
+
+	/**
+	 * The quality of the re-encoded JPEG and WebP images, a number between `0` and `1`.
+	 *
+	 * @default 0.92
+	 */
+	quality?: number;
+
+	/**
+	 * The map of the image type conversions. The keys are the sub-types of the uploaded images and the values are the sub-types
+	 * of the images that are handed over to the upload adapter. The supported target sub-types are `'jpeg'`, `'png'` and `'webp'`.
+	 *
+	 * ```ts
+	 * // Convert PNG images to WebP and HEIC images to JPEG.
+	 * const convert = { png: 'webp', heic: 'jpeg' };
+	 * ```
+	 *
+	 * The images of types which cannot be encoded by the browser (like BMP or HEIC) are converted to JPEG unless configured otherwise.
+	 */
+	convert?: Record<string, 'jpeg' | 'png' | 'webp'>;
+
+	/**
+	 * Whether the metadata (like the EXIF data with the GPS location) should be removed from all uploaded images.
+	 * If set to `false`, the images are re-encoded only when they need to be resized, converted or rotated according
+	 * to their EXIF orientation.
+	 *
+	 * @default true
+	 */
+	stripMetadata?: boolean;
 }
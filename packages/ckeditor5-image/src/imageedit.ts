@@ -0,0 +1,41 @@
+/**
+ * @license Copyright (c) 2003-2024, CKSource Holding sp. z o.o. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+
+/**
+ * @module image/imageedit
+ */
+
+import { Plugin } from 'ckeditor5/src/core.js';
+import ImageEditEditing from './imageedit/imageeditediting.js';
+import ImageEditUI from './imageedit/imageeditui.js';
+
+import '../theme/imageedit.css';
+
+/**
+ * The image edit plugin.
+ *
+ * For a detailed overview, check the {@glink features/images/images-editing image editing} documentation.
+ *
+ * This is a "glue" plugin which loads the {@link module:image/imageedit/imageeditediting~ImageEditEditing}
+ * and {@link module:image/imageedit/imageeditui~ImageEditUI} plugins.
+ *
+ * The feature crops, rotates, flips and resizes images in the browser and uploads the result
+ * using the configured {@glink features/images/image-upload/image-upload upload adapter}.
+ */
+export default class ImageEdit extends Plugin {
+	/**
+	 * @inheritDoc
+	 */
+	public static get requires() {
+		return [ ImageEditEditing, ImageEditUI ] as const;
+	}
+
+	/**
+	 * @inheritDoc
+	 */
+	public static get pluginName() {
+		return 'ImageEdit' as const;
+	}
+}
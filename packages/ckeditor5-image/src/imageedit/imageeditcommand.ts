@@ -0,0 +1,212 @@
+/**
+ * @license Copyright (c) 2003-2024, CKSource Holding sp. z o.o. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+
+/* globals document, AbortController, File */
+
+/**
+ * @module image/imageedit/imageeditcommand
+ */
+
+import { Command, PendingActions, type Editor } from 'ckeditor5/src/core.js';
+import type { Element as ModelElement } from 'ckeditor5/src/engine.js';
+import { Notification } from 'ckeditor5/src/ui.js';
+import { FileRepository } from 'ckeditor5/src/upload.js';
+
+import type ImageUtils from '../imageutils.js';
+import {
+	canvasToBlob,
+	drawTransformedImage,
+	getEditedImageFileName,
+	getEditedImageMimeType,
+	loadImage,
+	type ImageEditTransformation
+} from './utils.js';
+
+/**
+ * The image edit command.
+ *
+ * It transforms (crops, rotates, flips and resizes) the selected image in the browser, uploads the result
+ * using the {@link module:upload/filerepository~FileRepository file repository} and replaces the source of the image
+ * with the uploaded one.
+ *
+ * ```ts
+ * editor.execute( 'imageEdit', { rotation: 90, flipHorizontal: true, width: 800 } );
+ * ```
+ *
+ * The command is disabled when no upload adapter is configured and while the selected image is being processed.
+ */
+export default class ImageEditCommand extends Command {
+	/**
+	 * The states of image processing in progress.
+	 */
+	private _processInProgress = new Set<ProcessingState>();
+
+	/**
+	 * @inheritDoc
+	 */
+	constructor( editor: Editor ) {
+		super( editor );
+
+		// Abort processing when the image has been removed.
+		this.listenTo( editor.model.document, 'change:data', () => {
+			for ( const state of this._processInProgress ) {
+				if ( state.element.root.rootName == '$graveyard' ) {
+					state.controller.abort();
+				}
+			}
+		} );
+	}
+
+	/**
+	 * @inheritDoc
+	 */
+	public override refresh(): void {
+		const editor = this.editor;
+		const imageUtils: ImageUtils = editor.plugins.get( 'ImageUtils' );
+		const fileRepository = editor.plugins.get( FileRepository );
+		const element = editor.model.document.selection.getSelectedElement();
+
+		this.isEnabled =
+			imageUtils.isImage( element ) &&
+			element.hasAttribute( 'src' ) &&
+			!!fileRepository.createUploadAdapter &&
+			!this._isBeingProcessed( element );
+	}
+
+	/**
+	 * Executes the command.
+	 *
+	 * @fires execute
+	 * @param transformation The transformation applied to the selected image.
+	 * @returns A promise resolved when the edited image has been uploaded and its source replaced or when the editing failed.
+	 */
+	public override execute( transformation: ImageEditTransformation ): Promise<void> {
+		const editor = this.editor;
+		const t = editor.t;
+		const pendingActions = editor.plugins.get( PendingActions );
+		const notification = editor.plugins.get( Notification );
+
+		const state: ProcessingState = {
+			element: editor.model.document.selection.getSelectedElement()!,
+			controller: new AbortController()
+		};
+
+		const action = pendingActions.add( t( 'Saving the edited image.' ) );
+
+		this._processInProgress.add( state );
+		this.refresh();
+
+		return this._processImage( state, transformation )
+			.then(
+				source => {
+					this._replaceImageSource( state.element, source );
+				},
+				() => {
+					if ( state.controller.signal.aborted ) {
+						return;
+					}
+
+					notification.showWarning( t( 'The edited image could not be saved.' ), {
+						title: t( 'Image editing failed' ),
+						namespace: 'imageEdit'
+					} );
+				}
+			)
+			.finally( () => {
+				this._processInProgress.delete( state );
+				pendingActions.remove( action );
+				this.refresh();
+			} );
+	}
+
+	/**
+	 * @inheritDoc
+	 */
+	public override destroy(): void {
+		for ( const state of this._processInProgress ) {
+			state.controller.abort();
+		}
+
+		super.destroy();
+	}
+
+	/**
+	 * Draws the transformed image on a canvas, uploads it and resolves with the source of the uploaded image.
+	 */
+	private async _processImage( state: ProcessingState, transformation: ImageEditTransformation ): Promise<string> {
+		const fileRepository = this.editor.plugins.get( FileRepository );
+		const { signal } = state.controller;
+		const src = state.element.getAttribute( 'src' ) as string;
+
+		const image = await loadImage( src );
+		const canvas = document.createElement( 'canvas' );
+
+		signal.throwIfAborted();
+		drawTransformedImage( canvas, image, transformation );
+
+		const blob = await canvasToBlob( canvas, getEditedImageMimeType( src ) );
+		const file = new File( [ blob ], getEditedImageFileName( src, blob.type ), { type: blob.type } );
+		const loader = fileRepository.createLoader( file )!;
+		const abortUpload = () => loader.abort();
+
+		signal.throwIfAborted();
+		signal.addEventListener( 'abort', abortUpload );
+
+		try {
+			const data = await loader.upload();
+			const urls = data.urls ? data.urls as Record<string, unknown> : data;
+
+			return urls.default as string;
+		} finally {
+			signal.removeEventListener( 'abort', abortUpload );
+			fileRepository.destroyLoader( loader );
+		}
+	}
+
+	/**
+	 * Replaces the source of the image while keeping its text alternative. The image removed in the meantime is skipped.
+	 */
+	private _replaceImageSource( element: ModelElement, source: string ): void {
+		const editor = this.editor;
+		const model = editor.model;
+
+		if ( element.root.rootName == '$graveyard' ) {
+			return;
+		}
+
+		const previousSelectionRanges = Array.from( model.document.selection.getRanges() );
+		const alt = element.getAttribute( 'alt' );
+
+		model.change( writer => {
+			writer.setSelection( element, 'on' );
+
+			editor.execute( 'replaceImageSource', { source } );
+
+			if ( alt !== undefined ) {
+				writer.setAttribute( 'alt', alt, element );
+			}
+
+			writer.setSelection( previousSelectionRanges );
+		} );
+	}
+
+	/**
+	 * Checks whether the image is being processed.
+	 */
+	private _isBeingProcessed( element: ModelElement ): boolean {
+		for ( const state of this._processInProgress ) {
+			if ( state.element == element ) {
+				return true;
+			}
+		}
+
+		return false;
+	}
+}
+
+interface ProcessingState {
+	element: ModelElement;
+	controller: AbortController;
+}
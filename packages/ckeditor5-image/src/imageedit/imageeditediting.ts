@@ -0,0 +1,43 @@
+/**
+ * @license Copyright (c) 2003-2024, CKSource Holding sp. z o.o. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+
+/**
+ * @module image/imageedit/imageeditediting
+ */
+
+import { Plugin, PendingActions } from 'ckeditor5/src/core.js';
+import { Notification } from 'ckeditor5/src/ui.js';
+import { FileRepository } from 'ckeditor5/src/upload.js';
+import ImageEditCommand from './imageeditcommand.js';
+import ImageEditing from '../image/imageediting.js';
+import ImageUtils from '../imageutils.js';
+
+/**
+ * The image edit editing plugin.
+ *
+ * Registers the `'imageEdit'` command.
+ */
+export default class ImageEditEditing extends Plugin {
+	/**
+	 * @inheritDoc
+	 */
+	public static get requires() {
+		return [ ImageEditing, ImageUtils, FileRepository, PendingActions, Notification ] as const;
+	}
+
+	/**
+	 * @inheritDoc
+	 */
+	public static get pluginName() {
+		return 'ImageEditEditing' as const;
+	}
+
+	/**
+	 * @inheritDoc
+	 */
+	public init(): void {
+		this.editor.commands.add( 'imageEdit', new ImageEditCommand( this.editor ) );
+	}
+}
@@ -0,0 +1,206 @@
+/**
+ * @license Copyright (c) 2003-2024, CKSource Holding sp. z o.o. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+
+/**
+ * @module image/imageedit/imageeditui
+ */
+
+import { Plugin } from 'ckeditor5/src/core.js';
+import { ButtonView, Dialog, Notification, type ButtonExecuteEvent } from 'ckeditor5/src/ui.js';
+
+import ImageEditFormView from './ui/imageeditformview.js';
+import { loadImage } from './utils.js';
+
+import imageEditIcon from '../../theme/icons/image-edit.svg';
+
+/**
+ * The image edit UI plugin.
+ *
+ * It registers the `'imageEdit'` UI button in the editor's {@link module:ui/componentfactory~ComponentFactory component factory}
+ * which opens a dialog with the preview of the selected image and the controls of the
+ * {@link module:image/imageedit/imageeditcommand~ImageEditCommand transformation}.
+ */
+export default class ImageEditUI extends Plugin {
+	/**
+	 * The form view displayed in the dialog. It is created when the dialog is opened for the first time.
+	 */
+	public formView: ImageEditFormView | null = null;
+
+	/**
+	 * @inheritDoc
+	 */
+	public static get requires() {
+		return [ Dialog, Notification ] as const;
+	}
+
+	/**
+	 * @inheritDoc
+	 */
+	public static get pluginName() {
+		return 'ImageEditUI' as const;
+	}
+
+	/**
+	 * @inheritDoc
+	 */
+	public init(): void {
+		const editor = this.editor;
+		const command = editor.commands.get( 'imageEdit' )!;
+		const dialog = editor.plugins.get( Dialog );
+
+		editor.ui.componentFactory.add( 'imageEdit', locale => {
+			const view = new ButtonView( locale );
+			const t = locale.t;
+
+			view.set( {
+				label: t( 'Edit image' ),
+				icon: imageEditIcon,
+				tooltip: true
+			} );
+
+			// The button should be on when the image edit dialog is opened.
+			view.bind( 'isOn' ).to( dialog, 'id', id => id === 'imageEdit' );
+			view.bind( 'isEnabled' ).to( command );
+
+			this.listenTo<ButtonExecuteEvent>( view, 'execute', () => {
+				if ( view.isOn ) {
+					dialog.hide();
+				} else {
+					this._showDialog();
+				}
+			} );
+
+			return view;
+		} );
+
+		// Close the dialog when the image can no longer be edited, for instance when the selection moves away from it.
+		this.listenTo( command, 'change:isEnabled', () => {
+			if ( !command.isEnabled && dialog.id === 'imageEdit' ) {
+				dialog.hide();
+			}
+		} );
+	}
+
+	/**
+	 * @inheritDoc
+	 */
+	public override destroy(): void {
+		super.destroy();
+
+		// Destroy created UI components as they are not automatically destroyed (see ckeditor5#1341).
+		if ( this.formView ) {
+			this.formView.destroy();
+		}
+	}
+
+	/**
+	 * Shows the image edit dialog and loads the selected image for the preview.
+	 */
+	private _showDialog(): void {
+		const editor = this.editor;
+		const t = editor.t;
+		const dialog = editor.plugins.get( Dialog );
+		const notification = editor.plugins.get( Notification );
+		const src = editor.model.document.selection.getSelectedElement()!.getAttribute( 'src' ) as string;
+
+		if ( !this.formView ) {
+			this.formView = this._createFormView();
+		}
+
+		const formView = this.formView;
+
+		formView.image = null;
+
+		dialog.show( {
+			id: 'imageEdit',
+			title: t( 'Edit image' ),
+			icon: imageEditIcon,
+			className: 'ck-image-edit-dialog',
+			content: formView,
+			isModal: true,
+			actionButtons: [
+				{
+					label: t( 'Cancel' ),
+					withText: true,
+					onExecute: () => dialog.hide()
+				},
+				{
+					label: t( 'Save' ),
+					class: 'ck-button-action',
+					withText: true,
+					onCreate: button => {
+						button.bind( 'isEnabled' ).to( formView, 'image', image => !!image );
+					},
+					onExecute: () => this._save()
+				}
+			],
+			onShow: () => {
+				formView.reset();
+			},
+			onHide: () => {
+				formView.image = null;
+			}
+		} );
+
+		loadImage( src ).then(
+			image => {
+				// The dialog could have been closed (or opened for another image) in the meantime.
+				if ( dialog.id === 'imageEdit' && this._getSelectedImageSource() === src ) {
+					formView.image = image;
+				}
+			},
+			() => {
+				if ( dialog.id !== 'imageEdit' ) {
+					return;
+				}
+
+				dialog.hide();
+
+				notification.showWarning( t( 'The image could not be loaded for editing.' ), {
+					title: t( 'Image editing failed' ),
+					namespace: 'imageEdit'
+				} );
+			}
+		);
+	}
+
+	/**
+	 * Creates the form view displayed in the dialog.
+	 */
+	private _createFormView(): ImageEditFormView {
+		const formView = new ImageEditFormView( this.editor.locale );
+
+		this.listenTo( formView, 'submit', () => this._save() );
+
+		return formView;
+	}
+
+	/**
+	 * Validates the form, closes the dialog and executes the `'imageEdit'` command.
+	 */
+	private _save(): void {
+		const editor = this.editor;
+		const formView = this.formView!;
+
+		if ( !formView.image || !formView.isValid() ) {
+			return;
+		}
+
+		const transformation = formView.getTransformation();
+
+		editor.plugins.get( Dialog ).hide();
+		editor.execute( 'imageEdit', transformation );
+		editor.editing.view.focus();
+	}
+
+	/**
+	 * Returns the source of the selected image.
+	 */
+	private _getSelectedImageSource(): string | undefined {
+		const selectedElement = this.editor.model.document.selection.getSelectedElement();
+
+		return selectedElement ? selectedElement.getAttribute( 'src' ) as string : undefined;
+	}
+}
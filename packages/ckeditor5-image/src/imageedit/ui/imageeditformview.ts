@@ -0,0 +1,493 @@
+/**
+ * @license Copyright (c) 2003-2024, CKSource Holding sp. z o.o. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+
+/**
+ * @module image/imageedit/ui/imageeditformview
+ */
+
+import {
+	ButtonView,
+	FocusCycler,
+	LabeledFieldView,
+	View,
+	ViewCollection,
+	createLabeledInputNumber,
+	submitHandler,
+	type FocusableView,
+	type InputNumberView
+} from 'ckeditor5/src/ui.js';
+import { FocusTracker, KeystrokeHandler, type Locale } from 'ckeditor5/src/utils.js';
+
+import {
+	drawTransformedImage,
+	getImageCropAreaFromMargins,
+	getTransformedImageSize,
+	type ImageEditRotation,
+	type ImageEditTransformation
+} from '../utils.js';
+
+import rotateLeftIcon from '../../../theme/icons/rotate-left.svg';
+import rotateRightIcon from '../../../theme/icons/rotate-right.svg';
+import flipHorizontalIcon from '../../../theme/icons/flip-horizontal.svg';
+import flipVerticalIcon from '../../../theme/icons/flip-vertical.svg';
+
+/**
+ * The maximum width and height of the preview of the edited image.
+ */
+const PREVIEW_MAX_SIZE = 320;
+
+/**
+ * The ImageEditFormView class.
+ *
+ * It displays the preview of the edited image together with the controls of the rotation, the flip, the crop margins
+ * and the output width.
+ */
+export default class ImageEditFormView extends View {
+	/**
+	 * The loaded image that is being edited. The controls are disabled as long as it is `null`.
+	 *
+	 * @observable
+	 */
+	declare public image: HTMLImageElement | null;
+
+	/**
+	 * The clockwise rotation of the image.
+	 *
+	 * @observable
+	 */
+	declare public rotation: ImageEditRotation;
+
+	/**
+	 * Whether the image is mirrored horizontally.
+	 *
+	 * @observable
+	 */
+	declare public flipHorizontal: boolean;
+
+	/**
+	 * Whether the image is mirrored vertically.
+	 *
+	 * @observable
+	 */
+	declare public flipVertical: boolean;
+
+	/**
+	 * Tracks information about the DOM focus in the form.
+	 */
+	public readonly focusTracker: FocusTracker;
+
+	/**
+	 * An instance of the {@link module:utils/keystrokehandler~KeystrokeHandler}.
+	 */
+	public readonly keystrokes: KeystrokeHandler;
+
+	/**
+	 * Helps cycling over {@link #_focusables} in the form.
+	 */
+	public readonly focusCycler: FocusCycler;
+
+	/**
+	 * The view of the canvas with the preview of the edited image.
+	 */
+	public readonly previewView: View<HTMLCanvasElement>;
+
+	/**
+	 * The button rotating the image counterclockwise.
+	 */
+	public readonly rotateLeftButtonView: ButtonView;
+
+	/**
+	 * The button rotating the image clockwise.
+	 */
+	public readonly rotateRightButtonView: ButtonView;
+
+	/**
+	 * The button toggling the horizontal flip.
+	 */
+	public readonly flipHorizontalButtonView: ButtonView;
+
+	/**
+	 * The button toggling the vertical flip.
+	 */
+	public readonly flipVerticalButtonView: ButtonView;
+
+	/**
+	 * The input of the top crop margin.
+	 */
+	public readonly cropTopInputView: LabeledFieldView<InputNumberView>;
+
+	/**
+	 * The input of the right crop margin.
+	 */
+	public readonly cropRightInputView: LabeledFieldView<InputNumberView>;
+
+	/**
+	 * The input of the bottom crop margin.
+	 */
+	public readonly cropBottomInputView: LabeledFieldView<InputNumberView>;
+
+	/**
+	 * The input of the left crop margin.
+	 */
+	public readonly cropLeftInputView: LabeledFieldView<InputNumberView>;
+
+	/**
+	 * The input of the output width.
+	 */
+	public readonly widthInputView: LabeledFieldView<InputNumberView>;
+
+	/**
+	 * A collection of views which can be focused in the form.
+	 */
+	private readonly _focusables: ViewCollection<FocusableView>;
+
+	/**
+	 * @inheritDoc
+	 */
+	constructor( locale: Locale ) {
+		super( locale );
+
+		const t = locale.t;
+		const bind = this.bindTemplate;
+
+		this.set( 'image', null );
+		this.set( 'rotation', 0 );
+		this.set( 'flipHorizontal', false );
+		this.set( 'flipVertical', false );
+
+		this.focusTracker = new FocusTracker();
+		this.keystrokes = new KeystrokeHandler();
+		this._focusables = new ViewCollection();
+
+		this.focusCycler = new FocusCycler( {
+			focusables: this._focusables,
+			focusTracker: this.focusTracker,
+			keystrokeHandler: this.keystrokes,
+			actions: {
+				// Navigate form fields backwards using the Shift + Tab keystroke.
+				focusPrevious: 'shift + tab',
+
+				// Navigate form fields forwards using the Tab key.
+				focusNext: 'tab'
+			}
+		} );
+
+		this.previewView = new View( locale );
+		this.previewView.setTemplate( {
+			tag: 'canvas',
+			attributes: {
+				class: [ 'ck', 'ck-image-edit-form__preview' ]
+			}
+		} );
+
+		this.rotateLeftButtonView = this._createButton( t( 'Rotate left' ), rotateLeftIcon );
+		this.rotateRightButtonView = this._createButton( t( 'Rotate right' ), rotateRightIcon );
+		this.flipHorizontalButtonView = this._createButton( t( 'Flip horizontally' ), flipHorizontalIcon );
+		this.flipVerticalButtonView = this._createButton( t( 'Flip vertically' ), flipVerticalIcon );
+
+		this.flipHorizontalButtonView.bind( 'isOn' ).to( this, 'flipHorizontal' );
+		this.flipVerticalButtonView.bind( 'isOn' ).to( this, 'flipVertical' );
+
+		this.rotateLeftButtonView.on( 'execute', () => {
+			this.rotation = ( ( this.rotation + 270 ) % 360 ) as ImageEditRotation;
+		} );
+
+		this.rotateRightButtonView.on( 'execute', () => {
+			this.rotation = ( ( this.rotation + 90 ) % 360 ) as ImageEditRotation;
+		} );
+
+		this.flipHorizontalButtonView.on( 'execute', () => {
+			this.flipHorizontal = !this.flipHorizontal;
+		} );
+
+		this.flipVerticalButtonView.on( 'execute', () => {
+			this.flipVertical = !this.flipVertical;
+		} );
+
+		this.cropTopInputView = this._createInput( t( 'Crop top (%)' ) );
+		this.cropRightInputView = this._createInput( t( 'Crop right (%)' ) );
+		this.cropBottomInputView = this._createInput( t( 'Crop bottom (%)' ) );
+		this.cropLeftInputView = this._createInput( t( 'Crop left (%)' ) );
+		this.widthInputView = this._createInput( t( 'Width (px)' ) );
+
+		for ( const inputView of this._cropInputViews ) {
+			inputView.fieldView.set( { min: 0, max: 99 } );
+		}
+
+		this.widthInputView.fieldView.set( { min: 1 } );
+
+		this.on( 'change', () => this._updatePreview() );
+
+		this.setTemplate( {
+			tag: 'form',
+			attributes: {
+				class: [
+					'ck',
+					'ck-image-edit-form',
+					bind.if( 'image', 'ck-image-edit-form_loading', image => !image )
+				],
+
+				tabindex: '-1'
+			},
+
+			children: [
+				{
+					tag: 'div',
+					attributes: {
+						class: [ 'ck', 'ck-image-edit-form__preview-wrapper' ]
+					},
+					children: [ this.previewView ]
+				},
+				{
+					tag: 'div',
+					attributes: {
+						class: [ 'ck', 'ck-image-edit-form__buttons' ]
+					},
+					children: [
+						this.rotateLeftButtonView,
+						this.rotateRightButtonView,
+						this.flipHorizontalButtonView,
+						this.flipVerticalButtonView
+					]
+				},
+				{
+					tag: 'div',
+					attributes: {
+						class: [ 'ck', 'ck-image-edit-form__inputs' ]
+					},
+					children: [
+						...this._cropInputViews,
+						this.widthInputView
+					]
+				}
+			]
+		} );
+	}
+
+	/**
+	 * @inheritDoc
+	 */
+	public override render(): void {
+		super.render();
+
+		submitHandler( { view: this } );
+
+		this.keystrokes.listenTo( this.element! );
+
+		for ( const view of [ ...this._buttonViews, ...this._cropInputViews, this.widthInputView ] ) {
+			// Register the view as focusable.
+			this._focusables.add( view );
+
+			// Register the view in the focus tracker.
+			this.focusTracker.add( view.element! );
+		}
+
+		this._updatePreview();
+	}
+
+	/**
+	 * @inheritDoc
+	 */
+	public override destroy(): void {
+		super.destroy();
+
+		this.focusTracker.destroy();
+		this.keystrokes.destroy();
+	}
+
+	/**
+	 * Focuses the first (or the last) focusable view of the form.
+	 */
+	public focus( direction?: 1 | -1 ): void {
+		if ( direction === -1 ) {
+			this.focusCycler.focusLast();
+		} else {
+			this.focusCycler.focusFirst();
+		}
+	}
+
+	/**
+	 * Brings the form back to the initial state: clears the inputs and the errors and removes the rotation and the flip.
+	 */
+	public reset(): void {
+		this.set( {
+			rotation: 0,
+			flipHorizontal: false,
+			flipVertical: false
+		} );
+
+		for ( const inputView of [ ...this._cropInputViews, this.widthInputView ] ) {
+			inputView.fieldView.value = inputView.fieldView.element!.value = '';
+		}
+
+		this.resetFormStatus();
+		this._updatePreview();
+	}
+
+	/**
+	 * Validates the form and returns `false` when some fields are invalid.
+	 */
+	public isValid(): boolean {
+		const t = this.locale!.t;
+
+		this.resetFormStatus();
+
+		for ( const inputView of this._cropInputViews ) {
+			const value = parseInputValue( inputView );
+
+			if ( value === null || value < 0 || value > 99 ) {
+				inputView.errorText = t( 'The value must be a number between 0 and 99.' );
+			}
+		}
+
+		const { top, right, bottom, left } = this._getCropMargins();
+
+		if ( top + bottom >= 100 && !this.cropBottomInputView.errorText ) {
+			this.cropBottomInputView.errorText = t( 'The image cannot be cropped entirely.' );
+		}
+
+		if ( left + right >= 100 && !this.cropRightInputView.errorText ) {
+			this.cropRightInputView.errorText = t( 'The image cannot be cropped entirely.' );
+		}
+
+		const width = parseInputValue( this.widthInputView );
+
+		if ( width === null || width < 0 ) {
+			this.widthInputView.errorText = t( 'The width must be a positive number.' );
+		}
+
+		return [ ...this._cropInputViews, this.widthInputView ].every( inputView => !inputView.errorText );
+	}
+
+	/**
+	 * Cleans up the error texts of the inputs.
+	 */
+	public resetFormStatus(): void {
+		for ( const inputView of [ ...this._cropInputViews, this.widthInputView ] ) {
+			inputView.errorText = null;
+		}
+	}
+
+	/**
+	 * Returns the transformation defined in the form. It requires the {@link #image} to be loaded
+	 * because the crop margins are converted to the pixels of the image.
+	 */
+	public getTransformation(): ImageEditTransformation {
+		const { naturalWidth, naturalHeight } = this.image!;
+		const { rotation, flipHorizontal, flipVertical } = this;
+		const margins = this._getCropMargins();
+		const transformation: ImageEditTransformation = { rotation, flipHorizontal, flipVertical };
+
+		if ( margins.top || margins.right || margins.bottom || margins.left ) {
+			transformation.crop = getImageCropAreaFromMargins( naturalWidth, naturalHeight, margins, transformation );
+		}
+
+		const width = parseInputValue( this.widthInputView );
+
+		if ( width ) {
+			transformation.width = width;
+		}
+
+		return transformation;
+	}
+
+	/**
+	 * The crop margin inputs.
+	 */
+	private get _cropInputViews(): Array<LabeledFieldView<InputNumberView>> {
+		return [ this.cropTopInputView, this.cropRightInputView, this.cropBottomInputView, this.cropLeftInputView ];
+	}
+
+	/**
+	 * The rotation and the flip buttons.
+	 */
+	private get _buttonViews(): Array<ButtonView> {
+		return [ this.rotateLeftButtonView, this.rotateRightButtonView, this.flipHorizontalButtonView, this.flipVerticalButtonView ];
+	}
+
+	/**
+	 * Returns the crop margins entered in the form. Invalid values are treated as no margin.
+	 */
+	private _getCropMargins() {
+		const [ top, right, bottom, left ] = this._cropInputViews.map( inputView => {
+			const value = parseInputValue( inputView );
+
+			return value && value > 0 && value <= 99 ? value : 0;
+		} );
+
+		return { top, right, bottom, left };
+	}
+
+	/**
+	 * Draws the preview of the transformed image and updates the placeholder of the width input
+	 * with the width of the image after the crop and the rotation.
+	 */
+	private _updatePreview(): void {
+		const canvas = this.previewView.element;
+
+		if ( !canvas || !this.image ) {
+			return;
+		}
+
+		const { naturalWidth, naturalHeight } = this.image;
+		const transformation = this.getTransformation();
+		const size = getTransformedImageSize( naturalWidth, naturalHeight, { ...transformation, width: undefined } );
+		const scale = Math.min( 1, PREVIEW_MAX_SIZE / size.width, PREVIEW_MAX_SIZE / size.height );
+
+		this.widthInputView.fieldView.placeholder = String( size.width );
+
+		drawTransformedImage( canvas, this.image, { ...transformation, width: size.width * scale } );
+	}
+
+	/**
+	 * Creates a button with an icon and a tooltip.
+	 *
+	 * @param label The button label.
+	 * @param icon The button icon.
+	 */
+	private _createButton( label: string, icon: string ): ButtonView {
+		const button = new ButtonView( this.locale );
+
+		button.set( {
+			label,
+			icon,
+			tooltip: true
+		} );
+
+		button.bind( 'isEnabled' ).to( this, 'image', image => !!image );
+
+		return button;
+	}
+
+	/**
+	 * Creates a number input with a label. It redraws the preview when its value changes.
+	 *
+	 * @param label The input label.
+	 */
+	private _createInput( label: string ): LabeledFieldView<InputNumberView> {
+		const labeledInput = new LabeledFieldView<InputNumberView>( this.locale, createLabeledInputNumber );
+
+		labeledInput.label = label;
+		labeledInput.bind( 'isEnabled' ).to( this, 'image', image => !!image );
+		labeledInput.fieldView.on( 'input', () => this._updatePreview() );
+
+		return labeledInput;
+	}
+}
+
+/**
+ * Returns the numeric value of the input, `0` if the input is empty or `null` if the value is not a number.
+ */
+function parseInputValue( inputView: LabeledFieldView<InputNumberView> ): number | null {
+	const rawValue = inputView.fieldView.element!.value.trim();
+
+	if ( !rawValue ) {
+		return 0;
+	}
+
+	const value = Number( rawValue );
+
+	return Number.isFinite( value ) ? value : null;
+}
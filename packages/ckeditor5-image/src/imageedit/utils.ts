@@ -0,0 +1,298 @@
+/**
+ * @license Copyright (c) 2003-2024, CKSource Holding sp. z o.o. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+
+/* globals document */
+
+/**
+ * @module image/imageedit/utils
+ */
+
+import { CKEditorError } from 'ckeditor5/src/utils.js';
+
+/**
+ * The image types that can be produced by the image editing feature. Images of other types are saved as PNG.
+ */
+const OUTPUT_MIME_TYPES: Record<string, string> = {
+	jpg: 'image/jpeg',
+	jpeg: 'image/jpeg',
+	png: 'image/png',
+	webp: 'image/webp'
+};
+
+/**
+ * Returns the area of the image that should be kept after cropping. The area is limited to the bounds of the image
+ * and rounded to whole pixels. If no crop area is given, the entire image is returned.
+ *
+ * @param naturalWidth The natural width of the source image.
+ * @param naturalHeight The natural height of the source image.
+ * @param crop The crop area (in the pixels of the source image).
+ */
+export function getImageCropArea( naturalWidth: number, naturalHeight: number, crop?: ImageEditCropArea ): ImageEditCropArea {
+	if ( !crop ) {
+		return { x: 0, y: 0, width: naturalWidth, height: naturalHeight };
+	}
+
+	const x = clamp( Math.round( crop.x ), 0, naturalWidth - 1 );
+	const y = clamp( Math.round( crop.y ), 0, naturalHeight - 1 );
+
+	return {
+		x,
+		y,
+		width: clamp( Math.round( crop.width ), 1, naturalWidth - x ),
+		height: clamp( Math.round( crop.height ), 1, naturalHeight - y )
+	};
+}
+
+/**
+ * Converts the crop margins of the transformed image to the crop area of the source image.
+ *
+ * The margins are given as seen by the user, that is, after the image has been rotated and flipped,
+ * and they are expressed in percent of the image size.
+ *
+ * @param naturalWidth The natural width of the source image.
+ * @param naturalHeight The natural height of the source image.
+ * @param margins The crop margins (in percent).
+ * @param transformation The rotation and the flip applied to the image.
+ */
+export function getImageCropAreaFromMargins(
+	naturalWidth: number,
+	naturalHeight: number,
+	margins: ImageEditCropMargins,
+	transformation: Pick<ImageEditTransformation, 'rotation' | 'flipHorizontal' | 'flipVertical'>
+): ImageEditCropArea {
+	let { top, right, bottom, left } = margins;
+
+	// Undo the flip first as it is applied after the rotation.
+	if ( transformation.flipHorizontal ) {
+		[ left, right ] = [ right, left ];
+	}
+
+	if ( transformation.flipVertical ) {
+		[ top, bottom ] = [ bottom, top ];
+	}
+
+	// A clockwise rotation by 90 degrees moves the top side of the source image to the right side, and so on.
+	const sides = [ top, right, bottom, left ];
+	const shift = ( transformation.rotation || 0 ) / 90;
+	const [ sourceTop, sourceRight, sourceBottom, sourceLeft ] = sides.map( ( value, index ) => sides[ ( index + shift ) % 4 ] );
+
+	return {
+		x: naturalWidth * sourceLeft / 100,
+		y: naturalHeight * sourceTop / 100,
+		width: naturalWidth * ( 100 - sourceLeft - sourceRight ) / 100,
+		height: naturalHeight * ( 100 - sourceTop - sourceBottom ) / 100
+	};
+}
+
+/**
+ * Returns the size of the image after applying the transformation.
+ *
+ * @param naturalWidth The natural width of the source image.
+ * @param naturalHeight The natural height of the source image.
+ * @param transformation The transformation applied to the image.
+ */
+export function getTransformedImageSize(
+	naturalWidth: number,
+	naturalHeight: number,
+	transformation: ImageEditTransformation
+): { width: number; height: number } {
+	const crop = getImageCropArea( naturalWidth, naturalHeight, transformation.crop );
+	const isRotatedSideways = transformation.rotation == 90 || transformation.rotation == 270;
+
+	const width = isRotatedSideways ? crop.height : crop.width;
+	const height = isRotatedSideways ? crop.width : crop.height;
+
+	if ( !transformation.width ) {
+		return { width, height };
+	}
+
+	const targetWidth = Math.max( 1, Math.round( transformation.width ) );
+
+	return {
+		width: targetWidth,
+		height: Math.max( 1, Math.round( height * targetWidth / width ) )
+	};
+}
+
+/**
+ * Draws the transformed image on the canvas. The canvas is resized to the size of the transformed image.
+ *
+ * The transformation steps are applied in the following order: crop, rotation, flip and resize.
+ *
+ * @param canvas The canvas to draw the image on.
+ * @param image The loaded source image.
+ * @param transformation The transformation applied to the image.
+ */
+export function drawTransformedImage(
+	canvas: HTMLCanvasElement,
+	image: HTMLImageElement,
+	transformation: ImageEditTransformation
+): void {
+	const { naturalWidth, naturalHeight } = image;
+	const crop = getImageCropArea( naturalWidth, naturalHeight, transformation.crop );
+	const { width, height } = getTransformedImageSize( naturalWidth, naturalHeight, transformation );
+	const rotation = transformation.rotation || 0;
+	const isRotatedSideways = rotation == 90 || rotation == 270;
+
+	// The size of the cropped image drawn before the canvas is rotated.
+	const drawnWidth = isRotatedSideways ? height : width;
+	const drawnHeight = isRotatedSideways ? width : height;
+
+	canvas.width = width;
+	canvas.height = height;
+
+	const context = canvas.getContext( '2d' )!;
+
+	context.translate( width / 2, height / 2 );
+	context.scale( transformation.flipHorizontal ? -1 : 1, transformation.flipVertical ? -1 : 1 );
+	context.rotate( rotation * Math.PI / 180 );
+	context.drawImage(
+		image,
+		crop.x, crop.y, crop.width, crop.height,
+		-drawnWidth / 2, -drawnHeight / 2, drawnWidth, drawnHeight
+	);
+}
+
+/**
+ * Returns the MIME type of the edited image based on the source of the original image.
+ *
+ * @param src The source of the original image.
+ */
+export function getEditedImageMimeType( src: string ): string {
+	const match = src.match( /^data:image\/([a-z]+)[;,]/i ) || getFileName( src ).match( /\.([a-z]+)$/i );
+	const type = match && OUTPUT_MIME_TYPES[ match[ 1 ].toLowerCase() ];
+
+	return type || 'image/png';
+}
+
+/**
+ * Returns the name of the file with the edited image based on the source of the original image.
+ *
+ * @param src The source of the original image.
+ * @param mimeType The MIME type of the edited image.
+ */
+export function getEditedImageFileName( src: string, mimeType: string ): string {
+	const baseName = src.startsWith( 'data:' ) ? '' : getFileName( src ).replace( /\.[^.]*$/, '' );
+	const extension = mimeType == 'image/jpeg' ? 'jpg' : mimeType.replace( /^image\//, '' );
+
+	return `${ baseName || 'image' }-edited.${ extension }`;
+}
+
+/**
+ * Loads the image from the given source. The image is requested in the CORS mode so it can be exported from the canvas.
+ *
+ * @param src The source of the image.
+ */
+export function loadImage( src: string ): Promise<HTMLImageElement> {
+	return new Promise( ( resolve, reject ) => {
+		const image = document.createElement( 'img' );
+
+		image.crossOrigin = 'anonymous';
+
+		image.addEventListener( 'load', () => resolve( image ), { once: true } );
+		image.addEventListener( 'error', () => {
+			/**
+			 * The image could not be loaded for editing. Make sure the image exists and, if it is served from a different origin,
+			 * that the server allows cross-origin requests for it.
+			 *
+			 * @error image-edit-image-load-failed
+			 * @param src The source of the image.
+			 */
+			reject( new CKEditorError( 'image-edit-image-load-failed', null, { src } ) );
+		}, { once: true } );
+
+		image.src = src;
+	} );
+}
+
+/**
+ * Exports the content of the canvas as a blob.
+ *
+ * @param canvas The canvas to export.
+ * @param mimeType The requested MIME type of the blob. Browsers fall back to PNG if the type is not supported.
+ */
+export function canvasToBlob( canvas: HTMLCanvasElement, mimeType: string ): Promise<Blob> {
+	return new Promise( ( resolve, reject ) => {
+		canvas.toBlob( blob => {
+			if ( blob ) {
+				resolve( blob );
+			} else {
+				/**
+				 * The edited image could not be exported from the canvas.
+				 *
+				 * @error image-edit-image-export-failed
+				 */
+				reject( new CKEditorError( 'image-edit-image-export-failed' ) );
+			}
+		}, mimeType );
+	} );
+}
+
+function getFileName( src: string ): string {
+	return src.split( /[?#]/ )[ 0 ].split( '/' ).pop()!;
+}
+
+function clamp( value: number, min: number, max: number ): number {
+	return Math.min( Math.max( value, min ), max );
+}
+
+/**
+ * The area of the image that is kept after cropping, in the pixels of the source image.
+ */
+export interface ImageEditCropArea {
+	x: number;
+	y: number;
+	width: number;
+	height: number;
+}
+
+/**
+ * The margins cut off the image, in percent of the image size.
+ */
+export interface ImageEditCropMargins {
+	top: number;
+	right: number;
+	bottom: number;
+	left: number;
+}
+
+/**
+ * The clockwise rotation of the image in degrees.
+ */
+export type ImageEditRotation = 0 | 90 | 180 | 270;
+
+/**
+ * The transformation applied to the image by the {@link module:image/imageedit/imageeditcommand~ImageEditCommand}.
+ *
+ * The steps are applied in the following order: crop, rotation, flip and resize.
+ */
+export interface ImageEditTransformation {
+
+	/**
+	 * The area of the source image that should be kept.
+	 */
+	crop?: ImageEditCropArea;
+
+	/**
+	 * The clockwise rotation of the image.
+	 */
+	rotation?: ImageEditRotation;
+
+	/**
+	 * Whether the image should be mirrored horizontally (after the rotation).
+	 */
+	flipHorizontal?: boolean;
+
+	/**
+	 * Whether the image should be mirrored vertically (after the rotation).
+	 */
+	flipVertical?: boolean;
+
+	/**
+	 * The width of the output image in pixels. The height is scaled proportionally.
+	 * If not set, the image keeps its size.
+	 */
+	width?: number;
+}
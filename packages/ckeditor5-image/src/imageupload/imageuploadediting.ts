@@ -22,12 +22,12 @@ import {
 import { Notification } from 'ckeditor5/src/ui.js';
 import { ClipboardPipeline, type ViewDocumentClipboardInputEvent } from 'ckeditor5/src/clipboard.js';
 import { FileRepository, type UploadResponse, type FileLoader } from 'ckeditor5/src/upload.js';
-import { env } from 'ckeditor5/src/utils.js';
+import { env, logWarning } from 'ckeditor5/src/utils.js';
 
 import ImageUtils from '../imageutils.js';
 import UploadImageCommand from './uploadimagecommand.js';
 import { fetchLocalImage, isLocalImage } from '../../src/imageupload/utils.js';
-import { createImageTypeRegExp } from './utils.js';
+import { createImageTypeRegExp, createResponsiveImageFiles, transformImageFile } from './utils.js';
 
 /**
  * The editing part of the image upload feature. It registers the `'uploadImage'` command
@@ -59,6 +59,12 @@ export default class ImageUploadEditing extends Plugin {
 	 */
 	private readonly _uploadImageElements: Map<string, Element>;
 
+	/**
+	 * The {@link module:upload/filerepository~FileLoader#id file loader UIDs} of the images which are being transformed
+	 * according to the {@link module:image/imageconfig~ImageUploadConfig#transform `image.upload.transform`} configuration.
+	 */
+	private readonly _transformedLoaderIds: Set<string>;
+
 	/**
 	 * @inheritDoc
 	 */
@@ -72,6 +78,7 @@ export default class ImageUploadEditing extends Plugin {
 		} );
 
 		this._uploadImageElements = new Map();
+		this._transformedLoaderIds = new Set();
 	}
 
 	/**
@@ -159,7 +166,7 @@ export default class ImageUploadEditing extends Plugin {
 				// Set attribute marking that the image was processed already.
 				writer.setAttribute( 'uploadProcessed', true, fetchableImage.imageElement );
 
-				const loader = fileRepository.createLoader( fetchableImage.promise );
+				const loader = this._createLoader( fetchableImage.promise );
 
 				if ( loader ) {
 					writer.setAttribute( 'src', '', fetchableImage.imageElement );
@@ -264,6 +271,52 @@ export default class ImageUploadEditing extends Plugin {
 		}
 	}
 
+	/**
+	 * Creates a {@link module:upload/filerepository~FileLoader file loader} for the image file.
+	 *
+	 * If the {@link module:image/imageconfig~ImageUploadConfig#transform `image.upload.transform`} configuration is set,
+	 * the file is transformed before it is handed over to the loader. Until then, the image has the `'processing'` upload status.
+	 *
+	 * @internal
+	 * @param fileOrPromise The image file or a promise resolving with the image file.
+	 * @returns The file loader or `null` if it could not be created (see {@link module:upload/filerepository~FileRepository#createLoader}).
+	 */
+	public _createLoader( fileOrPromise: File | Promise<File> ): FileLoader | null {
+		const fileRepository = this.editor.plugins.get( FileRepository );
+		const transformConfig = this.editor.config.get( 'image.upload.transform' );
+
+		if ( !transformConfig ) {
+			return fileRepository.createLoader( fileOrPromise );
+		}
+
+		const filePromise = Promise.resolve( fileOrPromise ).then( file => transformImageFile( file, transformConfig ) );
+		const loader = fileRepository.createLoader( filePromise );
+
+		if ( !loader ) {
+			return null;
+		}
+
+		const onTransformed = () => {
+			const imageElement = this._uploadImageElements.get( loader.id );
+
+			this._transformedLoaderIds.delete( loader.id );
+
+			// The image could have been removed or its upload could have finished (failed) in the meantime.
+			if ( imageElement && imageElement.getAttribute( 'uploadStatus' ) == 'processing' ) {
+				this.editor.model.enqueueChange( { isUndoable: false }, writer => {
+					writer.setAttribute( 'uploadStatus', 'reading', imageElement );
+				} );
+			}
+		};
+
+		this._transformedLoaderIds.add( loader.id );
+
+		// The rejection of the file promise is handled by the loader.
+		filePromise.then( onTransformed, onTransformed );
+
+		return loader;
+	}
+
 	/**
 	 * Reads and uploads an image.
 	 *
@@ -279,9 +332,13 @@ export default class ImageUploadEditing extends Plugin {
 		const notification = editor.plugins.get( Notification );
 		const imageUtils: ImageUtils = editor.plugins.get( 'ImageUtils' );
 		const imageUploadElements = this._uploadImageElements;
+		const transformedLoaderIds = this._transformedLoaderIds;
 
 		model.enqueueChange( { isUndoable: false }, writer => {
-			writer.setAttribute( 'uploadStatus', 'reading', imageUploadElements.get( loader.id )! );
+			// The image is being transformed before it can be read (see `image.upload.transform`).
+			const status = this._transformedLoaderIds.has( loader.id ) ? 'processing' : 'reading';
+
+			writer.setAttribute( 'uploadStatus', status, imageUploadElements.get( loader.id )! );
 		} );
 
 		return loader.read()
@@ -330,6 +387,7 @@ export default class ImageUploadEditing extends Plugin {
 
 				return promise;
 			} )
+			.then( data => this._uploadResponsiveImages( loader, data ) )
 			.then( data => {
 				model.enqueueChange( { isUndoable: false }, writer => {
 					const imageElement = imageUploadElements.get( loader.id )!;
@@ -382,10 +440,118 @@ export default class ImageUploadEditing extends Plugin {
 				imageUploadElements.delete( loader.id );
 			} );
 
+			transformedLoaderIds.delete( loader.id );
+
 			fileRepository.destroyLoader( loader );
 		}
 	}
 
+	/**
+	 * Creates and uploads the downscaled variants of the uploaded image according to the
+	 * {@link module:image/imageconfig~ImageUploadConfig#responsive `image.upload.responsive`} configuration.
+	 *
+	 * The variants are uploaded with the same upload adapter, all at once. The URLs of the variants are added to the upload response
+	 * as the image widths (and as the `sources` if the {@link module:image/pictureediting~PictureEditing} plugin is loaded),
+	 * so the image gets the `srcset` attribute once the {@link ~ImageUploadEditing#event:uploadComplete `uploadComplete`} event is fired.
+	 *
+	 * If the variants cannot be created or uploaded, a warning is logged and the image is inserted without them.
+	 *
+	 * @param loader The loader of the uploaded image.
+	 * @param data The upload response of the uploaded image.
+	 * @returns A promise which resolves with the upload response extended with the variants.
+	 */
+	private async _uploadResponsiveImages( loader: FileLoader, data: UploadResponse ): Promise<UploadResponse> {
+		const editor = this.editor;
+		const config = editor.config.get( 'image.upload.responsive' );
+		const urls = ( data.urls || data ) as Record<string, unknown>;
+
+		// The upload adapter takes care of the responsive images itself.
+		if ( !config || !config.widths.length || data.sources || Object.keys( urls ).some( key => !isNaN( parseInt( key, 10 ) ) ) ) {
+			return data;
+		}
+
+		const fileRepository = editor.plugins.get( FileRepository );
+		const file = await loader.file;
+		const sourceType = file ? file.type.replace( /^image\//, '' ) : '';
+		const variantLoaders: Array<FileLoader> = [];
+
+		// Other images (like animated GIFs or SVGs) should not be re-encoded.
+		if ( !file || ![ 'jpeg', 'png', 'webp' ].includes( sourceType ) ) {
+			return data;
+		}
+
+		// Abort uploading the variants when the image is removed from the content.
+		const onStatusChange = () => {
+			if ( loader.status == 'aborted' ) {
+				variantLoaders.forEach( variantLoader => variantLoader.abort() );
+			}
+		};
+
+		loader.on( 'change:status', onStatusChange );
+
+		try {
+			const formats = editor.plugins.has( 'PictureEditing' ) ? ( config.formats || [] ).filter( type => type !== sourceType ) : [];
+			const { width, variants } = await createResponsiveImageFiles( file, config.widths, [ sourceType, ...formats ], config.quality );
+
+			if ( loader.status == 'aborted' ) {
+				throw 'aborted';
+			}
+
+			for ( const variant of variants ) {
+				variantLoaders.push( fileRepository.createLoader( variant.file )! );
+			}
+
+			const responses = await Promise.all( variantLoaders.map( variantLoader => variantLoader.upload() ) );
+			const variantUrls = responses.map( response => ( ( response.urls || response ) as Record<string, unknown> ).default );
+			const responsiveUrls: Record<string, unknown> = { ...urls };
+			const sources = formats.map( type => ( {
+				srcset: variants
+					.map( ( variant, index ) => variant.type == type ? `${ variantUrls[ index ] } ${ variant.width }w` : '' )
+					.filter( entry => entry )
+					.join( ', ' ),
+				type: `image/${ type }`,
+				sizes: config.sizes || '100vw'
+			} ) );
+
+			variants.forEach( ( variant, index ) => {
+				if ( variant.type == sourceType ) {
+					responsiveUrls[ variant.width ] = variantUrls[ index ];
+				}
+			} );
+
+			// The original image is the widest one in the `srcset`.
+			if ( variants.some( variant => variant.type == sourceType ) ) {
+				responsiveUrls[ width ] = urls.default;
+			}
+
+			return {
+				...( data.urls ? { ...data, urls: responsiveUrls } : responsiveUrls ),
+				...( sources.length ? { sources } : {} )
+			};
+		} catch ( error ) {
+			if ( loader.status == 'aborted' ) {
+				throw error;
+			}
+
+			/**
+			 * The responsive variants of the uploaded image could not be created or uploaded.
+			 * The image is inserted without the `srcset` attribute.
+			 *
+			 * See {@link module:image/imageconfig~ImageUploadConfig#responsive `image.upload.responsive`}.
+			 *
+			 * @error image-upload-responsive-images-failed
+			 * @param fileName The name of the uploaded file.
+			 * @param error The original error.
+			 */
+			logWarning( 'image-upload-responsive-images-failed', { fileName: file.name, error } );
+
+			return data;
+		} finally {
+			loader.off( 'change:status', onStatusChange );
+			variantLoaders.forEach( variantLoader => fileRepository.destroyLoader( variantLoader ) );
+		}
+	}
+
 	/**
 	 * Creates the `srcset` attribute based on a given file upload response and sets it as an attribute to a specific image element.
 	 *
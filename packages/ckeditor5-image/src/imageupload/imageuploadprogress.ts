@@ -99,9 +99,9 @@ export default class ImageUploadProgress extends Plugin {
 		const viewFigure = editor.editing.mapper.toViewElement( modelImage )! as ViewContainerElement;
 		const viewWriter = conversionApi.writer;
 
-		if ( status == 'reading' ) {
+		if ( status == 'processing' || status == 'reading' ) {
 			// Start "appearing" effect and show placeholder with infinite progress bar on the top
-			// while image is read from disk.
+			// while image is transformed (see `image.upload.transform`) and read from disk.
 			_startAppearEffect( viewFigure, viewWriter );
 			_showPlaceholder( imageUtils, placeholder, viewFigure, viewWriter );
 
@@ -101,7 +101,10 @@ export default class UploadImageCommand extends Command {
 	private _uploadImage( file: File, attributes: object, position?: Position ): void {
 		const editor = this.editor;
 		const fileRepository = editor.plugins.get( FileRepository );
-		const loader = fileRepository.createLoader( file );
+		// The loader is created by the editing plugin (if loaded) so the `image.upload.transform` configuration is respected.
+		const loader = editor.plugins.has( 'ImageUploadEditing' ) ?
+			editor.plugins.get( 'ImageUploadEditing' )._createLoader( file ) :
+			fileRepository.createLoader( file );
 		const imageUtils: ImageUtils = editor.plugins.get( 'ImageUtils' );
 
 		// Do not throw when upload adapter is not set. FileRepository will log an error anyway.
@@ -7,11 +7,27 @@
  * @module image/imageupload/utils
  */
 
-/* global fetch, File */
+/* global fetch, File, URL, DataView */
 
 import type { ViewElement } from 'ckeditor5/src/engine.js';
-import { global } from 'ckeditor5/src/utils.js';
+import { global, logWarning } from 'ckeditor5/src/utils.js';
 import type ImageUtils from '../imageutils.js';
+import type { ImageUploadTransformConfig } from '../imageconfig.js';
+
+/**
+ * The sub-types of the images that can be transformed before the upload.
+ */
+const TRANSFORMABLE_IMAGE_TYPES = [ 'jpeg', 'png', 'webp', 'bmp', 'heic', 'heif' ];
+
+/**
+ * The sub-types of the images that can be encoded by the browser.
+ */
+const ENCODABLE_IMAGE_TYPES = [ 'jpeg', 'png', 'webp' ];
+
+/**
+ * The size of the beginning of the JPEG file searched for the EXIF orientation.
+ */
+const EXIF_SEARCH_LENGTH = 128 * 1024;
 
 /**
  * Creates a regular expression used to test for image files.
@@ -76,6 +92,301 @@ export function isLocalImage( imageUtils: ImageUtils, node: ViewElement ): boole
 		!!node.getAttribute( 'src' )!.match( /^blob:/g );
 }
 
+/**
+ * Transforms the image file according to the {@link module:image/imageconfig~ImageUploadConfig#transform `image.upload.transform`}
+ * configuration: scales it down to the maximum dimensions, converts it to another format, applies the EXIF orientation
+ * and removes the metadata.
+ *
+ * The returned promise never rejects. If the image cannot be transformed (for instance, the browser cannot decode it),
+ * a warning is logged and the promise resolves with the original file.
+ *
+ * @param file The image file to transform.
+ * @param config The transformation configuration.
+ * @returns A promise which resolves with the transformed file or with the original file if it did not need to be transformed.
+ */
+export async function transformImageFile( file: File, config: ImageUploadTransformConfig ): Promise<File> {
+	const sourceType = file.type.replace( /^image\//, '' ).toLowerCase();
+
+	if ( !TRANSFORMABLE_IMAGE_TYPES.includes( sourceType ) ) {
+		return file;
+	}
+
+	const targetType = getTransformedImageType( sourceType, config );
+
+	try {
+		const image = await decodeImageFile( file );
+		const { width, height } = getTransformedImageFileSize( image.naturalWidth, image.naturalHeight, config );
+		const isResized = width !== image.naturalWidth || height !== image.naturalHeight;
+
+		if ( !isResized && targetType === sourceType && config.stripMetadata === false ) {
+			// The image has to be re-encoded anyway if it is rotated by the EXIF orientation, because the upload server
+			// may not respect it.
+			const orientation = sourceType === 'jpeg' ? getJpegOrientation( await file.slice( 0, EXIF_SEARCH_LENGTH ).arrayBuffer() ) : 1;
+
+			if ( orientation === 1 ) {
+				return file;
+			}
+		}
+
+		return await encodeImageFile( image, {
+			width,
+			height,
+			type: targetType,
+			quality: config.quality,
+			fileName: getImageFileName( file.name, targetType ),
+			lastModified: file.lastModified
+		} );
+	} catch ( error ) {
+		/**
+		 * The image could not be transformed before the upload. The original file will be uploaded instead.
+		 *
+		 * This usually happens when the browser cannot decode the image (for instance, a HEIC image)
+		 * or cannot encode it in the configured format.
+		 *
+		 * See {@link module:image/imageconfig~ImageUploadConfig#transform `image.upload.transform`}.
+		 *
+		 * @error image-upload-transform-failed
+		 * @param fileName The name of the file which could not be transformed.
+		 * @param error The original error.
+		 */
+		logWarning( 'image-upload-transform-failed', { fileName: file.name, error } );
+
+		return file;
+	}
+}
+
+/**
+ * Creates the downscaled variants of the image file used to build the responsive `srcset` of the uploaded image
+ * (see {@link module:image/imageconfig~ImageUploadConfig#responsive `image.upload.responsive`}).
+ *
+ * A variant is created for each of the given widths smaller than the width of the image and for each of the given types.
+ * For the types other than the type of the file, the variant of the original width is created, too.
+ *
+ * @param file The image file.
+ * @param widths The widths of the variants.
+ * @param types The sub-types of the variants, for instance `[ 'jpeg', 'webp' ]`.
+ * @param quality The quality of the JPEG and WebP variants.
+ * @returns A promise which resolves with the width of the image and its variants. It is rejected if the image cannot be decoded
+ * or encoded.
+ */
+export async function createResponsiveImageFiles(
+	file: File,
+	widths: Array<number>,
+	types: Array<string>,
+	quality?: number
+): Promise<{ width: number; variants: Array<ResponsiveImageFile> }> {
+	const image = await decodeImageFile( file );
+	const sourceType = file.type.replace( /^image\//, '' ).toLowerCase();
+	const naturalWidth = image.naturalWidth;
+	const naturalHeight = image.naturalHeight;
+	const variantWidths = Array.from( new Set( widths ) )
+		.filter( width => width > 0 && width < naturalWidth )
+		.sort( ( a, b ) => a - b );
+	const variants: Array<ResponsiveImageFile> = [];
+
+	for ( const type of types ) {
+		const typeWidths = type === sourceType ? variantWidths : [ ...variantWidths, naturalWidth ];
+
+		for ( const width of typeWidths ) {
+			const height = Math.max( 1, Math.round( naturalHeight * width / naturalWidth ) );
+			const variantFile = await encodeImageFile( image, {
+				width,
+				height,
+				type,
+				quality,
+				fileName: getImageFileName( file.name, type, `-${ width }w` ),
+				lastModified: file.lastModified
+			} );
+
+			variants.push( { file: variantFile, width, type } );
+		}
+	}
+
+	return { width: naturalWidth, variants };
+}
+
+/**
+ * Returns the size of the image scaled down proportionally to fit in the maximum dimensions
+ * from the {@link module:image/imageconfig~ImageUploadConfig#transform `image.upload.transform`} configuration.
+ *
+ * @param width The width of the image.
+ * @param height The height of the image.
+ * @param config The transformation configuration.
+ */
+export function getTransformedImageFileSize(
+	width: number,
+	height: number,
+	config: ImageUploadTransformConfig
+): { width: number; height: number } {
+	const scale = Math.min(
+		1,
+		config.maxWidth ? config.maxWidth / width : 1,
+		config.maxHeight ? config.maxHeight / height : 1
+	);
+
+	if ( scale === 1 ) {
+		return { width, height };
+	}
+
+	return {
+		width: Math.max( 1, Math.round( width * scale ) ),
+		height: Math.max( 1, Math.round( height * scale ) )
+	};
+}
+
+/**
+ * Reads the EXIF orientation (a number from `1` to `8`) from the beginning of the JPEG file.
+ * Returns `1` (the default orientation) if the orientation is not set or the data is not a valid JPEG file.
+ *
+ * @param buffer The beginning of the JPEG file.
+ */
+export function getJpegOrientation( buffer: ArrayBuffer ): number {
+	const view = new DataView( buffer );
+
+	if ( view.byteLength < 4 || view.getUint16( 0 ) !== 0xFFD8 ) {
+		return 1;
+	}
+
+	let offset = 2;
+
+	while ( offset + 4 <= view.byteLength ) {
+		const marker = view.getUint16( offset );
+		const segmentLength = view.getUint16( offset + 2 );
+
+		// The start of the image data. There is no more metadata.
+		if ( marker === 0xFFDA || ( marker & 0xFF00 ) !== 0xFF00 ) {
+			return 1;
+		}
+
+		// The APP1 segment starting with the "Exif\0\0" header.
+		if ( marker === 0xFFE1 && offset + 10 <= view.byteLength && view.getUint32( offset + 4 ) === 0x45786966 ) {
+			return readExifOrientation( view, offset + 10 );
+		}
+
+		offset += 2 + segmentLength;
+	}
+
+	return 1;
+}
+
+/**
+ * Reads the orientation tag from the TIFF structure of the EXIF data.
+ *
+ * @param view The view of the JPEG file.
+ * @param tiffOffset The offset of the TIFF header.
+ */
+function readExifOrientation( view: DataView, tiffOffset: number ): number {
+	try {
+		const isLittleEndian = view.getUint16( tiffOffset ) === 0x4949;
+		const ifdOffset = tiffOffset + view.getUint32( tiffOffset + 4, isLittleEndian );
+		const entriesCount = view.getUint16( ifdOffset, isLittleEndian );
+
+		for ( let i = 0; i < entriesCount; i++ ) {
+			const entryOffset = ifdOffset + 2 + i * 12;
+
+			if ( view.getUint16( entryOffset, isLittleEndian ) === 0x0112 ) {
+				const orientation = view.getUint16( entryOffset + 8, isLittleEndian );
+
+				return orientation >= 1 && orientation <= 8 ? orientation : 1;
+			}
+		}
+	} catch {
+		// The EXIF data is truncated or malformed.
+	}
+
+	return 1;
+}
+
+/**
+ * Returns the sub-type of the transformed image.
+ */
+function getTransformedImageType( sourceType: string, config: ImageUploadTransformConfig ): string {
+	if ( config.convert && config.convert[ sourceType ] ) {
+		return config.convert[ sourceType ];
+	}
+
+	return ENCODABLE_IMAGE_TYPES.includes( sourceType ) ? sourceType : 'jpeg';
+}
+
+/**
+ * Returns the file name with the extension matching the given image type and an optional suffix, for instance `photo-400w.webp`.
+ */
+function getImageFileName( fileName: string, type: string, suffix: string = '' ): string {
+	const dotIndex = fileName.lastIndexOf( '.' );
+	const baseName = dotIndex > 0 ? fileName.slice( 0, dotIndex ) : fileName || 'image';
+	const extension = dotIndex > 0 ? fileName.slice( dotIndex + 1 ).toLowerCase() : '';
+
+	if ( !suffix && ( type === 'jpeg' ? [ 'jpg', 'jpeg' ].includes( extension ) : extension === type ) ) {
+		return fileName;
+	}
+
+	return `${ baseName }${ suffix }.${ type === 'jpeg' ? 'jpg' : type }`;
+}
+
+/**
+ * Draws the image on a canvas of the given size and encodes it as a file of the given type.
+ */
+async function encodeImageFile( image: HTMLImageElement, options: {
+	width: number;
+	height: number;
+	type: string;
+	quality?: number;
+	fileName: string;
+	lastModified: number;
+} ): Promise<File> {
+	const { width, height, type } = options;
+	const canvas = global.document.createElement( 'canvas' );
+	const context = canvas.getContext( '2d' )!;
+
+	canvas.width = width;
+	canvas.height = height;
+
+	// JPEG does not support transparency, so the transparent pixels would become black.
+	if ( type === 'jpeg' ) {
+		context.fillStyle = '#fff';
+		context.fillRect( 0, 0, width, height );
+	}
+
+	// The browser applies the EXIF orientation when decoding the image, so the drawn pixels are already rotated.
+	context.drawImage( image, 0, 0, width, height );
+
+	const blob = await new Promise<Blob | null>( resolve => {
+		canvas.toBlob( resolve, `image/${ type }`, options.quality === undefined ? 0.92 : options.quality );
+	} );
+
+	// The browser may fall back to PNG if it cannot encode the requested type.
+	if ( !blob || blob.type !== `image/${ type }` ) {
+		throw new Error( `The image could not be encoded as image/${ type }.` );
+	}
+
+	return new File( [ blob ], options.fileName, {
+		type: blob.type,
+		lastModified: options.lastModified
+	} );
+}
+
+/**
+ * Decodes the image file using an `<img>` element.
+ */
+function decodeImageFile( file: File ): Promise<HTMLImageElement> {
+	return new Promise( ( resolve, reject ) => {
+		const image = global.document.createElement( 'img' );
+		const url = URL.createObjectURL( file );
+
+		image.addEventListener( 'load', () => {
+			URL.revokeObjectURL( url );
+			resolve( image );
+		} );
+
+		image.addEventListener( 'error', () => {
+			URL.revokeObjectURL( url );
+			reject( new Error( 'The image could not be decoded.' ) );
+		} );
+
+		image.src = url;
+	} );
+}
+
 /**
  * Extracts an image type based on its blob representation or its source.
  * @param blob Image blob representation.
@@ -135,3 +446,24 @@ function getBlobFromCanvas( imageSrc: string ): Promise<Blob> {
 		image.src = imageSrc;
 	} );
 }
+
+/**
+ * A downscaled variant of the uploaded image created by {@link ~createResponsiveImageFiles}.
+ */
+export interface ResponsiveImageFile {
+
+	/**
+	 * The image file.
+	 */
+	file: File;
+
+	/**
+	 * The width of the image (in pixels).
+	 */
+	width: number;
+
+	/**
+	 * The sub-type of the image, for instance `'webp'`.
+	 */
+	type: string;
+}
@@ -15,6 +15,9 @@ export { default as ImageCaption } from './imagecaption.js';
 export { default as ImageCaptionEditing } from './imagecaption/imagecaptionediting.js';
 export { default as ImageInsert } from './imageinsert.js';
 export { default as ImageInsertUI } from './imageinsert/imageinsertui.js';
+export { default as ImageEdit } from './imageedit.js';
+export { default as ImageEditEditing } from './imageedit/imageeditediting.js';
+export { default as ImageEditUI } from './imageedit/imageeditui.js';
 export { default as ImageResize } from './imageresize.js';
 export { default as ImageResizeButtons } from './imageresize/imageresizebuttons.js';
 export { default as ImageResizeEditing } from './imageresize/imageresizeediting.js';
@@ -40,10 +43,17 @@ export { default as ImageUtils } from './imageutils.js';
 export { default as ImageBlockEditing } from './image/imageblockediting.js';
 export { default as ImageCaptionUI } from './imagecaption/imagecaptionui.js';
 
-export type { ImageConfig } from './imageconfig.js';
+export type {
+	ImageConfig,
+	ImageUploadConfig,
+	ImageUploadResponsiveConfig,
+	ImageUploadTransformConfig
+} from './imageconfig.js';
 export type { default as ImageTypeCommand } from './image/imagetypecommand.js';
 export type { default as InsertImageCommand } from './image/insertimagecommand.js';
 export type { default as ReplaceImageSourceCommand } from './image/replaceimagesourcecommand.js';
+export type { default as ImageEditCommand } from './imageedit/imageeditcommand.js';
+export type { ImageEditTransformation, ImageEditCropArea, ImageEditRotation } from './imageedit/utils.js';
 export type { default as ToggleImageCaptionCommand } from './imagecaption/toggleimagecaptioncommand.js';
 export type { default as ResizeImageCommand } from './imageresize/resizeimagecommand.js';
 export type { default as ImageStyleCommand } from './imagestyle/imagestylecommand.js';
@@ -0,0 +1,51 @@
+/**
+ * @license Copyright (c) 2003-2024, CKSource Holding sp. z o.o. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+
+import ClassicTestEditor from '@ckeditor/ckeditor5-core/tests/_utils/classictesteditor.js';
+import Image from '../src/image.js';
+import ImageEdit from '../src/imageedit.js';
+import ImageEditEditing from '../src/imageedit/imageeditediting.js';
+import ImageEditUI from '../src/imageedit/imageeditui.js';
+import global from '@ckeditor/ckeditor5-utils/src/dom/global.js';
+
+describe( 'ImageEdit', () => {
+	let editor, plugin, editorElement;
+
+	beforeEach( () => {
+		editorElement = global.document.createElement( 'div' );
+		global.document.body.appendChild( editorElement );
+
+		return ClassicTestEditor
+			.create( editorElement, {
+				plugins: [ ImageEdit, Image ]
+			} )
+			.then( newEditor => {
+				editor = newEditor;
+				plugin = editor.plugins.get( ImageEdit );
+			} );
+	} );
+
+	afterEach( () => {
+		editorElement.remove();
+
+		return editor.destroy();
+	} );
+
+	it( 'should have pluginName', () => {
+		expect( ImageEdit.pluginName ).to.equal( 'ImageEdit' );
+	} );
+
+	it( 'should be loaded', () => {
+		expect( plugin ).to.be.instanceOf( ImageEdit );
+	} );
+
+	it( 'should load ImageEditEditing plugin', () => {
+		expect( editor.plugins.get( ImageEditEditing ) ).to.be.instanceOf( ImageEditEditing );
+	} );
+
+	it( 'should load ImageEditUI plugin', () => {
+		expect( editor.plugins.get( ImageEditUI ) ).to.be.instanceOf( ImageEditUI );
+	} );
+} );
@@ -0,0 +1,258 @@
+/**
+ * @license Copyright (c) 2003-2024, CKSource Holding sp. z o.o. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+
+/* globals URL */
+
+import VirtualTestEditor from '@ckeditor/ckeditor5-core/tests/_utils/virtualtesteditor.js';
+import Paragraph from '@ckeditor/ckeditor5-paragraph/src/paragraph.js';
+import { getData as getModelData, setData as setModelData } from '@ckeditor/ckeditor5-engine/src/dev-utils/model.js';
+import FileRepository from '@ckeditor/ckeditor5-upload/src/filerepository.js';
+import Notification from '@ckeditor/ckeditor5-ui/src/notification/notification.js';
+
+import ImageBlockEditing from '../../src/image/imageblockediting.js';
+import ImageInlineEditing from '../../src/image/imageinlineediting.js';
+import ImageEditEditing from '../../src/imageedit/imageeditediting.js';
+import { loadImage } from '../../src/imageedit/utils.js';
+
+import { IMAGE_SRC_FIXTURE } from '../imageresize/_utils/utils.js';
+
+describe( 'ImageEditCommand', () => {
+	let editor, model, command, fileRepository, uploadHandler, abortSpy;
+
+	beforeEach( async () => {
+		editor = await VirtualTestEditor.create( {
+			plugins: [ ImageBlockEditing, ImageInlineEditing, ImageEditEditing, Paragraph ]
+		} );
+
+		model = editor.model;
+		command = editor.commands.get( 'imageEdit' );
+		fileRepository = editor.plugins.get( FileRepository );
+
+		uploadHandler = () => Promise.resolve( { default: 'edited.png' } );
+		abortSpy = sinon.spy();
+
+		fileRepository.createUploadAdapter = loader => ( {
+			upload: () => loader.file.then( file => uploadHandler( file ) ),
+			abort: () => abortSpy()
+		} );
+	} );
+
+	afterEach( async () => {
+		sinon.restore();
+
+		await editor.destroy();
+	} );
+
+	describe( 'isEnabled', () => {
+		it( 'should be true when a block image is selected', () => {
+			setModelData( model, `[<imageBlock src="${ IMAGE_SRC_FIXTURE }"></imageBlock>]` );
+
+			expect( command.isEnabled ).to.be.true;
+		} );
+
+		it( 'should be true when an inline image is selected', () => {
+			setModelData( model, `<paragraph>[<imageInline src="${ IMAGE_SRC_FIXTURE }"></imageInline>]</paragraph>` );
+
+			expect( command.isEnabled ).to.be.true;
+		} );
+
+		it( 'should be false when no image is selected', () => {
+			setModelData( model, `<paragraph>[]foo</paragraph><imageBlock src="${ IMAGE_SRC_FIXTURE }"></imageBlock>` );
+
+			expect( command.isEnabled ).to.be.false;
+		} );
+
+		it( 'should be false when the image has no source', () => {
+			setModelData( model, '[<imageBlock></imageBlock>]' );
+
+			expect( command.isEnabled ).to.be.false;
+		} );
+
+		it( 'should be false when no upload adapter is configured', () => {
+			fileRepository.createUploadAdapter = undefined;
+
+			setModelData( model, `[<imageBlock src="${ IMAGE_SRC_FIXTURE }"></imageBlock>]` );
+
+			expect( command.isEnabled ).to.be.false;
+		} );
+
+		it( 'should be false while the selected image is being processed', async () => {
+			setModelData( model, `[<imageBlock src="${ IMAGE_SRC_FIXTURE }"></imageBlock>]` );
+
+			const promise = command.execute( {} );
+
+			expect( command.isEnabled ).to.be.false;
+
+			await promise;
+
+			expect( command.isEnabled ).to.be.true;
+		} );
+	} );
+
+	describe( 'execute()', () => {
+		it( 'should upload the transformed image and replace the source of the image', async () => {
+			let uploadedFile;
+
+			uploadHandler = file => {
+				uploadedFile = file;
+
+				return Promise.resolve( { default: 'edited.png' } );
+			};
+
+			setModelData( model, `[<imageBlock src="${ IMAGE_SRC_FIXTURE }"></imageBlock>]` );
+
+			await command.execute( { rotation: 90, width: 25 } );
+
+			expect( uploadedFile.name ).to.equal( 'image-edited.png' );
+			expect( uploadedFile.type ).to.equal( 'image/png' );
+
+			const uploadedImage = await loadImage( URL.createObjectURL( uploadedFile ) );
+
+			expect( uploadedImage.naturalWidth ).to.equal( 25 );
+			expect( uploadedImage.naturalHeight ).to.equal( 50 );
+
+			expect( model.document.selection.getSelectedElement().getAttribute( 'src' ) ).to.equal( 'edited.png' );
+		} );
+
+		it( 'should replace the source of the image with the default URL of the upload response with the `urls` property', async () => {
+			uploadHandler = () => Promise.resolve( { url: 'edited.png', urls: { default: 'edited.png', 800: 'edited-800.png' } } );
+
+			setModelData( model, `[<imageBlock src="${ IMAGE_SRC_FIXTURE }"></imageBlock>]` );
+
+			await command.execute( {} );
+
+			expect( model.document.selection.getSelectedElement().getAttribute( 'src' ) ).to.equal( 'edited.png' );
+		} );
+
+		it( 'should keep the text alternative of the image', async () => {
+			setModelData( model, `[<imageBlock alt="foo" src="${ IMAGE_SRC_FIXTURE }" width="100" height="50"></imageBlock>]` );
+
+			await command.execute( {} );
+
+			const image = model.document.getRoot().getChild( 0 );
+
+			expect( image.getAttribute( 'alt' ) ).to.equal( 'foo' );
+			expect( image.hasAttribute( 'width' ) ).to.be.false;
+		} );
+
+		it( 'should replace the source of the edited image if the selection has changed in the meantime', async () => {
+			setModelData( model, `[<imageBlock src="${ IMAGE_SRC_FIXTURE }"></imageBlock>]<paragraph>foo</paragraph>` );
+
+			const promise = command.execute( {} );
+
+			model.change( writer => {
+				writer.setSelection( model.document.getRoot().getChild( 1 ), 0 );
+			} );
+
+			await promise;
+
+			expect( getModelData( model ) ).to.equal( '<imageBlock src="edited.png"></imageBlock><paragraph>[]foo</paragraph>' );
+		} );
+
+		it( 'should add a pending action while the image is being processed', async () => {
+			const pendingActions = editor.plugins.get( 'PendingActions' );
+
+			setModelData( model, `[<imageBlock src="${ IMAGE_SRC_FIXTURE }"></imageBlock>]` );
+
+			const promise = command.execute( {} );
+
+			expect( pendingActions.first.message ).to.equal( 'Saving the edited image.' );
+
+			await promise;
+
+			expect( pendingActions.hasAny ).to.be.false;
+		} );
+
+		it( 'should show a warning if the upload failed', async () => {
+			const notification = editor.plugins.get( Notification );
+			const showWarningStub = sinon.stub( notification, 'showWarning' );
+
+			uploadHandler = () => Promise.reject( 'Upload error' );
+
+			setModelData( model, `[<imageBlock src="${ IMAGE_SRC_FIXTURE }"></imageBlock>]` );
+
+			await command.execute( {} );
+
+			sinon.assert.calledOnceWithExactly( showWarningStub, 'The edited image could not be saved.', {
+				title: 'Image editing failed',
+				namespace: 'imageEdit'
+			} );
+
+			expect( model.document.selection.getSelectedElement().getAttribute( 'src' ) ).to.equal( IMAGE_SRC_FIXTURE );
+			expect( command.isEnabled ).to.be.true;
+		} );
+
+		it( 'should show a warning if the image could not be loaded', async () => {
+			const notification = editor.plugins.get( Notification );
+			const showWarningStub = sinon.stub( notification, 'showWarning' );
+			const uploadSpy = sinon.spy( uploadHandler );
+
+			uploadHandler = uploadSpy;
+
+			setModelData( model, '[<imageBlock src="data:image/png;base64,invalid"></imageBlock>]' );
+
+			await command.execute( {} );
+
+			sinon.assert.calledOnce( showWarningStub );
+			sinon.assert.notCalled( uploadSpy );
+		} );
+
+		it( 'should abort the upload when the image has been removed', async () => {
+			const notification = editor.plugins.get( Notification );
+			const showWarningStub = sinon.stub( notification, 'showWarning' );
+
+			setModelData( model, `[<imageBlock src="${ IMAGE_SRC_FIXTURE }"></imageBlock>]<paragraph>foo</paragraph>` );
+
+			uploadHandler = () => new Promise( ( resolve, reject ) => {
+				abortSpy = sinon.spy( () => reject( 'aborted' ) );
+
+				model.change( writer => {
+					writer.remove( model.document.getRoot().getChild( 0 ) );
+				} );
+			} );
+
+			await command.execute( {} );
+
+			sinon.assert.calledOnce( abortSpy );
+			sinon.assert.notCalled( showWarningStub );
+			expect( getModelData( model ) ).to.equal( '<paragraph>[]foo</paragraph>' );
+		} );
+
+		it( 'should not replace the source of the image that has been removed during the upload', async () => {
+			setModelData( model, `[<imageBlock src="${ IMAGE_SRC_FIXTURE }"></imageBlock>]<paragraph>foo</paragraph>` );
+
+			// The upload adapter ignores the abort and resolves anyway.
+			uploadHandler = () => {
+				model.change( writer => {
+					writer.remove( model.document.getRoot().getChild( 0 ) );
+				} );
+
+				return Promise.resolve( { default: 'edited.png' } );
+			};
+
+			await command.execute( {} );
+
+			expect( getModelData( model ) ).to.equal( '<paragraph>[]foo</paragraph>' );
+		} );
+
+		it( 'should not upload the image that has been removed before the upload started', async () => {
+			const uploadSpy = sinon.spy( uploadHandler );
+
+			uploadHandler = uploadSpy;
+
+			setModelData( model, `[<imageBlock src="${ IMAGE_SRC_FIXTURE }"></imageBlock>]<paragraph>foo</paragraph>` );
+
+			const promise = command.execute( {} );
+
+			model.change( writer => {
+				writer.remove( model.document.getRoot().getChild( 0 ) );
+			} );
+
+			await promise;
+
+			sinon.assert.notCalled( uploadSpy );
+		} );
+	} );
+} );
@@ -0,0 +1,41 @@
+/**
+ * @license Copyright (c) 2003-2024, CKSource Holding sp. z o.o. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+
+import VirtualTestEditor from '@ckeditor/ckeditor5-core/tests/_utils/virtualtesteditor.js';
+import FileRepository from '@ckeditor/ckeditor5-upload/src/filerepository.js';
+import ImageEditEditing from '../../src/imageedit/imageeditediting.js';
+import ImageEditCommand from '../../src/imageedit/imageeditcommand.js';
+import ImageEditing from '../../src/image/imageediting.js';
+
+describe( 'ImageEditEditing', () => {
+	let editor;
+
+	beforeEach( () => {
+		return VirtualTestEditor
+			.create( {
+				plugins: [ ImageEditEditing ]
+			} )
+			.then( newEditor => {
+				editor = newEditor;
+			} );
+	} );
+
+	afterEach( () => {
+		return editor.destroy();
+	} );
+
+	it( 'should have pluginName', () => {
+		expect( ImageEditEditing.pluginName ).to.equal( 'ImageEditEditing' );
+	} );
+
+	it( 'should load the required plugins', () => {
+		expect( editor.plugins.get( ImageEditing ) ).to.be.instanceOf( ImageEditing );
+		expect( editor.plugins.get( FileRepository ) ).to.be.instanceOf( FileRepository );
+	} );
+
+	it( 'should register the imageEdit command', () => {
+		expect( editor.commands.get( 'imageEdit' ) ).to.be.instanceOf( ImageEditCommand );
+	} );
+} );
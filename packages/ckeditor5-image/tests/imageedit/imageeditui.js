@@ -0,0 +1,211 @@
+/**
+ * @license Copyright (c) 2003-2024, CKSource Holding sp. z o.o. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+
+/* globals document */
+
+import ClassicTestEditor from '@ckeditor/ckeditor5-core/tests/_utils/classictesteditor.js';
+import Paragraph from '@ckeditor/ckeditor5-paragraph/src/paragraph.js';
+import ButtonView from '@ckeditor/ckeditor5-ui/src/button/buttonview.js';
+import { setData as setModelData } from '@ckeditor/ckeditor5-engine/src/dev-utils/model.js';
+import testUtils from '@ckeditor/ckeditor5-core/tests/_utils/utils.js';
+
+import Image from '../../src/image.js';
+import ImageEdit from '../../src/imageedit.js';
+import ImageEditUI from '../../src/imageedit/imageeditui.js';
+import ImageEditFormView from '../../src/imageedit/ui/imageeditformview.js';
+
+import { IMAGE_SRC_FIXTURE } from '../imageresize/_utils/utils.js';
+
+describe( 'ImageEditUI', () => {
+	let editor, element, model, plugin, command, dialog, button;
+
+	testUtils.createSinonSandbox();
+
+	beforeEach( async () => {
+		element = document.createElement( 'div' );
+		document.body.appendChild( element );
+
+		editor = await ClassicTestEditor.create( element, {
+			plugins: [ Image, ImageEdit, Paragraph ]
+		} );
+
+		model = editor.model;
+		plugin = editor.plugins.get( ImageEditUI );
+		command = editor.commands.get( 'imageEdit' );
+		dialog = editor.plugins.get( 'Dialog' );
+
+		editor.plugins.get( 'FileRepository' ).createUploadAdapter = () => ( {
+			upload: () => Promise.resolve( { default: 'edited.png' } )
+		} );
+
+		setModelData( model, `[<imageBlock alt="foo" src="${ IMAGE_SRC_FIXTURE }"></imageBlock>]<paragraph>bar</paragraph>` );
+
+		button = editor.ui.componentFactory.create( 'imageEdit' );
+	} );
+
+	afterEach( async () => {
+		element.remove();
+
+		await editor.destroy();
+	} );
+
+	it( 'should have pluginName', () => {
+		expect( ImageEditUI.pluginName ).to.equal( 'ImageEditUI' );
+	} );
+
+	describe( 'imageEdit button', () => {
+		it( 'should be registered in the component factory', () => {
+			expect( button ).to.be.instanceOf( ButtonView );
+			expect( button.label ).to.equal( 'Edit image' );
+			expect( button.tooltip ).to.be.true;
+			expect( button.icon ).to.match( /<svg / );
+		} );
+
+		it( 'should be bound to the command state', () => {
+			expect( button.isEnabled ).to.be.true;
+
+			command.isEnabled = false;
+
+			expect( button.isEnabled ).to.be.false;
+		} );
+
+		it( 'should open and close the dialog', () => {
+			button.fire( 'execute' );
+
+			expect( dialog.id ).to.equal( 'imageEdit' );
+			expect( button.isOn ).to.be.true;
+
+			button.fire( 'execute' );
+
+			expect( dialog.id ).to.be.null;
+			expect( button.isOn ).to.be.false;
+		} );
+	} );
+
+	describe( 'dialog', () => {
+		beforeEach( () => {
+			button.fire( 'execute' );
+		} );
+
+		it( 'should display the form view', () => {
+			expect( plugin.formView ).to.be.instanceOf( ImageEditFormView );
+			expect( dialog.view.parts.get( 1 ).children.get( 0 ) ).to.equal( plugin.formView );
+		} );
+
+		it( 'should be modal', () => {
+			expect( dialog.view.isModal ).to.be.true;
+		} );
+
+		it( 'should reuse the form view', () => {
+			const formView = plugin.formView;
+
+			dialog.hide();
+			button.fire( 'execute' );
+
+			expect( plugin.formView ).to.equal( formView );
+		} );
+
+		it( 'should load the selected image into the form', async () => {
+			expect( plugin.formView.image ).to.be.null;
+
+			await waitForImage();
+
+			expect( plugin.formView.image.src ).to.equal( IMAGE_SRC_FIXTURE );
+		} );
+
+		it( 'should reset the form when opened', () => {
+			plugin.formView.rotation = 90;
+
+			dialog.hide();
+			button.fire( 'execute' );
+
+			expect( plugin.formView.rotation ).to.equal( 0 );
+		} );
+
+		it( 'should be closed when the image can no longer be edited', () => {
+			model.change( writer => {
+				writer.setSelection( model.document.getRoot().getChild( 1 ), 0 );
+			} );
+
+			expect( dialog.id ).to.be.null;
+		} );
+
+		it( 'should close the dialog on the cancel button', () => {
+			getActionButton( 0 ).fire( 'execute' );
+
+			expect( dialog.id ).to.be.null;
+		} );
+
+		it( 'should disable the save button until the image is loaded', async () => {
+			expect( getActionButton( 1 ).isEnabled ).to.be.false;
+
+			await waitForImage();
+
+			expect( getActionButton( 1 ).isEnabled ).to.be.true;
+		} );
+
+		it( 'should execute the command with the transformation on save', async () => {
+			const executeSpy = sinon.stub( editor, 'execute' );
+
+			await waitForImage();
+
+			plugin.formView.rotation = 90;
+			getActionButton( 1 ).fire( 'execute' );
+
+			sinon.assert.calledOnceWithExactly( executeSpy, 'imageEdit', { rotation: 90, flipHorizontal: false, flipVertical: false } );
+			expect( dialog.id ).to.be.null;
+		} );
+
+		it( 'should execute the command when the form is submitted', async () => {
+			const executeSpy = sinon.stub( editor, 'execute' );
+
+			await waitForImage();
+
+			plugin.formView.fire( 'submit' );
+
+			sinon.assert.calledOnce( executeSpy );
+		} );
+
+		it( 'should not save the invalid form', async () => {
+			const executeSpy = sinon.stub( editor, 'execute' );
+
+			await waitForImage();
+
+			plugin.formView.widthInputView.fieldView.element.value = '-1';
+			getActionButton( 1 ).fire( 'execute' );
+
+			sinon.assert.notCalled( executeSpy );
+			expect( dialog.id ).to.equal( 'imageEdit' );
+		} );
+
+		it( 'should show a warning and close the dialog if the image could not be loaded', async () => {
+			const showWarningStub = sinon.stub( editor.plugins.get( 'Notification' ), 'showWarning' );
+
+			dialog.hide();
+
+			setModelData( model, '[<imageBlock src="data:image/png;base64,invalid"></imageBlock>]' );
+
+			button.fire( 'execute' );
+
+			await new Promise( resolve => dialog.once( 'change:id', resolve ) );
+
+			expect( dialog.id ).to.be.null;
+			sinon.assert.calledOnceWithExactly( showWarningStub, 'The image could not be loaded for editing.', {
+				title: 'Image editing failed',
+				namespace: 'imageEdit'
+			} );
+		} );
+	} );
+
+	function getActionButton( index ) {
+		return dialog.view.actionsView.children.get( index );
+	}
+
+	function waitForImage() {
+		return new Promise( resolve => {
+			plugin.formView.once( 'change:image', resolve );
+		} );
+	}
+} );
@@ -0,0 +1,294 @@
+/**
+ * @license Copyright (c) 2003-2024, CKSource Holding sp. z o.o. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+
+/* global Event */
+
+import ImageEditFormView from '../../../src/imageedit/ui/imageeditformview.js';
+import { loadImage } from '../../../src/imageedit/utils.js';
+import ButtonView from '@ckeditor/ckeditor5-ui/src/button/buttonview.js';
+import LabeledFieldView from '@ckeditor/ckeditor5-ui/src/labeledfield/labeledfieldview.js';
+import KeystrokeHandler from '@ckeditor/ckeditor5-utils/src/keystrokehandler.js';
+import FocusTracker from '@ckeditor/ckeditor5-utils/src/focustracker.js';
+import FocusCycler from '@ckeditor/ckeditor5-ui/src/focuscycler.js';
+import Locale from '@ckeditor/ckeditor5-utils/src/locale.js';
+import testUtils from '@ckeditor/ckeditor5-core/tests/_utils/utils.js';
+
+import { IMAGE_SRC_FIXTURE } from '../../imageresize/_utils/utils.js';
+
+describe( 'ImageEditFormView', () => {
+	let view, image;
+
+	testUtils.createSinonSandbox();
+
+	before( async () => {
+		// A 100x50 image.
+		image = await loadImage( IMAGE_SRC_FIXTURE );
+	} );
+
+	beforeEach( () => {
+		view = new ImageEditFormView( new Locale() );
+		view.render();
+	} );
+
+	afterEach( () => {
+		view.destroy();
+	} );
+
+	describe( 'constructor()', () => {
+		it( 'should create element from template', () => {
+			expect( view.element.tagName ).to.equal( 'FORM' );
+			expect( view.element.classList.contains( 'ck' ) ).to.be.true;
+			expect( view.element.classList.contains( 'ck-image-edit-form' ) ).to.be.true;
+			expect( view.element.getAttribute( 'tabindex' ) ).to.equal( '-1' );
+		} );
+
+		it( 'should set the initial state', () => {
+			expect( view.image ).to.be.null;
+			expect( view.rotation ).to.equal( 0 );
+			expect( view.flipHorizontal ).to.be.false;
+			expect( view.flipVertical ).to.be.false;
+		} );
+
+		it( 'should create #focusTracker, #keystrokes and #focusCycler instances', () => {
+			expect( view.focusTracker ).to.be.instanceOf( FocusTracker );
+			expect( view.keystrokes ).to.be.instanceOf( KeystrokeHandler );
+			expect( view.focusCycler ).to.be.instanceOf( FocusCycler );
+		} );
+
+		it( 'should create child views', () => {
+			expect( view.previewView.element.tagName ).to.equal( 'CANVAS' );
+
+			for ( const button of getButtons() ) {
+				expect( button ).to.be.instanceOf( ButtonView );
+			}
+
+			for ( const input of getInputs() ) {
+				expect( input ).to.be.instanceOf( LabeledFieldView );
+			}
+
+			expect( getButtons().map( button => button.label ) ).to.deep.equal( [
+				'Rotate left', 'Rotate right', 'Flip horizontally', 'Flip vertically'
+			] );
+
+			expect( getInputs().map( input => input.label ) ).to.deep.equal( [
+				'Crop top (%)', 'Crop right (%)', 'Crop bottom (%)', 'Crop left (%)', 'Width (px)'
+			] );
+		} );
+
+		it( 'should disable the controls until the image is loaded', () => {
+			expect( view.element.classList.contains( 'ck-image-edit-form_loading' ) ).to.be.true;
+
+			for ( const control of [ ...getButtons(), ...getInputs() ] ) {
+				expect( control.isEnabled ).to.be.false;
+			}
+
+			view.image = image;
+
+			expect( view.element.classList.contains( 'ck-image-edit-form_loading' ) ).to.be.false;
+
+			for ( const control of [ ...getButtons(), ...getInputs() ] ) {
+				expect( control.isEnabled ).to.be.true;
+			}
+		} );
+
+		it( 'should rotate the image using the buttons', () => {
+			view.rotateRightButtonView.fire( 'execute' );
+			expect( view.rotation ).to.equal( 90 );
+
+			view.rotateLeftButtonView.fire( 'execute' );
+			view.rotateLeftButtonView.fire( 'execute' );
+			expect( view.rotation ).to.equal( 270 );
+
+			view.rotateRightButtonView.fire( 'execute' );
+			expect( view.rotation ).to.equal( 0 );
+		} );
+
+		it( 'should flip the image using the buttons', () => {
+			view.flipHorizontalButtonView.fire( 'execute' );
+
+			expect( view.flipHorizontal ).to.be.true;
+			expect( view.flipHorizontalButtonView.isOn ).to.be.true;
+
+			view.flipVerticalButtonView.fire( 'execute' );
+			view.flipHorizontalButtonView.fire( 'execute' );
+
+			expect( view.flipHorizontal ).to.be.false;
+			expect( view.flipHorizontalButtonView.isOn ).to.be.false;
+			expect( view.flipVertical ).to.be.true;
+			expect( view.flipVerticalButtonView.isOn ).to.be.true;
+		} );
+
+		it( 'should fire the submit event when the form is submitted', () => {
+			const spy = sinon.spy();
+
+			view.on( 'submit', spy );
+			view.element.dispatchEvent( new Event( 'submit' ) );
+
+			sinon.assert.calledOnce( spy );
+		} );
+	} );
+
+	describe( 'render()', () => {
+		it( 'should register the controls as focusables', () => {
+			expect( Array.from( view._focusables ) ).to.deep.equal( [ ...getButtons(), ...getInputs() ] );
+		} );
+	} );
+
+	describe( 'focus()', () => {
+		it( 'should focus the first control', () => {
+			const spy = sinon.spy( view.focusCycler, 'focusFirst' );
+
+			view.focus();
+
+			sinon.assert.calledOnce( spy );
+		} );
+
+		it( 'should focus the last control when focusing backwards', () => {
+			const spy = sinon.spy( view.focusCycler, 'focusLast' );
+
+			view.focus( -1 );
+
+			sinon.assert.calledOnce( spy );
+		} );
+	} );
+
+	describe( 'preview', () => {
+		it( 'should draw the image', () => {
+			view.image = image;
+
+			expect( [ view.previewView.element.width, view.previewView.element.height ] ).to.deep.equal( [ 100, 50 ] );
+		} );
+
+		it( 'should be updated when the transformation changes', () => {
+			view.image = image;
+			view.rotation = 90;
+
+			expect( [ view.previewView.element.width, view.previewView.element.height ] ).to.deep.equal( [ 50, 100 ] );
+
+			setValue( view.cropTopInputView, '50' );
+
+			expect( [ view.previewView.element.width, view.previewView.element.height ] ).to.deep.equal( [ 50, 50 ] );
+		} );
+
+		it( 'should show the width of the transformed image in the width input placeholder', () => {
+			view.image = image;
+
+			expect( view.widthInputView.fieldView.placeholder ).to.equal( '100' );
+
+			view.rotation = 270;
+
+			expect( view.widthInputView.fieldView.placeholder ).to.equal( '50' );
+		} );
+
+		it( 'should not be scaled by the output width', () => {
+			view.image = image;
+
+			setValue( view.widthInputView, '20' );
+
+			expect( view.previewView.element.width ).to.equal( 100 );
+		} );
+	} );
+
+	describe( 'getTransformation()', () => {
+		beforeEach( () => {
+			view.image = image;
+		} );
+
+		it( 'should return the rotation and the flip', () => {
+			view.rotation = 180;
+			view.flipVertical = true;
+
+			expect( view.getTransformation() ).to.deep.equal( { rotation: 180, flipHorizontal: false, flipVertical: true } );
+		} );
+
+		it( 'should return the crop area in the pixels of the image', () => {
+			setValue( view.cropTopInputView, '10' );
+			setValue( view.cropLeftInputView, '20' );
+
+			expect( view.getTransformation().crop ).to.deep.equal( { x: 20, y: 5, width: 80, height: 45 } );
+		} );
+
+		it( 'should return the width', () => {
+			setValue( view.widthInputView, '40' );
+
+			expect( view.getTransformation().width ).to.equal( 40 );
+		} );
+	} );
+
+	describe( 'isValid()', () => {
+		it( 'should return true for the empty form', () => {
+			expect( view.isValid() ).to.be.true;
+		} );
+
+		it( 'should reject the incorrect crop margins', () => {
+			setValue( view.cropTopInputView, '100' );
+			setValue( view.cropLeftInputView, '-1' );
+
+			expect( view.isValid() ).to.be.false;
+			expect( view.cropTopInputView.errorText ).to.equal( 'The value must be a number between 0 and 99.' );
+			expect( view.cropLeftInputView.errorText ).to.equal( 'The value must be a number between 0 and 99.' );
+			expect( view.cropRightInputView.errorText ).to.be.null;
+		} );
+
+		it( 'should reject the crop margins removing the entire image', () => {
+			setValue( view.cropTopInputView, '60' );
+			setValue( view.cropBottomInputView, '40' );
+
+			expect( view.isValid() ).to.be.false;
+			expect( view.cropBottomInputView.errorText ).to.equal( 'The image cannot be cropped entirely.' );
+		} );
+
+		it( 'should reject the incorrect width', () => {
+			setValue( view.widthInputView, '-5' );
+
+			expect( view.isValid() ).to.be.false;
+			expect( view.widthInputView.errorText ).to.equal( 'The width must be a positive number.' );
+		} );
+
+		it( 'should clear the previous errors', () => {
+			setValue( view.widthInputView, '-5' );
+			view.isValid();
+
+			setValue( view.widthInputView, '5' );
+
+			expect( view.isValid() ).to.be.true;
+			expect( view.widthInputView.errorText ).to.be.null;
+		} );
+	} );
+
+	describe( 'reset()', () => {
+		it( 'should restore the initial state of the form', () => {
+			view.rotation = 90;
+			view.flipHorizontal = true;
+			view.flipVertical = true;
+
+			setValue( view.cropTopInputView, '10' );
+			setValue( view.widthInputView, '-5' );
+			view.isValid();
+
+			view.reset();
+
+			expect( view.rotation ).to.equal( 0 );
+			expect( view.flipHorizontal ).to.be.false;
+			expect( view.flipVertical ).to.be.false;
+			expect( view.cropTopInputView.fieldView.element.value ).to.equal( '' );
+			expect( view.widthInputView.fieldView.element.value ).to.equal( '' );
+			expect( view.widthInputView.errorText ).to.be.null;
+		} );
+	} );
+
+	function getButtons() {
+		return [ view.rotateLeftButtonView, view.rotateRightButtonView, view.flipHorizontalButtonView, view.flipVerticalButtonView ];
+	}
+
+	function getInputs() {
+		return [ view.cropTopInputView, view.cropRightInputView, view.cropBottomInputView, view.cropLeftInputView, view.widthInputView ];
+	}
+
+	function setValue( labeledInput, value ) {
+		labeledInput.fieldView.element.value = value;
+		labeledInput.fieldView.fire( 'input' );
+	}
+} );
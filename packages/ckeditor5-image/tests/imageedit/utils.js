@@ -0,0 +1,267 @@
+/**
+ * @license Copyright (c) 2003-2024, CKSource Holding sp. z o.o. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+
+/* globals document, Blob */
+
+import {
+	canvasToBlob,
+	drawTransformedImage,
+	getEditedImageFileName,
+	getEditedImageMimeType,
+	getImageCropArea,
+	getImageCropAreaFromMargins,
+	getTransformedImageSize,
+	loadImage
+} from '../../src/imageedit/utils.js';
+import { expectToThrowCKEditorError } from '@ckeditor/ckeditor5-utils/tests/_utils/utils.js';
+
+describe( 'image edit utils', () => {
+	describe( 'getImageCropArea()', () => {
+		it( 'should return the entire image if there is no crop area', () => {
+			expect( getImageCropArea( 100, 50 ) ).to.deep.equal( { x: 0, y: 0, width: 100, height: 50 } );
+		} );
+
+		it( 'should round the crop area', () => {
+			expect( getImageCropArea( 100, 50, { x: 10.4, y: 5.6, width: 20.5, height: 10.2 } ) )
+				.to.deep.equal( { x: 10, y: 6, width: 21, height: 10 } );
+		} );
+
+		it( 'should limit the crop area to the image bounds', () => {
+			expect( getImageCropArea( 100, 50, { x: -10, y: 20, width: 200, height: 100 } ) )
+				.to.deep.equal( { x: 0, y: 20, width: 100, height: 30 } );
+
+			expect( getImageCropArea( 100, 50, { x: 150, y: 60, width: 0, height: -5 } ) )
+				.to.deep.equal( { x: 99, y: 49, width: 1, height: 1 } );
+		} );
+	} );
+
+	describe( 'getImageCropAreaFromMargins()', () => {
+		const margins = { top: 10, right: 20, bottom: 30, left: 40 };
+
+		it( 'should convert the margins to the crop area', () => {
+			expect( getImageCropAreaFromMargins( 200, 100, margins, {} ) ).to.deep.equal( { x: 80, y: 10, width: 80, height: 60 } );
+		} );
+
+		it( 'should take the flip into account', () => {
+			expect( getImageCropAreaFromMargins( 200, 100, margins, { flipHorizontal: true } ) )
+				.to.deep.equal( { x: 40, y: 10, width: 80, height: 60 } );
+
+			expect( getImageCropAreaFromMargins( 200, 100, margins, { flipVertical: true } ) )
+				.to.deep.equal( { x: 80, y: 30, width: 80, height: 60 } );
+		} );
+
+		it( 'should take the rotation into account', () => {
+			// The right side of the rotated image is the top side of the source image.
+			expect( getImageCropAreaFromMargins( 200, 100, margins, { rotation: 90 } ) )
+				.to.deep.equal( { x: 20, y: 20, width: 120, height: 40 } );
+
+			expect( getImageCropAreaFromMargins( 200, 100, margins, { rotation: 180 } ) )
+				.to.deep.equal( { x: 40, y: 30, width: 80, height: 60 } );
+
+			expect( getImageCropAreaFromMargins( 200, 100, margins, { rotation: 270 } ) )
+				.to.deep.equal( { x: 60, y: 40, width: 120, height: 40 } );
+		} );
+
+		it( 'should undo the flip before the rotation', () => {
+			expect( getImageCropAreaFromMargins( 200, 100, margins, { rotation: 90, flipHorizontal: true } ) )
+				.to.deep.equal( { x: 20, y: 40, width: 120, height: 40 } );
+		} );
+	} );
+
+	describe( 'getTransformedImageSize()', () => {
+		it( 'should return the size of the image', () => {
+			expect( getTransformedImageSize( 100, 50, {} ) ).to.deep.equal( { width: 100, height: 50 } );
+		} );
+
+		it( 'should return the size of the cropped image', () => {
+			expect( getTransformedImageSize( 100, 50, { crop: { x: 10, y: 10, width: 30, height: 20 } } ) )
+				.to.deep.equal( { width: 30, height: 20 } );
+		} );
+
+		it( 'should swap the sides of the image rotated sideways', () => {
+			expect( getTransformedImageSize( 100, 50, { rotation: 90 } ) ).to.deep.equal( { width: 50, height: 100 } );
+			expect( getTransformedImageSize( 100, 50, { rotation: 180 } ) ).to.deep.equal( { width: 100, height: 50 } );
+			expect( getTransformedImageSize( 100, 50, { rotation: 270 } ) ).to.deep.equal( { width: 50, height: 100 } );
+		} );
+
+		it( 'should scale the image proportionally to the given width', () => {
+			expect( getTransformedImageSize( 100, 50, { width: 40 } ) ).to.deep.equal( { width: 40, height: 20 } );
+			expect( getTransformedImageSize( 100, 50, { rotation: 90, width: 25.4 } ) ).to.deep.equal( { width: 25, height: 50 } );
+			expect( getTransformedImageSize( 100, 50, { width: 0.2 } ) ).to.deep.equal( { width: 1, height: 1 } );
+		} );
+	} );
+
+	describe( 'drawTransformedImage()', () => {
+		let image, canvas;
+
+		const RED = [ 255, 0, 0, 255 ];
+		const BLUE = [ 0, 0, 255, 255 ];
+
+		// A 4x2 image with the red left half and the blue right half.
+		beforeEach( async () => {
+			const sourceCanvas = document.createElement( 'canvas' );
+			const context = sourceCanvas.getContext( '2d' );
+
+			sourceCanvas.width = 4;
+			sourceCanvas.height = 2;
+
+			context.fillStyle = '#f00';
+			context.fillRect( 0, 0, 2, 2 );
+			context.fillStyle = '#00f';
+			context.fillRect( 2, 0, 2, 2 );
+
+			image = await loadImage( sourceCanvas.toDataURL( 'image/png' ) );
+			canvas = document.createElement( 'canvas' );
+		} );
+
+		it( 'should draw the image', () => {
+			drawTransformedImage( canvas, image, {} );
+
+			expect( [ canvas.width, canvas.height ] ).to.deep.equal( [ 4, 2 ] );
+			expect( getPixel( 0, 0 ) ).to.deep.equal( RED );
+			expect( getPixel( 3, 1 ) ).to.deep.equal( BLUE );
+		} );
+
+		it( 'should crop the image', () => {
+			drawTransformedImage( canvas, image, { crop: { x: 2, y: 0, width: 2, height: 2 } } );
+
+			expect( [ canvas.width, canvas.height ] ).to.deep.equal( [ 2, 2 ] );
+			expect( getPixel( 0, 0 ) ).to.deep.equal( BLUE );
+		} );
+
+		it( 'should rotate the image', () => {
+			drawTransformedImage( canvas, image, { rotation: 90 } );
+
+			expect( [ canvas.width, canvas.height ] ).to.deep.equal( [ 2, 4 ] );
+			expect( getPixel( 0, 0 ) ).to.deep.equal( RED );
+			expect( getPixel( 1, 3 ) ).to.deep.equal( BLUE );
+
+			drawTransformedImage( canvas, image, { rotation: 270 } );
+
+			expect( getPixel( 0, 0 ) ).to.deep.equal( BLUE );
+			expect( getPixel( 1, 3 ) ).to.deep.equal( RED );
+		} );
+
+		it( 'should flip the image', () => {
+			drawTransformedImage( canvas, image, { flipHorizontal: true } );
+
+			expect( getPixel( 0, 0 ) ).to.deep.equal( BLUE );
+			expect( getPixel( 3, 0 ) ).to.deep.equal( RED );
+
+			drawTransformedImage( canvas, image, { flipVertical: true } );
+
+			expect( getPixel( 0, 0 ) ).to.deep.equal( RED );
+			expect( getPixel( 3, 0 ) ).to.deep.equal( BLUE );
+		} );
+
+		it( 'should flip the image after the rotation', () => {
+			drawTransformedImage( canvas, image, { rotation: 90, flipVertical: true } );
+
+			expect( getPixel( 0, 0 ) ).to.deep.equal( BLUE );
+			expect( getPixel( 1, 3 ) ).to.deep.equal( RED );
+		} );
+
+		it( 'should resize the image', () => {
+			drawTransformedImage( canvas, image, { width: 8 } );
+
+			expect( [ canvas.width, canvas.height ] ).to.deep.equal( [ 8, 4 ] );
+			expect( getPixel( 0, 0 ) ).to.deep.equal( RED );
+			expect( getPixel( 7, 3 ) ).to.deep.equal( BLUE );
+		} );
+
+		function getPixel( x, y ) {
+			return Array.from( canvas.getContext( '2d' ).getImageData( x, y, 1, 1 ).data );
+		}
+	} );
+
+	describe( 'getEditedImageMimeType()', () => {
+		it( 'should return the type based on the file extension', () => {
+			expect( getEditedImageMimeType( 'http://example.com/foo.jpg' ) ).to.equal( 'image/jpeg' );
+			expect( getEditedImageMimeType( 'foo.JPEG' ) ).to.equal( 'image/jpeg' );
+			expect( getEditedImageMimeType( '/foo.webp?version=2#hash' ) ).to.equal( 'image/webp' );
+			expect( getEditedImageMimeType( '/foo.png' ) ).to.equal( 'image/png' );
+		} );
+
+		it( 'should return the type of the data URL', () => {
+			expect( getEditedImageMimeType( 'data:image/jpeg;base64,foo' ) ).to.equal( 'image/jpeg' );
+			expect( getEditedImageMimeType( 'data:image/webp,foo' ) ).to.equal( 'image/webp' );
+		} );
+
+		it( 'should fall back to PNG', () => {
+			expect( getEditedImageMimeType( '/foo.gif' ) ).to.equal( 'image/png' );
+			expect( getEditedImageMimeType( '/foo' ) ).to.equal( 'image/png' );
+			expect( getEditedImageMimeType( 'data:image/svg+xml;base64,foo' ) ).to.equal( 'image/png' );
+		} );
+	} );
+
+	describe( 'getEditedImageFileName()', () => {
+		it( 'should return the name based on the name of the original file', () => {
+			expect( getEditedImageFileName( 'http://example.com/images/foo.bar.jpg?v=1', 'image/jpeg' ) ).to.equal( 'foo.bar-edited.jpg' );
+			expect( getEditedImageFileName( '/foo.gif', 'image/png' ) ).to.equal( 'foo-edited.png' );
+		} );
+
+		it( 'should return the default name for the data URLs', () => {
+			expect( getEditedImageFileName( 'data:image/webp;base64,foo', 'image/webp' ) ).to.equal( 'image-edited.webp' );
+		} );
+
+		it( 'should return the default name if the source has no file name', () => {
+			expect( getEditedImageFileName( 'http://example.com/', 'image/png' ) ).to.equal( 'image-edited.png' );
+		} );
+	} );
+
+	describe( 'loadImage()', () => {
+		it( 'should load the image in the CORS mode', async () => {
+			const image = await loadImage( 'data:image/gif;base64,R0lGODlhAQABAIAAAP///wAAACH5BAEAAAAALAAAAAABAAEAAAICRAEAOw==' );
+
+			expect( image.crossOrigin ).to.equal( 'anonymous' );
+			expect( image.naturalWidth ).to.equal( 1 );
+		} );
+
+		it( 'should reject if the image cannot be loaded', async () => {
+			const src = 'data:image/png;base64,invalid';
+
+			try {
+				await loadImage( src );
+			} catch ( error ) {
+				expectToThrowCKEditorError( () => {
+					throw error;
+				}, 'image-edit-image-load-failed', null, { src } );
+
+				return;
+			}
+
+			throw new Error( 'Expected to be rejected.' );
+		} );
+	} );
+
+	describe( 'canvasToBlob()', () => {
+		it( 'should export the canvas with the given type', async () => {
+			const canvas = document.createElement( 'canvas' );
+
+			canvas.width = canvas.height = 1;
+
+			const blob = await canvasToBlob( canvas, 'image/jpeg' );
+
+			expect( blob ).to.be.instanceOf( Blob );
+			expect( blob.type ).to.equal( 'image/jpeg' );
+		} );
+
+		it( 'should reject if the canvas cannot be exported', async () => {
+			const canvas = { toBlob: callback => callback( null ) };
+
+			try {
+				await canvasToBlob( canvas, 'image/png' );
+			} catch ( error ) {
+				expectToThrowCKEditorError( () => {
+					throw error;
+				}, 'image-edit-image-export-failed' );
+
+				return;
+			}
+
+			throw new Error( 'Expected to be rejected.' );
+		} );
+	} );
+} );
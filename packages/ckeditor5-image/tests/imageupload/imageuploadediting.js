@@ -3,7 +3,7 @@
  * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
  */
 
-/* globals window, setTimeout, atob, URL, Blob, HTMLCanvasElement, console, document */
+/* globals window, setTimeout, atob, URL, Blob, File, HTMLCanvasElement, console, document */
 
 import VirtualTestEditor from '@ckeditor/ckeditor5-core/tests/_utils/virtualtesteditor.js';
 import ClassicEditor from '@ckeditor/ckeditor5-editor-classic/src/classiceditor.js';
@@ -13,6 +13,7 @@ import ClipboardPipeline from '@ckeditor/ckeditor5-clipboard/src/clipboardpipeli
 import ImageBlockEditing from '../../src/image/imageblockediting.js';
 import ImageInlineEditing from '../../src/image/imageinlineediting.js';
 import ImageUploadEditing from '../../src/imageupload/imageuploadediting.js';
+import PictureEditing from '../../src/pictureediting.js';
 import UploadImageCommand from '../../src/imageupload/uploadimagecommand.js';
 import Paragraph from '@ckeditor/ckeditor5-paragraph/src/paragraph.js';
 import UndoEditing from '@ckeditor/ckeditor5-undo/src/undoediting.js';
@@ -1348,6 +1349,240 @@ describe( 'ImageUploadEditing', () => {
 		} );
 	} );
 
+	describe( 'image.upload.transform', () => {
+		let transformEditor, transformModel, transformLoaders, plugin;
+
+		beforeEach( async () => {
+			transformLoaders = [];
+
+			transformEditor = await VirtualTestEditor.create( {
+				plugins: [ ImageBlockEditing, ImageInlineEditing, ImageUploadEditing, Paragraph, ClipboardPipeline ],
+				image: {
+					upload: {
+						transform: { maxWidth: 1, convert: { png: 'jpeg' } }
+					}
+				}
+			} );
+
+			transformModel = transformEditor.model;
+			plugin = transformEditor.plugins.get( ImageUploadEditing );
+
+			transformEditor.plugins.get( FileRepository ).createUploadAdapter = newLoader => {
+				transformLoaders.push( newLoader );
+
+				return new UploadAdapterMock( newLoader );
+			};
+		} );
+
+		afterEach( () => {
+			return transformEditor.destroy();
+		} );
+
+		it( 'should transform the file before it is handed over to the loader', async () => {
+			const loader = plugin._createLoader( createPngFile() );
+			const file = await loader.file;
+
+			expect( file.name ).to.equal( 'image.jpg' );
+			expect( file.type ).to.equal( 'image/jpeg' );
+		} );
+
+		it( 'should transform the file promise', async () => {
+			const loader = plugin._createLoader( Promise.resolve( createPngFile() ) );
+			const file = await loader.file;
+
+			expect( file.type ).to.equal( 'image/jpeg' );
+		} );
+
+		it( 'should not transform the file if the transformation is not configured', async () => {
+			const file = createPngFile();
+			const loader = editor.plugins.get( ImageUploadEditing )._createLoader( file );
+
+			expect( await loader.file ).to.equal( file );
+		} );
+
+		it( 'should return null if the loader could not be created', () => {
+			transformEditor.plugins.get( FileRepository ).createUploadAdapter = undefined;
+			sinon.stub( console, 'warn' );
+
+			expect( plugin._createLoader( createPngFile() ) ).to.be.null;
+		} );
+
+		it( 'should set the "processing" upload status until the file is transformed', async () => {
+			setModelData( transformModel, '<paragraph>foo[]</paragraph>' );
+
+			transformEditor.execute( 'uploadImage', { file: createPngFile() } );
+
+			const loader = transformLoaders[ 0 ];
+
+			expect( getModelData( transformModel ) ).to.equal(
+				`<paragraph>foo[<imageInline uploadId="${ loader.id }" uploadStatus="processing"></imageInline>]</paragraph>`
+			);
+
+			await loader.file;
+
+			expect( getModelData( transformModel ) ).to.equal(
+				`<paragraph>foo[<imageInline uploadId="${ loader.id }" uploadStatus="reading"></imageInline>]</paragraph>`
+			);
+		} );
+
+		it( 'should transform the pasted images with base64 src', async () => {
+			sinon.stub( window, 'fetch' ).resolves( { blob: () => Promise.resolve( base64ToBlob( base64Sample ) ) } );
+
+			setModelData( transformModel, '<paragraph>[]foo</paragraph>' );
+
+			transformEditor.editing.view.document.fire( 'clipboardInput', {
+				dataTransfer: mockDataTransfer( `<img src=${ base64Sample } />` )
+			} );
+
+			const file = await transformLoaders[ 0 ].file;
+
+			expect( file.type ).to.equal( 'image/jpeg' );
+		} );
+
+		function createPngFile() {
+			return new File( [ base64ToBlob( base64Sample ) ], 'image.png', { type: 'image/png' } );
+		}
+	} );
+
+	describe( 'image.upload.responsive', () => {
+		let responsiveEditor, responsiveModel, plugin, uploadedFileNames, uploadHandler;
+
+		async function createEditor( config, plugins = [] ) {
+			uploadedFileNames = [];
+			uploadHandler = file => Promise.resolve( { default: `/${ file.name }` } );
+
+			responsiveEditor = await VirtualTestEditor.create( {
+				plugins: [ ImageBlockEditing, ImageInlineEditing, ImageUploadEditing, Paragraph, ...plugins ],
+				image: {
+					upload: { responsive: config }
+				}
+			} );
+
+			responsiveModel = responsiveEditor.model;
+			plugin = responsiveEditor.plugins.get( ImageUploadEditing );
+
+			responsiveEditor.plugins.get( FileRepository ).createUploadAdapter = newLoader => ( {
+				upload: () => newLoader.file.then( file => {
+					uploadedFileNames.push( file.name );
+
+					return uploadHandler( file );
+				} )
+			} );
+		}
+
+		afterEach( () => {
+			return responsiveEditor.destroy();
+		} );
+
+		it( 'should upload the downscaled variants and set the srcset attribute', async () => {
+			await createEditor( { widths: [ 2, 8 ] } );
+
+			const imageElement = await uploadImage();
+
+			expect( uploadedFileNames ).to.deep.equal( [ 'image.png', 'image-2w.png' ] );
+			expect( imageElement.getAttribute( 'src' ) ).to.equal( '/image.png' );
+			expect( imageElement.getAttribute( 'srcset' ) ).to.equal( '/image-2w.png 2w, /image.png 4w' );
+		} );
+
+		it( 'should output the configured sizes attribute', async () => {
+			await createEditor( { widths: [ 2 ], sizes: '(max-width: 800px) 100vw, 800px' } );
+
+			await uploadImage();
+
+			expect( responsiveEditor.getData() ).to.match( /sizes="\(max-width: 800px\) 100vw, 800px"/ );
+		} );
+
+		it( 'should upload the variants in additional formats as picture sources', async () => {
+			await createEditor( { widths: [ 2 ], formats: [ 'webp' ] }, [ PictureEditing ] );
+
+			const imageElement = await uploadImage();
+
+			expect( uploadedFileNames ).to.deep.equal( [ 'image.png', 'image-2w.png', 'image-2w.webp', 'image-4w.webp' ] );
+			expect( imageElement.getAttribute( 'sources' ) ).to.deep.equal( [
+				{ srcset: '/image-2w.webp 2w, /image-4w.webp 4w', type: 'image/webp', sizes: '100vw' }
+			] );
+		} );
+
+		it( 'should use the default URLs of the variants uploaded by the SimpleUploadAdapter', async () => {
+			await createEditor( { widths: [ 2 ], formats: [ 'webp' ] }, [ PictureEditing ] );
+
+			// The response normalized by the SimpleUploadAdapter.
+			uploadHandler = file => Promise.resolve( { url: `/${ file.name }`, urls: { default: `/${ file.name }` } } );
+
+			const imageElement = await uploadImage();
+
+			expect( imageElement.getAttribute( 'src' ) ).to.equal( '/image.png' );
+			expect( imageElement.getAttribute( 'srcset' ) ).to.equal( '/image-2w.png 2w, /image.png 4w' );
+			expect( imageElement.getAttribute( 'sources' ) ).to.deep.equal( [
+				{ srcset: '/image-2w.webp 2w, /image-4w.webp 4w', type: 'image/webp', sizes: '100vw' }
+			] );
+		} );
+
+		it( 'should not upload the variants in additional formats without the PictureEditing plugin', async () => {
+			await createEditor( { widths: [ 2 ], formats: [ 'webp' ] } );
+
+			await uploadImage();
+
+			expect( uploadedFileNames ).to.deep.equal( [ 'image.png', 'image-2w.png' ] );
+		} );
+
+		it( 'should not upload the variants if the upload adapter responds with multiple widths', async () => {
+			await createEditor( { widths: [ 2 ] } );
+
+			uploadHandler = () => Promise.resolve( { default: '/image.png', 800: '/image-800.png' } );
+
+			const imageElement = await uploadImage();
+
+			expect( uploadedFileNames ).to.deep.equal( [ 'image.png' ] );
+			expect( imageElement.getAttribute( 'srcset' ) ).to.equal( '/image-800.png 800w' );
+		} );
+
+		it( 'should insert the image without srcset if the variants could not be uploaded', async () => {
+			const warnStub = sinon.stub( console, 'warn' );
+
+			await createEditor( { widths: [ 2 ] } );
+
+			uploadHandler = file => file.name == 'image.png' ? Promise.resolve( { default: '/image.png' } ) : Promise.reject( 'Error' );
+
+			const imageElement = await uploadImage();
+
+			expect( imageElement.getAttribute( 'src' ) ).to.equal( '/image.png' );
+			expect( imageElement.hasAttribute( 'srcset' ) ).to.be.false;
+			sinon.assert.calledWithMatch( warnStub, /^image-upload-responsive-images-failed/ );
+		} );
+
+		// Uploads a 4x2 PNG image and resolves with the image element once the upload is complete.
+		async function uploadImage() {
+			const file = await createPngFile( 4, 2 );
+			const fileRepository = responsiveEditor.plugins.get( FileRepository );
+
+			setModelData( responsiveModel, '<paragraph>[]foo</paragraph>' );
+
+			const uploadComplete = new Promise( resolve => {
+				plugin.once( 'uploadComplete', ( evt, { imageElement } ) => resolve( imageElement ), { priority: 'lowest' } );
+			} );
+
+			responsiveEditor.execute( 'uploadImage', { file } );
+
+			await fileRepository.loaders.first.file;
+			nativeReaderMock.mockSuccess( base64Sample );
+
+			return uploadComplete;
+		}
+
+		function createPngFile( width, height ) {
+			const canvas = document.createElement( 'canvas' );
+
+			canvas.width = width;
+			canvas.height = height;
+			canvas.getContext( '2d' ).fillRect( 0, 0, width, height );
+
+			return new Promise( resolve => {
+				canvas.toBlob( blob => resolve( new File( [ blob ], 'image.png', { type: 'image/png' } ) ), 'image/png' );
+			} );
+		}
+	} );
+
 	describe( 'accessibility', () => {
 		let announcerSpy;
 
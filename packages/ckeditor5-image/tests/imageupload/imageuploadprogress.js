@@ -85,6 +85,22 @@ describe( 'ImageUploadProgress', () => {
 		);
 	} );
 
+	it( 'should convert image\'s "processing" uploadStatus attribute', () => {
+		setModelData( model, '<paragraph>[]foo</paragraph>' );
+		editor.execute( 'uploadImage', { file: createNativeFileMock() } );
+
+		model.change( writer => {
+			writer.setAttribute( 'uploadStatus', 'processing', doc.getRoot().getChild( 0 ).getChild( 0 ) );
+		} );
+
+		expect( getViewData( view ) ).to.equal(
+			'<p>[<span class="ck-appear ck-image-upload-placeholder ck-widget image-inline" contenteditable="false">' +
+				`<img src="${ imagePlaceholder }"></img>` +
+				'<div class="ck-upload-placeholder-loader"></div>' +
+			'</span>}foo</p>'
+		);
+	} );
+
 	it( 'should convert image\'s "uploading" uploadStatus attribute', done => {
 		setModelData( model, '<paragraph>[]foo</paragraph>' );
 		editor.execute( 'uploadImage', { file: createNativeFileMock() } );
@@ -3,7 +3,16 @@
  * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
  */
 
-import { createImageTypeRegExp } from '../../src/imageupload/utils.js';
+/* globals document, File, URL, console */
+
+import {
+	createImageTypeRegExp,
+	createResponsiveImageFiles,
+	getJpegOrientation,
+	getTransformedImageFileSize,
+	transformImageFile
+} from '../../src/imageupload/utils.js';
+import { loadImage } from '../../src/imageedit/utils.js';
 
 describe( 'Upload utils', () => {
 	describe( 'createImageTypeRegExp()', () => {
@@ -31,4 +40,183 @@ describe( 'Upload utils', () => {
 			expect( createImageTypeRegExp( [ 'png' ] ).test( 'svg+xml' ) ).to.be.false;
 		} );
 	} );
+
+	describe( 'transformImageFile()', () => {
+		beforeEach( () => {
+			sinon.stub( console, 'warn' );
+		} );
+
+		afterEach( () => {
+			sinon.restore();
+		} );
+
+		it( 'should scale down the image to the maximum dimensions', async () => {
+			const file = await createImageFile( 'image/png', 40, 20 );
+			const transformedFile = await transformImageFile( file, { maxWidth: 20, maxHeight: 20 } );
+			const image = await loadImage( URL.createObjectURL( transformedFile ) );
+
+			expect( transformedFile.name ).to.equal( 'image.png' );
+			expect( transformedFile.type ).to.equal( 'image/png' );
+			expect( [ image.naturalWidth, image.naturalHeight ] ).to.deep.equal( [ 20, 10 ] );
+		} );
+
+		it( 'should convert the image to the configured type', async () => {
+			const file = await createImageFile( 'image/png', 4, 4 );
+			const transformedFile = await transformImageFile( file, { convert: { png: 'jpeg' } } );
+
+			expect( transformedFile.name ).to.equal( 'image.jpg' );
+			expect( transformedFile.type ).to.equal( 'image/jpeg' );
+			expect( transformedFile.lastModified ).to.equal( file.lastModified );
+		} );
+
+		it( 'should fill the transparent pixels with white when converting to JPEG', async () => {
+			const file = await createImageFile( 'image/png', 4, 4, 'transparent' );
+			const transformedFile = await transformImageFile( file, { convert: { png: 'jpeg' } } );
+			const image = await loadImage( URL.createObjectURL( transformedFile ) );
+			const canvas = document.createElement( 'canvas' );
+			const context = canvas.getContext( '2d' );
+
+			canvas.width = canvas.height = 4;
+			context.drawImage( image, 0, 0 );
+
+			expect( Array.from( context.getImageData( 1, 1, 1, 1 ).data ) ).to.deep.equal( [ 255, 255, 255, 255 ] );
+		} );
+
+		it( 'should re-encode the image to strip its metadata by default', async () => {
+			const file = await createImageFile( 'image/jpeg', 4, 4 );
+			const transformedFile = await transformImageFile( file, {} );
+
+			expect( transformedFile ).to.not.equal( file );
+			expect( transformedFile.name ).to.equal( 'image.jpeg' );
+			expect( transformedFile.type ).to.equal( 'image/jpeg' );
+		} );
+
+		it( 'should return the original file if it does not need to be transformed', async () => {
+			const file = await createImageFile( 'image/jpeg', 4, 4 );
+
+			expect( await transformImageFile( file, { maxWidth: 10, stripMetadata: false } ) ).to.equal( file );
+		} );
+
+		it( 'should not transform the images of unsupported types', async () => {
+			const file = new File( [ '<svg></svg>' ], 'image.svg', { type: 'image/svg+xml' } );
+
+			expect( await transformImageFile( file, { maxWidth: 1 } ) ).to.equal( file );
+		} );
+
+		it( 'should return the original file and log a warning if the image cannot be decoded', async () => {
+			const file = new File( [ 'foo' ], 'image.heic', { type: 'image/heic' } );
+
+			expect( await transformImageFile( file, { convert: { heic: 'jpeg' } } ) ).to.equal( file );
+			sinon.assert.calledWithMatch( console.warn, /^image-upload-transform-failed/ );
+		} );
+
+		function createImageFile( type, width, height, fillStyle = '#f00' ) {
+			const canvas = document.createElement( 'canvas' );
+			const context = canvas.getContext( '2d' );
+
+			canvas.width = width;
+			canvas.height = height;
+			context.fillStyle = fillStyle;
+			context.fillRect( 0, 0, width, height );
+
+			return new Promise( resolve => {
+				canvas.toBlob( blob => resolve( new File( [ blob ], `image.${ type.replace( 'image/', '' ) }`, { type } ) ), type );
+			} );
+		}
+	} );
+
+	describe( 'createResponsiveImageFiles()', () => {
+		let file;
+
+		beforeEach( async () => {
+			const canvas = document.createElement( 'canvas' );
+
+			canvas.width = 40;
+			canvas.height = 20;
+
+			file = await new Promise( resolve => {
+				canvas.toBlob( blob => resolve( new File( [ blob ], 'photo.png', { type: 'image/png' } ) ), 'image/png' );
+			} );
+		} );
+
+		it( 'should create the downscaled variants of the image', async () => {
+			const { width, variants } = await createResponsiveImageFiles( file, [ 30, 10, 40, 80 ], [ 'png' ] );
+
+			expect( width ).to.equal( 40 );
+			expect( variants.map( variant => [ variant.file.name, variant.file.type, variant.width ] ) ).to.deep.equal( [
+				[ 'photo-10w.png', 'image/png', 10 ],
+				[ 'photo-30w.png', 'image/png', 30 ]
+			] );
+
+			const image = await loadImage( URL.createObjectURL( variants[ 0 ].file ) );
+
+			expect( [ image.naturalWidth, image.naturalHeight ] ).to.deep.equal( [ 10, 5 ] );
+		} );
+
+		it( 'should create the variants of the original width in other formats', async () => {
+			const { variants } = await createResponsiveImageFiles( file, [ 10 ], [ 'png', 'jpeg' ] );
+
+			expect( variants.map( variant => [ variant.file.name, variant.file.type, variant.width ] ) ).to.deep.equal( [
+				[ 'photo-10w.png', 'image/png', 10 ],
+				[ 'photo-10w.jpg', 'image/jpeg', 10 ],
+				[ 'photo-40w.jpg', 'image/jpeg', 40 ]
+			] );
+		} );
+
+		it( 'should reject if the image cannot be decoded', async () => {
+			try {
+				await createResponsiveImageFiles( new File( [ 'foo' ], 'photo.png', { type: 'image/png' } ), [ 10 ], [ 'png' ] );
+			} catch ( error ) {
+				expect( error ).to.be.instanceOf( Error );
+
+				return;
+			}
+
+			throw new Error( 'Expected to be rejected.' );
+		} );
+	} );
+
+	describe( 'getTransformedImageFileSize()', () => {
+		it( 'should return the size of the image if it fits in the maximum dimensions', () => {
+			expect( getTransformedImageFileSize( 100, 50, {} ) ).to.deep.equal( { width: 100, height: 50 } );
+			expect( getTransformedImageFileSize( 100, 50, { maxWidth: 200, maxHeight: 50 } ) ).to.deep.equal( { width: 100, height: 50 } );
+		} );
+
+		it( 'should scale down the image proportionally', () => {
+			expect( getTransformedImageFileSize( 4000, 3000, { maxWidth: 2000 } ) ).to.deep.equal( { width: 2000, height: 1500 } );
+			expect( getTransformedImageFileSize( 100, 50, { maxWidth: 200, maxHeight: 20 } ) ).to.deep.equal( { width: 40, height: 20 } );
+			expect( getTransformedImageFileSize( 1000, 1, { maxWidth: 10 } ) ).to.deep.equal( { width: 10, height: 1 } );
+		} );
+	} );
+
+	describe( 'getJpegOrientation()', () => {
+		it( 'should return the orientation from the EXIF data', () => {
+			expect( getJpegOrientation( createJpegBuffer( 6, true ) ) ).to.equal( 6 );
+			expect( getJpegOrientation( createJpegBuffer( 3, false ) ) ).to.equal( 3 );
+		} );
+
+		it( 'should return the default orientation for invalid data', () => {
+			expect( getJpegOrientation( new Uint8Array( [ 1, 2, 3, 4 ] ).buffer ) ).to.equal( 1 );
+			expect( getJpegOrientation( createJpegBuffer( 6, true ).slice( 0, 20 ) ) ).to.equal( 1 );
+			expect( getJpegOrientation( createJpegBuffer( 9, true ) ) ).to.equal( 1 );
+		} );
+
+		// Creates the beginning of a JPEG file with the APP0 segment and the APP1 (EXIF) segment containing the orientation tag.
+		function createJpegBuffer( orientation, isLittleEndian ) {
+			const uint16 = value => isLittleEndian ? [ value & 0xFF, value >> 8 ] : [ value >> 8, value & 0xFF ];
+			const tiffHeader = isLittleEndian ? [ 0x49, 0x49, 0x2A, 0, 8, 0, 0, 0 ] : [ 0x4D, 0x4D, 0, 0x2A, 0, 0, 0, 8 ];
+			const ifd = [
+				...uint16( 1 ),
+				...uint16( 0x0112 ), ...uint16( 3 ), ...( isLittleEndian ? [ 1, 0, 0, 0 ] : [ 0, 0, 0, 1 ] ), ...uint16( orientation ), 0, 0
+			];
+			const exif = [ 0x45, 0x78, 0x69, 0x66, 0, 0, ...tiffHeader, ...ifd ];
+
+			return new Uint8Array( [
+				0xFF, 0xD8,
+				0xFF, 0xE0, 0, 4, 0, 0,
+				0xFF, 0xE1, ( exif.length + 2 ) >> 8, ( exif.length + 2 ) & 0xFF, ...exif,
+				0xFF, 0xDA, 0, 2
+			] ).buffer;
+		}
+	} );
 } );
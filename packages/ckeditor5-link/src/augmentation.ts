@@ -6,14 +6,25 @@
 import type {
 	LinkConfig,
 	AutoLink,
+	Bookmark,
+	BookmarkEditing,
+	BookmarkUI,
 	Link,
 	LinkEditing,
 	LinkImage,
 	LinkImageEditing,
 	LinkImageUI,
 	LinkUI,
+	LinkChecker,
+	LinkCheckerEditing,
+	LinkCheckerUI,
+	LinkPreview,
+	LinkPreviewEditing,
 	LinkCommand,
-	UnlinkCommand
+	UnlinkCommand,
+	FixLinkCommand,
+	InsertBookmarkCommand,
+	InsertLinkCardCommand
 } from './index.js';
 
 declare module '@ckeditor/ckeditor5-core' {
@@ -29,11 +40,19 @@ declare module '@ckeditor/ckeditor5-core' {
 
 	interface PluginsMap {
 		[ AutoLink.pluginName ]: AutoLink;
+		[ Bookmark.pluginName ]: Bookmark;
+		[ BookmarkEditing.pluginName ]: BookmarkEditing;
+		[ BookmarkUI.pluginName ]: BookmarkUI;
 		[ Link.pluginName ]: Link;
+		[ LinkChecker.pluginName ]: LinkChecker;
+		[ LinkCheckerEditing.pluginName ]: LinkCheckerEditing;
+		[ LinkCheckerUI.pluginName ]: LinkCheckerUI;
 		[ LinkEditing.pluginName ]: LinkEditing;
 		[ LinkImage.pluginName ]: LinkImage;
 		[ LinkImageEditing.pluginName ]: LinkImageEditing;
 		[ LinkImageUI.pluginName ]: LinkImageUI;
+		[ LinkPreview.pluginName ]: LinkPreview;
+		[ LinkPreviewEditing.pluginName ]: LinkPreviewEditing;
 		[ LinkUI.pluginName ]: LinkUI;
 	}
 
@@ -44,4 +63,16 @@ declare module '@ckeditor/ckeditor5-core' {
 	interface CommandsMap {
 		unlink: UnlinkCommand;
 	}
+
+	interface CommandsMap {
+		fixLink: FixLinkCommand;
+	}
+
+	interface CommandsMap {
+		insertBookmark: InsertBookmarkCommand;
+	}
+
+	interface CommandsMap {
+		insertLinkCard: InsertLinkCardCommand;
+	}
 }
@@ -0,0 +1,37 @@
+/**
+ * @license Copyright (c) 2003-2024, CKSource Holding sp. z o.o. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+
+/**
+ * @module link/bookmark
+ */
+
+import { Plugin } from 'ckeditor5/src/core.js';
+import BookmarkEditing from './bookmarkediting.js';
+import BookmarkUI from './bookmarkui.js';
+
+/**
+ * The bookmark plugin.
+ *
+ * It allows inserting bookmarks (anchors) in the content. Together with the identifiers of the headings, the bookmarks
+ * are suggested in the link form, so the links pointing to the other parts of the document (`#<id>`) can be created.
+ *
+ * This is a "glue" plugin that loads the {@link module:link/bookmarkediting~BookmarkEditing bookmark editing feature}
+ * and {@link module:link/bookmarkui~BookmarkUI bookmark UI feature}.
+ */
+export default class Bookmark extends Plugin {
+	/**
+	 * @inheritDoc
+	 */
+	public static get requires() {
+		return [ BookmarkEditing, BookmarkUI ] as const;
+	}
+
+	/**
+	 * @inheritDoc
+	 */
+	public static get pluginName() {
+		return 'Bookmark' as const;
+	}
+}
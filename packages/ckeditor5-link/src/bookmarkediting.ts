@@ -0,0 +1,414 @@
+/**
+ * @license Copyright (c) 2003-2024, CKSource Holding sp. z o.o. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+
+/**
+ * @module link/bookmarkediting
+ */
+
+import { Plugin } from 'ckeditor5/src/core.js';
+import type {
+	DowncastWriter,
+	Element,
+	Model,
+	RootElement,
+	UpcastElementEvent,
+	ViewElement,
+	Writer
+} from 'ckeditor5/src/engine.js';
+import { IconView } from 'ckeditor5/src/ui.js';
+import type { GetCallback } from 'ckeditor5/src/utils.js';
+import { Widget, toWidget } from 'ckeditor5/src/widget.js';
+
+import InsertBookmarkCommand from './insertbookmarkcommand.js';
+
+import type { HeadingCommand } from '@ckeditor/ckeditor5-heading';
+
+import bookmarkIcon from '../theme/icons/bookmark.svg';
+import '../theme/bookmark.css';
+
+/**
+ * The bookmark editing feature.
+ *
+ * It introduces the `<bookmark>` inline element in the model which represents an anchor inside the document
+ * (`<a id="..."></a>` in the data) and the `'insertBookmark'` command.
+ *
+ * It also maintains the identifiers of the headings (the `headingId` model attribute, the `id` attribute in the data),
+ * so the links to the headings stay valid when the headings are renamed. A post-fixer makes sure that the identifiers
+ * of the headings and the bookmarks are unique in the document.
+ */
+export default class BookmarkEditing extends Plugin {
+	/**
+	 * The names of the model elements representing the headings. They are read from the `'heading'` command.
+	 */
+	private _headingElements: Array<string> = [];
+
+	/**
+	 * @inheritDoc
+	 */
+	public static get pluginName() {
+		return 'BookmarkEditing' as const;
+	}
+
+	/**
+	 * @inheritDoc
+	 */
+	public static get requires() {
+		return [ Widget ] as const;
+	}
+
+	/**
+	 * @inheritDoc
+	 */
+	public init(): void {
+		const editor = this.editor;
+		const model = editor.model;
+		const conversion = editor.conversion;
+
+		model.schema.register( 'bookmark', {
+			allowWhere: '$text',
+			allowAttributes: [ 'bookmarkId' ],
+			isInline: true,
+			isObject: true
+		} );
+
+		editor.commands.add( 'insertBookmark', new InsertBookmarkCommand( editor ) );
+
+		conversion.for( 'upcast' ).add( dispatcher => {
+			dispatcher.on<UpcastElementEvent>( 'element:a', upcastBookmark(), { priority: 'high' } );
+		} );
+
+		conversion.for( 'upcast' ).attributeToAttribute( {
+			view: {
+				key: 'id'
+			},
+			model: {
+				key: 'headingId',
+				value: ( viewElement: ViewElement ) => viewElement.getAttribute( 'id' )
+			}
+		} );
+
+		conversion.for( 'dataDowncast' ).elementToElement( {
+			model: {
+				name: 'bookmark',
+				attributes: [ 'bookmarkId' ]
+			},
+			view: ( modelElement, { writer } ) => writer.createEmptyElement( 'a', {
+				id: modelElement.getAttribute( 'bookmarkId' ) as string
+			} )
+		} );
+
+		conversion.for( 'editingDowncast' ).elementToElement( {
+			model: {
+				name: 'bookmark',
+				attributes: [ 'bookmarkId' ]
+			},
+			view: ( modelElement, { writer } ) => {
+				const t = editor.locale.t;
+				const bookmarkId = modelElement.getAttribute( 'bookmarkId' ) as string;
+				const viewElement = writer.createContainerElement( 'a', {
+					id: bookmarkId,
+					class: 'ck-bookmark'
+				}, [
+					createBookmarkIcon( writer )
+				] );
+
+				return toWidget( viewElement, writer, { label: t( 'Bookmark: %0', bookmarkId ) } );
+			}
+		} );
+
+		conversion.for( 'downcast' ).attributeToAttribute( {
+			model: 'headingId',
+			view: 'id'
+		} );
+
+		model.document.registerPostFixer( writer => this._fixAnchorIds( writer ) );
+	}
+
+	/**
+	 * @inheritDoc
+	 */
+	public afterInit(): void {
+		const headingCommand: HeadingCommand | undefined = this.editor.commands.get( 'heading' );
+
+		if ( headingCommand ) {
+			this._headingElements = headingCommand.modelElements.filter( name => name != 'paragraph' );
+
+			for ( const name of this._headingElements ) {
+				this.editor.model.schema.extend( name, { allowAttributes: 'headingId' } );
+			}
+		}
+	}
+
+	/**
+	 * Returns the anchors the links in the document can point to: the headings with a text and the bookmarks,
+	 * in the order they appear in the document.
+	 *
+	 * The headings without an identifier get a proposed identifier based on their text which is unique in the document.
+	 * Use {@link #setHeadingId} to assign it when the link pointing to the heading is created.
+	 */
+	public getAnchors(): Array<LinkAnchor> {
+		const model = this.editor.model;
+		const elements = getElements( model );
+		const usedIds = new Set( elements.map( getAnchorId ).filter( ( id ): id is string => !!id ) );
+		const anchors: Array<LinkAnchor> = [];
+
+		for ( const element of elements ) {
+			if ( element.is( 'element', 'bookmark' ) ) {
+				const id = getAnchorId( element );
+
+				if ( id ) {
+					anchors.push( { id, label: id, type: 'bookmark', element } );
+				}
+			} else if ( this._headingElements.includes( element.name ) ) {
+				const label = getText( model, element ).trim();
+
+				if ( !label ) {
+					continue;
+				}
+
+				let id = getAnchorId( element );
+
+				if ( !id ) {
+					id = getUniqueId( slugify( label ), usedIds );
+					usedIds.add( id );
+				}
+
+				anchors.push( { id, label, type: 'heading', element } );
+			}
+		}
+
+		return anchors;
+	}
+
+	/**
+	 * Assigns the proposed identifier to the heading anchor returned by {@link #getAnchors} if the heading
+	 * has no identifier yet. It does nothing for the bookmarks and the headings that have been removed from the document.
+	 */
+	public setHeadingId( anchor: LinkAnchor ): void {
+		const element = anchor.element;
+
+		if ( anchor.type != 'heading' || element.hasAttribute( 'headingId' ) || ( element.root as RootElement ).rootName == '$graveyard' ) {
+			return;
+		}
+
+		this.editor.model.change( writer => {
+			writer.setAttribute( 'headingId', anchor.id, element );
+		} );
+	}
+
+	/**
+	 * Makes the identifiers of the headings and the bookmarks unique in the document. Duplicated heading identifiers
+	 * (for example, after splitting a heading) are removed and duplicated bookmark identifiers (for example, after pasting
+	 * a bookmark) get a numeric suffix. The identifiers of the elements that are no longer headings are removed, too.
+	 *
+	 * Only the inserted elements and the elements with changed identifiers are fixed, so the pre-existing elements
+	 * (and the links pointing to them) keep their identifiers, no matter where the duplicates were inserted.
+	 */
+	private _fixAnchorIds( writer: Writer ): boolean {
+		const model = this.editor.model;
+		const changedElements = new Set<Element>();
+
+		for ( const change of model.document.differ.getChanges() ) {
+			if ( change.type == 'insert' && change.name != '$text' ) {
+				const element = change.position.nodeAfter as Element;
+
+				changedElements.add( element );
+
+				for ( const item of model.createRangeIn( element ).getItems() ) {
+					if ( item.is( 'element' ) ) {
+						changedElements.add( item );
+					}
+				}
+			} else if ( change.type == 'attribute' && ( change.attributeKey == 'headingId' || change.attributeKey == 'bookmarkId' ) ) {
+				for ( const item of change.range.getItems( { shallow: true } ) ) {
+					if ( item.is( 'element' ) ) {
+						changedElements.add( item );
+					}
+				}
+			}
+		}
+
+		const elementsToFix = Array.from( changedElements ).filter( element => getAnchorId( element ) );
+
+		if ( !elementsToFix.length ) {
+			return false;
+		}
+
+		const usedIds = new Set<string>();
+		let wasFixed = false;
+
+		for ( const element of getElements( model ) ) {
+			const id = getAnchorId( element );
+
+			if ( id && !changedElements.has( element ) ) {
+				usedIds.add( id );
+			}
+		}
+
+		for ( const element of elementsToFix ) {
+			const id = getAnchorId( element )!;
+
+			if ( element.is( 'element', 'bookmark' ) ) {
+				if ( usedIds.has( id ) ) {
+					const uniqueId = getUniqueId( id, usedIds );
+
+					writer.setAttribute( 'bookmarkId', uniqueId, element );
+					usedIds.add( uniqueId );
+					wasFixed = true;
+				} else {
+					usedIds.add( id );
+				}
+			} else if ( usedIds.has( id ) || !model.schema.checkAttribute( element, 'headingId' ) ) {
+				writer.removeAttribute( 'headingId', element );
+				wasFixed = true;
+			} else {
+				usedIds.add( id );
+			}
+		}
+
+		return wasFixed;
+	}
+}
+
+/**
+ * An anchor in the document the links can point to.
+ */
+export interface LinkAnchor {
+
+	/**
+	 * The identifier of the anchor. The link to the anchor is `#<id>`.
+	 */
+	id: string;
+
+	/**
+	 * The text describing the anchor: the text of the heading or the identifier of the bookmark.
+	 */
+	label: string;
+
+	/**
+	 * The type of the anchor.
+	 */
+	type: 'heading' | 'bookmark';
+
+	/**
+	 * The model element of the anchor.
+	 */
+	element: Element;
+}
+
+/**
+ * Converts the `<a>` view element with the `id` (or the legacy `name`) attribute and without the `href` attribute
+ * to the `<bookmark>` model element. The children of the view element are converted after the bookmark.
+ */
+function upcastBookmark(): GetCallback<UpcastElementEvent> {
+	return ( evt, data, conversionApi ) => {
+		const viewItem = data.viewItem;
+		const attributeKey = viewItem.hasAttribute( 'id' ) ? 'id' : 'name';
+		const bookmarkId = viewItem.getAttribute( attributeKey );
+
+		if ( !bookmarkId || viewItem.hasAttribute( 'href' ) ) {
+			return;
+		}
+
+		if ( !conversionApi.consumable.test( viewItem, { name: true, attributes: attributeKey } ) ) {
+			return;
+		}
+
+		const bookmark = conversionApi.writer.createElement( 'bookmark', { bookmarkId } );
+
+		if ( !conversionApi.safeInsert( bookmark, data.modelCursor ) ) {
+			return;
+		}
+
+		conversionApi.consumable.consume( viewItem, { name: true, attributes: attributeKey } );
+		conversionApi.updateConversionResult( bookmark, data );
+
+		if ( !viewItem.isEmpty ) {
+			const { modelRange, modelCursor } = conversionApi.convertChildren( viewItem, data.modelCursor );
+
+			data.modelRange = conversionApi.writer.createRange( data.modelRange!.start, modelRange!.end );
+			data.modelCursor = modelCursor;
+		}
+	};
+}
+
+/**
+ * Creates the UI element displaying the bookmark icon in the editing view.
+ */
+function createBookmarkIcon( writer: DowncastWriter ) {
+	return writer.createUIElement( 'span', { class: 'ck-bookmark__icon' }, function( domDocument ) {
+		const domElement = this.toDomElement( domDocument );
+		const icon = new IconView();
+
+		icon.set( 'content', bookmarkIcon );
+		icon.render();
+
+		domElement.appendChild( icon.element! );
+
+		return domElement;
+	} );
+}
+
+/**
+ * Returns all elements in the document in the order they appear in it.
+ */
+function getElements( model: Model ): Array<Element> {
+	const elements: Array<Element> = [];
+
+	for ( const root of model.document.getRoots() ) {
+		for ( const item of model.createRangeIn( root ).getItems() ) {
+			if ( item.is( 'element' ) ) {
+				elements.push( item );
+			}
+		}
+	}
+
+	return elements;
+}
+
+/**
+ * Returns the identifier of the bookmark or the heading.
+ */
+function getAnchorId( element: Element ): string | undefined {
+	return ( element.getAttribute( 'bookmarkId' ) || element.getAttribute( 'headingId' ) ) as string | undefined;
+}
+
+/**
+ * Returns the text content of the element.
+ */
+function getText( model: Model, element: Element ): string {
+	return Array.from( model.createRangeIn( element ).getItems() )
+		.map( item => item.is( '$textProxy' ) ? item.data : '' )
+		.join( '' );
+}
+
+/**
+ * Creates the identifier from the text of the heading, for example `'Terms & conditions'` becomes `'terms-conditions'`.
+ */
+function slugify( text: string ): string {
+	const slug = text
+		.toLowerCase()
+		.replace( /[\s!-/:-@[-^`{-~]+/g, '-' )
+		.replace( /^-+|-+$/g, '' );
+
+	return slug || 'heading';
+}
+
+/**
+ * Returns the identifier that is not used yet. The numeric suffix is added to the identifier if needed.
+ */
+function getUniqueId( id: string, usedIds: Set<string> ): string {
+	if ( !usedIds.has( id ) ) {
+		return id;
+	}
+
+	let index = 2;
+
+	while ( usedIds.has( `${ id }-${ index }` ) ) {
+		index++;
+	}
+
+	return `${ id }-${ index }`;
+}
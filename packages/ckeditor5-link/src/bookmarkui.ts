@@ -0,0 +1,259 @@
+/**
+ * @license Copyright (c) 2003-2024, CKSource Holding sp. z o.o. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+
+/**
+ * @module link/bookmarkui
+ */
+
+import { Plugin, type Editor } from 'ckeditor5/src/core.js';
+import {
+	ButtonView,
+	ContextualBalloon,
+	MenuBarMenuListItemButtonView,
+	clickOutsideHandler
+} from 'ckeditor5/src/ui.js';
+import type { PositionOptions } from 'ckeditor5/src/utils.js';
+
+import BookmarkEditing from './bookmarkediting.js';
+import BookmarkFormView, {
+	type BookmarkFormCancelEvent,
+	type BookmarkFormSubmitEvent,
+	type BookmarkFormValidatorCallback
+} from './ui/bookmarkformview.js';
+
+import bookmarkIcon from '../theme/icons/bookmark.svg';
+
+/**
+ * The bookmark UI plugin. It introduces the `'bookmark'` button which opens a balloon with the form inserting
+ * a new bookmark or changing the name of the selected bookmark.
+ *
+ * It uses the
+ * {@link module:ui/panel/balloon/contextualballoon~ContextualBalloon contextual balloon plugin}.
+ */
+export default class BookmarkUI extends Plugin {
+	/**
+	 * The form view displayed inside the balloon.
+	 */
+	public formView: BookmarkFormView | null = null;
+
+	/**
+	 * The contextual balloon plugin instance.
+	 */
+	private _balloon!: ContextualBalloon;
+
+	/**
+	 * @inheritDoc
+	 */
+	public static get requires() {
+		return [ BookmarkEditing, ContextualBalloon ] as const;
+	}
+
+	/**
+	 * @inheritDoc
+	 */
+	public static get pluginName() {
+		return 'BookmarkUI' as const;
+	}
+
+	/**
+	 * @inheritDoc
+	 */
+	public init(): void {
+		const editor = this.editor;
+		const command = editor.commands.get( 'insertBookmark' )!;
+
+		this._balloon = editor.plugins.get( ContextualBalloon );
+
+		editor.ui.componentFactory.add( 'bookmark', () => {
+			const button = this._createButton( ButtonView );
+
+			button.set( {
+				tooltip: true,
+				isToggleable: true
+			} );
+
+			button.bind( 'isOn' ).to( command, 'value', value => !!value );
+
+			return button;
+		} );
+
+		editor.ui.componentFactory.add( 'menuBar:bookmark', () => {
+			return this._createButton( MenuBarMenuListItemButtonView );
+		} );
+	}
+
+	/**
+	 * @inheritDoc
+	 */
+	public override destroy(): void {
+		super.destroy();
+
+		// Destroy created UI components as they are not automatically destroyed (see ckeditor5#1341).
+		if ( this.formView ) {
+			this.formView.destroy();
+		}
+	}
+
+	/**
+	 * Creates a button for the insert bookmark command to use either in toolbar or in menu bar.
+	 */
+	private _createButton<T extends typeof ButtonView | typeof MenuBarMenuListItemButtonView>( ButtonClass: T ): InstanceType<T> {
+		const editor = this.editor;
+		const command = editor.commands.get( 'insertBookmark' )!;
+		const view = new ButtonClass( editor.locale ) as InstanceType<T>;
+		const t = editor.locale.t;
+
+		view.set( {
+			label: t( 'Bookmark' ),
+			icon: bookmarkIcon
+		} );
+
+		view.bind( 'isEnabled' ).to( command, 'isEnabled' );
+
+		// Show the panel on button click.
+		this.listenTo( view, 'execute', () => this._showForm() );
+
+		return view;
+	}
+
+	/**
+	 * Creates the {@link module:link/ui/bookmarkformview~BookmarkFormView} instance.
+	 */
+	private _createFormView(): BookmarkFormView {
+		const editor = this.editor;
+		const command = editor.commands.get( 'insertBookmark' )!;
+		const formView = new BookmarkFormView( editor.locale, getFormValidators( editor ) );
+
+		formView.idInputView.bind( 'isEnabled' ).to( command, 'isEnabled' );
+		formView.saveButtonView.bind( 'isEnabled' ).to( command, 'isEnabled' );
+
+		// Execute the command after clicking the "Save" button.
+		this.listenTo<BookmarkFormSubmitEvent>( formView, 'submit', () => {
+			if ( formView.isValid() ) {
+				editor.execute( 'insertBookmark', { bookmarkId: formView.bookmarkId! } );
+				this._hideForm();
+			}
+		} );
+
+		// Update balloon position when form error changes.
+		this.listenTo( formView.idInputView, 'change:errorText', () => {
+			editor.ui.update();
+		} );
+
+		// Hide the panel after clicking the "Cancel" button.
+		this.listenTo<BookmarkFormCancelEvent>( formView, 'cancel', () => {
+			this._hideForm();
+		} );
+
+		// Close the panel on esc key press when the **form has focus**.
+		formView.keystrokes.set( 'Esc', ( data, cancel ) => {
+			this._hideForm();
+			cancel();
+		} );
+
+		// Close on click outside of balloon panel element.
+		clickOutsideHandler( {
+			emitter: formView,
+			activator: () => this._isFormInPanel,
+			contextElements: () => [ this._balloon.view.element! ],
+			callback: () => this._hideForm()
+		} );
+
+		return formView;
+	}
+
+	/**
+	 * Shows the {@link #formView} in the {@link #_balloon}. The form is filled with the name of the selected bookmark.
+	 */
+	private _showForm(): void {
+		const editor = this.editor;
+		const command = editor.commands.get( 'insertBookmark' )!;
+
+		if ( !this.formView ) {
+			this.formView = this._createFormView();
+		}
+
+		if ( !this._isFormInPanel ) {
+			this.formView.resetFormStatus();
+
+			this._balloon.add( {
+				view: this.formView,
+				position: this._getBalloonPositionData()
+			} );
+		}
+
+		this._balloon.showStack( 'main' );
+
+		this.formView.idInputView.fieldView.value = command.value || '';
+		this.formView.idInputView.fieldView.select();
+	}
+
+	/**
+	 * Removes the {@link #formView} from the {@link #_balloon} and brings the focus back to the editing view.
+	 */
+	private _hideForm(): void {
+		if ( !this._isFormInPanel ) {
+			return;
+		}
+
+		// Blur the input element before removing it from DOM to prevent issues in some browsers.
+		// See https://github.com/ckeditor/ckeditor5/issues/1501.
+		this.formView!.saveButtonView.focus();
+
+		this._balloon.remove( this.formView! );
+
+		this.editor.editing.view.focus();
+	}
+
+	/**
+	 * Returns `true` when {@link #formView} is in the {@link #_balloon}.
+	 */
+	private get _isFormInPanel(): boolean {
+		return !!this.formView && this._balloon.hasView( this.formView );
+	}
+
+	/**
+	 * Returns positioning options for the {@link #_balloon}. The balloon is attached to the selected bookmark
+	 * or to the selection.
+	 */
+	private _getBalloonPositionData(): Partial<PositionOptions> {
+		const view = this.editor.editing.view;
+		const viewDocument = view.document;
+
+		return {
+			target: () => {
+				const selectedElement = viewDocument.selection.getSelectedElement();
+
+				if ( selectedElement ) {
+					return view.domConverter.mapViewToDom( selectedElement )!;
+				}
+
+				return view.domConverter.viewRangeToDom( viewDocument.selection.getFirstRange()! );
+			}
+		};
+	}
+}
+
+/**
+ * Returns bookmark form validation callbacks.
+ *
+ * @param editor Editor instance.
+ */
+function getFormValidators( editor: Editor ): Array<BookmarkFormValidatorCallback> {
+	const t = editor.t;
+
+	return [
+		form => {
+			if ( !form.bookmarkId ) {
+				return t( 'Bookmark must not be empty.' );
+			}
+		},
+		form => {
+			if ( /\s/.test( form.bookmarkId! ) ) {
+				return t( 'Bookmark name cannot contain space characters.' );
+			}
+		}
+	];
+}
@@ -0,0 +1,91 @@
+/**
+ * @license Copyright (c) 2003-2024, CKSource Holding sp. z o.o. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+
+/**
+ * @module link/fixlinkcommand
+ */
+
+import { Command, type Editor } from 'ckeditor5/src/core.js';
+
+import type LinkCommand from './linkcommand.js';
+import type LinkCheckerEditing from './linkcheckerediting.js';
+
+/**
+ * The fix link command. It is used by the {@link module:link/linkchecker~LinkChecker link checker} to fix the links
+ * with issues.
+ */
+export default class FixLinkCommand extends Command {
+	/**
+	 * @inheritDoc
+	 */
+	constructor( editor: Editor ) {
+		super( editor );
+
+		// The command does not change the selection, so its state depends on the found issues.
+		this.listenTo( this._linkCheckerEditing.issues, 'change', () => this.refresh() );
+	}
+
+	/**
+	 * @inheritDoc
+	 */
+	public override refresh(): void {
+		this.isEnabled = this._linkCheckerEditing.issues.length > 0;
+	}
+
+	/**
+	 * Executes the command.
+	 *
+	 * It replaces the URL of the link with the {@link module:link/linkconfig~LinkCheckerIssue#fixedUrl fixed URL} of the issue.
+	 * If the issue cannot be fixed this way or the `removeLink` option is set, the link is removed instead.
+	 *
+	 * # Decorators
+	 *
+	 * If {@link module:link/linkconfig~LinkConfig#decorators `config.link.decorators`} is specified,
+	 * all configured decorators are removed together with the link.
+	 *
+	 * @fires execute
+	 * @param issueId The identifier of the {@link module:link/linkcheckerediting~LinkCheckerEditing#issues issue}.
+	 * @param options.removeLink When set to `true`, the link is removed even if the issue can be fixed.
+	 */
+	public override execute( issueId: string, { removeLink = false }: { removeLink?: boolean } = {} ): void {
+		const editor = this.editor;
+		const model = editor.model;
+		const issues = this._linkCheckerEditing.issues;
+		const issue = issues.get( issueId );
+		const marker = model.markers.get( `linkChecker:${ issueId }` );
+
+		if ( !issue || !marker ) {
+			return;
+		}
+
+		const linkCommand: LinkCommand | undefined = editor.commands.get( 'link' );
+
+		model.change( writer => {
+			const range = marker.getRange();
+
+			if ( issue.fixedUrl && !removeLink ) {
+				writer.setAttribute( 'linkHref', issue.fixedUrl, range );
+			} else {
+				writer.removeAttribute( 'linkHref', range );
+
+				if ( linkCommand ) {
+					for ( const manualDecorator of linkCommand.manualDecorators ) {
+						writer.removeAttribute( manualDecorator.id, range );
+					}
+				}
+			}
+
+			writer.removeMarker( marker );
+			issues.remove( issueId );
+		} );
+	}
+
+	/**
+	 * The link checker editing plugin.
+	 */
+	private get _linkCheckerEditing(): LinkCheckerEditing {
+		return this.editor.plugins.get( 'LinkCheckerEditing' );
+	}
+}
@@ -14,9 +14,29 @@ export { default as LinkImage } from './linkimage.js';
 export { default as LinkImageEditing } from './linkimageediting.js';
 export { default as LinkImageUI } from './linkimageui.js';
 export { default as AutoLink } from './autolink.js';
+export { default as LinkChecker } from './linkchecker.js';
+export { default as LinkCheckerEditing } from './linkcheckerediting.js';
+export { default as LinkCheckerUI } from './linkcheckerui.js';
+export { default as Bookmark } from './bookmark.js';
+export { default as BookmarkEditing } from './bookmarkediting.js';
+export { default as BookmarkUI } from './bookmarkui.js';
+export { default as LinkPreview } from './linkpreview.js';
+export { default as LinkPreviewEditing } from './linkpreviewediting.js';
 
-export type { LinkConfig, LinkDecoratorDefinition } from './linkconfig.js';
+export type {
+	LinkConfig,
+	LinkDecoratorDefinition,
+	LinkCheckerConfig,
+	LinkCheckerIssue,
+	LinkPreviewConfig,
+	LinkPreviewData
+} from './linkconfig.js';
+export type { LinkCheckerIssueItem } from './linkcheckerediting.js';
+export type { LinkAnchor } from './bookmarkediting.js';
 export { default as LinkCommand } from './linkcommand.js';
 export { default as UnlinkCommand } from './unlinkcommand.js';
+export { default as FixLinkCommand } from './fixlinkcommand.js';
+export { default as InsertBookmarkCommand } from './insertbookmarkcommand.js';
+export { default as InsertLinkCardCommand } from './insertlinkcardcommand.js';
 
 import './augmentation.js';
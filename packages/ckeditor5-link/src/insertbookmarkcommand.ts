@@ -0,0 +1,77 @@
+/**
+ * @license Copyright (c) 2003-2024, CKSource Holding sp. z o.o. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+
+/**
+ * @module link/insertbookmarkcommand
+ */
+
+import { Command } from 'ckeditor5/src/core.js';
+
+/**
+ * The insert bookmark command. It is used by the {@link module:link/bookmark~Bookmark bookmark feature}.
+ *
+ * It inserts the bookmark at the beginning of the selection or changes the identifier of the selected bookmark:
+ *
+ * ```ts
+ * editor.execute( 'insertBookmark', { bookmarkId: 'terms-of-use' } );
+ * ```
+ */
+export default class InsertBookmarkCommand extends Command {
+	/**
+	 * The identifier of the selected bookmark or `undefined` if no bookmark is selected.
+	 *
+	 * @observable
+	 * @readonly
+	 */
+	declare public value: string | undefined;
+
+	/**
+	 * @inheritDoc
+	 */
+	public override refresh(): void {
+		const model = this.editor.model;
+		const selection = model.document.selection;
+		const selectedElement = selection.getSelectedElement();
+
+		if ( selectedElement && selectedElement.is( 'element', 'bookmark' ) ) {
+			this.value = selectedElement.getAttribute( 'bookmarkId' ) as string;
+			this.isEnabled = true;
+		} else {
+			this.value = undefined;
+			this.isEnabled = model.schema.checkChild( selection.getFirstPosition()!, 'bookmark' );
+		}
+	}
+
+	/**
+	 * Executes the command.
+	 *
+	 * @fires execute
+	 * @param options.bookmarkId The identifier of the bookmark. The links to the bookmark point to `#<bookmarkId>`.
+	 */
+	public override execute( { bookmarkId }: { bookmarkId: string } ): void {
+		const model = this.editor.model;
+		const selection = model.document.selection;
+
+		if ( !bookmarkId ) {
+			return;
+		}
+
+		model.change( writer => {
+			const selectedElement = selection.getSelectedElement();
+
+			if ( selectedElement && selectedElement.is( 'element', 'bookmark' ) ) {
+				writer.setAttribute( 'bookmarkId', bookmarkId, selectedElement );
+
+				return;
+			}
+
+			const bookmark = writer.createElement( 'bookmark', { bookmarkId } );
+
+			// Insert the bookmark without removing the selected content.
+			writer.insert( bookmark, selection.getFirstPosition()! );
+			writer.setSelection( bookmark, 'on' );
+		} );
+	}
+}
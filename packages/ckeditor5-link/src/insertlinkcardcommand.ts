@@ -0,0 +1,64 @@
+/**
+ * @license Copyright (c) 2003-2024, CKSource Holding sp. z o.o. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+
+/**
+ * @module link/insertlinkcardcommand
+ */
+
+import { Command } from 'ckeditor5/src/core.js';
+
+import type { LinkPreviewData } from './linkconfig.js';
+
+/**
+ * The insert link card command. It is used by the {@link module:link/linkpreview~LinkPreview link preview feature}.
+ *
+ * It inserts the link card after the block containing the selection and selects it:
+ *
+ * ```ts
+ * editor.execute( 'insertLinkCard', 'https://ckeditor.com', {
+ * 	title: 'CKEditor 5',
+ * 	description: 'The rich text editor.',
+ * 	favicon: 'https://ckeditor.com/favicon.ico'
+ * } );
+ * ```
+ */
+export default class InsertLinkCardCommand extends Command {
+	/**
+	 * @inheritDoc
+	 */
+	public override refresh(): void {
+		const model = this.editor.model;
+		const insertionRange = model.schema.findOptimalInsertionRange( model.document.selection, 'after' );
+
+		this.isEnabled = model.schema.checkChild( insertionRange.start, 'linkCard' );
+	}
+
+	/**
+	 * Executes the command.
+	 *
+	 * @fires execute
+	 * @param href The URL of the link.
+	 * @param preview The preview of the link displayed in the link card.
+	 */
+	public override execute( href: string, preview: LinkPreviewData | null = null ): void {
+		const model = this.editor.model;
+		const { title, description, favicon } = preview || {};
+
+		if ( !href ) {
+			return;
+		}
+
+		model.change( writer => {
+			const linkCard = writer.createElement( 'linkCard', {
+				linkCardHref: href,
+				...( title && { linkCardTitle: title } ),
+				...( description && { linkCardDescription: description } ),
+				...( favicon && { linkCardFavicon: favicon } )
+			} );
+
+			model.insertObject( linkCard, null, null, { findOptimalPosition: 'after', setSelection: 'on' } );
+		} );
+	}
+}
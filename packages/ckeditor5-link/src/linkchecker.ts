@@ -0,0 +1,39 @@
+/**
+ * @license Copyright (c) 2003-2024, CKSource Holding sp. z o.o. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+
+/**
+ * @module link/linkchecker
+ */
+
+import { Plugin } from 'ckeditor5/src/core.js';
+import LinkCheckerEditing from './linkcheckerediting.js';
+import LinkCheckerUI from './linkcheckerui.js';
+
+/**
+ * The link checker plugin.
+ *
+ * It validates the links in the content and reports the broken, insecure, and disallowed ones. The links with issues are marked
+ * in the content and listed in a dialog which allows fixing them.
+ *
+ * This is a "glue" plugin that loads the {@link module:link/linkcheckerediting~LinkCheckerEditing link checker editing feature}
+ * and {@link module:link/linkcheckerui~LinkCheckerUI link checker UI feature}.
+ *
+ * See the {@link module:link/linkconfig~LinkCheckerConfig link checker configuration}.
+ */
+export default class LinkChecker extends Plugin {
+	/**
+	 * @inheritDoc
+	 */
+	public static get requires() {
+		return [ LinkCheckerEditing, LinkCheckerUI ] as const;
+	}
+
+	/**
+	 * @inheritDoc
+	 */
+	public static get pluginName() {
+		return 'LinkChecker' as const;
+	}
+}
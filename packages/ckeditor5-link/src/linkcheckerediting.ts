@@ -0,0 +1,363 @@
+/**
+ * @license Copyright (c) 2003-2024, CKSource Holding sp. z o.o. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+
+/**
+ * @module link/linkcheckerediting
+ */
+
+/* global fetch, URL */
+
+import { Plugin, type Editor } from 'ckeditor5/src/core.js';
+import type { DocumentChangeEvent, Model, Range } from 'ckeditor5/src/engine.js';
+import { Collection, logWarning, uid } from 'ckeditor5/src/utils.js';
+import { debounce, type DebouncedFunc } from 'lodash-es';
+
+import LinkEditing from './linkediting.js';
+import FixLinkCommand from './fixlinkcommand.js';
+import type { LinkCheckerConfig, LinkCheckerIssue } from './linkconfig.js';
+
+import '../theme/linkcheckerediting.css';
+
+/**
+ * The link checker editing feature.
+ *
+ * It validates the links in the content using the {@link module:link/linkconfig~LinkCheckerConfig link checker configuration},
+ * marks the links with issues in the editing view and introduces the `'fixLink'` command.
+ *
+ * The links are checked again after each change of the content. The validation results are cached, so each URL is validated once
+ * unless the check is {@link #checkLinks forced}.
+ */
+export default class LinkCheckerEditing extends Plugin {
+	/**
+	 * The issues found in the content. Each issue is marked in the content with the `'linkChecker:<issue id>'` marker.
+	 */
+	public readonly issues = new Collection<LinkCheckerIssueItem>();
+
+	/**
+	 * Indicates whether the links are being checked.
+	 *
+	 * @observable
+	 * @readonly
+	 */
+	declare public isChecking: boolean;
+
+	/**
+	 * The function validating a single link.
+	 */
+	private readonly _validateLink: ( url: string ) => Promise<LinkCheckerIssue | null>;
+
+	/**
+	 * The cache of the link validation requests.
+	 */
+	private readonly _requests = new Map<string, Promise<LinkCheckerIssue | null>>();
+
+	/**
+	 * The cache of the link validation results. The result is `null` if the link has no issues.
+	 */
+	private readonly _results = new Map<string, LinkCheckerIssue | null>();
+
+	/**
+	 * The number of checks in progress.
+	 */
+	private _pendingChecks = 0;
+
+	/**
+	 * Checks the links the configured time after the last change of the content.
+	 */
+	private readonly _checkLinksDebounced: DebouncedFunc<() => void>;
+
+	/**
+	 * @inheritDoc
+	 */
+	public static get pluginName() {
+		return 'LinkCheckerEditing' as const;
+	}
+
+	/**
+	 * @inheritDoc
+	 */
+	public static get requires() {
+		return [ LinkEditing ] as const;
+	}
+
+	/**
+	 * @inheritDoc
+	 */
+	constructor( editor: Editor ) {
+		super( editor );
+
+		editor.config.define( 'link.checker', {
+			enforceHttps: false,
+			checkAvailability: false,
+			waitingTime: 1000
+		} );
+
+		this.set( 'isChecking', false );
+
+		const config = editor.config.get( 'link.checker' )!;
+
+		this._validateLink = createLinkValidator( config );
+		this._checkLinksDebounced = debounce( () => this.checkLinks(), config.waitingTime );
+	}
+
+	/**
+	 * @inheritDoc
+	 */
+	public init(): void {
+		const editor = this.editor;
+
+		editor.commands.add( 'fixLink', new FixLinkCommand( editor ) );
+
+		editor.conversion.for( 'editingDowncast' ).markerToHighlight( {
+			model: 'linkChecker',
+			view: ( { markerName } ) => {
+				const [ , id ] = markerName.split( ':' );
+				const issue = this.issues.get( id );
+
+				return {
+					classes: [ 'ck-link-checker-issue', ...( issue ? [ `ck-link-checker-issue_${ issue.type }` ] : [] ) ],
+					attributes: {
+						'data-link-checker-issue': id
+					}
+				};
+			}
+		} );
+
+		this.listenTo<DocumentChangeEvent>( editor.model.document, 'change:data', () => {
+			this._checkLinksDebounced();
+		} );
+	}
+
+	/**
+	 * @inheritDoc
+	 */
+	public override destroy(): void {
+		this._checkLinksDebounced.cancel();
+
+		super.destroy();
+	}
+
+	/**
+	 * Validates all links in the content and updates the {@link #issues}.
+	 *
+	 * @param options.force When set to `true`, the cached validation results are discarded and all links are validated again.
+	 */
+	public async checkLinks( { force = false }: { force?: boolean } = {} ): Promise<void> {
+		const editor = this.editor;
+
+		this._checkLinksDebounced.cancel();
+
+		if ( force ) {
+			this._requests.clear();
+			this._results.clear();
+		}
+
+		const urls = new Set( getLinks( editor.model ).map( link => link.url ) );
+
+		this._pendingChecks++;
+		this.isChecking = true;
+
+		await Promise.all( Array.from( urls, url => this._getIssue( url ) ) );
+
+		this._pendingChecks--;
+		this.isChecking = this._pendingChecks > 0;
+
+		if ( editor.state != 'destroyed' ) {
+			this._updateIssues();
+		}
+	}
+
+	/**
+	 * Returns the cached issue of the given link or validates it.
+	 *
+	 * @param url The URL of the link.
+	 */
+	private _getIssue( url: string ): Promise<LinkCheckerIssue | null> {
+		let request = this._requests.get( url );
+
+		if ( !request ) {
+			request = this._validateLink( url )
+				.catch( error => {
+					/**
+					 * The link could not be validated by the link checker. The link will not be reported.
+					 *
+					 * See {@link module:link/linkconfig~LinkCheckerConfig#validator}.
+					 *
+					 * @error link-checker-validation-failed
+					 * @param url The URL of the link.
+					 * @param error The original error.
+					 */
+					logWarning( 'link-checker-validation-failed', { url, error } );
+
+					return null;
+				} )
+				.then( issue => {
+					// Ignore the results of the requests discarded by the forced check.
+					if ( this._requests.get( url ) === request ) {
+						this._results.set( url, issue );
+					}
+
+					return issue;
+				} );
+
+			this._requests.set( url, request );
+		}
+
+		return request;
+	}
+
+	/**
+	 * Marks the links with issues in the content and updates the {@link #issues} collection.
+	 * The links that have not been validated yet are skipped.
+	 */
+	private _updateIssues(): void {
+		const model = this.editor.model;
+
+		model.change( writer => {
+			for ( const marker of model.markers.getMarkersGroup( 'linkChecker' ) ) {
+				writer.removeMarker( marker );
+			}
+
+			this.issues.clear();
+
+			for ( const { url, range } of getLinks( model ) ) {
+				const issue = this._results.get( url );
+
+				if ( !issue ) {
+					continue;
+				}
+
+				const id = uid();
+
+				this.issues.add( { ...issue, id, url } );
+
+				writer.addMarker( `linkChecker:${ id }`, {
+					range,
+					usingOperation: false,
+					affectsData: false
+				} );
+			}
+		} );
+	}
+}
+
+/**
+ * The issue of a link in the content found by the {@link module:link/linkcheckerediting~LinkCheckerEditing link checker}.
+ */
+export interface LinkCheckerIssueItem extends LinkCheckerIssue {
+
+	/**
+	 * The unique identifier of the issue. The link is marked in the content with the `'linkChecker:<id>'` marker.
+	 */
+	id: string;
+
+	/**
+	 * The URL of the link.
+	 */
+	url: string;
+}
+
+/**
+ * Returns the URLs and the ranges of all links in the content. The adjacent text nodes sharing the same URL form a single link.
+ */
+function getLinks( model: Model ): Array<{ url: string; range: Range }> {
+	const links: Array<{ url: string; range: Range }> = [];
+
+	for ( const root of model.document.getRoots() ) {
+		let lastLink: { url: string; range: Range } | null = null;
+
+		for ( const item of model.createRangeIn( root ).getItems() ) {
+			const url = item.getAttribute( 'linkHref' ) as string | undefined;
+
+			if ( !url ) {
+				continue;
+			}
+
+			const range = model.createRangeOn( item );
+
+			if ( item.is( '$textProxy' ) && lastLink && lastLink.url == url && lastLink.range.end.isEqual( range.start ) ) {
+				lastLink.range = model.createRange( lastLink.range.start, range.end );
+
+				continue;
+			}
+
+			lastLink = { url, range };
+			links.push( lastLink );
+		}
+	}
+
+	return links;
+}
+
+/**
+ * Creates the function validating a single link according to the link checker configuration.
+ */
+function createLinkValidator( config: LinkCheckerConfig ): ( url: string ) => Promise<LinkCheckerIssue | null> {
+	return async url => {
+		const parsedUrl = parseExternalUrl( url );
+
+		if ( parsedUrl ) {
+			const { hostname, protocol } = parsedUrl;
+
+			if (
+				config.disallowedDomains && config.disallowedDomains.some( domain => isInDomain( hostname, domain ) ) ||
+				config.allowedDomains && !config.allowedDomains.some( domain => isInDomain( hostname, domain ) )
+			) {
+				return { type: 'disallowed' };
+			}
+
+			if ( config.enforceHttps && protocol == 'http:' ) {
+				return { type: 'insecure', fixedUrl: url.replace( /^http:/i, 'https:' ) };
+			}
+		}
+
+		if ( config.validator ) {
+			const issue = await config.validator( url );
+
+			if ( issue ) {
+				return issue;
+			}
+		}
+
+		if ( parsedUrl && config.checkAvailability ) {
+			try {
+				const response = await fetch( parsedUrl.href, { method: 'HEAD', mode: 'no-cors' } );
+
+				// The status of the cross-origin responses is not available.
+				if ( response.type != 'opaque' && !response.ok ) {
+					return { type: 'broken' };
+				}
+			} catch {
+				return { type: 'broken' };
+			}
+		}
+
+		return null;
+	};
+}
+
+/**
+ * Returns the parsed URL of the external `http://`, `https://` or protocol-relative link, or `null` for other links.
+ */
+function parseExternalUrl( url: string ): URL | null {
+	if ( !/^(https?:)?\/\//i.test( url ) ) {
+		return null;
+	}
+
+	try {
+		return new URL( url.startsWith( '//' ) ? 'https:' + url : url );
+	} catch {
+		return null;
+	}
+}
+
+/**
+ * Checks whether the host name is the given domain or its subdomain.
+ */
+function isInDomain( hostname: string, domain: string ): boolean {
+	domain = domain.toLowerCase();
+
+	return hostname == domain || hostname.endsWith( '.' + domain );
+}
@@ -0,0 +1,220 @@
+/**
+ * @license Copyright (c) 2003-2024, CKSource Holding sp. z o.o. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+
+/**
+ * @module link/linkcheckerui
+ */
+
+import { Plugin } from 'ckeditor5/src/core.js';
+import {
+	ButtonView,
+	MenuBarMenuListItemButtonView,
+	Dialog,
+	DialogViewPosition
+} from 'ckeditor5/src/ui.js';
+
+import LinkCheckerEditing from './linkcheckerediting.js';
+import LinkCheckerView, { LinkCheckerIssueView, type LinkCheckerIssueActionEvent } from './ui/linkcheckerview.js';
+
+import linkCheckerIcon from '../theme/icons/link-checker.svg';
+
+/**
+ * The link checker UI plugin.
+ *
+ * It registers the `'linkChecker'` UI button in the editor's {@link module:ui/componentfactory~ComponentFactory component factory}
+ * which opens a dialog listing the links with issues found by the
+ * {@link module:link/linkcheckerediting~LinkCheckerEditing link checker}.
+ */
+export default class LinkCheckerUI extends Plugin {
+	/**
+	 * The view displayed in the dialog. It is created when the dialog is opened for the first time.
+	 */
+	public checkerView: LinkCheckerView | null = null;
+
+	/**
+	 * @inheritDoc
+	 */
+	public static get requires() {
+		return [ LinkCheckerEditing, Dialog ] as const;
+	}
+
+	/**
+	 * @inheritDoc
+	 */
+	public static get pluginName() {
+		return 'LinkCheckerUI' as const;
+	}
+
+	/**
+	 * @inheritDoc
+	 */
+	public init(): void {
+		const editor = this.editor;
+		const dialog = editor.plugins.get( Dialog );
+
+		editor.ui.componentFactory.add( 'linkChecker', () => {
+			const buttonView = this._createButton( ButtonView );
+
+			buttonView.set( {
+				tooltip: true
+			} );
+
+			// The button should be on when the link checker dialog is opened.
+			buttonView.bind( 'isOn' ).to( dialog, 'id', id => id === 'linkChecker' );
+
+			return buttonView;
+		} );
+
+		editor.ui.componentFactory.add( 'menuBar:linkChecker', () => {
+			return this._createButton( MenuBarMenuListItemButtonView );
+		} );
+	}
+
+	/**
+	 * @inheritDoc
+	 */
+	public override destroy(): void {
+		super.destroy();
+
+		// Destroy created UI components as they are not automatically destroyed (see ckeditor5#1341).
+		if ( this.checkerView ) {
+			this.checkerView.destroy();
+		}
+	}
+
+	/**
+	 * Creates a button opening the link checker dialog to use either in toolbar or in menu bar.
+	 */
+	private _createButton<T extends typeof ButtonView | typeof MenuBarMenuListItemButtonView>( ButtonClass: T ): InstanceType<T> {
+		const editor = this.editor;
+		const dialog = editor.plugins.get( Dialog );
+		const buttonView = new ButtonClass( editor.locale ) as InstanceType<T>;
+		const t = editor.locale.t;
+
+		buttonView.set( {
+			icon: linkCheckerIcon,
+			label: t( 'Check links' )
+		} );
+
+		this.listenTo( buttonView, 'execute', () => {
+			if ( dialog.id === 'linkChecker' ) {
+				dialog.hide();
+			} else {
+				this._showDialog();
+			}
+		} );
+
+		return buttonView;
+	}
+
+	/**
+	 * Shows the link checker dialog and checks the links in the content.
+	 */
+	private _showDialog(): void {
+		const editor = this.editor;
+		const dialog = editor.plugins.get( Dialog );
+		const linkCheckerEditing = editor.plugins.get( LinkCheckerEditing );
+		const t = editor.locale.t;
+
+		if ( !this.checkerView ) {
+			this.checkerView = this._createCheckerView();
+		}
+
+		dialog.show( {
+			id: 'linkChecker',
+			title: t( 'Link checker' ),
+			icon: linkCheckerIcon,
+			content: this.checkerView,
+			position: DialogViewPosition.EDITOR_TOP_SIDE,
+			actionButtons: [
+				{
+					label: t( 'Check again' ),
+					withText: true,
+					onCreate: buttonView => {
+						buttonView.bind( 'isEnabled' ).to( linkCheckerEditing, 'isChecking', isChecking => !isChecking );
+					},
+					onExecute: () => linkCheckerEditing.checkLinks( { force: true } )
+				},
+				{
+					label: t( 'Close' ),
+					class: 'ck-button-action',
+					withText: true,
+					onExecute: () => dialog.hide()
+				}
+			],
+			onShow: () => {
+				linkCheckerEditing.checkLinks();
+			}
+		} );
+	}
+
+	/**
+	 * Creates the view displayed in the dialog and binds it to the state of the link checker.
+	 */
+	private _createCheckerView(): LinkCheckerView {
+		const editor = this.editor;
+		const t = editor.locale.t;
+		const linkCheckerEditing = editor.plugins.get( LinkCheckerEditing );
+		const issues = linkCheckerEditing.issues;
+		const checkerView = new LinkCheckerView( editor.locale );
+		const fixLinkCommand = editor.commands.get( 'fixLink' )!;
+
+		checkerView.issueViews.bindTo( issues ).using( issue => {
+			const issueView = new LinkCheckerIssueView( editor.locale, issue );
+
+			for ( const buttonView of [ issueView.fixButtonView, issueView.removeButtonView ] ) {
+				if ( buttonView ) {
+					buttonView.bind( 'isEnabled' ).to( fixLinkCommand );
+				}
+			}
+
+			return issueView;
+		} );
+
+		const updateStatusText = () => {
+			if ( linkCheckerEditing.isChecking ) {
+				checkerView.statusText = t( 'Checking links…' );
+			} else if ( !issues.length ) {
+				checkerView.statusText = t( 'No issues found.' );
+			} else {
+				checkerView.statusText = t( 'Links with issues: %0', issues.length );
+			}
+		};
+
+		checkerView.listenTo( issues, 'change', updateStatusText );
+		checkerView.listenTo( linkCheckerEditing, 'change:isChecking', updateStatusText );
+		updateStatusText();
+
+		// Select the link in the content.
+		this.listenTo<LinkCheckerIssueActionEvent>( checkerView, 'show', ( evt, issueId ) => {
+			const marker = editor.model.markers.get( `linkChecker:${ issueId }` );
+
+			if ( !marker ) {
+				return;
+			}
+
+			editor.model.change( writer => {
+				writer.setSelection( marker.getRange() );
+			} );
+
+			editor.editing.view.focus();
+			editor.editing.view.scrollToTheSelection();
+		} );
+
+		this.listenTo<LinkCheckerIssueActionEvent>( checkerView, 'fix', ( evt, issueId ) => {
+			editor.execute( 'fixLink', issueId );
+
+			// The view of the fixed issue is removed, so the focus must be moved to keep it in the dialog.
+			checkerView.focus();
+		} );
+
+		this.listenTo<LinkCheckerIssueActionEvent>( checkerView, 'remove', ( evt, issueId ) => {
+			editor.execute( 'fixLink', issueId, { removeLink: true } );
+			checkerView.focus();
+		} );
+
+		return checkerView;
+	}
+}
@@ -180,6 +180,191 @@ export interface LinkConfig {
 	 * See also the {@glink features/link#custom-link-attributes-decorators link feature guide} for more information.
 	 */
 	decorators?: Record<string, LinkDecoratorDefinition>;
+
+	/**
+	 * The configuration of the {@link module:link/linkchecker~LinkChecker link checker} feature.
+	 *
+	 * ```ts
+	 * ClassicEditor
+	 * 	.create( editorElement, {
+	 * 		link: {
+	 * 			checker: {
+	 * 				disallowedDomains: [ 'example.com' ],
+	 * 				enforceHttps: true
+	 * 			}
+	 * 		}
+	 * 	} )
+	 * 	.then( ... )
+	 * 	.catch( ... );
+	 * ```
+	 *
+	 * Read more in {@link module:link/linkconfig~LinkCheckerConfig}.
+	 */
+	checker?: LinkCheckerConfig;
+
+	/**
+	 * The configuration of the {@link module:link/linkpreview~LinkPreview link preview} feature.
+	 *
+	 * ```ts
+	 * ClassicEditor
+	 * 	.create( editorElement, {
+	 * 		link: {
+	 * 			preview: {
+	 * 				provider: async url => {
+	 * 					const response = await fetch( '/link-preview?url=' + encodeURIComponent( url ) );
+	 *
+	 * 					return response.ok ? response.json() : null;
+	 * 				}
+	 * 			}
+	 * 		}
+	 * 	} )
+	 * 	.then( ... )
+	 * 	.catch( ... );
+	 * ```
+	 *
+	 * Read more in {@link module:link/linkconfig~LinkPreviewConfig}.
+	 */
+	preview?: LinkPreviewConfig;
+}
+
+/**
+ * The configuration of the {@link module:link/linkpreview~LinkPreview link preview} feature.
+ */
+export interface LinkPreviewConfig {
+
+	/**
+	 * A function providing the preview of the link. It is called with the URL of the link displayed in the link actions balloon
+	 * and should resolve with the {@link module:link/linkconfig~LinkPreviewData preview data} or `null` if there is no preview
+	 * of the link.
+	 *
+	 * The previews are cached, so the provider is called once for each URL. When the provider rejects, the link is displayed
+	 * without a preview and the provider is called again the next time the link is displayed.
+	 *
+	 * When not set, the links have no previews.
+	 */
+	provider?: ( url: string ) => Promise<LinkPreviewData | null>;
+}
+
+/**
+ * The preview of a link returned by the {@link module:link/linkconfig~LinkPreviewConfig#provider link preview provider}.
+ */
+export interface LinkPreviewData {
+
+	/**
+	 * The title of the linked page. If not set, the URL of the link is displayed instead.
+	 */
+	title?: string;
+
+	/**
+	 * The short description of the linked page.
+	 */
+	description?: string;
+
+	/**
+	 * The URL of the favicon of the linked page.
+	 */
+	favicon?: string;
+}
+
+/**
+ * The configuration of the {@link module:link/linkchecker~LinkChecker link checker} feature.
+ *
+ * The link checker validates each link in the content in the following order and reports the first issue found:
+ *
+ * 1. The domain of the link is checked against {@link #disallowedDomains} and {@link #allowedDomains}.
+ * 2. The insecure `http://` links are reported if {@link #enforceHttps} is enabled.
+ * 3. The custom {@link #validator} is called.
+ * 4. The link target is requested if {@link #checkAvailability} is enabled.
+ */
+export interface LinkCheckerConfig {
+
+	/**
+	 * The list of domains the links can point to. The links to other domains are reported as disallowed.
+	 * The subdomains of the listed domains are allowed, too.
+	 *
+	 * Relative links and links without a domain (for instance, `mailto:` links) are never checked against the domain lists.
+	 *
+	 * When not set, the links can point to any domain that is not {@link #disallowedDomains disallowed}.
+	 */
+	allowedDomains?: Array<string>;
+
+	/**
+	 * The list of domains the links cannot point to. The links to these domains and their subdomains are reported as disallowed.
+	 */
+	disallowedDomains?: Array<string>;
+
+	/**
+	 * When set to `true`, the `http://` links are reported as insecure. Such issues can be fixed by
+	 * replacing the protocol of the link with `https://`.
+	 *
+	 * @default false
+	 */
+	enforceHttps?: boolean;
+
+	/**
+	 * When set to `true`, the link checker sends a `HEAD` request to each external link and reports the links that cannot
+	 * be reached or respond with an error status as broken.
+	 *
+	 * **Note:** The requests are sent in the `no-cors` mode, so the response status can only be verified for the links
+	 * pointing to the origin of the editor. For other links, only the network errors are reported.
+	 * Use the {@link #validator} to check the links using your server instead.
+	 *
+	 * @default false
+	 */
+	checkAvailability?: boolean;
+
+	/**
+	 * A custom function validating the links. It is called with the URL of each link and should resolve with the
+	 * {@link module:link/linkconfig~LinkCheckerIssue issue} found or `null` if the link is correct.
+	 *
+	 * ```ts
+	 * ClassicEditor
+	 * 	.create( editorElement, {
+	 * 		link: {
+	 * 			checker: {
+	 * 				validator: async url => {
+	 * 					const response = await fetch( '/check-link?url=' + encodeURIComponent( url ) );
+	 *
+	 * 					return response.ok ? null : { type: 'broken' };
+	 * 				}
+	 * 			}
+	 * 		}
+	 * 	} )
+	 * 	.then( ... )
+	 * 	.catch( ... );
+	 * ```
+	 */
+	validator?: ( url: string ) => Promise<LinkCheckerIssue | null>;
+
+	/**
+	 * The time (in milliseconds) the link checker waits after the last change of the content before checking the links again.
+	 *
+	 * @default 1000
+	 */
+	waitingTime?: number;
+}
+
+/**
+ * The issue of a link reported by the {@link module:link/linkchecker~LinkChecker link checker}.
+ */
+export interface LinkCheckerIssue {
+
+	/**
+	 * The type of the issue. The link checker reports the `'broken'`, `'insecure'`, and `'disallowed'` links,
+	 * but a custom {@link module:link/linkconfig~LinkCheckerConfig#validator validator} can use other types, too.
+	 */
+	type: string;
+
+	/**
+	 * The description of the issue displayed in the link checker panel. If not set, the default description of the
+	 * issue type is used.
+	 */
+	message?: string;
+
+	/**
+	 * The URL replacing the link when the issue is fixed. If not set, the issue can only be fixed by removing the link.
+	 */
+	fixedUrl?: string;
 }
 
 /**
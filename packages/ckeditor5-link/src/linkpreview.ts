@@ -0,0 +1,40 @@
+/**
+ * @license Copyright (c) 2003-2024, CKSource Holding sp. z o.o. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+
+/**
+ * @module link/linkpreview
+ */
+
+import { Plugin } from 'ckeditor5/src/core.js';
+import LinkPreviewEditing from './linkpreviewediting.js';
+import LinkUI from './linkui.js';
+
+/**
+ * The link preview plugin.
+ *
+ * It displays the title, the description, and the favicon of the link in the link actions balloon and allows inserting
+ * the link card, a block widget presenting the link with its preview, into the content.
+ *
+ * The previews are provided by the {@link module:link/linkconfig~LinkPreviewConfig#provider configured provider}.
+ *
+ * This is a "glue" plugin that loads the {@link module:link/linkpreviewediting~LinkPreviewEditing link preview editing feature}
+ * and the {@link module:link/linkui~LinkUI link UI feature} which displays the previews when the link preview editing feature
+ * is loaded.
+ */
+export default class LinkPreview extends Plugin {
+	/**
+	 * @inheritDoc
+	 */
+	public static get requires() {
+		return [ LinkPreviewEditing, LinkUI ] as const;
+	}
+
+	/**
+	 * @inheritDoc
+	 */
+	public static get pluginName() {
+		return 'LinkPreview' as const;
+	}
+}
@@ -0,0 +1,247 @@
+/**
+ * @license Copyright (c) 2003-2024, CKSource Holding sp. z o.o. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+
+/**
+ * @module link/linkpreviewediting
+ */
+
+import { Plugin } from 'ckeditor5/src/core.js';
+import type {
+	DowncastWriter,
+	Element,
+	UpcastElementEvent,
+	ViewElement,
+	ViewNode
+} from 'ckeditor5/src/engine.js';
+import { logWarning, type GetCallback } from 'ckeditor5/src/utils.js';
+import { Widget, toWidget } from 'ckeditor5/src/widget.js';
+
+import LinkEditing from './linkediting.js';
+import InsertLinkCardCommand from './insertlinkcardcommand.js';
+import type { LinkPreviewData } from './linkconfig.js';
+
+import '../theme/linkcard.css';
+
+/**
+ * The link preview editing feature.
+ *
+ * It provides the previews of the links using the {@link module:link/linkconfig~LinkPreviewConfig#provider configured provider}.
+ *
+ * It also introduces the `<linkCard>` block element in the model which represents the link with its preview
+ * (`<a class="link-card" href="..."><figure>...</figure></a>` in the data) and the `'insertLinkCard'` command.
+ */
+export default class LinkPreviewEditing extends Plugin {
+	/**
+	 * The cache of the link preview requests.
+	 */
+	private readonly _requests = new Map<string, Promise<LinkPreviewData | null>>();
+
+	/**
+	 * @inheritDoc
+	 */
+	public static get pluginName() {
+		return 'LinkPreviewEditing' as const;
+	}
+
+	/**
+	 * @inheritDoc
+	 */
+	public static get requires() {
+		return [ LinkEditing, Widget ] as const;
+	}
+
+	/**
+	 * @inheritDoc
+	 */
+	public init(): void {
+		const editor = this.editor;
+		const conversion = editor.conversion;
+
+		editor.model.schema.register( 'linkCard', {
+			inheritAllFrom: '$blockObject',
+			allowAttributes: [ 'linkCardHref', 'linkCardTitle', 'linkCardDescription', 'linkCardFavicon' ]
+		} );
+
+		editor.commands.add( 'insertLinkCard', new InsertLinkCardCommand( editor ) );
+
+		conversion.for( 'upcast' ).add( dispatcher => {
+			dispatcher.on<UpcastElementEvent>( 'element:a', upcastLinkCard(), { priority: 'high' } );
+		} );
+
+		conversion.for( 'dataDowncast' ).elementToElement( {
+			model: {
+				name: 'linkCard',
+				attributes: [ 'linkCardHref', 'linkCardTitle', 'linkCardDescription', 'linkCardFavicon' ]
+			},
+			view: ( modelElement, { writer } ) => writer.createContainerElement( 'a', {
+				class: 'link-card',
+				href: modelElement.getAttribute( 'linkCardHref' ) as string
+			}, [
+				createLinkCardFigure( writer, modelElement )
+			] )
+		} );
+
+		conversion.for( 'editingDowncast' ).elementToElement( {
+			model: {
+				name: 'linkCard',
+				attributes: [ 'linkCardHref', 'linkCardTitle', 'linkCardDescription', 'linkCardFavicon' ]
+			},
+			view: ( modelElement, { writer } ) => {
+				const t = editor.locale.t;
+				const viewElement = writer.createContainerElement( 'div', { class: 'link-card' }, [
+					createLinkCardFigure( writer, modelElement )
+				] );
+
+				return toWidget( viewElement, writer, {
+					label: t( 'Link card: %0', modelElement.getAttribute( 'linkCardHref' ) as string )
+				} );
+			}
+		} );
+	}
+
+	/**
+	 * Returns the preview of the link provided by the {@link module:link/linkconfig~LinkPreviewConfig#provider link preview provider}
+	 * or `null` if the link has no preview. The previews are cached.
+	 *
+	 * @param url The URL of the link.
+	 */
+	public getPreview( url: string ): Promise<LinkPreviewData | null> {
+		const provider = this.editor.config.get( 'link.preview.provider' );
+
+		if ( !provider ) {
+			return Promise.resolve( null );
+		}
+
+		let request = this._requests.get( url );
+
+		if ( !request ) {
+			request = provider( url ).catch( error => {
+				/**
+				 * The link preview provider failed to provide the preview of the link. The link will be displayed without a preview.
+				 *
+				 * See {@link module:link/linkconfig~LinkPreviewConfig#provider}.
+				 *
+				 * @error link-preview-provider-failed
+				 * @param url The URL of the link.
+				 * @param error The original error.
+				 */
+				logWarning( 'link-preview-provider-failed', { url, error } );
+
+				// Allow providing the preview again the next time.
+				this._requests.delete( url );
+
+				return null;
+			} );
+
+			this._requests.set( url, request );
+		}
+
+		return request;
+	}
+}
+
+/**
+ * Converts the `<a class="link-card">` view element with the `href` attribute to the `<linkCard>` model element.
+ * The title, the description, and the favicon of the link are read from the `<figure>` inside the link.
+ */
+function upcastLinkCard(): GetCallback<UpcastElementEvent> {
+	return ( evt, data, conversionApi ) => {
+		const viewItem = data.viewItem;
+		const href = viewItem.getAttribute( 'href' );
+
+		if ( !href || !viewItem.hasClass( 'link-card' ) ) {
+			return;
+		}
+
+		if ( !conversionApi.consumable.test( viewItem, { name: true, attributes: 'href', classes: 'link-card' } ) ) {
+			return;
+		}
+
+		const titleElement = findDescendant( viewItem, node => node.hasClass( 'link-card__title' ) );
+		const descriptionElement = findDescendant( viewItem, node => node.hasClass( 'link-card__description' ) );
+		const faviconElement = findDescendant( viewItem, node => node.is( 'element', 'img' ) );
+		const title = titleElement && getViewText( titleElement ).trim();
+		const description = descriptionElement && getViewText( descriptionElement ).trim();
+		const favicon = faviconElement && faviconElement.getAttribute( 'src' );
+
+		const linkCard = conversionApi.writer.createElement( 'linkCard', {
+			linkCardHref: href,
+			// The URL is displayed as the title of the link card without a title.
+			...( title && title != href && { linkCardTitle: title } ),
+			...( description && { linkCardDescription: description } ),
+			...( favicon && { linkCardFavicon: favicon } )
+		} );
+
+		if ( !conversionApi.safeInsert( linkCard, data.modelCursor ) ) {
+			return;
+		}
+
+		// The content of the link card is fully represented by the attributes of the model element.
+		conversionApi.consumable.consume( viewItem, { name: true, attributes: 'href', classes: 'link-card' } );
+		conversionApi.updateConversionResult( linkCard, data );
+	};
+}
+
+/**
+ * Creates the `<figure>` view element displaying the favicon, the title, and the description of the link card.
+ */
+function createLinkCardFigure( writer: DowncastWriter, modelElement: Element ) {
+	const href = modelElement.getAttribute( 'linkCardHref' ) as string;
+	const title = modelElement.getAttribute( 'linkCardTitle' ) as string | undefined;
+	const description = modelElement.getAttribute( 'linkCardDescription' ) as string | undefined;
+	const favicon = modelElement.getAttribute( 'linkCardFavicon' ) as string | undefined;
+	const captionChildren = [
+		writer.createContainerElement( 'span', { class: 'link-card__title' }, writer.createText( title || href ) )
+	];
+
+	if ( description ) {
+		captionChildren.push(
+			writer.createContainerElement( 'span', { class: 'link-card__description' }, writer.createText( description ) )
+		);
+	}
+
+	return writer.createContainerElement( 'figure', null, [
+		...( favicon ? [ writer.createEmptyElement( 'img', { class: 'link-card__favicon', src: favicon, alt: '' } ) ] : [] ),
+		writer.createContainerElement( 'figcaption', null, captionChildren )
+	] );
+}
+
+/**
+ * Returns the first descendant element of the view element matching the callback.
+ */
+function findDescendant( viewElement: ViewElement, callback: ( node: ViewElement ) => boolean ): ViewElement | null {
+	for ( const child of viewElement.getChildren() ) {
+		if ( !child.is( 'element' ) ) {
+			continue;
+		}
+
+		if ( callback( child ) ) {
+			return child;
+		}
+
+		const descendant = findDescendant( child, callback );
+
+		if ( descendant ) {
+			return descendant;
+		}
+	}
+
+	return null;
+}
+
+/**
+ * Returns the text content of the view node.
+ */
+function getViewText( viewNode: ViewNode ): string {
+	if ( viewNode.is( '$text' ) ) {
+		return viewNode.data;
+	}
+
+	if ( viewNode.is( 'element' ) ) {
+		return Array.from( viewNode.getChildren(), getViewText ).join( '' );
+	}
+
+	return '';
+}
@@ -185,6 +185,25 @@ export default class LinkUI extends Plugin {
 			cancel();
 		} );
 
+		// Allow inserting the link card when the link previews are enabled.
+		if ( editor.plugins.has( 'LinkPreviewEditing' ) ) {
+			const insertLinkCardCommand = editor.commands.get( 'insertLinkCard' )!;
+			const insertButtonView = actionsView.linkPreviewView.insertButtonView;
+
+			insertButtonView.isVisible = true;
+			insertButtonView.bind( 'isEnabled' ).to( insertLinkCardCommand );
+
+			this.listenTo( actionsView, 'insertCard', () => {
+				editor.execute( 'insertLinkCard', actionsView.href!, actionsView.linkPreview );
+				this._hideUI();
+			} );
+
+			// Update the balloon position when the preview is displayed.
+			this.listenTo( actionsView, 'change:linkPreview', () => {
+				editor.ui.update();
+			} );
+		}
+
 		return actionsView;
 	}
 
@@ -211,7 +230,17 @@ export default class LinkUI extends Plugin {
 			if ( formView.isValid() ) {
 				const { value } = formView.urlInputView.fieldView.element!;
 				const parsedUrl = addLinkProtocolIfApplicable( value, defaultProtocol );
-				editor.execute( 'link', parsedUrl, formView.getDecoratorSwitchesState() );
+				const anchor = formView.anchors.find( anchor => `#${ anchor.id }` == parsedUrl );
+
+				// Assigning the identifier to the linked heading and creating the link should be a single undo step.
+				editor.model.change( () => {
+					if ( anchor ) {
+						editor.plugins.get( 'BookmarkEditing' ).setHeadingId( anchor );
+					}
+
+					editor.execute( 'link', parsedUrl, formView.getDecoratorSwitchesState() );
+				} );
+
 				this._closeFormView();
 			}
 		} );
@@ -368,6 +397,30 @@ export default class LinkUI extends Plugin {
 			view: this.actionsView!,
 			position: this._getBalloonPositionData()
 		} );
+
+		this._updateLinkPreview();
+	}
+
+	/**
+	 * Requests the preview of the link displayed in the {@link #actionsView} when the link previews are enabled.
+	 * The preview is displayed if the link has not changed before the preview was provided.
+	 */
+	private _updateLinkPreview(): void {
+		const editor = this.editor;
+		const actionsView = this.actionsView!;
+		const href = actionsView.href;
+
+		actionsView.linkPreview = null;
+
+		if ( !href || !editor.plugins.has( 'LinkPreviewEditing' ) ) {
+			return;
+		}
+
+		editor.plugins.get( 'LinkPreviewEditing' ).getPreview( href ).then( preview => {
+			if ( editor.state != 'destroyed' && actionsView.href === href && this._areActionsInPanel ) {
+				actionsView.linkPreview = preview;
+			}
+		} );
 	}
 
 	/**
@@ -401,6 +454,11 @@ export default class LinkUI extends Plugin {
 		// https://github.com/ckeditor/ckeditor5-link/issues/123
 		this.formView!.urlInputView.fieldView.value = linkCommand.value || '';
 
+		// Suggest the headings and the bookmarks in the document as the targets of the link.
+		if ( editor.plugins.has( 'BookmarkEditing' ) ) {
+			this.formView!.setAnchors( editor.plugins.get( 'BookmarkEditing' ).getAnchors() );
+		}
+
 		// Select input when form view is currently visible.
 		if ( this._balloon.visibleView === this.formView ) {
 			this.formView!.urlInputView.fieldView.select();
@@ -0,0 +1,281 @@
+/**
+ * @license Copyright (c) 2003-2024, CKSource Holding sp. z o.o. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+
+/**
+ * @module link/ui/bookmarkformview
+ */
+
+import {
+	ButtonView,
+	FocusCycler,
+	LabeledFieldView,
+	View,
+	ViewCollection,
+	createLabeledInputText,
+	submitHandler,
+	type InputTextView,
+	type FocusableView
+} from 'ckeditor5/src/ui.js';
+import { FocusTracker, KeystrokeHandler, type Locale } from 'ckeditor5/src/utils.js';
+import { icons } from 'ckeditor5/src/core.js';
+
+// See: #8833.
+// eslint-disable-next-line ckeditor5-rules/ckeditor-imports
+import '@ckeditor/ckeditor5-ui/theme/components/responsive-form/responsiveform.css';
+import '../../theme/bookmarkform.css';
+
+/**
+ * The bookmark form view class. It allows setting the identifier of the bookmark.
+ */
+export default class BookmarkFormView extends View {
+	/**
+	 * Tracks information about DOM focus in the form.
+	 */
+	public readonly focusTracker = new FocusTracker();
+
+	/**
+	 * An instance of the {@link module:utils/keystrokehandler~KeystrokeHandler}.
+	 */
+	public readonly keystrokes = new KeystrokeHandler();
+
+	/**
+	 * The bookmark name input view.
+	 */
+	public idInputView: LabeledFieldView<InputTextView>;
+
+	/**
+	 * The Save button view.
+	 */
+	public saveButtonView: ButtonView;
+
+	/**
+	 * The Cancel button view.
+	 */
+	public cancelButtonView: ButtonView;
+
+	/**
+	 * A collection of child views in the form.
+	 */
+	public readonly children: ViewCollection;
+
+	/**
+	 * An array of form validators used by {@link #isValid}.
+	 */
+	private readonly _validators: Array<BookmarkFormValidatorCallback>;
+
+	/**
+	 * A collection of views that can be focused in the form.
+	 */
+	private readonly _focusables = new ViewCollection<FocusableView>();
+
+	/**
+	 * Helps cycling over {@link #_focusables} in the form.
+	 */
+	private readonly _focusCycler: FocusCycler;
+
+	/**
+	 * Creates an instance of the {@link module:link/ui/bookmarkformview~BookmarkFormView} class.
+	 *
+	 * @param locale The localization services instance.
+	 * @param validators Form validators used by {@link #isValid}.
+	 */
+	constructor( locale: Locale, validators: Array<BookmarkFormValidatorCallback> ) {
+		super( locale );
+
+		const t = locale.t;
+
+		this._validators = validators;
+		this.idInputView = this._createIdInput();
+		this.saveButtonView = this._createButton( t( 'Save' ), icons.check, 'ck-button-save' );
+		this.saveButtonView.type = 'submit';
+		this.cancelButtonView = this._createButton( t( 'Cancel' ), icons.cancel, 'ck-button-cancel', 'cancel' );
+
+		this.children = this.createCollection( [ this.idInputView, this.saveButtonView, this.cancelButtonView ] );
+
+		this._focusCycler = new FocusCycler( {
+			focusables: this._focusables,
+			focusTracker: this.focusTracker,
+			keystrokeHandler: this.keystrokes,
+			actions: {
+				// Navigate form fields backwards using the Shift + Tab keystroke.
+				focusPrevious: 'shift + tab',
+
+				// Navigate form fields forwards using the Tab key.
+				focusNext: 'tab'
+			}
+		} );
+
+		this.setTemplate( {
+			tag: 'form',
+
+			attributes: {
+				class: [ 'ck', 'ck-bookmark-form', 'ck-responsive-form' ],
+
+				// https://github.com/ckeditor/ckeditor5-link/issues/90
+				tabindex: '-1'
+			},
+
+			children: this.children
+		} );
+	}
+
+	/**
+	 * @inheritDoc
+	 */
+	public override render(): void {
+		super.render();
+
+		submitHandler( {
+			view: this
+		} );
+
+		for ( const view of this.children as Iterable<FocusableView> ) {
+			// Register the view as focusable.
+			this._focusables.add( view );
+
+			// Register the view in the focus tracker.
+			this.focusTracker.add( view.element! );
+		}
+
+		// Start listening for the keystrokes coming from #element.
+		this.keystrokes.listenTo( this.element! );
+	}
+
+	/**
+	 * @inheritDoc
+	 */
+	public override destroy(): void {
+		super.destroy();
+
+		this.focusTracker.destroy();
+		this.keystrokes.destroy();
+	}
+
+	/**
+	 * Focuses the fist {@link #_focusables} in the form.
+	 */
+	public focus(): void {
+		this._focusCycler.focusFirst();
+	}
+
+	/**
+	 * Validates the form and returns `false` when some fields are invalid.
+	 */
+	public isValid(): boolean {
+		this.resetFormStatus();
+
+		for ( const validator of this._validators ) {
+			const errorText = validator( this );
+
+			// One error per field is enough.
+			if ( errorText ) {
+				// Apply updated error.
+				this.idInputView.errorText = errorText;
+
+				return false;
+			}
+		}
+
+		return true;
+	}
+
+	/**
+	 * Cleans up the supplementary error and information text of the {@link #idInputView}
+	 * bringing them back to the state when the form has been displayed for the first time.
+	 *
+	 * See {@link #isValid}.
+	 */
+	public resetFormStatus(): void {
+		this.idInputView.errorText = null;
+	}
+
+	/**
+	 * The native DOM `value` of the {@link #idInputView} element.
+	 */
+	public get bookmarkId(): string | null {
+		const { element } = this.idInputView.fieldView;
+
+		if ( !element ) {
+			return null;
+		}
+
+		return element.value.trim();
+	}
+
+	/**
+	 * Creates a labeled input view.
+	 *
+	 * @returns Labeled field view instance.
+	 */
+	private _createIdInput(): LabeledFieldView<InputTextView> {
+		const t = this.locale!.t;
+		const labeledInput = new LabeledFieldView( this.locale, createLabeledInputText );
+
+		labeledInput.label = t( 'Bookmark name' );
+		labeledInput.infoText = t( 'Enter the bookmark name without spaces.' );
+
+		return labeledInput;
+	}
+
+	/**
+	 * Creates a button view.
+	 *
+	 * @param label The button label.
+	 * @param icon The button icon.
+	 * @param className The additional button CSS class name.
+	 * @param eventName An event name that the `ButtonView#execute` event will be delegated to.
+	 * @returns The button view instance.
+	 */
+	private _createButton( label: string, icon: string, className: string, eventName?: string ): ButtonView {
+		const button = new ButtonView( this.locale );
+
+		button.set( {
+			label,
+			icon,
+			tooltip: true
+		} );
+
+		button.extendTemplate( {
+			attributes: {
+				class: className
+			}
+		} );
+
+		if ( eventName ) {
+			button.delegate( 'execute' ).to( this, eventName );
+		}
+
+		return button;
+	}
+}
+
+/**
+ * Callback used by {@link ~BookmarkFormView} to check if passed form value is valid.
+ *
+ * 	* If `undefined` is returned, it is assumed that the form value is correct and there is no error.
+ * 	* If string is returned, it is assumed that the form value is incorrect and the returned string is displayed in the error label
+ */
+export type BookmarkFormValidatorCallback = ( form: BookmarkFormView ) => string | undefined;
+
+/**
+ * Fired when the form view is submitted (when one of the children triggered the submit event),
+ * for example with a click on {@link ~BookmarkFormView#saveButtonView}.
+ *
+ * @eventName ~BookmarkFormView#submit
+ */
+export type BookmarkFormSubmitEvent = {
+	name: 'submit';
+	args: [];
+};
+
+/**
+ * Fired when the form view is canceled, for example with a click on {@link ~BookmarkFormView#cancelButtonView}.
+ *
+ * @eventName ~BookmarkFormView#cancel
+ */
+export type BookmarkFormCancelEvent = {
+	name: 'cancel';
+	args: [];
+};
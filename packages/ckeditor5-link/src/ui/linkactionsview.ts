@@ -12,6 +12,7 @@ import { FocusTracker, KeystrokeHandler, type LocaleTranslate, type Locale } fro
 import { icons } from 'ckeditor5/src/core.js';
 
 import { ensureSafeUrl } from '../utils.js';
+import LinkPreviewView from './linkpreviewview.js';
 
 // See: #8833.
 // eslint-disable-next-line ckeditor5-rules/ckeditor-imports
@@ -19,7 +20,7 @@ import '@ckeditor/ckeditor5-ui/theme/components/responsive-form/responsiveform.c
 import '../../theme/linkactions.css';
 
 import unlinkIcon from '../../theme/icons/unlink.svg';
-import type { LinkConfig } from '../linkconfig.js';
+import type { LinkConfig, LinkPreviewData } from '../linkconfig.js';
 
 /**
  * The link actions view class. This view displays the link preview, allows
@@ -51,6 +52,11 @@ export default class LinkActionsView extends View {
 	 */
 	public editButtonView: ButtonView;
 
+	/**
+	 * The view displaying the {@link #linkPreview} of the link.
+	 */
+	public linkPreviewView: LinkPreviewView;
+
 	/**
 	 * The value of the "href" attribute of the link to use in the {@link #previewButtonView}.
 	 *
@@ -58,6 +64,13 @@ export default class LinkActionsView extends View {
 	 */
 	declare public href: string | undefined;
 
+	/**
+	 * The preview of the link displayed in the {@link #linkPreviewView} or `null` if the link has no preview.
+	 *
+	 * @observable
+	 */
+	declare public linkPreview: LinkPreviewData | null;
+
 	/**
 	 * A collection of views that can be focused in the view.
 	 */
@@ -83,8 +96,10 @@ export default class LinkActionsView extends View {
 		this.previewButtonView = this._createPreviewButton();
 		this.unlinkButtonView = this._createButton( t( 'Unlink' ), unlinkIcon, 'unlink' );
 		this.editButtonView = this._createButton( t( 'Edit link' ), icons.pencil, 'edit' );
+		this.linkPreviewView = this._createLinkPreview();
 
 		this.set( 'href', undefined );
+		this.set( 'linkPreview', null );
 
 		this._linkConfig = linkConfig;
 
@@ -118,7 +133,8 @@ export default class LinkActionsView extends View {
 			children: [
 				this.previewButtonView,
 				this.editButtonView,
-				this.unlinkButtonView
+				this.unlinkButtonView,
+				this.linkPreviewView
 			]
 		} );
 	}
@@ -143,6 +159,10 @@ export default class LinkActionsView extends View {
 			this.focusTracker.add( v.element! );
 		} );
 
+		this._updateLinkPreviewFocusables();
+		this.on( 'change:linkPreview', () => this._updateLinkPreviewFocusables() );
+		this.linkPreviewView.insertButtonView.on( 'change:isVisible', () => this._updateLinkPreviewFocusables() );
+
 		// Start listening for the keystrokes coming from #element.
 		this.keystrokes.listenTo( this.element! );
 	}
@@ -164,6 +184,36 @@ export default class LinkActionsView extends View {
 		this._focusCycler.focusFirst();
 	}
 
+	/**
+	 * Creates the link preview view.
+	 *
+	 * @returns The link preview view instance.
+	 */
+	private _createLinkPreview(): LinkPreviewView {
+		const view = new LinkPreviewView( this.locale! );
+
+		view.bind( 'href', 'preview' ).to( this, 'href', 'linkPreview' );
+		view.delegate( 'insertCard' ).to( this );
+
+		return view;
+	}
+
+	/**
+	 * Registers the "Insert link card" button of the {@link #linkPreviewView} as focusable only when it is displayed.
+	 */
+	private _updateLinkPreviewFocusables(): void {
+		const buttonView = this.linkPreviewView.insertButtonView;
+		const isDisplayed = !!this.linkPreview && buttonView.isVisible;
+
+		if ( isDisplayed && !this._focusables.has( buttonView ) ) {
+			this._focusables.add( buttonView );
+			this.focusTracker.add( buttonView.element! );
+		} else if ( !isDisplayed && this._focusables.has( buttonView ) ) {
+			this._focusables.remove( buttonView );
+			this.focusTracker.remove( buttonView.element! );
+		}
+	}
+
 	/**
 	 * Creates a button view.
 	 *
@@ -245,3 +295,13 @@ export type UnlinkEvent = {
 	name: 'unlink';
 	args: [];
 };
+
+/**
+ * Fired when the "Insert link card" button of the {@link ~LinkActionsView#linkPreviewView} is clicked.
+ *
+ * @eventName ~LinkActionsView#insertCard
+ */
+export type InsertCardEvent = {
+	name: 'insertCard';
+	args: [];
+};
@@ -0,0 +1,325 @@
+/**
+ * @license Copyright (c) 2003-2024, CKSource Holding sp. z o.o. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+
+/**
+ * @module link/ui/linkcheckerview
+ */
+
+import { ButtonView, View, ViewCollection, FocusCycler, type FocusableView } from 'ckeditor5/src/ui.js';
+import { FocusTracker, KeystrokeHandler, type Locale, type LocaleTranslate } from 'ckeditor5/src/utils.js';
+import { icons } from 'ckeditor5/src/core.js';
+
+import type { LinkCheckerIssueItem } from '../linkcheckerediting.js';
+
+import '../../theme/linkchecker.css';
+
+import unlinkIcon from '../../theme/icons/unlink.svg';
+
+/**
+ * The link checker view class. It displays the state of the link checker and the list of the links with issues.
+ */
+export default class LinkCheckerView extends View {
+	/**
+	 * Tracks information about DOM focus in the view.
+	 */
+	public readonly focusTracker = new FocusTracker();
+
+	/**
+	 * An instance of the {@link module:utils/keystrokehandler~KeystrokeHandler}.
+	 */
+	public readonly keystrokes = new KeystrokeHandler();
+
+	/**
+	 * The collection of the issue views.
+	 */
+	public readonly issueViews: ViewCollection<LinkCheckerIssueView>;
+
+	/**
+	 * The text describing the state of the link checker.
+	 *
+	 * @observable
+	 */
+	declare public statusText: string;
+
+	/**
+	 * A collection of views that can be focused in the view.
+	 */
+	private readonly _focusables = new ViewCollection<FocusableView>();
+
+	/**
+	 * Helps cycling over {@link #_focusables} in the view.
+	 */
+	private readonly _focusCycler: FocusCycler;
+
+	/**
+	 * @inheritDoc
+	 */
+	constructor( locale: Locale ) {
+		super( locale );
+
+		const bind = this.bindTemplate;
+
+		this.set( 'statusText', '' );
+
+		this.issueViews = this.createCollection();
+
+		this._focusCycler = new FocusCycler( {
+			focusables: this._focusables,
+			focusTracker: this.focusTracker,
+			keystrokeHandler: this.keystrokes,
+			actions: {
+				// Navigate fields backwards using the Shift + Tab keystroke.
+				focusPrevious: 'shift + tab',
+
+				// Navigate fields forwards using the Tab key.
+				focusNext: 'tab'
+			}
+		} );
+
+		this.issueViews.delegate( 'show', 'fix', 'remove' ).to( this );
+
+		this.setTemplate( {
+			tag: 'div',
+
+			attributes: {
+				class: [
+					'ck',
+					'ck-link-checker'
+				],
+				tabindex: '-1'
+			},
+
+			children: [
+				{
+					tag: 'p',
+					attributes: {
+						class: [ 'ck', 'ck-link-checker__status' ],
+						role: 'status'
+					},
+					children: [
+						{ text: bind.to( 'statusText' ) }
+					]
+				},
+				{
+					tag: 'ul',
+					attributes: {
+						class: [ 'ck', 'ck-link-checker__issues' ]
+					},
+					children: this.issueViews
+				}
+			]
+		} );
+	}
+
+	/**
+	 * @inheritDoc
+	 */
+	public override render(): void {
+		super.render();
+
+		for ( const issueView of this.issueViews ) {
+			this._addFocusables( issueView );
+		}
+
+		this.listenTo<{ name: 'add'; args: [ LinkCheckerIssueView ] }>( this.issueViews, 'add', ( evt, issueView ) => {
+			this._addFocusables( issueView );
+		} );
+
+		this.listenTo<{ name: 'remove'; args: [ LinkCheckerIssueView ] }>( this.issueViews, 'remove', ( evt, issueView ) => {
+			for ( const focusable of issueView.focusables ) {
+				this._focusables.remove( focusable );
+				this.focusTracker.remove( focusable.element! );
+			}
+		} );
+
+		// Start listening for the keystrokes coming from #element.
+		this.keystrokes.listenTo( this.element! );
+	}
+
+	/**
+	 * @inheritDoc
+	 */
+	public override destroy(): void {
+		super.destroy();
+
+		this.focusTracker.destroy();
+		this.keystrokes.destroy();
+	}
+
+	/**
+	 * Focuses the first issue in the view.
+	 *
+	 * @param direction The direction of the focus. `-1` focuses the last issue.
+	 */
+	public focus( direction?: 1 | -1 ): void {
+		if ( direction === -1 ) {
+			this._focusCycler.focusLast();
+		} else {
+			this._focusCycler.focusFirst();
+		}
+	}
+
+	/**
+	 * Registers the focusable views of the issue.
+	 */
+	private _addFocusables( issueView: LinkCheckerIssueView ): void {
+		const index = this.issueViews.getIndex( issueView );
+		const nextIssueView = this.issueViews.get( index + 1 );
+		const position = nextIssueView ? this._focusables.getIndex( nextIssueView.focusables[ 0 ] ) : this._focusables.length;
+
+		issueView.focusables.forEach( ( focusable, offset ) => {
+			this._focusables.add( focusable, position + offset );
+			this.focusTracker.add( focusable.element! );
+		} );
+	}
+}
+
+/**
+ * The view of a single link issue displayed in the {@link module:link/ui/linkcheckerview~LinkCheckerView}.
+ */
+export class LinkCheckerIssueView extends View {
+	/**
+	 * The issue displayed by the view.
+	 */
+	public readonly issue: LinkCheckerIssueItem;
+
+	/**
+	 * The button displaying the URL of the link. It selects the link in the content.
+	 */
+	public readonly showButtonView: ButtonView;
+
+	/**
+	 * The button replacing the URL of the link with the fixed URL. It is only created if the issue can be fixed this way.
+	 */
+	public readonly fixButtonView: ButtonView | null;
+
+	/**
+	 * The button removing the link.
+	 */
+	public readonly removeButtonView: ButtonView;
+
+	/**
+	 * @inheritDoc
+	 */
+	constructor( locale: Locale, issue: LinkCheckerIssueItem ) {
+		super( locale );
+
+		const t = locale.t;
+
+		this.issue = issue;
+
+		this.showButtonView = this._createButton( issue.url, null, 'show' );
+		this.showButtonView.set( {
+			withText: true,
+			tooltip: t( 'Show in the content' ),
+			class: 'ck-link-checker__issue-url'
+		} );
+
+		this.fixButtonView = issue.fixedUrl ? this._createButton( t( 'Fix link' ), icons.check, 'fix' ) : null;
+		this.removeButtonView = this._createButton( t( 'Unlink' ), unlinkIcon, 'remove' );
+
+		this.setTemplate( {
+			tag: 'li',
+
+			attributes: {
+				class: [
+					'ck',
+					'ck-link-checker__issue',
+					`ck-link-checker__issue_${ issue.type }`
+				]
+			},
+
+			children: [
+				this.showButtonView,
+				{
+					tag: 'span',
+					attributes: {
+						class: [ 'ck', 'ck-link-checker__issue-message' ]
+					},
+					children: [ getIssueMessage( t, issue ) ]
+				},
+				{
+					tag: 'div',
+					attributes: {
+						class: [ 'ck', 'ck-link-checker__issue-actions' ]
+					},
+					children: this.fixButtonView ? [ this.fixButtonView, this.removeButtonView ] : [ this.removeButtonView ]
+				}
+			]
+		} );
+	}
+
+	/**
+	 * The views that can be focused in the issue view.
+	 */
+	public get focusables(): Array<ButtonView> {
+		return this.fixButtonView ?
+			[ this.showButtonView, this.fixButtonView, this.removeButtonView ] :
+			[ this.showButtonView, this.removeButtonView ];
+	}
+
+	/**
+	 * Creates a button view firing the given event of the issue view when executed.
+	 *
+	 * @param label The button label.
+	 * @param icon The button icon.
+	 * @param eventName The name of the event fired with the identifier of the issue.
+	 */
+	private _createButton( label: string, icon: string | null, eventName: 'show' | 'fix' | 'remove' ): ButtonView {
+		const button = new ButtonView( this.locale );
+
+		button.set( {
+			label,
+			tooltip: true
+		} );
+
+		if ( icon ) {
+			button.icon = icon;
+		}
+
+		button.on( 'execute', () => {
+			this.fire<LinkCheckerIssueActionEvent>( eventName, this.issue.id );
+		} );
+
+		return button;
+	}
+}
+
+/**
+ * Returns the message describing the issue.
+ */
+function getIssueMessage( t: LocaleTranslate, issue: LinkCheckerIssueItem ): string {
+	if ( issue.message ) {
+		return issue.message;
+	}
+
+	switch ( issue.type ) {
+		case 'broken':
+			return t( 'The link target cannot be reached.' );
+		case 'insecure':
+			return t( 'The link does not use a secure connection.' );
+		case 'disallowed':
+			return t( 'The link points to a disallowed domain.' );
+		default:
+			return t( 'The link has an issue.' );
+	}
+}
+
+/**
+ * Fired when one of the buttons of the {@link ~LinkCheckerIssueView} is clicked:
+ *
+ * * `'show'` &ndash; When the URL of the link is clicked.
+ * * `'fix'` &ndash; When the fix button is clicked.
+ * * `'remove'` &ndash; When the unlink button is clicked.
+ *
+ * The event is delegated to the {@link ~LinkCheckerView}.
+ *
+ * @eventName ~LinkCheckerIssueView#show
+ * @param issueId The identifier of the issue.
+ */
+export type LinkCheckerIssueActionEvent = {
+	name: 'show' | 'fix' | 'remove';
+	args: [ issueId: string ];
+};
@@ -11,6 +11,8 @@ import {
 	ButtonView,
 	FocusCycler,
 	LabeledFieldView,
+	ListItemView,
+	ListView,
 	SwitchButtonView,
 	View,
 	ViewCollection,
@@ -28,6 +30,7 @@ import {
 import { icons } from 'ckeditor5/src/core.js';
 
 import type LinkCommand from '../linkcommand.js';
+import type { LinkAnchor } from '../bookmarkediting.js';
 import type ManualDecorator from '../utils/manualdecorator.js';
 
 // See: #8833.
@@ -56,6 +59,22 @@ export default class LinkFormView extends View {
 	 */
 	public urlInputView: LabeledFieldView<InputTextView>;
 
+	/**
+	 * The list of the anchors in the document (the headings and the bookmarks) the link can point to.
+	 * It is displayed below the {@link #urlInputView} when the URL is empty or starts with `#`
+	 * and at least one anchor matches the URL.
+	 *
+	 * See {@link #setAnchors}.
+	 */
+	public readonly anchorsView: ListView;
+
+	/**
+	 * The anchors the link can point to.
+	 *
+	 * See {@link #setAnchors}.
+	 */
+	public anchors: Array<LinkAnchor> = [];
+
 	/**
 	 * The Save button view.
 	 */
@@ -109,6 +128,7 @@ export default class LinkFormView extends View {
 
 		this._validators = validators;
 		this.urlInputView = this._createUrlInput();
+		this.anchorsView = this._createAnchorsView();
 		this.saveButtonView = this._createButton( t( 'Save' ), icons.check, 'ck-button-save' );
 		this.saveButtonView.type = 'submit';
 		this.cancelButtonView = this._createButton( t( 'Cancel' ), icons.cancel, 'ck-button-cancel', 'cancel' );
@@ -176,6 +196,7 @@ export default class LinkFormView extends View {
 
 		const childViews = [
 			this.urlInputView,
+			...( this.children.has( this.anchorsView ) ? [ this.anchorsView ] : [] ),
 			...this._manualDecoratorSwitches,
 			this.saveButtonView,
 			this.cancelButtonView
@@ -199,6 +220,11 @@ export default class LinkFormView extends View {
 	public override destroy(): void {
 		super.destroy();
 
+		// The anchors list is destroyed together with the form only when it is displayed.
+		if ( !this.children.has( this.anchorsView ) ) {
+			this.anchorsView.destroy();
+		}
+
 		this.focusTracker.destroy();
 		this.keystrokes.destroy();
 	}
@@ -210,6 +236,14 @@ export default class LinkFormView extends View {
 		this._focusCycler.focusFirst();
 	}
 
+	/**
+	 * Sets the anchors in the document the link can point to. The matching anchors are displayed in the {@link #anchorsView}.
+	 */
+	public setAnchors( anchors: Array<LinkAnchor> ): void {
+		this.anchors = anchors;
+		this._updateAnchorsView();
+	}
+
 	/**
 	 * Validates the form and returns `false` when some fields are invalid.
 	 */
@@ -253,9 +287,101 @@ export default class LinkFormView extends View {
 		labeledInput.fieldView.inputMode = 'url';
 		labeledInput.label = t( 'Link URL' );
 
+		// The native value changes when the user types, the observable value changes when it is set by the feature.
+		labeledInput.fieldView.on( 'input', () => this._updateAnchorsView() );
+		labeledInput.fieldView.on( 'change:value', () => this._updateAnchorsView() );
+
 		return labeledInput;
 	}
 
+	/**
+	 * Creates the list view displaying the anchors matching the URL.
+	 */
+	private _createAnchorsView(): ListView {
+		const t = this.locale!.t;
+		const listView = new ListView( this.locale );
+
+		listView.ariaLabel = t( 'Headings and bookmarks' );
+
+		listView.extendTemplate( {
+			attributes: {
+				class: 'ck-link-form__anchors'
+			}
+		} );
+
+		return listView;
+	}
+
+	/**
+	 * Displays the anchors matching the URL in the {@link #anchorsView}. The anchors are matched by the identifier
+	 * and by the label when the URL is empty or starts with `#`. The list is added to the form right after
+	 * the {@link #urlInputView} only when some anchors match.
+	 */
+	private _updateAnchorsView(): void {
+		const { element } = this.urlInputView.fieldView;
+		const url = ( element ? element.value : this.urlInputView.fieldView.value || '' ).trim();
+		let matchingAnchors: Array<LinkAnchor> = [];
+
+		if ( !url || url.startsWith( '#' ) ) {
+			const query = url.slice( 1 ).toLowerCase();
+
+			matchingAnchors = this.anchors.filter( anchor => {
+				return anchor.id.toLowerCase().includes( query ) || anchor.label.toLowerCase().includes( query );
+			} );
+		}
+
+		for ( const itemView of this.anchorsView.items ) {
+			itemView.destroy();
+		}
+
+		this.anchorsView.items.clear();
+		this.anchorsView.items.addMany( matchingAnchors.map( anchor => this._createAnchorItem( anchor ) ) );
+
+		const isInForm = this.children.has( this.anchorsView );
+
+		if ( matchingAnchors.length && !isInForm ) {
+			this.children.add( this.anchorsView, 1 );
+
+			if ( this.isRendered ) {
+				this._focusables.add( this.anchorsView, 1 );
+				this.focusTracker.add( this.anchorsView.element! );
+			}
+		} else if ( !matchingAnchors.length && isInForm ) {
+			this.children.remove( this.anchorsView );
+
+			if ( this.isRendered ) {
+				this._focusables.remove( this.anchorsView );
+				this.focusTracker.remove( this.anchorsView.element! );
+			}
+		}
+	}
+
+	/**
+	 * Creates the list item of the {@link #anchorsView}. Clicking it fills the URL with the link to the anchor.
+	 */
+	private _createAnchorItem( anchor: LinkAnchor ): ListItemView {
+		const itemView = new ListItemView( this.locale );
+		const buttonView = new ButtonView( this.locale );
+
+		buttonView.set( {
+			label: anchor.label,
+			tooltip: `#${ anchor.id }`,
+			withText: true,
+			class: `ck-link-form__anchor ck-link-form__anchor_${ anchor.type }`
+		} );
+
+		buttonView.on( 'execute', () => {
+			const fieldView = this.urlInputView.fieldView;
+
+			fieldView.value = fieldView.element!.value = `#${ anchor.id }`;
+			fieldView.focus();
+		} );
+
+		itemView.children.add( buttonView );
+
+		return itemView;
+	}
+
 	/**
 	 * Creates a button view.
 	 *
@@ -0,0 +1,163 @@
+/**
+ * @license Copyright (c) 2003-2024, CKSource Holding sp. z o.o. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+
+/**
+ * @module link/ui/linkpreviewview
+ */
+
+import { ButtonView, View } from 'ckeditor5/src/ui.js';
+import type { Locale } from 'ckeditor5/src/utils.js';
+
+import type { LinkPreviewData } from '../linkconfig.js';
+
+import '../../theme/linkpreview.css';
+
+/**
+ * The link preview view class. It displays the title, the description, and the favicon of the link
+ * {@link module:link/linkconfig~LinkPreviewConfig#provider provided} for the link in the link actions balloon.
+ * It also allows inserting the link card based on the preview.
+ */
+export default class LinkPreviewView extends View {
+	/**
+	 * The "Insert link card" button view. It is hidden by default.
+	 */
+	public insertButtonView: ButtonView;
+
+	/**
+	 * The preview of the link or `null` if there is no preview to display.
+	 *
+	 * @observable
+	 */
+	declare public preview: LinkPreviewData | null;
+
+	/**
+	 * The URL of the link. It is displayed when the preview has no title.
+	 *
+	 * @observable
+	 */
+	declare public href: string | undefined;
+
+	/**
+	 * The title displayed in the preview: the title of the link or its URL if the preview has no title.
+	 *
+	 * @observable
+	 * @readonly
+	 */
+	declare public title: string;
+
+	/**
+	 * @inheritDoc
+	 */
+	constructor( locale: Locale ) {
+		super( locale );
+
+		const bind = this.bindTemplate;
+
+		this.set( 'preview', null );
+		this.set( 'href', undefined );
+		this.bind( 'title' ).to( this, 'preview', this, 'href', ( preview, href ) => preview && preview.title || href || '' );
+
+		this.insertButtonView = this._createInsertButton();
+
+		this.setTemplate( {
+			tag: 'div',
+
+			attributes: {
+				class: [
+					'ck',
+					'ck-link-preview',
+					bind.if( 'preview', 'ck-hidden', preview => !preview )
+				]
+			},
+
+			children: [
+				{
+					tag: 'img',
+
+					attributes: {
+						class: [
+							'ck',
+							'ck-link-preview__favicon',
+							bind.if( 'preview', 'ck-hidden', preview => !preview || !preview.favicon )
+						],
+						src: bind.to( 'preview', preview => preview && preview.favicon ),
+						alt: ''
+					}
+				},
+				{
+					tag: 'div',
+
+					attributes: {
+						class: [ 'ck', 'ck-link-preview__content' ]
+					},
+
+					children: [
+						{
+							tag: 'span',
+
+							attributes: {
+								class: [ 'ck', 'ck-link-preview__title' ]
+							},
+
+							children: [
+								{ text: bind.to( 'title' ) }
+							]
+						},
+						{
+							tag: 'span',
+
+							attributes: {
+								class: [
+									'ck',
+									'ck-link-preview__description',
+									bind.if( 'preview', 'ck-hidden', preview => !preview || !preview.description )
+								]
+							},
+
+							children: [
+								{ text: bind.to( 'preview', preview => preview && preview.description || '' ) }
+							]
+						}
+					]
+				},
+				this.insertButtonView
+			]
+		} );
+	}
+
+	/**
+	 * Creates the "Insert link card" button.
+	 */
+	private _createInsertButton(): ButtonView {
+		const t = this.locale!.t;
+		const button = new ButtonView( this.locale );
+
+		button.set( {
+			label: t( 'Insert link card' ),
+			withText: true,
+			isVisible: false
+		} );
+
+		button.extendTemplate( {
+			attributes: {
+				class: 'ck-link-preview__insert'
+			}
+		} );
+
+		button.delegate( 'execute' ).to( this, 'insertCard' );
+
+		return button;
+	}
+}
+
+/**
+ * Fired when the {@link ~LinkPreviewView#insertButtonView} is clicked.
+ *
+ * @eventName ~LinkPreviewView#insertCard
+ */
+export type LinkPreviewInsertCardEvent = {
+	name: 'insertCard';
+	args: [];
+};
@@ -0,0 +1,18 @@
+/**
+ * @license Copyright (c) 2003-2024, CKSource Holding sp. z o.o. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+
+import Bookmark from '../src/bookmark.js';
+import BookmarkEditing from '../src/bookmarkediting.js';
+import BookmarkUI from '../src/bookmarkui.js';
+
+describe( 'Bookmark', () => {
+	it( 'should require BookmarkEditing and BookmarkUI', () => {
+		expect( Bookmark.requires ).to.deep.equal( [ BookmarkEditing, BookmarkUI ] );
+	} );
+
+	it( 'should be named', () => {
+		expect( Bookmark.pluginName ).to.equal( 'Bookmark' );
+	} );
+} );
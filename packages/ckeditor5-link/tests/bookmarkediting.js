@@ -0,0 +1,392 @@
+/**
+ * @license Copyright (c) 2003-2024, CKSource Holding sp. z o.o. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+
+import VirtualTestEditor from '@ckeditor/ckeditor5-core/tests/_utils/virtualtesteditor.js';
+import Paragraph from '@ckeditor/ckeditor5-paragraph/src/paragraph.js';
+import HeadingEditing from '@ckeditor/ckeditor5-heading/src/headingediting.js';
+import Widget from '@ckeditor/ckeditor5-widget/src/widget.js';
+import { getLabel } from '@ckeditor/ckeditor5-widget/src/utils.js';
+import { getData as getModelData, setData as setModelData } from '@ckeditor/ckeditor5-engine/src/dev-utils/model.js';
+import { getData as getViewData } from '@ckeditor/ckeditor5-engine/src/dev-utils/view.js';
+import testUtils from '@ckeditor/ckeditor5-core/tests/_utils/utils.js';
+
+import LinkEditing from '../src/linkediting.js';
+import BookmarkEditing from '../src/bookmarkediting.js';
+import InsertBookmarkCommand from '../src/insertbookmarkcommand.js';
+
+describe( 'BookmarkEditing', () => {
+	let editor, model, plugin;
+
+	testUtils.createSinonSandbox();
+
+	beforeEach( async () => {
+		editor = await VirtualTestEditor.create( {
+			plugins: [ Paragraph, HeadingEditing, LinkEditing, BookmarkEditing ]
+		} );
+
+		model = editor.model;
+		plugin = editor.plugins.get( BookmarkEditing );
+	} );
+
+	afterEach( async () => {
+		await editor.destroy();
+	} );
+
+	it( 'should be named', () => {
+		expect( BookmarkEditing.pluginName ).to.equal( 'BookmarkEditing' );
+	} );
+
+	it( 'should require Widget', () => {
+		expect( BookmarkEditing.requires ).to.deep.equal( [ Widget ] );
+	} );
+
+	it( 'should register the insertBookmark command', () => {
+		expect( editor.commands.get( 'insertBookmark' ) ).to.be.instanceOf( InsertBookmarkCommand );
+	} );
+
+	describe( 'schema', () => {
+		it( 'should register the bookmark element as an inline object', () => {
+			expect( model.schema.checkChild( [ '$root', 'paragraph' ], 'bookmark' ) ).to.be.true;
+			expect( model.schema.checkChild( [ '$root' ], 'bookmark' ) ).to.be.false;
+			expect( model.schema.checkAttribute( [ '$root', 'paragraph', 'bookmark' ], 'bookmarkId' ) ).to.be.true;
+			expect( model.schema.isInline( 'bookmark' ) ).to.be.true;
+			expect( model.schema.isObject( 'bookmark' ) ).to.be.true;
+		} );
+
+		it( 'should allow the headingId attribute on the headings', () => {
+			expect( model.schema.checkAttribute( [ '$root', 'heading1' ], 'headingId' ) ).to.be.true;
+			expect( model.schema.checkAttribute( [ '$root', 'heading3' ], 'headingId' ) ).to.be.true;
+			expect( model.schema.checkAttribute( [ '$root', 'paragraph' ], 'headingId' ) ).to.be.false;
+		} );
+
+		it( 'should not allow the headingId attribute if the headings are not loaded', async () => {
+			const editor = await VirtualTestEditor.create( {
+				plugins: [ Paragraph, LinkEditing, BookmarkEditing ]
+			} );
+
+			expect( editor.model.schema.checkAttribute( [ '$root', 'paragraph' ], 'headingId' ) ).to.be.false;
+
+			await editor.destroy();
+		} );
+	} );
+
+	describe( 'conversion', () => {
+		describe( 'upcast', () => {
+			it( 'should convert an empty anchor with the id attribute to a bookmark', () => {
+				editor.setData( '<p>foo<a id="intro"></a>bar</p>' );
+
+				expect( getModelData( model, { withoutSelection: true } ) ).to.equal(
+					'<paragraph>foo<bookmark bookmarkId="intro"></bookmark>bar</paragraph>'
+				);
+			} );
+
+			it( 'should convert an empty anchor with the name attribute to a bookmark', () => {
+				editor.setData( '<p>foo<a name="intro"></a>bar</p>' );
+
+				expect( getModelData( model, { withoutSelection: true } ) ).to.equal(
+					'<paragraph>foo<bookmark bookmarkId="intro"></bookmark>bar</paragraph>'
+				);
+			} );
+
+			it( 'should convert the content of the anchor after the bookmark', () => {
+				editor.setData( '<p>foo<a id="intro">bar</a>baz</p>' );
+
+				expect( getModelData( model, { withoutSelection: true } ) ).to.equal(
+					'<paragraph>foo<bookmark bookmarkId="intro"></bookmark>barbaz</paragraph>'
+				);
+			} );
+
+			it( 'should wrap the bookmark in a paragraph if needed', () => {
+				editor.setData( '<a id="intro"></a>' );
+
+				expect( getModelData( model, { withoutSelection: true } ) ).to.equal(
+					'<paragraph><bookmark bookmarkId="intro"></bookmark></paragraph>'
+				);
+			} );
+
+			it( 'should not convert an anchor with the href attribute', () => {
+				editor.setData( '<p><a id="intro" href="https://ckeditor.com">foo</a></p>' );
+
+				expect( getModelData( model, { withoutSelection: true } ) ).to.equal(
+					'<paragraph><$text linkHref="https://ckeditor.com">foo</$text></paragraph>'
+				);
+			} );
+
+			it( 'should not convert an anchor without an id', () => {
+				editor.setData( '<p><a>foo</a></p>' );
+
+				expect( getModelData( model, { withoutSelection: true } ) ).to.equal( '<paragraph>foo</paragraph>' );
+			} );
+
+			it( 'should convert the id of the heading', () => {
+				editor.setData( '<h2 id="intro">Introduction</h2><p id="foo">bar</p>' );
+
+				expect( getModelData( model, { withoutSelection: true } ) ).to.equal(
+					'<heading1 headingId="intro">Introduction</heading1><paragraph>bar</paragraph>'
+				);
+			} );
+		} );
+
+		describe( 'data downcast', () => {
+			it( 'should convert a bookmark to an empty anchor', () => {
+				setModelData( model, '<paragraph>foo<bookmark bookmarkId="intro"></bookmark>bar</paragraph>' );
+
+				expect( editor.getData() ).to.equal( '<p>foo<a id="intro"></a>bar</p>' );
+			} );
+
+			it( 'should convert the id of the heading', () => {
+				setModelData( model, '<heading1 headingId="intro">Introduction</heading1>' );
+
+				expect( editor.getData() ).to.equal( '<h2 id="intro">Introduction</h2>' );
+			} );
+		} );
+
+		describe( 'editing downcast', () => {
+			it( 'should convert a bookmark to a widget', () => {
+				setModelData( model, '<paragraph>foo<bookmark bookmarkId="intro"></bookmark>bar</paragraph>' );
+
+				expect( getViewData( editor.editing.view, { withoutSelection: true } ) ).to.equal(
+					'<p>foo<a class="ck-bookmark ck-widget" contenteditable="false" id="intro">' +
+						'<span class="ck-bookmark__icon"></span>' +
+					'</a>bar</p>'
+				);
+			} );
+
+			it( 'should set the label of the widget', () => {
+				setModelData( model, '<paragraph>foo<bookmark bookmarkId="intro"></bookmark>bar</paragraph>' );
+
+				const viewElement = editor.editing.view.document.getRoot().getChild( 0 ).getChild( 1 );
+
+				expect( getLabel( viewElement ) ).to.equal( 'Bookmark: intro' );
+			} );
+
+			it( 'should update the widget when the bookmark id changes', () => {
+				setModelData( model, '<paragraph>foo<bookmark bookmarkId="intro"></bookmark>bar</paragraph>' );
+
+				model.change( writer => {
+					writer.setAttribute( 'bookmarkId', 'summary', model.document.getRoot().getChild( 0 ).getChild( 1 ) );
+				} );
+
+				expect( getViewData( editor.editing.view, { withoutSelection: true } ) ).to.equal(
+					'<p>foo<a class="ck-bookmark ck-widget" contenteditable="false" id="summary">' +
+						'<span class="ck-bookmark__icon"></span>' +
+					'</a>bar</p>'
+				);
+			} );
+
+			it( 'should convert the id of the heading', () => {
+				setModelData( model, '<heading1 headingId="intro">Introduction</heading1>' );
+
+				expect( getViewData( editor.editing.view, { withoutSelection: true } ) ).to.equal(
+					'<h2 id="intro">Introduction</h2>'
+				);
+			} );
+		} );
+	} );
+
+	describe( 'post-fixer', () => {
+		it( 'should add a suffix to the duplicated bookmark ids', () => {
+			setModelData( model,
+				'<paragraph><bookmark bookmarkId="intro"></bookmark><bookmark bookmarkId="intro"></bookmark></paragraph>' +
+				'<paragraph><bookmark bookmarkId="intro"></bookmark><bookmark bookmarkId="intro-2"></bookmark></paragraph>'
+			);
+
+			expect( getModelData( model, { withoutSelection: true } ) ).to.equal(
+				'<paragraph><bookmark bookmarkId="intro"></bookmark><bookmark bookmarkId="intro-2"></bookmark></paragraph>' +
+				'<paragraph><bookmark bookmarkId="intro-3"></bookmark><bookmark bookmarkId="intro-2-2"></bookmark></paragraph>'
+			);
+		} );
+
+		it( 'should keep the id of the existing bookmark when its copy is inserted before it', () => {
+			setModelData( model, '<paragraph>[]</paragraph><paragraph><bookmark bookmarkId="intro"></bookmark></paragraph>' );
+
+			model.change( writer => {
+				writer.insertElement( 'bookmark', { bookmarkId: 'intro' }, model.document.selection.getFirstPosition() );
+			} );
+
+			expect( getModelData( model, { withoutSelection: true } ) ).to.equal(
+				'<paragraph><bookmark bookmarkId="intro-2"></bookmark></paragraph>' +
+				'<paragraph><bookmark bookmarkId="intro"></bookmark></paragraph>'
+			);
+		} );
+
+		it( 'should keep the id of the existing heading when its copy is inserted before it', () => {
+			setModelData( model, '<paragraph>[]</paragraph><heading1 headingId="intro">Introduction</heading1>' );
+
+			model.change( writer => {
+				const heading = writer.createElement( 'heading1', { headingId: 'intro' } );
+
+				writer.insertText( 'Introduction', heading );
+				writer.insert( heading, model.document.getRoot(), 0 );
+			} );
+
+			expect( getModelData( model, { withoutSelection: true } ) ).to.equal(
+				'<heading1>Introduction</heading1><paragraph></paragraph><heading1 headingId="intro">Introduction</heading1>'
+			);
+		} );
+
+		it( 'should remove the duplicated heading id', () => {
+			setModelData( model, '<heading1 headingId="intro">Intro[]duction</heading1>' );
+
+			model.change( writer => {
+				writer.split( model.document.selection.getFirstPosition() );
+			} );
+
+			expect( getModelData( model, { withoutSelection: true } ) ).to.equal(
+				'<heading1 headingId="intro">Intro</heading1><heading1>duction</heading1>'
+			);
+		} );
+
+		it( 'should rename the bookmark using the id of a heading', () => {
+			setModelData( model,
+				'<heading1 headingId="intro">Introduction</heading1>' +
+				'<paragraph><bookmark bookmarkId="intro"></bookmark></paragraph>'
+			);
+
+			expect( getModelData( model, { withoutSelection: true } ) ).to.equal(
+				'<heading1 headingId="intro">Introduction</heading1>' +
+				'<paragraph><bookmark bookmarkId="intro-2"></bookmark></paragraph>'
+			);
+		} );
+
+		it( 'should remove the id of the element that is no longer a heading', () => {
+			setModelData( model, '<heading1 headingId="intro">Introduction</heading1>' );
+
+			model.change( writer => {
+				writer.rename( model.document.getRoot().getChild( 0 ), 'paragraph' );
+			} );
+
+			expect( getModelData( model, { withoutSelection: true } ) ).to.equal( '<paragraph>Introduction</paragraph>' );
+		} );
+
+		it( 'should keep the id of the heading when the heading is renamed to a different heading', () => {
+			setModelData( model, '<heading1 headingId="intro">Introduction</heading1>' );
+
+			editor.execute( 'heading', { value: 'heading2' } );
+
+			expect( getModelData( model, { withoutSelection: true } ) ).to.equal(
+				'<heading2 headingId="intro">Introduction</heading2>'
+			);
+		} );
+
+		it( 'should keep the id of the heading when its text changes', () => {
+			setModelData( model, '<heading1 headingId="intro">Introduction[]</heading1>' );
+
+			model.change( writer => {
+				writer.insertText( ' to the policy', model.document.selection.getFirstPosition() );
+			} );
+
+			expect( getModelData( model, { withoutSelection: true } ) ).to.equal(
+				'<heading1 headingId="intro">Introduction to the policy</heading1>'
+			);
+		} );
+	} );
+
+	describe( 'getAnchors()', () => {
+		it( 'should return the headings and the bookmarks in the document order', () => {
+			setModelData( model,
+				'<heading1 headingId="intro">Introduction</heading1>' +
+				'<paragraph>foo<bookmark bookmarkId="refunds"></bookmark></paragraph>' +
+				'<heading2 headingId="contact">Contact us</heading2>'
+			);
+
+			const root = model.document.getRoot();
+
+			expect( plugin.getAnchors() ).to.deep.equal( [
+				{ id: 'intro', label: 'Introduction', type: 'heading', element: root.getChild( 0 ) },
+				{ id: 'refunds', label: 'refunds', type: 'bookmark', element: root.getChild( 1 ).getChild( 1 ) },
+				{ id: 'contact', label: 'Contact us', type: 'heading', element: root.getChild( 2 ) }
+			] );
+		} );
+
+		it( 'should propose unique ids for the headings without ids', () => {
+			setModelData( model,
+				'<heading1>Terms &amp; conditions!</heading1>' +
+				'<heading1 headingId="introduction">Summary</heading1>' +
+				'<heading2>  Introduction </heading2>' +
+				'<heading2>Introduction</heading2>' +
+				'<heading2>!!!</heading2>'
+			);
+
+			expect( plugin.getAnchors().map( ( { id, label } ) => ( { id, label } ) ) ).to.deep.equal( [
+				{ id: 'terms-conditions', label: 'Terms & conditions!' },
+				{ id: 'introduction', label: 'Summary' },
+				{ id: 'introduction-2', label: 'Introduction' },
+				{ id: 'introduction-3', label: 'Introduction' },
+				{ id: 'heading', label: '!!!' }
+			] );
+		} );
+
+		it( 'should not assign the proposed ids', () => {
+			setModelData( model, '<heading1>Introduction</heading1>' );
+
+			plugin.getAnchors();
+
+			expect( getModelData( model, { withoutSelection: true } ) ).to.equal( '<heading1>Introduction</heading1>' );
+		} );
+
+		it( 'should skip the empty headings', () => {
+			setModelData( model, '<heading1> </heading1><heading1></heading1>' );
+
+			expect( plugin.getAnchors() ).to.deep.equal( [] );
+		} );
+
+		it( 'should use the text of the heading as the label', () => {
+			setModelData( model,
+				'<heading1>Intro<$text linkHref="https://ckeditor.com">duction</$text></heading1>'
+			);
+
+			expect( plugin.getAnchors()[ 0 ] ).to.include( { id: 'introduction', label: 'Introduction' } );
+		} );
+	} );
+
+	describe( 'setHeadingId()', () => {
+		it( 'should assign the proposed id to the heading', () => {
+			setModelData( model, '<heading1>Introduction</heading1>' );
+
+			plugin.setHeadingId( plugin.getAnchors()[ 0 ] );
+
+			expect( getModelData( model, { withoutSelection: true } ) ).to.equal(
+				'<heading1 headingId="introduction">Introduction</heading1>'
+			);
+		} );
+
+		it( 'should not change the id of the heading', () => {
+			setModelData( model, '<heading1 headingId="intro">Introduction</heading1>' );
+
+			const spy = sinon.spy( model, 'change' );
+
+			plugin.setHeadingId( { ...plugin.getAnchors()[ 0 ], id: 'other' } );
+
+			sinon.assert.notCalled( spy );
+		} );
+
+		it( 'should do nothing for the bookmarks', () => {
+			setModelData( model, '<paragraph><bookmark bookmarkId="intro"></bookmark></paragraph>' );
+
+			const spy = sinon.spy( model, 'change' );
+
+			plugin.setHeadingId( plugin.getAnchors()[ 0 ] );
+
+			sinon.assert.notCalled( spy );
+		} );
+
+		it( 'should do nothing if the heading was removed', () => {
+			setModelData( model, '<heading1>Introduction</heading1><paragraph>foo</paragraph>' );
+
+			const [ anchor ] = plugin.getAnchors();
+
+			model.change( writer => {
+				writer.remove( anchor.element );
+			} );
+
+			const spy = sinon.spy( model, 'change' );
+
+			plugin.setHeadingId( anchor );
+
+			sinon.assert.notCalled( spy );
+		} );
+	} );
+} );
@@ -0,0 +1,246 @@
+/**
+ * @license Copyright (c) 2003-2024, CKSource Holding sp. z o.o. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+
+/* globals document, Event */
+
+import ClassicTestEditor from '@ckeditor/ckeditor5-core/tests/_utils/classictesteditor.js';
+
+import testUtils from '@ckeditor/ckeditor5-core/tests/_utils/utils.js';
+import { keyCodes } from '@ckeditor/ckeditor5-utils/src/keyboard.js';
+import { getData as getModelData, setData as setModelData } from '@ckeditor/ckeditor5-engine/src/dev-utils/model.js';
+import Paragraph from '@ckeditor/ckeditor5-paragraph/src/paragraph.js';
+import ContextualBalloon from '@ckeditor/ckeditor5-ui/src/panel/balloon/contextualballoon.js';
+import ButtonView from '@ckeditor/ckeditor5-ui/src/button/buttonview.js';
+import { MenuBarMenuListItemButtonView } from '@ckeditor/ckeditor5-ui';
+
+import BookmarkEditing from '../src/bookmarkediting.js';
+import BookmarkUI from '../src/bookmarkui.js';
+import BookmarkFormView from '../src/ui/bookmarkformview.js';
+
+import bookmarkIcon from '../theme/icons/bookmark.svg';
+
+describe( 'BookmarkUI', () => {
+	let editor, model, bookmarkUIFeature, balloon, command, button, editorElement;
+
+	testUtils.createSinonSandbox();
+
+	beforeEach( async () => {
+		editorElement = document.createElement( 'div' );
+		document.body.appendChild( editorElement );
+
+		editor = await ClassicTestEditor.create( editorElement, {
+			plugins: [ BookmarkEditing, BookmarkUI, Paragraph ]
+		} );
+
+		model = editor.model;
+		bookmarkUIFeature = editor.plugins.get( BookmarkUI );
+		balloon = editor.plugins.get( ContextualBalloon );
+		command = editor.commands.get( 'insertBookmark' );
+
+		// There is no point to execute BalloonPanelView attachTo and pin methods so lets override it.
+		testUtils.sinon.stub( balloon.view, 'attachTo' ).returns( {} );
+		testUtils.sinon.stub( balloon.view, 'pin' ).returns( {} );
+	} );
+
+	afterEach( async () => {
+		editorElement.remove();
+
+		await editor.destroy();
+	} );
+
+	it( 'should be named', () => {
+		expect( BookmarkUI.pluginName ).to.equal( 'BookmarkUI' );
+	} );
+
+	it( 'should require BookmarkEditing and ContextualBalloon', () => {
+		expect( BookmarkUI.requires ).to.deep.equal( [ BookmarkEditing, ContextualBalloon ] );
+	} );
+
+	it( 'should not create the form view until the form is shown', () => {
+		expect( bookmarkUIFeature.formView ).to.be.null;
+	} );
+
+	describe( 'the "bookmark" toolbar button', () => {
+		beforeEach( () => {
+			button = editor.ui.componentFactory.create( 'bookmark' );
+		} );
+
+		testButton( ButtonView );
+
+		it( 'should have a tooltip', () => {
+			expect( button.tooltip ).to.be.true;
+		} );
+
+		it( 'should be toggled on when a bookmark is selected', () => {
+			expect( button.isToggleable ).to.be.true;
+
+			setModelData( model, '<paragraph>foo[<bookmark bookmarkId="intro"></bookmark>]</paragraph>' );
+			expect( button.isOn ).to.be.true;
+
+			setModelData( model, '<paragraph>foo[]</paragraph>' );
+			expect( button.isOn ).to.be.false;
+		} );
+	} );
+
+	describe( 'the "menuBar:bookmark" menu bar button', () => {
+		beforeEach( () => {
+			button = editor.ui.componentFactory.create( 'menuBar:bookmark' );
+		} );
+
+		testButton( MenuBarMenuListItemButtonView );
+	} );
+
+	describe( 'the form', () => {
+		let formView;
+
+		beforeEach( () => {
+			setModelData( model, '<paragraph>foo[]bar</paragraph>' );
+
+			editor.ui.componentFactory.create( 'bookmark' ).fire( 'execute' );
+
+			formView = bookmarkUIFeature.formView;
+		} );
+
+		it( 'should be displayed in the balloon', () => {
+			expect( formView ).to.be.instanceOf( BookmarkFormView );
+			expect( balloon.visibleView ).to.equal( formView );
+		} );
+
+		it( 'should be reused when shown again', () => {
+			formView.fire( 'cancel' );
+			editor.ui.componentFactory.create( 'bookmark' ).fire( 'execute' );
+
+			expect( bookmarkUIFeature.formView ).to.equal( formView );
+			expect( balloon.visibleView ).to.equal( formView );
+		} );
+
+		it( 'should be empty when no bookmark is selected', () => {
+			expect( formView.idInputView.fieldView.element.value ).to.equal( '' );
+		} );
+
+		it( 'should be filled with the id of the selected bookmark', () => {
+			formView.fire( 'cancel' );
+			setModelData( model, '<paragraph>foo[<bookmark bookmarkId="intro"></bookmark>]</paragraph>' );
+			editor.ui.componentFactory.create( 'bookmark' ).fire( 'execute' );
+
+			expect( formView.idInputView.fieldView.element.value ).to.equal( 'intro' );
+		} );
+
+		it( 'should be disabled when the command is disabled', () => {
+			command.isEnabled = false;
+
+			expect( formView.idInputView.isEnabled ).to.be.false;
+			expect( formView.saveButtonView.isEnabled ).to.be.false;
+		} );
+
+		it( 'should insert the bookmark and hide the form on submit', () => {
+			const focusSpy = testUtils.sinon.spy( editor.editing.view, 'focus' );
+
+			formView.idInputView.fieldView.element.value = 'intro';
+			formView.fire( 'submit' );
+
+			expect( getModelData( model ) ).to.equal(
+				'<paragraph>foo[<bookmark bookmarkId="intro"></bookmark>]bar</paragraph>'
+			);
+			expect( balloon.visibleView ).to.be.null;
+			sinon.assert.calledOnce( focusSpy );
+		} );
+
+		it( 'should not insert an empty bookmark', () => {
+			const executeSpy = testUtils.sinon.spy( editor, 'execute' );
+
+			formView.idInputView.fieldView.element.value = ' ';
+			formView.fire( 'submit' );
+
+			sinon.assert.notCalled( executeSpy );
+			expect( formView.idInputView.errorText ).to.equal( 'Bookmark must not be empty.' );
+			expect( balloon.visibleView ).to.equal( formView );
+		} );
+
+		it( 'should not insert a bookmark with spaces in its name', () => {
+			const executeSpy = testUtils.sinon.spy( editor, 'execute' );
+
+			formView.idInputView.fieldView.element.value = 'terms of use';
+			formView.fire( 'submit' );
+
+			sinon.assert.notCalled( executeSpy );
+			expect( formView.idInputView.errorText ).to.equal( 'Bookmark name cannot contain space characters.' );
+		} );
+
+		it( 'should reset the errors when shown again', () => {
+			formView.idInputView.fieldView.element.value = '';
+			formView.fire( 'submit' );
+			formView.fire( 'cancel' );
+
+			editor.ui.componentFactory.create( 'bookmark' ).fire( 'execute' );
+
+			expect( formView.idInputView.errorText ).to.be.null;
+		} );
+
+		it( 'should update the balloon position when the error changes', () => {
+			const spy = testUtils.sinon.spy( editor.ui, 'update' );
+
+			formView.idInputView.errorText = 'Error';
+
+			sinon.assert.called( spy );
+		} );
+
+		it( 'should hide on cancel', () => {
+			formView.fire( 'cancel' );
+
+			expect( balloon.visibleView ).to.be.null;
+		} );
+
+		it( 'should hide after Esc key press', () => {
+			const keyEvtData = {
+				keyCode: keyCodes.esc,
+				preventDefault: sinon.spy(),
+				stopPropagation: sinon.spy()
+			};
+
+			formView.keystrokes.press( keyEvtData );
+
+			expect( balloon.visibleView ).to.be.null;
+			sinon.assert.calledOnce( keyEvtData.preventDefault );
+		} );
+
+		it( 'should hide after clicking outside the balloon', () => {
+			document.body.dispatchEvent( new Event( 'mousedown', { bubbles: true } ) );
+
+			expect( balloon.visibleView ).to.be.null;
+		} );
+
+		it( 'should not hide after clicking inside the balloon', () => {
+			balloon.view.element.dispatchEvent( new Event( 'mousedown', { bubbles: true } ) );
+
+			expect( balloon.visibleView ).to.equal( formView );
+		} );
+	} );
+
+	function testButton( Component ) {
+		it( 'should be an instance of ' + Component.name, () => {
+			expect( button ).to.be.instanceOf( Component );
+		} );
+
+		it( 'should set the label and the icon', () => {
+			expect( button.label ).to.equal( 'Bookmark' );
+			expect( button.icon ).to.equal( bookmarkIcon );
+		} );
+
+		it( 'should bind #isEnabled to the command', () => {
+			command.isEnabled = true;
+			expect( button.isEnabled ).to.be.true;
+
+			command.isEnabled = false;
+			expect( button.isEnabled ).to.be.false;
+		} );
+
+		it( 'should show the form on execute', () => {
+			button.fire( 'execute' );
+
+			expect( balloon.visibleView ).to.equal( bookmarkUIFeature.formView );
+		} );
+	}
+} );
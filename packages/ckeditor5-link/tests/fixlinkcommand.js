@@ -0,0 +1,148 @@
+/**
+ * @license Copyright (c) 2003-2024, CKSource Holding sp. z o.o. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+
+import VirtualTestEditor from '@ckeditor/ckeditor5-core/tests/_utils/virtualtesteditor.js';
+import Paragraph from '@ckeditor/ckeditor5-paragraph/src/paragraph.js';
+import UndoEditing from '@ckeditor/ckeditor5-undo/src/undoediting.js';
+import { getData as getModelData, setData as setModelData } from '@ckeditor/ckeditor5-engine/src/dev-utils/model.js';
+
+import LinkCheckerEditing from '../src/linkcheckerediting.js';
+
+describe( 'FixLinkCommand', () => {
+	let editor, model, command, plugin;
+
+	beforeEach( async () => {
+		editor = await VirtualTestEditor.create( {
+			plugins: [ Paragraph, UndoEditing, LinkCheckerEditing ],
+			link: {
+				decorators: {
+					isExternal: {
+						mode: 'manual',
+						label: 'Open in a new window',
+						attributes: {
+							target: '_blank'
+						}
+					}
+				},
+				checker: {
+					disallowedDomains: [ 'example.com' ],
+					enforceHttps: true
+				}
+			}
+		} );
+
+		model = editor.model;
+		command = editor.commands.get( 'fixLink' );
+		plugin = editor.plugins.get( LinkCheckerEditing );
+	} );
+
+	afterEach( async () => {
+		await editor.destroy();
+	} );
+
+	describe( 'isEnabled', () => {
+		it( 'should be false if there are no issues', async () => {
+			setModelData( model, '<paragraph><$text linkHref="https://ckeditor.com">foo</$text></paragraph>' );
+
+			await plugin.checkLinks();
+
+			expect( command.isEnabled ).to.be.false;
+		} );
+
+		it( 'should be true if there are issues', async () => {
+			setModelData( model, '<paragraph><$text linkHref="http://ckeditor.com">foo</$text></paragraph>' );
+
+			await plugin.checkLinks();
+
+			expect( command.isEnabled ).to.be.true;
+		} );
+
+		it( 'should be false in the read-only mode', async () => {
+			setModelData( model, '<paragraph><$text linkHref="http://ckeditor.com">foo</$text></paragraph>' );
+
+			await plugin.checkLinks();
+
+			editor.enableReadOnlyMode( 'test' );
+
+			expect( command.isEnabled ).to.be.false;
+		} );
+	} );
+
+	describe( 'execute()', () => {
+		it( 'should replace the URL of the link with the fixed URL', async () => {
+			setModelData( model,
+				'<paragraph>[]x<$text linkHref="http://ckeditor.com">foo</$text>' +
+				'<$text linkHref="http://ckeditor.com/docs">bar</$text></paragraph>'
+			);
+
+			await plugin.checkLinks();
+
+			command.execute( plugin.issues.get( 0 ).id );
+
+			expect( getModelData( model ) ).to.equal(
+				'<paragraph>[]x<$text linkHref="https://ckeditor.com">foo</$text>' +
+				'<$text linkHref="http://ckeditor.com/docs">bar</$text></paragraph>'
+			);
+		} );
+
+		it( 'should remove the link if it cannot be fixed', async () => {
+			setModelData( model,
+				'<paragraph>[]x<$text linkHref="https://example.com" linkIsExternal="true">foo</$text>bar</paragraph>'
+			);
+
+			await plugin.checkLinks();
+
+			command.execute( plugin.issues.get( 0 ).id );
+
+			expect( getModelData( model ) ).to.equal( '<paragraph>[]xfoobar</paragraph>' );
+		} );
+
+		it( 'should remove the link if the removeLink option is set', async () => {
+			setModelData( model, '<paragraph>[]x<$text linkHref="http://ckeditor.com">foo</$text></paragraph>' );
+
+			await plugin.checkLinks();
+
+			command.execute( plugin.issues.get( 0 ).id, { removeLink: true } );
+
+			expect( getModelData( model ) ).to.equal( '<paragraph>[]xfoo</paragraph>' );
+		} );
+
+		it( 'should remove the fixed issue', async () => {
+			setModelData( model,
+				'<paragraph>[]x<$text linkHref="http://ckeditor.com">foo</$text>' +
+				'<$text linkHref="https://example.com">bar</$text></paragraph>'
+			);
+
+			await plugin.checkLinks();
+
+			const [ fixedIssue, otherIssue ] = plugin.issues;
+
+			command.execute( fixedIssue.id );
+
+			expect( Array.from( plugin.issues ) ).to.deep.equal( [ otherIssue ] );
+			expect( model.markers.has( `linkChecker:${ fixedIssue.id }` ) ).to.be.false;
+			expect( model.markers.has( `linkChecker:${ otherIssue.id }` ) ).to.be.true;
+		} );
+
+		it( 'should create an undo step', async () => {
+			setModelData( model, '<paragraph>[]x<$text linkHref="http://ckeditor.com">foo</$text></paragraph>' );
+
+			await plugin.checkLinks();
+
+			command.execute( plugin.issues.get( 0 ).id );
+			editor.execute( 'undo' );
+
+			expect( getModelData( model ) ).to.equal( '<paragraph>[]x<$text linkHref="http://ckeditor.com">foo</$text></paragraph>' );
+		} );
+
+		it( 'should do nothing if the issue does not exist', () => {
+			setModelData( model, '<paragraph>[]x<$text linkHref="http://ckeditor.com">foo</$text></paragraph>' );
+
+			command.execute( 'unknown' );
+
+			expect( getModelData( model ) ).to.equal( '<paragraph>[]x<$text linkHref="http://ckeditor.com">foo</$text></paragraph>' );
+		} );
+	} );
+} );
@@ -0,0 +1,105 @@
+/**
+ * @license Copyright (c) 2003-2024, CKSource Holding sp. z o.o. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+
+import VirtualTestEditor from '@ckeditor/ckeditor5-core/tests/_utils/virtualtesteditor.js';
+import Paragraph from '@ckeditor/ckeditor5-paragraph/src/paragraph.js';
+import { getData, setData } from '@ckeditor/ckeditor5-engine/src/dev-utils/model.js';
+
+import BookmarkEditing from '../src/bookmarkediting.js';
+
+describe( 'InsertBookmarkCommand', () => {
+	let editor, model, command;
+
+	beforeEach( async () => {
+		editor = await VirtualTestEditor.create( {
+			plugins: [ Paragraph, BookmarkEditing ]
+		} );
+
+		model = editor.model;
+		command = editor.commands.get( 'insertBookmark' );
+
+		model.schema.register( 'blockObject', { inheritAllFrom: '$blockObject' } );
+		editor.conversion.elementToElement( { model: 'blockObject', view: 'figure' } );
+	} );
+
+	afterEach( async () => {
+		await editor.destroy();
+	} );
+
+	describe( 'value', () => {
+		it( 'should be the id of the selected bookmark', () => {
+			setData( model, '<paragraph>foo[<bookmark bookmarkId="intro"></bookmark>]bar</paragraph>' );
+
+			expect( command.value ).to.equal( 'intro' );
+		} );
+
+		it( 'should be undefined if no bookmark is selected', () => {
+			setData( model, '<paragraph>f[oo]<bookmark bookmarkId="intro"></bookmark>bar</paragraph>' );
+
+			expect( command.value ).to.be.undefined;
+		} );
+	} );
+
+	describe( 'isEnabled', () => {
+		it( 'should be true if a bookmark is selected', () => {
+			setData( model, '<paragraph>foo[<bookmark bookmarkId="intro"></bookmark>]bar</paragraph>' );
+
+			expect( command.isEnabled ).to.be.true;
+		} );
+
+		it( 'should be true if the bookmark can be inserted at the selection', () => {
+			setData( model, '<paragraph>foo[]</paragraph>' );
+
+			expect( command.isEnabled ).to.be.true;
+		} );
+
+		it( 'should be false if the bookmark cannot be inserted at the selection', () => {
+			setData( model, '[<blockObject></blockObject>]' );
+
+			expect( command.isEnabled ).to.be.false;
+		} );
+	} );
+
+	describe( 'execute()', () => {
+		it( 'should insert the bookmark at the selection and select it', () => {
+			setData( model, '<paragraph>foo[]bar</paragraph>' );
+
+			command.execute( { bookmarkId: 'intro' } );
+
+			expect( getData( model ) ).to.equal(
+				'<paragraph>foo[<bookmark bookmarkId="intro"></bookmark>]bar</paragraph>'
+			);
+		} );
+
+		it( 'should insert the bookmark at the beginning of the selection without removing the selected content', () => {
+			setData( model, '<paragraph>f[oo]bar</paragraph>' );
+
+			command.execute( { bookmarkId: 'intro' } );
+
+			expect( getData( model ) ).to.equal(
+				'<paragraph>f[<bookmark bookmarkId="intro"></bookmark>]oobar</paragraph>'
+			);
+		} );
+
+		it( 'should change the id of the selected bookmark', () => {
+			setData( model, '<paragraph>foo[<bookmark bookmarkId="intro"></bookmark>]bar</paragraph>' );
+
+			command.execute( { bookmarkId: 'summary' } );
+
+			expect( getData( model ) ).to.equal(
+				'<paragraph>foo[<bookmark bookmarkId="summary"></bookmark>]bar</paragraph>'
+			);
+			expect( command.value ).to.equal( 'summary' );
+		} );
+
+		it( 'should do nothing if the id is empty', () => {
+			setData( model, '<paragraph>foo[]bar</paragraph>' );
+
+			command.execute( { bookmarkId: '' } );
+
+			expect( getData( model ) ).to.equal( '<paragraph>foo[]bar</paragraph>' );
+		} );
+	} );
+} );
@@ -0,0 +1,97 @@
+/**
+ * @license Copyright (c) 2003-2024, CKSource Holding sp. z o.o. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+
+import VirtualTestEditor from '@ckeditor/ckeditor5-core/tests/_utils/virtualtesteditor.js';
+import Paragraph from '@ckeditor/ckeditor5-paragraph/src/paragraph.js';
+import { getData, setData } from '@ckeditor/ckeditor5-engine/src/dev-utils/model.js';
+
+import LinkPreviewEditing from '../src/linkpreviewediting.js';
+
+describe( 'InsertLinkCardCommand', () => {
+	let editor, model, command;
+
+	beforeEach( async () => {
+		editor = await VirtualTestEditor.create( {
+			plugins: [ Paragraph, LinkPreviewEditing ]
+		} );
+
+		model = editor.model;
+		command = editor.commands.get( 'insertLinkCard' );
+
+		model.schema.register( 'limit', { allowIn: '$root', isLimit: true } );
+		model.schema.extend( 'paragraph', { allowIn: 'limit' } );
+		editor.conversion.elementToElement( { model: 'limit', view: 'limit' } );
+	} );
+
+	afterEach( async () => {
+		await editor.destroy();
+	} );
+
+	describe( 'isEnabled', () => {
+		it( 'should be true if the link card can be inserted after the selected block', () => {
+			setData( model, '<paragraph>f[o]o</paragraph>' );
+
+			expect( command.isEnabled ).to.be.true;
+		} );
+
+		it( 'should be false if the link card cannot be inserted after the selected block', () => {
+			setData( model, '<limit><paragraph>f[o]o</paragraph></limit>' );
+
+			expect( command.isEnabled ).to.be.false;
+		} );
+	} );
+
+	describe( 'execute()', () => {
+		it( 'should insert the link card after the selected block and select it', () => {
+			setData( model, '<paragraph>f[o]o</paragraph><paragraph>bar</paragraph>' );
+
+			command.execute( 'https://ckeditor.com', {
+				title: 'CKEditor 5',
+				description: 'The rich text editor.',
+				favicon: 'https://ckeditor.com/favicon.ico'
+			} );
+
+			expect( getData( model ) ).to.equal(
+				'<paragraph>foo</paragraph>' +
+				'[<linkCard ' +
+					'linkCardDescription="The rich text editor." ' +
+					'linkCardFavicon="https://ckeditor.com/favicon.ico" ' +
+					'linkCardHref="https://ckeditor.com" ' +
+					'linkCardTitle="CKEditor 5">' +
+				'</linkCard>]' +
+				'<paragraph>bar</paragraph>'
+			);
+		} );
+
+		it( 'should insert the link card without a preview', () => {
+			setData( model, '<paragraph>foo[]</paragraph>' );
+
+			command.execute( 'https://ckeditor.com' );
+
+			expect( getData( model ) ).to.equal(
+				'<paragraph>foo</paragraph>[<linkCard linkCardHref="https://ckeditor.com"></linkCard>]'
+			);
+		} );
+
+		it( 'should skip the empty fields of the preview', () => {
+			setData( model, '<paragraph>foo[]</paragraph>' );
+
+			command.execute( 'https://ckeditor.com', { title: '', favicon: 'https://ckeditor.com/favicon.ico' } );
+
+			expect( getData( model ) ).to.equal(
+				'<paragraph>foo</paragraph>' +
+				'[<linkCard linkCardFavicon="https://ckeditor.com/favicon.ico" linkCardHref="https://ckeditor.com"></linkCard>]'
+			);
+		} );
+
+		it( 'should do nothing without the URL', () => {
+			setData( model, '<paragraph>foo[]</paragraph>' );
+
+			command.execute( '' );
+
+			expect( getData( model ) ).to.equal( '<paragraph>foo[]</paragraph>' );
+		} );
+	} );
+} );
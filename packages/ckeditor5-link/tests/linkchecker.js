@@ -0,0 +1,18 @@
+/**
+ * @license Copyright (c) 2003-2024, CKSource Holding sp. z o.o. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+
+import LinkChecker from '../src/linkchecker.js';
+import LinkCheckerEditing from '../src/linkcheckerediting.js';
+import LinkCheckerUI from '../src/linkcheckerui.js';
+
+describe( 'LinkChecker', () => {
+	it( 'should require LinkCheckerEditing and LinkCheckerUI', () => {
+		expect( LinkChecker.requires ).to.deep.equal( [ LinkCheckerEditing, LinkCheckerUI ] );
+	} );
+
+	it( 'should be named', () => {
+		expect( LinkChecker.pluginName ).to.equal( 'LinkChecker' );
+	} );
+} );
@@ -0,0 +1,434 @@
+/**
+ * @license Copyright (c) 2003-2024, CKSource Holding sp. z o.o. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+
+/* global console, window, Response */
+
+import VirtualTestEditor from '@ckeditor/ckeditor5-core/tests/_utils/virtualtesteditor.js';
+import Paragraph from '@ckeditor/ckeditor5-paragraph/src/paragraph.js';
+import BoldEditing from '@ckeditor/ckeditor5-basic-styles/src/bold/boldediting.js';
+import { setData as setModelData } from '@ckeditor/ckeditor5-engine/src/dev-utils/model.js';
+import { getData as getViewData } from '@ckeditor/ckeditor5-engine/src/dev-utils/view.js';
+
+import LinkEditing from '../src/linkediting.js';
+import LinkCheckerEditing from '../src/linkcheckerediting.js';
+import FixLinkCommand from '../src/fixlinkcommand.js';
+
+describe( 'LinkCheckerEditing', () => {
+	let editor, model, plugin;
+
+	beforeEach( async () => {
+		editor = await createEditor();
+	} );
+
+	afterEach( async () => {
+		sinon.restore();
+
+		if ( editor.state != 'destroyed' ) {
+			await editor.destroy();
+		}
+	} );
+
+	it( 'should be named', () => {
+		expect( LinkCheckerEditing.pluginName ).to.equal( 'LinkCheckerEditing' );
+	} );
+
+	it( 'should require LinkEditing', () => {
+		expect( LinkCheckerEditing.requires ).to.deep.equal( [ LinkEditing ] );
+	} );
+
+	it( 'should define the default configuration', () => {
+		expect( editor.config.get( 'link.checker' ) ).to.deep.equal( {
+			enforceHttps: false,
+			checkAvailability: false,
+			waitingTime: 1000
+		} );
+	} );
+
+	it( 'should register the fixLink command', () => {
+		expect( editor.commands.get( 'fixLink' ) ).to.be.instanceOf( FixLinkCommand );
+	} );
+
+	it( 'should not report any issues by default', async () => {
+		setModelData( model, '<paragraph><$text linkHref="http://example.com">foo</$text></paragraph>' );
+
+		await plugin.checkLinks();
+
+		expect( plugin.issues.length ).to.equal( 0 );
+	} );
+
+	describe( 'checkLinks()', () => {
+		it( 'should report the links to the disallowed domains and their subdomains', async () => {
+			await recreateEditor( { disallowedDomains: [ 'example.com' ] } );
+
+			setModelData( model,
+				'<paragraph>' +
+					'<$text linkHref="https://example.com/foo">foo</$text>' +
+					'<$text linkHref="//www.Example.com">bar</$text>' +
+					'<$text linkHref="https://notexample.com">baz</$text>' +
+				'</paragraph>'
+			);
+
+			await plugin.checkLinks();
+
+			expect( getIssues() ).to.deep.equal( [
+				{ type: 'disallowed', url: 'https://example.com/foo' },
+				{ type: 'disallowed', url: '//www.Example.com' }
+			] );
+		} );
+
+		it( 'should report the links to the domains that are not allowed', async () => {
+			await recreateEditor( { allowedDomains: [ 'ckeditor.com' ] } );
+
+			setModelData( model,
+				'<paragraph>' +
+					'<$text linkHref="https://ckeditor.com/docs">foo</$text>' +
+					'<$text linkHref="https://example.com">bar</$text>' +
+					'<$text linkHref="/relative">baz</$text>' +
+					'<$text linkHref="mailto:foo@example.com">qux</$text>' +
+				'</paragraph>'
+			);
+
+			await plugin.checkLinks();
+
+			expect( getIssues() ).to.deep.equal( [
+				{ type: 'disallowed', url: 'https://example.com' }
+			] );
+		} );
+
+		it( 'should report the insecure links if https is enforced', async () => {
+			await recreateEditor( { enforceHttps: true } );
+
+			setModelData( model,
+				'<paragraph>' +
+					'<$text linkHref="http://example.com/foo">foo</$text>' +
+					'<$text linkHref="https://example.com/bar">bar</$text>' +
+				'</paragraph>'
+			);
+
+			await plugin.checkLinks();
+
+			expect( getIssues() ).to.deep.equal( [
+				{ type: 'insecure', url: 'http://example.com/foo', fixedUrl: 'https://example.com/foo' }
+			] );
+		} );
+
+		it( 'should report the issues returned by the custom validator', async () => {
+			const validator = sinon.stub().resolves( null );
+
+			validator.withArgs( '/foo' ).resolves( { type: 'outdated', message: 'Outdated page.', fixedUrl: '/bar' } );
+
+			await recreateEditor( { validator } );
+
+			setModelData( model,
+				'<paragraph>' +
+					'<$text linkHref="/foo">foo</$text>' +
+					'<$text linkHref="/bar">bar</$text>' +
+				'</paragraph>'
+			);
+
+			await plugin.checkLinks();
+
+			expect( getIssues() ).to.deep.equal( [
+				{ type: 'outdated', url: '/foo', message: 'Outdated page.', fixedUrl: '/bar' }
+			] );
+		} );
+
+		it( 'should not call the custom validator for the links with issues found by the built-in checks', async () => {
+			const validator = sinon.stub().resolves( null );
+
+			await recreateEditor( { validator, disallowedDomains: [ 'example.com' ] } );
+
+			setModelData( model, '<paragraph><$text linkHref="https://example.com">foo</$text></paragraph>' );
+
+			await plugin.checkLinks();
+
+			sinon.assert.notCalled( validator );
+		} );
+
+		it( 'should log a warning and skip the link if the custom validator rejects', async () => {
+			const consoleWarnStub = sinon.stub( console, 'warn' );
+			const error = new Error( 'Validation error' );
+
+			await recreateEditor( { validator: () => Promise.reject( error ) } );
+
+			setModelData( model, '<paragraph><$text linkHref="/foo">foo</$text></paragraph>' );
+
+			await plugin.checkLinks();
+
+			expect( plugin.issues.length ).to.equal( 0 );
+			sinon.assert.calledOnce( consoleWarnStub );
+			expect( consoleWarnStub.firstCall.args[ 0 ] ).to.match( /^link-checker-validation-failed/ );
+			expect( consoleWarnStub.firstCall.args[ 1 ] ).to.deep.equal( { url: '/foo', error } );
+		} );
+
+		it( 'should validate each URL once', async () => {
+			const validator = sinon.stub().resolves( { type: 'broken' } );
+
+			await recreateEditor( { validator } );
+
+			setModelData( model,
+				'<paragraph><$text linkHref="/foo">foo</$text></paragraph>' +
+				'<paragraph><$text linkHref="/foo">bar</$text></paragraph>'
+			);
+
+			await plugin.checkLinks();
+			await plugin.checkLinks();
+
+			sinon.assert.calledOnce( validator );
+			expect( plugin.issues.length ).to.equal( 2 );
+		} );
+
+		it( 'should validate the links again if the check is forced', async () => {
+			const validator = sinon.stub().resolves( { type: 'broken' } );
+
+			await recreateEditor( { validator } );
+
+			setModelData( model, '<paragraph><$text linkHref="/foo">foo</$text></paragraph>' );
+
+			await plugin.checkLinks();
+
+			validator.resolves( null );
+
+			await plugin.checkLinks( { force: true } );
+
+			sinon.assert.calledTwice( validator );
+			expect( plugin.issues.length ).to.equal( 0 );
+		} );
+
+		describe( 'checkAvailability', () => {
+			let fetchStub;
+
+			beforeEach( async () => {
+				fetchStub = sinon.stub( window, 'fetch' );
+
+				await recreateEditor( { checkAvailability: true } );
+			} );
+
+			it( 'should send the HEAD requests to the external links', async () => {
+				fetchStub.resolves( new Response( null, { status: 200 } ) );
+
+				setModelData( model,
+					'<paragraph>' +
+						'<$text linkHref="https://example.com/foo">foo</$text>' +
+						'<$text linkHref="/bar">bar</$text>' +
+					'</paragraph>'
+				);
+
+				await plugin.checkLinks();
+
+				sinon.assert.calledOnceWithExactly( fetchStub, 'https://example.com/foo', { method: 'HEAD', mode: 'no-cors' } );
+				expect( plugin.issues.length ).to.equal( 0 );
+			} );
+
+			it( 'should report the links responding with an error status', async () => {
+				fetchStub.resolves( new Response( null, { status: 404 } ) );
+
+				setModelData( model, '<paragraph><$text linkHref="https://example.com/foo">foo</$text></paragraph>' );
+
+				await plugin.checkLinks();
+
+				expect( getIssues() ).to.deep.equal( [ { type: 'broken', url: 'https://example.com/foo' } ] );
+			} );
+
+			it( 'should not report the links with the opaque responses', async () => {
+				fetchStub.resolves( { type: 'opaque', ok: false, status: 0 } );
+
+				setModelData( model, '<paragraph><$text linkHref="https://example.com/foo">foo</$text></paragraph>' );
+
+				await plugin.checkLinks();
+
+				expect( plugin.issues.length ).to.equal( 0 );
+			} );
+
+			it( 'should report the links that cannot be reached', async () => {
+				fetchStub.rejects( new TypeError( 'Failed to fetch' ) );
+
+				setModelData( model, '<paragraph><$text linkHref="https://example.com/foo">foo</$text></paragraph>' );
+
+				await plugin.checkLinks();
+
+				expect( getIssues() ).to.deep.equal( [ { type: 'broken', url: 'https://example.com/foo' } ] );
+			} );
+		} );
+
+		it( 'should mark the links with issues in the content', async () => {
+			await recreateEditor( { disallowedDomains: [ 'example.com' ] } );
+
+			setModelData( model,
+				'<paragraph>' +
+					'x<$text linkHref="https://example.com">f</$text><$text bold="true" linkHref="https://example.com">oo</$text>' +
+					'<$text linkHref="https://ckeditor.com">bar</$text>' +
+				'</paragraph>' +
+				'<paragraph><$text linkHref="https://example.com">baz</$text></paragraph>'
+			);
+
+			await plugin.checkLinks();
+
+			const markers = Array.from( model.markers.getMarkersGroup( 'linkChecker' ) );
+			const root = model.document.getRoot();
+
+			expect( markers.map( marker => marker.name ) ).to.deep.equal( plugin.issues.map( issue => `linkChecker:${ issue.id }` ) );
+
+			expect( markers[ 0 ].getStart().path ).to.deep.equal( [ 0, 1 ] );
+			expect( markers[ 0 ].getEnd().path ).to.deep.equal( [ 0, 4 ] );
+			expect( markers[ 1 ].getRange().isEqual( model.createRangeIn( root.getChild( 1 ) ) ) ).to.be.true;
+		} );
+
+		it( 'should highlight the links with issues in the editing view', async () => {
+			await recreateEditor( { disallowedDomains: [ 'example.com' ] } );
+
+			// The text before the link prevents the selection from being placed inside the link.
+			setModelData( model, '<paragraph>x<$text linkHref="https://example.com">foo</$text></paragraph>' );
+
+			await plugin.checkLinks();
+
+			const id = plugin.issues.get( 0 ).id;
+
+			expect( getViewData( editor.editing.view, { withoutSelection: true } ) ).to.equal(
+				'<p>' +
+					'x' +
+					'<a href="https://example.com">' +
+						`<span class="ck-link-checker-issue ck-link-checker-issue_disallowed" data-link-checker-issue="${ id }">` +
+							'foo' +
+						'</span>' +
+					'</a>' +
+				'</p>'
+			);
+		} );
+
+		it( 'should replace the previously found issues', async () => {
+			await recreateEditor( { disallowedDomains: [ 'example.com' ] } );
+
+			setModelData( model, '<paragraph>x<$text linkHref="https://example.com">foo</$text></paragraph>' );
+
+			await plugin.checkLinks();
+
+			model.change( writer => {
+				const paragraph = model.document.getRoot().getChild( 0 );
+
+				writer.setAttribute( 'linkHref', 'https://ckeditor.com', writer.createRange(
+					writer.createPositionAt( paragraph, 1 ),
+					writer.createPositionAt( paragraph, 'end' )
+				) );
+			} );
+
+			await plugin.checkLinks();
+
+			expect( plugin.issues.length ).to.equal( 0 );
+			expect( Array.from( model.markers.getMarkersGroup( 'linkChecker' ) ) ).to.be.empty;
+			expect( getViewData( editor.editing.view, { withoutSelection: true } ) ).to.equal(
+				'<p>x<a href="https://ckeditor.com">foo</a></p>'
+			);
+		} );
+
+		it( 'should not create the undo steps', async () => {
+			await recreateEditor( { disallowedDomains: [ 'example.com' ] } );
+
+			setModelData( model, '<paragraph><$text linkHref="https://example.com">foo</$text></paragraph>' );
+
+			const spy = sinon.spy();
+
+			model.document.on( 'change:data', spy );
+
+			await plugin.checkLinks();
+
+			sinon.assert.notCalled( spy );
+		} );
+
+		it( 'should set the #isChecking property while the links are being checked', async () => {
+			setModelData( model, '<paragraph><$text linkHref="https://example.com">foo</$text></paragraph>' );
+
+			expect( plugin.isChecking ).to.be.false;
+
+			const promise = plugin.checkLinks();
+
+			expect( plugin.isChecking ).to.be.true;
+
+			await promise;
+
+			expect( plugin.isChecking ).to.be.false;
+		} );
+
+		it( 'should not update the content after the editor is destroyed', async () => {
+			await recreateEditor( { disallowedDomains: [ 'example.com' ] } );
+
+			setModelData( model, '<paragraph><$text linkHref="https://example.com">foo</$text></paragraph>' );
+
+			const promise = plugin.checkLinks();
+
+			await editor.destroy();
+			await promise;
+
+			expect( plugin.issues.length ).to.equal( 0 );
+		} );
+	} );
+
+	it( 'should check the links the configured time after the last change of the content', async () => {
+		const clock = sinon.useFakeTimers();
+
+		// Recreate the editor so that the debounced check uses the fake timers.
+		await recreateEditor();
+
+		const spy = sinon.stub( plugin, 'checkLinks' );
+
+		setModelData( model, '<paragraph>foo</paragraph>' );
+
+		clock.tick( 500 );
+
+		model.change( writer => {
+			writer.insertText( 'bar', model.document.getRoot().getChild( 0 ), 'end' );
+		} );
+
+		clock.tick( 999 );
+		sinon.assert.notCalled( spy );
+
+		clock.tick( 1 );
+		sinon.assert.calledOnce( spy );
+	} );
+
+	it( 'should not check the links after the editor is destroyed', async () => {
+		const clock = sinon.useFakeTimers();
+
+		// Recreate the editor so that the debounced check uses the fake timers.
+		await recreateEditor();
+
+		const spy = sinon.stub( plugin, 'checkLinks' );
+
+		setModelData( model, '<paragraph>foo</paragraph>' );
+
+		await editor.destroy();
+
+		clock.tick( 1000 );
+		sinon.assert.notCalled( spy );
+	} );
+
+	async function recreateEditor( checkerConfig ) {
+		await editor.destroy();
+
+		editor = await createEditor( checkerConfig );
+	}
+
+	async function createEditor( checkerConfig ) {
+		const newEditor = await VirtualTestEditor.create( {
+			plugins: [ Paragraph, BoldEditing, LinkCheckerEditing ],
+			link: {
+				checker: checkerConfig
+			}
+		} );
+
+		model = newEditor.model;
+		plugin = newEditor.plugins.get( LinkCheckerEditing );
+
+		return newEditor;
+	}
+
+	function getIssues() {
+		return plugin.issues.map( issue => {
+			const { type, url, message, fixedUrl } = issue;
+
+			return { type, url, ...( message ? { message } : {} ), ...( fixedUrl ? { fixedUrl } : {} ) };
+		} );
+	}
+} );
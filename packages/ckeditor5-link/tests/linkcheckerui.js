@@ -0,0 +1,209 @@
+/**
+ * @license Copyright (c) 2003-2024, CKSource Holding sp. z o.o. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+
+/* globals document */
+
+import ClassicTestEditor from '@ckeditor/ckeditor5-core/tests/_utils/classictesteditor.js';
+import Paragraph from '@ckeditor/ckeditor5-paragraph/src/paragraph.js';
+import ButtonView from '@ckeditor/ckeditor5-ui/src/button/buttonview.js';
+import MenuBarMenuListItemButtonView from '@ckeditor/ckeditor5-ui/src/menubar/menubarmenulistitembuttonview.js';
+import { getData as getModelData, setData as setModelData } from '@ckeditor/ckeditor5-engine/src/dev-utils/model.js';
+import testUtils from '@ckeditor/ckeditor5-core/tests/_utils/utils.js';
+
+import LinkCheckerEditing from '../src/linkcheckerediting.js';
+import LinkCheckerUI from '../src/linkcheckerui.js';
+import LinkCheckerView from '../src/ui/linkcheckerview.js';
+
+describe( 'LinkCheckerUI', () => {
+	let editor, element, model, plugin, linkCheckerEditing, dialog, button;
+
+	testUtils.createSinonSandbox();
+
+	beforeEach( async () => {
+		element = document.createElement( 'div' );
+		document.body.appendChild( element );
+
+		editor = await ClassicTestEditor.create( element, {
+			plugins: [ Paragraph, LinkCheckerUI ],
+			link: {
+				checker: {
+					enforceHttps: true
+				}
+			}
+		} );
+
+		model = editor.model;
+		plugin = editor.plugins.get( LinkCheckerUI );
+		linkCheckerEditing = editor.plugins.get( LinkCheckerEditing );
+		dialog = editor.plugins.get( 'Dialog' );
+
+		setModelData( model,
+			'<paragraph>[]x<$text linkHref="http://ckeditor.com">foo</$text></paragraph>' +
+			'<paragraph><$text linkHref="https://ckeditor.com">bar</$text></paragraph>'
+		);
+
+		button = editor.ui.componentFactory.create( 'linkChecker' );
+	} );
+
+	afterEach( async () => {
+		element.remove();
+
+		await editor.destroy();
+	} );
+
+	it( 'should be named', () => {
+		expect( LinkCheckerUI.pluginName ).to.equal( 'LinkCheckerUI' );
+	} );
+
+	it( 'should require LinkCheckerEditing and Dialog', () => {
+		expect( LinkCheckerUI.requires ).to.deep.equal( [ LinkCheckerEditing, dialog.constructor ] );
+	} );
+
+	describe( 'linkChecker button', () => {
+		it( 'should be registered in the component factory', () => {
+			expect( button ).to.be.instanceOf( ButtonView );
+			expect( button.label ).to.equal( 'Check links' );
+			expect( button.tooltip ).to.be.true;
+			expect( button.icon ).to.match( /<svg / );
+		} );
+
+		it( 'should open and close the dialog', () => {
+			button.fire( 'execute' );
+
+			expect( dialog.id ).to.equal( 'linkChecker' );
+			expect( button.isOn ).to.be.true;
+
+			button.fire( 'execute' );
+
+			expect( dialog.id ).to.be.null;
+			expect( button.isOn ).to.be.false;
+		} );
+	} );
+
+	describe( 'menuBar:linkChecker button', () => {
+		it( 'should be registered in the component factory', () => {
+			const menuBarButton = editor.ui.componentFactory.create( 'menuBar:linkChecker' );
+
+			expect( menuBarButton ).to.be.instanceOf( MenuBarMenuListItemButtonView );
+			expect( menuBarButton.label ).to.equal( 'Check links' );
+
+			menuBarButton.fire( 'execute' );
+
+			expect( dialog.id ).to.equal( 'linkChecker' );
+		} );
+	} );
+
+	describe( 'dialog', () => {
+		let checkerView;
+
+		beforeEach( async () => {
+			const promise = new Promise( resolve => linkCheckerEditing.once( 'change:isChecking', resolve ) )
+				.then( () => new Promise( resolve => linkCheckerEditing.once( 'change:isChecking', resolve ) ) );
+
+			button.fire( 'execute' );
+			checkerView = plugin.checkerView;
+
+			await promise;
+		} );
+
+		it( 'should display the link checker view', () => {
+			expect( checkerView ).to.be.instanceOf( LinkCheckerView );
+			expect( dialog.view.contentView.children.get( 0 ) ).to.equal( checkerView );
+		} );
+
+		it( 'should reuse the view', () => {
+			dialog.hide();
+			button.fire( 'execute' );
+
+			expect( plugin.checkerView ).to.equal( checkerView );
+		} );
+
+		it( 'should check the links when opened and list the issues', () => {
+			expect( checkerView.issueViews.length ).to.equal( 1 );
+			expect( checkerView.issueViews.get( 0 ).issue ).to.equal( linkCheckerEditing.issues.get( 0 ) );
+		} );
+
+		it( 'should display the status of the link checker', async () => {
+			expect( checkerView.statusText ).to.equal( 'Links with issues: 1' );
+
+			const promise = linkCheckerEditing.checkLinks( { force: true } );
+
+			expect( checkerView.statusText ).to.equal( 'Checking links…' );
+
+			await promise;
+
+			editor.execute( 'fixLink', linkCheckerEditing.issues.get( 0 ).id );
+
+			expect( checkerView.statusText ).to.equal( 'No issues found.' );
+		} );
+
+		it( 'should check the links again using the action button', () => {
+			const spy = sinon.spy( linkCheckerEditing, 'checkLinks' );
+
+			getActionButton( 0 ).fire( 'execute' );
+
+			sinon.assert.calledOnceWithExactly( spy, { force: true } );
+			expect( getActionButton( 0 ).isEnabled ).to.be.false;
+		} );
+
+		it( 'should close the dialog using the action button', () => {
+			getActionButton( 1 ).fire( 'execute' );
+
+			expect( dialog.id ).to.be.null;
+		} );
+
+		it( 'should select the link when the issue is shown', () => {
+			const focusSpy = sinon.spy( editor.editing.view, 'focus' );
+			const scrollSpy = sinon.spy( editor.editing.view, 'scrollToTheSelection' );
+
+			checkerView.issueViews.get( 0 ).showButtonView.fire( 'execute' );
+
+			expect( getModelData( model ) ).to.equal(
+				'<paragraph>x[<$text linkHref="http://ckeditor.com">foo</$text>]</paragraph>' +
+				'<paragraph><$text linkHref="https://ckeditor.com">bar</$text></paragraph>'
+			);
+
+			sinon.assert.calledOnce( focusSpy );
+			sinon.assert.calledOnce( scrollSpy );
+		} );
+
+		it( 'should fix the link', () => {
+			const focusSpy = sinon.spy( checkerView, 'focus' );
+
+			checkerView.issueViews.get( 0 ).fixButtonView.fire( 'execute' );
+
+			expect( getModelData( model ) ).to.equal(
+				'<paragraph>[]x<$text linkHref="https://ckeditor.com">foo</$text></paragraph>' +
+				'<paragraph><$text linkHref="https://ckeditor.com">bar</$text></paragraph>'
+			);
+
+			expect( checkerView.issueViews.length ).to.equal( 0 );
+			sinon.assert.calledOnce( focusSpy );
+		} );
+
+		it( 'should remove the link', () => {
+			checkerView.issueViews.get( 0 ).removeButtonView.fire( 'execute' );
+
+			expect( getModelData( model ) ).to.equal(
+				'<paragraph>[]xfoo</paragraph>' +
+				'<paragraph><$text linkHref="https://ckeditor.com">bar</$text></paragraph>'
+			);
+		} );
+
+		it( 'should bind the state of the issue actions to the fixLink command', () => {
+			const issueView = checkerView.issueViews.get( 0 );
+
+			editor.enableReadOnlyMode( 'test' );
+
+			expect( issueView.fixButtonView.isEnabled ).to.be.false;
+			expect( issueView.removeButtonView.isEnabled ).to.be.false;
+			expect( issueView.showButtonView.isEnabled ).to.be.true;
+		} );
+	} );
+
+	function getActionButton( index ) {
+		return dialog.view.actionsView.children.get( index );
+	}
+} );
@@ -0,0 +1,18 @@
+/**
+ * @license Copyright (c) 2003-2024, CKSource Holding sp. z o.o. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+
+import LinkPreview from '../src/linkpreview.js';
+import LinkPreviewEditing from '../src/linkpreviewediting.js';
+import LinkUI from '../src/linkui.js';
+
+describe( 'LinkPreview', () => {
+	it( 'should require LinkPreviewEditing and LinkUI', () => {
+		expect( LinkPreview.requires ).to.deep.equal( [ LinkPreviewEditing, LinkUI ] );
+	} );
+
+	it( 'should be named', () => {
+		expect( LinkPreview.pluginName ).to.equal( 'LinkPreview' );
+	} );
+} );
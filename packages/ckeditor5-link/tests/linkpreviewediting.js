@@ -0,0 +1,255 @@
+/**
+ * @license Copyright (c) 2003-2024, CKSource Holding sp. z o.o. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+
+/* global console */
+
+import VirtualTestEditor from '@ckeditor/ckeditor5-core/tests/_utils/virtualtesteditor.js';
+import Paragraph from '@ckeditor/ckeditor5-paragraph/src/paragraph.js';
+import Widget from '@ckeditor/ckeditor5-widget/src/widget.js';
+import { getLabel } from '@ckeditor/ckeditor5-widget/src/utils.js';
+import { getData as getModelData, setData as setModelData } from '@ckeditor/ckeditor5-engine/src/dev-utils/model.js';
+import { getData as getViewData } from '@ckeditor/ckeditor5-engine/src/dev-utils/view.js';
+
+import LinkEditing from '../src/linkediting.js';
+import LinkPreviewEditing from '../src/linkpreviewediting.js';
+import InsertLinkCardCommand from '../src/insertlinkcardcommand.js';
+
+describe( 'LinkPreviewEditing', () => {
+	let editor, model, plugin;
+
+	beforeEach( async () => {
+		editor = await createEditor();
+	} );
+
+	afterEach( async () => {
+		sinon.restore();
+
+		await editor.destroy();
+	} );
+
+	it( 'should be named', () => {
+		expect( LinkPreviewEditing.pluginName ).to.equal( 'LinkPreviewEditing' );
+	} );
+
+	it( 'should require LinkEditing and Widget', () => {
+		expect( LinkPreviewEditing.requires ).to.deep.equal( [ LinkEditing, Widget ] );
+	} );
+
+	it( 'should register the insertLinkCard command', () => {
+		expect( editor.commands.get( 'insertLinkCard' ) ).to.be.instanceOf( InsertLinkCardCommand );
+	} );
+
+	it( 'should register the linkCard element as a block object', () => {
+		expect( model.schema.checkChild( [ '$root' ], 'linkCard' ) ).to.be.true;
+		expect( model.schema.checkChild( [ '$root', 'paragraph' ], 'linkCard' ) ).to.be.false;
+		expect( model.schema.isObject( 'linkCard' ) ).to.be.true;
+		expect( model.schema.isBlock( 'linkCard' ) ).to.be.true;
+
+		for ( const attribute of [ 'linkCardHref', 'linkCardTitle', 'linkCardDescription', 'linkCardFavicon' ] ) {
+			expect( model.schema.checkAttribute( [ '$root', 'linkCard' ], attribute ) ).to.be.true;
+		}
+	} );
+
+	describe( 'conversion', () => {
+		describe( 'upcast', () => {
+			it( 'should convert the link card', () => {
+				editor.setData(
+					'<a class="link-card" href="https://ckeditor.com">' +
+						'<figure>' +
+							'<img class="link-card__favicon" src="https://ckeditor.com/favicon.ico" alt="">' +
+							'<figcaption>' +
+								'<span class="link-card__title">CKEditor 5</span>' +
+								'<span class="link-card__description">The rich text editor.</span>' +
+							'</figcaption>' +
+						'</figure>' +
+					'</a>'
+				);
+
+				expect( getModelData( model, { withoutSelection: true } ) ).to.equal(
+					'<linkCard ' +
+						'linkCardDescription="The rich text editor." ' +
+						'linkCardFavicon="https://ckeditor.com/favicon.ico" ' +
+						'linkCardHref="https://ckeditor.com" ' +
+						'linkCardTitle="CKEditor 5">' +
+					'</linkCard>'
+				);
+			} );
+
+			it( 'should convert the link card without a preview', () => {
+				editor.setData(
+					'<a class="link-card" href="https://ckeditor.com">' +
+						'<figure><figcaption><span class="link-card__title">https://ckeditor.com</span></figcaption></figure>' +
+					'</a>'
+				);
+
+				expect( getModelData( model, { withoutSelection: true } ) ).to.equal(
+					'<linkCard linkCardHref="https://ckeditor.com"></linkCard>'
+				);
+			} );
+
+			it( 'should convert a link with other classes as a regular link', () => {
+				editor.setData( '<p><a class="foo" href="https://ckeditor.com">foo</a></p>' );
+
+				expect( getModelData( model, { withoutSelection: true } ) ).to.equal(
+					'<paragraph><$text linkHref="https://ckeditor.com">foo</$text></paragraph>'
+				);
+			} );
+
+			it( 'should not convert the link card without the href attribute', () => {
+				editor.setData( '<p><a class="link-card">foo</a></p>' );
+
+				expect( getModelData( model, { withoutSelection: true } ) ).to.equal( '<paragraph>foo</paragraph>' );
+			} );
+		} );
+
+		describe( 'data downcast', () => {
+			it( 'should convert the link card to a link wrapping a figure', () => {
+				setModelData( model,
+					'<linkCard ' +
+						'linkCardDescription="The rich text editor." ' +
+						'linkCardFavicon="https://ckeditor.com/favicon.ico" ' +
+						'linkCardHref="https://ckeditor.com" ' +
+						'linkCardTitle="CKEditor 5">' +
+					'</linkCard>'
+				);
+
+				expect( editor.getData() ).to.equal(
+					'<a class="link-card" href="https://ckeditor.com">' +
+						'<figure>' +
+							'<img class="link-card__favicon" src="https://ckeditor.com/favicon.ico" alt="">' +
+							'<figcaption>' +
+								'<span class="link-card__title">CKEditor 5</span>' +
+								'<span class="link-card__description">The rich text editor.</span>' +
+							'</figcaption>' +
+						'</figure>' +
+					'</a>'
+				);
+			} );
+
+			it( 'should use the URL as the title of the link card without a preview', () => {
+				setModelData( model, '<linkCard linkCardHref="https://ckeditor.com"></linkCard>' );
+
+				expect( editor.getData() ).to.equal(
+					'<a class="link-card" href="https://ckeditor.com">' +
+						'<figure><figcaption><span class="link-card__title">https://ckeditor.com</span></figcaption></figure>' +
+					'</a>'
+				);
+			} );
+		} );
+
+		describe( 'editing downcast', () => {
+			it( 'should convert the link card to a widget', () => {
+				setModelData( model, '<linkCard linkCardHref="https://ckeditor.com" linkCardTitle="CKEditor 5"></linkCard>' );
+
+				expect( getViewData( editor.editing.view, { withoutSelection: true } ) ).to.equal(
+					'<div class="ck-widget link-card" contenteditable="false">' +
+						'<figure><figcaption><span class="link-card__title">CKEditor 5</span></figcaption></figure>' +
+					'</div>'
+				);
+			} );
+
+			it( 'should set the label of the widget', () => {
+				setModelData( model, '<linkCard linkCardHref="https://ckeditor.com"></linkCard>' );
+
+				const viewElement = editor.editing.view.document.getRoot().getChild( 0 );
+
+				expect( getLabel( viewElement ) ).to.equal( 'Link card: https://ckeditor.com' );
+			} );
+
+			it( 'should update the widget when the preview changes', () => {
+				setModelData( model, '<linkCard linkCardHref="https://ckeditor.com"></linkCard>' );
+
+				model.change( writer => {
+					writer.setAttribute( 'linkCardDescription', 'The rich text editor.', model.document.getRoot().getChild( 0 ) );
+				} );
+
+				expect( getViewData( editor.editing.view, { withoutSelection: true } ) ).to.equal(
+					'<div class="ck-widget link-card" contenteditable="false">' +
+						'<figure><figcaption>' +
+							'<span class="link-card__title">https://ckeditor.com</span>' +
+							'<span class="link-card__description">The rich text editor.</span>' +
+						'</figcaption></figure>' +
+					'</div>'
+				);
+			} );
+		} );
+	} );
+
+	describe( 'getPreview()', () => {
+		it( 'should resolve with null if there is no provider', async () => {
+			expect( await plugin.getPreview( 'https://ckeditor.com' ) ).to.be.null;
+		} );
+
+		it( 'should resolve with the preview provided by the provider', async () => {
+			const preview = { title: 'CKEditor 5' };
+			const provider = sinon.stub().resolves( preview );
+
+			await recreateEditor( { provider } );
+
+			expect( await plugin.getPreview( 'https://ckeditor.com' ) ).to.equal( preview );
+			sinon.assert.calledOnceWithExactly( provider, 'https://ckeditor.com' );
+		} );
+
+		it( 'should call the provider once for each URL', async () => {
+			const provider = sinon.stub().resolves( null );
+
+			await recreateEditor( { provider } );
+
+			await Promise.all( [
+				plugin.getPreview( 'https://ckeditor.com' ),
+				plugin.getPreview( 'https://ckeditor.com' ),
+				plugin.getPreview( 'https://cksource.com' )
+			] );
+			await plugin.getPreview( 'https://ckeditor.com' );
+
+			sinon.assert.calledTwice( provider );
+		} );
+
+		it( 'should resolve with null and log a warning if the provider rejects', async () => {
+			const error = new Error( 'Failed' );
+			const provider = sinon.stub().rejects( error );
+			const consoleWarnStub = sinon.stub( console, 'warn' );
+
+			await recreateEditor( { provider } );
+
+			expect( await plugin.getPreview( 'https://ckeditor.com' ) ).to.be.null;
+
+			sinon.assert.calledOnce( consoleWarnStub );
+			expect( consoleWarnStub.firstCall.args[ 0 ] ).to.match( /^link-preview-provider-failed/ );
+			expect( consoleWarnStub.firstCall.args[ 1 ] ).to.deep.equal( { url: 'https://ckeditor.com', error } );
+		} );
+
+		it( 'should call the provider again after it rejected', async () => {
+			const provider = sinon.stub();
+
+			provider.onFirstCall().rejects( new Error( 'Failed' ) );
+			provider.onSecondCall().resolves( { title: 'CKEditor 5' } );
+			sinon.stub( console, 'warn' );
+
+			await recreateEditor( { provider } );
+
+			expect( await plugin.getPreview( 'https://ckeditor.com' ) ).to.be.null;
+			expect( await plugin.getPreview( 'https://ckeditor.com' ) ).to.deep.equal( { title: 'CKEditor 5' } );
+		} );
+	} );
+
+	async function createEditor( previewConfig ) {
+		const editor = await VirtualTestEditor.create( {
+			plugins: [ Paragraph, LinkEditing, LinkPreviewEditing ],
+			link: previewConfig ? { preview: previewConfig } : {}
+		} );
+
+		model = editor.model;
+		plugin = editor.plugins.get( LinkPreviewEditing );
+
+		return editor;
+	}
+
+	async function recreateEditor( previewConfig ) {
+		await editor.destroy();
+
+		editor = await createEditor( previewConfig );
+	}
+} );
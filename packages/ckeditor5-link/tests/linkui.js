@@ -16,6 +16,8 @@ import { getData as getViewData } from '@ckeditor/ckeditor5-engine/src/dev-utils
 import env from '@ckeditor/ckeditor5-utils/src/env.js';
 import Paragraph from '@ckeditor/ckeditor5-paragraph/src/paragraph.js';
 import BlockQuote from '@ckeditor/ckeditor5-block-quote/src/blockquote.js';
+import HeadingEditing from '@ckeditor/ckeditor5-heading/src/headingediting.js';
+import UndoEditing from '@ckeditor/ckeditor5-undo/src/undoediting.js';
 import ClickObserver from '@ckeditor/ckeditor5-engine/src/view/observer/clickobserver.js';
 import ContextualBalloon from '@ckeditor/ckeditor5-ui/src/panel/balloon/contextualballoon.js';
 import ButtonView from '@ckeditor/ckeditor5-ui/src/button/buttonview.js';
@@ -24,6 +26,8 @@ import { toWidget } from '@ckeditor/ckeditor5-widget';
 
 import LinkEditing from '../src/linkediting.js';
 import LinkUI from '../src/linkui.js';
+import BookmarkEditing from '../src/bookmarkediting.js';
+import LinkPreviewEditing from '../src/linkpreviewediting.js';
 import LinkFormView from '../src/ui/linkformview.js';
 import LinkActionsView from '../src/ui/linkactionsview.js';
 import { MenuBarMenuListItemButtonView } from '@ckeditor/ckeditor5-ui';
@@ -952,6 +956,14 @@ describe( 'LinkUI', () => {
 
 			expect( linkUIFeature.formView.disableCssTransitions ).to.be.a( 'function' );
 		} );
+
+		it( 'should not pass any anchors to the #formView when bookmarks are not loaded', () => {
+			setModelData( editor.model, '<paragraph>f[o]o</paragraph>' );
+
+			linkUIFeature._addFormView();
+
+			expect( linkUIFeature.formView.anchors ).to.deep.equal( [] );
+		} );
 	} );
 
 	describe( '_hideUI()', () => {
@@ -1960,4 +1972,208 @@ describe( 'LinkUI', () => {
 			} );
 		} );
 	} );
+
+	describe( 'anchors', () => {
+		let editor, linkUIFeature, formView, element;
+
+		beforeEach( async () => {
+			element = document.createElement( 'div' );
+			document.body.appendChild( element );
+
+			editor = await ClassicTestEditor.create( element, {
+				plugins: [ LinkEditing, LinkUI, Paragraph, HeadingEditing, BookmarkEditing, UndoEditing ]
+			} );
+
+			linkUIFeature = editor.plugins.get( LinkUI );
+
+			const balloon = editor.plugins.get( ContextualBalloon );
+
+			testUtils.sinon.stub( balloon.view, 'attachTo' ).returns( {} );
+			testUtils.sinon.stub( balloon.view, 'pin' ).returns( {} );
+
+			setModelData( editor.model,
+				'<heading1>Terms of use</heading1>' +
+				'<paragraph>f[o]o<bookmark bookmarkId="refunds"></bookmark></paragraph>'
+			);
+
+			linkUIFeature._showUI();
+			formView = linkUIFeature.formView;
+		} );
+
+		afterEach( async () => {
+			element.remove();
+
+			await editor.destroy();
+		} );
+
+		it( 'should pass the anchors in the document to the form', () => {
+			expect( formView.anchors.map( ( { id, type } ) => ( { id, type } ) ) ).to.deep.equal( [
+				{ id: 'terms-of-use', type: 'heading' },
+				{ id: 'refunds', type: 'bookmark' }
+			] );
+		} );
+
+		it( 'should assign the id to the linked heading in the same undo step as the link', () => {
+			formView.urlInputView.fieldView.value = '#terms-of-use';
+			formView.fire( 'submit' );
+
+			expect( getModelData( editor.model ) ).to.equal(
+				'<heading1 headingId="terms-of-use">Terms of use</heading1>' +
+				'<paragraph>f[<$text linkHref="#terms-of-use">o</$text>]o<bookmark bookmarkId="refunds"></bookmark></paragraph>'
+			);
+
+			editor.execute( 'undo' );
+
+			expect( getModelData( editor.model ) ).to.equal(
+				'<heading1>Terms of use</heading1>' +
+				'<paragraph>f[o]o<bookmark bookmarkId="refunds"></bookmark></paragraph>'
+			);
+		} );
+
+		it( 'should not change the document when linking to a bookmark', () => {
+			formView.urlInputView.fieldView.value = '#refunds';
+			formView.fire( 'submit' );
+
+			expect( getModelData( editor.model ) ).to.equal(
+				'<heading1>Terms of use</heading1>' +
+				'<paragraph>f[<$text linkHref="#refunds">o</$text>]o<bookmark bookmarkId="refunds"></bookmark></paragraph>'
+			);
+		} );
+
+		it( 'should not assign the id to the heading when linking elsewhere', () => {
+			formView.urlInputView.fieldView.value = 'https://ckeditor.com';
+			formView.fire( 'submit' );
+
+			expect( getModelData( editor.model ) ).to.equal(
+				'<heading1>Terms of use</heading1>' +
+				'<paragraph>f[<$text linkHref="https://ckeditor.com">o</$text>]o<bookmark bookmarkId="refunds"></bookmark></paragraph>'
+			);
+		} );
+	} );
+
+	describe( 'link previews', () => {
+		let editor, linkUIFeature, actionsView, element, getPreviewStub, previewPromise;
+
+		const preview = { title: 'CKEditor 5', description: 'The rich text editor.' };
+
+		beforeEach( async () => {
+			element = document.createElement( 'div' );
+			document.body.appendChild( element );
+
+			editor = await ClassicTestEditor.create( element, {
+				plugins: [ LinkEditing, LinkUI, Paragraph, LinkPreviewEditing ]
+			} );
+
+			linkUIFeature = editor.plugins.get( LinkUI );
+			previewPromise = Promise.resolve( preview );
+			getPreviewStub = testUtils.sinon.stub( editor.plugins.get( LinkPreviewEditing ), 'getPreview' ).returns( previewPromise );
+
+			const balloon = editor.plugins.get( ContextualBalloon );
+
+			testUtils.sinon.stub( balloon.view, 'attachTo' ).returns( {} );
+			testUtils.sinon.stub( balloon.view, 'pin' ).returns( {} );
+
+			setModelData( editor.model, '<paragraph><$text linkHref="https://ckeditor.com">f[]oo</$text></paragraph>' );
+
+			linkUIFeature._showUI();
+			actionsView = linkUIFeature.actionsView;
+		} );
+
+		afterEach( async () => {
+			element.remove();
+
+			await editor.destroy();
+		} );
+
+		it( 'should display the "Insert link card" button', () => {
+			expect( actionsView.linkPreviewView.insertButtonView.isVisible ).to.be.true;
+		} );
+
+		it( 'should bind the "Insert link card" button #isEnabled to the insertLinkCard command', () => {
+			const command = editor.commands.get( 'insertLinkCard' );
+
+			command.isEnabled = false;
+			expect( actionsView.linkPreviewView.insertButtonView.isEnabled ).to.be.false;
+
+			command.isEnabled = true;
+			expect( actionsView.linkPreviewView.insertButtonView.isEnabled ).to.be.true;
+		} );
+
+		it( 'should request the preview of the link when the actions are displayed', async () => {
+			sinon.assert.calledOnceWithExactly( getPreviewStub, 'https://ckeditor.com' );
+			expect( actionsView.linkPreview ).to.be.null;
+
+			await previewPromise;
+
+			expect( actionsView.linkPreview ).to.equal( preview );
+		} );
+
+		it( 'should update the editor UI when the preview is displayed', async () => {
+			const spy = testUtils.sinon.spy( editor.ui, 'update' );
+
+			await previewPromise;
+
+			sinon.assert.called( spy );
+		} );
+
+		it( 'should not display the preview if the link has changed in the meantime', async () => {
+			actionsView.href = 'https://cksource.com';
+
+			await previewPromise;
+
+			expect( actionsView.linkPreview ).to.be.null;
+		} );
+
+		it( 'should not display the preview if the actions are no longer displayed', async () => {
+			linkUIFeature._hideUI();
+
+			await previewPromise;
+
+			expect( actionsView.linkPreview ).to.be.null;
+		} );
+
+		it( 'should insert the link card and hide the UI on the "Insert link card" button execute', async () => {
+			const executeSpy = testUtils.sinon.spy( editor, 'execute' );
+
+			await previewPromise;
+
+			actionsView.linkPreviewView.insertButtonView.fire( 'execute' );
+
+			sinon.assert.calledWithExactly( executeSpy, 'insertLinkCard', 'https://ckeditor.com', preview );
+			expect( getModelData( editor.model ) ).to.equal(
+				'<paragraph><$text linkHref="https://ckeditor.com">foo</$text></paragraph>' +
+				'[<linkCard ' +
+					'linkCardDescription="The rich text editor." ' +
+					'linkCardHref="https://ckeditor.com" ' +
+					'linkCardTitle="CKEditor 5">' +
+				'</linkCard>]'
+			);
+			expect( linkUIFeature._isUIVisible ).to.be.false;
+		} );
+
+		it( 'should not request the preview without the LinkPreviewEditing plugin', async () => {
+			const element = document.createElement( 'div' );
+			document.body.appendChild( element );
+
+			const editor = await ClassicTestEditor.create( element, {
+				plugins: [ LinkEditing, LinkUI, Paragraph ]
+			} );
+
+			const linkUIFeature = editor.plugins.get( LinkUI );
+			const balloon = editor.plugins.get( ContextualBalloon );
+
+			testUtils.sinon.stub( balloon.view, 'attachTo' ).returns( {} );
+			testUtils.sinon.stub( balloon.view, 'pin' ).returns( {} );
+
+			setModelData( editor.model, '<paragraph><$text linkHref="https://ckeditor.com">f[]oo</$text></paragraph>' );
+
+			linkUIFeature._showUI();
+
+			expect( linkUIFeature.actionsView.linkPreview ).to.be.null;
+			expect( linkUIFeature.actionsView.linkPreviewView.insertButtonView.isVisible ).to.be.false;
+
+			element.remove();
+			await editor.destroy();
+		} );
+	} );
 } );
@@ -0,0 +1,253 @@
+/**
+ * @license Copyright (c) 2003-2024, CKSource Holding sp. z o.o. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+
+/* globals Event, document */
+
+import BookmarkFormView from '../../src/ui/bookmarkformview.js';
+import View from '@ckeditor/ckeditor5-ui/src/view.js';
+import { keyCodes } from '@ckeditor/ckeditor5-utils/src/keyboard.js';
+import KeystrokeHandler from '@ckeditor/ckeditor5-utils/src/keystrokehandler.js';
+import FocusTracker from '@ckeditor/ckeditor5-utils/src/focustracker.js';
+import testUtils from '@ckeditor/ckeditor5-core/tests/_utils/utils.js';
+
+describe( 'BookmarkFormView', () => {
+	let view;
+
+	testUtils.createSinonSandbox();
+
+	beforeEach( () => {
+		view = new BookmarkFormView( { t: val => val }, [] );
+		view.render();
+		document.body.appendChild( view.element );
+	} );
+
+	afterEach( () => {
+		view.element.remove();
+		view.destroy();
+	} );
+
+	describe( 'constructor()', () => {
+		it( 'should create element from template', () => {
+			expect( view.element.tagName ).to.equal( 'FORM' );
+			expect( view.element.classList.contains( 'ck' ) ).to.true;
+			expect( view.element.classList.contains( 'ck-bookmark-form' ) ).to.true;
+			expect( view.element.classList.contains( 'ck-responsive-form' ) ).to.true;
+			expect( view.element.getAttribute( 'tabindex' ) ).to.equal( '-1' );
+		} );
+
+		it( 'should create child views', () => {
+			expect( view.idInputView ).to.be.instanceOf( View );
+			expect( view.saveButtonView ).to.be.instanceOf( View );
+			expect( view.cancelButtonView ).to.be.instanceOf( View );
+
+			expect( view.saveButtonView.element.classList.contains( 'ck-button-save' ) ).to.be.true;
+			expect( view.saveButtonView.type ).to.equal( 'submit' );
+			expect( view.cancelButtonView.element.classList.contains( 'ck-button-cancel' ) ).to.be.true;
+
+			expect( view.children.get( 0 ) ).to.equal( view.idInputView );
+			expect( view.children.get( 1 ) ).to.equal( view.saveButtonView );
+			expect( view.children.get( 2 ) ).to.equal( view.cancelButtonView );
+		} );
+
+		it( 'should set the label and the info text of the input', () => {
+			expect( view.idInputView.label ).to.equal( 'Bookmark name' );
+			expect( view.idInputView.infoText ).to.equal( 'Enter the bookmark name without spaces.' );
+		} );
+
+		it( 'should create #focusTracker instance', () => {
+			expect( view.focusTracker ).to.be.instanceOf( FocusTracker );
+		} );
+
+		it( 'should create #keystrokes instance', () => {
+			expect( view.keystrokes ).to.be.instanceOf( KeystrokeHandler );
+		} );
+
+		it( 'should fire `cancel` event on cancelButtonView#execute', () => {
+			const spy = sinon.spy();
+
+			view.on( 'cancel', spy );
+			view.cancelButtonView.fire( 'execute' );
+
+			sinon.assert.calledOnce( spy );
+		} );
+	} );
+
+	describe( 'render()', () => {
+		it( 'should register child views in #_focusables', () => {
+			expect( view._focusables.map( f => f ) ).to.have.members( [
+				view.idInputView,
+				view.saveButtonView,
+				view.cancelButtonView
+			] );
+		} );
+
+		it( 'should register child views\' #element in #focusTracker', () => {
+			const view = new BookmarkFormView( { t: () => {} }, [] );
+			const spy = testUtils.sinon.spy( view.focusTracker, 'add' );
+
+			view.render();
+
+			sinon.assert.calledWithExactly( spy.getCall( 0 ), view.idInputView.element );
+			sinon.assert.calledWithExactly( spy.getCall( 1 ), view.saveButtonView.element );
+			sinon.assert.calledWithExactly( spy.getCall( 2 ), view.cancelButtonView.element );
+
+			view.destroy();
+		} );
+
+		it( 'starts listening for #keystrokes coming from #element', () => {
+			const view = new BookmarkFormView( { t: () => {} }, [] );
+			const spy = sinon.spy( view.keystrokes, 'listenTo' );
+
+			view.render();
+			sinon.assert.calledOnce( spy );
+			sinon.assert.calledWithExactly( spy, view.element );
+
+			view.destroy();
+		} );
+
+		it( 'should fire `submit` event on the form submit', () => {
+			const spy = sinon.spy();
+
+			view.on( 'submit', spy );
+			view.element.dispatchEvent( new Event( 'submit' ) );
+
+			sinon.assert.calledOnce( spy );
+		} );
+
+		describe( 'activates keyboard navigation for the form', () => {
+			it( 'so "tab" focuses the next focusable item', () => {
+				const keyEvtData = {
+					keyCode: keyCodes.tab,
+					preventDefault: sinon.spy(),
+					stopPropagation: sinon.spy()
+				};
+
+				// Mock the bookmark name input is focused.
+				view.focusTracker.isFocused = true;
+				view.focusTracker.focusedElement = view.idInputView.element;
+
+				const spy = sinon.spy( view.saveButtonView, 'focus' );
+
+				view.keystrokes.press( keyEvtData );
+				sinon.assert.calledOnce( keyEvtData.preventDefault );
+				sinon.assert.calledOnce( keyEvtData.stopPropagation );
+				sinon.assert.calledOnce( spy );
+			} );
+
+			it( 'so "shift + tab" focuses the previous focusable item', () => {
+				const keyEvtData = {
+					keyCode: keyCodes.tab,
+					shiftKey: true,
+					preventDefault: sinon.spy(),
+					stopPropagation: sinon.spy()
+				};
+
+				// Mock the cancel button is focused.
+				view.focusTracker.isFocused = true;
+				view.focusTracker.focusedElement = view.cancelButtonView.element;
+
+				const spy = sinon.spy( view.saveButtonView, 'focus' );
+
+				view.keystrokes.press( keyEvtData );
+				sinon.assert.calledOnce( keyEvtData.preventDefault );
+				sinon.assert.calledOnce( keyEvtData.stopPropagation );
+				sinon.assert.calledOnce( spy );
+			} );
+		} );
+	} );
+
+	describe( 'destroy()', () => {
+		it( 'should destroy the FocusTracker instance', () => {
+			const destroySpy = sinon.spy( view.focusTracker, 'destroy' );
+
+			view.destroy();
+
+			sinon.assert.calledOnce( destroySpy );
+		} );
+
+		it( 'should destroy the KeystrokeHandler instance', () => {
+			const destroySpy = sinon.spy( view.keystrokes, 'destroy' );
+
+			view.destroy();
+
+			sinon.assert.calledOnce( destroySpy );
+		} );
+	} );
+
+	describe( 'focus()', () => {
+		it( 'focuses the #idInputView', () => {
+			const spy = sinon.spy( view.idInputView, 'focus' );
+
+			view.focus();
+
+			sinon.assert.calledOnce( spy );
+		} );
+	} );
+
+	describe( 'bookmarkId getter', () => {
+		it( 'should return the trimmed DOM value of the input', () => {
+			view.idInputView.fieldView.element.value = ' intro ';
+
+			expect( view.bookmarkId ).to.equal( 'intro' );
+		} );
+
+		it( 'should return null if the view is not rendered', () => {
+			const view = new BookmarkFormView( { t: () => {} }, [] );
+
+			expect( view.bookmarkId ).to.be.null;
+
+			view.destroy();
+		} );
+	} );
+
+	describe( 'isValid()', () => {
+		it( 'should reset the error after a successful validation', () => {
+			const view = new BookmarkFormView( { t: () => {} }, [
+				() => undefined
+			] );
+
+			view.idInputView.errorText = 'Error';
+
+			expect( view.isValid() ).to.be.true;
+			expect( view.idInputView.errorText ).to.be.null;
+
+			view.destroy();
+		} );
+
+		it( 'should display the first error returned by the validators', () => {
+			const view = new BookmarkFormView( { t: () => {} }, [
+				() => undefined,
+				() => 'Foo bar',
+				() => 'Another error'
+			] );
+
+			expect( view.isValid() ).to.be.false;
+			expect( view.idInputView.errorText ).to.equal( 'Foo bar' );
+
+			view.destroy();
+		} );
+
+		it( 'should pass the view instance to the validators', () => {
+			const validatorSpy = sinon.spy();
+			const view = new BookmarkFormView( { t: () => {} }, [ validatorSpy ] );
+
+			view.isValid();
+
+			sinon.assert.calledOnceWithExactly( validatorSpy, view );
+
+			view.destroy();
+		} );
+	} );
+
+	describe( 'resetFormStatus()', () => {
+		it( 'should clear the form input errors', () => {
+			view.idInputView.errorText = 'Error';
+
+			view.resetFormStatus();
+
+			expect( view.idInputView.errorText ).to.be.null;
+		} );
+	} );
+} );
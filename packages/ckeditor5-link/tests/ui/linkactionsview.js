@@ -6,6 +6,7 @@
 /* globals document */
 
 import LinkActionsView from '../../src/ui/linkactionsview.js';
+import LinkPreviewView from '../../src/ui/linkpreviewview.js';
 import View from '@ckeditor/ckeditor5-ui/src/view.js';
 import { keyCodes } from '@ckeditor/ckeditor5-utils/src/keyboard.js';
 import KeystrokeHandler from '@ckeditor/ckeditor5-utils/src/keystrokehandler.js';
@@ -141,11 +142,39 @@ describe( 'LinkActionsView', () => {
 			} );
 		} );
 
+		describe( 'link preview view', () => {
+			it( 'is created', () => {
+				expect( view.linkPreviewView ).to.be.instanceOf( LinkPreviewView );
+				expect( view.linkPreview ).to.be.null;
+			} );
+
+			it( 'binds #href and #preview to view#href and view#linkPreview', () => {
+				const preview = { title: 'CKEditor 5' };
+
+				view.href = 'https://ckeditor.com';
+				view.linkPreview = preview;
+
+				expect( view.linkPreviewView.href ).to.equal( 'https://ckeditor.com' );
+				expect( view.linkPreviewView.preview ).to.equal( preview );
+			} );
+
+			it( 'delegates the `insertCard` event to the view', () => {
+				const spy = sinon.spy();
+
+				view.on( 'insertCard', spy );
+
+				view.linkPreviewView.insertButtonView.fire( 'execute' );
+
+				sinon.assert.calledOnce( spy );
+			} );
+		} );
+
 		describe( 'template', () => {
 			it( 'has child views', () => {
 				expect( view.template.children[ 0 ] ).to.equal( view.previewButtonView );
 				expect( view.template.children[ 1 ] ).to.equal( view.editButtonView );
 				expect( view.template.children[ 2 ] ).to.equal( view.unlinkButtonView );
+				expect( view.template.children[ 3 ] ).to.equal( view.linkPreviewView );
 			} );
 		} );
 	} );
@@ -172,6 +201,38 @@ describe( 'LinkActionsView', () => {
 			view.destroy();
 		} );
 
+		it( 'should register the "Insert link card" button in #_focusables only when it is displayed', () => {
+			const insertButtonView = view.linkPreviewView.insertButtonView;
+
+			view.linkPreview = { title: 'CKEditor 5' };
+
+			expect( view._focusables.has( insertButtonView ) ).to.be.false;
+
+			insertButtonView.isVisible = true;
+
+			expect( view._focusables.has( insertButtonView ) ).to.be.true;
+			expect( view._focusables.last ).to.equal( insertButtonView );
+
+			view.linkPreview = null;
+
+			expect( view._focusables.has( insertButtonView ) ).to.be.false;
+		} );
+
+		it( 'should register the "Insert link card" button in #focusTracker only when it is displayed', () => {
+			const insertButtonView = view.linkPreviewView.insertButtonView;
+			const addSpy = sinon.spy( view.focusTracker, 'add' );
+			const removeSpy = sinon.spy( view.focusTracker, 'remove' );
+
+			insertButtonView.isVisible = true;
+			view.linkPreview = { title: 'CKEditor 5' };
+
+			sinon.assert.calledOnceWithExactly( addSpy, insertButtonView.element );
+
+			insertButtonView.isVisible = false;
+
+			sinon.assert.calledOnceWithExactly( removeSpy, insertButtonView.element );
+		} );
+
 		it( 'starts listening for #keystrokes coming from #element', () => {
 			const view = new LinkActionsView( { t: () => {} } );
 
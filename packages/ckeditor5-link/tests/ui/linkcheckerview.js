@@ -0,0 +1,281 @@
+/**
+ * @license Copyright (c) 2003-2024, CKSource Holding sp. z o.o. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+
+/* globals document */
+
+import LinkCheckerView, { LinkCheckerIssueView } from '../../src/ui/linkcheckerview.js';
+import ButtonView from '@ckeditor/ckeditor5-ui/src/button/buttonview.js';
+import { keyCodes } from '@ckeditor/ckeditor5-utils/src/keyboard.js';
+import KeystrokeHandler from '@ckeditor/ckeditor5-utils/src/keystrokehandler.js';
+import FocusTracker from '@ckeditor/ckeditor5-utils/src/focustracker.js';
+import testUtils from '@ckeditor/ckeditor5-core/tests/_utils/utils.js';
+
+describe( 'LinkCheckerView', () => {
+	let view, locale;
+
+	testUtils.createSinonSandbox();
+
+	beforeEach( () => {
+		locale = { t: val => val };
+		view = new LinkCheckerView( locale );
+		view.render();
+		document.body.appendChild( view.element );
+	} );
+
+	afterEach( () => {
+		view.element.remove();
+		view.destroy();
+	} );
+
+	describe( 'constructor()', () => {
+		it( 'should create element from template', () => {
+			expect( view.element.classList.contains( 'ck' ) ).to.true;
+			expect( view.element.classList.contains( 'ck-link-checker' ) ).to.true;
+			expect( view.element.getAttribute( 'tabindex' ) ).to.equal( '-1' );
+		} );
+
+		it( 'should create the status element bound to #statusText', () => {
+			const statusElement = view.element.firstChild;
+
+			expect( statusElement.classList.contains( 'ck-link-checker__status' ) ).to.true;
+			expect( statusElement.getAttribute( 'role' ) ).to.equal( 'status' );
+			expect( statusElement.textContent ).to.equal( '' );
+
+			view.statusText = 'No issues found.';
+
+			expect( statusElement.textContent ).to.equal( 'No issues found.' );
+		} );
+
+		it( 'should render #issueViews in the list', () => {
+			const issueView = new LinkCheckerIssueView( locale, createIssue( 'a' ) );
+
+			view.issueViews.add( issueView );
+
+			expect( view.element.lastChild.classList.contains( 'ck-link-checker__issues' ) ).to.true;
+			expect( view.element.lastChild.firstChild ).to.equal( issueView.element );
+		} );
+
+		it( 'should create #focusTracker instance', () => {
+			expect( view.focusTracker ).to.be.instanceOf( FocusTracker );
+		} );
+
+		it( 'should create #keystrokes instance', () => {
+			expect( view.keystrokes ).to.be.instanceOf( KeystrokeHandler );
+		} );
+
+		it( 'should delegate the events of the issue views', () => {
+			const spy = sinon.spy();
+
+			view.on( 'show', spy );
+			view.on( 'fix', spy );
+			view.on( 'remove', spy );
+
+			view.issueViews.add( new LinkCheckerIssueView( locale, createIssue( 'a', 'https://ckeditor.com' ) ) );
+
+			const issueView = view.issueViews.get( 0 );
+
+			issueView.showButtonView.fire( 'execute' );
+			issueView.fixButtonView.fire( 'execute' );
+			issueView.removeButtonView.fire( 'execute' );
+
+			sinon.assert.calledThrice( spy );
+			expect( spy.args.map( ( [ evt, issueId ] ) => [ evt.name, issueId ] ) ).to.deep.equal( [
+				[ 'show', 'a' ], [ 'fix', 'a' ], [ 'remove', 'a' ]
+			] );
+		} );
+	} );
+
+	describe( 'render()', () => {
+		it( 'should register the buttons of the issue views in the focus cycler in the right order', () => {
+			const first = new LinkCheckerIssueView( locale, createIssue( 'a', 'https://ckeditor.com' ) );
+			const second = new LinkCheckerIssueView( locale, createIssue( 'b' ) );
+			const third = new LinkCheckerIssueView( locale, createIssue( 'c' ) );
+
+			view.issueViews.add( first );
+			view.issueViews.add( third );
+			view.issueViews.add( second, 1 );
+
+			expect( Array.from( view._focusables ) ).to.deep.equal( [
+				...first.focusables, ...second.focusables, ...third.focusables
+			] );
+
+			view.issueViews.remove( second );
+
+			expect( Array.from( view._focusables ) ).to.deep.equal( [ ...first.focusables, ...third.focusables ] );
+		} );
+
+		it( 'should register the buttons of the issue views added before rendering', () => {
+			const otherView = new LinkCheckerView( locale );
+			const issueView = new LinkCheckerIssueView( locale, createIssue( 'a' ) );
+
+			otherView.issueViews.add( issueView );
+			otherView.render();
+
+			expect( Array.from( otherView._focusables ) ).to.deep.equal( issueView.focusables );
+
+			otherView.destroy();
+		} );
+
+		it( 'should start listening for #keystrokes coming from #element', () => {
+			const otherView = new LinkCheckerView( locale );
+			const spy = sinon.spy( otherView.keystrokes, 'listenTo' );
+
+			otherView.render();
+
+			sinon.assert.calledOnceWithExactly( spy, otherView.element );
+
+			otherView.destroy();
+		} );
+
+		it( 'should cycle the focus using the Tab key', () => {
+			const issueView = new LinkCheckerIssueView( locale, createIssue( 'a' ) );
+
+			view.issueViews.add( issueView );
+
+			const keyEvtData = {
+				keyCode: keyCodes.tab,
+				preventDefault: sinon.spy(),
+				stopPropagation: sinon.spy()
+			};
+
+			view.focusTracker.isFocused = true;
+			view.focusTracker.focusedElement = issueView.showButtonView.element;
+
+			const spy = sinon.spy( issueView.removeButtonView, 'focus' );
+
+			view.keystrokes.press( keyEvtData );
+
+			sinon.assert.calledOnce( keyEvtData.preventDefault );
+			sinon.assert.calledOnce( spy );
+		} );
+	} );
+
+	describe( 'focus()', () => {
+		let first, second;
+
+		beforeEach( () => {
+			first = new LinkCheckerIssueView( locale, createIssue( 'a' ) );
+			second = new LinkCheckerIssueView( locale, createIssue( 'b' ) );
+
+			view.issueViews.addMany( [ first, second ] );
+		} );
+
+		it( 'should focus the first issue', () => {
+			const spy = sinon.spy( first.showButtonView, 'focus' );
+
+			view.focus();
+
+			sinon.assert.calledOnce( spy );
+		} );
+
+		it( 'should focus the last focusable of the last issue', () => {
+			const spy = sinon.spy( second.removeButtonView, 'focus' );
+
+			view.focus( -1 );
+
+			sinon.assert.calledOnce( spy );
+		} );
+	} );
+} );
+
+describe( 'LinkCheckerIssueView', () => {
+	let view, locale;
+
+	beforeEach( () => {
+		locale = { t: val => val };
+	} );
+
+	afterEach( () => {
+		view.destroy();
+	} );
+
+	it( 'should create element from template', () => {
+		view = new LinkCheckerIssueView( locale, createIssue( 'a' ) );
+		view.render();
+
+		expect( view.element.tagName ).to.equal( 'LI' );
+		expect( view.element.classList.contains( 'ck-link-checker__issue' ) ).to.true;
+		expect( view.element.classList.contains( 'ck-link-checker__issue_broken' ) ).to.true;
+	} );
+
+	it( 'should create the button showing the URL of the link', () => {
+		view = new LinkCheckerIssueView( locale, createIssue( 'a' ) );
+		view.render();
+
+		expect( view.showButtonView ).to.be.instanceOf( ButtonView );
+		expect( view.showButtonView.label ).to.equal( 'http://ckeditor.com' );
+		expect( view.showButtonView.withText ).to.be.true;
+		expect( view.showButtonView.tooltip ).to.equal( 'Show in the content' );
+		expect( view.element.firstChild ).to.equal( view.showButtonView.element );
+	} );
+
+	it( 'should create the fix button if the issue has a fixed URL', () => {
+		view = new LinkCheckerIssueView( locale, createIssue( 'a', 'https://ckeditor.com' ) );
+		view.render();
+
+		expect( view.fixButtonView ).to.be.instanceOf( ButtonView );
+		expect( view.fixButtonView.label ).to.equal( 'Fix link' );
+		expect( view.focusables ).to.deep.equal( [ view.showButtonView, view.fixButtonView, view.removeButtonView ] );
+	} );
+
+	it( 'should not create the fix button if the issue has no fixed URL', () => {
+		view = new LinkCheckerIssueView( locale, createIssue( 'a' ) );
+		view.render();
+
+		expect( view.fixButtonView ).to.be.null;
+		expect( view.focusables ).to.deep.equal( [ view.showButtonView, view.removeButtonView ] );
+	} );
+
+	it( 'should create the unlink button', () => {
+		view = new LinkCheckerIssueView( locale, createIssue( 'a' ) );
+		view.render();
+
+		expect( view.removeButtonView ).to.be.instanceOf( ButtonView );
+		expect( view.removeButtonView.label ).to.equal( 'Unlink' );
+	} );
+
+	describe( 'message', () => {
+		it( 'should display the message of the issue', () => {
+			view = new LinkCheckerIssueView( locale, { ...createIssue( 'a' ), message: 'Custom message.' } );
+			view.render();
+
+			expect( getMessage() ).to.equal( 'Custom message.' );
+		} );
+
+		it( 'should display the default message of the issue type', () => {
+			const messages = {
+				broken: 'The link target cannot be reached.',
+				insecure: 'The link does not use a secure connection.',
+				disallowed: 'The link points to a disallowed domain.',
+				custom: 'The link has an issue.'
+			};
+
+			view = new LinkCheckerIssueView( locale, createIssue( 'a' ) );
+
+			for ( const [ type, message ] of Object.entries( messages ) ) {
+				const issueView = new LinkCheckerIssueView( locale, { ...createIssue( 'a' ), type } );
+
+				issueView.render();
+
+				expect( getMessage( issueView ) ).to.equal( message );
+
+				issueView.destroy();
+			}
+		} );
+
+		function getMessage( issueView = view ) {
+			return issueView.element.querySelector( '.ck-link-checker__issue-message' ).textContent;
+		}
+	} );
+} );
+
+function createIssue( id, fixedUrl ) {
+	return {
+		id,
+		type: 'broken',
+		url: 'http://ckeditor.com',
+		...( fixedUrl ? { fixedUrl } : {} )
+	};
+}
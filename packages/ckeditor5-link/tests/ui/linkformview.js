@@ -271,6 +271,106 @@ describe( 'LinkFormView', () => {
 		} );
 	} );
 
+	describe( 'setAnchors()', () => {
+		let anchors;
+
+		beforeEach( () => {
+			anchors = [
+				{ id: 'introduction', label: 'Introduction', type: 'heading' },
+				{ id: 'refunds', label: 'refunds', type: 'bookmark' },
+				{ id: 'contact', label: 'Contact us', type: 'heading' }
+			];
+		} );
+
+		it( 'should not display the anchors list by default', () => {
+			expect( view.anchors ).to.deep.equal( [] );
+			expect( view.children.has( view.anchorsView ) ).to.be.false;
+			expect( view._focusables.has( view.anchorsView ) ).to.be.false;
+		} );
+
+		it( 'should display all anchors right after the URL input when the URL is empty', () => {
+			view.setAnchors( anchors );
+
+			expect( view.anchors ).to.equal( anchors );
+			expect( view.children.get( 1 ) ).to.equal( view.anchorsView );
+			expect( view._focusables.get( 1 ) ).to.equal( view.anchorsView );
+			expect( view.element.childNodes[ 1 ] ).to.equal( view.anchorsView.element );
+			expect( view.anchorsView.items.map( item => item.children.first.label ) ).to.deep.equal( [
+				'Introduction', 'refunds', 'Contact us'
+			] );
+		} );
+
+		it( 'should create the anchor buttons', () => {
+			view.setAnchors( anchors );
+
+			const buttonView = view.anchorsView.items.first.children.first;
+
+			expect( buttonView.withText ).to.be.true;
+			expect( buttonView.tooltip ).to.equal( '#introduction' );
+			expect( buttonView.class ).to.equal( 'ck-link-form__anchor ck-link-form__anchor_heading' );
+			expect( view.anchorsView.element.classList.contains( 'ck-link-form__anchors' ) ).to.be.true;
+		} );
+
+		it( 'should filter the anchors by the id and the label when the URL starts with "#"', () => {
+			view.setAnchors( anchors );
+
+			view.urlInputView.fieldView.element.value = '#US';
+			view.urlInputView.fieldView.fire( 'input' );
+
+			expect( view.anchorsView.items.map( item => item.children.first.label ) ).to.deep.equal( [ 'refunds', 'Contact us' ] );
+
+			view.urlInputView.fieldView.element.value = '#intro';
+			view.urlInputView.fieldView.fire( 'input' );
+
+			expect( view.anchorsView.items.map( item => item.children.first.label ) ).to.deep.equal( [ 'Introduction' ] );
+		} );
+
+		it( 'should remove the anchors list when no anchor matches the URL', () => {
+			view.setAnchors( anchors );
+
+			view.urlInputView.fieldView.element.value = 'https://ckeditor.com';
+			view.urlInputView.fieldView.fire( 'input' );
+
+			expect( view.anchorsView.items.length ).to.equal( 0 );
+			expect( view.children.has( view.anchorsView ) ).to.be.false;
+			expect( view._focusables.has( view.anchorsView ) ).to.be.false;
+		} );
+
+		it( 'should update the anchors list when the URL value changes', () => {
+			view.setAnchors( anchors );
+
+			view.urlInputView.fieldView.element.value = '#refunds';
+			view.urlInputView.fieldView.value = '#refunds';
+
+			expect( view.anchorsView.items.map( item => item.children.first.label ) ).to.deep.equal( [ 'refunds' ] );
+		} );
+
+		it( 'should fill the URL with the link to the anchor and focus the URL input on click', () => {
+			const focusSpy = sinon.spy( view.urlInputView.fieldView, 'focus' );
+
+			view.setAnchors( anchors );
+			view.anchorsView.items.get( 2 ).children.first.fire( 'execute' );
+
+			expect( view.url ).to.equal( '#contact' );
+			expect( view.urlInputView.fieldView.value ).to.equal( '#contact' );
+			sinon.assert.calledOnce( focusSpy );
+		} );
+
+		it( 'should add the anchors list to the form that is not rendered yet', () => {
+			const view = new LinkFormView( { t: val => val }, { manualDecorators: [] } );
+
+			view.setAnchors( anchors );
+
+			expect( view.children.get( 1 ) ).to.equal( view.anchorsView );
+
+			view.render();
+
+			expect( view._focusables.get( 1 ) ).to.equal( view.anchorsView );
+
+			view.destroy();
+		} );
+	} );
+
 	describe( 'manual decorators', () => {
 		let view, collection, linkCommand;
 
@@ -0,0 +1,127 @@
+/**
+ * @license Copyright (c) 2003-2024, CKSource Holding sp. z o.o. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+
+import LinkPreviewView from '../../src/ui/linkpreviewview.js';
+import ButtonView from '@ckeditor/ckeditor5-ui/src/button/buttonview.js';
+import testUtils from '@ckeditor/ckeditor5-core/tests/_utils/utils.js';
+
+describe( 'LinkPreviewView', () => {
+	let view, faviconElement, titleElement, descriptionElement;
+
+	testUtils.createSinonSandbox();
+
+	beforeEach( () => {
+		view = new LinkPreviewView( { t: val => val } );
+		view.render();
+
+		faviconElement = view.element.querySelector( '.ck-link-preview__favicon' );
+		titleElement = view.element.querySelector( '.ck-link-preview__title' );
+		descriptionElement = view.element.querySelector( '.ck-link-preview__description' );
+	} );
+
+	afterEach( () => {
+		view.destroy();
+	} );
+
+	describe( 'constructor()', () => {
+		it( 'should create element from template', () => {
+			expect( view.element.classList.contains( 'ck' ) ).to.be.true;
+			expect( view.element.classList.contains( 'ck-link-preview' ) ).to.be.true;
+		} );
+
+		it( 'should set #preview and #href', () => {
+			expect( view.preview ).to.be.null;
+			expect( view.href ).to.be.undefined;
+		} );
+
+		it( 'should create #insertButtonView', () => {
+			expect( view.insertButtonView ).to.be.instanceOf( ButtonView );
+			expect( view.insertButtonView.label ).to.equal( 'Insert link card' );
+			expect( view.insertButtonView.withText ).to.be.true;
+			expect( view.insertButtonView.isVisible ).to.be.false;
+			expect( view.insertButtonView.element.classList.contains( 'ck-link-preview__insert' ) ).to.be.true;
+			expect( view.template.children[ 2 ] ).to.equal( view.insertButtonView );
+		} );
+
+		it( 'should fire `insertCard` event on insertButtonView#execute', () => {
+			const spy = sinon.spy();
+
+			view.on( 'insertCard', spy );
+
+			view.insertButtonView.fire( 'execute' );
+
+			sinon.assert.calledOnce( spy );
+		} );
+	} );
+
+	describe( '#title', () => {
+		it( 'should be bound to the title of #preview', () => {
+			view.href = 'https://ckeditor.com';
+			view.preview = { title: 'CKEditor 5' };
+
+			expect( view.title ).to.equal( 'CKEditor 5' );
+		} );
+
+		it( 'should fall back to #href', () => {
+			view.href = 'https://ckeditor.com';
+			view.preview = { description: 'The rich text editor.' };
+
+			expect( view.title ).to.equal( 'https://ckeditor.com' );
+		} );
+
+		it( 'should be empty without #href and #preview', () => {
+			expect( view.title ).to.equal( '' );
+		} );
+	} );
+
+	describe( 'template bindings', () => {
+		it( 'should hide the view without #preview', () => {
+			expect( view.element.classList.contains( 'ck-hidden' ) ).to.be.true;
+
+			view.preview = {};
+
+			expect( view.element.classList.contains( 'ck-hidden' ) ).to.be.false;
+
+			view.preview = null;
+
+			expect( view.element.classList.contains( 'ck-hidden' ) ).to.be.true;
+		} );
+
+		it( 'should display the favicon', () => {
+			view.preview = {};
+
+			expect( faviconElement.classList.contains( 'ck-hidden' ) ).to.be.true;
+
+			view.preview = { favicon: 'https://ckeditor.com/favicon.ico' };
+
+			expect( faviconElement.classList.contains( 'ck-hidden' ) ).to.be.false;
+			expect( faviconElement.getAttribute( 'src' ) ).to.equal( 'https://ckeditor.com/favicon.ico' );
+			expect( faviconElement.getAttribute( 'alt' ) ).to.equal( '' );
+		} );
+
+		it( 'should display #title', () => {
+			view.href = 'https://ckeditor.com';
+			view.preview = {};
+
+			expect( titleElement.textContent ).to.equal( 'https://ckeditor.com' );
+
+			view.preview = { title: 'CKEditor 5' };
+
+			expect( titleElement.textContent ).to.equal( 'CKEditor 5' );
+		} );
+
+		it( 'should display the description', () => {
+			view.preview = {};
+
+			expect( descriptionElement.classList.contains( 'ck-hidden' ) ).to.be.true;
+			expect( descriptionElement.textContent ).to.equal( '' );
+
+			view.preview = { description: 'The rich text editor.' };
+
+			expect( descriptionElement.classList.contains( 'ck-hidden' ) ).to.be.false;
+			expect( descriptionElement.textContent ).to.equal( 'The rich text editor.' );
+		} );
+	} );
+} );
@@ -3,11 +3,12 @@
  * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
  */
 
-import type { Markdown, PasteFromMarkdownExperimental } from './index.js';
+import type { Markdown, MarkdownFootnotes, PasteFromMarkdownExperimental } from './index.js';
 
 declare module '@ckeditor/ckeditor5-core' {
 	interface PluginsMap {
 		[ Markdown.pluginName ]: Markdown;
+		[ MarkdownFootnotes.pluginName ]: MarkdownFootnotes;
 		[ PasteFromMarkdownExperimental.pluginName ]: PasteFromMarkdownExperimental;
 	}
 }
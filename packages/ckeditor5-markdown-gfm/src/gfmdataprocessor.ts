@@ -9,6 +9,7 @@
 
 import {
 	HtmlDataProcessor,
+	UpcastWriter,
 	type DataProcessor,
 	type ViewDocument,
 	type ViewDocumentFragment,
@@ -18,6 +19,10 @@ import {
 import markdown2html from './markdown2html/markdown2html.js';
 import html2markdown, { turndownService } from './html2markdown/html2markdown.js';
 
+// Matches the YAML front matter block at the beginning of the document. The block content must not start with an empty line
+// so a horizontal rule followed by a paragraph is not taken for the front matter.
+const FRONT_MATTER_REG_EXP = /^---[ \t]*\r?\n(?:(?![ \t]*\r?\n)([\s\S]*?)\r?\n)?---[ \t]*(?:\r?\n|$)/;
+
 /**
  * This data processor implementation uses GitHub Flavored Markdown as input/output data.
  *
@@ -51,23 +56,54 @@ export default class GFMDataProcessor implements DataProcessor {
 	/**
 	 * Converts the provided Markdown string to a view tree.
 	 *
+	 * The YAML front matter block (the `---` delimited block at the very beginning of the data) is not converted.
+	 * Its content is stored in the `$frontMatter` custom property of the returned view document fragment instead.
+	 *
 	 * @param data A Markdown string.
 	 * @returns The converted view element.
 	 */
 	public toView( data: string ): ViewDocumentFragment {
+		let frontMatter: string | null = null;
+
+		// The front matter is not a part of the Markdown content. It is stored in a separate property of the view document fragment
+		// so it can be restored when the data is converted back.
+		data = data.replace( FRONT_MATTER_REG_EXP, ( match, content = '' ) => {
+			frontMatter = content;
+
+			return '';
+		} );
+
 		const html = markdown2html( data );
-		return this._htmlDP.toView( html );
+		const viewFragment = this._htmlDP.toView( html );
+
+		if ( frontMatter !== null ) {
+			new UpcastWriter( viewFragment.document ).setCustomProperty( '$frontMatter', frontMatter, viewFragment );
+		}
+
+		return viewFragment;
 	}
 
 	/**
 	 * Converts the provided {@link module:engine/view/documentfragment~DocumentFragment} to data format &ndash; in this
 	 * case to a Markdown string.
 	 *
+	 * If the view document fragment has the `$frontMatter` custom property set, the front matter block is restored
+	 * at the beginning of the data.
+	 *
 	 * @returns Markdown string.
 	 */
 	public toData( viewFragment: ViewDocumentFragment ): string {
 		const html = this._htmlDP.toData( viewFragment );
-		return html2markdown( html );
+		const markdown = html2markdown( html );
+		const frontMatter = viewFragment.getCustomProperty( '$frontMatter' ) as string | undefined;
+
+		if ( typeof frontMatter != 'string' ) {
+			return markdown;
+		}
+
+		const frontMatterBlock = frontMatter ? `---\n${ frontMatter }\n---` : '---\n---';
+
+		return markdown ? `${ frontMatterBlock }\n\n${ markdown }` : frontMatterBlock;
 	}
 
 	/**
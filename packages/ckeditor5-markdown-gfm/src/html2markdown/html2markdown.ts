@@ -67,7 +67,9 @@ const turndownService = new TurndownService( {
 
 turndownService.use( [
 	gfm,
-	todoList
+	todoList,
+	tables,
+	footnotes
 ] );
 
 /**
@@ -83,16 +85,179 @@ export { turndownService };
 function todoList( turndownService: TurndownService ): void {
 	turndownService.addRule( 'taskListItems', {
 		filter( node: any ) {
-			return node.type === 'checkbox' &&
-				// Changes here as CKEditor outputs a deeper structure.
-				( node.parentNode.nodeName === 'LI' || node.parentNode.parentNode.nodeName === 'LI' );
+			return node.nodeName === 'INPUT' && node.type === 'checkbox';
 		},
 		replacement( content: any, node: any ) {
-			return ( node.checked ? '[x]' : '[ ]' ) + ' ';
+			// Only the checkbox at the beginning of a list item is a to-do list marker. Other checkboxes are dropped.
+			if ( !isTodoListItemCheckbox( node ) ) {
+				return '';
+			}
+
+			return ( node.hasAttribute( 'checked' ) ? '[x]' : '[ ]' ) + ' ';
+		}
+	} );
+
+	// The to-do list item which does not start with a paragraph (e.g. it starts with a heading) has
+	// the checkbox separated from the following block. Markdown requires the block to start right after the checkbox.
+	turndownService.addRule( 'taskListItemsContent', {
+		filter( node: any ) {
+			return node.nodeName === 'LI' && !!findTodoListItemCheckbox( node );
+		},
+		replacement( content: string, node: any, options: any ) {
+			content = content.replace( /^\n*(\[[ x]\] )\n+/, '$1' );
+
+			return turndownService.options.rules.listItem.replacement( content, node, options );
+		}
+	} );
+}
+
+// Checks whether the checkbox is the first content of a list item. CKEditor outputs a deeper structure
+// than the one expected by turdown-plugin-gfm (the checkbox is wrapped with a label).
+function isTodoListItemCheckbox( node: any ): boolean {
+	let parent = node.parentNode;
+
+	while ( parent && parent.nodeName !== 'LI' ) {
+		parent = parent.parentNode;
+	}
+
+	return !!parent && findTodoListItemCheckbox( parent ) === node;
+}
+
+// Returns the checkbox of the to-do list item, i.e. the checkbox that is the first content of the list item.
+function findTodoListItemCheckbox( listItem: any ): any {
+	let node = getFirstMeaningfulChild( listItem );
+
+	while ( node && node.nodeName === 'LABEL' ) {
+		node = getFirstMeaningfulChild( node );
+	}
+
+	return node && node.nodeName === 'INPUT' && node.type === 'checkbox' ? node : null;
+}
+
+// Returns the first child node of the element skipping the whitespace-only text nodes.
+function getFirstMeaningfulChild( element: any ): any {
+	let node = element.firstChild;
+
+	while ( node && node.nodeType === 3 && !node.data.trim() ) {
+		node = node.nextSibling;
+	}
+
+	return node;
+}
+
+// Tables are handled by turdown-plugin-gfm. These rules override some of its rules to keep the tables intact
+// when converted back and forth:
+//
+// * the column alignment is read from the `align` attribute as well as from the `text-align` style
+// (which is used by the table cell properties feature),
+// * the pipe characters in the cell content are escaped,
+// * the line breaks in the cell content are kept as `<br>` because a table row must fit in a single line.
+function tables( turndownService: TurndownService ): void {
+	const alignMap: Record<string, string> = { left: ':--', right: '--:', center: ':-:' };
+
+	turndownService.addRule( 'tableCell', {
+		filter: [ 'th', 'td' ],
+		replacement( content: string, node: any ) {
+			content = content
+				.trim()
+				.replace( /\|/g, '\\|' )
+				.replace( / *\n+ */g, '<br>' );
+
+			return tableCell( content, node );
+		}
+	} );
+
+	turndownService.addRule( 'tableRow', {
+		filter: 'tr',
+		replacement( content: string, node: any ) {
+			let borderCells = '';
+
+			if ( isTableHeadingRow( node ) ) {
+				for ( const cell of Array.from( node.childNodes ) as Array<any> ) {
+					borderCells += tableCell( alignMap[ getTableCellAlignment( cell ) ] || '---', cell );
+				}
+			}
+
+			return '\n' + content + ( borderCells ? '\n' + borderCells : '' );
 		}
 	} );
 }
 
+// Returns the alignment of a table cell.
+function getTableCellAlignment( cell: any ): string {
+	return ( cell.getAttribute( 'align' ) || cell.style.textAlign || '' ).toLowerCase();
+}
+
+// A copy of the `cell()` helper from turdown-plugin-gfm.
+function tableCell( content: string, node: any ): string {
+	const index = Array.prototype.indexOf.call( node.parentNode.childNodes, node );
+
+	return ( index === 0 ? '| ' : ' ' ) + content + ' |';
+}
+
+// A copy of the `isHeadingRow()` helper from turdown-plugin-gfm.
+function isTableHeadingRow( tr: any ): boolean {
+	const parentNode = tr.parentNode;
+
+	return parentNode.nodeName === 'THEAD' || (
+		parentNode.firstChild === tr &&
+		( parentNode.nodeName === 'TABLE' || isFirstTableBody( parentNode ) ) &&
+		Array.prototype.every.call( tr.childNodes, ( node: any ) => node.nodeName === 'TH' )
+	);
+}
+
+// A copy of the `isFirstTbody()` helper from turdown-plugin-gfm.
+function isFirstTableBody( element: any ): boolean {
+	const previousSibling = element.previousSibling;
+
+	return element.nodeName === 'TBODY' && (
+		!previousSibling ||
+		( previousSibling.nodeName === 'THEAD' && /^\s*$/i.test( previousSibling.textContent ) )
+	);
+}
+
+// Footnotes are not a part of the GFM specification but they are supported by GitHub.
+// The references are output as `[^id]` and the definitions as `[^id]: content` at the place of the footnotes section.
+// The following lines of a definition are indented with 4 spaces.
+function footnotes( turndownService: TurndownService ): void {
+	turndownService.addRule( 'footnoteReference', {
+		filter( node: any ) {
+			return node.nodeName === 'SUP' && node.classList.contains( 'footnote-reference' ) && node.hasAttribute( 'data-footnote-id' );
+		},
+		replacement( content: string, node: any ) {
+			return `[^${ node.getAttribute( 'data-footnote-id' ) }]`;
+		}
+	} );
+
+	turndownService.addRule( 'footnoteDefinition', {
+		filter( node: any ) {
+			return node.nodeName === 'LI' && node.hasAttribute( 'data-footnote-id' ) && isInFootnotesSection( node );
+		},
+		replacement( content: string, node: any ) {
+			const lines = content.trim().split( '\n' ).map( ( line, index ) => index && line ? '    ' + line : line );
+
+			return `[^${ node.getAttribute( 'data-footnote-id' ) }]: ${ lines.join( '\n' ) }\n\n`;
+		}
+	} );
+
+	turndownService.addRule( 'footnotes', {
+		filter( node: any ) {
+			return isFootnotesSection( node ) || node.nodeName === 'OL' && isFootnotesSection( node.parentNode );
+		},
+		replacement( content: string ) {
+			return '\n\n' + content.trim() + '\n\n';
+		}
+	} );
+}
+
+function isFootnotesSection( node: any ): boolean {
+	return !!node && node.nodeName === 'SECTION' && node.classList.contains( 'footnotes' );
+}
+
+function isInFootnotesSection( node: any ): boolean {
+	return node.parentNode && node.parentNode.nodeName === 'OL' && isFootnotesSection( node.parentNode.parentNode );
+}
+
 // Autolink matcher.
 const regex = new RegExp(
 	// Prefix.
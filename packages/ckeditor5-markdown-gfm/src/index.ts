@@ -8,6 +8,7 @@
  */
 
 export { default as Markdown } from './markdown.js';
+export { default as MarkdownFootnotes } from './markdownfootnotes.js';
 export { default as PasteFromMarkdownExperimental } from './pastefrommarkdownexperimental.js';
 
 import './augmentation.js';
@@ -8,11 +8,27 @@
  */
 
 import { Plugin, type Editor } from 'ckeditor5/src/core.js';
+import {
+	UpcastWriter,
+	type DataControllerToModelEvent,
+	type DataControllerToViewEvent,
+	type ViewElement
+} from 'ckeditor5/src/engine.js';
+
 import GFMDataProcessor from './gfmdataprocessor.js';
+import MarkdownFootnotes from './markdownfootnotes.js';
 
 /**
  * The GitHub Flavored Markdown (GFM) plugin.
  *
+ * Besides setting the {@link module:markdown-gfm/gfmdataprocessor~GFMDataProcessor GFM data processor}, it makes sure that
+ * the parts of the Markdown data that have no other representation in the editor are preserved:
+ *
+ * * the YAML front matter is stored in the `frontMatter` attribute of the root,
+ * * the footnotes are handled by the {@link module:markdown-gfm/markdownfootnotes~MarkdownFootnotes} plugin,
+ * * the table column alignment is stored in the `tableCellHorizontalAlignment` attribute of the table cells
+ * (if the table feature is loaded).
+ *
  * For a detailed overview, check the {@glink features/markdown Markdown feature} guide.
  */
 export default class Markdown extends Plugin {
@@ -25,10 +41,116 @@ export default class Markdown extends Plugin {
 		editor.data.processor = new GFMDataProcessor( editor.data.viewDocument );
 	}
 
+	/**
+	 * @inheritDoc
+	 */
+	public static get requires() {
+		return [ MarkdownFootnotes ] as const;
+	}
+
 	/**
 	 * @inheritDoc
 	 */
 	public static get pluginName() {
 		return 'Markdown' as const;
 	}
+
+	/**
+	 * @inheritDoc
+	 */
+	public init(): void {
+		const editor = this.editor;
+
+		editor.model.schema.extend( '$root', {
+			allowAttributes: 'frontMatter'
+		} );
+
+		// Apply the front matter from the view document fragment to the root attribute.
+		// The front matter is removed from the root if the new data does not have it.
+		editor.data.on<DataControllerToModelEvent>( 'toModel', ( evt, [ viewElementOrFragment, context ] ) => {
+			const root = context && typeof context == 'object' && 'is' in context && context.is( 'rootElement' ) ? context : null;
+
+			if ( !root || !viewElementOrFragment.is( 'documentFragment' ) ) {
+				return;
+			}
+
+			const frontMatter = viewElementOrFragment.getCustomProperty( '$frontMatter' );
+
+			editor.model.change( writer => {
+				if ( typeof frontMatter == 'string' ) {
+					writer.setAttribute( 'frontMatter', frontMatter, root );
+				} else if ( root.hasAttribute( 'frontMatter' ) ) {
+					writer.removeAttribute( 'frontMatter', root );
+				}
+			} );
+		}, { priority: 'low' } );
+
+		// Apply the front matter from the root attribute to the view document fragment.
+		editor.data.on<DataControllerToViewEvent>( 'toView', ( evt, [ modelElementOrFragment ] ) => {
+			if ( !modelElementOrFragment.is( 'rootElement' ) || !modelElementOrFragment.hasAttribute( 'frontMatter' ) ) {
+				return;
+			}
+
+			const viewFragment = evt.return!;
+			const writer = new UpcastWriter( viewFragment.document );
+
+			writer.setCustomProperty( '$frontMatter', modelElementOrFragment.getAttribute( 'frontMatter' ), viewFragment );
+		}, { priority: 'low' } );
+	}
+
+	/**
+	 * @inheritDoc
+	 */
+	public afterInit(): void {
+		if ( this.editor.plugins.has( 'TableEditing' ) ) {
+			this._enableTableCellAlignment();
+		}
+	}
+
+	/**
+	 * Keeps the column alignment of the Markdown tables.
+	 *
+	 * The alignment is converted from the `align` attribute of the table cells (produced by the Markdown parser)
+	 * to the `tableCellHorizontalAlignment` attribute and back to the `text-align` style. Unlike the table cell properties feature,
+	 * the explicit left alignment is preserved as it is different from no alignment in Markdown.
+	 */
+	private _enableTableCellAlignment(): void {
+		const editor = this.editor;
+		const schema = editor.model.schema;
+		const conversion = editor.conversion;
+
+		// The attribute is already handled if the table cell properties feature is loaded.
+		if ( !schema.checkAttribute( 'tableCell', 'tableCellHorizontalAlignment' ) ) {
+			schema.extend( 'tableCell', {
+				allowAttributes: [ 'tableCellHorizontalAlignment' ]
+			} );
+
+			conversion.for( 'downcast' ).attributeToAttribute( {
+				model: {
+					name: 'tableCell',
+					key: 'tableCellHorizontalAlignment'
+				},
+				view: alignment => ( {
+					key: 'style',
+					value: {
+						'text-align': alignment as string
+					}
+				} )
+			} );
+		}
+
+		conversion.for( 'upcast' ).attributeToAttribute( {
+			view: {
+				name: /^(td|th)$/,
+				attributes: {
+					align: /^(left|center|right)$/
+				}
+			},
+			model: {
+				key: 'tableCellHorizontalAlignment',
+				value: ( viewElement: ViewElement ) => viewElement.getAttribute( 'align' )
+			},
+			converterPriority: 'high'
+		} );
+	}
 }
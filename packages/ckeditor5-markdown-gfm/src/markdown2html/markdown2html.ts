@@ -9,6 +9,74 @@
 
 import { marked } from 'marked';
 
+// Footnotes are not a part of the GFM specification but they are supported by GitHub:
+//
+//		Text with a footnote.[^1]
+//
+//		[^1]: The footnote content.
+//		    The following lines of the footnote content are indented with 4 spaces.
+const footnoteDefinitionRegExp = /^\[\^([^\]\s]+)\]:[ \t]*([^\n]*(?:\n(?:[ \t]*\n)*(?: {4}|\t)[^\n]*)*)(?:\n|$)/;
+const footnoteReferenceRegExp = /^\[\^([^\]\s]+)\](?!:)/;
+
+// Extensions.
+marked.use( {
+	extensions: [
+		{
+			name: 'footnoteDefinition',
+			level: 'block',
+			start( src: string ) {
+				const match = src.match( /^\[\^[^\]\s]+\]:/m );
+
+				return match ? match.index : undefined;
+			},
+			tokenizer( this: any, src: string ) {
+				const match = footnoteDefinitionRegExp.exec( src );
+
+				if ( match ) {
+					const text = match[ 2 ].replace( /^(?: {4}|\t)/gm, '' );
+
+					return {
+						type: 'footnoteDefinition',
+						raw: match[ 0 ],
+						id: match[ 1 ],
+						tokens: this.lexer.blockTokens( text, [] )
+					};
+				}
+			},
+			renderer( this: any, token: any ) {
+				// The definitions are collected in a single section at the end of the document by `markdown2html()`.
+				// Only the definitions nested in other blocks are rendered here.
+				return renderFootnotes( [ token ], this.parser );
+			}
+		},
+		{
+			name: 'footnoteReference',
+			level: 'inline',
+			start( src: string ) {
+				const index = src.indexOf( '[^' );
+
+				return index < 0 ? undefined : index;
+			},
+			tokenizer( src: string ) {
+				const match = footnoteReferenceRegExp.exec( src );
+
+				if ( match ) {
+					return {
+						type: 'footnoteReference',
+						raw: match[ 0 ],
+						id: match[ 1 ]
+					};
+				}
+			},
+			renderer( token: any ) {
+				const id = escapeAttribute( token.id );
+
+				return `<sup class="footnote-reference" data-footnote-id="${ id }"><a href="#fn-${ id }">${ id }</a></sup>`;
+			}
+		}
+	] as Array<any>
+} );
+
 // Overrides.
 marked.use( {
 	tokenizer: {
@@ -45,7 +113,51 @@ export default function markdown2html( markdown: string ): string {
 		headerIds: false
 	};
 
-	return marked.parse( markdown, options );
+	const parserOptions = { ...marked.defaults, ...options };
+	const tokens = marked.lexer( markdown, parserOptions );
+
+	// Move all footnote definitions to a single section at the end of the document.
+	const footnoteDefinitions = tokens.filter( token => isFootnoteDefinition( token ) );
+	const otherTokens = Object.assign( tokens.filter( token => !isFootnoteDefinition( token ) ), { links: tokens.links } );
+
+	let html = marked.parser( otherTokens, parserOptions );
+
+	if ( footnoteDefinitions.length ) {
+		html += renderFootnotes( footnoteDefinitions, new marked.Parser( parserOptions ) );
+	}
+
+	return html;
+}
+
+/**
+ * Checks whether the token is a footnote definition token created by the extension.
+ */
+function isFootnoteDefinition( token: marked.Token ): boolean {
+	return ( token as { type: string } ).type === 'footnoteDefinition';
+}
+
+/**
+ * Renders the footnotes section with the given footnote definitions.
+ */
+function renderFootnotes( definitions: Array<any>, parser: marked.Parser ): string {
+	const items = definitions.map( definition => {
+		const id = escapeAttribute( definition.id );
+
+		return `<li id="fn-${ id }" data-footnote-id="${ id }">${ parser.parse( definition.tokens ) }</li>`;
+	} );
+
+	return `<section class="footnotes"><ol>${ items.join( '' ) }</ol></section>`;
+}
+
+/**
+ * Escapes the characters that are not allowed in the HTML attribute value.
+ */
+function escapeAttribute( value: string ): string {
+	return value
+		.replace( /&/g, '&amp;' )
+		.replace( /"/g, '&quot;' )
+		.replace( /</g, '&lt;' )
+		.replace( />/g, '&gt;' );
 }
 
 export { marked };
@@ -0,0 +1,202 @@
+/**
+ * @license Copyright (c) 2003-2024, CKSource Holding sp. z o.o. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+
+/**
+ * @module markdown-gfm/markdownfootnotes
+ */
+
+import { Plugin } from 'ckeditor5/src/core.js';
+import { toWidget, Widget } from 'ckeditor5/src/widget.js';
+import type { EventInfo } from 'ckeditor5/src/utils.js';
+import type {
+	UpcastConversionApi,
+	UpcastConversionData,
+	UpcastElementEvent,
+	ViewElement
+} from 'ckeditor5/src/engine.js';
+
+/**
+ * The Markdown footnotes feature. It maps the footnotes produced by the
+ * {@link module:markdown-gfm/gfmdataprocessor~GFMDataProcessor GFM data processor} to the model structure,
+ * so they are preserved when the data is loaded to the editor and saved back.
+ *
+ * The footnote references (`[^id]`) are represented by the `footnoteReference` inline objects and the footnote
+ * definitions (`[^id]: Content.`) are represented by the `footnoteDefinition` elements
+ * grouped in a single `footnotes` element:
+ *
+ * ```xml
+ * <paragraph>Text with a footnote.<footnoteReference footnoteId="1"></footnoteReference></paragraph>
+ * <footnotes>
+ * 	<footnoteDefinition footnoteId="1">
+ * 		<paragraph>The footnote content.</paragraph>
+ * 	</footnoteDefinition>
+ * </footnotes>
+ * ```
+ */
+export default class MarkdownFootnotes extends Plugin {
+	/**
+	 * @inheritDoc
+	 */
+	public static get requires() {
+		return [ Widget ] as const;
+	}
+
+	/**
+	 * @inheritDoc
+	 */
+	public static get pluginName() {
+		return 'MarkdownFootnotes' as const;
+	}
+
+	/**
+	 * @inheritDoc
+	 */
+	public init(): void {
+		const editor = this.editor;
+		const schema = editor.model.schema;
+		const conversion = editor.conversion;
+
+		schema.register( 'footnoteReference', {
+			inheritAllFrom: '$inlineObject',
+			allowAttributes: [ 'footnoteId' ]
+		} );
+
+		schema.register( 'footnotes', {
+			allowWhere: '$block',
+			isLimit: true
+		} );
+
+		schema.register( 'footnoteDefinition', {
+			allowIn: 'footnotes',
+			allowContentOf: '$root',
+			allowAttributes: [ 'footnoteId' ],
+			isLimit: true
+		} );
+
+		// Footnotes cannot be nested.
+		schema.addChildCheck( ( context, childDefinition ) => {
+			if ( childDefinition.name == 'footnotes' && Array.from( context.getNames() ).includes( 'footnoteDefinition' ) ) {
+				return false;
+			}
+		} );
+
+		conversion.for( 'upcast' ).elementToElement( {
+			view: {
+				name: 'sup',
+				classes: 'footnote-reference',
+				attributes: {
+					'data-footnote-id': true
+				}
+			},
+			model: ( viewElement, { writer } ) => {
+				return writer.createElement( 'footnoteReference', {
+					footnoteId: viewElement.getAttribute( 'data-footnote-id' )
+				} );
+			},
+			// Take precedence over the superscript feature.
+			converterPriority: 'high'
+		} );
+
+		conversion.for( 'upcast' ).add( dispatcher => {
+			dispatcher.on<UpcastElementEvent>( 'element:section', upcastFootnotes, { priority: 'high' } );
+		} );
+
+		conversion.for( 'dataDowncast' ).elementToElement( {
+			model: 'footnoteReference',
+			view: ( modelElement, { writer } ) => {
+				const id = modelElement.getAttribute( 'footnoteId' ) as string;
+
+				return writer.createContainerElement( 'sup', { class: 'footnote-reference', 'data-footnote-id': id }, [
+					writer.createContainerElement( 'a', { href: `#fn-${ id }` }, [
+						writer.createText( id )
+					] )
+				] );
+			}
+		} );
+
+		conversion.for( 'editingDowncast' ).elementToElement( {
+			model: 'footnoteReference',
+			view: ( modelElement, { writer } ) => {
+				const id = modelElement.getAttribute( 'footnoteId' ) as string;
+				const viewElement = writer.createContainerElement( 'sup', { class: 'footnote-reference', 'data-footnote-id': id }, [
+					writer.createText( `[${ id }]` )
+				] );
+
+				return toWidget( viewElement, writer );
+			}
+		} );
+
+		conversion.for( 'downcast' ).elementToStructure( {
+			model: 'footnotes',
+			view: ( modelElement, { writer } ) => {
+				return writer.createContainerElement( 'section', { class: 'footnotes' }, [
+					writer.createContainerElement( 'ol', null, [
+						writer.createSlot()
+					] )
+				] );
+			}
+		} );
+
+		conversion.for( 'downcast' ).elementToElement( {
+			model: {
+				name: 'footnoteDefinition',
+				attributes: [ 'footnoteId' ]
+			},
+			view: ( modelElement, { writer } ) => {
+				const id = modelElement.getAttribute( 'footnoteId' ) as string;
+
+				return writer.createContainerElement( 'li', { id: `fn-${ id }`, 'data-footnote-id': id } );
+			}
+		} );
+	}
+}
+
+/**
+ * Converts the `<section class="footnotes"><ol><li data-footnote-id="...">...</li></ol></section>` structure
+ * to the `footnotes` model element with the `footnoteDefinition` children.
+ */
+function upcastFootnotes(
+	evt: EventInfo,
+	data: UpcastConversionData<ViewElement>,
+	conversionApi: UpcastConversionApi
+) {
+	const { consumable, writer, safeInsert, convertChildren, updateConversionResult } = conversionApi;
+	const viewSection = data.viewItem;
+
+	if ( !consumable.test( viewSection, { name: true, classes: 'footnotes' } ) ) {
+		return;
+	}
+
+	const footnotes = writer.createElement( 'footnotes' );
+
+	if ( !safeInsert( footnotes, data.modelCursor ) ) {
+		return;
+	}
+
+	consumable.consume( viewSection, { name: true, classes: 'footnotes' } );
+
+	for ( const viewList of viewSection.getChildren() ) {
+		if ( !viewList.is( 'element', 'ol' ) || !consumable.consume( viewList, { name: true } ) ) {
+			continue;
+		}
+
+		for ( const viewItem of viewList.getChildren() ) {
+			if ( !viewItem.is( 'element', 'li' ) || !viewItem.hasAttribute( 'data-footnote-id' ) ) {
+				continue;
+			}
+
+			consumable.consume( viewItem, { name: true, attributes: 'data-footnote-id' } );
+
+			const definition = writer.createElement( 'footnoteDefinition', {
+				footnoteId: viewItem.getAttribute( 'data-footnote-id' )
+			} );
+
+			writer.append( definition, footnotes );
+			convertChildren( viewItem, definition );
+		}
+	}
+
+	updateConversionResult( footnotes, data );
+}
@@ -0,0 +1,77 @@
+/**
+ * @license Copyright (c) 2003-2024, CKSource Holding sp. z o.o. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+
+// The Markdown documents which must not change when loaded to the editor and saved back.
+// Each document is written in the normalized form produced by the editor.
+export default {
+	'basic styles': [
+		'## Heading',
+		'',
+		'Paragraph with **bold**, _italic_, ~strikethrough~ and `code`.',
+		'',
+		'### Subheading',
+		'',
+		'A [link](https://example.com).'
+	].join( '\n' ),
+
+	'lists': [
+		'*   Item 1',
+		'*   Item 2',
+		'    *   Nested',
+		'',
+		'1.  First',
+		'2.  Second'
+	].join( '\n' ),
+
+	'to-do lists': [
+		'*   [ ] To do',
+		'*   [x] Done'
+	].join( '\n' ),
+
+	'blocks': [
+		'```javascript',
+		'const a = 1;',
+		'```',
+		'',
+		'> Quote.',
+		'',
+		'---',
+		'',
+		'After.'
+	].join( '\n' ),
+
+	'table with column alignment': [
+		'| Left | Center | Right | None |',
+		'| :-- | :-: | --: | --- |',
+		'| 1 | 2 | 3 | 4 |'
+	].join( '\n' ),
+
+	'table with pipes and line breaks': [
+		'| Foo | Bar |',
+		'| --- | --- |',
+		'| a \\| b | x<br>y |'
+	].join( '\n' ),
+
+	'footnotes': [
+		'Text with a footnote.[^1] And another one.[^note]',
+		'',
+		'[^1]: The footnote content.',
+		'',
+		'[^note]: The first paragraph.',
+		'',
+		'    The second paragraph.'
+	].join( '\n' ),
+
+	'front matter': [
+		'---',
+		'title: Foo',
+		'tags: [ bar, baz ]',
+		'---',
+		'',
+		'## Heading',
+		'',
+		'Paragraph.'
+	].join( '\n' )
+};
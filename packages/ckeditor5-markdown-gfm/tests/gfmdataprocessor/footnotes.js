@@ -0,0 +1,111 @@
+/**
+ * @license Copyright (c) 2003-2024, CKSource Holding sp. z o.o. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+
+import { testDataProcessor } from '../_utils/utils.js';
+
+describe( 'GFMDataProcessor', () => {
+	describe( 'footnotes', () => {
+		it( 'should process footnotes', () => {
+			testDataProcessor(
+				'Text with a footnote.[^1]\n' +
+				'\n' +
+				'[^1]: The footnote content.',
+
+				'<p>' +
+					'Text with a footnote.' +
+					'<sup class="footnote-reference" data-footnote-id="1"><a href="#fn-1">1</a></sup>' +
+				'</p>' +
+				'<section class="footnotes">' +
+					'<ol>' +
+						'<li data-footnote-id="1" id="fn-1"><p>The footnote content.</p></li>' +
+					'</ol>' +
+				'</section>'
+			);
+		} );
+
+		it( 'should process footnotes with named identifiers', () => {
+			testDataProcessor(
+				'Foo[^first] bar[^second].\n' +
+				'\n' +
+				'[^first]: First.\n' +
+				'\n' +
+				'[^second]: Second.',
+
+				'<p>' +
+					'Foo' +
+					'<sup class="footnote-reference" data-footnote-id="first"><a href="#fn-first">first</a></sup>' +
+					' bar' +
+					'<sup class="footnote-reference" data-footnote-id="second"><a href="#fn-second">second</a></sup>' +
+					'.' +
+				'</p>' +
+				'<section class="footnotes">' +
+					'<ol>' +
+						'<li data-footnote-id="first" id="fn-first"><p>First.</p></li>' +
+						'<li data-footnote-id="second" id="fn-second"><p>Second.</p></li>' +
+					'</ol>' +
+				'</section>'
+			);
+		} );
+
+		it( 'should process footnotes with multiple paragraphs', () => {
+			testDataProcessor(
+				'Foo[^1].\n' +
+				'\n' +
+				'[^1]: The first paragraph.\n' +
+				'\n' +
+				'    The second paragraph.',
+
+				'<p>' +
+					'Foo' +
+					'<sup class="footnote-reference" data-footnote-id="1"><a href="#fn-1">1</a></sup>' +
+					'.' +
+				'</p>' +
+				'<section class="footnotes">' +
+					'<ol>' +
+						'<li data-footnote-id="1" id="fn-1"><p>The first paragraph.</p><p>The second paragraph.</p></li>' +
+					'</ol>' +
+				'</section>'
+			);
+		} );
+
+		it( 'should move the footnote definitions to the end of the document', () => {
+			testDataProcessor(
+				'Foo[^1].\n' +
+				'\n' +
+				'[^1]: The footnote.\n' +
+				'\n' +
+				'Bar.',
+
+				'<p>' +
+					'Foo' +
+					'<sup class="footnote-reference" data-footnote-id="1"><a href="#fn-1">1</a></sup>' +
+					'.' +
+				'</p>' +
+				'<p>Bar.</p>' +
+				'<section class="footnotes">' +
+					'<ol>' +
+						'<li data-footnote-id="1" id="fn-1"><p>The footnote.</p></li>' +
+					'</ol>' +
+				'</section>',
+
+				'Foo[^1].\n' +
+				'\n' +
+				'Bar.\n' +
+				'\n' +
+				'[^1]: The footnote.'
+			);
+		} );
+
+		it( 'should not process the footnote-like text with whitespaces as a footnote', () => {
+			testDataProcessor(
+				'Foo [^ 1] bar.',
+
+				'<p>Foo [^ 1] bar.</p>',
+
+				'Foo \\[^ 1\\] bar.'
+			);
+		} );
+	} );
+} );
@@ -15,6 +15,53 @@ describe( 'GFMDataProcessor', () => {
 		dataProcessor = new GFMDataProcessor( viewDocument );
 	} );
 
+	describe( 'front matter', () => {
+		it( 'should store the front matter in the custom property of the view document fragment', () => {
+			const viewFragment = dataProcessor.toView(
+				'---\n' +
+				'title: Foo\n' +
+				'tags: [ bar, baz ]\n' +
+				'---\n' +
+				'\n' +
+				'Foo bar.'
+			);
+
+			expect( viewFragment.getCustomProperty( '$frontMatter' ) ).to.equal( 'title: Foo\ntags: [ bar, baz ]' );
+			expect( viewFragment.childCount ).to.equal( 1 );
+			expect( viewFragment.getChild( 0 ).name ).to.equal( 'p' );
+		} );
+
+		it( 'should store an empty front matter', () => {
+			const viewFragment = dataProcessor.toView( '---\n---\nFoo bar.' );
+
+			expect( viewFragment.getCustomProperty( '$frontMatter' ) ).to.equal( '' );
+			expect( viewFragment.childCount ).to.equal( 1 );
+		} );
+
+		it( 'should not take a horizontal rule followed by a paragraph for the front matter', () => {
+			const viewFragment = dataProcessor.toView( '---\n\nFoo bar.\n\n---' );
+
+			expect( viewFragment.getCustomProperty( '$frontMatter' ) ).to.be.undefined;
+			expect( viewFragment.childCount ).to.equal( 3 );
+		} );
+
+		it( 'should restore the front matter when converting the view document fragment back', () => {
+			const data =
+				'---\n' +
+				'title: Foo\n' +
+				'---\n' +
+				'\n' +
+				'Foo bar.';
+
+			expect( dataProcessor.toData( dataProcessor.toView( data ) ) ).to.equal( data );
+		} );
+
+		it( 'should restore the front matter if there is no other content', () => {
+			expect( dataProcessor.toData( dataProcessor.toView( '---\ntitle: Foo\n---' ) ) ).to.equal( '---\ntitle: Foo\n---' );
+			expect( dataProcessor.toData( dataProcessor.toView( '---\n---' ) ) ).to.equal( '---\n---' );
+		} );
+	} );
+
 	describe( 'useFillerType()', () => {
 		it( 'should have this method to be compatible with `DataProcessor` interface', () => {
 			expect( () => {
@@ -387,5 +387,40 @@ describe( 'GFMDataProcessor', () => {
 				'*   [x] Item 2'
 			);
 		} );
+
+		it( 'should process the to-do list item which does not start with a paragraph', () => {
+			const viewDocument = new ViewDocument( new StylesProcessor() );
+
+			const htmlDataProcessor = new HtmlDataProcessor( viewDocument );
+			const mdDataProcessor = new MarkdownDataProcessor( viewDocument );
+
+			const viewFragment = htmlDataProcessor.toView(
+				'<ul class="todo-list">' +
+					'<li>' +
+						'<label class="todo-list__label todo-list__label_without-description">' +
+							'<input type="checkbox" disabled="disabled" checked="checked">' +
+						'</label>' +
+						'<h2>Heading</h2>' +
+					'</li>' +
+				'</ul>'
+			);
+
+			expect( mdDataProcessor.toData( viewFragment ) ).to.equal( '*   [x] ## Heading' );
+		} );
+
+		it( 'should drop the checkboxes which are not at the beginning of a list item', () => {
+			const viewDocument = new ViewDocument( new StylesProcessor() );
+
+			const htmlDataProcessor = new HtmlDataProcessor( viewDocument );
+			const mdDataProcessor = new MarkdownDataProcessor( viewDocument );
+
+			const viewFragment = htmlDataProcessor.toView(
+				'<ul>' +
+					'<li>Foo <input type="checkbox" checked="checked">bar</li>' +
+				'</ul>'
+			);
+
+			expect( mdDataProcessor.toData( viewFragment ) ).to.equal( '*   Foo bar' );
+		} );
 	} );
 } );
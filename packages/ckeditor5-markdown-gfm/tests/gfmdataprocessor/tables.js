@@ -4,6 +4,10 @@
  */
 
 import { testDataProcessor } from '../_utils/utils.js';
+import MarkdownDataProcessor from '../../src/gfmdataprocessor.js';
+import HtmlDataProcessor from '@ckeditor/ckeditor5-engine/src/dataprocessor/htmldataprocessor.js';
+import ViewDocument from '@ckeditor/ckeditor5-engine/src/view/document.js';
+import { StylesProcessor } from '@ckeditor/ckeditor5-engine/src/view/stylesmap.js';
 
 describe( 'GFMDataProcessor', () => {
 	describe( 'tables', () => {
@@ -154,5 +158,69 @@ describe( 'GFMDataProcessor', () => {
 				'| _Cell 1_ | **Cell 2** | ~Cell 3~ | Cell 4 |'
 			);
 		} );
+
+		it( 'should process escaped pipes and line breaks inside cells', () => {
+			testDataProcessor(
+				'| Foo | Bar |\n' +
+				'| --- | --- |\n' +
+				'| a \\| b | `c \\| d` |\n' +
+				'| x<br>y | z |',
+
+				'<table>' +
+					'<thead>' +
+						'<tr>' +
+							'<th>Foo</th>' +
+							'<th>Bar</th>' +
+						'</tr>' +
+					'</thead>' +
+					'<tbody>' +
+						'<tr>' +
+							'<td>a | b</td>' +
+							'<td><code>c | d</code></td>' +
+						'</tr>' +
+						'<tr>' +
+							'<td>x<br></br>y</td>' +
+							'<td>z</td>' +
+						'</tr>' +
+					'</tbody>' +
+				'</table>'
+			);
+		} );
+
+		it( 'should read the column alignment from the text-align style of the header cells', () => {
+			const viewDocument = new ViewDocument( new StylesProcessor() );
+
+			const htmlDataProcessor = new HtmlDataProcessor( viewDocument );
+			const mdDataProcessor = new MarkdownDataProcessor( viewDocument );
+
+			const viewFragment = htmlDataProcessor.toView(
+				'<figure class="table">' +
+					'<table>' +
+						'<thead>' +
+							'<tr>' +
+								'<th style="text-align:left;">Header 1</th>' +
+								'<th style="text-align:center;">Header 2</th>' +
+								'<th style="text-align:right;">Header 3</th>' +
+								'<th>Header 4</th>' +
+							'</tr>' +
+						'</thead>' +
+						'<tbody>' +
+							'<tr>' +
+								'<td style="text-align:left;">Cell 1</td>' +
+								'<td style="text-align:center;">Cell 2</td>' +
+								'<td style="text-align:right;">Cell 3</td>' +
+								'<td>Cell 4</td>' +
+							'</tr>' +
+						'</tbody>' +
+					'</table>' +
+				'</figure>'
+			);
+
+			expect( mdDataProcessor.toData( viewFragment ) ).to.equal(
+				'| Header 1 | Header 2 | Header 3 | Header 4 |\n' +
+				'| :-- | :-: | --: | --- |\n' +
+				'| Cell 1 | Cell 2 | Cell 3 | Cell 4 |'
+			);
+		} );
 	} );
 } );
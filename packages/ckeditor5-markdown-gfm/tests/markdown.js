@@ -4,14 +4,37 @@
  */
 
 import Markdown from '../src/markdown.js';
+import MarkdownFootnotes from '../src/markdownfootnotes.js';
 import GFMDataProcessor from '../src/gfmdataprocessor.js';
 import ClassicTestEditor from '@ckeditor/ckeditor5-core/tests/_utils/classictesteditor.js';
+import Paragraph from '@ckeditor/ckeditor5-paragraph/src/paragraph.js';
+import Heading from '@ckeditor/ckeditor5-heading/src/heading.js';
+import Bold from '@ckeditor/ckeditor5-basic-styles/src/bold.js';
+import Italic from '@ckeditor/ckeditor5-basic-styles/src/italic.js';
+import Strikethrough from '@ckeditor/ckeditor5-basic-styles/src/strikethrough.js';
+import Code from '@ckeditor/ckeditor5-basic-styles/src/code.js';
+import Link from '@ckeditor/ckeditor5-link/src/link.js';
+import List from '@ckeditor/ckeditor5-list/src/list.js';
+import TodoList from '@ckeditor/ckeditor5-list/src/todolist.js';
+import BlockQuote from '@ckeditor/ckeditor5-block-quote/src/blockquote.js';
+import CodeBlock from '@ckeditor/ckeditor5-code-block/src/codeblock.js';
+import HorizontalLine from '@ckeditor/ckeditor5-horizontal-line/src/horizontalline.js';
+import Table from '@ckeditor/ckeditor5-table/src/table.js';
+import TableCellProperties from '@ckeditor/ckeditor5-table/src/tablecellproperties.js';
+import Undo from '@ckeditor/ckeditor5-undo/src/undo.js';
+import { getData as getModelData } from '@ckeditor/ckeditor5-engine/src/dev-utils/model.js';
+
+import roundTripFixtures from './_data/roundtrip.js';
 
 describe( 'Markdown', () => {
 	it( 'has proper name', () => {
 		expect( Markdown.pluginName ).to.equal( 'Markdown' );
 	} );
 
+	it( 'should require MarkdownFootnotes', () => {
+		expect( Markdown.requires ).to.deep.equal( [ MarkdownFootnotes ] );
+	} );
+
 	it( 'should set editor.data.processor', () => {
 		return ClassicTestEditor
 			.create( '', {
@@ -23,4 +46,166 @@ describe( 'Markdown', () => {
 				editor.destroy(); // Tests cleanup.
 			} );
 	} );
+
+	describe( 'front matter', () => {
+		let editor, root;
+
+		beforeEach( async () => {
+			editor = await ClassicTestEditor.create( '', {
+				plugins: [ Markdown, Paragraph, Undo ]
+			} );
+
+			root = editor.model.document.getRoot();
+		} );
+
+		afterEach( () => {
+			return editor.destroy();
+		} );
+
+		it( 'should allow the frontMatter attribute on the root', () => {
+			expect( editor.model.schema.checkAttribute( '$root', 'frontMatter' ) ).to.be.true;
+		} );
+
+		it( 'should store the front matter in the root attribute', () => {
+			editor.setData( '---\ntitle: Foo\n---\n\nBar.' );
+
+			expect( root.getAttribute( 'frontMatter' ) ).to.equal( 'title: Foo' );
+			expect( getModelData( editor.model, { withoutSelection: true } ) ).to.equal( '<paragraph>Bar.</paragraph>' );
+		} );
+
+		it( 'should set the root attribute when the editor is initialized', async () => {
+			const editor = await ClassicTestEditor.create( '---\ntitle: Foo\n---\n\nBar.', {
+				plugins: [ Markdown, Paragraph ]
+			} );
+
+			expect( editor.model.document.getRoot().getAttribute( 'frontMatter' ) ).to.equal( 'title: Foo' );
+
+			await editor.destroy();
+		} );
+
+		it( 'should remove the root attribute if the new data has no front matter', () => {
+			editor.setData( '---\ntitle: Foo\n---\n\nBar.' );
+			editor.setData( 'Bar.' );
+
+			expect( root.hasAttribute( 'frontMatter' ) ).to.be.false;
+		} );
+
+		it( 'should set the front matter in the same undo step as the content', () => {
+			editor.setData( '---\ntitle: Foo\n---\n\nBar.' );
+			editor.setData( '---\ntitle: Baz\n---\n\nQux.' );
+
+			editor.execute( 'undo' );
+
+			expect( root.getAttribute( 'frontMatter' ) ).to.equal( 'title: Foo' );
+			expect( editor.getData() ).to.equal( '---\ntitle: Foo\n---\n\nBar.' );
+		} );
+
+		it( 'should output the front matter from the root attribute', () => {
+			editor.setData( 'Bar.' );
+
+			editor.model.change( writer => {
+				writer.setAttribute( 'frontMatter', 'title: Foo', root );
+			} );
+
+			expect( editor.getData() ).to.equal( '---\ntitle: Foo\n---\n\nBar.' );
+		} );
+
+		it( 'should output the front matter if the editor is empty', () => {
+			editor.setData( '---\ntitle: Foo\n---' );
+
+			expect( editor.getData() ).to.equal( '---\ntitle: Foo\n---' );
+		} );
+
+		it( 'should not change the root attribute when the content is pasted', () => {
+			editor.setData( '---\ntitle: Foo\n---\n\nBar.' );
+
+			editor.model.insertContent( editor.data.parse( '---\ntitle: Baz\n---\n\nQux.' ) );
+
+			expect( root.getAttribute( 'frontMatter' ) ).to.equal( 'title: Foo' );
+		} );
+	} );
+
+	describe( 'table column alignment', () => {
+		let editor;
+
+		afterEach( () => {
+			return editor.destroy();
+		} );
+
+		it( 'should not enable the alignment without the table feature', async () => {
+			editor = await ClassicTestEditor.create( '', {
+				plugins: [ Markdown, Paragraph ]
+			} );
+
+			expect( editor.model.schema.isRegistered( 'tableCell' ) ).to.be.false;
+		} );
+
+		it( 'should convert the alignment to the tableCellHorizontalAlignment attribute', async () => {
+			editor = await ClassicTestEditor.create( '', {
+				plugins: [ Markdown, Paragraph, Table ]
+			} );
+
+			editor.setData(
+				'| Left | Center | Right | None |\n' +
+				'| :-- | :-: | --: | --- |\n' +
+				'| 1 | 2 | 3 | 4 |'
+			);
+
+			const row = editor.model.document.getRoot().getNodeByPath( [ 0, 0 ] );
+
+			expect( editor.model.schema.checkAttribute( 'tableCell', 'tableCellHorizontalAlignment' ) ).to.be.true;
+			expect( row.getChild( 0 ).getAttribute( 'tableCellHorizontalAlignment' ) ).to.equal( 'left' );
+			expect( row.getChild( 1 ).getAttribute( 'tableCellHorizontalAlignment' ) ).to.equal( 'center' );
+			expect( row.getChild( 2 ).getAttribute( 'tableCellHorizontalAlignment' ) ).to.equal( 'right' );
+			expect( row.getChild( 3 ).hasAttribute( 'tableCellHorizontalAlignment' ) ).to.be.false;
+		} );
+
+		it( 'should keep the explicit left alignment if the table cell properties feature is loaded', async () => {
+			editor = await ClassicTestEditor.create( '', {
+				plugins: [ Markdown, Paragraph, Table, TableCellProperties ]
+			} );
+
+			const data =
+				'| Left | Center | None |\n' +
+				'| :-- | :-: | --- |\n' +
+				'| 1 | 2 | 3 |';
+
+			editor.setData( data );
+
+			const row = editor.model.document.getRoot().getNodeByPath( [ 0, 0 ] );
+
+			expect( row.getChild( 0 ).getAttribute( 'tableCellHorizontalAlignment' ) ).to.equal( 'left' );
+			expect( editor.getData() ).to.equal( data );
+		} );
+	} );
+
+	describe( 'round-trip', () => {
+		let editor;
+
+		before( async () => {
+			editor = await ClassicTestEditor.create( '', {
+				plugins: [
+					Markdown, Paragraph, Heading, Bold, Italic, Strikethrough, Code, Link, List, TodoList,
+					BlockQuote, CodeBlock, HorizontalLine, Table
+				]
+			} );
+		} );
+
+		after( () => {
+			return editor.destroy();
+		} );
+
+		for ( const [ name, markdown ] of Object.entries( roundTripFixtures ) ) {
+			it( `should not change the data: ${ name }`, () => {
+				editor.setData( markdown );
+
+				expect( editor.getData() ).to.equal( markdown );
+
+				// The data must be stable when loaded again.
+				editor.setData( editor.getData() );
+
+				expect( editor.getData() ).to.equal( markdown );
+			} );
+		}
+	} );
 } );
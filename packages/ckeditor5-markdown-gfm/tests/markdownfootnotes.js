@@ -0,0 +1,144 @@
+/**
+ * @license Copyright (c) 2003-2024, CKSource Holding sp. z o.o. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+
+import VirtualTestEditor from '@ckeditor/ckeditor5-core/tests/_utils/virtualtesteditor.js';
+import Paragraph from '@ckeditor/ckeditor5-paragraph/src/paragraph.js';
+import Superscript from '@ckeditor/ckeditor5-basic-styles/src/superscript.js';
+import Widget from '@ckeditor/ckeditor5-widget/src/widget.js';
+import { getData as getModelData, setData as setModelData } from '@ckeditor/ckeditor5-engine/src/dev-utils/model.js';
+import { isWidget } from '@ckeditor/ckeditor5-widget/src/utils.js';
+
+import Markdown from '../src/markdown.js';
+import MarkdownFootnotes from '../src/markdownfootnotes.js';
+
+describe( 'MarkdownFootnotes', () => {
+	let editor, model;
+
+	beforeEach( async () => {
+		editor = await VirtualTestEditor.create( {
+			plugins: [ Markdown, Paragraph, Superscript ]
+		} );
+
+		model = editor.model;
+	} );
+
+	afterEach( () => {
+		return editor.destroy();
+	} );
+
+	it( 'should have pluginName', () => {
+		expect( MarkdownFootnotes.pluginName ).to.equal( 'MarkdownFootnotes' );
+	} );
+
+	it( 'should require Widget', () => {
+		expect( MarkdownFootnotes.requires ).to.deep.equal( [ Widget ] );
+	} );
+
+	it( 'should be loaded by the Markdown plugin', () => {
+		expect( editor.plugins.get( MarkdownFootnotes ) ).to.be.instanceOf( MarkdownFootnotes );
+	} );
+
+	it( 'should set proper schema rules', () => {
+		expect( model.schema.checkChild( [ '$root', 'paragraph' ], 'footnoteReference' ) ).to.be.true;
+		expect( model.schema.checkAttribute( [ '$root', 'paragraph', 'footnoteReference' ], 'footnoteId' ) ).to.be.true;
+		expect( model.schema.isInline( 'footnoteReference' ) ).to.be.true;
+		expect( model.schema.isObject( 'footnoteReference' ) ).to.be.true;
+
+		expect( model.schema.checkChild( [ '$root' ], 'footnotes' ) ).to.be.true;
+		expect( model.schema.checkChild( [ '$root', 'footnotes' ], 'footnoteDefinition' ) ).to.be.true;
+		expect( model.schema.checkChild( [ '$root' ], 'footnoteDefinition' ) ).to.be.false;
+		expect( model.schema.checkChild( [ '$root', 'footnotes', 'footnoteDefinition' ], 'paragraph' ) ).to.be.true;
+		expect( model.schema.checkAttribute( [ '$root', 'footnotes', 'footnoteDefinition' ], 'footnoteId' ) ).to.be.true;
+		expect( model.schema.isLimit( 'footnotes' ) ).to.be.true;
+		expect( model.schema.isLimit( 'footnoteDefinition' ) ).to.be.true;
+	} );
+
+	it( 'should not allow nesting footnotes', () => {
+		expect( model.schema.checkChild( [ '$root', 'footnotes', 'footnoteDefinition' ], 'footnotes' ) ).to.be.false;
+	} );
+
+	describe( 'conversion in data pipeline', () => {
+		it( 'should convert footnotes to the model', () => {
+			editor.setData(
+				'Foo[^1] bar[^note].\n' +
+				'\n' +
+				'[^1]: First.\n' +
+				'\n' +
+				'[^note]: Second.\n' +
+				'\n' +
+				'    Third.'
+			);
+
+			expect( getModelData( model, { withoutSelection: true } ) ).to.equal(
+				'<paragraph>' +
+					'Foo<footnoteReference footnoteId="1"></footnoteReference>' +
+					' bar<footnoteReference footnoteId="note"></footnoteReference>.' +
+				'</paragraph>' +
+				'<footnotes>' +
+					'<footnoteDefinition footnoteId="1"><paragraph>First.</paragraph></footnoteDefinition>' +
+					'<footnoteDefinition footnoteId="note">' +
+						'<paragraph>Second.</paragraph>' +
+						'<paragraph>Third.</paragraph>' +
+					'</footnoteDefinition>' +
+				'</footnotes>'
+			);
+		} );
+
+		it( 'should not convert the footnote reference to a superscript', () => {
+			editor.setData( 'Foo[^1] <sup>2</sup>' );
+
+			expect( getModelData( model, { withoutSelection: true } ) ).to.equal(
+				'<paragraph>Foo<footnoteReference footnoteId="1"></footnoteReference> <$text superscript="true">2</$text></paragraph>'
+			);
+		} );
+
+		it( 'should convert footnotes to the data', () => {
+			setModelData( model,
+				'<paragraph>Foo<footnoteReference footnoteId="1"></footnoteReference>.</paragraph>' +
+				'<footnotes>' +
+					'<footnoteDefinition footnoteId="1"><paragraph>First.</paragraph><paragraph>Second.</paragraph></footnoteDefinition>' +
+				'</footnotes>'
+			);
+
+			expect( editor.getData() ).to.equal(
+				'Foo[^1].\n' +
+				'\n' +
+				'[^1]: First.\n' +
+				'\n' +
+				'    Second.'
+			);
+		} );
+	} );
+
+	describe( 'conversion in editing pipeline', () => {
+		it( 'should convert the footnote reference to a widget', () => {
+			setModelData( model, '<paragraph>Foo<footnoteReference footnoteId="1"></footnoteReference></paragraph>' );
+
+			const viewReference = editor.editing.view.document.getRoot().getChild( 0 ).getChild( 1 );
+
+			expect( viewReference.name ).to.equal( 'sup' );
+			expect( viewReference.getAttribute( 'data-footnote-id' ) ).to.equal( '1' );
+			expect( viewReference.getChild( 0 ).data ).to.equal( '[1]' );
+			expect( isWidget( viewReference ) ).to.be.true;
+		} );
+
+		it( 'should convert footnotes to the section with an ordered list', () => {
+			setModelData( model,
+				'<footnotes>' +
+					'<footnoteDefinition footnoteId="1"><paragraph>First.</paragraph></footnoteDefinition>' +
+				'</footnotes>'
+			);
+
+			const viewSection = editor.editing.view.document.getRoot().getChild( 0 );
+			const viewItem = viewSection.getChild( 0 ).getChild( 0 );
+
+			expect( viewSection.name ).to.equal( 'section' );
+			expect( viewSection.hasClass( 'footnotes' ) ).to.be.true;
+			expect( viewItem.name ).to.equal( 'li' );
+			expect( viewItem.getAttribute( 'data-footnote-id' ) ).to.equal( '1' );
+			expect( viewItem.getAttribute( 'id' ) ).to.equal( 'fn-1' );
+		} );
+	} );
+} );
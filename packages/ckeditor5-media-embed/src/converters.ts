@@ -10,7 +10,7 @@
 import type { GetCallback } from 'ckeditor5/src/utils.js';
 import type { DowncastAttributeEvent, DowncastDispatcher, Element, ViewElement } from 'ckeditor5/src/engine.js';
 import type MediaRegistry from './mediaregistry.js';
-import type { MediaOptions } from './utils.js';
+import { getMediaMetadata, type MediaOptions } from './utils.js';
 
 /**
  * Returns a function that converts the model "url" attribute to the view representation.
@@ -60,7 +60,10 @@ export function modelToViewUrlAttributeConverter(
 		// TODO: removing the wrapper and creating it from scratch is a hack. We can do better than that.
 		viewWriter.remove( mediaContentElement );
 
-		const mediaViewElement = registry.getMediaViewElement( viewWriter, url, options );
+		const mediaViewElement = registry.getMediaViewElement( viewWriter, url, {
+			...options,
+			metadata: getMediaMetadata( data.item as Element )
+		} );
 
 		viewWriter.insert( viewWriter.createPositionAt( figure, 0 ), mediaViewElement );
 	};
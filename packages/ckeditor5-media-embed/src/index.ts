@@ -13,7 +13,12 @@ export { default as MediaEmbedUI } from './mediaembedui.js';
 export { default as AutoMediaEmbed } from './automediaembed.js';
 export { default as MediaEmbedToolbar } from './mediaembedtoolbar.js';
 
-export type { MediaEmbedConfig } from './mediaembedconfig.js';
+export type {
+	MediaEmbedConfig,
+	MediaEmbedOEmbedConfig,
+	MediaEmbedOEmbedResponse,
+	MediaEmbedProvider
+} from './mediaembedconfig.js';
 export type { default as MediaEmbedCommand } from './mediaembedcommand.js';
 
 import './augmentation.js';
@@ -206,6 +206,109 @@ export interface MediaEmbedConfig {
 	 * Read more about configuring toolbar in {@link module:core/editor/editorconfig~EditorConfig#toolbar}.
 	 */
 	toolbar?: Array<ToolbarConfigItem>;
+
+	/**
+	 * The configuration of the oEmbed resolution used by the providers with the
+	 * {@link module:media-embed/mediaembedconfig~MediaEmbedProvider#oembed `oembed`} flag.
+	 *
+	 * ```ts
+	 * ClassicEditor
+	 * 	.create( editorElement, {
+	 * 		mediaEmbed: {
+	 * 			oembed: {
+	 * 				// Your backend endpoint responding with the oEmbed JSON for the `url` query parameter.
+	 * 				endpoint: '/api/oembed'
+	 * 			},
+	 * 			extraProviders: [
+	 * 				// Resolve all other URLs using the endpoint.
+	 * 				{ name: 'oembed', url: /^.+/, oembed: true }
+	 * 			]
+	 * 		}
+	 * 	} )
+	 * 	.then( ... )
+	 * 	.catch( ... );
+	 * ```
+	 *
+	 * Read more in {@link module:media-embed/mediaembedconfig~MediaEmbedOEmbedConfig}.
+	 */
+	oembed?: MediaEmbedOEmbedConfig;
+}
+
+/**
+ * The configuration of the oEmbed resolution. See {@link module:media-embed/mediaembedconfig~MediaEmbedConfig#oembed}.
+ *
+ * Either the `endpoint` or the `resolver` must be specified.
+ */
+export interface MediaEmbedOEmbedConfig {
+
+	/**
+	 * The URL of the endpoint responding with the [oEmbed](https://oembed.com/) JSON. The URL of the media is passed
+	 * in the `url` query parameter, for instance `/api/oembed?url=https%3A%2F%2Fexample.com%2Fvideo%2F1&format=json`.
+	 */
+	endpoint?: string;
+
+	/**
+	 * The function resolving the URL of the media to the [oEmbed](https://oembed.com/) response. It takes precedence
+	 * over the `endpoint`. The promise should resolve with the oEmbed JSON object (using the property names from
+	 * the oEmbed specification, like `author_name`) or with `null` if the media cannot be embedded.
+	 *
+	 * ```ts
+	 * const oembedConfig = {
+	 * 	resolver: async url => {
+	 * 		const response = await fetch( `/api/oembed?url=${ encodeURIComponent( url ) }` );
+	 *
+	 * 		return response.ok ? response.json() : null;
+	 * 	}
+	 * };
+	 * ```
+	 */
+	resolver?: ( url: string ) => Promise<Record<string, unknown> | null>;
+}
+
+/**
+ * The [oEmbed](https://oembed.com/) response describing the media, as used by the editor. Only the properties used
+ * by the editor are listed. The names of the properties are camel-cased, for instance, the `author_name` property
+ * of the oEmbed JSON is available as `authorName`.
+ *
+ * **Note:** The `html` is not rendered in the editor as it is. For security reasons, it is displayed in a sandboxed
+ * `<iframe>` that prevents it from accessing the editor and the page.
+ */
+export interface MediaEmbedOEmbedResponse {
+
+	/**
+	 * The type of the media.
+	 */
+	type?: 'photo' | 'video' | 'link' | 'rich';
+
+	/**
+	 * The HTML representing the media (for the `video` and `rich` types).
+	 */
+	html?: string;
+
+	/**
+	 * The height (in pixels) of the HTML representing the media.
+	 */
+	height?: number;
+
+	/**
+	 * The URL of the image (for the `photo` type).
+	 */
+	url?: string;
+
+	/**
+	 * The title of the media.
+	 */
+	title?: string;
+
+	/**
+	 * The name of the author of the media.
+	 */
+	authorName?: string;
+
+	/**
+	 * The URL of the thumbnail of the media.
+	 */
+	thumbnailUrl?: string;
 }
 
 /**
@@ -288,4 +391,21 @@ export interface MediaEmbedProvider {
 	 * is `true`, the rendering function **will always** be used for the media in the editor data output.
 	 */
 	html?: ( match: RegExpMatchArray ) => string;
+
+	/**
+	 * When `true`, the media is resolved asynchronously using the
+	 * {@link module:media-embed/mediaembedconfig~MediaEmbedConfig#oembed oEmbed configuration}: the editor displays a loading
+	 * placeholder until the oEmbed response arrives and then renders the media preview based on it. The title, the author
+	 * and the thumbnail of the media are stored in the model and output in the data, for instance:
+	 *
+	 * ```html
+	 * <figure class="media">
+	 * 	<oembed url="https://example.com/video/1" data-oembed-title="Video" data-oembed-author="John"
+	 * 		data-oembed-thumbnail="https://example.com/video/1.jpg"></oembed>
+	 * </figure>
+	 * ```
+	 *
+	 * The `html` rendering function is ignored for such providers.
+	 */
+	oembed?: boolean;
 }
@@ -8,14 +8,20 @@
  */
 
 import { Plugin, type Editor } from 'ckeditor5/src/core.js';
-import type { UpcastElementEvent } from 'ckeditor5/src/engine.js';
+import type { DocumentChangeEvent, Element, UpcastElementEvent, Writer } from 'ckeditor5/src/engine.js';
 import { first, type GetCallback } from 'ckeditor5/src/utils.js';
 
 import { modelToViewUrlAttributeConverter } from './converters.js';
-import type { MediaEmbedConfig } from './mediaembedconfig.js';
+import type { MediaEmbedConfig, MediaEmbedOEmbedResponse } from './mediaembedconfig.js';
 import MediaEmbedCommand from './mediaembedcommand.js';
 import MediaRegistry from './mediaregistry.js';
-import { toMediaWidget, createMediaFigureElement } from './utils.js';
+import {
+	toMediaWidget,
+	createMediaFigureElement,
+	getMediaMetadata,
+	getMediaMetadataAttributesFromView,
+	MEDIA_METADATA_ATTRIBUTES
+} from './utils.js';
 
 import '../theme/mediaembedediting.css';
 
@@ -35,6 +41,11 @@ export default class MediaEmbedEditing extends Plugin {
 	 */
 	public registry: MediaRegistry;
 
+	/**
+	 * The URLs of the media being resolved using the oEmbed.
+	 */
+	private readonly _resolvingUrls = new Set<string>();
+
 	/**
 	 * @inheritDoc
 	 */
@@ -175,24 +186,29 @@ export default class MediaEmbedEditing extends Plugin {
 		const elementName = editor.config.get( 'mediaEmbed.elementName' )!;
 
 		const registry = this.registry;
+		const metadataAttributes = Object.values( MEDIA_METADATA_ATTRIBUTES );
 
 		editor.commands.add( 'mediaEmbed', new MediaEmbedCommand( editor ) );
 
 		// Configure the schema.
 		schema.register( 'media', {
 			inheritAllFrom: '$blockObject',
-			allowAttributes: [ 'url' ]
+			allowAttributes: [ 'url', ...metadataAttributes ]
 		} );
 
 		// Model -> Data
 		conversion.for( 'dataDowncast' ).elementToStructure( {
-			model: 'media',
+			model: {
+				name: 'media',
+				attributes: metadataAttributes
+			},
 			view: ( modelElement, { writer } ) => {
 				const url = modelElement.getAttribute( 'url' ) as string;
 
 				return createMediaFigureElement( writer, registry, url, {
 					elementName,
-					renderMediaPreview: !!url && renderMediaPreview
+					renderMediaPreview: !!url && renderMediaPreview,
+					metadata: getMediaMetadata( modelElement )
 				} );
 			}
 		} );
@@ -206,12 +222,16 @@ export default class MediaEmbedEditing extends Plugin {
 
 		// Model -> View (element)
 		conversion.for( 'editingDowncast' ).elementToStructure( {
-			model: 'media',
+			model: {
+				name: 'media',
+				attributes: metadataAttributes
+			},
 			view: ( modelElement, { writer } ) => {
 				const url = modelElement.getAttribute( 'url' ) as string;
 				const figure = createMediaFigureElement( writer, registry, url, {
 					elementName,
-					renderForEditingView: true
+					renderForEditingView: true,
+					metadata: getMediaMetadata( modelElement )
 				} );
 
 				return toMediaWidget( figure, writer, t( 'media widget' ) );
@@ -236,7 +256,7 @@ export default class MediaEmbedEditing extends Plugin {
 					const url = viewMedia.getAttribute( 'url' ) as string;
 
 					if ( registry.hasMedia( url ) ) {
-						return writer.createElement( 'media', { url } );
+						return writer.createElement( 'media', { url, ...getMediaMetadataAttributesFromView( viewMedia ) } );
 					}
 
 					return null;
@@ -254,7 +274,7 @@ export default class MediaEmbedEditing extends Plugin {
 					const url = viewMedia.getAttribute( 'data-oembed-url' ) as string;
 
 					if ( registry.hasMedia( url ) ) {
-						return writer.createElement( 'media', { url } );
+						return writer.createElement( 'media', { url, ...getMediaMetadataAttributesFromView( viewMedia ) } );
 					}
 
 					return null;
@@ -282,5 +302,138 @@ export default class MediaEmbedEditing extends Plugin {
 
 				dispatcher.on<UpcastElementEvent>( 'element:figure', converter );
 			} );
+
+		this._setupOEmbedIntegration();
+	}
+
+	/**
+	 * Resolves the media inserted into the content using the oEmbed (see
+	 * {@link module:media-embed/mediaembedconfig~MediaEmbedProvider#oembed}). Until the media is resolved, the editing view
+	 * displays the loading placeholder. Then, the media metadata is stored in the model and the media is rendered again.
+	 */
+	private _setupOEmbedIntegration(): void {
+		const editor = this.editor;
+		const model = editor.model;
+		const registry = this.registry;
+
+		// Store the metadata of the already resolved media in the inserted media elements.
+		model.document.registerPostFixer( writer => {
+			let wasFixed = false;
+
+			for ( const mediaElement of getChangedMediaElements( editor ) ) {
+				const response = registry.getOEmbedResponse( mediaElement.getAttribute( 'url' ) as string );
+
+				if ( response ) {
+					wasFixed = setMetadataAttributes( writer, mediaElement, response ) || wasFixed;
+				}
+			}
+
+			return wasFixed;
+		} );
+
+		// Resolve the inserted media that have not been resolved yet.
+		this.listenTo<DocumentChangeEvent>( model.document, 'change:data', () => {
+			for ( const mediaElement of getChangedMediaElements( editor ) ) {
+				const url = mediaElement.getAttribute( 'url' ) as string;
+
+				if ( !registry.isOEmbedMedia( url ) || registry.getOEmbedResponse( url ) !== undefined || this._resolvingUrls.has( url ) ) {
+					continue;
+				}
+
+				this._resolvingUrls.add( url );
+
+				registry.resolveOEmbed( url ).then( response => {
+					this._resolvingUrls.delete( url );
+
+					if ( editor.state != 'destroyed' ) {
+						this._updateOEmbedMedia( url, response );
+					}
+				} );
+			}
+		} );
 	}
+
+	/**
+	 * Stores the metadata from the oEmbed response in all media elements with the given URL and renders them again
+	 * to replace the loading placeholder with the preview.
+	 *
+	 * @param url The URL of the media.
+	 * @param response The oEmbed response or `null` if the media could not be resolved.
+	 */
+	private _updateOEmbedMedia( url: string, response: MediaEmbedOEmbedResponse | null ): void {
+		const editor = this.editor;
+		const model = editor.model;
+		const mediaElements: Array<Element> = [];
+
+		for ( const root of model.document.getRoots() ) {
+			for ( const item of model.createRangeIn( root ).getItems() ) {
+				if ( item.is( 'element', 'media' ) && item.getAttribute( 'url' ) === url ) {
+					mediaElements.push( item );
+				}
+			}
+		}
+
+		if ( !mediaElements.length ) {
+			return;
+		}
+
+		model.enqueueChange( { isUndoable: false }, writer => {
+			for ( const mediaElement of mediaElements ) {
+				if ( response ) {
+					setMetadataAttributes( writer, mediaElement, response );
+				}
+
+				editor.editing.reconvertItem( mediaElement );
+			}
+		} );
+	}
+}
+
+/**
+ * Returns the media elements inserted into the content or having their URL changed in the current model change.
+ */
+function getChangedMediaElements( editor: Editor ): Set<Element> {
+	const model = editor.model;
+	const mediaElements = new Set<Element>();
+
+	for ( const change of model.document.differ.getChanges() ) {
+		if ( change.type == 'insert' && change.name != '$text' ) {
+			const insertedNode = change.position.nodeAfter!;
+
+			for ( const item of model.createRangeOn( insertedNode ).getItems() ) {
+				if ( item.is( 'element', 'media' ) && item.hasAttribute( 'url' ) ) {
+					mediaElements.add( item );
+				}
+			}
+		} else if ( change.type == 'attribute' && change.attributeKey == 'url' && change.attributeNewValue ) {
+			const item = change.range.start.nodeAfter;
+
+			if ( item && item.is( 'element', 'media' ) ) {
+				mediaElements.add( item );
+			}
+		}
+	}
+
+	return mediaElements;
+}
+
+/**
+ * Sets the media metadata attributes based on the oEmbed response. Returns `true` if any attribute has changed.
+ */
+function setMetadataAttributes( writer: Writer, mediaElement: Element, response: MediaEmbedOEmbedResponse ): boolean {
+	const metadata = {
+		[ MEDIA_METADATA_ATTRIBUTES.title ]: response.title,
+		[ MEDIA_METADATA_ATTRIBUTES.author ]: response.authorName,
+		[ MEDIA_METADATA_ATTRIBUTES.thumbnail ]: response.thumbnailUrl
+	};
+	let hasChanged = false;
+
+	for ( const [ attributeName, value ] of Object.entries( metadata ) ) {
+		if ( value && mediaElement.getAttribute( attributeName ) !== value ) {
+			writer.setAttribute( attributeName, value, mediaElement );
+			hasChanged = true;
+		}
+	}
+
+	return hasChanged;
 }
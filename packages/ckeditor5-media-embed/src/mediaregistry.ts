@@ -7,13 +7,15 @@
  * @module media-embed/mediaregistry
  */
 
+/* global fetch */
+
 import type { DowncastWriter, ViewElement } from 'ckeditor5/src/engine.js';
-import { IconView, Template } from 'ckeditor5/src/ui.js';
+import { IconView, Template, type TemplateDefinition } from 'ckeditor5/src/ui.js';
 import { type Locale, logWarning, toArray } from 'ckeditor5/src/utils.js';
 
 import mediaPlaceholderIcon from '../theme/icons/media-placeholder.svg';
-import type { MediaEmbedConfig, MediaEmbedProvider } from './mediaembedconfig.js';
-import type { MediaOptions } from './utils.js';
+import type { MediaEmbedConfig, MediaEmbedOEmbedResponse, MediaEmbedProvider } from './mediaembedconfig.js';
+import type { MediaMetadata, MediaOptions } from './utils.js';
 
 const mediaPlaceholderIconViewBox = '0 0 64 42';
 
@@ -36,6 +38,21 @@ export default class MediaRegistry {
 	 */
 	public providerDefinitions: Array<MediaEmbedProvider>;
 
+	/**
+	 * The function resolving the media URLs to the oEmbed responses or `null` if the oEmbed is not configured.
+	 */
+	private readonly _oembedResolver: ( ( url: string ) => Promise<Record<string, unknown> | null> ) | null;
+
+	/**
+	 * The cache of the oEmbed requests.
+	 */
+	private readonly _oembedRequests = new Map<string, Promise<MediaEmbedOEmbedResponse | null>>();
+
+	/**
+	 * The cache of the oEmbed responses. The response is `null` if the media could not be resolved.
+	 */
+	private readonly _oembedResponses = new Map<string, MediaEmbedOEmbedResponse | null>();
+
 	/**
 	 * Creates an instance of the {@link module:media-embed/mediaregistry~MediaRegistry} class.
 	 *
@@ -69,6 +86,20 @@ export default class MediaRegistry {
 
 		this.locale = locale;
 		this.providerDefinitions = providerDefinitions;
+		this._oembedResolver = getOEmbedResolver( config );
+
+		if ( !this._oembedResolver && providerDefinitions.some( provider => provider.oembed ) ) {
+			/**
+			 * One of the providers (or extra providers) specified in the media embed configuration
+			 * uses the oEmbed, but neither the `config.mediaEmbed.oembed.endpoint` nor the `config.mediaEmbed.oembed.resolver`
+			 * is set. The media of such providers will be displayed without the preview.
+			 *
+			 * See {@link module:media-embed/mediaembedconfig~MediaEmbedConfig#oembed}.
+			 *
+			 * @error media-embed-no-oembed-resolver
+			 */
+			logWarning( 'media-embed-no-oembed-resolver' );
+		}
 	}
 
 	/**
@@ -97,6 +128,85 @@ export default class MediaRegistry {
 		return this._getMedia( url )!.getViewElement( writer, options );
 	}
 
+	/**
+	 * Checks whether the passed URL is representing media resolved using the oEmbed
+	 * (see {@link module:media-embed/mediaembedconfig~MediaEmbedProvider#oembed}).
+	 *
+	 * @param url The URL to be checked.
+	 */
+	public isOEmbedMedia( url: string ): boolean {
+		const provider = url ? this._getProvider( url.trim() ) : null;
+
+		return !!provider && !!provider.definition.oembed && !!this._oembedResolver;
+	}
+
+	/**
+	 * Returns the cached oEmbed response for the given media URL. Returns `null` if the media could not be resolved
+	 * and `undefined` if it has not been resolved yet.
+	 *
+	 * @param url The URL of the media.
+	 */
+	public getOEmbedResponse( url: string ): MediaEmbedOEmbedResponse | null | undefined {
+		return this._oembedResponses.get( url.trim() );
+	}
+
+	/**
+	 * Resolves the media URL to the oEmbed response using the
+	 * {@link module:media-embed/mediaembedconfig~MediaEmbedConfig#oembed oEmbed configuration}.
+	 * The responses are cached, so each URL is requested once.
+	 *
+	 * The returned promise never rejects. It resolves with `null` if the media could not be resolved.
+	 *
+	 * @param url The URL of the media.
+	 */
+	public resolveOEmbed( url: string ): Promise<MediaEmbedOEmbedResponse | null> {
+		url = url.trim();
+
+		let request = this._oembedRequests.get( url );
+
+		if ( !request ) {
+			request = this._requestOEmbed( url ).then( response => {
+				this._oembedResponses.set( url, response );
+
+				return response;
+			} );
+
+			this._oembedRequests.set( url, request );
+		}
+
+		return request;
+	}
+
+	/**
+	 * Requests the oEmbed response for the given media URL.
+	 *
+	 * @param url The URL of the media.
+	 */
+	private async _requestOEmbed( url: string ): Promise<MediaEmbedOEmbedResponse | null> {
+		if ( !this._oembedResolver ) {
+			return null;
+		}
+
+		try {
+			const response = await this._oembedResolver( getValidUrl( url )! );
+
+			return response ? normalizeOEmbedResponse( response ) : null;
+		} catch ( error ) {
+			/**
+			 * The oEmbed response for the media could not be obtained. The media will be displayed without the preview.
+			 *
+			 * See {@link module:media-embed/mediaembedconfig~MediaEmbedConfig#oembed}.
+			 *
+			 * @error media-embed-oembed-resolve-failed
+			 * @param url The URL of the media.
+			 * @param error The original error.
+			 */
+			logWarning( 'media-embed-oembed-resolve-failed', { url, error } );
+
+			return null;
+		}
+	}
+
 	/**
 	 * Returns a `Media` instance for the given URL.
 	 *
@@ -110,15 +220,35 @@ export default class MediaRegistry {
 
 		url = url.trim();
 
+		const provider = this._getProvider( url );
+
+		if ( !provider ) {
+			return null;
+		}
+
+		const { definition, match } = provider;
+
+		if ( definition.oembed && this._oembedResolver ) {
+			return new Media( this.locale, url, match, undefined, { response: this._oembedResponses.get( url ) } );
+		}
+
+		return new Media( this.locale, url, match, definition.html );
+	}
+
+	/**
+	 * Returns the definition of the provider of the given media URL and the result of matching the URL.
+	 *
+	 * @param url The URL of the media.
+	 */
+	private _getProvider( url: string ): { definition: MediaEmbedProvider; match: RegExpMatchArray } | null {
 		for ( const definition of this.providerDefinitions ) {
-			const previewRenderer = definition.html!;
 			const pattern = toArray( definition.url );
 
 			for ( const subPattern of pattern ) {
 				const match = this._getUrlMatches( url, subPattern );
 
 				if ( match ) {
-					return new Media( this.locale, url, match, previewRenderer );
+					return { definition, match };
 				}
 			}
 		}
@@ -188,11 +318,24 @@ class Media {
 	 */
 	private _previewRenderer?: ( match: RegExpMatchArray ) => string;
 
-	constructor( locale: Locale, url?: string, match?: RegExpMatchArray, previewRenderer?: ( match: RegExpMatchArray ) => string ) {
+	/**
+	 * The oEmbed state of this media if it is resolved using the oEmbed. The `response` is `undefined` as long as
+	 * the media is being resolved.
+	 */
+	private _oembed?: { response?: MediaEmbedOEmbedResponse | null };
+
+	constructor(
+		locale: Locale,
+		url?: string,
+		match?: RegExpMatchArray,
+		previewRenderer?: ( match: RegExpMatchArray ) => string,
+		oembed?: { response?: MediaEmbedOEmbedResponse | null }
+	) {
 		this.url = this._getValidUrl( url );
 		this._locale = locale;
 		this._match = match;
 		this._previewRenderer = previewRenderer;
+		this._oembed = oembed;
 	}
 
 	/**
@@ -205,13 +348,16 @@ class Media {
 		options: MediaOptions
 	): ViewElement {
 		const attributes: Record<string, unknown> = {};
+		const hasPreview = !!this._previewRenderer || !!this._getOEmbedPreviewDefinition( options );
 		let viewElement;
 
-		if ( options.renderForEditingView || ( options.renderMediaPreview && this.url && this._previewRenderer ) ) {
+		if ( options.renderForEditingView || ( options.renderMediaPreview && this.url && hasPreview ) ) {
 			if ( this.url ) {
 				attributes[ 'data-oembed-url' ] = this.url;
 			}
 
+			Object.assign( attributes, getMetadataViewAttributes( options.metadata ) );
+
 			if ( options.renderForEditingView ) {
 				attributes.class = 'ck-media__wrapper';
 			}
@@ -226,6 +372,8 @@ class Media {
 				attributes.url = this.url;
 			}
 
+			Object.assign( attributes, getMetadataViewAttributes( options.metadata ) );
+
 			viewElement = writer.createEmptyElement( options.elementName, attributes );
 		}
 
@@ -237,18 +385,103 @@ class Media {
 	/**
 	 * Returns the HTML string of the media content preview.
 	 */
-	private _getPreviewHtml( options: { renderForEditingView?: boolean } ): string {
+	private _getPreviewHtml( options: { renderForEditingView?: boolean; metadata?: MediaMetadata } = {} ): string {
 		if ( this._previewRenderer ) {
 			return this._previewRenderer( this._match! );
-		} else {
-			// The placeholder only makes sense for editing view and media which have URLs.
-			// Placeholder is never displayed in data and URL-less media have no content.
-			if ( this.url && options.renderForEditingView ) {
-				return this._getPlaceholderHtml();
-			}
+		}
+
+		const oembedPreview = this._getOEmbedPreviewDefinition( options );
+
+		if ( oembedPreview ) {
+			return ( new Template( oembedPreview ).render() as HTMLElement ).outerHTML;
+		}
+
+		// The placeholder only makes sense for editing view and media which have URLs.
+		// Placeholder is never displayed in data and URL-less media have no content.
+		if ( this.url && options.renderForEditingView ) {
+			return this._getPlaceholderHtml();
+		}
+
+		return '';
+	}
 
-			return '';
+	/**
+	 * Returns the preview of the media resolved using the oEmbed: the sandboxed frame with the HTML from the oEmbed response,
+	 * or the definition of the image (for photos) or the card with the title and the thumbnail of the media.
+	 * The metadata stored in the model is used if the oEmbed response is not available.
+	 *
+	 * The oEmbed response is only kept for the editing session, so it is used in the editing view only. The data view
+	 * is always based on the stored metadata, so it does not depend on whether the media was resolved in the current session.
+	 *
+	 * Returns `null` if the media is not resolved using the oEmbed or there is nothing to display.
+	 */
+	private _getOEmbedPreviewDefinition(
+		{ renderForEditingView, metadata = {} }: { renderForEditingView?: boolean; metadata?: MediaMetadata }
+	): TemplateDefinition | null {
+		if ( !this._oembed ) {
+			return null;
 		}
+
+		const response = renderForEditingView ? this._oembed.response : null;
+
+		// The HTML comes from a remote service, so it is rendered in a sandboxed frame which runs in a unique origin.
+		// This way, the scripts of the embed work, but they cannot access the editor or the page.
+		if ( response && response.html ) {
+			return {
+				tag: 'iframe',
+				attributes: {
+					class: 'media-oembed-frame',
+					sandbox: 'allow-scripts allow-popups allow-presentation',
+					srcdoc: response.html,
+					title: response.title || '',
+					...( response.height ? { height: String( response.height ) } : {} )
+				}
+			};
+		}
+
+		if ( response && response.type == 'photo' && response.url ) {
+			return {
+				tag: 'img',
+				attributes: {
+					class: 'media-photo',
+					src: response.url,
+					alt: response.title || ''
+				}
+			};
+		}
+
+		const title = response ? response.title : metadata.title;
+		const author = response ? response.authorName : metadata.author;
+		const thumbnail = response ? response.thumbnailUrl : metadata.thumbnail;
+
+		if ( !title && !thumbnail ) {
+			return null;
+		}
+
+		const children: Array<TemplateDefinition> = [];
+
+		if ( thumbnail ) {
+			children.push( { tag: 'img', attributes: { class: 'media-card__thumbnail', src: thumbnail, alt: '' } } );
+		}
+
+		if ( title ) {
+			children.push( { tag: 'span', attributes: { class: 'media-card__title' }, children: [ title ] } );
+		}
+
+		if ( author ) {
+			children.push( { tag: 'span', attributes: { class: 'media-card__author' }, children: [ author ] } );
+		}
+
+		return {
+			tag: 'a',
+			attributes: {
+				class: 'media-card',
+				href: this.url,
+				target: '_blank',
+				rel: 'noopener noreferrer'
+			},
+			children
+		};
 	}
 
 	/**
@@ -261,10 +494,14 @@ class Media {
 		icon.content = mediaPlaceholderIcon;
 		icon.viewBox = mediaPlaceholderIconViewBox;
 
+		// The media is being resolved using the oEmbed.
+		const isLoading = !!this._oembed && this._oembed.response === undefined;
+
 		const placeholder = new Template( {
 			tag: 'div',
 			attributes: {
-				class: 'ck ck-reset_all ck-media__placeholder'
+				class: [ 'ck', 'ck-reset_all', 'ck-media__placeholder', ...( isLoading ? [ 'ck-media__placeholder_loading' ] : [] ) ],
+				...( isLoading ? { 'aria-busy': 'true' } : {} )
 			},
 			children: [
 				{
@@ -305,14 +542,104 @@ class Media {
 	 * @param url The URL of the media.
 	 */
 	private _getValidUrl( url: string | undefined ): string | null {
-		if ( !url ) {
-			return null;
+		return getValidUrl( url );
+	}
+}
+
+/**
+ * Returns the full URL to the specified media.
+ *
+ * @param url The URL of the media.
+ */
+function getValidUrl( url: string | undefined ): string | null {
+	if ( !url ) {
+		return null;
+	}
+
+	if ( url.match( /^https?/ ) ) {
+		return url;
+	}
+
+	return 'https://' + url;
+}
+
+/**
+ * Returns the function resolving the media URLs to the oEmbed responses based on the media embed configuration.
+ */
+function getOEmbedResolver( config: MediaEmbedConfig ): ( ( url: string ) => Promise<Record<string, unknown> | null> ) | null {
+	const oembedConfig = config.oembed;
+
+	if ( !oembedConfig ) {
+		return null;
+	}
+
+	if ( oembedConfig.resolver ) {
+		return oembedConfig.resolver;
+	}
+
+	const endpoint = oembedConfig.endpoint;
+
+	if ( !endpoint ) {
+		return null;
+	}
+
+	return async url => {
+		const separator = endpoint.includes( '?' ) ? '&' : '?';
+		const response = await fetch( `${ endpoint }${ separator }url=${ encodeURIComponent( url ) }&format=json` );
+
+		if ( !response.ok ) {
+			throw new Error( `The oEmbed endpoint responded with the ${ response.status } status.` );
 		}
 
-		if ( url.match( /^https?/ ) ) {
-			return url;
+		return response.json();
+	};
+}
+
+/**
+ * Picks the properties used by the editor from the oEmbed JSON and maps their names to the camel-cased ones.
+ * The properties of unexpected types are skipped.
+ */
+function normalizeOEmbedResponse( json: Record<string, unknown> ): MediaEmbedOEmbedResponse {
+	const response: MediaEmbedOEmbedResponse = {};
+	const properties = {
+		html: json.html,
+		url: json.url,
+		title: json.title,
+		authorName: json.author_name,
+		thumbnailUrl: json.thumbnail_url
+	};
+
+	for ( const [ name, value ] of Object.entries( properties ) ) {
+		if ( typeof value == 'string' ) {
+			response[ name as keyof typeof properties ] = value;
 		}
+	}
+
+	if ( [ 'photo', 'video', 'link', 'rich' ].includes( json.type as string ) ) {
+		response.type = json.type as MediaEmbedOEmbedResponse[ 'type' ];
+	}
+
+	// The oEmbed specification requires the height to be a number, but some services return it as a string.
+	const height = parseInt( json.height as string );
 
-		return 'https://' + url;
+	if ( height > 0 ) {
+		response.height = height;
 	}
+
+	return response;
+}
+
+/**
+ * Returns the `data-oembed-*` view attributes representing the media metadata.
+ */
+function getMetadataViewAttributes( metadata: MediaMetadata = {} ): Record<string, string> {
+	const attributes: Record<string, string> = {};
+
+	for ( const key of [ 'title', 'author', 'thumbnail' ] as const ) {
+		if ( metadata[ key ] ) {
+			attributes[ `data-oembed-${ key }` ] = metadata[ key ]!;
+		}
+	}
+
+	return attributes;
 }
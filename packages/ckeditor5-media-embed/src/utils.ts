@@ -125,4 +125,57 @@ export type MediaOptions = {
 	elementName: string;
 	renderMediaPreview?: boolean;
 	renderForEditingView?: boolean;
+	metadata?: MediaMetadata;
 };
+
+/**
+ * The metadata of the media resolved using the {@link module:media-embed/mediaembedconfig~MediaEmbedConfig#oembed oEmbed}
+ * and stored in the model attributes of the media element.
+ */
+export type MediaMetadata = {
+	title?: string;
+	author?: string;
+	thumbnail?: string;
+};
+
+/**
+ * The names of the media model attributes storing the {@link ~MediaMetadata media metadata}.
+ */
+export const MEDIA_METADATA_ATTRIBUTES = {
+	title: 'mediaTitle',
+	author: 'mediaAuthor',
+	thumbnail: 'mediaThumbnail'
+} as const;
+
+/**
+ * Returns the {@link ~MediaMetadata metadata} stored in the attributes of the media model element.
+ */
+export function getMediaMetadata( mediaElement: Element ): MediaMetadata {
+	const metadata: MediaMetadata = {};
+
+	for ( const [ key, attributeName ] of Object.entries( MEDIA_METADATA_ATTRIBUTES ) ) {
+		if ( mediaElement.hasAttribute( attributeName ) ) {
+			metadata[ key as keyof MediaMetadata ] = mediaElement.getAttribute( attributeName ) as string;
+		}
+	}
+
+	return metadata;
+}
+
+/**
+ * Returns the model attributes storing the {@link ~MediaMetadata metadata} read from the `data-oembed-*` attributes
+ * of the media view element (see {@link module:media-embed/mediaembedconfig~MediaEmbedProvider#oembed}).
+ */
+export function getMediaMetadataAttributesFromView( viewElement: ViewElement ): Record<string, string> {
+	const attributes: Record<string, string> = {};
+
+	for ( const [ key, attributeName ] of Object.entries( MEDIA_METADATA_ATTRIBUTES ) ) {
+		const value = viewElement.getAttribute( `data-oembed-${ key }` );
+
+		if ( value ) {
+			attributes[ attributeName ] = value;
+		}
+	}
+
+	return attributes;
+}
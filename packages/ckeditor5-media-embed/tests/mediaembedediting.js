@@ -3,7 +3,7 @@
  * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
  */
 
-/* globals console */
+/* globals console, setTimeout */
 
 import VirtualTestEditor from '@ckeditor/ckeditor5-core/tests/_utils/virtualtesteditor.js';
 import MediaEmbedEditing from '../src/mediaembedediting.js';
@@ -1292,6 +1292,214 @@ describe( 'MediaEmbedEditing', () => {
 		}
 	}
 
+	describe( 'oEmbed', () => {
+		let resolveResponse, resolver;
+
+		beforeEach( async () => {
+			resolver = sinon.stub().callsFake( () => new Promise( resolve => {
+				resolveResponse = resolve;
+			} ) );
+
+			editor = await createTestEditor( {
+				providers: [
+					{ name: 'oembed', url: /^example\.com\/(\w+)/, oembed: true },
+					testProviders.A
+				],
+				oembed: { resolver }
+			} );
+
+			model = editor.model;
+			doc = model.document;
+			view = editor.editing.view;
+		} );
+
+		afterEach( async () => {
+			if ( editor.state != 'destroyed' ) {
+				await editor.destroy();
+			}
+		} );
+
+		it( 'should allow the metadata attributes in the schema', () => {
+			expect( model.schema.checkAttribute( [ '$root', 'media' ], 'mediaTitle' ) ).to.be.true;
+			expect( model.schema.checkAttribute( [ '$root', 'media' ], 'mediaAuthor' ) ).to.be.true;
+			expect( model.schema.checkAttribute( [ '$root', 'media' ], 'mediaThumbnail' ) ).to.be.true;
+		} );
+
+		it( 'should display the loading placeholder until the media is resolved', () => {
+			setModelData( model, '<media url="https://example.com/foo"></media>' );
+
+			sinon.assert.calledOnceWithExactly( resolver, 'https://example.com/foo' );
+			expect( getViewData( view, { withoutSelection: true, renderRawElements: true } ) )
+				.to.match( /<div class="ck ck-reset_all ck-media__placeholder ck-media__placeholder_loading" aria-busy="true">/ );
+		} );
+
+		it( 'should store the metadata and render the preview once the media is resolved', async () => {
+			setModelData( model, '<media url="https://example.com/foo"></media>' );
+
+			await resolveOEmbed( { title: 'Foo', author_name: 'Bar', thumbnail_url: 'https://example.com/foo.jpg' } );
+
+			expect( getModelData( model, { withoutSelection: true } ) ).to.equal(
+				'<media mediaAuthor="Bar" mediaThumbnail="https://example.com/foo.jpg" mediaTitle="Foo" ' +
+					'url="https://example.com/foo"></media>'
+			);
+
+			expect( getViewData( view, { withoutSelection: true, renderRawElements: true } ) ).to.equal(
+				'<figure class="ck-widget media" contenteditable="false">' +
+					'<div class="ck-media__wrapper" data-oembed-author="Bar" data-oembed-thumbnail="https://example.com/foo.jpg" ' +
+						'data-oembed-title="Foo" data-oembed-url="https://example.com/foo">' +
+						'<a class="media-card" href="https://example.com/foo" target="_blank" rel="noopener noreferrer">' +
+							'<img class="media-card__thumbnail" src="https://example.com/foo.jpg" alt="">' +
+							'<span class="media-card__title">Foo</span>' +
+							'<span class="media-card__author">Bar</span>' +
+						'</a>' +
+					'</div>' +
+				'</figure>'
+			);
+		} );
+
+		it( 'should not create an undo step when storing the metadata', async () => {
+			setModelData( model, '<media url="https://example.com/foo"></media>' );
+
+			const spy = sinon.spy();
+
+			model.document.on( 'change:data', ( evt, batch ) => spy( batch.isUndoable ) );
+
+			await resolveOEmbed( { title: 'Foo' } );
+
+			sinon.assert.calledOnceWithExactly( spy, false );
+		} );
+
+		it( 'should render the placeholder without the loading state if the media could not be resolved', async () => {
+			setModelData( model, '<media url="https://example.com/foo"></media>' );
+
+			await resolveOEmbed( null );
+
+			expect( getModelData( model, { withoutSelection: true } ) ).to.equal( '<media url="https://example.com/foo"></media>' );
+			expect( getViewData( view, { withoutSelection: true, renderRawElements: true } ) )
+				.to.match( /<div class="ck ck-reset_all ck-media__placeholder">/ );
+		} );
+
+		it( 'should resolve each media once', async () => {
+			setModelData( model,
+				'<media url="https://example.com/foo"></media>' +
+				'<media url="https://example.com/foo"></media>'
+			);
+
+			await resolveOEmbed( { title: 'Foo' } );
+
+			model.change( writer => {
+				writer.insertElement( 'media', { url: 'https://example.com/foo' }, doc.getRoot(), 'end' );
+			} );
+
+			sinon.assert.calledOnce( resolver );
+
+			for ( const media of doc.getRoot().getChildren() ) {
+				expect( media.getAttribute( 'mediaTitle' ) ).to.equal( 'Foo' );
+			}
+		} );
+
+		it( 'should resolve the media when its url changes', () => {
+			setModelData( model, '<media url="https://foo.com/bar"></media>' );
+
+			sinon.assert.notCalled( resolver );
+
+			model.change( writer => {
+				writer.setAttribute( 'url', 'https://example.com/foo', doc.getRoot().getChild( 0 ) );
+			} );
+
+			sinon.assert.calledOnceWithExactly( resolver, 'https://example.com/foo' );
+		} );
+
+		it( 'should not update the content after the editor is destroyed', async () => {
+			setModelData( model, '<media url="https://example.com/foo"></media>' );
+
+			await editor.destroy();
+
+			const spy = sinon.spy( model, 'enqueueChange' );
+
+			await resolveOEmbed( { title: 'Foo' } );
+
+			sinon.assert.notCalled( spy );
+		} );
+
+		it( 'should convert the metadata attributes in the data pipeline', async () => {
+			setModelData( model, '<media url="https://example.com/foo"></media>' );
+
+			await resolveOEmbed( { title: 'Foo', author_name: 'Bar' } );
+
+			const data = editor.getData();
+
+			expect( data ).to.equal(
+				'<figure class="media">' +
+					'<oembed url="https://example.com/foo" data-oembed-title="Foo" data-oembed-author="Bar"></oembed>' +
+				'</figure>'
+			);
+
+			editor.setData( data );
+
+			expect( getModelData( model, { withoutSelection: true } ) ).to.equal(
+				'<media mediaAuthor="Bar" mediaTitle="Foo" url="https://example.com/foo"></media>'
+			);
+		} );
+
+		it( 'should render the preview in the data using the metadata if previewsInData=true', async () => {
+			await editor.destroy();
+
+			editor = await createTestEditor( {
+				providers: [ { name: 'oembed', url: /^example\.com\/(\w+)/, oembed: true } ],
+				oembed: { resolver: () => Promise.resolve( null ) },
+				previewsInData: true
+			} );
+
+			editor.setData(
+				'<figure class="media"><div data-oembed-url="https://example.com/foo" data-oembed-title="Foo"></div></figure>'
+			);
+
+			expect( editor.getData() ).to.equal(
+				'<figure class="media">' +
+					'<div data-oembed-url="https://example.com/foo" data-oembed-title="Foo">' +
+						'<a class="media-card" href="https://example.com/foo" target="_blank" rel="noopener noreferrer">' +
+							'<span class="media-card__title">Foo</span>' +
+						'</a>' +
+					'</div>' +
+				'</figure>'
+			);
+		} );
+
+		it( 'should not render the response in the data if previewsInData=true', async () => {
+			await editor.destroy();
+
+			editor = await createTestEditor( {
+				providers: [ { name: 'oembed', url: /^example\.com\/(\w+)/, oembed: true } ],
+				oembed: { resolver },
+				previewsInData: true
+			} );
+
+			setModelData( editor.model, '<media url="https://example.com/foo"></media>' );
+
+			await resolveOEmbed( { type: 'rich', title: 'Foo', html: '<iframe src="https://example.com/embed/foo"></iframe>' } );
+
+			expect( getViewData( editor.editing.view, { withoutSelection: true, renderRawElements: true } ) )
+				.to.contain( '<iframe class="media-oembed-frame"' );
+			expect( editor.getData() ).to.equal(
+				'<figure class="media">' +
+					'<div data-oembed-url="https://example.com/foo" data-oembed-title="Foo">' +
+						'<a class="media-card" href="https://example.com/foo" target="_blank" rel="noopener noreferrer">' +
+							'<span class="media-card__title">Foo</span>' +
+						'</a>' +
+					'</div>' +
+				'</figure>'
+			);
+		} );
+
+		async function resolveOEmbed( response ) {
+			resolveResponse( response );
+
+			// Wait for the registry and the editing plugin to process the response.
+			await new Promise( resolve => setTimeout( resolve ) );
+		}
+	} );
+
 	function createTestEditor( mediaEmbedConfig ) {
 		return VirtualTestEditor
 			.create( {
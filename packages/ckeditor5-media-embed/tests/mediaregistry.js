@@ -3,7 +3,7 @@
  * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
  */
 
-/* globals console */
+/* globals console, document, window, Response */
 
 import MediaRegistry from '../src/mediaregistry.js';
 
@@ -123,4 +123,243 @@ describe( 'MediaRegistry', () => {
 			] );
 		} );
 	} );
+
+	describe( 'oEmbed', () => {
+		const providers = [
+			{ name: 'oembed', url: /^example\.com\/(\w+)/, oembed: true },
+			{ name: 'regular', url: /^foo\.com\/(\w+)/, html: match => `foo, id=${ match[ 1 ] }` }
+		];
+
+		let resolver, mediaRegistry;
+
+		beforeEach( () => {
+			resolver = sinon.stub().resolves( {
+				type: 'video',
+				title: 'Foo',
+				author_name: 'Bar',
+				thumbnail_url: 'https://example.com/foo.jpg'
+			} );
+			mediaRegistry = new MediaRegistry( {}, { providers, oembed: { resolver } } );
+		} );
+
+		afterEach( () => {
+			sinon.restore();
+		} );
+
+		it( 'logs a warning when an oEmbed provider is defined without the resolver', () => {
+			const consoleWarnStub = sinon.stub( console, 'warn' );
+
+			mediaRegistry = new MediaRegistry( {}, { providers } );
+
+			expect( consoleWarnStub.calledOnce ).to.equal( true );
+			expect( consoleWarnStub.firstCall.args[ 0 ] ).to.match( /^media-embed-no-oembed-resolver/ );
+			expect( mediaRegistry.isOEmbedMedia( 'https://example.com/foo' ) ).to.be.false;
+		} );
+
+		describe( 'isOEmbedMedia()', () => {
+			it( 'returns true for the media of the oEmbed providers', () => {
+				expect( mediaRegistry.isOEmbedMedia( 'https://example.com/foo' ) ).to.be.true;
+				expect( mediaRegistry.isOEmbedMedia( ' example.com/foo ' ) ).to.be.true;
+			} );
+
+			it( 'returns false for other media', () => {
+				expect( mediaRegistry.isOEmbedMedia( 'https://foo.com/foo' ) ).to.be.false;
+				expect( mediaRegistry.isOEmbedMedia( 'https://unknown.com/foo' ) ).to.be.false;
+				expect( mediaRegistry.isOEmbedMedia( '' ) ).to.be.false;
+			} );
+		} );
+
+		describe( 'resolveOEmbed()', () => {
+			it( 'resolves the media using the configured resolver', async () => {
+				const response = await mediaRegistry.resolveOEmbed( 'example.com/foo' );
+
+				expect( response.title ).to.equal( 'Foo' );
+				sinon.assert.calledOnceWithExactly( resolver, 'https://example.com/foo' );
+				expect( mediaRegistry.getOEmbedResponse( 'example.com/foo' ) ).to.equal( response );
+			} );
+
+			it( 'maps the oEmbed properties to the camel-cased ones and skips the unknown ones', async () => {
+				resolver.resolves( {
+					type: 'video',
+					title: 'Foo',
+					author_name: 'Bar',
+					thumbnail_url: 'https://example.com/foo.jpg',
+					height: 200,
+					version: '1.0',
+					html: 123
+				} );
+
+				expect( await mediaRegistry.resolveOEmbed( 'example.com/foo' ) ).to.deep.equal( {
+					type: 'video',
+					title: 'Foo',
+					authorName: 'Bar',
+					thumbnailUrl: 'https://example.com/foo.jpg',
+					height: 200
+				} );
+			} );
+
+			it( 'caches the responses', async () => {
+				expect( mediaRegistry.getOEmbedResponse( 'example.com/foo' ) ).to.be.undefined;
+
+				const [ response1, response2 ] = await Promise.all( [
+					mediaRegistry.resolveOEmbed( 'example.com/foo' ),
+					mediaRegistry.resolveOEmbed( 'example.com/foo' )
+				] );
+
+				await mediaRegistry.resolveOEmbed( 'example.com/foo' );
+
+				expect( response1 ).to.equal( response2 );
+				sinon.assert.calledOnce( resolver );
+			} );
+
+			it( 'resolves with null and logs a warning if the resolver rejects', async () => {
+				const consoleWarnStub = sinon.stub( console, 'warn' );
+				const error = new Error( 'Network error' );
+
+				resolver.rejects( error );
+
+				expect( await mediaRegistry.resolveOEmbed( 'example.com/foo' ) ).to.be.null;
+				expect( mediaRegistry.getOEmbedResponse( 'example.com/foo' ) ).to.be.null;
+				expect( consoleWarnStub.firstCall.args[ 0 ] ).to.match( /^media-embed-oembed-resolve-failed/ );
+				expect( consoleWarnStub.firstCall.args[ 1 ] ).to.deep.equal( { url: 'example.com/foo', error } );
+			} );
+
+			it( 'resolves with null if the resolver returns no response', async () => {
+				resolver.resolves( null );
+
+				expect( await mediaRegistry.resolveOEmbed( 'example.com/foo' ) ).to.be.null;
+			} );
+
+			it( 'requests the configured endpoint', async () => {
+				const fetchStub = sinon.stub( window, 'fetch' ).resolves( new Response( '{"title":"Foo"}' ) );
+
+				mediaRegistry = new MediaRegistry( {}, { providers, oembed: { endpoint: 'https://oembed.example.com/' } } );
+
+				expect( await mediaRegistry.resolveOEmbed( 'example.com/foo' ) ).to.deep.equal( { title: 'Foo' } );
+				sinon.assert.calledOnceWithExactly( fetchStub,
+					'https://oembed.example.com/?url=https%3A%2F%2Fexample.com%2Ffoo&format=json'
+				);
+			} );
+
+			it( 'resolves with null if the endpoint responds with an error', async () => {
+				sinon.stub( console, 'warn' );
+				sinon.stub( window, 'fetch' ).resolves( new Response( 'Not found', { status: 404 } ) );
+
+				mediaRegistry = new MediaRegistry( {}, { providers, oembed: { endpoint: 'https://oembed.example.com/' } } );
+
+				expect( await mediaRegistry.resolveOEmbed( 'example.com/foo' ) ).to.be.null;
+			} );
+		} );
+
+		describe( 'preview', () => {
+			it( 'renders the loading placeholder in the editing view until the media is resolved', () => {
+				const html = mediaRegistry._getMedia( 'example.com/foo' )._getPreviewHtml( { renderForEditingView: true } );
+
+				expect( html ).to.match( /class="ck ck-reset_all ck-media__placeholder ck-media__placeholder_loading"/ );
+				expect( html ).to.match( /aria-busy="true"/ );
+			} );
+
+			it( 'renders the placeholder without the loading state if the media could not be resolved', async () => {
+				resolver.resolves( null );
+
+				await mediaRegistry.resolveOEmbed( 'example.com/foo' );
+
+				const html = mediaRegistry._getMedia( 'example.com/foo' )._getPreviewHtml( { renderForEditingView: true } );
+
+				expect( html ).to.match( /class="ck ck-reset_all ck-media__placeholder"/ );
+				expect( html ).not.to.match( /aria-busy/ );
+			} );
+
+			it( 'renders the HTML from the response in a sandboxed frame', async () => {
+				resolver.resolves( { type: 'rich', title: 'Foo', html: '<iframe src="https://example.com/embed/foo"></iframe>' } );
+
+				await mediaRegistry.resolveOEmbed( 'example.com/foo' );
+
+				expect( mediaRegistry._getMedia( 'example.com/foo' )._getPreviewHtml( { renderForEditingView: true } ) ).to.equal(
+					'<iframe class="media-oembed-frame" sandbox="allow-scripts allow-popups allow-presentation" ' +
+						'srcdoc="<iframe src=&quot;https://example.com/embed/foo&quot;></iframe>" title="Foo"></iframe>'
+				);
+			} );
+
+			it( 'does not run the scripts from the response in the editor', async () => {
+				resolver.resolves( { type: 'rich', html: '<img src="x" onerror="window.oembedXss = true">' } );
+
+				await mediaRegistry.resolveOEmbed( 'example.com/foo' );
+
+				const container = document.createElement( 'div' );
+
+				container.innerHTML = mediaRegistry._getMedia( 'example.com/foo' )._getPreviewHtml( { renderForEditingView: true } );
+
+				expect( container.childNodes.length ).to.equal( 1 );
+				expect( container.firstChild.tagName ).to.equal( 'IFRAME' );
+				expect( container.firstChild.getAttribute( 'sandbox' ) ).to.equal( 'allow-scripts allow-popups allow-presentation' );
+				expect( container.querySelector( 'img' ) ).to.be.null;
+			} );
+
+			it( 'sets the height of the frame from the response', async () => {
+				resolver.resolves( { type: 'video', html: '<video></video>', height: '300' } );
+
+				await mediaRegistry.resolveOEmbed( 'example.com/foo' );
+
+				const html = mediaRegistry._getMedia( 'example.com/foo' )._getPreviewHtml( { renderForEditingView: true } );
+
+				expect( html ).to.match( / height="300"/ );
+			} );
+
+			it( 'renders the image of the photo', async () => {
+				resolver.resolves( { type: 'photo', url: 'https://example.com/foo.jpg', title: 'Foo' } );
+
+				await mediaRegistry.resolveOEmbed( 'example.com/foo' );
+
+				expect( mediaRegistry._getMedia( 'example.com/foo' )._getPreviewHtml( { renderForEditingView: true } ) )
+					.to.equal( '<img class="media-photo" src="https://example.com/foo.jpg" alt="Foo">' );
+			} );
+
+			it( 'renders the card with the title, the author and the thumbnail of the media', async () => {
+				await mediaRegistry.resolveOEmbed( 'example.com/foo' );
+
+				expect( mediaRegistry._getMedia( 'example.com/foo' )._getPreviewHtml( { renderForEditingView: true } ) ).to.equal(
+					'<a class="media-card" href="https://example.com/foo" target="_blank" rel="noopener noreferrer">' +
+						'<img class="media-card__thumbnail" src="https://example.com/foo.jpg" alt="">' +
+						'<span class="media-card__title">Foo</span>' +
+						'<span class="media-card__author">Bar</span>' +
+					'</a>'
+				);
+			} );
+
+			it( 'does not use the response in the data', async () => {
+				resolver.resolves( { type: 'rich', title: 'Foo', html: '<iframe src="https://example.com/embed/foo"></iframe>' } );
+
+				await mediaRegistry.resolveOEmbed( 'example.com/foo' );
+
+				const html = mediaRegistry._getMedia( 'example.com/foo' )._getPreviewHtml( { metadata: { title: 'Baz' } } );
+
+				expect( html ).to.equal(
+					'<a class="media-card" href="https://example.com/foo" target="_blank" rel="noopener noreferrer">' +
+						'<span class="media-card__title">Baz</span>' +
+					'</a>'
+				);
+			} );
+
+			it( 'renders the card using the metadata if the media has not been resolved', () => {
+				const html = mediaRegistry._getMedia( 'example.com/foo' )._getPreviewHtml( { metadata: { title: 'Baz' } } );
+
+				expect( html ).to.equal(
+					'<a class="media-card" href="https://example.com/foo" target="_blank" rel="noopener noreferrer">' +
+						'<span class="media-card__title">Baz</span>' +
+					'</a>'
+				);
+			} );
+
+			it( 'escapes the metadata', () => {
+				const html = mediaRegistry._getMedia( 'example.com/foo' )._getPreviewHtml( { metadata: { title: '<b>Baz</b>' } } );
+
+				expect( html ).to.contain( '<span class="media-card__title">&lt;b&gt;Baz&lt;/b&gt;</span>' );
+			} );
+
+			it( 'uses the preview of the regular providers', () => {
+				expect( mediaRegistry._getMedia( 'foo.com/bar' )._getPreviewHtml() ).to.equal( 'foo, id=bar' );
+			} );
+		} );
+	} );
 } );
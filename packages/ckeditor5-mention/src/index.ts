@@ -13,8 +13,17 @@ export { default as MentionUI } from './mentionui.js';
 export { default as MentionsView } from './ui/mentionsview.js';
 export { default as MentionListItemView } from './ui/mentionlistitemview.js';
 export { default as DomWrapperView } from './ui/domwrapperview.js';
+export { default as MentionGroupLabelView } from './ui/mentiongrouplabelview.js';
+export { default as MentionStatusView, type MentionStatus } from './ui/mentionstatusview.js';
 
-export type { MentionConfig, MentionFeed, ItemRenderer, MentionFeedObjectItem } from './mentionconfig.js';
+export type {
+	MentionConfig,
+	MentionFeed,
+	ItemRenderer,
+	MentionFeedObjectItem,
+	FeedCallbackOptions,
+	MentionFeedPage
+} from './mentionconfig.js';
 export type { default as MentionCommand } from './mentioncommand.js';
 
 import './augmentation.js';
@@ -198,14 +198,87 @@ export interface MentionFeed {
 	/**
 	 * Specify how many available elements per feeds will the users be able to see in the dropdown list.
 	 * If it not set, limit is inherited from {@link module:mention/mentionconfig~MentionConfig#dropdownLimit MentionConfig}.
+	 *
+	 * The limit does not apply to the {@link module:mention/mentionconfig~MentionFeedPage paginated results} because
+	 * the feed decides how many items are loaded at once.
 	 */
 	dropdownLimit?: number;
+
+	/**
+	 * The time (in milliseconds) that must pass after the user stopped typing before the feed is requested.
+	 * Increase it for the feeds querying a remote service to reduce the number of requests.
+	 *
+	 * @default 100
+	 */
+	debounceTime?: number;
+
+	/**
+	 * When set to `true`, the autocomplete panel informs the user that the results are loading, that there are no matching
+	 * results, or that the feed failed to load them. Otherwise, the panel is displayed only when there are matching results.
+	 *
+	 * @default false
+	 */
+	showStatus?: boolean;
 }
 
 /**
  * Function that renders an array of {@link module:mention/mentionconfig~MentionFeedItem} based on string input.
+ *
+ * The function may also return a {@link module:mention/mentionconfig~MentionFeedPage page} of the results. In that case,
+ * the autocomplete panel allows loading the next pages when the feed has more results.
+ *
+ * ```ts
+ * const feed: FeedCallback = async ( searchString, { page, signal } ) => {
+ * 	// Pass the signal to `fetch()` so the request is canceled once it is no longer needed.
+ * 	const response = await fetch( `/users?query=${ searchString }&page=${ page }`, { signal } );
+ * 	const { users, total } = await response.json();
+ *
+ * 	return {
+ * 		items: users.map( user => ( { id: `@${ user.login }`, label: user.name, group: user.team } ) ),
+ * 		hasMore: page * 20 < total
+ * 	};
+ * };
+ * ```
  */
-export type FeedCallback = ( searchString: string ) => Array<MentionFeedItem> | Promise<Array<MentionFeedItem>>;
+export type FeedCallback = (
+	searchString: string,
+	options: FeedCallbackOptions
+) => Array<MentionFeedItem> | MentionFeedPage | Promise<Array<MentionFeedItem> | MentionFeedPage>;
+
+/**
+ * The options passed to the {@link module:mention/mentionconfig~FeedCallback feed callback}.
+ */
+export interface FeedCallbackOptions {
+
+	/**
+	 * The number of the requested page of the results, starting from `1`.
+	 */
+	page: number;
+
+	/**
+	 * The signal aborted when the results are no longer needed, for instance, because the user typed another character
+	 * or closed the autocomplete panel.
+	 */
+	signal: AbortSignal;
+}
+
+/**
+ * A page of the results returned by the {@link module:mention/mentionconfig~FeedCallback feed callback}.
+ */
+export interface MentionFeedPage {
+
+	/**
+	 * Autocomplete items.
+	 */
+	items: Array<MentionFeedItem>;
+
+	/**
+	 * Whether there are more results to load. If `true`, the autocomplete panel allows loading the next page.
+	 *
+	 * @default false
+	 */
+	hasMore?: boolean;
+}
 
 /**
  * Function that takes renders a {@link module:mention/mentionconfig~MentionFeedObjectItem} as HTMLElement.
@@ -279,4 +352,22 @@ export type MentionFeedObjectItem = {
 	 * Text inserted into the editor when creating a mention.
 	 */
 	text?: string;
+
+	/**
+	 * The text displayed in the autocomplete list instead of the `id` when the feed has no
+	 * {@link module:mention/mentionconfig~MentionFeed#itemRenderer item renderer}.
+	 */
+	label?: string;
+
+	/**
+	 * The additional text displayed below the label in the autocomplete list when the feed has no
+	 * {@link module:mention/mentionconfig~MentionFeed#itemRenderer item renderer}, for instance, the e-mail of the user.
+	 */
+	description?: string;
+
+	/**
+	 * The name of the group of the item. Consecutive items of the same group are displayed in the autocomplete list
+	 * under a heading with the name of the group.
+	 */
+	group?: string;
 };
@@ -21,6 +21,7 @@ import type {
 import {
 	ButtonView,
 	ContextualBalloon,
+	View,
 	clickOutsideHandler
 } from 'ckeditor5/src/ui.js';
 
@@ -36,16 +37,19 @@ import {
 
 import { TextWatcher, type TextWatcherMatchedEvent } from 'ckeditor5/src/typing.js';
 
-import { debounce } from 'lodash-es';
+import { debounce, type DebouncedFunc } from 'lodash-es';
 
 import MentionsView from './ui/mentionsview.js';
 import DomWrapperView from './ui/domwrapperview.js';
 import MentionListItemView from './ui/mentionlistitemview.js';
+import MentionGroupLabelView from './ui/mentiongrouplabelview.js';
+import MentionStatusView, { type MentionStatus } from './ui/mentionstatusview.js';
 
 import type {
 	FeedCallback,
 	MentionFeed,
 	MentionFeedItem,
+	MentionFeedPage,
 	ItemRenderer,
 	MentionFeedObjectItem
 } from './mentionconfig.js';
@@ -84,14 +88,18 @@ export default class MentionUI extends Plugin {
 	 */
 	private _balloon: ContextualBalloon | undefined;
 
-	private _items = new Collection<{ item: MentionFeedObjectItem; marker: string }>();
+	private _items = new Collection<MentionsListEntry>();
 
-	private _lastRequested?: string;
+	/**
+	 * The last feed request. It is used to discard the out-of-order responses and to cancel the request
+	 * when it is no longer needed.
+	 */
+	private _lastRequest?: FeedRequest;
 
 	/**
-	 * Debounced feed requester. It uses `lodash#debounce` method to delay function call.
+	 * The feed whose results are displayed in the {@link #_mentionsView}. It is used to load the next page of the results.
 	 */
-	private _requestFeedDebounced: ( marker: string, feedText: string ) => void;
+	private _displayedFeed?: Omit<FeedRequest, 'abortController'>;
 
 	/**
 	 * @inheritDoc
@@ -115,7 +123,6 @@ export default class MentionUI extends Plugin {
 
 		this._mentionsView = this._createMentionView();
 		this._mentionsConfigurations = new Map();
-		this._requestFeedDebounced = debounce( this._requestFeed, 100 );
 
 		editor.config.define( 'mention', { feeds: [] } );
 	}
@@ -134,6 +141,11 @@ export default class MentionUI extends Plugin {
 		// Key listener that handles navigation in mention view.
 		editor.editing.view.document.on<ViewDocumentKeyDownEvent>( 'keydown', ( evt, data ) => {
 			if ( isHandledKey( data.keyCode ) && this._isUIVisible ) {
+				// Let the editor handle the keys when there is nothing to select, for instance, when only the status is displayed.
+				if ( data.keyCode != keyCodes.esc && !this._mentionsView.selected ) {
+					return;
+				}
+
 				data.preventDefault();
 				evt.stop(); // Required for Enter key overriding.
 
@@ -166,7 +178,7 @@ export default class MentionUI extends Plugin {
 		const feeds = editor.config.get( 'mention.feeds' )!;
 
 		for ( const mentionDescription of feeds ) {
-			const { feed, marker, dropdownLimit } = mentionDescription;
+			const { feed, marker, dropdownLimit, debounceTime = 100, showStatus = false } = mentionDescription;
 
 			if ( !isValidMentionMarker( marker ) ) {
 				/**
@@ -186,7 +198,8 @@ export default class MentionUI extends Plugin {
 
 			const feedCallback = typeof feed == 'function' ? feed.bind( this.editor ) : createFeedCallback( feed );
 			const itemRenderer = mentionDescription.itemRenderer;
-			const definition = { marker, feedCallback, itemRenderer, dropdownLimit };
+			const requestFeedDebounced = debounce( ( feedText: string ) => this._requestFeed( marker, feedText ), debounceTime );
+			const definition = { marker, feedCallback, itemRenderer, dropdownLimit, showStatus, requestFeedDebounced };
 
 			this._mentionsConfigurations.set( marker, definition );
 		}
@@ -196,7 +209,7 @@ export default class MentionUI extends Plugin {
 			this._hideUIAndRemoveMarker();
 		} );
 		this.on<RequestFeedResponseEvent>( 'requestFeed:response', ( evt, data ) => this._handleFeedResponse( data ) );
-		this.on<RequestFeedErrorEvent>( 'requestFeed:error', () => this._hideUIAndRemoveMarker() );
+		this.on<RequestFeedErrorEvent>( 'requestFeed:error', () => this._handleFeedError() );
 
 		/**
 		 * Checks if a given key code is handled by the mention UI.
@@ -212,6 +225,8 @@ export default class MentionUI extends Plugin {
 	public override destroy(): void {
 		super.destroy();
 
+		this._cancelRequests();
+
 		// Destroy created UI components as they are not automatically destroyed (see ckeditor5#1341).
 		this._mentionsView.destroy();
 	}
@@ -233,17 +248,23 @@ export default class MentionUI extends Plugin {
 		const mentionsView = new MentionsView( locale );
 
 		mentionsView.items.bindTo( this._items ).using( data => {
-			const { item, marker } = data;
+			if ( data.type == 'group' ) {
+				const groupLabelView = new MentionGroupLabelView( locale );
 
-			const { dropdownLimit: markerDropdownLimit } = this._mentionsConfigurations.get( marker )!;
+				groupLabelView.label = data.label;
 
-			// Set to 10 by default for backwards compatibility. See: #10479
-			const dropdownLimit = markerDropdownLimit || this.editor.config.get( 'mention.dropdownLimit' ) || 10;
+				return groupLabelView;
+			}
 
-			if ( mentionsView.items.length >= dropdownLimit ) {
-				return null;
+			if ( data.type == 'status' ) {
+				return this._createStatusView( data.status );
 			}
 
+			if ( data.type == 'loadMore' ) {
+				return this._createLoadMoreView( data.marker );
+			}
+
+			const { item, marker } = data;
 			const listItemView = new MentionListItemView( locale );
 
 			const view = this._renderItem( item, marker );
@@ -301,40 +322,75 @@ export default class MentionUI extends Plugin {
 		return itemRenderer;
 	}
 
+	/**
+	 * Requests a feed from a configured callbacks after the user stopped typing. Only the last requested feed text
+	 * is requested, even if it was typed after another marker.
+	 */
+	private _requestFeedDebounced( marker: string, feedText: string ): void {
+		for ( const definition of this._mentionsConfigurations.values() ) {
+			if ( definition.marker != marker ) {
+				definition.requestFeedDebounced.cancel();
+			}
+		}
+
+		this._mentionsConfigurations.get( marker )!.requestFeedDebounced( feedText );
+	}
+
 	/**
 	 * Requests a feed from a configured callbacks.
+	 *
+	 * @param page The number of the requested page of the results.
 	 */
-	private _requestFeed( marker: string, feedText: string ): void {
+	private _requestFeed( marker: string, feedText: string, page: number = 1 ): void {
 		// @if CK_DEBUG_MENTION // console.log( '%c[Feed]%c Requesting for', 'color: blue', 'color: black', `"${ feedText }"` );
 
-		// Store the last requested feed - it is used to discard any out-of order requests.
-		this._lastRequested = feedText;
+		// The response of the previous request would be discarded anyway.
+		if ( this._lastRequest ) {
+			this._lastRequest.abortController.abort();
+		}
+
+		const request: FeedRequest = { marker, feedText, page, abortController: new AbortController() };
+
+		// Store the last request - it is used to discard any out-of order requests.
+		this._lastRequest = request;
 
-		const { feedCallback } = this._mentionsConfigurations.get( marker )!;
-		const feedResponse = feedCallback( feedText );
+		const { feedCallback, showStatus } = this._mentionsConfigurations.get( marker )!;
+		const feedResponse = feedCallback( feedText, { page, signal: request.abortController.signal } );
 
 		const isAsynchronous = feedResponse instanceof Promise;
 
 		// For synchronous feeds (e.g. callbacks, arrays) fire the response event immediately.
 		if ( !isAsynchronous ) {
-			this.fire<RequestFeedResponseEvent>( 'requestFeed:response', { feed: feedResponse, marker, feedText } );
+			this.fire<RequestFeedResponseEvent>( 'requestFeed:response', createFeedResponseData( feedResponse, marker, feedText, page ) );
 
 			return;
 		}
 
+		// The next page is loaded on the user's demand, so they should always know that it is loading.
+		if ( showStatus || page > 1 ) {
+			this._showStatus( 'loading' );
+		}
+
 		// Handle the asynchronous responses.
 		feedResponse
 			.then( response => {
-				// Check the feed text of this response with the last requested one so either:
-				if ( this._lastRequested == feedText ) {
+				const data = createFeedResponseData( response, marker, feedText, page );
+
+				// Check this request with the last requested one so either:
+				if ( this._lastRequest === request ) {
 					// It is the same and fire the response event.
-					this.fire<RequestFeedResponseEvent>( 'requestFeed:response', { feed: response, marker, feedText } );
+					this.fire<RequestFeedResponseEvent>( 'requestFeed:response', data );
 				} else {
 					// It is different - most probably out-of-order one, so fire the discarded event.
-					this.fire<RequestFeedDiscardedEvent>( 'requestFeed:discarded', { feed: response, marker, feedText } );
+					this.fire<RequestFeedDiscardedEvent>( 'requestFeed:discarded', data );
 				}
 			} )
 			.catch( error => {
+				// The request was canceled because its response is no longer needed.
+				if ( request.abortController.signal.aborted ) {
+					return;
+				}
+
 				this.fire<RequestFeedErrorEvent>( 'requestFeed:error', { error } );
 
 				/**
@@ -347,6 +403,28 @@ export default class MentionUI extends Plugin {
 			} );
 	}
 
+	/**
+	 * Cancels the pending feed requests and aborts the last one.
+	 */
+	private _cancelRequests(): void {
+		for ( const definition of this._mentionsConfigurations.values() ) {
+			definition.requestFeedDebounced.cancel();
+		}
+
+		if ( this._lastRequest ) {
+			this._lastRequest.abortController.abort();
+		}
+	}
+
+	/**
+	 * Requests the next page of the results displayed in the {@link #_mentionsView}.
+	 */
+	private _loadMore(): void {
+		const { marker, feedText, page } = this._displayedFeed!;
+
+		this._requestFeed( marker, feedText, page + 1 );
+	}
+
 	/**
 	 * Registers a text watcher for the marker.
 	 */
@@ -423,7 +501,7 @@ export default class MentionUI extends Plugin {
 	 * Handles the feed response event data.
 	 */
 	private _handleFeedResponse( data: RequestFeedResponseEvent['args'][0] ) {
-		const { feed, marker } = data;
+		const { feed, marker, feedText, page = 1, hasMore = false } = data;
 
 		// eslint-disable-next-line max-len
 		// @if CK_DEBUG_MENTION // console.log( `%c[Feed]%c Response for "${ data.feedText }" (${ feed.length })`, 'color: blue', 'color: black', feed );
@@ -433,29 +511,113 @@ export default class MentionUI extends Plugin {
 			return;
 		}
 
-		// Reset the view.
-		this._items.clear();
+		const { dropdownLimit: markerDropdownLimit, showStatus } = this._mentionsConfigurations.get( marker )!;
+
+		// The paginated results are not limited - the feed decides how many items are loaded at once.
+		// Set to 10 by default for backwards compatibility. See: #10479
+		const dropdownLimit = 'hasMore' in data ?
+			Infinity :
+			markerDropdownLimit || this.editor.config.get( 'mention.dropdownLimit' ) || 10;
+
+		if ( page == 1 ) {
+			// Reset the view.
+			this._items.clear();
+		} else {
+			this._removeStatusAndLoadMoreItems();
+		}
+
+		const itemEntries = this._items.filter( entry => entry.type == 'item' ) as Array<MentionsListItemEntry>;
+		const loadedItemsCount = itemEntries.length;
+		let lastGroup = loadedItemsCount ? itemEntries[ loadedItemsCount - 1 ].item.group : undefined;
 
-		for ( const feedItem of feed ) {
+		for ( const feedItem of feed.slice( 0, dropdownLimit ) ) {
 			const item = typeof feedItem != 'object' ? { id: feedItem, text: feedItem } : feedItem;
 
-			this._items.add( { item, marker } );
+			// Display the heading when the group of the items changes.
+			if ( item.group && item.group != lastGroup ) {
+				this._items.add( { type: 'group', label: item.group, marker } );
+			}
+
+			lastGroup = item.group;
+
+			this._items.add( { type: 'item', item, marker } );
 		}
 
+		if ( hasMore ) {
+			this._items.add( { type: 'loadMore', marker } );
+		}
+
+		if ( !this._items.length && showStatus ) {
+			this._items.add( { type: 'status', status: 'empty', marker } );
+		}
+
+		this._displayedFeed = { marker, feedText, page };
+
 		const mentionMarker = this.editor.model.markers.get( 'mention' );
 
 		if ( this._items.length ) {
-			this._showOrUpdateUI( mentionMarker! );
+			// Select the first of the loaded items so the user can continue browsing the results.
+			this._showOrUpdateUI( mentionMarker!, loadedItemsCount );
 		} else {
 			// Do not show empty mention UI.
 			this._hideUIAndRemoveMarker();
 		}
 	}
 
+	/**
+	 * Handles the failed feed request. The error is displayed only if the feed {@link module:mention/mentionconfig~MentionFeed#showStatus
+	 * shows its status} or if the next page of the results was requested. Otherwise, the mentions balloon is hidden.
+	 */
+	private _handleFeedError(): void {
+		const { marker, page } = this._lastRequest!;
+		const { showStatus } = this._mentionsConfigurations.get( marker )!;
+
+		if ( showStatus || page > 1 ) {
+			if ( page == 1 ) {
+				this._items.clear();
+			}
+
+			this._showStatus( 'error' );
+		} else {
+			this._hideUIAndRemoveMarker();
+		}
+	}
+
+	/**
+	 * Displays the status of the feed at the end of the mentions list instead of the previous status or
+	 * the "Show more results" item.
+	 */
+	private _showStatus( status: MentionStatus ): void {
+		const mentionMarker = this.editor.model.markers.get( 'mention' );
+
+		if ( !mentionMarker ) {
+			return;
+		}
+
+		const selected = this._mentionsView.selected;
+
+		this._removeStatusAndLoadMoreItems();
+		this._items.add( { type: 'status', status, marker: this._lastRequest!.marker } );
+
+		// Keep the selected item selected. If it was removed (e.g. "Show more results"), select the last item instead.
+		this._showOrUpdateUI( mentionMarker, selected && this._mentionsView.items.has( selected ) ? null : -1 );
+	}
+
+	/**
+	 * Removes the status of the feed and the "Show more results" item from the mentions list.
+	 */
+	private _removeStatusAndLoadMoreItems(): void {
+		for ( const entry of this._items.filter( entry => entry.type == 'status' || entry.type == 'loadMore' ) ) {
+			this._items.remove( entry );
+		}
+	}
+
 	/**
 	 * Shows the mentions balloon. If the panel is already visible, it will reposition it.
+	 *
+	 * @param selectedIndex The index of the item to select in the mentions list or `null` to keep the current selection.
 	 */
-	private _showOrUpdateUI( markerMarker: Marker ): void {
+	private _showOrUpdateUI( markerMarker: Marker, selectedIndex: number | null = 0 ): void {
 		if ( this._isUIVisible ) {
 			// @if CK_DEBUG_MENTION // console.log( '%c[UI]%c Updating position.', 'color: green', 'color: black' );
 
@@ -472,13 +634,21 @@ export default class MentionUI extends Plugin {
 		}
 
 		this._mentionsView.position = this._balloon!.view.position;
-		this._mentionsView.selectFirst();
+
+		if ( selectedIndex === 0 ) {
+			this._mentionsView.selectFirst();
+		} else if ( selectedIndex !== null ) {
+			this._mentionsView.select( selectedIndex );
+		}
 	}
 
 	/**
 	 * Hides the mentions balloon and removes the 'mention' marker from the markers collection.
 	 */
 	private _hideUIAndRemoveMarker(): void {
+		// The results will not be displayed anyway.
+		this._cancelRequests();
+
 		// Remove the mention view from balloon before removing marker - it is used by balloon position target().
 		if ( this._balloon!.hasView( this._mentionsView ) ) {
 			// @if CK_DEBUG_MENTION // console.log( '%c[UI]%c Hiding the UI.', 'color: green', 'color: black' );
@@ -504,7 +674,7 @@ export default class MentionUI extends Plugin {
 		const editor = this.editor;
 
 		let view;
-		let label = item.id;
+		let label = item.label || item.id;
 
 		const renderer = this._getItemRenderer( marker );
 
@@ -524,12 +694,73 @@ export default class MentionUI extends Plugin {
 			buttonView.label = label;
 			buttonView.withText = true;
 
+			// Display the description below the label.
+			if ( !renderer && item.description ) {
+				const descriptionView = new View( editor.locale );
+
+				descriptionView.setTemplate( {
+					tag: 'span',
+					attributes: {
+						class: [ 'ck', 'ck-mentions__item-description' ]
+					},
+					children: [ item.description ]
+				} );
+
+				buttonView.class = 'ck-mentions__item_with-description';
+				buttonView.render();
+				buttonView.children.add( descriptionView );
+			}
+
 			view = buttonView;
 		}
 
 		return view;
 	}
 
+	/**
+	 * Creates the view of the status of the feed displayed in the mentions list.
+	 */
+	private _createStatusView( status: MentionStatus ): MentionStatusView {
+		const t = this.editor.t;
+		const statusView = new MentionStatusView( this.editor.locale );
+		const texts: Record<MentionStatus, string> = {
+			loading: t( 'Loading results…' ),
+			empty: t( 'No results found' ),
+			error: t( 'The results could not be loaded.' )
+		};
+
+		statusView.status = status;
+		statusView.text = texts[ status ];
+
+		return statusView;
+	}
+
+	/**
+	 * Creates the "Show more results" item of the mentions list which loads the next page of the results.
+	 */
+	private _createLoadMoreView( marker: string ): MentionListItemView {
+		const locale = this.editor.locale;
+		const listItemView = new MentionListItemView( locale );
+		const buttonView = new ButtonView( locale );
+
+		buttonView.set( {
+			label: locale.t( 'Show more results' ),
+			withText: true,
+			class: 'ck-mentions__load-more'
+		} );
+		buttonView.delegate( 'execute' ).to( listItemView );
+
+		listItemView.children.add( buttonView );
+		listItemView.marker = marker;
+
+		listItemView.on( 'execute', () => {
+			this._loadMore();
+			this.editor.editing.view.focus();
+		} );
+
+		return listItemView;
+	}
+
 	/**
 	 * Creates a position options object used to position the balloon panel.
 	 *
@@ -819,6 +1050,22 @@ function checkIfStillInCompletionMode( editor: Editor ): boolean {
 	return editor.model.markers.has( 'mention' );
 }
 
+/**
+ * Creates the data of the feed response events.
+ */
+function createFeedResponseData(
+	response: Array<MentionFeedItem> | MentionFeedPage,
+	marker: string,
+	feedText: string,
+	page: number
+): RequestFeedResponse {
+	if ( Array.isArray( response ) ) {
+		return { feed: response, marker, feedText };
+	}
+
+	return { feed: response.items, marker, feedText, page, hasMore: !!response.hasMore };
+}
+
 type RequestFeedResponse = {
 
 	/**
@@ -835,6 +1082,16 @@ type RequestFeedResponse = {
 	 * The text for which feed items were requested.
 	 */
 	feedText: string;
+
+	/**
+	 * The number of the page of the results. Set only when the feed returned a {@link module:mention/mentionconfig~MentionFeedPage page}.
+	 */
+	page?: number;
+
+	/**
+	 * Whether there are more results to load. Set only when the feed returned a {@link module:mention/mentionconfig~MentionFeedPage page}.
+	 */
+	hasMore?: boolean;
 };
 
 type RequestFeedError = {
@@ -875,8 +1132,29 @@ type Definition = {
 	feedCallback: FeedCallback;
 	itemRenderer?: ItemRenderer;
 	dropdownLimit?: number;
+	showStatus: boolean;
+	requestFeedDebounced: DebouncedFunc<( feedText: string ) => void>;
 };
 
+type FeedRequest = {
+	marker: string;
+	feedText: string;
+	page: number;
+	abortController: AbortController;
+};
+
+type MentionsListItemEntry = { type: 'item'; item: MentionFeedObjectItem; marker: string };
+
+/**
+ * The entry of the mentions list: a mention item, a heading of the group of the items, the "Show more results" item,
+ * or the status of the feed.
+ */
+type MentionsListEntry =
+	MentionsListItemEntry |
+	{ type: 'group'; label: string; marker: string } |
+	{ type: 'loadMore'; marker: string } |
+	{ type: 'status'; status: MentionStatus; marker: string };
+
 type MarkerDefinition = {
 	marker: string;
 	minimumCharacters?: number;
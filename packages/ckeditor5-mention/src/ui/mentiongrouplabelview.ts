@@ -0,0 +1,54 @@
+/**
+ * @license Copyright (c) 2003-2024, CKSource Holding sp. z o.o. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+
+/**
+ * @module mention/ui/mentiongrouplabelview
+ */
+
+import { ListItemView } from 'ckeditor5/src/ui.js';
+import type { Locale } from 'ckeditor5/src/utils.js';
+
+/**
+ * The heading of a group of the items in the mentions list. It cannot be selected.
+ */
+export default class MentionGroupLabelView extends ListItemView {
+	/**
+	 * The name of the group.
+	 *
+	 * @observable
+	 */
+	declare public label: string;
+
+	/**
+	 * @inheritDoc
+	 */
+	constructor( locale: Locale ) {
+		super( locale );
+
+		const bind = this.bindTemplate;
+
+		this.set( 'label', '' );
+
+		this.setTemplate( {
+			tag: 'li',
+
+			attributes: {
+				class: [
+					'ck',
+					'ck-list__item',
+					'ck-mentions__group-label',
+					bind.if( 'isVisible', 'ck-hidden', value => !value )
+				],
+				role: 'presentation'
+			},
+
+			children: [
+				{
+					text: bind.to( 'label' )
+				}
+			]
+		} );
+	}
+}
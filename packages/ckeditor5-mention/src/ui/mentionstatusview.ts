@@ -0,0 +1,72 @@
+/**
+ * @license Copyright (c) 2003-2024, CKSource Holding sp. z o.o. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+
+/**
+ * @module mention/ui/mentionstatusview
+ */
+
+import { ListItemView } from 'ckeditor5/src/ui.js';
+import type { Locale } from 'ckeditor5/src/utils.js';
+
+/**
+ * The status of the feed displayed in the mentions list when the results are loading, there are no matching results,
+ * or the feed failed to load them. It cannot be selected.
+ */
+export default class MentionStatusView extends ListItemView {
+	/**
+	 * The status of the feed.
+	 *
+	 * @observable
+	 */
+	declare public status: MentionStatus;
+
+	/**
+	 * The text describing the status.
+	 *
+	 * @observable
+	 */
+	declare public text: string;
+
+	/**
+	 * @inheritDoc
+	 */
+	constructor( locale: Locale ) {
+		super( locale );
+
+		const bind = this.bindTemplate;
+
+		this.set( {
+			status: 'loading',
+			text: ''
+		} );
+
+		this.setTemplate( {
+			tag: 'li',
+
+			attributes: {
+				class: [
+					'ck',
+					'ck-list__item',
+					'ck-mentions__status',
+					bind.to( 'status', status => `ck-mentions__status_${ status }` ),
+					bind.if( 'isVisible', 'ck-hidden', value => !value )
+				],
+				role: 'status'
+			},
+
+			children: [
+				{
+					text: bind.to( 'text' )
+				}
+			]
+		} );
+	}
+}
+
+/**
+ * The status of the feed: `'loading'` when the results are loading, `'empty'` when there are no matching results,
+ * or `'error'` when the feed failed to load them.
+ */
+export type MentionStatus = 'loading' | 'empty' | 'error';
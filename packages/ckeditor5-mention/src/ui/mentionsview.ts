@@ -10,12 +10,15 @@
 import { ListView } from 'ckeditor5/src/ui.js';
 import { Rect, type Locale } from 'ckeditor5/src/utils.js';
 
-import type MentionListItemView from './mentionlistitemview.js';
+import MentionListItemView from './mentionlistitemview.js';
 
 import '../../theme/mentionui.css';
 
 /**
  * The mention ui view.
+ *
+ * Besides the {@link module:mention/ui/mentionlistitemview~MentionListItemView items}, the list may contain the headings of
+ * the groups of the items and the status of the feed. They are skipped when selecting the items.
  */
 export default class MentionsView extends ListView {
 	public selected: MentionListItemView | undefined;
@@ -52,8 +55,7 @@ export default class MentionsView extends ListView {
 	 * If the last item is already selected, it will select the first item.
 	 */
 	public selectNext(): void {
-		const item = this.selected;
-		const index = this.items.getIndex( item! );
+		const index = this._getSelectableItems().indexOf( this.selected! );
 
 		this.select( index + 1 );
 	}
@@ -64,31 +66,34 @@ export default class MentionsView extends ListView {
 	 * If the first item is already selected, it will select the last item.
 	 */
 	public selectPrevious(): void {
-		const item = this.selected;
-		const index = this.items.getIndex( item! );
+		const index = this._getSelectableItems().indexOf( this.selected! );
 
 		this.select( index - 1 );
 	}
 
 	/**
-	 * Marks item at a given index as selected.
+	 * Marks item at a given index as selected. The index is counted among the
+	 * {@link module:mention/ui/mentionlistitemview~MentionListItemView items} only.
 	 *
 	 * Handles selection cycling when passed index is out of bounds:
 	 * - if the index is lower than 0, it will select the last item,
 	 * - if the index is higher than the last item index, it will select the first item.
 	 *
+	 * When there are no items to select (e.g. only the status of the feed is displayed), nothing is selected.
+	 *
 	 * @param index Index of an item to be marked as selected.
 	 */
 	public select( index: number ): void {
+		const selectableItems = this._getSelectableItems();
 		let indexToGet = 0;
 
-		if ( index > 0 && index < this.items.length ) {
+		if ( index > 0 && index < selectableItems.length ) {
 			indexToGet = index;
 		} else if ( index < 0 ) {
-			indexToGet = this.items.length - 1;
+			indexToGet = selectableItems.length - 1;
 		}
 
-		const item = this.items.get( indexToGet ) as MentionListItemView;
+		const item = selectableItems[ indexToGet ];
 
 		// Return early if item is already selected.
 		if ( this.selected === item ) {
@@ -100,9 +105,14 @@ export default class MentionsView extends ListView {
 			this.selected.removeHighlight();
 		}
 
-		item.highlight();
 		this.selected = item;
 
+		if ( !item ) {
+			return;
+		}
+
+		item.highlight();
+
 		// Scroll the mentions view to the selected element.
 		if ( !this._isItemVisibleInScrolledArea( item ) ) {
 			this.element!.scrollTop = item.element!.offsetTop;
@@ -113,7 +123,16 @@ export default class MentionsView extends ListView {
 	 * Triggers the `execute` event on the {@link #select selected} item.
 	 */
 	public executeSelected(): void {
-		this.selected!.fire( 'execute' );
+		if ( this.selected ) {
+			this.selected.fire( 'execute' );
+		}
+	}
+
+	/**
+	 * Returns the items that can be selected, i.e. without the headings of the groups and the status of the feed.
+	 */
+	private _getSelectableItems(): Array<MentionListItemView> {
+		return this.items.filter( item => item instanceof MentionListItemView ) as Array<MentionListItemView>;
 	}
 
 	/**
@@ -3,7 +3,7 @@
  * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
  */
 
-/* global window, document, setTimeout, Event, console */
+/* global window, document, setTimeout, Event, console, AbortSignal */
 
 import ClassicTestEditor from '@ckeditor/ckeditor5-core/tests/_utils/classictesteditor.js';
 import Plugin from '@ckeditor/ckeditor5-core/src/plugin.js';
@@ -20,6 +20,9 @@ import env from '@ckeditor/ckeditor5-utils/src/env.js';
 import MentionUI, { createRegExp } from '../src/mentionui.js';
 import MentionEditing from '../src/mentionediting.js';
 import MentionsView from '../src/ui/mentionsview.js';
+import MentionListItemView from '../src/ui/mentionlistitemview.js';
+import MentionGroupLabelView from '../src/ui/mentiongrouplabelview.js';
+import MentionStatusView from '../src/ui/mentionstatusview.js';
 import { assertCKEditorError } from '@ckeditor/ckeditor5-utils/tests/_utils/utils.js';
 
 describe( 'MentionUI', () => {
@@ -1230,7 +1233,7 @@ describe( 'MentionUI', () => {
 						sinon.assert.calledOnce( feedCallbackStub );
 
 						// Should be called with all typed letters before debounce.
-						sinon.assert.calledWithExactly( feedCallbackStub, '10' );
+						sinon.assert.calledWithExactly( feedCallbackStub, '10', sinon.match( { page: 1 } ) );
 
 						expect( panelView.isVisible ).to.be.true;
 						expect( editor.model.markers.has( 'mention' ) ).to.be.true;
@@ -1264,7 +1267,7 @@ describe( 'MentionUI', () => {
 					.then( waitForDebounce )
 					.then( () => {
 						sinon.assert.calledOnce( feedCallbackStub );
-						sinon.assert.calledWithExactly( feedCallbackStub, '1' );
+						sinon.assert.calledWithExactly( feedCallbackStub, '1', sinon.match( { page: 1 } ) );
 
 						expect( panelView.isVisible, 'panel is hidden' ).to.be.false;
 						expect( editor.model.markers.has( 'mention' ), 'marker is inserted' ).to.be.true;
@@ -1279,7 +1282,7 @@ describe( 'MentionUI', () => {
 					.then( wait( 300 ) ) // Wait longer so the longer callback will be resolved.
 					.then( () => {
 						sinon.assert.calledTwice( feedCallbackStub );
-						sinon.assert.calledWithExactly( feedCallbackStub.getCall( 1 ), '10' );
+						sinon.assert.calledWithExactly( feedCallbackStub.getCall( 1 ), '10', sinon.match( { page: 1 } ) );
 						sinon.assert.calledOnce( panelShowSpy );
 						expect( feedCallbackCallTimes ).to.equal( 2 );
 
@@ -1317,7 +1320,7 @@ describe( 'MentionUI', () => {
 					.then( waitForDebounce )
 					.then( () => {
 						sinon.assert.calledOnce( feedCallbackStub );
-						sinon.assert.calledWithExactly( feedCallbackStub, '1' );
+						sinon.assert.calledWithExactly( feedCallbackStub, '1', sinon.match( { page: 1 } ) );
 
 						expect( panelView.isVisible, 'panel is hidden' ).to.be.false;
 						expect( editor.model.markers.has( 'mention' ), 'marker is inserted' ).to.be.true;
@@ -1332,7 +1335,7 @@ describe( 'MentionUI', () => {
 					.then( wait( 300 ) ) // Wait longer so the longer callback will be resolved.
 					.then( () => {
 						sinon.assert.calledTwice( feedCallbackStub );
-						sinon.assert.calledWithExactly( feedCallbackStub.getCall( 1 ), '10' );
+						sinon.assert.calledWithExactly( feedCallbackStub.getCall( 1 ), '10', sinon.match( { page: 1 } ) );
 						sinon.assert.calledOnce( panelShowSpy );
 						sinon.assert.calledOnce( eventSpy );
 						sinon.assert.calledWithExactly(
@@ -1368,7 +1371,7 @@ describe( 'MentionUI', () => {
 					.then( () => {
 						expect( panelView.isVisible ).to.be.false; // Should be still hidden;
 						// Should be called with empty string.
-						sinon.assert.calledWithExactly( feedCallbackStub, '' );
+						sinon.assert.calledWithExactly( feedCallbackStub, '', sinon.match( { page: 1 } ) );
 
 						model.change( writer => {
 							writer.setSelection( doc.getRoot().getChild( 0 ), 0 );
@@ -2480,6 +2483,532 @@ describe( 'MentionUI', () => {
 		} );
 	} );
 
+	describe( 'groups and rich items', () => {
+		const groupedFeed = [
+			{ id: '@barney', label: 'Barney Stinson', description: 'Account manager', group: 'People' },
+			{ id: '@ted', label: 'Ted Mosby', group: 'People' },
+			{ id: '@maclarens', group: 'Places' }
+		];
+
+		beforeEach( () => {
+			return createClassicTestEditor( {
+				feeds: [
+					{ marker: '@', feed: groupedFeed }
+				]
+			} );
+		} );
+
+		it( 'should display the heading before each group of the items', async () => {
+			setData( model, '<paragraph>foo []</paragraph>' );
+
+			model.change( writer => {
+				writer.insertText( '@', doc.selection.getFirstPosition() );
+			} );
+
+			await waitForDebounce();
+
+			const items = [ ...mentionsView.items ];
+
+			expect( items ).to.have.length( 5 );
+			expect( items[ 0 ] ).to.be.instanceOf( MentionGroupLabelView );
+			expect( items[ 0 ].element.textContent ).to.equal( 'People' );
+			expect( items[ 0 ].element.getAttribute( 'role' ) ).to.equal( 'presentation' );
+			expect( items[ 1 ] ).to.be.instanceOf( MentionListItemView );
+			expect( items[ 2 ] ).to.be.instanceOf( MentionListItemView );
+			expect( items[ 3 ] ).to.be.instanceOf( MentionGroupLabelView );
+			expect( items[ 3 ].element.textContent ).to.equal( 'Places' );
+			expect( items[ 4 ] ).to.be.instanceOf( MentionListItemView );
+		} );
+
+		it( 'should display the label and the description of the item', async () => {
+			setData( model, '<paragraph>foo []</paragraph>' );
+
+			model.change( writer => {
+				writer.insertText( '@', doc.selection.getFirstPosition() );
+			} );
+
+			await waitForDebounce();
+
+			const firstButton = mentionsView.items.get( 1 ).children.get( 0 );
+			const secondButton = mentionsView.items.get( 2 ).children.get( 0 );
+			const thirdButton = mentionsView.items.get( 4 ).children.get( 0 );
+
+			expect( firstButton.label ).to.equal( 'Barney Stinson' );
+			expect( firstButton.element.classList.contains( 'ck-mentions__item_with-description' ) ).to.be.true;
+			expect( firstButton.element.querySelector( '.ck-mentions__item-description' ).textContent ).to.equal( 'Account manager' );
+
+			expect( secondButton.label ).to.equal( 'Ted Mosby' );
+			expect( secondButton.element.querySelector( '.ck-mentions__item-description' ) ).to.be.null;
+
+			// The id is displayed when there is no label.
+			expect( thirdButton.label ).to.equal( '@maclarens' );
+		} );
+
+		it( 'should skip the headings when navigating with the keyboard', async () => {
+			setData( model, '<paragraph>foo []</paragraph>' );
+
+			model.change( writer => {
+				writer.insertText( '@', doc.selection.getFirstPosition() );
+			} );
+
+			await waitForDebounce();
+
+			const keyEvtData = {
+				keyCode: keyCodes.arrowdown,
+				preventDefault: sinon.spy(),
+				stopPropagation: sinon.spy()
+			};
+
+			expect( mentionsView.selected ).to.equal( mentionsView.items.get( 1 ) );
+
+			fireKeyDownEvent( keyEvtData );
+			expect( mentionsView.selected ).to.equal( mentionsView.items.get( 2 ) );
+
+			fireKeyDownEvent( keyEvtData );
+			expect( mentionsView.selected ).to.equal( mentionsView.items.get( 4 ) );
+
+			fireKeyDownEvent( keyEvtData );
+			expect( mentionsView.selected ).to.equal( mentionsView.items.get( 1 ) );
+		} );
+
+		it( 'should insert the mention of the selected item', async () => {
+			const command = editor.commands.get( 'mention' );
+			const spy = testUtils.sinon.spy( command, 'execute' );
+
+			setData( model, '<paragraph>foo []</paragraph>' );
+
+			model.change( writer => {
+				writer.insertText( '@', doc.selection.getFirstPosition() );
+			} );
+
+			await waitForDebounce();
+
+			fireKeyDownEvent( {
+				keyCode: keyCodes.arrowup,
+				preventDefault: sinon.spy(),
+				stopPropagation: sinon.spy()
+			} );
+
+			fireKeyDownEvent( {
+				keyCode: keyCodes.enter,
+				preventDefault: sinon.spy(),
+				stopPropagation: sinon.spy()
+			} );
+
+			sinon.assert.calledOnce( spy );
+			assertCommandOptions( spy.getCall( 0 ).args[ 0 ], '@', { id: '@maclarens' } );
+		} );
+
+		it( 'should ignore the label and the description when the item renderer is defined', async () => {
+			await editor.destroy();
+
+			await createClassicTestEditor( {
+				feeds: [
+					{ marker: '@', feed: groupedFeed, itemRenderer: item => item.id }
+				]
+			} );
+
+			setData( model, '<paragraph>foo []</paragraph>' );
+
+			model.change( writer => {
+				writer.insertText( '@', doc.selection.getFirstPosition() );
+			} );
+
+			await waitForDebounce();
+
+			const button = mentionsView.items.get( 1 ).children.get( 0 );
+
+			expect( button.label ).to.equal( '@barney' );
+			expect( button.element.querySelector( '.ck-mentions__item-description' ) ).to.be.null;
+		} );
+	} );
+
+	describe( 'paginated feed', () => {
+		let feedCallbackStub, pages;
+
+		beforeEach( () => {
+			pages = [
+				{ items: [ '@01', '@02' ], hasMore: true },
+				{ items: [ '@03', '@04' ], hasMore: false }
+			];
+
+			feedCallbackStub = testUtils.sinon.stub().callsFake( ( feedText, { page } ) => Promise.resolve( pages[ page - 1 ] ) );
+
+			return createClassicTestEditor( {
+				dropdownLimit: 1,
+				feeds: [
+					{ marker: '@', feed: feedCallbackStub }
+				]
+			} );
+		} );
+
+		it( 'should display the "Show more results" item when there are more results', async () => {
+			setData( model, '<paragraph>foo []</paragraph>' );
+
+			model.change( writer => {
+				writer.insertText( '@', doc.selection.getFirstPosition() );
+			} );
+
+			await waitForDebounce();
+
+			sinon.assert.calledOnce( feedCallbackStub );
+			sinon.assert.calledWithExactly( feedCallbackStub, '', sinon.match( {
+				page: 1,
+				signal: sinon.match.instanceOf( AbortSignal )
+			} ) );
+
+			// The dropdown limit is not applied to the paginated results.
+			expect( mentionsView.items ).to.have.length( 3 );
+
+			const loadMoreButton = mentionsView.items.get( 2 ).children.get( 0 );
+
+			expect( loadMoreButton.label ).to.equal( 'Show more results' );
+			expect( loadMoreButton.element.classList.contains( 'ck-mentions__load-more' ) ).to.be.true;
+		} );
+
+		it( 'should fire the requestFeed:response event with the page data', async () => {
+			const eventSpy = sinon.spy();
+
+			mentionUI.on( 'requestFeed:response', eventSpy );
+
+			setData( model, '<paragraph>foo []</paragraph>' );
+
+			model.change( writer => {
+				writer.insertText( '@', doc.selection.getFirstPosition() );
+			} );
+
+			await waitForDebounce();
+
+			sinon.assert.calledOnce( eventSpy );
+			sinon.assert.calledWithExactly( eventSpy, sinon.match.any, {
+				feed: [ '@01', '@02' ],
+				marker: '@',
+				feedText: '',
+				page: 1,
+				hasMore: true
+			} );
+		} );
+
+		it( 'should load the next page when the "Show more results" item is executed', async () => {
+			const focusSpy = testUtils.sinon.spy( editor.editing.view, 'focus' );
+
+			setData( model, '<paragraph>foo []</paragraph>' );
+
+			model.change( writer => {
+				writer.insertText( '@', doc.selection.getFirstPosition() );
+			} );
+
+			await waitForDebounce();
+
+			mentionsView.items.get( 2 ).children.get( 0 ).fire( 'execute' );
+
+			sinon.assert.calledTwice( feedCallbackStub );
+			sinon.assert.calledWithExactly( feedCallbackStub.getCall( 1 ), '', sinon.match( { page: 2 } ) );
+			sinon.assert.calledOnce( focusSpy );
+
+			await wait( 0 )();
+
+			expect( [ ...mentionsView.items ].map( item => item.item.id ) ).to.deep.equal( [ '@01', '@02', '@03', '@04' ] );
+			expect( panelView.isVisible ).to.be.true;
+		} );
+
+		it( 'should load the next page using the keyboard and select the first loaded item', async () => {
+			setData( model, '<paragraph>foo []</paragraph>' );
+
+			model.change( writer => {
+				writer.insertText( '@', doc.selection.getFirstPosition() );
+			} );
+
+			await waitForDebounce();
+
+			fireKeyDownEvent( {
+				keyCode: keyCodes.arrowup,
+				preventDefault: sinon.spy(),
+				stopPropagation: sinon.spy()
+			} );
+
+			expect( mentionsView.selected ).to.equal( mentionsView.items.get( 2 ) );
+
+			fireKeyDownEvent( {
+				keyCode: keyCodes.enter,
+				preventDefault: sinon.spy(),
+				stopPropagation: sinon.spy()
+			} );
+
+			// The loading status replaces the "Show more results" item.
+			expect( mentionsView.items.get( 2 ) ).to.be.instanceOf( MentionStatusView );
+			expect( mentionsView.items.get( 2 ).status ).to.equal( 'loading' );
+			expect( mentionsView.selected ).to.equal( mentionsView.items.get( 1 ) );
+
+			await wait( 0 )();
+
+			expect( mentionsView.items ).to.have.length( 4 );
+			expect( mentionsView.selected ).to.equal( mentionsView.items.get( 2 ) );
+			expect( mentionsView.selected.item.id ).to.equal( '@03' );
+		} );
+
+		it( 'should display the error status when the next page could not be loaded', async () => {
+			const warnStub = sinon.stub( console, 'warn' );
+
+			setData( model, '<paragraph>foo []</paragraph>' );
+
+			model.change( writer => {
+				writer.insertText( '@', doc.selection.getFirstPosition() );
+			} );
+
+			await waitForDebounce();
+
+			feedCallbackStub.returns( Promise.reject( new Error( 'Request timeout' ) ) );
+			mentionsView.items.get( 2 ).children.get( 0 ).fire( 'execute' );
+
+			await wait( 0 )();
+
+			sinon.assert.calledOnce( warnStub );
+			expect( panelView.isVisible ).to.be.true;
+			expect( mentionsView.items ).to.have.length( 3 );
+			expect( mentionsView.items.get( 2 ).status ).to.equal( 'error' );
+			expect( mentionsView.items.get( 2 ).element.textContent ).to.equal( 'The results could not be loaded.' );
+		} );
+	} );
+
+	describe( 'feed requests', () => {
+		let feedCallbackStub;
+
+		beforeEach( () => {
+			feedCallbackStub = testUtils.sinon.stub().callsFake( () => new Promise( resolve => {
+				setTimeout( () => resolve( [ '@Barney', '@Lily' ] ), 100 );
+			} ) );
+
+			return createClassicTestEditor( {
+				feeds: [
+					{ marker: '@', feed: feedCallbackStub, debounceTime: 500 }
+				]
+			} );
+		} );
+
+		it( 'should call the feed callback after the configured debounce time', async () => {
+			setData( model, '<paragraph>foo []</paragraph>' );
+
+			model.change( writer => {
+				writer.insertText( '@', doc.selection.getFirstPosition() );
+			} );
+
+			await waitForDebounce();
+
+			sinon.assert.notCalled( feedCallbackStub );
+
+			await wait( 320 )();
+
+			sinon.assert.calledOnce( feedCallbackStub );
+		} );
+
+		it( 'should abort the previous request when the feed text changes', async () => {
+			setData( model, '<paragraph>foo []</paragraph>' );
+
+			model.change( writer => {
+				writer.insertText( '@', doc.selection.getFirstPosition() );
+			} );
+
+			await wait( 500 )();
+
+			const { signal } = feedCallbackStub.getCall( 0 ).args[ 1 ];
+
+			expect( signal.aborted ).to.be.false;
+
+			model.change( writer => {
+				writer.insertText( 'B', doc.selection.getFirstPosition() );
+			} );
+
+			await wait( 500 )();
+
+			expect( signal.aborted ).to.be.true;
+			expect( feedCallbackStub.getCall( 1 ).args[ 1 ].signal.aborted ).to.be.false;
+		} );
+
+		it( 'should abort the pending request when the UI is hidden', async () => {
+			setData( model, '<paragraph>foo []</paragraph>' );
+
+			model.change( writer => {
+				writer.insertText( '@', doc.selection.getFirstPosition() );
+			} );
+
+			await wait( 500 )();
+
+			model.change( writer => {
+				writer.setSelection( doc.getRoot().getChild( 0 ), 0 );
+			} );
+
+			expect( feedCallbackStub.getCall( 0 ).args[ 1 ].signal.aborted ).to.be.true;
+		} );
+
+		it( 'should not call the debounced feed callback after the UI was hidden', async () => {
+			setData( model, '<paragraph>foo []</paragraph>' );
+
+			model.change( writer => {
+				writer.insertText( '@', doc.selection.getFirstPosition() );
+			} );
+
+			model.change( writer => {
+				writer.setSelection( doc.getRoot().getChild( 0 ), 0 );
+			} );
+
+			await wait( 500 )();
+
+			sinon.assert.notCalled( feedCallbackStub );
+		} );
+
+		it( 'should not fire the requestFeed:error event when an aborted request fails', async () => {
+			const eventSpy = sinon.spy();
+
+			mentionUI.on( 'requestFeed:error', eventSpy );
+
+			feedCallbackStub.callsFake( ( feedText, { signal } ) => new Promise( ( resolve, reject ) => {
+				signal.addEventListener( 'abort', () => reject( new Error( 'Aborted' ) ) );
+			} ) );
+
+			setData( model, '<paragraph>foo []</paragraph>' );
+
+			model.change( writer => {
+				writer.insertText( '@', doc.selection.getFirstPosition() );
+			} );
+
+			await wait( 500 )();
+
+			model.change( writer => {
+				writer.insertText( 'B', doc.selection.getFirstPosition() );
+			} );
+
+			await wait( 500 )();
+
+			sinon.assert.notCalled( eventSpy );
+		} );
+	} );
+
+	describe( 'feed status', () => {
+		let feedCallbackStub, resolveFeed, rejectFeed;
+
+		beforeEach( () => {
+			feedCallbackStub = testUtils.sinon.stub().callsFake( () => new Promise( ( resolve, reject ) => {
+				resolveFeed = resolve;
+				rejectFeed = reject;
+			} ) );
+
+			return createClassicTestEditor( {
+				feeds: [
+					{ marker: '@', feed: feedCallbackStub, showStatus: true }
+				]
+			} );
+		} );
+
+		it( 'should display the loading status while the results are loading', async () => {
+			setData( model, '<paragraph>foo []</paragraph>' );
+
+			model.change( writer => {
+				writer.insertText( '@', doc.selection.getFirstPosition() );
+			} );
+
+			await waitForDebounce();
+
+			expect( panelView.isVisible ).to.be.true;
+			expect( mentionsView.items ).to.have.length( 1 );
+
+			const statusView = mentionsView.items.get( 0 );
+
+			expect( statusView ).to.be.instanceOf( MentionStatusView );
+			expect( statusView.element.textContent ).to.equal( 'Loading results…' );
+			expect( statusView.element.getAttribute( 'role' ) ).to.equal( 'status' );
+			expect( statusView.element.classList.contains( 'ck-mentions__status_loading' ) ).to.be.true;
+			expect( mentionsView.selected ).to.be.undefined;
+
+			resolveFeed( [ '@Barney', '@Lily' ] );
+			await wait( 0 )();
+
+			expect( mentionsView.items ).to.have.length( 2 );
+			expect( mentionsView.selected ).to.equal( mentionsView.items.get( 0 ) );
+		} );
+
+		it( 'should display the empty status when no results match', async () => {
+			setData( model, '<paragraph>foo []</paragraph>' );
+
+			model.change( writer => {
+				writer.insertText( '@', doc.selection.getFirstPosition() );
+			} );
+
+			await waitForDebounce();
+
+			resolveFeed( [] );
+			await wait( 0 )();
+
+			expect( panelView.isVisible ).to.be.true;
+			expect( editor.model.markers.has( 'mention' ) ).to.be.true;
+			expect( mentionsView.items ).to.have.length( 1 );
+			expect( mentionsView.items.get( 0 ).status ).to.equal( 'empty' );
+			expect( mentionsView.items.get( 0 ).element.textContent ).to.equal( 'No results found' );
+		} );
+
+		it( 'should display the error status when the results could not be loaded', async () => {
+			const warnStub = sinon.stub( console, 'warn' );
+
+			setData( model, '<paragraph>foo []</paragraph>' );
+
+			model.change( writer => {
+				writer.insertText( '@', doc.selection.getFirstPosition() );
+			} );
+
+			await waitForDebounce();
+
+			rejectFeed( new Error( 'Request timeout' ) );
+			await wait( 0 )();
+
+			sinon.assert.calledOnce( warnStub );
+			expect( panelView.isVisible ).to.be.true;
+			expect( mentionsView.items ).to.have.length( 1 );
+			expect( mentionsView.items.get( 0 ).status ).to.equal( 'error' );
+		} );
+
+		it( 'should let the editor handle the keys when there is nothing to select', async () => {
+			setData( model, '<paragraph>foo []</paragraph>' );
+
+			model.change( writer => {
+				writer.insertText( '@', doc.selection.getFirstPosition() );
+			} );
+
+			await waitForDebounce();
+
+			const keyEvtData = {
+				keyCode: keyCodes.enter,
+				preventDefault: sinon.spy(),
+				stopPropagation: sinon.spy()
+			};
+
+			fireKeyDownEvent( keyEvtData );
+
+			sinon.assert.notCalled( keyEvtData.preventDefault );
+		} );
+
+		it( 'should close the panel on esc when there is nothing to select', async () => {
+			setData( model, '<paragraph>foo []</paragraph>' );
+
+			model.change( writer => {
+				writer.insertText( '@', doc.selection.getFirstPosition() );
+			} );
+
+			await waitForDebounce();
+
+			const keyEvtData = {
+				keyCode: keyCodes.esc,
+				preventDefault: sinon.spy(),
+				stopPropagation: sinon.spy()
+			};
+
+			fireKeyDownEvent( keyEvtData );
+
+			sinon.assert.calledOnce( keyEvtData.preventDefault );
+			expect( panelView.isVisible ).to.be.false;
+			expect( editor.model.markers.has( 'mention' ) ).to.be.false;
+		} );
+	} );
+
 	describe( 'execute', () => {
 		beforeEach( () => createClassicTestEditor( staticConfig ) );
 
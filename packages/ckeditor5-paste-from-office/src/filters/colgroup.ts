@@ -0,0 +1,75 @@
+/**
+ * @license Copyright (c) 2003-2024, CKSource Holding sp. z o.o. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+
+/**
+ * @module paste-from-office/filters/colgroup
+ */
+
+import type { UpcastWriter, ViewDocumentFragment, ViewElement } from 'ckeditor5/src/engine.js';
+
+/**
+ * Transforms the column widths of the tables pasted from LibreOffice to the percentage widths
+ * which can be handled by the table column resize feature.
+ *
+ * LibreOffice Writer defines the relative widths with the `width` attribute of the `<col>` elements (`<col width="128*">`).
+ * LibreOffice Calc defines the widths in pixels with the `span` and `width` attributes of the `<colgroup>` elements
+ * containing no `<col>` elements. Both are replaced with a single `<colgroup>` element with one `<col>` element per column.
+ *
+ * The tables containing a column without the `width` attribute are left untouched.
+ *
+ * @param documentFragment element `data.content` obtained from clipboard
+ */
+export default function normalizeColumnGroups( documentFragment: ViewDocumentFragment, writer: UpcastWriter ): void {
+	const tables: Array<ViewElement> = [];
+
+	for ( const { item } of writer.createRangeIn( documentFragment ) ) {
+		if ( item.is( 'element', 'table' ) ) {
+			tables.push( item );
+		}
+	}
+
+	for ( const table of tables ) {
+		const columnGroups = Array.from( table.getChildren() ).filter( child => child.is( 'element', 'colgroup' ) ) as Array<ViewElement>;
+		const widths = getColumnWidths( columnGroups );
+
+		if ( !widths.length || widths.some( width => isNaN( width ) ) ) {
+			continue;
+		}
+
+		const totalWidth = widths.reduce( ( sum, width ) => sum + width, 0 );
+		const columns = widths.map( width => {
+			const percentageWidth = Math.round( width / totalWidth * 10000 ) / 100;
+
+			return writer.createElement( 'col', { style: `width:${ percentageWidth }%` } );
+		} );
+
+		for ( const columnGroup of columnGroups ) {
+			writer.remove( columnGroup );
+		}
+
+		writer.insertChild( 0, writer.createElement( 'colgroup', null, columns ), table );
+	}
+}
+
+/**
+ * Returns the widths of the subsequent table columns defined by the given `<colgroup>` elements.
+ */
+function getColumnWidths( columnGroups: Array<ViewElement> ): Array<number> {
+	const widths: Array<number> = [];
+
+	for ( const columnGroup of columnGroups ) {
+		const columns = Array.from( columnGroup.getChildren() ).filter( child => child.is( 'element', 'col' ) ) as Array<ViewElement>;
+
+		// The `<colgroup>` element without `<col>` elements represents the columns itself.
+		for ( const column of columns.length ? columns : [ columnGroup ] ) {
+			const span = parseInt( column.getAttribute( 'span' ) || '1' );
+			const width = parseFloat( column.getAttribute( 'width' )! );
+
+			widths.push( ...Array( span ).fill( width ) );
+		}
+	}
+
+	return widths;
+}
@@ -0,0 +1,178 @@
+/**
+ * @license Copyright (c) 2003-2024, CKSource Holding sp. z o.o. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+
+/**
+ * @module paste-from-office/filters/inlinestyles
+ */
+
+import type { UpcastWriter, ViewDocumentFragment } from 'ckeditor5/src/engine.js';
+
+// The styles which can be handled by the editor features. Other styles, like fonts and margins, are dropped.
+const allowedStyles = [
+	/^(color|background-color|font-weight|font-style|text-decoration|text-align)$/,
+	/^border(-(top|right|bottom|left))?(-(width|style|color))?$/
+];
+
+// The style values matching the default formatting of a document.
+const defaultStyleValues: Record<string, Array<string>> = {
+	'color': [ '#000000', 'black' ],
+	'background-color': [ '#ffffff', 'white', 'transparent' ],
+	'font-weight': [ 'normal', '400' ],
+	'font-style': [ 'normal' ],
+	'text-decoration': [ 'none' ]
+};
+
+/**
+ * Replaces the classes of the elements with the styles defined for them in the stylesheets of a copied content.
+ *
+ * The content copied from Apple apps is formatted with the generated classes, like `p.p1` or `span.s1`, defined
+ * in the `<style>` element:
+ *
+ * ```css
+ * p.p1 {margin: 0.0px 0.0px 0.0px 0.0px; text-align: center; font: 11.0px 'Helvetica Neue'; color: #000000}
+ * span.s1 {font-family: 'HelveticaNeue-Bold'; font-weight: bold; font-style: normal; font-size: 11.00px}
+ * ```
+ *
+ * Only the simple selectors (`element.class` and `.class`) are handled. Like in CSS, the later declarations and rules override
+ * the earlier ones and the `element.class` rules override the `.class` rules. The styles defined directly on the elements
+ * take precedence over the class styles.
+ *
+ * @param documentFragment element `data.content` obtained from clipboard
+ * @param stylesString Styles from which the class styles will be extracted.
+ */
+export default function inlineStyles(
+	documentFragment: ViewDocumentFragment,
+	writer: UpcastWriter,
+	stylesString: string
+): void {
+	const classRules = getClassRules( stylesString );
+
+	if ( !classRules.size ) {
+		return;
+	}
+
+	for ( const { item } of writer.createRangeIn( documentFragment ) ) {
+		if ( !item.is( 'element' ) ) {
+			continue;
+		}
+
+		const matchingRules: Array<ClassRule> = [];
+
+		for ( const className of Array.from( item.getClassNames() ) ) {
+			const rules = ( classRules.get( className ) || [] ).filter( ( { elementName } ) => !elementName || elementName == item.name );
+
+			// The class is kept if none of its rules applies to the element, as it was not replaced by the inline styles.
+			if ( rules.length ) {
+				matchingRules.push( ...rules );
+				writer.removeClass( className, item );
+			}
+		}
+
+		// The rules are sorted by the specificity of their selectors and then by their order in the stylesheet.
+		matchingRules.sort( ( ruleA, ruleB ) => getSpecificity( ruleA ) - getSpecificity( ruleB ) || ruleA.index - ruleB.index );
+
+		const styles = new Map<string, string>();
+
+		for ( const rule of matchingRules ) {
+			for ( const [ property, value ] of rule.styles ) {
+				styles.set( property, value );
+			}
+		}
+
+		for ( const [ property, value ] of styles ) {
+			if ( !isDefaultStyleValue( property, value ) && !item.hasStyle( property ) ) {
+				writer.setStyle( property, value, item );
+			}
+		}
+	}
+}
+
+/**
+ * Returns the allowed styles defined in the stylesheet for each class name.
+ */
+function getClassRules( stylesString: string ): Map<string, Array<ClassRule>> {
+	const classRules = new Map<string, Array<ClassRule>>();
+	const rulesRegExp = /([^{}]+)\{([^{}]*)\}/g;
+	const stylesWithoutComments = stylesString.replace( /\/\*[\s\S]*?\*\//g, '' );
+	let index = 0;
+	let match;
+
+	while ( ( match = rulesRegExp.exec( stylesWithoutComments ) ) !== null ) {
+		const styles = getAllowedStyles( match[ 2 ] );
+
+		for ( const selector of match[ 1 ].split( ',' ) ) {
+			const selectorMatch = selector.trim().match( /^([a-z][a-z0-9]*)?\.([\w-]+)$/i );
+
+			if ( !selectorMatch ) {
+				continue;
+			}
+
+			const [ , elementName, className ] = selectorMatch;
+
+			if ( !classRules.has( className ) ) {
+				classRules.set( className, [] );
+			}
+
+			classRules.get( className )!.push( { elementName: elementName && elementName.toLowerCase(), styles, index } );
+		}
+
+		index++;
+	}
+
+	return classRules;
+}
+
+/**
+ * Returns the allowed styles from the given declarations. Like in CSS, the later declarations override the earlier ones.
+ *
+ * The bold and italic keywords of the `font` shorthand are also handled, as it is used by the older versions
+ * of the apps (`font: bold 12.0px Helvetica`). The shorthand resets the omitted font weight and style to `normal`.
+ */
+function getAllowedStyles( declarations: string ): Map<string, string> {
+	const styles = new Map<string, string>();
+
+	for ( const declaration of declarations.split( ';' ) ) {
+		const separatorIndex = declaration.indexOf( ':' );
+		const property = declaration.slice( 0, separatorIndex ).trim().toLowerCase();
+		const value = declaration.slice( separatorIndex + 1 ).trim();
+
+		if ( separatorIndex == -1 || !value ) {
+			continue;
+		}
+
+		if ( property == 'font' ) {
+			const keywords = value.toLowerCase().split( /\s+/ );
+
+			styles.set( 'font-weight', keywords.includes( 'bold' ) ? 'bold' : 'normal' );
+			styles.set( 'font-style', keywords.includes( 'italic' ) ? 'italic' : 'normal' );
+		} else if ( allowedStyles.some( pattern => pattern.test( property ) ) ) {
+			styles.set( property, value );
+		}
+	}
+
+	return styles;
+}
+
+/**
+ * Checks whether the value of the style matches the default formatting of a document.
+ */
+function isDefaultStyleValue( property: string, value: string ): boolean {
+	const defaultValues = defaultStyleValues[ property ] || [];
+
+	return defaultValues.includes( value.toLowerCase() );
+}
+
+/**
+ * Returns the specificity of the rule selector: the `element.class` selectors are more specific than the `.class` ones.
+ */
+function getSpecificity( rule: ClassRule ): number {
+	return rule.elementName ? 1 : 0;
+}
+
+interface ClassRule {
+	elementName: string | undefined;
+	styles: Map<string, string>;
+	index: number;
+}
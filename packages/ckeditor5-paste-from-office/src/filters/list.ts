@@ -199,6 +199,50 @@ export function unwrapParagraphInListItem(
 	}
 }
 
+/**
+ * Moves the lists nested directly in other lists into the preceding list items.
+ *
+ * LibreOffice and Apple apps produce nested lists as siblings of the list items, like:
+ *
+ * ```html
+ * <ul>
+ * 	<li>Foo</li>
+ * 	<ul>
+ * 		<li>Bar</li>
+ * 	</ul>
+ * </ul>
+ * ```
+ *
+ * If there is no preceding list item, the nested list is wrapped with a new one.
+ */
+export function moveNestedListToListItem(
+	documentFragment: ViewDocumentFragment,
+	writer: UpcastWriter
+): void {
+	const nestedLists: Array<ViewElement> = [];
+
+	for ( const { item } of writer.createRangeIn( documentFragment ) ) {
+		if ( item.is( 'element' ) && isList( item ) && item.parent!.is( 'element' ) && isList( item.parent ) ) {
+			nestedLists.push( item );
+		}
+	}
+
+	for ( const nestedList of nestedLists ) {
+		const previousSibling = nestedList.previousSibling;
+
+		if ( previousSibling && previousSibling.is( 'element', 'li' ) ) {
+			writer.remove( nestedList );
+			writer.appendChild( nestedList, previousSibling );
+		} else {
+			const listItem = writer.createElement( 'li' );
+
+			writer.insertChild( nestedList.index!, listItem, nestedList.parent! );
+			writer.remove( nestedList );
+			writer.appendChild( nestedList, listItem );
+		}
+	}
+}
+
 /**
  * Finds all list-like elements in a given document fragment.
  *
@@ -0,0 +1,46 @@
+/**
+ * @license Copyright (c) 2003-2024, CKSource Holding sp. z o.o. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+
+/**
+ * @module paste-from-office/filters/removelibreofficeattributes
+ */
+
+import type { UpcastWriter, ViewDocumentFragment } from 'ckeditor5/src/engine.js';
+
+// The classes marking the script type (Western, Asian or complex) of the text.
+const scriptClasses = [ 'western', 'cjk', 'ctl' ];
+
+// The cell value and number format of LibreOffice Calc, and the language of the text.
+const attributesToRemove = [ 'lang', 'sdval', 'sdnum' ];
+
+// The styles reflecting the default paragraph formatting of LibreOffice Writer.
+const blockStylesToRemove = [ 'line-height', 'margin-top', 'margin-bottom', 'orphans', 'widows', 'page-break-before', 'page-break-after' ];
+
+/**
+ * Removes the LibreOffice specific attributes, classes and block styles from a copied content.
+ *
+ * @param documentFragment element `data.content` obtained from clipboard
+ */
+export default function removeLibreOfficeAttributes( documentFragment: ViewDocumentFragment, writer: UpcastWriter ): void {
+	for ( const { item } of writer.createRangeIn( documentFragment ) ) {
+		if ( !item.is( 'element' ) ) {
+			continue;
+		}
+
+		for ( const attributeName of attributesToRemove ) {
+			writer.removeAttribute( attributeName, item );
+		}
+
+		writer.removeClass( scriptClasses, item );
+
+		if ( item.name.match( /^(p|h\d|li)$/ ) ) {
+			writer.removeStyle( blockStylesToRemove, item );
+
+			if ( item.getStyle( 'background' ) == 'transparent' ) {
+				writer.removeStyle( 'background', item );
+			}
+		}
+	}
+}
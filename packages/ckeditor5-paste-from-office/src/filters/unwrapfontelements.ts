@@ -0,0 +1,43 @@
+/**
+ * @license Copyright (c) 2003-2024, CKSource Holding sp. z o.o. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+
+/**
+ * @module paste-from-office/filters/unwrapfontelements
+ */
+
+import type { UpcastWriter, ViewDocumentFragment, ViewElement } from 'ckeditor5/src/engine.js';
+
+/**
+ * Removes the `<font>` elements added by LibreOffice to a copied content.
+ *
+ * The font face and size set by the `<font>` elements are dropped. The `color` attribute is preserved
+ * as the `color` style of a `<span>` element, so it can be handled by the font color feature.
+ *
+ * @param documentFragment element `data.content` obtained from clipboard
+ */
+export default function unwrapFontElements( documentFragment: ViewDocumentFragment, writer: UpcastWriter ): void {
+	const fontElements: Array<ViewElement> = [];
+
+	for ( const { item } of writer.createRangeIn( documentFragment ) ) {
+		if ( item.is( 'element', 'font' ) ) {
+			fontElements.push( item );
+		}
+	}
+
+	for ( const fontElement of fontElements ) {
+		const color = fontElement.getAttribute( 'color' );
+
+		if ( !color ) {
+			writer.unwrapElement( fontElement );
+
+			continue;
+		}
+
+		const children = writer.removeChildren( 0, fontElement.childCount, fontElement );
+		const span = writer.createElement( 'span', { style: `color:${ color }` }, children );
+
+		writer.replace( fontElement, span );
+	}
+}
@@ -10,6 +10,10 @@
 export { default as PasteFromOffice } from './pastefromoffice.js';
 export type { Normalizer, NormalizerData } from './normalizer.js';
 export { default as MSWordNormalizer } from './normalizers/mswordnormalizer.js';
+export { default as GoogleDocsNormalizer } from './normalizers/googledocsnormalizer.js';
+export { default as GoogleSheetsNormalizer } from './normalizers/googlesheetsnormalizer.js';
+export { default as LibreOfficeNormalizer } from './normalizers/libreofficenormalizer.js';
+export { default as CocoaNormalizer } from './normalizers/cocoanormalizer.js';
 export { parseHtml } from './filters/parse.js';
 
 import './augmentation.js';
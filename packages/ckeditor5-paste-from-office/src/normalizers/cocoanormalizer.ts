@@ -0,0 +1,57 @@
+/**
+ * @license Copyright (c) 2003-2024, CKSource Holding sp. z o.o. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+
+/**
+ * @module paste-from-office/normalizers/cocoanormalizer
+ */
+
+import { UpcastWriter, type ViewDocument } from 'ckeditor5/src/engine.js';
+
+import inlineStyles from '../filters/inlinestyles.js';
+import { moveNestedListToListItem, unwrapParagraphInListItem } from '../filters/list.js';
+import type { Normalizer, NormalizerData } from '../normalizer.js';
+
+const cocoaMatch = /<meta\s*name="?generator"?\s*content="?cocoa html writer/i;
+
+/**
+ * Normalizer for the content generated by the Cocoa HTML Writer, the macOS component used by Apple Pages and Apple Numbers,
+ * but also by other macOS apps like TextEdit or Notes to put the HTML content into the clipboard.
+ *
+ * The content is detected by the signature of the writer, so it cannot tell these apps apart. This is fine, as they all
+ * produce the same markup: the formatting defined by the CSS classes and the nested lists placed directly in the lists.
+ */
+export default class CocoaNormalizer implements Normalizer {
+	public readonly document: ViewDocument;
+
+	/**
+	 * Creates a new `CocoaNormalizer` instance.
+	 *
+	 * @param document View document.
+	 */
+	constructor( document: ViewDocument ) {
+		this.document = document;
+	}
+
+	/**
+	 * @inheritDoc
+	 */
+	public isActive( htmlString: string ): boolean {
+		return cocoaMatch.test( htmlString );
+	}
+
+	/**
+	 * @inheritDoc
+	 */
+	public execute( data: NormalizerData ): void {
+		const writer = new UpcastWriter( this.document );
+		const { body: documentFragment, stylesString } = data._parsedData;
+
+		inlineStyles( documentFragment, writer, stylesString );
+		moveNestedListToListItem( documentFragment, writer );
+		unwrapParagraphInListItem( documentFragment, writer );
+
+		data.content = documentFragment;
+	}
+}
@@ -0,0 +1,57 @@
+/**
+ * @license Copyright (c) 2003-2024, CKSource Holding sp. z o.o. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+
+/**
+ * @module paste-from-office/normalizers/libreofficenormalizer
+ */
+
+import { UpcastWriter, type ViewDocument } from 'ckeditor5/src/engine.js';
+
+import unwrapFontElements from '../filters/unwrapfontelements.js';
+import removeLibreOfficeAttributes from '../filters/removelibreofficeattributes.js';
+import normalizeColumnGroups from '../filters/colgroup.js';
+import { moveNestedListToListItem, unwrapParagraphInListItem } from '../filters/list.js';
+import type { Normalizer, NormalizerData } from '../normalizer.js';
+
+const libreOfficeMatch = /<meta\s*name="?generator"?\s*content="?libreoffice/i;
+
+/**
+ * Normalizer for the content pasted from LibreOffice Writer and LibreOffice Calc.
+ */
+export default class LibreOfficeNormalizer implements Normalizer {
+	public readonly document: ViewDocument;
+
+	/**
+	 * Creates a new `LibreOfficeNormalizer` instance.
+	 *
+	 * @param document View document.
+	 */
+	constructor( document: ViewDocument ) {
+		this.document = document;
+	}
+
+	/**
+	 * @inheritDoc
+	 */
+	public isActive( htmlString: string ): boolean {
+		return libreOfficeMatch.test( htmlString );
+	}
+
+	/**
+	 * @inheritDoc
+	 */
+	public execute( data: NormalizerData ): void {
+		const writer = new UpcastWriter( this.document );
+		const { body: documentFragment } = data._parsedData;
+
+		unwrapFontElements( documentFragment, writer );
+		removeLibreOfficeAttributes( documentFragment, writer );
+		moveNestedListToListItem( documentFragment, writer );
+		unwrapParagraphInListItem( documentFragment, writer );
+		normalizeColumnGroups( documentFragment, writer );
+
+		data.content = documentFragment;
+	}
+}
@@ -8,12 +8,15 @@
  */
 
 import { Plugin } from 'ckeditor5/src/core.js';
+import { insertToPriorityArray, type PriorityString } from 'ckeditor5/src/utils.js';
 
 import { ClipboardPipeline } from 'ckeditor5/src/clipboard.js';
 
 import MSWordNormalizer from './normalizers/mswordnormalizer.js';
 import GoogleDocsNormalizer from './normalizers/googledocsnormalizer.js';
 import GoogleSheetsNormalizer from './normalizers/googlesheetsnormalizer.js';
+import LibreOfficeNormalizer from './normalizers/libreofficenormalizer.js';
+import CocoaNormalizer from './normalizers/cocoanormalizer.js';
 
 import { parseHtml } from './filters/parse.js';
 import type { Normalizer, NormalizerData } from './normalizer.js';
@@ -28,10 +31,20 @@ import type { Normalizer, NormalizerData } from './normalizer.js';
  * This plugin includes following normalizers:
  * * {@link module:paste-from-office/normalizers/mswordnormalizer~MSWordNormalizer Microsoft Word normalizer}
  * * {@link module:paste-from-office/normalizers/googledocsnormalizer~GoogleDocsNormalizer Google Docs normalizer}
+ * * {@link module:paste-from-office/normalizers/googlesheetsnormalizer~GoogleSheetsNormalizer Google Sheets normalizer}
+ * * {@link module:paste-from-office/normalizers/libreofficenormalizer~LibreOfficeNormalizer LibreOffice normalizer}
+ * * {@link module:paste-from-office/normalizers/cocoanormalizer~CocoaNormalizer Apple Pages, Numbers and TextEdit normalizer}
+ *
+ * Other normalizers can be added using the {@link #registerNormalizer `registerNormalizer()`} method.
  *
  * For more information about this feature check the {@glink api/paste-from-office package page}.
  */
 export default class PasteFromOffice extends Plugin {
+	/**
+	 * Registered normalizers definitions.
+	 */
+	private _normalizersDefinitions: Array<{ normalizer: Normalizer; priority: PriorityString }> = [];
+
 	/**
 	 * @inheritDoc
 	 */
@@ -53,12 +66,13 @@ export default class PasteFromOffice extends Plugin {
 		const editor = this.editor;
 		const clipboardPipeline: ClipboardPipeline = editor.plugins.get( 'ClipboardPipeline' );
 		const viewDocument = editor.editing.view.document;
-		const normalizers: Array<Normalizer> = [];
 		const hasMultiLevelListPlugin = this.editor.plugins.has( 'MultiLevelList' );
 
-		normalizers.push( new MSWordNormalizer( viewDocument, hasMultiLevelListPlugin ) );
-		normalizers.push( new GoogleDocsNormalizer( viewDocument ) );
-		normalizers.push( new GoogleSheetsNormalizer( viewDocument ) );
+		this.registerNormalizer( new MSWordNormalizer( viewDocument, hasMultiLevelListPlugin ) );
+		this.registerNormalizer( new GoogleDocsNormalizer( viewDocument ) );
+		this.registerNormalizer( new GoogleSheetsNormalizer( viewDocument ) );
+		this.registerNormalizer( new LibreOfficeNormalizer( viewDocument ) );
+		this.registerNormalizer( new CocoaNormalizer( viewDocument ) );
 
 		clipboardPipeline.on(
 			'inputTransformation',
@@ -74,7 +88,7 @@ export default class PasteFromOffice extends Plugin {
 				}
 
 				const htmlString = data.dataTransfer.getData( 'text/html' );
-				const activeNormalizer = normalizers.find( normalizer => normalizer.isActive( htmlString ) );
+				const activeNormalizer = this.normalizers.find( normalizer => normalizer.isActive( htmlString ) );
 
 				if ( activeNormalizer ) {
 					if ( !data._parsedData ) {
@@ -89,4 +103,41 @@ export default class PasteFromOffice extends Plugin {
 			{ priority: 'high' }
 		);
 	}
+
+	/**
+	 * The registered normalizers sorted by their priority. The first normalizer which is
+	 * {@link module:paste-from-office/normalizer~Normalizer#isActive active} for the pasted content transforms it.
+	 */
+	public get normalizers(): Array<Normalizer> {
+		return this._normalizersDefinitions.map( ( { normalizer } ) => normalizer );
+	}
+
+	/**
+	 * Registers a normalizer transforming the content pasted from an external app.
+	 *
+	 * The normalizers with the same priority are checked in the order of registration, after the normalizers
+	 * with higher priority. The built-in normalizers are registered with the `'normal'` priority when the plugin is initialized.
+	 * Use a higher priority to take over the content handled by them.
+	 *
+	 * ```ts
+	 * class MyAppNormalizer {
+	 * 	isActive( htmlString ) {
+	 * 		return htmlString.includes( 'my-app-signature' );
+	 * 	}
+	 *
+	 * 	execute( data ) {
+	 * 		// Transform `data._parsedData.body` and set it as `data.content`.
+	 * 	}
+	 * }
+	 *
+	 * editor.plugins.get( 'PasteFromOffice' ).registerNormalizer( new MyAppNormalizer() );
+	 * ```
+	 *
+	 * @param normalizer The normalizer to register.
+	 * @param options An object with configuration options.
+	 * @param options.priority The priority of the normalizer.
+	 */
+	public registerNormalizer( normalizer: Normalizer, options: { priority?: PriorityString } = {} ): void {
+		insertToPriorityArray( this._normalizersDefinitions, { normalizer, priority: options.priority || 'normal' } );
+	}
 }
@@ -0,0 +1,34 @@
+/**
+ * @license Copyright (c) 2003-2024, CKSource Holding sp. z o.o. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+
+import pagesText from './pages-text/input.html';
+import pagesTextNormalized from './pages-text/normalized.html';
+import pagesTextModel from './pages-text/model.html';
+
+import pagesList from './pages-list/input.html';
+import pagesListNormalized from './pages-list/normalized.html';
+import pagesListModel from './pages-list/model.html';
+
+import numbersTable from './numbers-table/input.html';
+import numbersTableNormalized from './numbers-table/normalized.html';
+import numbersTableModel from './numbers-table/model.html';
+
+export const fixtures = {
+	input: {
+		pagesText,
+		pagesList,
+		numbersTable
+	},
+	normalized: {
+		pagesText: pagesTextNormalized,
+		pagesList: pagesListNormalized,
+		numbersTable: numbersTableNormalized
+	},
+	model: {
+		pagesText: pagesTextModel,
+		pagesList: pagesListModel,
+		numbersTable: numbersTableModel
+	}
+};
@@ -0,0 +1,41 @@
+/**
+ * @license Copyright (c) 2003-2024, CKSource Holding sp. z o.o. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+
+import writerText from './writer-text/input.html';
+import writerTextNormalized from './writer-text/normalized.html';
+import writerTextModel from './writer-text/model.html';
+
+import writerList from './writer-list/input.html';
+import writerListNormalized from './writer-list/normalized.html';
+import writerListModel from './writer-list/model.html';
+
+import writerTable from './writer-table/input.html';
+import writerTableNormalized from './writer-table/normalized.html';
+import writerTableModel from './writer-table/model.html';
+
+import calcTable from './calc-table/input.html';
+import calcTableNormalized from './calc-table/normalized.html';
+import calcTableModel from './calc-table/model.html';
+
+export const fixtures = {
+	input: {
+		writerText,
+		writerList,
+		writerTable,
+		calcTable
+	},
+	normalized: {
+		writerText: writerTextNormalized,
+		writerList: writerListNormalized,
+		writerTable: writerTableNormalized,
+		calcTable: calcTableNormalized
+	},
+	model: {
+		writerText: writerTextModel,
+		writerList: writerListModel,
+		writerTable: writerTableModel,
+		calcTable: calcTableModel
+	}
+};
@@ -21,6 +21,8 @@ import TableCellProperties from '@ckeditor/ckeditor5-table/src/tablecellproperti
 import FontBackgroundColor from '@ckeditor/ckeditor5-font/src/fontbackgroundcolor.js';
 import FontColor from '@ckeditor/ckeditor5-font/src/fontcolor.js';
 import PageBreak from '@ckeditor/ckeditor5-page-break/src/pagebreak.js';
+import TableColumnResize from '@ckeditor/ckeditor5-table/src/tablecolumnresize.js';
+import Alignment from '@ckeditor/ckeditor5-alignment/src/alignment.js';
 
 import PasteFromOffice from '../../src/pastefromoffice.js';
 import { generateTests } from '../_utils/utils.js';
@@ -146,6 +148,21 @@ describe( 'PasteFromOffice - integration', () => {
 		}
 	} );
 
+	generateIntegrationTests( {
+		input: 'libreoffice',
+		editorConfig: {
+			plugins: [ Clipboard, Paragraph, Heading, Bold, Italic, Underline, List, Table, TableColumnResize, FontColor,
+				PasteFromOffice ]
+		}
+	} );
+
+	generateIntegrationTests( {
+		input: 'cocoa',
+		editorConfig: {
+			plugins: [ Clipboard, Paragraph, Bold, Italic, List, Table, TableCellProperties, FontColor, Alignment, PasteFromOffice ]
+		}
+	} );
+
 	function generateIntegrationTests( config ) {
 		const commonIntegrationConfig = {
 			type: 'integration',
@@ -49,6 +49,14 @@ describe( 'PasteFromOffice - normalization', () => {
 		input: 'google-docs-br-paragraphs'
 	} );
 
+	generateNormalizationTests( {
+		input: 'libreoffice'
+	} );
+
+	generateNormalizationTests( {
+		input: 'cocoa'
+	} );
+
 	function generateNormalizationTests( config ) {
 		const commonIntegrationConfig = {
 			type: 'normalization',
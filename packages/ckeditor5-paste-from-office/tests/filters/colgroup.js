@@ -0,0 +1,129 @@
+/**
+ * @license Copyright (c) 2003-2024, CKSource Holding sp. z o.o. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+
+import HtmlDataProcessor from '@ckeditor/ckeditor5-engine/src/dataprocessor/htmldataprocessor.js';
+import normalizeColumnGroups from '../../src/filters/colgroup.js';
+import UpcastWriter from '@ckeditor/ckeditor5-engine/src/view/upcastwriter.js';
+import Document from '@ckeditor/ckeditor5-engine/src/view/document.js';
+import { StylesProcessor } from '@ckeditor/ckeditor5-engine/src/view/stylesmap.js';
+
+describe( 'PasteFromOffice - filters', () => {
+	const htmlDataProcessor = new HtmlDataProcessor( new Document( new StylesProcessor() ) );
+
+	describe( 'normalizeColumnGroups', () => {
+		let writer, viewDocument;
+
+		before( () => {
+			viewDocument = new Document( new StylesProcessor() );
+			writer = new UpcastWriter( viewDocument );
+		} );
+
+		it( 'should transform the column groups without columns from LibreOffice Calc', () => {
+			const inputData =
+				'<table>' +
+					'<colgroup width="128"></colgroup>' +
+					'<colgroup span="2" width="64"></colgroup>' +
+					'<tbody><tr><td>1</td><td>2</td><td>3</td></tr></tbody>' +
+				'</table>';
+
+			const documentFragment = htmlDataProcessor.toView( inputData );
+
+			normalizeColumnGroups( documentFragment, writer );
+
+			expect( htmlDataProcessor.toData( documentFragment ) ).to.equal(
+				'<table>' +
+					'<colgroup><col style="width:50%;"><col style="width:25%;"><col style="width:25%;"></colgroup>' +
+					'<tbody><tr><td>1</td><td>2</td><td>3</td></tr></tbody>' +
+				'</table>'
+			);
+		} );
+
+		it( 'should transform the relative column widths from LibreOffice Writer', () => {
+			const inputData =
+				'<table>' +
+					'<col width="85*"><col width="171*">' +
+					'<tbody><tr><td>1</td><td>2</td></tr></tbody>' +
+				'</table>';
+
+			const documentFragment = htmlDataProcessor.toView( inputData );
+
+			normalizeColumnGroups( documentFragment, writer );
+
+			expect( htmlDataProcessor.toData( documentFragment ) ).to.equal(
+				'<table>' +
+					'<colgroup><col style="width:33.2%;"><col style="width:66.8%;"></colgroup>' +
+					'<tbody><tr><td>1</td><td>2</td></tr></tbody>' +
+				'</table>'
+			);
+		} );
+
+		it( 'should transform the columns spanning multiple columns', () => {
+			const inputData =
+				'<table>' +
+					'<colgroup><col span="3" width="10"><col width="20"></colgroup>' +
+					'<tbody><tr><td>1</td><td>2</td><td>3</td><td>4</td></tr></tbody>' +
+				'</table>';
+
+			const documentFragment = htmlDataProcessor.toView( inputData );
+
+			normalizeColumnGroups( documentFragment, writer );
+
+			expect( htmlDataProcessor.toData( documentFragment ) ).to.equal(
+				'<table>' +
+					'<colgroup>' +
+						'<col style="width:20%;"><col style="width:20%;"><col style="width:20%;"><col style="width:40%;">' +
+					'</colgroup>' +
+					'<tbody><tr><td>1</td><td>2</td><td>3</td><td>4</td></tr></tbody>' +
+				'</table>'
+			);
+		} );
+
+		it( 'should transform the column groups of the nested tables', () => {
+			const inputData =
+				'<table><tbody><tr><td>' +
+					'<table>' +
+						'<colgroup width="10"></colgroup><colgroup width="30"></colgroup>' +
+						'<tbody><tr><td>1</td><td>2</td></tr></tbody>' +
+					'</table>' +
+				'</td></tr></tbody></table>';
+
+			const documentFragment = htmlDataProcessor.toView( inputData );
+
+			normalizeColumnGroups( documentFragment, writer );
+
+			expect( htmlDataProcessor.toData( documentFragment ) ).to.equal(
+				'<table><tbody><tr><td>' +
+					'<table>' +
+						'<colgroup><col style="width:25%;"><col style="width:75%;"></colgroup>' +
+						'<tbody><tr><td>1</td><td>2</td></tr></tbody>' +
+					'</table>' +
+				'</td></tr></tbody></table>'
+			);
+		} );
+
+		it( 'should not change the table if any column has no width', () => {
+			const inputData =
+				'<table>' +
+					'<colgroup><col width="10"><col></colgroup>' +
+					'<tbody><tr><td>1</td><td>2</td></tr></tbody>' +
+				'</table>';
+
+			const documentFragment = htmlDataProcessor.toView( inputData );
+
+			normalizeColumnGroups( documentFragment, writer );
+
+			expect( htmlDataProcessor.toData( documentFragment ) ).to.equal( inputData );
+		} );
+
+		it( 'should not change the table without column groups', () => {
+			const inputData = '<table><tbody><tr><td>1</td></tr></tbody></table>';
+			const documentFragment = htmlDataProcessor.toView( inputData );
+
+			normalizeColumnGroups( documentFragment, writer );
+
+			expect( htmlDataProcessor.toData( documentFragment ) ).to.equal( inputData );
+		} );
+	} );
+} );
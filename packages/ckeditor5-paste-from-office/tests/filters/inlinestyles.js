@@ -0,0 +1,165 @@
+/**
+ * @license Copyright (c) 2003-2024, CKSource Holding sp. z o.o. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+
+import HtmlDataProcessor from '@ckeditor/ckeditor5-engine/src/dataprocessor/htmldataprocessor.js';
+import inlineStyles from '../../src/filters/inlinestyles.js';
+import UpcastWriter from '@ckeditor/ckeditor5-engine/src/view/upcastwriter.js';
+import Document from '@ckeditor/ckeditor5-engine/src/view/document.js';
+import { StylesProcessor } from '@ckeditor/ckeditor5-engine/src/view/stylesmap.js';
+
+describe( 'PasteFromOffice - filters', () => {
+	const htmlDataProcessor = new HtmlDataProcessor( new Document( new StylesProcessor() ) );
+
+	describe( 'inlineStyles', () => {
+		let writer, viewDocument;
+
+		before( () => {
+			viewDocument = new Document( new StylesProcessor() );
+			writer = new UpcastWriter( viewDocument );
+		} );
+
+		it( 'should replace the classes with the allowed styles', () => {
+			const documentFragment = htmlDataProcessor.toView(
+				'<p class="p1"><span class="s1">Foo</span> <span class="s2">bar</span></p>'
+			);
+
+			inlineStyles( documentFragment, writer,
+				'p.p1 {margin: 0.0px 0.0px 0.0px 0.0px; text-align: center; font: 11.0px \'Helvetica Neue\'}\n' +
+				'span.s1 {font-family: \'HelveticaNeue-Bold\'; font-weight: bold; font-style: italic; font-kerning: none}\n' +
+				'span.s2 {color: #e32400; text-decoration: underline}'
+			);
+
+			expect( htmlDataProcessor.toData( documentFragment ) ).to.equal(
+				'<p style="text-align:center;">' +
+					'<span style="font-style:italic;font-weight:bold;">Foo</span> ' +
+					'<span style="color:#e32400;text-decoration:underline;">bar</span>' +
+				'</p>'
+			);
+		} );
+
+		it( 'should skip the styles with the default values', () => {
+			const documentFragment = htmlDataProcessor.toView( '<p class="p1"><span class="s1">Foo</span></p>' );
+
+			inlineStyles( documentFragment, writer,
+				'p.p1 {color: #000000; background-color: #FFFFFF}\n' +
+				'span.s1 {font-weight: normal; font-style: normal; text-decoration: none}'
+			);
+
+			expect( htmlDataProcessor.toData( documentFragment ) ).to.equal( '<p><span>Foo</span></p>' );
+		} );
+
+		it( 'should handle the bold and italic keywords of the font shorthand', () => {
+			const documentFragment = htmlDataProcessor.toView( '<p class="p1">Foo</p>' );
+
+			inlineStyles( documentFragment, writer, 'p.p1 {font: italic bold 12.0px Helvetica}' );
+
+			expect( htmlDataProcessor.toData( documentFragment ) ).to.equal( '<p style="font-style:italic;font-weight:bold;">Foo</p>' );
+		} );
+
+		it( 'should apply the last declaration of the property', () => {
+			const documentFragment = htmlDataProcessor.toView( '<p class="p1"><span class="s1">Foo</span></p>' );
+
+			inlineStyles( documentFragment, writer,
+				'p.p1 {font: bold 12.0px Helvetica; font-weight: normal; color: #e32400; color: #0000ff}\n' +
+				'span.s1 {font-style: italic; font: 12.0px Helvetica}'
+			);
+
+			expect( htmlDataProcessor.toData( documentFragment ) ).to.equal( '<p style="color:#0000ff;"><span>Foo</span></p>' );
+		} );
+
+		it( 'should apply the declarations of the later rules over the earlier ones', () => {
+			const documentFragment = htmlDataProcessor.toView( '<p class="p1 p2">Foo</p><p class="p2 p1">Bar</p>' );
+
+			inlineStyles( documentFragment, writer,
+				'p.p2 {color: #e32400; text-align: right}\n' +
+				'p.p1 {color: #0000ff}\n' +
+				'p.p2 {font-weight: bold; text-align: center}'
+			);
+
+			expect( htmlDataProcessor.toData( documentFragment ) ).to.equal(
+				'<p style="color:#0000ff;font-weight:bold;text-align:center;">Foo</p>' +
+				'<p style="color:#0000ff;font-weight:bold;text-align:center;">Bar</p>'
+			);
+		} );
+
+		it( 'should apply the declarations of the rules with the element name over the rules without it', () => {
+			const documentFragment = htmlDataProcessor.toView( '<p class="p1">Foo</p>' );
+
+			inlineStyles( documentFragment, writer, 'p.p1 {color: #e32400}\n.p1 {color: #0000ff; text-align: right}' );
+
+			expect( htmlDataProcessor.toData( documentFragment ) ).to.equal( '<p style="color:#e32400;text-align:right;">Foo</p>' );
+		} );
+
+		it( 'should not apply the default value overridden by a later rule', () => {
+			const documentFragment = htmlDataProcessor.toView( '<p class="p1"><span class="s1">Foo</span></p>' );
+
+			inlineStyles( documentFragment, writer, 'span.s1 {font-weight: bold}\nspan.s1 {font-weight: normal}' );
+
+			expect( htmlDataProcessor.toData( documentFragment ) ).to.equal( '<p class="p1"><span>Foo</span></p>' );
+		} );
+
+		it( 'should apply the border and background styles of the table cells', () => {
+			const documentFragment = htmlDataProcessor.toView( '<table><tbody><tr><td class="td1">Foo</td></tr></tbody></table>' );
+
+			inlineStyles( documentFragment, writer,
+				'td.td1 {width: 80.0px; background-color: #dbdbdb; border-style: solid; border-width: 1.0px; ' +
+				'border-color: #a5a5a5; padding: 4.0px 4.0px 4.0px 4.0px}'
+			);
+
+			expect( htmlDataProcessor.toData( documentFragment ) ).to.equal(
+				'<table><tbody><tr>' +
+					'<td style="background-color:#dbdbdb;border-color:#a5a5a5;border-style:solid;border-width:1.0px;">Foo</td>' +
+				'</tr></tbody></table>'
+			);
+		} );
+
+		it( 'should apply the styles of the class selectors without the element name and with multiple selectors', () => {
+			const documentFragment = htmlDataProcessor.toView( '<p class="c1">Foo</p><h2 class="c2">Bar</h2>' );
+
+			inlineStyles( documentFragment, writer, '.c1, h2.c2 {color: #e32400}' );
+
+			expect( htmlDataProcessor.toData( documentFragment ) ).to.equal(
+				'<p style="color:#e32400;">Foo</p><h2 style="color:#e32400;">Bar</h2>'
+			);
+		} );
+
+		it( 'should not apply the styles of the rules for other elements and keep the class', () => {
+			const documentFragment = htmlDataProcessor.toView( '<p class="c1">Foo</p>' );
+
+			inlineStyles( documentFragment, writer, 'span.c1 {color: #e32400}' );
+
+			expect( htmlDataProcessor.toData( documentFragment ) ).to.equal( '<p class="c1">Foo</p>' );
+		} );
+
+		it( 'should not override the styles of the element', () => {
+			const documentFragment = htmlDataProcessor.toView( '<p class="p1" style="color:#0000ff;">Foo</p>' );
+
+			inlineStyles( documentFragment, writer, 'p.p1 {color: #e32400; text-align: right}' );
+
+			expect( htmlDataProcessor.toData( documentFragment ) ).to.equal( '<p style="color:#0000ff;text-align:right;">Foo</p>' );
+		} );
+
+		it( 'should skip the comments and the complex selectors', () => {
+			const documentFragment = htmlDataProcessor.toView( '<p class="p1">Foo <span class="s1">bar</span></p>' );
+
+			inlineStyles( documentFragment, writer,
+				'/* p.p1 {color: #e32400} */\n' +
+				'p.p1 span.s1 {color: #e32400}\n' +
+				'p {text-align: right}'
+			);
+
+			expect( htmlDataProcessor.toData( documentFragment ) ).to.equal( '<p class="p1">Foo <span class="s1">bar</span></p>' );
+		} );
+
+		it( 'should not change the content if there are no styles', () => {
+			const inputData = '<p class="p1">Foo</p>';
+			const documentFragment = htmlDataProcessor.toView( inputData );
+
+			inlineStyles( documentFragment, writer, '' );
+
+			expect( htmlDataProcessor.toData( documentFragment ) ).to.equal( inputData );
+		} );
+	} );
+} );
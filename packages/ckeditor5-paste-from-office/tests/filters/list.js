@@ -11,7 +11,8 @@ import testUtils from '@ckeditor/ckeditor5-core/tests/_utils/utils.js';
 
 import {
 	transformListItemLikeElementsIntoLists,
-	unwrapParagraphInListItem
+	unwrapParagraphInListItem,
+	moveNestedListToListItem
 } from '../../src/filters/list.js';
 import { StylesProcessor } from '@ckeditor/ckeditor5-engine/src/view/stylesmap.js';
 
@@ -697,4 +698,56 @@ describe( 'PasteFromOffice - filters', () => {
 			} );
 		} );
 	} );
+
+	describe( 'list - paste from LibreOffice and Apple apps', () => {
+		const htmlDataProcessor = new HtmlDataProcessor( new Document( new StylesProcessor() ) );
+		let writer;
+
+		before( () => {
+			writer = new UpcastWriter( new Document( new StylesProcessor() ) );
+		} );
+
+		describe( 'moveNestedListToListItem()', () => {
+			it( 'should move a nested list to the preceding list item', () => {
+				const documentFragment = htmlDataProcessor.toView( '<ul><li>foo</li><ul><li>bar</li></ul><li>baz</li></ul>' );
+
+				moveNestedListToListItem( documentFragment, writer );
+
+				expect( htmlDataProcessor.toData( documentFragment ) ).to.equal(
+					'<ul><li>foo<ul><li>bar</li></ul></li><li>baz</li></ul>'
+				);
+			} );
+
+			it( 'should move the lists nested on multiple levels', () => {
+				const documentFragment = htmlDataProcessor.toView(
+					'<ol><li>1</li><ol><li>1.1</li><ul><li>1.1.1</li></ul><li>1.2</li></ol></ol>'
+				);
+
+				moveNestedListToListItem( documentFragment, writer );
+
+				expect( htmlDataProcessor.toData( documentFragment ) ).to.equal(
+					'<ol><li>1<ol><li>1.1<ul><li>1.1.1</li></ul></li><li>1.2</li></ol></li></ol>'
+				);
+			} );
+
+			it( 'should wrap a nested list with a new list item if there is no preceding list item', () => {
+				const documentFragment = htmlDataProcessor.toView( '<ul><ul><li>foo</li></ul><li>bar</li></ul>' );
+
+				moveNestedListToListItem( documentFragment, writer );
+
+				expect( htmlDataProcessor.toData( documentFragment ) ).to.equal(
+					'<ul><li><ul><li>foo</li></ul></li><li>bar</li></ul>'
+				);
+			} );
+
+			it( 'should not change properly nested lists', () => {
+				const inputData = '<ul><li>foo<ul><li>bar</li></ul></li></ul>';
+				const documentFragment = htmlDataProcessor.toView( inputData );
+
+				moveNestedListToListItem( documentFragment, writer );
+
+				expect( htmlDataProcessor.toData( documentFragment ) ).to.equal( inputData );
+			} );
+		} );
+	} );
 } );
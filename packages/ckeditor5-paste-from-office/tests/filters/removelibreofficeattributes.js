@@ -0,0 +1,82 @@
+/**
+ * @license Copyright (c) 2003-2024, CKSource Holding sp. z o.o. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+
+import HtmlDataProcessor from '@ckeditor/ckeditor5-engine/src/dataprocessor/htmldataprocessor.js';
+import removeLibreOfficeAttributes from '../../src/filters/removelibreofficeattributes.js';
+import UpcastWriter from '@ckeditor/ckeditor5-engine/src/view/upcastwriter.js';
+import Document from '@ckeditor/ckeditor5-engine/src/view/document.js';
+import { StylesProcessor } from '@ckeditor/ckeditor5-engine/src/view/stylesmap.js';
+
+describe( 'PasteFromOffice - filters', () => {
+	const htmlDataProcessor = new HtmlDataProcessor( new Document( new StylesProcessor() ) );
+
+	describe( 'removeLibreOfficeAttributes', () => {
+		let writer, viewDocument;
+
+		before( () => {
+			viewDocument = new Document( new StylesProcessor() );
+			writer = new UpcastWriter( viewDocument );
+		} );
+
+		it( 'should remove the script type classes', () => {
+			const inputData = '<h1 class="western foo">Foo</h1><h2 class="cjk">Bar</h2><h3 class="ctl">Baz</h3>';
+			const documentFragment = htmlDataProcessor.toView( inputData );
+
+			removeLibreOfficeAttributes( documentFragment, writer );
+
+			expect( htmlDataProcessor.toData( documentFragment ) ).to.equal( '<h1 class="foo">Foo</h1><h2>Bar</h2><h3>Baz</h3>' );
+		} );
+
+		it( 'should remove the language and the cell value attributes', () => {
+			const inputData =
+				'<p lang="pl-PL">Foo</p>' +
+				'<table><tbody><tr><td align="right" sdval="1.5" sdnum="1033;0;0.00">1.50</td></tr></tbody></table>';
+
+			const documentFragment = htmlDataProcessor.toView( inputData );
+
+			removeLibreOfficeAttributes( documentFragment, writer );
+
+			expect( htmlDataProcessor.toData( documentFragment ) ).to.equal(
+				'<p>Foo</p><table><tbody><tr><td align="right">1.50</td></tr></tbody></table>'
+			);
+		} );
+
+		it( 'should remove the default paragraph formatting styles', () => {
+			const inputData =
+				'<p style="line-height: 100%; margin-bottom: 0cm; background: transparent; text-align: center">Foo</p>' +
+				'<h2 style="margin-top: 0.35cm; page-break-after: avoid">Bar</h2>' +
+				'<ul><li style="orphans: 2; widows: 2">Baz</li></ul>';
+
+			const documentFragment = htmlDataProcessor.toView( inputData );
+
+			removeLibreOfficeAttributes( documentFragment, writer );
+
+			expect( htmlDataProcessor.toData( documentFragment ) ).to.equal(
+				'<p style="text-align:center;">Foo</p><h2>Bar</h2><ul><li>Baz</li></ul>'
+			);
+		} );
+
+		it( 'should not remove the background other than transparent', () => {
+			const inputData = '<p style="background:#ffff00;">Foo</p>';
+			const documentFragment = htmlDataProcessor.toView( inputData );
+
+			removeLibreOfficeAttributes( documentFragment, writer );
+
+			expect( htmlDataProcessor.toData( documentFragment ) ).to.equal( inputData );
+		} );
+
+		it( 'should not remove the styles of the inline elements and table cells', () => {
+			const inputData =
+				'<p><span style="margin-top:1px;">Foo</span></p>' +
+				'<table><tbody><tr><td style="margin-bottom:1px;">Bar</td></tr></tbody></table>';
+
+			const documentFragment = htmlDataProcessor.toView( inputData );
+
+			removeLibreOfficeAttributes( documentFragment, writer );
+
+			expect( htmlDataProcessor.toData( documentFragment ) ).to.equal( inputData );
+		} );
+	} );
+} );
@@ -0,0 +1,58 @@
+/**
+ * @license Copyright (c) 2003-2024, CKSource Holding sp. z o.o. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+
+import HtmlDataProcessor from '@ckeditor/ckeditor5-engine/src/dataprocessor/htmldataprocessor.js';
+import unwrapFontElements from '../../src/filters/unwrapfontelements.js';
+import UpcastWriter from '@ckeditor/ckeditor5-engine/src/view/upcastwriter.js';
+import Document from '@ckeditor/ckeditor5-engine/src/view/document.js';
+import { StylesProcessor } from '@ckeditor/ckeditor5-engine/src/view/stylesmap.js';
+
+describe( 'PasteFromOffice - filters', () => {
+	const htmlDataProcessor = new HtmlDataProcessor( new Document( new StylesProcessor() ) );
+
+	describe( 'unwrapFontElements', () => {
+		let writer, viewDocument;
+
+		before( () => {
+			viewDocument = new Document( new StylesProcessor() );
+			writer = new UpcastWriter( viewDocument );
+		} );
+
+		it( 'should unwrap the font elements setting the font face and size', () => {
+			const inputData =
+				'<p>' +
+					'<font face="Liberation Serif, serif"><font size="3" style="font-size: 12pt">Foo <b>bar</b></font></font>' +
+				'</p>';
+
+			const documentFragment = htmlDataProcessor.toView( inputData );
+
+			unwrapFontElements( documentFragment, writer );
+
+			expect( htmlDataProcessor.toData( documentFragment ) ).to.equal( '<p>Foo <b>bar</b></p>' );
+		} );
+
+		it( 'should replace the font element setting the color with a span', () => {
+			const inputData =
+				'<p>' +
+					'Foo <font color="#c9211e"><font face="Liberation Serif, serif"><font size="3">bar</font></font></font>' +
+				'</p>';
+
+			const documentFragment = htmlDataProcessor.toView( inputData );
+
+			unwrapFontElements( documentFragment, writer );
+
+			expect( htmlDataProcessor.toData( documentFragment ) ).to.equal( '<p>Foo <span style="color:#c9211e;">bar</span></p>' );
+		} );
+
+		it( 'should not change the content without the font elements', () => {
+			const inputData = '<p>Foo <span style="color:#c9211e;">bar</span></p>';
+			const documentFragment = htmlDataProcessor.toView( inputData );
+
+			unwrapFontElements( documentFragment, writer );
+
+			expect( htmlDataProcessor.toData( documentFragment ) ).to.equal( inputData );
+		} );
+	} );
+} );
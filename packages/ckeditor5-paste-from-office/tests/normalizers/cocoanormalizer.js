@@ -0,0 +1,37 @@
+/**
+ * @license Copyright (c) 2003-2024, CKSource Holding sp. z o.o. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+
+import CocoaNormalizer from '../../src/normalizers/cocoanormalizer.js';
+
+// `execute()` of the Cocoa normalizer is tested with autogenerated normalization tests.
+describe( 'CocoaNormalizer', () => {
+	const normalizer = new CocoaNormalizer();
+
+	describe( 'isActive()', () => {
+		it( 'should return true from apple pages and numbers content', () => {
+			expect( normalizer.isActive(
+				'<meta name="Generator" content="Cocoa HTML Writer">\n<meta name="CocoaVersion" content="2487.3">' +
+				'<p class="p1"><span class="s1">Foo bar</span></p>'
+			) ).to.be.true;
+		} );
+
+		it( 'should return true for the content of other macOS apps using the Cocoa HTML Writer', () => {
+			expect( normalizer.isActive(
+				'<meta name="Generator" content="Cocoa HTML Writer">\n<meta name="CocoaVersion" content="2487.3">' +
+				'<p class="p1">Foo bar from TextEdit</p>'
+			) ).to.be.true;
+		} );
+
+		it( 'should return false for libreoffice content', () => {
+			expect( normalizer.isActive(
+				'<meta name="generator" content="LibreOffice 7.6.4.1 (X86_64/Linux)"/><p>Foo bar</p>'
+			) ).to.be.false;
+		} );
+
+		it( 'should return false for content form other sources', () => {
+			expect( normalizer.isActive( '<p>foo</p>' ) ).to.be.false;
+		} );
+	} );
+} );
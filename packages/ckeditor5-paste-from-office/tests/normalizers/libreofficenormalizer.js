@@ -0,0 +1,34 @@
+/**
+ * @license Copyright (c) 2003-2024, CKSource Holding sp. z o.o. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+
+import LibreOfficeNormalizer from '../../src/normalizers/libreofficenormalizer.js';
+
+// `execute()` of the LibreOffice normalizer is tested with autogenerated normalization tests.
+describe( 'LibreOfficeNormalizer', () => {
+	const normalizer = new LibreOfficeNormalizer();
+
+	describe( 'isActive()', () => {
+		it( 'should return true from libreoffice writer content', () => {
+			expect( normalizer.isActive(
+				'<meta name="generator" content="LibreOffice 7.6.4.1 (X86_64/Linux)"/><p>Foo bar</p>'
+			) ).to.be.true;
+		} );
+
+		it( 'should return true from libreoffice calc content', () => {
+			expect( normalizer.isActive(
+				'<html><head>\n\t<meta name="generator" content="LibreOffice 24.2.0.3 (AARCH64 / macOS)"/>\n</head>' +
+				'<body><table><tr><td>123</td></tr></table></body></html>'
+			) ).to.be.true;
+		} );
+
+		it( 'should return false for microsoft word content', () => {
+			expect( normalizer.isActive( '<meta name=Generator content="Microsoft Word 15"><p>Foo bar</p>' ) ).to.be.false;
+		} );
+
+		it( 'should return false for content form other sources', () => {
+			expect( normalizer.isActive( '<p>foo</p>' ) ).to.be.false;
+		} );
+	} );
+} );
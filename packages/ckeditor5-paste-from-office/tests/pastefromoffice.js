@@ -4,6 +4,11 @@
  */
 
 import PasteFromOffice from '../src/pastefromoffice.js';
+import MSWordNormalizer from '../src/normalizers/mswordnormalizer.js';
+import GoogleDocsNormalizer from '../src/normalizers/googledocsnormalizer.js';
+import GoogleSheetsNormalizer from '../src/normalizers/googlesheetsnormalizer.js';
+import LibreOfficeNormalizer from '../src/normalizers/libreofficenormalizer.js';
+import CocoaNormalizer from '../src/normalizers/cocoanormalizer.js';
 import ClipboardPipeline from '@ckeditor/ckeditor5-clipboard/src/clipboardpipeline.js';
 import ClassicTestEditor from '@ckeditor/ckeditor5-core/tests/_utils/classictesteditor.js';
 import HtmlDataProcessor from '@ckeditor/ckeditor5-engine/src/dataprocessor/htmldataprocessor.js';
@@ -115,6 +120,14 @@ describe( 'PasteFromOffice', () => {
 				);
 			} );
 
+			it( 'should process data from libreoffice', () => {
+				checkCorrectData( '<meta name="generator" content="LibreOffice 7.6.4.1 (X86_64/Linux)"/><p>Hello world</p>' );
+			} );
+
+			it( 'should process data from apple pages and numbers', () => {
+				checkCorrectData( '<meta name="Generator" content="Cocoa HTML Writer"><p class="p1">Hello world</p>' );
+			} );
+
 			function checkCorrectData( inputString ) {
 				const data = setUpData( inputString );
 				const getDataSpy = sinon.spy( data.dataTransfer, 'getData' );
@@ -205,6 +218,95 @@ describe( 'PasteFromOffice', () => {
 		} );
 	} );
 
+	describe( 'normalizers', () => {
+		it( 'should contain the built-in normalizers', () => {
+			expect( pasteFromOffice.normalizers.map( normalizer => normalizer.constructor ) ).to.deep.equal( [
+				MSWordNormalizer,
+				GoogleDocsNormalizer,
+				GoogleSheetsNormalizer,
+				LibreOfficeNormalizer,
+				CocoaNormalizer
+			] );
+		} );
+	} );
+
+	describe( 'registerNormalizer()', () => {
+		it( 'should add the normalizer after the built-in normalizers by default', () => {
+			const normalizer = createNormalizer( 'foo' );
+
+			pasteFromOffice.registerNormalizer( normalizer );
+
+			expect( pasteFromOffice.normalizers.length ).to.equal( 6 );
+			expect( pasteFromOffice.normalizers[ 5 ] ).to.equal( normalizer );
+		} );
+
+		it( 'should add the normalizer according to its priority', () => {
+			const normalizerHigh = createNormalizer( 'foo' );
+			const normalizerLow = createNormalizer( 'foo' );
+
+			pasteFromOffice.registerNormalizer( normalizerLow, { priority: 'low' } );
+			pasteFromOffice.registerNormalizer( normalizerHigh, { priority: 'high' } );
+
+			expect( pasteFromOffice.normalizers[ 0 ] ).to.equal( normalizerHigh );
+			expect( pasteFromOffice.normalizers[ 6 ] ).to.equal( normalizerLow );
+		} );
+
+		it( 'should execute the registered normalizer if it is active for the pasted content', () => {
+			const normalizer = createNormalizer( 'my-app' );
+			const data = setUpData( '<p class="my-app">Hello world</p>' );
+
+			pasteFromOffice.registerNormalizer( normalizer );
+
+			clipboard.fire( 'inputTransformation', data );
+
+			sinon.assert.calledOnce( normalizer.execute );
+			sinon.assert.calledWith( normalizer.execute, data );
+
+			expect( data._isTransformedWithPasteFromOffice ).to.be.true;
+			expect( data._parsedData.bodyString ).to.equal( '<p class="my-app">Hello world</p>' );
+		} );
+
+		it( 'should not execute the registered normalizer if it is not active for the pasted content', () => {
+			const normalizer = createNormalizer( 'my-app' );
+			const data = setUpData( '<p>Hello world</p>' );
+
+			pasteFromOffice.registerNormalizer( normalizer );
+
+			clipboard.fire( 'inputTransformation', data );
+
+			sinon.assert.notCalled( normalizer.execute );
+
+			expect( data._isTransformedWithPasteFromOffice ).to.be.undefined;
+		} );
+
+		it( 'should execute only the first active normalizer', () => {
+			const normalizer = createNormalizer( 'Microsoft Word' );
+			const data = setUpData( '<meta name=Generator content="Microsoft Word 15"><p>Hello world</p>' );
+
+			pasteFromOffice.registerNormalizer( normalizer );
+			clipboard.fire( 'inputTransformation', data );
+
+			sinon.assert.notCalled( normalizer.execute );
+		} );
+
+		it( 'should allow taking over the content handled by the built-in normalizers', () => {
+			const normalizer = createNormalizer( 'Microsoft Word' );
+			const data = setUpData( '<meta name=Generator content="Microsoft Word 15"><p>Hello world</p>' );
+
+			pasteFromOffice.registerNormalizer( normalizer, { priority: 'high' } );
+			clipboard.fire( 'inputTransformation', data );
+
+			sinon.assert.calledOnce( normalizer.execute );
+		} );
+
+		function createNormalizer( signature ) {
+			return {
+				isActive: htmlString => htmlString.includes( signature ),
+				execute: sinon.spy()
+			};
+		}
+	} );
+
 	// @param {String} inputString html to be processed by paste from office
 	// @param {Boolean} [isTransformedWithPasteFromOffice=false] if set, marks output data with isTransformedWithPasteFromOffice flag
 	// @returns {Object} data object simulating content obtained from the clipboard
@@ -8,6 +8,20 @@
  */
 
 export { default as SourceEditing } from './sourceediting.js';
+export {
+	default as SourceEditingArea,
+	type SourceEditingAreaOptions,
+	type SourceEditingAreaIssue,
+	type SourceEditingAreaInputEvent,
+	type SourceHighlighter,
+	type SourceHighlighterResult,
+	type SourceRange
+} from './sourceeditingarea.js';
+export { default as SourceEditingPreview, type SourceEditingPreviewRenderer } from './sourceeditingpreview.js';
+export { default as SourceEditingSearchView } from './ui/sourceeditingsearchview.js';
+export { parseHtmlSource, matchHtmlTags } from './utils/parsehtmlsource.js';
+export { parseMarkdownSource, splitMarkdownBlocks } from './utils/parsemarkdownsource.js';
+export { validateHtmlSource, type SourceEditingIssue, type SourceEditingIssueType } from './utils/validatehtmlsource.js';
 export type { SourceEditingConfig } from './sourceeditingconfig.js';
 
 import './augmentation.js';
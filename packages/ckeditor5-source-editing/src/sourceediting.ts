@@ -7,18 +7,35 @@
  * @module source-editing/sourceediting
  */
 
-/* global console */
+/* global console, document */
 
 import { type Editor, Plugin, PendingActions } from 'ckeditor5/src/core.js';
 import { ButtonView, MenuBarMenuListItemButtonView, type Dialog } from 'ckeditor5/src/ui.js';
-import { CKEditorError, createElement, ElementReplacer } from 'ckeditor5/src/utils.js';
+import { DomConverter, HtmlDataProcessor } from 'ckeditor5/src/engine.js';
+import { CKEditorError, ElementReplacer } from 'ckeditor5/src/utils.js';
+import { debounce, type DebouncedFunc } from 'lodash-es';
+
+import SourceEditingArea, {
+	type SourceEditingAreaInputEvent,
+	type SourceHighlighter,
+	type SourceHighlighterResult
+} from './sourceeditingarea.js';
+import SourceEditingPreview from './sourceeditingpreview.js';
 import { formatHtml } from './utils/formathtml.js';
+import { parseHtmlSource, matchHtmlTags } from './utils/parsehtmlsource.js';
+import { parseMarkdownSource } from './utils/parsemarkdownsource.js';
+import { validateHtmlSource, type SourceEditingIssue } from './utils/validatehtmlsource.js';
 
 import '../theme/sourceediting.css';
 import sourceEditingIcon from '../theme/icons/source-editing.svg';
 
 const COMMAND_FORCE_DISABLE_ID = 'SourceEditingMode';
 
+/**
+ * The time (in milliseconds) after the last change of the document source when the source is validated.
+ */
+const VALIDATION_DEBOUNCE_TIME = 500;
+
 /**
  * The source editing feature.
  *
@@ -64,6 +81,32 @@ export default class SourceEditing extends Plugin {
 	 */
 	private _dataFromRoots: Map<string, string>;
 
+	/**
+	 * Maps all root names to the source editing areas containing the document source.
+	 */
+	private _sourceEditingAreas: Map<string, SourceEditingArea>;
+
+	/**
+	 * Maps all root names to the previews of the Markdown source.
+	 */
+	private _sourceEditingPreviews: Map<string, SourceEditingPreview>;
+
+	/**
+	 * Converts the rendered Markdown source to the HTML in a detached document, so nothing in it is loaded or executed.
+	 */
+	private _previewDataProcessor: HtmlDataProcessor | null = null;
+
+	/**
+	 * Sets the HTML of the rendered Markdown source as the content of the preview. It filters the HTML like the editing view does,
+	 * so, for instance, the unsafe attributes and elements are not rendered.
+	 */
+	private _previewDomConverter: DomConverter | null = null;
+
+	/**
+	 * Validates the document source in all source editing areas after the user stops typing.
+	 */
+	private _validateSourceDebounced: DebouncedFunc<() => void>;
+
 	/**
 	 * @inheritDoc
 	 */
@@ -74,8 +117,14 @@ export default class SourceEditing extends Plugin {
 		this._elementReplacer = new ElementReplacer();
 		this._replacedRoots = new Map();
 		this._dataFromRoots = new Map();
+		this._sourceEditingAreas = new Map();
+		this._sourceEditingPreviews = new Map();
+		this._validateSourceDebounced = debounce( () => this._validateSource(), VALIDATION_DEBOUNCE_TIME );
 
 		editor.config.define( 'sourceEditing.allowCollaborationFeatures', false );
+		editor.config.define( 'sourceEditing.lineNumbers', true );
+		editor.config.define( 'sourceEditing.validation', true );
+		editor.config.define( 'sourceEditing.markdownPreview', true );
 	}
 
 	/**
@@ -161,6 +210,15 @@ export default class SourceEditing extends Plugin {
 		}
 	}
 
+	/**
+	 * @inheritDoc
+	 */
+	public override destroy(): void {
+		this._destroySourceEditingAreas();
+
+		super.destroy();
+	}
+
 	private _checkCompatibility() {
 		const editor = this.editor;
 		const allowCollaboration = editor.config.get( 'sourceEditing.allowCollaborationFeatures' );
@@ -222,11 +280,24 @@ export default class SourceEditing extends Plugin {
 	 * of its children (the textarea and the `::after` pseudo-element) are positioned within a CSS grid to occupy the same grid cell. The
 	 * content in the pseudo-element `::after` is set in CSS and it stretches the grid to the appropriate size based on the textarea value.
 	 * Since both children occupy the same grid cell, both have always the same height.
+	 *
+	 * The HTML source is highlighted and validated. See {@link module:source-editing/sourceeditingarea~SourceEditingArea}.
+	 * The Markdown source is highlighted and displayed next to its live preview.
+	 * See {@link module:source-editing/sourceeditingpreview~SourceEditingPreview}.
 	 */
 	private _showSourceEditing(): void {
 		const editor = this.editor;
 		const editingView = editor.editing.view;
 		const model = editor.model;
+		const isHtmlSource = editor.data.processor instanceof HtmlDataProcessor;
+		const isMarkdownSource = editor.plugins.has( 'Markdown' );
+		let highlighter: SourceHighlighter | undefined;
+
+		if ( isHtmlSource ) {
+			highlighter = highlightHtml;
+		} else if ( isMarkdownSource ) {
+			highlighter = parseMarkdownSource;
+		}
 
 		model.change( writer => {
 			writer.setSelection( null );
@@ -238,28 +309,33 @@ export default class SourceEditing extends Plugin {
 		for ( const [ rootName, domRootElement ] of editingView.domRoots ) {
 			const data = formatSource( editor.data.get( { rootName } ) );
 
-			const domSourceEditingElementTextarea = createElement( domRootElement.ownerDocument, 'textarea', {
-				rows: '1',
-				'aria-label': 'Source code editing area'
+			const sourceEditingArea = new SourceEditingArea( editor.locale, domRootElement.ownerDocument, {
+				value: data,
+				highlighter,
+				lineNumbers: editor.config.get( 'sourceEditing.lineNumbers' )
 			} );
 
-			const domSourceEditingElementWrapper = createElement( domRootElement.ownerDocument, 'div', {
-				class: 'ck-source-editing-area',
-				'data-value': data
-			}, [ domSourceEditingElementTextarea ] );
+			const domSourceEditingElementTextarea = sourceEditingArea.textarea;
+			const domSourceEditingElementWrapper = sourceEditingArea.element;
 
-			domSourceEditingElementTextarea.value = data;
+			this.listenTo<SourceEditingAreaInputEvent>( sourceEditingArea, 'input', () => {
+				editor.ui.update();
 
-			// Setting a value to textarea moves the input cursor to the end. We want the selection at the beginning.
-			domSourceEditingElementTextarea.setSelectionRange( 0, 0 );
+				if ( isHtmlSource && editor.config.get( 'sourceEditing.validation' ) ) {
+					this._validateSourceDebounced();
+				}
+			} );
 
-			// Bind the textarea's value to the wrapper's `data-value` property. Each change of the textarea's value updates the
-			// wrapper's `data-value` property.
-			domSourceEditingElementTextarea.addEventListener( 'input', () => {
-				domSourceEditingElementWrapper.dataset.value = domSourceEditingElementTextarea.value;
+			// The search bar is a part of the editor UI, so moving the focus there does not blur the editor.
+			editor.ui.focusTracker.add( sourceEditingArea.searchView.element! );
 
-				editor.ui.update();
-			} );
+			if ( isMarkdownSource && editor.config.get( 'sourceEditing.markdownPreview' ) ) {
+				this._sourceEditingPreviews.set( rootName, new SourceEditingPreview(
+					editor.locale,
+					sourceEditingArea,
+					markdown => this._renderPreview( markdown )
+				) );
+			}
 
 			editingView.change( writer => {
 				const viewRoot = editingView.document.getRoot( rootName )!;
@@ -271,6 +347,7 @@ export default class SourceEditing extends Plugin {
 			editor.ui.setEditableElement( 'sourceEditing:' + rootName, domSourceEditingElementTextarea );
 
 			this._replacedRoots.set( rootName, domSourceEditingElementWrapper );
+			this._sourceEditingAreas.set( rootName, sourceEditingArea );
 
 			this._elementReplacer.replace( domRootElement, domSourceEditingElementWrapper );
 
@@ -288,6 +365,7 @@ export default class SourceEditing extends Plugin {
 		const editingView = editor.editing.view;
 
 		this.updateEditorData();
+		this._destroySourceEditingAreas();
 
 		editingView.change( writer => {
 			for ( const [ rootName ] of this._replacedRoots ) {
@@ -303,6 +381,91 @@ export default class SourceEditing extends Plugin {
 		editingView.focus();
 	}
 
+	/**
+	 * Destroys the source editing areas with their previews and cancels the pending validation of the document source.
+	 */
+	private _destroySourceEditingAreas(): void {
+		this._validateSourceDebounced.cancel();
+
+		for ( const sourceEditingPreview of this._sourceEditingPreviews.values() ) {
+			sourceEditingPreview.destroy();
+		}
+
+		this._sourceEditingPreviews.clear();
+
+		for ( const sourceEditingArea of this._sourceEditingAreas.values() ) {
+			this.stopListening( sourceEditingArea );
+			this.editor.ui.focusTracker.remove( sourceEditingArea.searchView.element! );
+			sourceEditingArea.destroy();
+		}
+
+		this._sourceEditingAreas.clear();
+	}
+
+	/**
+	 * Finds the markup that would be removed when the document source is loaded back to the editor (because neither the schema
+	 * nor the {@glink features/html/general-html-support General HTML Support} allow it) and displays it in the source editing areas.
+	 */
+	private _validateSource(): void {
+		const editor = this.editor;
+
+		for ( const sourceEditingArea of this._sourceEditingAreas.values() ) {
+			const source = sourceEditingArea.value;
+			const output = editor.data.stringify( editor.data.parse( source ) );
+
+			sourceEditingArea.setIssues( validateHtmlSource( source, output ).map( issue => ( {
+				start: issue.start,
+				end: issue.end,
+				message: this._getIssueMessage( issue )
+			} ) ) );
+		}
+	}
+
+	/**
+	 * Renders the Markdown source the way the editor would display it, using the loaded features.
+	 */
+	private _renderPreview( markdown: string ): Node {
+		const editor = this.editor;
+
+		if ( !this._previewDataProcessor || !this._previewDomConverter ) {
+			this._previewDataProcessor = new HtmlDataProcessor( editor.data.viewDocument );
+			this._previewDomConverter = new DomConverter( editor.data.viewDocument );
+		}
+
+		// The raw elements, for instance, the HTML embeds, render their content as is. Hence, the view is rendered
+		// in the detached document first and its HTML is filtered when setting it in the preview.
+		const html = this._previewDataProcessor.toData( editor.data.toView( editor.data.parse( markdown ) ) );
+		const container = document.createElement( 'div' );
+		const fragment = document.createDocumentFragment();
+
+		this._previewDomConverter.setContentOf( container, html );
+		fragment.append( ...container.childNodes );
+
+		return fragment;
+	}
+
+	/**
+	 * Returns the localized description of the issue found in the document source.
+	 */
+	private _getIssueMessage( issue: SourceEditingIssue ): string {
+		const t = this.editor.locale.t;
+
+		switch ( issue.type ) {
+			case 'unclosedElement':
+				return t( 'The <%0> element is not closed.', issue.name );
+			case 'unexpectedClosingTag':
+				return t( 'The </%0> closing tag does not close any element.', issue.name );
+			case 'removedElement':
+				return t( 'The <%0> element will not be preserved.', issue.name );
+			case 'removedAttribute':
+				return t( 'The "%0" attribute will not be preserved.', issue.name );
+			case 'removedClass':
+				return t( 'The "%0" class will not be preserved.', issue.name );
+			case 'removedStyle':
+				return t( 'The "%0" style will not be preserved.', issue.name );
+		}
+	}
+
 	/**
 	 * Focuses the textarea containing document source from the first editing root.
 	 */
@@ -436,6 +599,15 @@ export default class SourceEditing extends Plugin {
 	}
 }
 
+/**
+ * Finds the tokens and the pairs of the tags in the HTML source.
+ */
+function highlightHtml( source: string ): SourceHighlighterResult {
+	const { tokens, tags } = parseHtmlSource( source );
+
+	return { tokens, pairs: matchHtmlTags( tags ).pairs };
+}
+
 /**
  * Formats the content for a better readability.
  *
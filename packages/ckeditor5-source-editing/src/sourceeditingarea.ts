@@ -0,0 +1,588 @@
+/**
+ * @license Copyright (c) 2003-2024, CKSource Holding sp. z o.o. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+
+/**
+ * @module source-editing/sourceeditingarea
+ */
+
+import {
+	createElement,
+	DomEmitterMixin,
+	KeystrokeHandler,
+	scrollViewportToShowTarget,
+	type Locale
+} from 'ckeditor5/src/utils.js';
+
+import SourceEditingSearchView from './ui/sourceeditingsearchview.js';
+
+/**
+ * The source editing area displayed in place of the editing root in the source editing mode.
+ *
+ * The wrapper {@link #element} contains a textarea with the document source. The textarea text is transparent and the
+ * highlighted copy of the source is rendered below it, so the user edits a plain textarea while seeing:
+ *
+ * * the source highlighted by the {@link module:source-editing/sourceeditingarea~SourceHighlighter highlighter},
+ * * the line numbers,
+ * * the pair of the tags (or brackets) next to the caret,
+ * * the {@link #setIssues issues} found in the source, also listed below the source,
+ * * the results of the search opened with <kbd>Ctrl</kbd>+<kbd>F</kbd>.
+ *
+ * Both the textarea and its highlighted copy occupy the same cell of the CSS grid of the wrapper, so they always have the same size.
+ */
+export default class SourceEditingArea extends /* #__PURE__ */ DomEmitterMixin() {
+	/**
+	 * The wrapper element of the source editing area.
+	 */
+	public readonly element: HTMLElement;
+
+	/**
+	 * The textarea containing the document source.
+	 */
+	public readonly textarea: HTMLTextAreaElement;
+
+	/**
+	 * The search bar displayed above the document source.
+	 */
+	public readonly searchView: SourceEditingSearchView;
+
+	/**
+	 * The locale of the editor.
+	 */
+	private readonly _locale: Locale;
+
+	/**
+	 * The callback finding the tokens in the source.
+	 */
+	private readonly _highlighter: SourceHighlighter | undefined;
+
+	/**
+	 * The element containing the highlighted copy of the source.
+	 */
+	private readonly _highlightElement: HTMLElement;
+
+	/**
+	 * The list of the issues found in the source.
+	 */
+	private readonly _issuesElement: HTMLElement;
+
+	/**
+	 * Handles the keystrokes in the {@link #textarea}.
+	 */
+	private readonly _keystrokes: KeystrokeHandler;
+
+	/**
+	 * The result of the last {@link #_highlighter} call.
+	 */
+	private _highlighterResult: SourceHighlighterResult = { tokens: [] };
+
+	/**
+	 * The issues found in the source.
+	 */
+	private _issues: Array<SourceEditingAreaIssue> = [];
+
+	/**
+	 * The ranges of the pair of the tags next to the caret.
+	 */
+	private _matchedRanges: Array<SourceRange> = [];
+
+	/**
+	 * The ranges of the search results.
+	 */
+	private _searchResults: Array<SourceRange> = [];
+
+	/**
+	 * The index of the current search result.
+	 */
+	private _currentSearchResultIndex = -1;
+
+	/**
+	 * Creates the source editing area.
+	 *
+	 * @param locale The locale of the editor.
+	 * @param domDocument The DOM document to create the elements in.
+	 * @param options The options of the source editing area.
+	 */
+	constructor( locale: Locale, domDocument: Document, options: SourceEditingAreaOptions ) {
+		super();
+
+		const t = locale.t;
+
+		this._locale = locale;
+		this._highlighter = options.highlighter;
+		this._keystrokes = new KeystrokeHandler();
+
+		this.textarea = createElement( domDocument, 'textarea', {
+			rows: '1',
+			'aria-label': 'Source code editing area'
+		} );
+
+		this._highlightElement = createElement( domDocument, 'div', {
+			class: 'ck-source-editing-area__highlight',
+			'aria-hidden': 'true'
+		} );
+
+		this._issuesElement = createElement( domDocument, 'ul', {
+			class: 'ck-source-editing-area__issues ck-hidden',
+			'aria-label': t( 'Source code issues' )
+		} );
+
+		this.searchView = new SourceEditingSearchView( locale );
+		this.searchView.render();
+
+		this.element = createElement( domDocument, 'div', {
+			class: 'ck-source-editing-area',
+			'data-value': options.value
+		}, [ this.textarea, this._highlightElement, this._issuesElement, this.searchView.element! ] );
+
+		if ( options.lineNumbers ) {
+			this.element.dataset.lineNumbers = 'true';
+		}
+
+		this.textarea.value = options.value;
+
+		// Setting a value to textarea moves the input cursor to the end. We want the selection at the beginning.
+		this.textarea.setSelectionRange( 0, 0 );
+
+		// Bind the textarea's value to the wrapper's `data-value` property. Each change of the textarea's value updates the
+		// wrapper's `data-value` property.
+		this.listenTo( this.textarea, 'input', () => {
+			this.element.dataset.value = this.textarea.value;
+
+			this._highlight();
+			this._search();
+			this._updateMatchedRanges();
+			this._render();
+
+			this.fire<SourceEditingAreaInputEvent>( 'input' );
+		} );
+
+		for ( const eventName of [ 'keyup', 'mouseup', 'focus' ] as const ) {
+			this.listenTo( this.textarea, eventName, () => {
+				if ( this._updateMatchedRanges() ) {
+					this._render();
+				}
+			} );
+		}
+
+		// Move the caret to the clicked issue.
+		this.listenTo( this._issuesElement, 'click', ( evt, domEvent ) => {
+			const buttonElement = ( domEvent.target as HTMLElement ).closest( 'button' );
+			const issue = buttonElement && this._issues[ Number( buttonElement.dataset.issueIndex ) ];
+
+			if ( issue ) {
+				this.textarea.focus();
+				this.textarea.setSelectionRange( issue.start, issue.end );
+			}
+		} );
+
+		this._keystrokes.listenTo( this.textarea );
+		this._keystrokes.set( 'Ctrl+F', ( data, cancel ) => {
+			this.openSearch();
+			cancel();
+		} );
+
+		this.searchView.on( 'search', () => {
+			this._search( this.textarea.selectionStart );
+			this._render();
+			this._scrollToCurrentSearchResult();
+		} );
+		this.searchView.on( 'findNext', () => this._selectSearchResult( this._currentSearchResultIndex + 1 ) );
+		this.searchView.on( 'findPrevious', () => this._selectSearchResult( this._currentSearchResultIndex - 1 ) );
+		this.searchView.on( 'close', () => this.closeSearch() );
+
+		this._highlight();
+		this._render();
+	}
+
+	/**
+	 * The document source.
+	 */
+	public get value(): string {
+		return this.textarea.value;
+	}
+
+	/**
+	 * Sets the issues found in the source. They are underlined in the source and listed below it.
+	 */
+	public setIssues( issues: Array<SourceEditingAreaIssue> ): void {
+		const t = this._locale.t;
+		const domDocument = this.element.ownerDocument;
+
+		this._issues = issues;
+		this._issuesElement.replaceChildren( ...issues.map( ( issue, index ) => {
+			const { line, column } = getLineAndColumn( this.value, issue.start );
+			const buttonElement = createElement( domDocument, 'button', {
+				type: 'button',
+				class: 'ck-source-editing-area__issue-button',
+				'data-issue-index': String( index )
+			}, [ t( 'Line %0, column %1: %2', [ line, column, issue.message ] ) ] );
+
+			return createElement( domDocument, 'li', {}, [ buttonElement ] );
+		} ) );
+
+		this._issuesElement.classList.toggle( 'ck-hidden', !issues.length );
+		this._render();
+	}
+
+	/**
+	 * Returns the vertical position of the line of the source relative to the {@link #element}.
+	 *
+	 * @param line The 0-based index of the line.
+	 */
+	public getLineOffsetTop( line: number ): number {
+		const lineElement = this._highlightElement.children[ line ] as HTMLElement | undefined;
+
+		return lineElement ? lineElement.offsetTop : 0;
+	}
+
+	/**
+	 * Shows the search bar and focuses it. The text selected in the source is searched.
+	 */
+	public openSearch(): void {
+		const { selectionStart, selectionEnd, value } = this.textarea;
+
+		if ( selectionStart != selectionEnd && !value.slice( selectionStart, selectionEnd ).includes( '\n' ) ) {
+			this.searchView.searchText = value.slice( selectionStart, selectionEnd );
+		}
+
+		this.searchView.isVisible = true;
+		this.searchView.focus();
+
+		this._search( selectionStart );
+		this._render();
+	}
+
+	/**
+	 * Hides the search bar and selects the current search result in the source.
+	 */
+	public closeSearch(): void {
+		const currentSearchResult = this._searchResults[ this._currentSearchResultIndex ];
+
+		this.searchView.isVisible = false;
+		this._searchResults = [];
+		this._currentSearchResultIndex = -1;
+		this._render();
+
+		this.textarea.focus();
+
+		if ( currentSearchResult ) {
+			this.textarea.setSelectionRange( currentSearchResult.start, currentSearchResult.end );
+		}
+	}
+
+	/**
+	 * Destroys the source editing area.
+	 */
+	public destroy(): void {
+		this.stopListening();
+		this._keystrokes.destroy();
+		this.searchView.destroy();
+	}
+
+	/**
+	 * Finds the tokens in the source.
+	 */
+	private _highlight(): void {
+		if ( this._highlighter ) {
+			this._highlighterResult = this._highlighter( this.value );
+		}
+	}
+
+	/**
+	 * Finds the searched text in the source (case-insensitive). The current result is the first result after the given offset.
+	 * When the offset is not passed, the current result remains the same, if possible.
+	 */
+	private _search( offset?: number ): void {
+		const searchText = this.searchView.searchText.toLowerCase();
+		const previousResult = this._searchResults[ this._currentSearchResultIndex ];
+
+		this._searchResults = [];
+
+		if ( !this.searchView.isVisible || !searchText ) {
+			this._currentSearchResultIndex = -1;
+			this._updateResultsCounter();
+
+			return;
+		}
+
+		const source = this.value.toLowerCase();
+		let index = source.indexOf( searchText );
+
+		while ( index != -1 ) {
+			this._searchResults.push( { start: index, end: index + searchText.length } );
+			index = source.indexOf( searchText, index + searchText.length );
+		}
+
+		const defaultOffset = previousResult ? previousResult.start : 0;
+		const startOffset = offset === undefined ? defaultOffset : offset;
+		const currentResultIndex = this._searchResults.findIndex( result => result.start >= startOffset );
+
+		this._currentSearchResultIndex = this._searchResults.length ? Math.max( currentResultIndex, 0 ) : -1;
+		this._updateResultsCounter();
+	}
+
+	/**
+	 * Makes the search result with the given index the current one. The index out of the bounds cycles through the results.
+	 */
+	private _selectSearchResult( index: number ): void {
+		const count = this._searchResults.length;
+
+		if ( !count ) {
+			return;
+		}
+
+		this._currentSearchResultIndex = ( index + count ) % count;
+		this._updateResultsCounter();
+		this._render();
+		this._scrollToCurrentSearchResult();
+	}
+
+	/**
+	 * Updates the text of the results counter in the search bar.
+	 */
+	private _updateResultsCounter(): void {
+		const t = this._locale.t;
+
+		if ( this._searchResults.length ) {
+			this.searchView.resultsCounterText = t( '%0 of %1', [ this._currentSearchResultIndex + 1, this._searchResults.length ] );
+		} else {
+			this.searchView.resultsCounterText = this.searchView.searchText ? t( 'No results found' ) : '';
+		}
+	}
+
+	/**
+	 * Scrolls the viewport to show the current search result.
+	 */
+	private _scrollToCurrentSearchResult(): void {
+		const target = this._highlightElement.querySelector( '.ck-source-editing-area__search-result_current' );
+
+		if ( target ) {
+			scrollViewportToShowTarget( { target: target as HTMLElement, viewportOffset: 20 } );
+		}
+	}
+
+	/**
+	 * Finds the pair of the tags (or brackets) next to the caret.
+	 *
+	 * @returns Whether the matched ranges changed.
+	 */
+	private _updateMatchedRanges(): boolean {
+		const { selectionStart, selectionEnd } = this.textarea;
+		const pairs = this._highlighterResult.pairs || [];
+		const containsCaret = ( range: SourceRange ) => range.start <= selectionStart && selectionStart <= range.end;
+		const pair = selectionStart == selectionEnd ?
+			pairs.find( ( [ rangeA, rangeB ] ) => containsCaret( rangeA ) || containsCaret( rangeB ) ) :
+			null;
+		const matchedRanges = pair ? [ ...pair ] : [];
+		const isChanged = matchedRanges.length != this._matchedRanges.length ||
+			matchedRanges.some( ( range, index ) => range != this._matchedRanges[ index ] );
+
+		if ( !isChanged ) {
+			return false;
+		}
+
+		this._matchedRanges = matchedRanges;
+
+		return true;
+	}
+
+	/**
+	 * Renders the highlighted copy of the source.
+	 */
+	private _render(): void {
+		const currentSearchResult = this._searchResults[ this._currentSearchResultIndex ];
+		const ranges: Array<ClassRange> = [
+			...this._highlighterResult.tokens.map( token => ( {
+				start: token.start,
+				end: token.end,
+				className: `ck-source-editing-area__token_${ toKebabCase( token.type ) }`
+			} ) ),
+			...this._matchedRanges.map( range => ( { ...range, className: 'ck-source-editing-area__matched-range' } ) ),
+			...this._issues.map( issue => ( { start: issue.start, end: issue.end, className: 'ck-source-editing-area__issue' } ) ),
+			...this._searchResults.map( result => ( {
+				...result,
+				className: result == currentSearchResult ?
+					'ck-source-editing-area__search-result ck-source-editing-area__search-result_current' :
+					'ck-source-editing-area__search-result'
+			} ) )
+		];
+
+		this._highlightElement.replaceChildren( renderSource( this.element.ownerDocument, this.value, ranges ) );
+	}
+}
+
+/**
+ * Renders the source line by line. The parts of the source covered by the ranges are wrapped in the `<span>` elements with
+ * the classes of the ranges.
+ */
+function renderSource( domDocument: Document, source: string, ranges: Array<ClassRange> ): DocumentFragment {
+	const fragment = domDocument.createDocumentFragment();
+	const offsets = new Set( [ 0, source.length ] );
+
+	for ( const range of ranges ) {
+		offsets.add( range.start );
+		offsets.add( range.end );
+	}
+
+	for ( let index = source.indexOf( '\n' ); index != -1; index = source.indexOf( '\n', index + 1 ) ) {
+		offsets.add( index );
+		offsets.add( index + 1 );
+	}
+
+	const sortedOffsets = [ ...offsets ].filter( offset => offset <= source.length ).sort( ( a, b ) => a - b );
+	const sortedRanges = ranges.filter( range => range.end > range.start ).sort( ( a, b ) => a.start - b.start );
+	const activeRanges: Array<ClassRange> = [];
+	let nextRangeIndex = 0;
+	let lineElement = createLineElement( domDocument, fragment );
+
+	for ( let i = 0; i < sortedOffsets.length - 1; i++ ) {
+		const start = sortedOffsets[ i ];
+		const end = sortedOffsets[ i + 1 ];
+		const text = source.slice( start, end );
+
+		if ( text == '\n' ) {
+			finishLineElement( domDocument, lineElement );
+			lineElement = createLineElement( domDocument, fragment );
+
+			continue;
+		}
+
+		while ( nextRangeIndex < sortedRanges.length && sortedRanges[ nextRangeIndex ].start <= start ) {
+			activeRanges.push( sortedRanges[ nextRangeIndex++ ] );
+		}
+
+		const classNames = activeRanges.filter( range => range.end >= end ).map( range => range.className );
+
+		// Drop the ranges that ended.
+		activeRanges.splice( 0, activeRanges.length, ...activeRanges.filter( range => range.end > end ) );
+
+		lineElement.append( classNames.length ?
+			createElement( domDocument, 'span', { class: classNames.join( ' ' ) }, [ text ] ) :
+			text
+		);
+	}
+
+	finishLineElement( domDocument, lineElement );
+
+	return fragment;
+}
+
+function createLineElement( domDocument: Document, parent: DocumentFragment ): HTMLElement {
+	const lineElement = createElement( domDocument, 'div', { class: 'ck-source-editing-area__line' } );
+
+	parent.append( lineElement );
+
+	return lineElement;
+}
+
+/**
+ * Gives the empty line the height of the line of the text.
+ */
+function finishLineElement( domDocument: Document, lineElement: HTMLElement ): void {
+	if ( !lineElement.childNodes.length ) {
+		lineElement.append( domDocument.createElement( 'br' ) );
+	}
+}
+
+/**
+ * Returns the 1-based line and column numbers of the offset in the source.
+ */
+function getLineAndColumn( source: string, offset: number ): { line: number; column: number } {
+	const lines = source.slice( 0, offset ).split( '\n' );
+
+	return { line: lines.length, column: lines[ lines.length - 1 ].length + 1 };
+}
+
+function toKebabCase( text: string ): string {
+	return text.replace( /[A-Z]/g, character => `-${ character.toLowerCase() }` );
+}
+
+/**
+ * The range with the class to render.
+ */
+interface ClassRange extends SourceRange {
+	className: string;
+}
+
+/**
+ * The options of the {@link module:source-editing/sourceeditingarea~SourceEditingArea}.
+ */
+export interface SourceEditingAreaOptions {
+
+	/**
+	 * The document source.
+	 */
+	value: string;
+
+	/**
+	 * The callback finding the tokens in the source. The source is not highlighted when it is not passed.
+	 */
+	highlighter?: SourceHighlighter;
+
+	/**
+	 * Whether the line numbers are displayed.
+	 */
+	lineNumbers?: boolean;
+}
+
+/**
+ * The range of the source.
+ */
+export interface SourceRange {
+
+	/**
+	 * The offset of the first character of the range.
+	 */
+	start: number;
+
+	/**
+	 * The offset after the last character of the range.
+	 */
+	end: number;
+}
+
+/**
+ * The callback finding the tokens in the source for the {@link module:source-editing/sourceeditingarea~SourceEditingArea}.
+ * The tokens are rendered as `<span class="ck-source-editing-area__token_[type]">` elements, where the `camelCase` type
+ * is converted to `kebab-case`.
+ */
+export type SourceHighlighter = ( source: string ) => SourceHighlighterResult;
+
+/**
+ * The result of the {@link module:source-editing/sourceeditingarea~SourceHighlighter}.
+ */
+export interface SourceHighlighterResult {
+
+	/**
+	 * The tokens of the source.
+	 */
+	tokens: Array<SourceRange & { type: string }>;
+
+	/**
+	 * The pairs of the ranges highlighted together when the caret is in one of them, for instance, the opening and the closing tag.
+	 */
+	pairs?: Array<[ SourceRange, SourceRange ]>;
+}
+
+/**
+ * The issue displayed in the {@link module:source-editing/sourceeditingarea~SourceEditingArea}.
+ */
+export interface SourceEditingAreaIssue extends SourceRange {
+
+	/**
+	 * The description of the issue.
+	 */
+	message: string;
+}
+
+/**
+ * Fired when the user changes the source in the textarea.
+ *
+ * @eventName ~SourceEditingArea#input
+ */
+export type SourceEditingAreaInputEvent = {
+	name: 'input';
+	args: [];
+};
@@ -34,4 +34,35 @@ export interface SourceEditingConfig {
 	 * @default false
 	 */
 	allowCollaborationFeatures?: boolean;
+
+	/**
+	 * Set to `false` to hide the line numbers displayed next to the document source.
+	 *
+	 * @default true
+	 */
+	lineNumbers?: boolean;
+
+	/**
+	 * Set to `false` to disable the live validation of the HTML source.
+	 *
+	 * When enabled, the HTML source is validated after the user stops typing. The elements that are not closed and the markup that
+	 * would not be preserved when the source is loaded back to the editor (because neither the schema nor
+	 * the {@glink features/html/general-html-support General HTML Support} allow it) are underlined and listed below the source.
+	 * The validation is not available when the editor uses a data processor other than
+	 * {@link module:engine/dataprocessor/htmldataprocessor~HtmlDataProcessor}, for instance, the Markdown data processor.
+	 *
+	 * @default true
+	 */
+	validation?: boolean;
+
+	/**
+	 * Set to `false` to hide the live preview of the Markdown source.
+	 *
+	 * When the {@glink features/markdown Markdown output} is enabled, the source editing area is split into two columns:
+	 * the Markdown source and its preview, rendered the way the editor displays the content. The scrolling of both columns
+	 * is synchronized.
+	 *
+	 * @default true
+	 */
+	markdownPreview?: boolean;
 }
@@ -0,0 +1,230 @@
+/**
+ * @license Copyright (c) 2003-2024, CKSource Holding sp. z o.o. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+
+/**
+ * @module source-editing/sourceeditingpreview
+ */
+
+import { createElement, DomEmitterMixin, type Locale } from 'ckeditor5/src/utils.js';
+
+import type { default as SourceEditingArea, SourceEditingAreaInputEvent } from './sourceeditingarea.js';
+import { splitMarkdownBlocks, type MarkdownSourceBlock } from './utils/parsemarkdownsource.js';
+
+const LINK_REFERENCE_DEFINITION_REGEXP = /^ {0,3}\[(?!\^)[^\]]+\]:[ \t]*\S.*$/gm;
+const CODE_BLOCK_REGEXP = /^(?: {0,3}(?:`{3,}|~{3,})| {4}|\t)/;
+
+/**
+ * The live preview of the Markdown source displayed next to the {@link module:source-editing/sourceeditingarea~SourceEditingArea}.
+ *
+ * The source is split into the top-level blocks (see {@link module:source-editing/utils/parsemarkdownsource~splitMarkdownBlocks})
+ * and each block is rendered separately by the {@link module:source-editing/sourceeditingpreview~SourceEditingPreviewRenderer renderer}.
+ * The link reference definitions of the whole source are appended to every rendered block, so the reference-style links
+ * resolve no matter which block defines them. When the source changes, only the changed blocks are rendered again,
+ * unless the link reference definitions changed.
+ *
+ * The blocks of the source and their rendered counterparts are used to synchronize the scrolling of the source editing area
+ * and the preview.
+ */
+export default class SourceEditingPreview extends /* #__PURE__ */ DomEmitterMixin() {
+	/**
+	 * The element containing the rendered source.
+	 */
+	public readonly element: HTMLElement;
+
+	/**
+	 * The source editing area the preview is displayed in.
+	 */
+	private readonly _sourceEditingArea: SourceEditingArea;
+
+	/**
+	 * The callback rendering a block of the source.
+	 */
+	private readonly _renderer: SourceEditingPreviewRenderer;
+
+	/**
+	 * The blocks of the source.
+	 */
+	private _blocks: Array<MarkdownSourceBlock> = [];
+
+	/**
+	 * The elements of the rendered blocks, in the order of {@link #_blocks}.
+	 */
+	private _blockElements: Array<HTMLElement> = [];
+
+	/**
+	 * The elements of the rendered blocks by the source of the blocks.
+	 */
+	private _renderedBlocks = new Map<string, HTMLElement>();
+
+	/**
+	 * The link reference definitions the blocks in {@link #_renderedBlocks} were rendered with.
+	 */
+	private _definitions = '';
+
+	/**
+	 * The scroll positions set by the preview when synchronizing the scrolling. The scroll events caused by them are ignored.
+	 */
+	private _syncedScrollTops = new Map<HTMLElement, number>();
+
+	/**
+	 * Creates the preview and appends it to the source editing area.
+	 *
+	 * @param locale The locale of the editor.
+	 * @param sourceEditingArea The source editing area the preview is displayed in.
+	 * @param renderer The callback rendering a block of the source.
+	 */
+	constructor( locale: Locale, sourceEditingArea: SourceEditingArea, renderer: SourceEditingPreviewRenderer ) {
+		super();
+
+		const t = locale.t;
+		const areaElement = sourceEditingArea.element;
+
+		this._sourceEditingArea = sourceEditingArea;
+		this._renderer = renderer;
+
+		this.element = createElement( areaElement.ownerDocument, 'div', {
+			class: 'ck-source-editing-preview ck-content',
+			role: 'region',
+			'aria-label': t( 'Preview' )
+		} );
+
+		areaElement.append( this.element );
+		areaElement.dataset.preview = 'true';
+
+		this.listenTo<SourceEditingAreaInputEvent>( sourceEditingArea, 'input', () => this.update() );
+		this.listenTo( areaElement, 'scroll', () => this._syncScroll( areaElement, this.element ) );
+		this.listenTo( this.element, 'scroll', () => this._syncScroll( this.element, areaElement ) );
+
+		this.update();
+	}
+
+	/**
+	 * Renders the changed blocks of the source and scrolls the preview to the part of the source displayed in the source editing area.
+	 */
+	public update(): void {
+		const source = this._sourceEditingArea.value;
+		const renderedBlocks = new Map<string, HTMLElement>();
+
+		this._blocks = splitMarkdownBlocks( source );
+
+		const definitions = getLinkReferenceDefinitions( source, this._blocks );
+
+		// The rendered blocks may contain the links resolved with the previous definitions.
+		if ( definitions != this._definitions ) {
+			this._renderedBlocks.clear();
+			this._definitions = definitions;
+		}
+
+		this._blockElements = this._blocks.map( block => {
+			const blockSource = source.slice( block.start, block.end );
+			let blockElement = this._renderedBlocks.get( blockSource );
+
+			// The same block may occur more than once in the source, but an element can be displayed only once.
+			if ( blockElement && renderedBlocks.has( blockSource ) ) {
+				blockElement = blockElement.cloneNode( true ) as HTMLElement;
+			}
+
+			if ( !blockElement ) {
+				blockElement = createElement( this.element.ownerDocument, 'div', { class: 'ck-source-editing-preview__block' } );
+				blockElement.append( this._renderer( definitions ? `${ blockSource }\n\n${ definitions }` : blockSource ) );
+			}
+
+			renderedBlocks.set( blockSource, blockElement );
+
+			return blockElement;
+		} );
+
+		this._renderedBlocks = renderedBlocks;
+		this.element.replaceChildren( ...this._blockElements );
+
+		this._syncScroll( this._sourceEditingArea.element, this.element );
+	}
+
+	/**
+	 * Removes the preview from the source editing area.
+	 */
+	public destroy(): void {
+		this.stopListening();
+		this.element.remove();
+
+		delete this._sourceEditingArea.element.dataset.preview;
+	}
+
+	/**
+	 * Scrolls the target element to show the block displayed at the top of the scrolled element. The position within the block
+	 * is proportional, so the blocks of different heights are scrolled smoothly.
+	 */
+	private _syncScroll( scrolledElement: HTMLElement, targetElement: HTMLElement ): void {
+		// Ignore the scroll event caused by the synchronization itself.
+		if ( this._syncedScrollTops.get( scrolledElement ) === scrolledElement.scrollTop ) {
+			this._syncedScrollTops.delete( scrolledElement );
+
+			return;
+		}
+
+		const sourceTops = this._blocks.map( block => this._sourceEditingArea.getLineOffsetTop( block.line ) );
+		const previewTops = this._blockElements.map( blockElement => blockElement.offsetTop );
+		const isSourceScrolled = scrolledElement != this.element;
+
+		const scrolledTops = getScrollAnchors( scrolledElement, isSourceScrolled ? sourceTops : previewTops );
+		const targetTops = getScrollAnchors( targetElement, isSourceScrolled ? previewTops : sourceTops );
+		const previousScrollTop = targetElement.scrollTop;
+
+		targetElement.scrollTop = mapScrollTop( scrolledElement.scrollTop, scrolledTops, targetTops );
+
+		if ( targetElement.scrollTop != previousScrollTop ) {
+			this._syncedScrollTops.set( targetElement, targetElement.scrollTop );
+		}
+	}
+}
+
+/**
+ * Returns the link reference definitions (for instance, `[foo]: https://example.com`) found in the blocks of the source,
+ * one per line. The definitions in the code blocks are skipped.
+ */
+function getLinkReferenceDefinitions( source: string, blocks: Array<MarkdownSourceBlock> ): string {
+	const definitions: Array<string> = [];
+
+	for ( const block of blocks ) {
+		const blockSource = source.slice( block.start, block.end );
+
+		if ( CODE_BLOCK_REGEXP.test( blockSource ) ) {
+			continue;
+		}
+
+		definitions.push( ...blockSource.match( LINK_REFERENCE_DEFINITION_REGEXP ) || [] );
+	}
+
+	return definitions.join( '\n' );
+}
+
+/**
+ * Returns the scroll positions of the blocks preceded by the top and followed by the bottom of the scrollable element.
+ */
+function getScrollAnchors( element: HTMLElement, blockTops: Array<number> ): Array<number> {
+	return [ 0, ...blockTops, Math.max( element.scrollHeight - element.clientHeight, 0 ) ];
+}
+
+/**
+ * Maps the scroll position between the elements using the scroll positions of the corresponding blocks.
+ */
+function mapScrollTop( scrollTop: number, fromTops: Array<number>, toTops: Array<number> ): number {
+	let index = 0;
+
+	while ( index < fromTops.length - 2 && fromTops[ index + 1 ] <= scrollTop ) {
+		index++;
+	}
+
+	const fromStart = fromTops[ index ];
+	const fromEnd = fromTops[ index + 1 ];
+	const fraction = fromEnd > fromStart ? Math.min( Math.max( ( scrollTop - fromStart ) / ( fromEnd - fromStart ), 0 ), 1 ) : 0;
+
+	return toTops[ index ] + fraction * ( toTops[ index + 1 ] - toTops[ index ] );
+}
+
+/**
+ * The callback rendering a block of the source for the {@link module:source-editing/sourceeditingpreview~SourceEditingPreview}.
+ */
+export type SourceEditingPreviewRenderer = ( source: string ) => Node;
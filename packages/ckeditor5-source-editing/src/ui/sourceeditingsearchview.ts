@@ -0,0 +1,243 @@
+/**
+ * @license Copyright (c) 2003-2024, CKSource Holding sp. z o.o. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+
+/**
+ * @module source-editing/ui/sourceeditingsearchview
+ */
+
+import { ButtonView, InputTextView, View } from 'ckeditor5/src/ui.js';
+import { FocusTracker, KeystrokeHandler, type Locale } from 'ckeditor5/src/utils.js';
+import { icons } from 'ckeditor5/src/core.js';
+
+/**
+ * The search bar of the source editing area. It is displayed above the document source and allows finding a text in the source.
+ *
+ * The view does not search by itself. It fires the events handled by the
+ * {@link module:source-editing/sourceeditingarea~SourceEditingArea source editing area}.
+ */
+export default class SourceEditingSearchView extends View {
+	/**
+	 * Tracks information about the DOM focus in the search bar.
+	 */
+	public readonly focusTracker: FocusTracker;
+
+	/**
+	 * An instance of the {@link module:utils/keystrokehandler~KeystrokeHandler}.
+	 */
+	public readonly keystrokes: KeystrokeHandler;
+
+	/**
+	 * The input of the searched text.
+	 */
+	public readonly findInputView: InputTextView;
+
+	/**
+	 * The "Previous result" button view.
+	 */
+	public readonly findPreviousButtonView: ButtonView;
+
+	/**
+	 * The "Next result" button view.
+	 */
+	public readonly findNextButtonView: ButtonView;
+
+	/**
+	 * The "Close" button view.
+	 */
+	public readonly closeButtonView: ButtonView;
+
+	/**
+	 * Controls whether the search bar is displayed.
+	 *
+	 * @observable
+	 */
+	declare public isVisible: boolean;
+
+	/**
+	 * The text displayed next to the input, for instance, "2 of 5".
+	 *
+	 * @observable
+	 */
+	declare public resultsCounterText: string;
+
+	/**
+	 * @inheritDoc
+	 */
+	constructor( locale: Locale ) {
+		super( locale );
+
+		const t = locale.t;
+		const bind = this.bindTemplate;
+
+		this.focusTracker = new FocusTracker();
+		this.keystrokes = new KeystrokeHandler();
+
+		this.set( {
+			isVisible: false,
+			resultsCounterText: ''
+		} );
+
+		this.findInputView = new InputTextView( locale );
+		this.findInputView.set( {
+			placeholder: t( 'Find in text…' ),
+			ariaLabel: t( 'Find in text…' )
+		} );
+		this.findInputView.on( 'input', () => this.fire<SourceEditingSearchEvent>( 'search', this.searchText ) );
+
+		this.findPreviousButtonView = this._createButton( t( 'Previous result' ), icons.previousArrow, 'findPrevious' );
+		this.findNextButtonView = this._createButton( t( 'Next result' ), icons.nextArrow, 'findNext' );
+		this.closeButtonView = this._createButton( t( 'Close' ), icons.cancel, 'close' );
+
+		this.setTemplate( {
+			tag: 'div',
+
+			attributes: {
+				class: [
+					'ck',
+					'ck-source-editing-search',
+					bind.if( 'isVisible', 'ck-hidden', value => !value )
+				],
+				role: 'search'
+			},
+
+			children: [
+				this.findInputView,
+				{
+					tag: 'span',
+
+					attributes: {
+						class: [ 'ck', 'ck-source-editing-search__results-counter' ],
+						'aria-live': 'polite'
+					},
+
+					children: [
+						{ text: bind.to( 'resultsCounterText' ) }
+					]
+				},
+				this.findPreviousButtonView,
+				this.findNextButtonView,
+				this.closeButtonView
+			]
+		} );
+	}
+
+	/**
+	 * @inheritDoc
+	 */
+	public override render(): void {
+		super.render();
+
+		for ( const view of [ this.findInputView, this.findPreviousButtonView, this.findNextButtonView, this.closeButtonView ] ) {
+			this.focusTracker.add( view.element! );
+		}
+
+		this.keystrokes.listenTo( this.element! );
+
+		this.keystrokes.set( 'enter', ( data, cancel ) => {
+			if ( data.target == this.findInputView.element ) {
+				this.fire<SourceEditingSearchFindNextEvent>( 'findNext' );
+				cancel();
+			}
+		} );
+
+		this.keystrokes.set( 'shift+enter', ( data, cancel ) => {
+			if ( data.target == this.findInputView.element ) {
+				this.fire<SourceEditingSearchFindPreviousEvent>( 'findPrevious' );
+				cancel();
+			}
+		} );
+
+		this.keystrokes.set( 'esc', ( data, cancel ) => {
+			this.fire<SourceEditingSearchCloseEvent>( 'close' );
+			cancel();
+		} );
+	}
+
+	/**
+	 * @inheritDoc
+	 */
+	public override destroy(): void {
+		super.destroy();
+
+		this.focusTracker.destroy();
+		this.keystrokes.destroy();
+	}
+
+	/**
+	 * Focuses the input and selects its content.
+	 */
+	public focus(): void {
+		this.findInputView.select();
+	}
+
+	/**
+	 * The searched text, i.e. the native DOM `value` of the {@link #findInputView} element.
+	 */
+	public get searchText(): string {
+		return this.findInputView.element!.value;
+	}
+
+	public set searchText( searchText: string ) {
+		this.findInputView.element!.value = searchText;
+	}
+
+	/**
+	 * Creates a button firing the given event.
+	 */
+	private _createButton( label: string, icon: string, eventName: 'findPrevious' | 'findNext' | 'close' ): ButtonView {
+		const buttonView = new ButtonView( this.locale );
+
+		buttonView.set( {
+			label,
+			icon,
+			tooltip: true
+		} );
+
+		buttonView.on( 'execute', () => this.fire( eventName ) );
+
+		return buttonView;
+	}
+}
+
+/**
+ * Fired when the searched text changes.
+ *
+ * @eventName ~SourceEditingSearchView#search
+ * @param searchText The searched text.
+ */
+export type SourceEditingSearchEvent = {
+	name: 'search';
+	args: [ searchText: string ];
+};
+
+/**
+ * Fired when the user wants to move to the next search result.
+ *
+ * @eventName ~SourceEditingSearchView#findNext
+ */
+export type SourceEditingSearchFindNextEvent = {
+	name: 'findNext';
+	args: [];
+};
+
+/**
+ * Fired when the user wants to move to the previous search result.
+ *
+ * @eventName ~SourceEditingSearchView#findPrevious
+ */
+export type SourceEditingSearchFindPreviousEvent = {
+	name: 'findPrevious';
+	args: [];
+};
+
+/**
+ * Fired when the user wants to close the search bar.
+ *
+ * @eventName ~SourceEditingSearchView#close
+ */
+export type SourceEditingSearchCloseEvent = {
+	name: 'close';
+	args: [];
+};
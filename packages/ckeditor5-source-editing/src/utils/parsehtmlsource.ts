@@ -0,0 +1,379 @@
+/**
+ * @license Copyright (c) 2003-2024, CKSource Holding sp. z o.o. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+
+/**
+ * @module source-editing/utils/parsehtmlsource
+ */
+
+/**
+ * The elements that cannot have any content, so they do not need the closing tag.
+ */
+const VOID_ELEMENTS = new Set( [
+	'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'param', 'source', 'track', 'wbr'
+] );
+
+/**
+ * The elements which closing tags can be omitted according to the HTML specification.
+ */
+const OPTIONAL_END_TAG_ELEMENTS = new Set( [
+	'body', 'caption', 'colgroup', 'dd', 'dt', 'head', 'html', 'li', 'optgroup', 'option', 'p', 'rp', 'rt',
+	'tbody', 'td', 'tfoot', 'th', 'thead', 'tr'
+] );
+
+/**
+ * The elements which content is not parsed as HTML.
+ */
+const RAW_TEXT_ELEMENTS = new Set( [ 'script', 'style', 'textarea', 'title' ] );
+
+const TAG_NAME_REGEXP = /[a-zA-Z][^\s/>]*/y;
+const ATTRIBUTE_NAME_REGEXP = /[^\s"'>/=]+/y;
+const UNQUOTED_ATTRIBUTE_VALUE_REGEXP = /[^\s"'=<>`]+/y;
+const WHITESPACE_REGEXP = /\s*/y;
+const ENTITY_REGEXP = /&(?:#\d+|#x[\da-fA-F]+|[a-zA-Z][a-zA-Z\d]*);/y;
+
+/**
+ * Splits the HTML source into the tokens used for the syntax highlighting and finds the tags in the source.
+ *
+ * The parser is forgiving. It never throws and it does not build the document tree, so the source does not need to be valid HTML.
+ * The offsets of the tokens and the tags refer to the passed source string.
+ *
+ * ```ts
+ * const { tokens, tags } = parseHtmlSource( '<p class="foo">Bar</p>' );
+ *
+ * // tokens: '<', 'p', 'class', '"foo"', '>', '</', 'p', '>'
+ * // tags: <p class="foo">, </p>
+ * ```
+ *
+ * @param source The HTML source to parse.
+ */
+export function parseHtmlSource( source: string ): HtmlSource {
+	const tokens: Array<HtmlSourceToken> = [];
+	const tags: Array<HtmlSourceTag> = [];
+	const lowerCaseSource = source.toLowerCase();
+
+	let offset = 0;
+
+	while ( offset < source.length ) {
+		const character = source[ offset ];
+
+		if ( character == '<' ) {
+			if ( source.startsWith( '<!--', offset ) ) {
+				offset = addToken( tokens, 'comment', offset, findEnd( source, '-->', offset + 4 ) );
+
+				continue;
+			}
+
+			if ( source.startsWith( '<!', offset ) || source.startsWith( '<?', offset ) ) {
+				offset = addToken( tokens, 'doctype', offset, findEnd( source, '>', offset + 2 ) );
+
+				continue;
+			}
+
+			const nameOffset = source[ offset + 1 ] == '/' ? offset + 2 : offset + 1;
+
+			if ( match( TAG_NAME_REGEXP, source, nameOffset ) ) {
+				const tag = parseTag( source, offset, tokens );
+
+				tags.push( tag );
+				offset = tag.end;
+
+				// Skip the content of the elements like `<script>` or `<style>` up to their closing tags.
+				if ( !tag.isClosing && !tag.isSelfClosing && RAW_TEXT_ELEMENTS.has( tag.name ) ) {
+					const closingTagOffset = lowerCaseSource.indexOf( `</${ tag.name }`, offset );
+
+					offset = closingTagOffset == -1 ? source.length : closingTagOffset;
+				}
+
+				continue;
+			}
+		}
+
+		if ( character == '&' ) {
+			const entity = match( ENTITY_REGEXP, source, offset );
+
+			if ( entity ) {
+				offset = addToken( tokens, 'entity', offset, offset + entity.length );
+
+				continue;
+			}
+		}
+
+		offset++;
+	}
+
+	return { tokens, tags };
+}
+
+/**
+ * Pairs the opening tags with their closing tags. It also finds the elements that are not closed and the closing tags
+ * that do not close any element.
+ *
+ * The void elements (like `<br>`) and the self-closing tags do not need the closing tags. The missing closing tags of the elements
+ * which closing tags are optional in HTML (like `<li>` or `<p>`) are not reported.
+ *
+ * @param tags The tags found by {@link ~parseHtmlSource}.
+ */
+export function matchHtmlTags( tags: Array<HtmlSourceTag> ): HtmlSourceStructure {
+	const pairs: Array<[ HtmlSourceTag, HtmlSourceTag ]> = [];
+	const unclosedTags: Array<HtmlSourceTag> = [];
+	const unexpectedClosingTags: Array<HtmlSourceTag> = [];
+	const openTags: Array<HtmlSourceTag> = [];
+
+	for ( const tag of tags ) {
+		if ( !tag.isClosing ) {
+			if ( !tag.isSelfClosing && !VOID_ELEMENTS.has( tag.name ) ) {
+				openTags.push( tag );
+			}
+
+			continue;
+		}
+
+		const openTagIndex = findLastIndex( openTags, openTag => openTag.name == tag.name );
+
+		if ( openTagIndex == -1 ) {
+			unexpectedClosingTags.push( tag );
+
+			continue;
+		}
+
+		// The closing tag implicitly closes all elements opened after its opening tag.
+		unclosedTags.push( ...openTags.splice( openTagIndex + 1 ).filter( isClosingTagRequired ) );
+		pairs.push( [ openTags.pop()!, tag ] );
+	}
+
+	unclosedTags.push( ...openTags.filter( isClosingTagRequired ) );
+	unclosedTags.sort( ( tagA, tagB ) => tagA.start - tagB.start );
+
+	return { pairs, unclosedTags, unexpectedClosingTags };
+}
+
+/**
+ * Parses the tag starting at the given offset and adds its tokens.
+ */
+function parseTag( source: string, start: number, tokens: Array<HtmlSourceToken> ): HtmlSourceTag {
+	const isClosing = source[ start + 1 ] == '/';
+	const attributes: Array<HtmlSourceAttribute> = [];
+	let isSelfClosing = false;
+
+	let offset = addToken( tokens, 'bracket', start, isClosing ? start + 2 : start + 1 );
+
+	const name = match( TAG_NAME_REGEXP, source, offset )!;
+
+	offset = addToken( tokens, 'tagName', offset, offset + name.length );
+
+	while ( offset < source.length ) {
+		offset += match( WHITESPACE_REGEXP, source, offset )!.length;
+
+		if ( source[ offset ] == '>' ) {
+			offset = addToken( tokens, 'bracket', offset, offset + 1 );
+
+			break;
+		}
+
+		if ( source.startsWith( '/>', offset ) ) {
+			isSelfClosing = true;
+			offset = addToken( tokens, 'bracket', offset, offset + 2 );
+
+			break;
+		}
+
+		const attributeName = match( ATTRIBUTE_NAME_REGEXP, source, offset );
+
+		// Skip the characters that cannot start the attribute, for instance, a stray `/` or `=`.
+		if ( !attributeName ) {
+			offset++;
+
+			continue;
+		}
+
+		const attributeStart = offset;
+		let value = '';
+
+		offset = addToken( tokens, 'attributeName', offset, offset + attributeName.length );
+
+		const whitespace = match( WHITESPACE_REGEXP, source, offset )!;
+
+		if ( source[ offset + whitespace.length ] == '=' ) {
+			offset += whitespace.length + 1;
+			offset += match( WHITESPACE_REGEXP, source, offset )!.length;
+
+			const quote = source[ offset ];
+
+			if ( quote == '"' || quote == '\'' ) {
+				const valueEnd = findEnd( source, quote, offset + 1 );
+
+				value = source.slice( offset + 1, source[ valueEnd - 1 ] == quote ? valueEnd - 1 : valueEnd );
+				offset = addToken( tokens, 'attributeValue', offset, valueEnd );
+			} else {
+				value = match( UNQUOTED_ATTRIBUTE_VALUE_REGEXP, source, offset ) || '';
+				offset = addToken( tokens, 'attributeValue', offset, offset + value.length );
+			}
+		}
+
+		attributes.push( { name: attributeName.toLowerCase(), value, start: attributeStart, end: offset } );
+	}
+
+	return { name: name.toLowerCase(), isClosing, isSelfClosing, attributes, start, end: offset };
+}
+
+/**
+ * Adds the token unless it is empty and returns its end offset.
+ */
+function addToken( tokens: Array<HtmlSourceToken>, type: HtmlSourceTokenType, start: number, end: number ): number {
+	if ( end > start ) {
+		tokens.push( { type, start, end } );
+	}
+
+	return end;
+}
+
+/**
+ * Returns the offset right after the searched string or the length of the source if the string was not found.
+ */
+function findEnd( source: string, searchString: string, offset: number ): number {
+	const index = source.indexOf( searchString, offset );
+
+	return index == -1 ? source.length : index + searchString.length;
+}
+
+/**
+ * Returns the text matched by the sticky regular expression at the given offset.
+ */
+function match( regExp: RegExp, source: string, offset: number ): string | null {
+	regExp.lastIndex = offset;
+
+	const result = regExp.exec( source );
+
+	return result && result[ 0 ];
+}
+
+function findLastIndex<T>( items: Array<T>, callback: ( item: T ) => boolean ): number {
+	for ( let index = items.length - 1; index >= 0; index-- ) {
+		if ( callback( items[ index ] ) ) {
+			return index;
+		}
+	}
+
+	return -1;
+}
+
+function isClosingTagRequired( tag: HtmlSourceTag ): boolean {
+	return !OPTIONAL_END_TAG_ELEMENTS.has( tag.name );
+}
+
+/**
+ * The result of {@link ~parseHtmlSource}.
+ */
+export interface HtmlSource {
+
+	/**
+	 * The tokens of the source, sorted by their offsets. The text between the tokens is not tokenized.
+	 */
+	tokens: Array<HtmlSourceToken>;
+
+	/**
+	 * The opening, closing and self-closing tags in the source, sorted by their offsets.
+	 */
+	tags: Array<HtmlSourceTag>;
+}
+
+/**
+ * The range of the source.
+ */
+export interface HtmlSourceRange {
+
+	/**
+	 * The offset of the first character of the range.
+	 */
+	start: number;
+
+	/**
+	 * The offset after the last character of the range.
+	 */
+	end: number;
+}
+
+/**
+ * The type of the token:
+ *
+ * * `'bracket'` &ndash; The `<`, `</`, `>` or `/>` characters of the tag.
+ * * `'tagName'` &ndash; The name of the tag.
+ * * `'attributeName'` &ndash; The name of the attribute.
+ * * `'attributeValue'` &ndash; The value of the attribute including the quotes.
+ * * `'comment'` &ndash; The comment.
+ * * `'doctype'` &ndash; The doctype declaration, the CDATA section or the processing instruction.
+ * * `'entity'` &ndash; The character reference, for instance, `&nbsp;`.
+ */
+export type HtmlSourceTokenType = 'bracket' | 'tagName' | 'attributeName' | 'attributeValue' | 'comment' | 'doctype' | 'entity';
+
+/**
+ * The token of the HTML source.
+ */
+export interface HtmlSourceToken extends HtmlSourceRange {
+	type: HtmlSourceTokenType;
+}
+
+/**
+ * The tag of the HTML source. The range of the tag covers the whole tag, from `<` to `>`.
+ */
+export interface HtmlSourceTag extends HtmlSourceRange {
+
+	/**
+	 * The lowercase name of the tag.
+	 */
+	name: string;
+
+	/**
+	 * Whether it is the closing tag, for instance, `</p>`.
+	 */
+	isClosing: boolean;
+
+	/**
+	 * Whether it is the self-closing tag, for instance, `<br/>`.
+	 */
+	isSelfClosing: boolean;
+
+	/**
+	 * The attributes of the tag.
+	 */
+	attributes: Array<HtmlSourceAttribute>;
+}
+
+/**
+ * The attribute of the tag. The range of the attribute covers its name and its value.
+ */
+export interface HtmlSourceAttribute extends HtmlSourceRange {
+
+	/**
+	 * The lowercase name of the attribute.
+	 */
+	name: string;
+
+	/**
+	 * The value of the attribute without the quotes. It is an empty string for the attributes without the value.
+	 */
+	value: string;
+}
+
+/**
+ * The result of {@link ~matchHtmlTags}.
+ */
+export interface HtmlSourceStructure {
+
+	/**
+	 * The opening tags paired with their closing tags.
+	 */
+	pairs: Array<[ HtmlSourceTag, HtmlSourceTag ]>;
+
+	/**
+	 * The opening tags of the elements that are not closed.
+	 */
+	unclosedTags: Array<HtmlSourceTag>;
+
+	/**
+	 * The closing tags that do not close any element.
+	 */
+	unexpectedClosingTags: Array<HtmlSourceTag>;
+}
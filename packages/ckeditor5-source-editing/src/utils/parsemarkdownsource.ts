@@ -0,0 +1,289 @@
+/**
+ * @license Copyright (c) 2003-2024, CKSource Holding sp. z o.o. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+
+/**
+ * @module source-editing/utils/parsemarkdownsource
+ */
+
+const FENCE_REGEXP = /^ {0,3}(`{3,}|~{3,})/;
+const HEADING_REGEXP = /^ {0,3}#{1,6}(?:\s|$)/;
+const THEMATIC_BREAK_REGEXP = /^ {0,3}([-*_])(?:\s*\1){2,}\s*$/;
+const BLOCKQUOTE_MARKER_REGEXP = /^(?: {0,3}>)+/;
+const LIST_MARKER_REGEXP = /^\s*(?:[-*+]|\d{1,9}[.)])(?=\s|$)/;
+const FOOTNOTE_DEFINITION_REGEXP = /^\[\^[^\]\s]+\]:/;
+const BLANK_LINE_REGEXP = /^\s*$/;
+
+/**
+ * Matches the inline Markdown syntax. The groups are tried in order, so the code spans take precedence over the rest.
+ */
+const INLINE_REGEXP = new RegExp( [
+	// The code span: `code`.
+	'(?<code>(?<!`)(`+)(?!`)[^\\n]*?[^`]\\2(?!`))',
+	// The link, the image and the autolink: [text](url), ![alt](url), <https://example.com>.
+	'(?<link>!?\\[[^\\]\\n]*\\]\\([^)\\n]*\\)|<(?:https?:\\/\\/|mailto:)[^>\\s]+>)',
+	// The strong emphasis: **text**, __text__.
+	'(?<strong>(\\*\\*|__)(?=\\S).*?\\S\\5)',
+	// The emphasis: *text*, _text_.
+	'(?<emphasis>(?<![\\w*])\\*(?=[^\\s*]).*?[^\\s*]\\*(?!\\*)|(?<![\\w_])_(?=[^\\s_]).*?[^\\s_]_(?![\\w_]))',
+	// The strikethrough: ~~text~~.
+	'(?<strikethrough>~~(?=\\S).*?\\S~~)'
+].join( '|' ), 'g' );
+
+/**
+ * Splits the Markdown source into the tokens used for the syntax highlighting. The opening and the closing fences
+ * of the code blocks are returned as the pairs.
+ *
+ * Like {@link module:source-editing/utils/parsehtmlsource~parseHtmlSource}, the parser is forgiving and it never throws.
+ * It recognizes the most common GitHub Flavored Markdown syntax only, so it is meant for highlighting, not for rendering.
+ *
+ * ```ts
+ * const { tokens } = parseMarkdownSource( '# Foo **bar**' );
+ *
+ * // tokens: '# Foo **bar**' (heading), '**bar**' (strong)
+ * ```
+ *
+ * @param source The Markdown source to parse.
+ */
+export function parseMarkdownSource( source: string ): MarkdownSource {
+	const tokens: Array<MarkdownSourceToken> = [];
+	const pairs: Array<[ MarkdownSourceRange, MarkdownSourceRange ]> = [];
+	let openingFence: { marker: string; range: MarkdownSourceRange } | null = null;
+
+	for ( const { text, start, end } of getLines( source ) ) {
+		if ( openingFence ) {
+			const closingFence = text.match( FENCE_REGEXP );
+
+			if ( isClosingFence( closingFence, openingFence.marker, text ) ) {
+				pairs.push( [ openingFence.range, { start, end } ] );
+				openingFence = null;
+			}
+
+			// The whole code block, including its fences, is a single token.
+			tokens[ tokens.length - 1 ].end = end;
+
+			continue;
+		}
+
+		const fence = text.match( FENCE_REGEXP );
+
+		if ( fence ) {
+			openingFence = { marker: fence[ 1 ], range: { start, end } };
+			tokens.push( { type: 'codeBlock', start, end } );
+
+			continue;
+		}
+
+		if ( THEMATIC_BREAK_REGEXP.test( text ) ) {
+			tokens.push( { type: 'thematicBreak', start, end } );
+
+			continue;
+		}
+
+		if ( HEADING_REGEXP.test( text ) ) {
+			tokens.push( { type: 'heading', start, end } );
+		}
+
+		let offset = 0;
+		const blockquoteMarker = text.match( BLOCKQUOTE_MARKER_REGEXP );
+
+		if ( blockquoteMarker ) {
+			tokens.push( { type: 'blockquoteMarker', start, end: start + blockquoteMarker[ 0 ].length } );
+			offset = blockquoteMarker[ 0 ].length;
+		}
+
+		const listMarker = text.slice( offset ).match( LIST_MARKER_REGEXP );
+
+		if ( listMarker ) {
+			tokens.push( { type: 'listMarker', start: start + offset, end: start + offset + listMarker[ 0 ].length } );
+			offset += listMarker[ 0 ].length;
+		}
+
+		for ( const match of text.slice( offset ).matchAll( INLINE_REGEXP ) ) {
+			const groups = match.groups!;
+			const type = Object.keys( groups ).find( groupName => groups[ groupName ] !== undefined ) as MarkdownSourceTokenType;
+			const tokenStart = start + offset + match.index!;
+
+			tokens.push( { type, start: tokenStart, end: tokenStart + match[ 0 ].length } );
+		}
+	}
+
+	return { tokens, pairs };
+}
+
+/**
+ * Splits the Markdown source into the top-level blocks, for instance, the paragraphs, the headings, the lists or the code blocks.
+ *
+ * The blocks are separated by the blank lines (outside the code blocks). The headings and the code blocks are separate blocks, too.
+ * The list items separated by the blank lines and the indented content following a list belong to the block of the list.
+ * The same applies to the indented content following a footnote definition.
+ *
+ * ```ts
+ * splitMarkdownBlocks( '# Foo\n\nBar\nBaz' );
+ *
+ * // [ { start: 0, end: 5, line: 0 }, { start: 7, end: 14, line: 2 } ]
+ * ```
+ *
+ * @param source The Markdown source to split.
+ */
+export function splitMarkdownBlocks( source: string ): Array<MarkdownSourceBlock> {
+	const blocks: Array<MarkdownSourceBlock> = [];
+	let currentBlock: MarkdownSourceBlock | null = null;
+	let isCurrentBlockList = false;
+	let openingFenceMarker: string | null = null;
+	let line = 0;
+
+	for ( const { text, start, end } of getLines( source ) ) {
+		const lineIndex = line++;
+
+		if ( openingFenceMarker ) {
+			currentBlock!.end = end;
+
+			if ( isClosingFence( text.match( FENCE_REGEXP ), openingFenceMarker, text ) ) {
+				openingFenceMarker = null;
+
+				// The code block ends its block unless it is nested in a list.
+				if ( !isCurrentBlockList ) {
+					currentBlock = null;
+				}
+			}
+
+			continue;
+		}
+
+		if ( BLANK_LINE_REGEXP.test( text ) ) {
+			currentBlock = null;
+
+			continue;
+		}
+
+		const fence = text.match( FENCE_REGEXP );
+		const isHeading = HEADING_REGEXP.test( text );
+		const isNestedInList = isCurrentBlockList && /^\s/.test( text );
+
+		if ( fence ) {
+			openingFenceMarker = fence[ 1 ];
+		}
+
+		// The headings and the code blocks interrupt the previous block unless they are nested in a list.
+		if ( ( fence || isHeading ) && !isNestedInList ) {
+			currentBlock = null;
+		}
+
+		if ( !currentBlock ) {
+			const previousBlock = blocks[ blocks.length - 1 ];
+			const continuesList = isCurrentBlockList && ( LIST_MARKER_REGEXP.test( text ) || /^\s/.test( text ) );
+
+			if ( previousBlock && continuesList ) {
+				currentBlock = previousBlock;
+			} else {
+				currentBlock = { start, end, line: lineIndex };
+				isCurrentBlockList = LIST_MARKER_REGEXP.test( text ) || FOOTNOTE_DEFINITION_REGEXP.test( text );
+				blocks.push( currentBlock );
+			}
+		}
+
+		currentBlock.end = end;
+
+		if ( isHeading && !isNestedInList ) {
+			currentBlock = null;
+		}
+	}
+
+	return blocks;
+}
+
+/**
+ * Returns the lines of the source with their offsets. The offsets do not include the line breaks.
+ */
+function* getLines( source: string ): Generator<{ text: string; start: number; end: number }> {
+	let start = 0;
+
+	while ( start <= source.length ) {
+		const lineBreakIndex = source.indexOf( '\n', start );
+		const end = lineBreakIndex == -1 ? source.length : lineBreakIndex;
+
+		yield { text: source.slice( start, end ), start, end };
+
+		start = end + 1;
+	}
+}
+
+/**
+ * Checks whether the matched fence closes the code block opened by the fence with the given marker.
+ */
+function isClosingFence( fence: RegExpMatchArray | null, openingMarker: string, text: string ): boolean {
+	return !!fence &&
+		fence[ 1 ][ 0 ] == openingMarker[ 0 ] &&
+		fence[ 1 ].length >= openingMarker.length &&
+		BLANK_LINE_REGEXP.test( text.slice( fence[ 0 ].length ) );
+}
+
+/**
+ * The result of {@link ~parseMarkdownSource}.
+ */
+export interface MarkdownSource {
+
+	/**
+	 * The tokens of the source, sorted by their offsets. The tokens of the inline syntax may be nested in the tokens of the headings.
+	 */
+	tokens: Array<MarkdownSourceToken>;
+
+	/**
+	 * The opening and the closing fences of the code blocks.
+	 */
+	pairs: Array<[ MarkdownSourceRange, MarkdownSourceRange ]>;
+}
+
+/**
+ * The range of the source.
+ */
+export interface MarkdownSourceRange {
+
+	/**
+	 * The offset of the first character of the range.
+	 */
+	start: number;
+
+	/**
+	 * The offset after the last character of the range.
+	 */
+	end: number;
+}
+
+/**
+ * The type of the token:
+ *
+ * * `'heading'` &ndash; The whole line of the heading.
+ * * `'blockquoteMarker'` &ndash; The `>` characters starting the line of the block quote.
+ * * `'listMarker'` &ndash; The marker of the list item, for instance, `-` or `1.`.
+ * * `'codeBlock'` &ndash; The whole code block, including its fences.
+ * * `'thematicBreak'` &ndash; The horizontal line, for instance, `---`.
+ * * `'code'` &ndash; The code span.
+ * * `'link'` &ndash; The link, the image or the autolink.
+ * * `'strong'` &ndash; The strong emphasis.
+ * * `'emphasis'` &ndash; The emphasis.
+ * * `'strikethrough'` &ndash; The strikethrough.
+ */
+export type MarkdownSourceTokenType =
+	'heading' | 'blockquoteMarker' | 'listMarker' | 'codeBlock' | 'thematicBreak' |
+	'code' | 'link' | 'strong' | 'emphasis' | 'strikethrough';
+
+/**
+ * The token of the Markdown source.
+ */
+export interface MarkdownSourceToken extends MarkdownSourceRange {
+	type: MarkdownSourceTokenType;
+}
+
+/**
+ * The top-level block of the Markdown source found by {@link ~splitMarkdownBlocks}.
+ */
+export interface MarkdownSourceBlock extends MarkdownSourceRange {
+
+	/**
+	 * The 0-based index of the first line of the block.
+	 */
+	line: number;
+}
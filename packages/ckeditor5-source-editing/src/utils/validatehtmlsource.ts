@@ -0,0 +1,160 @@
+/**
+ * @license Copyright (c) 2003-2024, CKSource Holding sp. z o.o. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+
+/**
+ * @module source-editing/utils/validatehtmlsource
+ */
+
+import { parseHtmlSource, matchHtmlTags, type HtmlSourceRange, type HtmlSourceTag } from './parsehtmlsource.js';
+
+/**
+ * Finds the problems in the HTML source edited in the source editing mode:
+ *
+ * * The elements that are not closed and the closing tags that do not close any element.
+ * * The elements, attributes, classes and styles that are not present in the output, so they would be removed
+ * (or replaced by their equivalents) when the source is loaded back to the editor.
+ *
+ * The output is the source processed by the editor, for instance:
+ *
+ * ```ts
+ * const output = editor.data.stringify( editor.data.parse( source ) );
+ * const issues = validateHtmlSource( source, output );
+ * ```
+ *
+ * Since the output is compared with the source by the names of the markup, the markup that is supported by the editor only
+ * in certain places (for instance, a `<span>` with a class inside a paragraph only) is not reported when it is kept in any other
+ * place of the source.
+ *
+ * @param source The HTML source.
+ * @param output The HTML source processed by the editor.
+ * @returns The issues sorted by their offsets.
+ */
+export function validateHtmlSource( source: string, output: string ): Array<SourceEditingIssue> {
+	const { tags } = parseHtmlSource( source );
+	const { unclosedTags, unexpectedClosingTags } = matchHtmlTags( tags );
+	const supportedMarkup = getMarkup( parseHtmlSource( output ).tags );
+
+	const issues: Array<SourceEditingIssue> = [
+		...unclosedTags.map( tag => createIssue( 'unclosedElement', tag.name, tag ) ),
+		...unexpectedClosingTags.map( tag => createIssue( 'unexpectedClosingTag', tag.name, tag ) )
+	];
+
+	for ( const tag of tags ) {
+		if ( tag.isClosing ) {
+			continue;
+		}
+
+		const elementMarkup = supportedMarkup.get( tag.name );
+
+		if ( !elementMarkup ) {
+			issues.push( createIssue( 'removedElement', tag.name, tag ) );
+
+			continue;
+		}
+
+		for ( const attribute of tag.attributes ) {
+			if ( !elementMarkup.attributes.has( attribute.name ) ) {
+				issues.push( createIssue( 'removedAttribute', attribute.name, attribute ) );
+			} else if ( attribute.name == 'class' ) {
+				for ( const className of getClasses( attribute.value ) ) {
+					if ( !elementMarkup.classes.has( className ) ) {
+						issues.push( createIssue( 'removedClass', className, attribute ) );
+					}
+				}
+			} else if ( attribute.name == 'style' ) {
+				for ( const styleName of getStyleNames( attribute.value ) ) {
+					if ( !elementMarkup.styles.has( styleName ) ) {
+						issues.push( createIssue( 'removedStyle', styleName, attribute ) );
+					}
+				}
+			}
+		}
+	}
+
+	return issues.sort( ( issueA, issueB ) => issueA.start - issueB.start );
+}
+
+/**
+ * Collects the names of the elements and their attributes, classes and styles used in the tags.
+ */
+function getMarkup( tags: Array<HtmlSourceTag> ): Map<string, ElementMarkup> {
+	const markup = new Map<string, ElementMarkup>();
+
+	for ( const tag of tags ) {
+		if ( tag.isClosing ) {
+			continue;
+		}
+
+		if ( !markup.has( tag.name ) ) {
+			markup.set( tag.name, { attributes: new Set(), classes: new Set(), styles: new Set() } );
+		}
+
+		const elementMarkup = markup.get( tag.name )!;
+
+		for ( const attribute of tag.attributes ) {
+			elementMarkup.attributes.add( attribute.name );
+
+			if ( attribute.name == 'class' ) {
+				getClasses( attribute.value ).forEach( className => elementMarkup.classes.add( className ) );
+			} else if ( attribute.name == 'style' ) {
+				getStyleNames( attribute.value ).forEach( styleName => elementMarkup.styles.add( styleName ) );
+			}
+		}
+	}
+
+	return markup;
+}
+
+function getClasses( value: string ): Array<string> {
+	return value.split( /\s+/ ).filter( className => className );
+}
+
+function getStyleNames( value: string ): Array<string> {
+	return value.split( ';' )
+		.map( declaration => declaration.split( ':' )[ 0 ].trim().toLowerCase() )
+		.filter( styleName => styleName );
+}
+
+function createIssue( type: SourceEditingIssueType, name: string, range: HtmlSourceRange ): SourceEditingIssue {
+	return { type, name, start: range.start, end: range.end };
+}
+
+/**
+ * The names of the attributes, classes and styles of the element.
+ */
+interface ElementMarkup {
+	attributes: Set<string>;
+	classes: Set<string>;
+	styles: Set<string>;
+}
+
+/**
+ * The type of the issue:
+ *
+ * * `'unclosedElement'` &ndash; The element is not closed.
+ * * `'unexpectedClosingTag'` &ndash; The closing tag does not close any element.
+ * * `'removedElement'` &ndash; The element will be removed or replaced.
+ * * `'removedAttribute'` &ndash; The attribute will be removed.
+ * * `'removedClass'` &ndash; The class will be removed.
+ * * `'removedStyle'` &ndash; The style will be removed.
+ */
+export type SourceEditingIssueType =
+	'unclosedElement' | 'unexpectedClosingTag' | 'removedElement' | 'removedAttribute' | 'removedClass' | 'removedStyle';
+
+/**
+ * The problem found in the HTML source by {@link ~validateHtmlSource}.
+ */
+export interface SourceEditingIssue extends HtmlSourceRange {
+
+	/**
+	 * The type of the issue.
+	 */
+	type: SourceEditingIssueType;
+
+	/**
+	 * The name of the element, the attribute, the class or the style the issue refers to.
+	 */
+	name: string;
+}
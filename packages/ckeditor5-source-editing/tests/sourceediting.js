@@ -3,7 +3,7 @@
  * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
  */
 
-/* globals document, Event, console */
+/* globals window, document, setTimeout, Event, console */
 
 import SourceEditing from '../src/sourceediting.js';
 
@@ -16,6 +16,7 @@ import InlineEditableUIView from '@ckeditor/ckeditor5-ui/src/editableui/inline/i
 import PendingActions from '@ckeditor/ckeditor5-core/src/pendingactions.js';
 import Markdown from '@ckeditor/ckeditor5-markdown-gfm/src/markdown.js';
 import Heading from '@ckeditor/ckeditor5-heading/src/heading.js';
+import HtmlEmbed from '@ckeditor/ckeditor5-html-embed/src/htmlembed.js';
 
 import ClassicEditor from '@ckeditor/ckeditor5-editor-classic/src/classiceditor.js';
 import ClassicTestEditor from '@ckeditor/ckeditor5-core/tests/_utils/classictesteditor.js';
@@ -795,6 +796,209 @@ describe( 'SourceEditing', () => {
 		} );
 	} );
 
+	describe( 'source editing area', () => {
+		it( 'should define the default configuration', () => {
+			expect( editor.config.get( 'sourceEditing.lineNumbers' ) ).to.be.true;
+			expect( editor.config.get( 'sourceEditing.validation' ) ).to.be.true;
+		} );
+
+		it( 'should highlight the HTML source', () => {
+			button.fire( 'execute' );
+
+			const wrapper = editor.editing.view.getDomRoot().nextSibling;
+			const tagNameElements = wrapper.querySelectorAll( '.ck-source-editing-area__token_tag-name' );
+
+			expect( tagNameElements ).to.have.length( 2 );
+			expect( tagNameElements[ 0 ].textContent ).to.equal( 'p' );
+		} );
+
+		it( 'should highlight the matching tag when the caret is in a tag', () => {
+			button.fire( 'execute' );
+
+			const wrapper = editor.editing.view.getDomRoot().nextSibling;
+			const textarea = wrapper.children[ 0 ];
+
+			textarea.setSelectionRange( 1, 1 );
+			textarea.dispatchEvent( new Event( 'keyup' ) );
+
+			const matchedElements = wrapper.querySelectorAll( '.ck-source-editing-area__matched-range' );
+
+			expect( Array.from( matchedElements, element => element.textContent ) ).to.deep.equal( [ '<', 'p', '>', '</', 'p', '>' ] );
+		} );
+
+		it( 'should display the line numbers', () => {
+			button.fire( 'execute' );
+
+			const wrapper = editor.editing.view.getDomRoot().nextSibling;
+
+			expect( wrapper.dataset.lineNumbers ).to.equal( 'true' );
+		} );
+
+		it( 'should not display the line numbers when disabled in the configuration', async () => {
+			const editorElement = document.body.appendChild( document.createElement( 'div' ) );
+			const editor = await ClassicTestEditor.create( editorElement, {
+				plugins: [ SourceEditing, Paragraph, Essentials ],
+				sourceEditing: { lineNumbers: false }
+			} );
+
+			editor.ui.componentFactory.create( 'sourceEditing' ).fire( 'execute' );
+
+			const wrapper = editor.editing.view.getDomRoot().nextSibling;
+
+			expect( wrapper.dataset.lineNumbers ).to.be.undefined;
+
+			editorElement.remove();
+
+			await editor.destroy();
+		} );
+
+		it( 'should add the search bar to the editor focus tracker', () => {
+			button.fire( 'execute' );
+
+			const searchView = plugin._sourceEditingAreas.get( 'main' ).searchView;
+
+			expect( editor.ui.focusTracker._elements.has( searchView.element ) ).to.be.true;
+
+			button.fire( 'execute' );
+
+			expect( editor.ui.focusTracker._elements.has( searchView.element ) ).to.be.false;
+		} );
+
+		it( 'should destroy the source editing area when leaving the source editing mode', () => {
+			button.fire( 'execute' );
+
+			const sourceEditingArea = plugin._sourceEditingAreas.get( 'main' );
+			const spy = sinon.spy( sourceEditingArea, 'destroy' );
+
+			button.fire( 'execute' );
+
+			sinon.assert.calledOnce( spy );
+			expect( plugin._sourceEditingAreas.size ).to.equal( 0 );
+		} );
+
+		it( 'should destroy the source editing area when the editor is destroyed in the source editing mode', async () => {
+			const editorElement = document.body.appendChild( document.createElement( 'div' ) );
+			const editor = await ClassicTestEditor.create( editorElement, {
+				plugins: [ SourceEditing, Paragraph, Essentials ]
+			} );
+
+			editor.ui.componentFactory.create( 'sourceEditing' ).fire( 'execute' );
+
+			const spy = sinon.spy( editor.plugins.get( 'SourceEditing' )._sourceEditingAreas.get( 'main' ), 'destroy' );
+
+			editorElement.remove();
+
+			await editor.destroy();
+
+			sinon.assert.calledOnce( spy );
+		} );
+
+		describe( 'validation', () => {
+			let clock;
+
+			beforeEach( () => {
+				clock = sinon.useFakeTimers();
+			} );
+
+			afterEach( () => {
+				clock.restore();
+			} );
+
+			it( 'should list the markup that will not be preserved after the user stops typing', () => {
+				button.fire( 'execute' );
+
+				const wrapper = editor.editing.view.getDomRoot().nextSibling;
+				const textarea = wrapper.children[ 0 ];
+				const issuesElement = wrapper.querySelector( '.ck-source-editing-area__issues' );
+
+				textarea.value = '<p class="foo">Foo</p>\n<hr>';
+				textarea.dispatchEvent( new Event( 'input' ) );
+
+				expect( issuesElement.children ).to.have.length( 0 );
+
+				clock.tick( 500 );
+
+				expect( Array.from( issuesElement.children, element => element.textContent ) ).to.deep.equal( [
+					'Line 1, column 4: The "class" attribute will not be preserved.',
+					'Line 2, column 1: The <hr> element will not be preserved.'
+				] );
+			} );
+
+			it( 'should list the closing tags that do not close any element', () => {
+				button.fire( 'execute' );
+
+				const wrapper = editor.editing.view.getDomRoot().nextSibling;
+				const textarea = wrapper.children[ 0 ];
+
+				textarea.value = '<p>Foo<p>Bar</span>';
+				textarea.dispatchEvent( new Event( 'input' ) );
+
+				clock.tick( 500 );
+
+				expect( Array.from( wrapper.querySelectorAll( '.ck-source-editing-area__issue-button' ), element => element.textContent ) )
+					.to.deep.equal( [
+						'Line 1, column 13: The </span> closing tag does not close any element.'
+					] );
+			} );
+
+			it( 'should validate the source once after the user stops typing', () => {
+				button.fire( 'execute' );
+
+				const textarea = editor.editing.view.getDomRoot().nextSibling.children[ 0 ];
+				const spy = sinon.spy( editor.data, 'parse' );
+
+				textarea.value = '<p>Bar</p>';
+				textarea.dispatchEvent( new Event( 'input' ) );
+				clock.tick( 200 );
+				textarea.value = '<p>Baz</p>';
+				textarea.dispatchEvent( new Event( 'input' ) );
+				clock.tick( 500 );
+
+				sinon.assert.calledOnceWithExactly( spy, '<p>Baz</p>' );
+			} );
+
+			it( 'should not validate the source after leaving the source editing mode', () => {
+				button.fire( 'execute' );
+
+				const textarea = editor.editing.view.getDomRoot().nextSibling.children[ 0 ];
+
+				textarea.value = '<p>Bar</p>';
+				textarea.dispatchEvent( new Event( 'input' ) );
+
+				button.fire( 'execute' );
+
+				const spy = sinon.spy( editor.data, 'parse' );
+
+				clock.tick( 500 );
+
+				sinon.assert.notCalled( spy );
+			} );
+
+			it( 'should not validate the source when disabled in the configuration', async () => {
+				const editorElement = document.body.appendChild( document.createElement( 'div' ) );
+				const editor = await ClassicTestEditor.create( editorElement, {
+					plugins: [ SourceEditing, Paragraph, Essentials ],
+					sourceEditing: { validation: false }
+				} );
+
+				editor.ui.componentFactory.create( 'sourceEditing' ).fire( 'execute' );
+
+				const textarea = editor.editing.view.getDomRoot().nextSibling.children[ 0 ];
+				const spy = sinon.spy( editor.data, 'parse' );
+
+				textarea.value = '<hr>';
+				textarea.dispatchEvent( new Event( 'input' ) );
+				clock.tick( 500 );
+
+				sinon.assert.notCalled( spy );
+
+				editorElement.remove();
+
+				await editor.destroy();
+			} );
+		} );
+	} );
+
 	it( 'should disable CommentsArchiveUI plugin when disabling commands.', async () => {
 		class TestCommentsArchiveUIPlugin extends Plugin {
 			static get pluginName() {
@@ -876,6 +1080,174 @@ describe( 'SourceEditing - integration with Markdown', () => {
 		expect( editor.getData() ).to.equal( '\\<paragraph>Foo\\</paragraph>' );
 		expect( textarea.value ).to.equal( '\\<paragraph>Foo\\</paragraph>' );
 	} );
+
+	it( 'should highlight the Markdown source', () => {
+		button.fire( 'execute' );
+
+		const wrapper = editor.editing.view.getDomRoot().nextSibling;
+		const headingElements = wrapper.querySelectorAll( '.ck-source-editing-area__token_heading' );
+
+		expect( headingElements ).to.have.length( 1 );
+		expect( headingElements[ 0 ].textContent ).to.equal( '## Heading' );
+	} );
+
+	it( 'should not validate the Markdown source', () => {
+		const clock = sinon.useFakeTimers();
+
+		button.fire( 'execute' );
+
+		const wrapper = editor.editing.view.getDomRoot().nextSibling;
+		const textarea = wrapper.children[ 0 ];
+
+		textarea.value = '<marquee>Foo</marquee>';
+		textarea.dispatchEvent( new Event( 'input' ) );
+		clock.tick( 500 );
+
+		expect( wrapper.querySelectorAll( '.ck-source-editing-area__issue-button' ) ).to.have.length( 0 );
+
+		clock.restore();
+	} );
+
+	describe( 'live preview', () => {
+		it( 'should display the preview next to the source', () => {
+			button.fire( 'execute' );
+
+			const wrapper = editor.editing.view.getDomRoot().nextSibling;
+			const previewElement = wrapper.querySelector( '.ck-source-editing-preview' );
+
+			expect( wrapper.dataset.preview ).to.equal( 'true' );
+			expect( previewElement ).to.not.be.null;
+			expect( previewElement.innerHTML ).to.equal( '<div class="ck-source-editing-preview__block"><h2>Heading</h2></div>' );
+		} );
+
+		it( 'should render the source using the loaded features', () => {
+			button.fire( 'execute' );
+
+			const wrapper = editor.editing.view.getDomRoot().nextSibling;
+			const textarea = wrapper.children[ 0 ];
+
+			textarea.value = '## Heading\n\nFoo\n\n> Bar';
+			textarea.dispatchEvent( new Event( 'input' ) );
+
+			// The block quote feature is not loaded, so the block quote is displayed as a paragraph.
+			expect( wrapper.querySelector( '.ck-source-editing-preview' ).innerHTML ).to.equal(
+				'<div class="ck-source-editing-preview__block"><h2>Heading</h2></div>' +
+				'<div class="ck-source-editing-preview__block"><p>Foo</p></div>' +
+				'<div class="ck-source-editing-preview__block"><p>Bar</p></div>'
+			);
+		} );
+
+		it( 'should render the preview the way the editing view does', async () => {
+			const editorElement = document.body.appendChild( document.createElement( 'div' ) );
+			const editor = await ClassicTestEditor.create( editorElement, {
+				plugins: [ SourceEditing, Paragraph, Essentials, Markdown, Heading ]
+			} );
+
+			const renderSpy = sinon.spy( editor.plugins.get( 'SourceEditing' ), '_renderPreview' );
+
+			editor.ui.componentFactory.create( 'sourceEditing' ).fire( 'execute' );
+
+			const textarea = editor.editing.view.getDomRoot().nextSibling.children[ 0 ];
+
+			textarea.value = 'Foo';
+			textarea.dispatchEvent( new Event( 'input' ) );
+
+			sinon.assert.calledOnceWithExactly( renderSpy, 'Foo' );
+			expect( editor.plugins.get( 'SourceEditing' )._previewDataProcessor.domConverter.renderingMode ).to.equal( 'data' );
+			expect( editor.plugins.get( 'SourceEditing' )._previewDomConverter.renderingMode ).to.equal( 'editing' );
+
+			editorElement.remove();
+
+			await editor.destroy();
+		} );
+
+		it( 'should not render the unsafe content of the HTML embeds in the preview', async () => {
+			const editorElement = document.body.appendChild( document.createElement( 'div' ) );
+			const editor = await ClassicTestEditor.create( editorElement, {
+				plugins: [ SourceEditing, Paragraph, Essentials, Markdown, HtmlEmbed ]
+			} );
+
+			window.sourceEditingPreviewXss = sinon.spy();
+
+			// The unsafe attributes and elements are reported by the DOM converter.
+			sinon.stub( console, 'warn' );
+
+			editor.ui.componentFactory.create( 'sourceEditing' ).fire( 'execute' );
+
+			const wrapper = editor.editing.view.getDomRoot().nextSibling;
+			const textarea = wrapper.children[ 0 ];
+			const previewElement = wrapper.querySelector( '.ck-source-editing-preview' );
+
+			textarea.value = '<div class="raw-html-embed"><img src="x" onerror="window.sourceEditingPreviewXss()">' +
+				'<script>window.sourceEditingPreviewXss()</script></div>';
+			textarea.dispatchEvent( new Event( 'input' ) );
+
+			const imageElement = previewElement.querySelector( 'img' );
+
+			expect( imageElement.hasAttribute( 'onerror' ) ).to.be.false;
+			expect( imageElement.getAttribute( 'data-ck-unsafe-attribute-onerror' ) ).to.equal( 'window.sourceEditingPreviewXss()' );
+			expect( previewElement.querySelector( 'script' ) ).to.be.null;
+
+			await new Promise( resolve => setTimeout( resolve, 100 ) );
+
+			sinon.assert.notCalled( window.sourceEditingPreviewXss );
+
+			delete window.sourceEditingPreviewXss;
+			editorElement.remove();
+
+			await editor.destroy();
+		} );
+
+		it( 'should remove the preview when leaving the source editing mode', () => {
+			button.fire( 'execute' );
+
+			const wrapper = editor.editing.view.getDomRoot().nextSibling;
+			const previewElement = wrapper.querySelector( '.ck-source-editing-preview' );
+
+			button.fire( 'execute' );
+
+			expect( previewElement.parentNode ).to.be.null;
+			expect( wrapper.dataset.preview ).to.be.undefined;
+		} );
+
+		it( 'should not display the preview when disabled in the configuration', async () => {
+			const editorElement = document.body.appendChild( document.createElement( 'div' ) );
+			const editor = await ClassicTestEditor.create( editorElement, {
+				plugins: [ SourceEditing, Paragraph, Essentials, Markdown ],
+				sourceEditing: { markdownPreview: false }
+			} );
+
+			editor.ui.componentFactory.create( 'sourceEditing' ).fire( 'execute' );
+
+			const wrapper = editor.editing.view.getDomRoot().nextSibling;
+
+			expect( wrapper.querySelector( '.ck-source-editing-preview' ) ).to.be.null;
+			expect( wrapper.dataset.preview ).to.be.undefined;
+
+			editorElement.remove();
+
+			await editor.destroy();
+		} );
+
+		it( 'should not display the preview for the HTML source', async () => {
+			const editorElement = document.body.appendChild( document.createElement( 'div' ) );
+			const editor = await ClassicTestEditor.create( editorElement, {
+				plugins: [ SourceEditing, Paragraph, Essentials ]
+			} );
+
+			expect( editor.config.get( 'sourceEditing.markdownPreview' ) ).to.be.true;
+
+			editor.ui.componentFactory.create( 'sourceEditing' ).fire( 'execute' );
+
+			const wrapper = editor.editing.view.getDomRoot().nextSibling;
+
+			expect( wrapper.querySelector( '.ck-source-editing-preview' ) ).to.be.null;
+
+			editorElement.remove();
+
+			await editor.destroy();
+		} );
+	} );
 } );
 
 describe( 'Focus handling and navigation between source editing and editor toolbar', () => {
@@ -0,0 +1,499 @@
+/**
+ * @license Copyright (c) 2003-2024, CKSource Holding sp. z o.o. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+
+/* globals document, Event */
+
+import SourceEditingArea from '../src/sourceeditingarea.js';
+import SourceEditingSearchView from '../src/ui/sourceeditingsearchview.js';
+
+import Locale from '@ckeditor/ckeditor5-utils/src/locale.js';
+import env from '@ckeditor/ckeditor5-utils/src/env.js';
+import { keyCodes } from '@ckeditor/ckeditor5-utils/src/keyboard.js';
+import testUtils from '@ckeditor/ckeditor5-core/tests/_utils/utils.js';
+
+describe( 'SourceEditingArea', () => {
+	let area, highlightElement, issuesElement;
+
+	testUtils.createSinonSandbox();
+
+	afterEach( () => {
+		area.element.remove();
+		area.destroy();
+	} );
+
+	describe( 'constructor()', () => {
+		beforeEach( () => {
+			createArea( { value: '<p>Foo</p>' } );
+		} );
+
+		it( 'should create the wrapper element', () => {
+			expect( area.element.tagName ).to.equal( 'DIV' );
+			expect( area.element.className ).to.equal( 'ck-source-editing-area' );
+			expect( area.element.dataset.value ).to.equal( '<p>Foo</p>' );
+		} );
+
+		it( 'should create the textarea as the first child of the wrapper', () => {
+			expect( area.element.children[ 0 ] ).to.equal( area.textarea );
+			expect( area.textarea.tagName ).to.equal( 'TEXTAREA' );
+			expect( area.textarea.rows ).to.equal( 1 );
+			expect( area.textarea.getAttribute( 'aria-label' ) ).to.equal( 'Source code editing area' );
+		} );
+
+		it( 'should set the value of the textarea and put the selection at the beginning', () => {
+			expect( area.textarea.value ).to.equal( '<p>Foo</p>' );
+			expect( area.value ).to.equal( '<p>Foo</p>' );
+			expect( area.textarea.selectionStart ).to.equal( 0 );
+			expect( area.textarea.selectionEnd ).to.equal( 0 );
+		} );
+
+		it( 'should create the highlight element hidden from the assistive technologies', () => {
+			expect( highlightElement.className ).to.equal( 'ck-source-editing-area__highlight' );
+			expect( highlightElement.getAttribute( 'aria-hidden' ) ).to.equal( 'true' );
+		} );
+
+		it( 'should create the hidden list of issues', () => {
+			expect( issuesElement.tagName ).to.equal( 'UL' );
+			expect( issuesElement.classList.contains( 'ck-hidden' ) ).to.be.true;
+			expect( issuesElement.getAttribute( 'aria-label' ) ).to.equal( 'Source code issues' );
+		} );
+
+		it( 'should create the search view', () => {
+			expect( area.searchView ).to.be.instanceOf( SourceEditingSearchView );
+			expect( area.element.children[ 3 ] ).to.equal( area.searchView.element );
+		} );
+
+		it( 'should not display the line numbers by default', () => {
+			expect( area.element.dataset.lineNumbers ).to.be.undefined;
+		} );
+
+		it( 'should display the line numbers when enabled', () => {
+			area.element.remove();
+			area.destroy();
+			createArea( { value: '', lineNumbers: true } );
+
+			expect( area.element.dataset.lineNumbers ).to.equal( 'true' );
+		} );
+	} );
+
+	describe( 'rendering', () => {
+		it( 'should render the source line by line', () => {
+			createArea( { value: 'foo\n\nbar' } );
+
+			expect( highlightElement.innerHTML ).to.equal(
+				'<div class="ck-source-editing-area__line">foo</div>' +
+				'<div class="ck-source-editing-area__line"><br></div>' +
+				'<div class="ck-source-editing-area__line">bar</div>'
+			);
+		} );
+
+		it( 'should render an empty line for an empty source', () => {
+			createArea( { value: '' } );
+
+			expect( highlightElement.innerHTML ).to.equal( '<div class="ck-source-editing-area__line"><br></div>' );
+		} );
+
+		it( 'should not highlight the source without the highlighter', () => {
+			createArea( { value: '<p>Foo</p>' } );
+
+			expect( highlightElement.querySelectorAll( 'span' ) ).to.have.length( 0 );
+			expect( highlightElement.textContent ).to.equal( '<p>Foo</p>' );
+		} );
+
+		it( 'should render the tokens found by the highlighter', () => {
+			const highlighter = sinon.stub().returns( {
+				tokens: [
+					{ type: 'tagName', start: 1, end: 2 },
+					{ type: 'comment', start: 3, end: 6 }
+				]
+			} );
+
+			createArea( { value: '<p>Foo</p>', highlighter } );
+
+			sinon.assert.calledOnceWithExactly( highlighter, '<p>Foo</p>' );
+			expect( highlightElement.innerHTML ).to.equal(
+				'<div class="ck-source-editing-area__line">' +
+					'&lt;<span class="ck-source-editing-area__token_tag-name">p</span>&gt;' +
+					'<span class="ck-source-editing-area__token_comment">Foo</span>&lt;/p&gt;' +
+				'</div>'
+			);
+		} );
+
+		it( 'should split the tokens spanning multiple lines', () => {
+			createArea( {
+				value: 'a\nb',
+				highlighter: () => ( { tokens: [ { type: 'comment', start: 0, end: 3 } ] } )
+			} );
+
+			expect( highlightElement.innerHTML ).to.equal(
+				'<div class="ck-source-editing-area__line"><span class="ck-source-editing-area__token_comment">a</span></div>' +
+				'<div class="ck-source-editing-area__line"><span class="ck-source-editing-area__token_comment">b</span></div>'
+			);
+		} );
+
+		it( 'should combine the classes of the overlapping ranges', () => {
+			createArea( {
+				value: 'foobar',
+				highlighter: () => ( { tokens: [ { type: 'tagName', start: 0, end: 4 } ] } )
+			} );
+
+			area.setIssues( [ { start: 2, end: 6, message: 'Issue.' } ] );
+
+			expect( highlightElement.innerHTML ).to.equal(
+				'<div class="ck-source-editing-area__line">' +
+					'<span class="ck-source-editing-area__token_tag-name">fo</span>' +
+					'<span class="ck-source-editing-area__token_tag-name ck-source-editing-area__issue">ob</span>' +
+					'<span class="ck-source-editing-area__issue">ar</span>' +
+				'</div>'
+			);
+		} );
+	} );
+
+	describe( 'input', () => {
+		let highlighter;
+
+		beforeEach( () => {
+			highlighter = sinon.stub().returns( { tokens: [] } );
+
+			createArea( { value: 'foo', highlighter } );
+		} );
+
+		it( 'should update the data-value attribute of the wrapper', () => {
+			typeText( 'bar' );
+
+			expect( area.element.dataset.value ).to.equal( 'bar' );
+		} );
+
+		it( 'should highlight and render the new source', () => {
+			highlighter.returns( { tokens: [ { type: 'entity', start: 0, end: 1 } ] } );
+
+			typeText( 'bar' );
+
+			sinon.assert.calledWithExactly( highlighter, 'bar' );
+			expect( highlightElement.innerHTML ).to.equal(
+				'<div class="ck-source-editing-area__line"><span class="ck-source-editing-area__token_entity">b</span>ar</div>'
+			);
+		} );
+
+		it( 'should fire the #input event', () => {
+			const spy = sinon.spy();
+
+			area.on( 'input', spy );
+			typeText( 'bar' );
+
+			sinon.assert.calledOnce( spy );
+		} );
+	} );
+
+	describe( 'matched ranges', () => {
+		beforeEach( () => {
+			// <p>Foo</p>
+			createArea( {
+				value: '<p>Foo</p>',
+				highlighter: () => ( {
+					tokens: [],
+					pairs: [ [ { start: 0, end: 3 }, { start: 6, end: 10 } ] ]
+				} )
+			} );
+		} );
+
+		it( 'should highlight the pair when the caret is in one of its ranges', () => {
+			moveCaret( 8 );
+
+			const matchedElements = highlightElement.querySelectorAll( '.ck-source-editing-area__matched-range' );
+
+			expect( matchedElements ).to.have.length( 2 );
+			expect( matchedElements[ 0 ].textContent ).to.equal( '<p>' );
+			expect( matchedElements[ 1 ].textContent ).to.equal( '</p>' );
+		} );
+
+		it( 'should remove the highlight when the caret leaves the pair', () => {
+			moveCaret( 1 );
+			moveCaret( 5 );
+
+			expect( highlightElement.querySelectorAll( '.ck-source-editing-area__matched-range' ) ).to.have.length( 0 );
+		} );
+
+		it( 'should not highlight the pair when the text is selected', () => {
+			area.textarea.setSelectionRange( 0, 2 );
+			area.textarea.dispatchEvent( new Event( 'mouseup' ) );
+
+			expect( highlightElement.querySelectorAll( '.ck-source-editing-area__matched-range' ) ).to.have.length( 0 );
+		} );
+
+		it( 'should not render the source again when the pair did not change', () => {
+			moveCaret( 1 );
+
+			const lineElement = highlightElement.firstChild;
+
+			moveCaret( 2 );
+
+			expect( highlightElement.firstChild ).to.equal( lineElement );
+		} );
+	} );
+
+	describe( 'setIssues()', () => {
+		beforeEach( () => {
+			createArea( { value: '<p>Foo</p>\n<hr>' } );
+		} );
+
+		it( 'should list the issues with their locations', () => {
+			area.setIssues( [
+				{ start: 0, end: 3, message: 'First issue.' },
+				{ start: 11, end: 15, message: 'Second issue.' }
+			] );
+
+			const buttons = issuesElement.querySelectorAll( 'li > button' );
+
+			expect( issuesElement.classList.contains( 'ck-hidden' ) ).to.be.false;
+			expect( buttons ).to.have.length( 2 );
+			expect( buttons[ 0 ].type ).to.equal( 'button' );
+			expect( buttons[ 0 ].className ).to.equal( 'ck-source-editing-area__issue-button' );
+			expect( buttons[ 0 ].textContent ).to.equal( 'Line 1, column 1: First issue.' );
+			expect( buttons[ 1 ].textContent ).to.equal( 'Line 2, column 1: Second issue.' );
+		} );
+
+		it( 'should underline the issues in the source', () => {
+			area.setIssues( [ { start: 11, end: 15, message: 'Issue.' } ] );
+
+			const issueElements = highlightElement.querySelectorAll( '.ck-source-editing-area__issue' );
+
+			expect( issueElements ).to.have.length( 1 );
+			expect( issueElements[ 0 ].textContent ).to.equal( '<hr>' );
+		} );
+
+		it( 'should hide the list when there are no issues', () => {
+			area.setIssues( [ { start: 0, end: 3, message: 'Issue.' } ] );
+			area.setIssues( [] );
+
+			expect( issuesElement.classList.contains( 'ck-hidden' ) ).to.be.true;
+			expect( issuesElement.children ).to.have.length( 0 );
+			expect( highlightElement.querySelectorAll( '.ck-source-editing-area__issue' ) ).to.have.length( 0 );
+		} );
+
+		it( 'should select the issue in the source when it is clicked', () => {
+			area.setIssues( [
+				{ start: 0, end: 3, message: 'First issue.' },
+				{ start: 11, end: 15, message: 'Second issue.' }
+			] );
+
+			issuesElement.querySelectorAll( 'button' )[ 1 ].click();
+
+			expect( document.activeElement ).to.equal( area.textarea );
+			expect( area.textarea.selectionStart ).to.equal( 11 );
+			expect( area.textarea.selectionEnd ).to.equal( 15 );
+		} );
+
+		it( 'should do nothing when the list is clicked outside the issues', () => {
+			area.setIssues( [ { start: 11, end: 15, message: 'Issue.' } ] );
+
+			issuesElement.click();
+
+			expect( area.textarea.selectionStart ).to.equal( 0 );
+			expect( area.textarea.selectionEnd ).to.equal( 0 );
+		} );
+	} );
+
+	describe( 'getLineOffsetTop()', () => {
+		beforeEach( () => {
+			createArea( { value: 'foo\nbar\nbaz' } );
+		} );
+
+		it( 'should return the position of the line', () => {
+			expect( area.getLineOffsetTop( 2 ) ).to.equal( highlightElement.children[ 2 ].offsetTop );
+			expect( area.getLineOffsetTop( 2 ) ).to.be.greaterThan( area.getLineOffsetTop( 1 ) );
+		} );
+
+		it( 'should return 0 for a line that does not exist', () => {
+			expect( area.getLineOffsetTop( 3 ) ).to.equal( 0 );
+		} );
+	} );
+
+	describe( 'search', () => {
+		beforeEach( () => {
+			createArea( { value: 'foo bar\nFOO baz foo' } );
+		} );
+
+		it( 'should open the search bar on Ctrl+F in the textarea', () => {
+			const keyEvtData = {
+				keyCode: keyCodes.f,
+				ctrlKey: !env.isMac,
+				metaKey: env.isMac,
+				preventDefault: sinon.spy(),
+				stopPropagation: sinon.spy()
+			};
+
+			const spy = sinon.spy( area, 'openSearch' );
+
+			area._keystrokes.press( keyEvtData );
+
+			sinon.assert.calledOnce( spy );
+			sinon.assert.calledOnce( keyEvtData.preventDefault );
+		} );
+
+		it( 'should show and focus the search bar', () => {
+			const focusSpy = sinon.spy( area.searchView, 'focus' );
+
+			area.openSearch();
+
+			expect( area.searchView.isVisible ).to.be.true;
+			sinon.assert.calledOnce( focusSpy );
+		} );
+
+		it( 'should search the selected text', () => {
+			area.textarea.setSelectionRange( 4, 7 );
+			area.openSearch();
+
+			expect( area.searchView.searchText ).to.equal( 'bar' );
+			expect( getSearchResults() ).to.deep.equal( [ 'bar' ] );
+			expect( area.searchView.resultsCounterText ).to.equal( '1 of 1' );
+		} );
+
+		it( 'should not search the selected text spanning multiple lines', () => {
+			area.searchView.searchText = 'baz';
+			area.textarea.setSelectionRange( 4, 10 );
+			area.openSearch();
+
+			expect( area.searchView.searchText ).to.equal( 'baz' );
+		} );
+
+		it( 'should find all occurrences of the searched text ignoring the case', () => {
+			area.openSearch();
+			search( 'foo' );
+
+			expect( getSearchResults() ).to.deep.equal( [ 'foo', 'FOO', 'foo' ] );
+			expect( getCurrentSearchResult().textContent ).to.equal( 'foo' );
+			expect( area.searchView.resultsCounterText ).to.equal( '1 of 3' );
+		} );
+
+		it( 'should make the first result after the caret the current one', () => {
+			area.textarea.setSelectionRange( 5, 5 );
+			area.openSearch();
+			search( 'foo' );
+
+			expect( area.searchView.resultsCounterText ).to.equal( '2 of 3' );
+		} );
+
+		it( 'should display the information when nothing was found', () => {
+			area.openSearch();
+			search( 'qux' );
+
+			expect( getSearchResults() ).to.deep.equal( [] );
+			expect( area.searchView.resultsCounterText ).to.equal( 'No results found' );
+		} );
+
+		it( 'should clear the results counter when the searched text is empty', () => {
+			area.openSearch();
+			search( 'foo' );
+			search( '' );
+
+			expect( getSearchResults() ).to.deep.equal( [] );
+			expect( area.searchView.resultsCounterText ).to.equal( '' );
+		} );
+
+		it( 'should cycle through the results', () => {
+			area.openSearch();
+			search( 'foo' );
+
+			area.searchView.fire( 'findNext' );
+			expect( area.searchView.resultsCounterText ).to.equal( '2 of 3' );
+
+			area.searchView.fire( 'findNext' );
+			area.searchView.fire( 'findNext' );
+			expect( area.searchView.resultsCounterText ).to.equal( '1 of 3' );
+
+			area.searchView.fire( 'findPrevious' );
+			expect( area.searchView.resultsCounterText ).to.equal( '3 of 3' );
+			expect( getCurrentSearchResult().textContent ).to.equal( 'foo' );
+		} );
+
+		it( 'should do nothing when moving between the results and nothing was found', () => {
+			area.openSearch();
+			search( 'qux' );
+
+			area.searchView.fire( 'findNext' );
+
+			expect( area.searchView.resultsCounterText ).to.equal( 'No results found' );
+		} );
+
+		it( 'should update the results when the source changes', () => {
+			area.openSearch();
+			search( 'foo' );
+			area.searchView.fire( 'findNext' );
+
+			typeText( 'foo foo' );
+
+			expect( getSearchResults() ).to.deep.equal( [ 'foo', 'foo' ] );
+			expect( area.searchView.resultsCounterText ).to.equal( '1 of 2' );
+		} );
+
+		it( 'should hide the search bar and select the current result when closed', () => {
+			area.openSearch();
+			search( 'foo' );
+			area.searchView.fire( 'findNext' );
+			area.searchView.fire( 'close' );
+
+			expect( area.searchView.isVisible ).to.be.false;
+			expect( getSearchResults() ).to.deep.equal( [] );
+			expect( document.activeElement ).to.equal( area.textarea );
+			expect( area.textarea.selectionStart ).to.equal( 8 );
+			expect( area.textarea.selectionEnd ).to.equal( 11 );
+		} );
+
+		it( 'should focus the textarea when closed without results', () => {
+			area.openSearch();
+			area.closeSearch();
+
+			expect( document.activeElement ).to.equal( area.textarea );
+		} );
+	} );
+
+	describe( 'destroy()', () => {
+		it( 'should stop listening to the DOM events and destroy the search view', () => {
+			createArea( { value: 'foo' } );
+
+			const spy = sinon.spy();
+			const searchViewSpy = sinon.spy( area.searchView, 'destroy' );
+
+			area.on( 'input', spy );
+			area.destroy();
+
+			typeText( 'bar' );
+
+			sinon.assert.notCalled( spy );
+			sinon.assert.calledOnce( searchViewSpy );
+		} );
+	} );
+
+	function createArea( options ) {
+		area = new SourceEditingArea( new Locale(), document, options );
+		highlightElement = area.element.children[ 1 ];
+		issuesElement = area.element.children[ 2 ];
+
+		document.body.appendChild( area.element );
+	}
+
+	function typeText( text ) {
+		area.textarea.value = text;
+		area.textarea.dispatchEvent( new Event( 'input' ) );
+	}
+
+	function moveCaret( offset ) {
+		area.textarea.setSelectionRange( offset, offset );
+		area.textarea.dispatchEvent( new Event( 'keyup' ) );
+	}
+
+	function search( text ) {
+		area.searchView.searchText = text;
+		area.searchView.fire( 'search', text );
+	}
+
+	function getSearchResults() {
+		return Array.from( highlightElement.querySelectorAll( '.ck-source-editing-area__search-result' ), element => element.textContent );
+	}
+
+	function getCurrentSearchResult() {
+		return highlightElement.querySelector( '.ck-source-editing-area__search-result_current' );
+	}
+} );
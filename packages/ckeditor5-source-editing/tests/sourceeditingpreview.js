@@ -0,0 +1,191 @@
+/**
+ * @license Copyright (c) 2003-2024, CKSource Holding sp. z o.o. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+
+/* globals document, Event */
+
+import SourceEditingArea from '../src/sourceeditingarea.js';
+import SourceEditingPreview from '../src/sourceeditingpreview.js';
+
+import Locale from '@ckeditor/ckeditor5-utils/src/locale.js';
+import testUtils from '@ckeditor/ckeditor5-core/tests/_utils/utils.js';
+
+describe( 'SourceEditingPreview', () => {
+	let area, preview, renderer;
+
+	testUtils.createSinonSandbox();
+
+	beforeEach( () => {
+		renderer = sinon.spy( source => {
+			const element = document.createElement( 'p' );
+
+			element.textContent = source;
+
+			return element;
+		} );
+
+		area = new SourceEditingArea( new Locale(), document, { value: '# Foo\n\nBar' } );
+		document.body.appendChild( area.element );
+
+		preview = new SourceEditingPreview( new Locale(), area, renderer );
+	} );
+
+	afterEach( () => {
+		preview.destroy();
+		area.element.remove();
+		area.destroy();
+	} );
+
+	describe( 'constructor()', () => {
+		it( 'should create the element', () => {
+			expect( preview.element.classList.contains( 'ck-source-editing-preview' ) ).to.be.true;
+			expect( preview.element.classList.contains( 'ck-content' ) ).to.be.true;
+			expect( preview.element.getAttribute( 'role' ) ).to.equal( 'region' );
+			expect( preview.element.getAttribute( 'aria-label' ) ).to.equal( 'Preview' );
+		} );
+
+		it( 'should append the element to the source editing area', () => {
+			expect( area.element.lastChild ).to.equal( preview.element );
+			expect( area.element.dataset.preview ).to.equal( 'true' );
+		} );
+
+		it( 'should keep the textarea as the first child of the source editing area', () => {
+			expect( area.element.children[ 0 ] ).to.equal( area.textarea );
+		} );
+
+		it( 'should render the blocks of the source', () => {
+			expect( getRenderedBlocks() ).to.deep.equal( [ '# Foo', 'Bar' ] );
+			expect( preview.element.children[ 0 ].className ).to.equal( 'ck-source-editing-preview__block' );
+			sinon.assert.calledTwice( renderer );
+		} );
+	} );
+
+	describe( 'update()', () => {
+		it( 'should be called when the source changes', () => {
+			typeText( '# Foo\n\nBaz\n\nQux' );
+
+			expect( getRenderedBlocks() ).to.deep.equal( [ '# Foo', 'Baz', 'Qux' ] );
+		} );
+
+		it( 'should render only the changed blocks', () => {
+			const headingElement = preview.element.children[ 0 ];
+
+			renderer.resetHistory();
+			typeText( '# Foo\n\nBaz' );
+
+			sinon.assert.calledOnceWithExactly( renderer, 'Baz' );
+			expect( preview.element.children[ 0 ] ).to.equal( headingElement );
+		} );
+
+		it( 'should render the repeated blocks once', () => {
+			renderer.resetHistory();
+			typeText( 'Baz\n\nBaz' );
+
+			sinon.assert.calledOnceWithExactly( renderer, 'Baz' );
+			expect( getRenderedBlocks() ).to.deep.equal( [ 'Baz', 'Baz' ] );
+			expect( preview.element.children[ 0 ] ).to.not.equal( preview.element.children[ 1 ] );
+		} );
+
+		it( 'should render nothing for an empty source', () => {
+			typeText( '' );
+
+			expect( preview.element.children ).to.have.length( 0 );
+		} );
+
+		it( 'should pass the link reference definitions of the whole source to every block', () => {
+			renderer.resetHistory();
+			typeText( '[Foo][foo]\n\n[foo]: https://example.com' );
+
+			sinon.assert.calledWithExactly( renderer, '[Foo][foo]\n\n[foo]: https://example.com' );
+			sinon.assert.calledWithExactly( renderer, '[foo]: https://example.com\n\n[foo]: https://example.com' );
+		} );
+
+		it( 'should skip the link reference definitions in the code blocks', () => {
+			renderer.resetHistory();
+			typeText( '[Foo][foo]\n\n```\n[foo]: https://example.com\n```' );
+
+			sinon.assert.calledWithExactly( renderer, '[Foo][foo]' );
+		} );
+
+		it( 'should render all blocks again when the link reference definitions change', () => {
+			typeText( '[Foo][foo]\n\n[foo]: https://example.com' );
+
+			renderer.resetHistory();
+			typeText( '[Foo][foo]\n\n[foo]: https://example.org' );
+
+			sinon.assert.calledTwice( renderer );
+			sinon.assert.calledWithExactly( renderer, '[Foo][foo]\n\n[foo]: https://example.org' );
+		} );
+	} );
+
+	describe( 'scrolling', () => {
+		beforeEach( () => {
+			const source = Array.from( { length: 50 }, ( value, index ) => `Block ${ index }` ).join( '\n\n' );
+
+			// Mimic the styles of the source editing area with the preview.
+			for ( const element of [ area.element, preview.element ] ) {
+				element.style.position = 'relative';
+				element.style.maxHeight = '200px';
+				element.style.overflowY = 'auto';
+			}
+
+			typeText( source );
+		} );
+
+		it( 'should scroll the preview to the block displayed at the top of the source', () => {
+			const sourceBlockTop = area.getLineOffsetTop( 20 );
+			const previewBlockTop = preview.element.children[ 10 ].offsetTop;
+
+			area.element.scrollTop = sourceBlockTop;
+			area.element.dispatchEvent( new Event( 'scroll' ) );
+
+			expect( preview.element.scrollTop ).to.be.closeTo( previewBlockTop, 1 );
+		} );
+
+		it( 'should scroll the source to the block displayed at the top of the preview', () => {
+			const sourceBlockTop = area.getLineOffsetTop( 20 );
+			const previewBlockTop = preview.element.children[ 10 ].offsetTop;
+
+			preview.element.scrollTop = previewBlockTop;
+			preview.element.dispatchEvent( new Event( 'scroll' ) );
+
+			expect( area.element.scrollTop ).to.be.closeTo( sourceBlockTop, 1 );
+		} );
+
+		it( 'should ignore the scroll event caused by the synchronization', () => {
+			area.element.scrollTop = area.getLineOffsetTop( 20 );
+			area.element.dispatchEvent( new Event( 'scroll' ) );
+
+			const sourceScrollTop = area.element.scrollTop;
+
+			// Simulate the event the browser fires after the preview was scrolled by the source editing area.
+			preview.element.dispatchEvent( new Event( 'scroll' ) );
+
+			expect( area.element.scrollTop ).to.equal( sourceScrollTop );
+		} );
+	} );
+
+	describe( 'destroy()', () => {
+		it( 'should remove the element and stop updating the preview', () => {
+			preview.destroy();
+
+			expect( preview.element.parentNode ).to.be.null;
+			expect( area.element.dataset.preview ).to.be.undefined;
+
+			renderer.resetHistory();
+			typeText( 'Baz' );
+
+			sinon.assert.notCalled( renderer );
+		} );
+	} );
+
+	function typeText( text ) {
+		area.textarea.value = text;
+		area.textarea.dispatchEvent( new Event( 'input' ) );
+	}
+
+	function getRenderedBlocks() {
+		return Array.from( preview.element.children, blockElement => blockElement.textContent );
+	}
+} );
@@ -0,0 +1,207 @@
+/**
+ * @license Copyright (c) 2003-2024, CKSource Holding sp. z o.o. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+
+/* globals document, Event */
+
+import SourceEditingSearchView from '../../src/ui/sourceeditingsearchview.js';
+
+import InputTextView from '@ckeditor/ckeditor5-ui/src/inputtext/inputtextview.js';
+import ButtonView from '@ckeditor/ckeditor5-ui/src/button/buttonview.js';
+import KeystrokeHandler from '@ckeditor/ckeditor5-utils/src/keystrokehandler.js';
+import FocusTracker from '@ckeditor/ckeditor5-utils/src/focustracker.js';
+import Locale from '@ckeditor/ckeditor5-utils/src/locale.js';
+import { keyCodes } from '@ckeditor/ckeditor5-utils/src/keyboard.js';
+import testUtils from '@ckeditor/ckeditor5-core/tests/_utils/utils.js';
+import { icons } from 'ckeditor5/src/core.js';
+
+describe( 'SourceEditingSearchView', () => {
+	let view;
+
+	testUtils.createSinonSandbox();
+
+	beforeEach( () => {
+		view = new SourceEditingSearchView( new Locale() );
+		view.render();
+		document.body.appendChild( view.element );
+	} );
+
+	afterEach( () => {
+		view.element.remove();
+		view.destroy();
+	} );
+
+	describe( 'constructor()', () => {
+		it( 'should create #focusTracker and #keystrokes', () => {
+			expect( view.focusTracker ).to.be.instanceOf( FocusTracker );
+			expect( view.keystrokes ).to.be.instanceOf( KeystrokeHandler );
+		} );
+
+		it( 'should set the initial state of the observables', () => {
+			expect( view.isVisible ).to.be.false;
+			expect( view.resultsCounterText ).to.equal( '' );
+		} );
+
+		it( 'should create the element', () => {
+			expect( view.element.classList.contains( 'ck' ) ).to.be.true;
+			expect( view.element.classList.contains( 'ck-source-editing-search' ) ).to.be.true;
+			expect( view.element.getAttribute( 'role' ) ).to.equal( 'search' );
+		} );
+
+		it( 'should hide the element when #isVisible is false', () => {
+			expect( view.element.classList.contains( 'ck-hidden' ) ).to.be.true;
+
+			view.isVisible = true;
+
+			expect( view.element.classList.contains( 'ck-hidden' ) ).to.be.false;
+		} );
+
+		it( 'should create the input', () => {
+			expect( view.findInputView ).to.be.instanceOf( InputTextView );
+			expect( view.findInputView.placeholder ).to.equal( 'Find in text…' );
+			expect( view.findInputView.ariaLabel ).to.equal( 'Find in text…' );
+			expect( view.element.firstChild ).to.equal( view.findInputView.element );
+		} );
+
+		it( 'should render the results counter', () => {
+			const counterElement = view.element.querySelector( '.ck-source-editing-search__results-counter' );
+
+			view.resultsCounterText = '1 of 3';
+
+			expect( counterElement.textContent ).to.equal( '1 of 3' );
+			expect( counterElement.getAttribute( 'aria-live' ) ).to.equal( 'polite' );
+		} );
+
+		testButton( 'findPreviousButtonView', 'Previous result', icons.previousArrow, 'findPrevious' );
+		testButton( 'findNextButtonView', 'Next result', icons.nextArrow, 'findNext' );
+		testButton( 'closeButtonView', 'Close', icons.cancel, 'close' );
+
+		it( 'should fire #search with the searched text on input', () => {
+			const spy = sinon.spy();
+
+			view.on( 'search', spy );
+
+			view.findInputView.element.value = 'foo';
+			view.findInputView.element.dispatchEvent( new Event( 'input' ) );
+
+			sinon.assert.calledOnce( spy );
+			sinon.assert.calledWith( spy, sinon.match.any, 'foo' );
+		} );
+	} );
+
+	describe( 'render()', () => {
+		it( 'should register the child views in #focusTracker', () => {
+			view.findNextButtonView.element.dispatchEvent( new Event( 'focus' ) );
+
+			expect( view.focusTracker.isFocused ).to.be.true;
+			expect( view.focusTracker.focusedElement ).to.equal( view.findNextButtonView.element );
+		} );
+
+		it( 'should fire #findNext on Enter in the input', () => {
+			const spy = sinon.spy();
+			const keyEvtData = getKeyEventData( { keyCode: keyCodes.enter, target: view.findInputView.element } );
+
+			view.on( 'findNext', spy );
+			view.keystrokes.press( keyEvtData );
+
+			sinon.assert.calledOnce( spy );
+			sinon.assert.calledOnce( keyEvtData.preventDefault );
+		} );
+
+		it( 'should fire #findPrevious on Shift+Enter in the input', () => {
+			const spy = sinon.spy();
+			const keyEvtData = getKeyEventData( { keyCode: keyCodes.enter, shiftKey: true, target: view.findInputView.element } );
+
+			view.on( 'findPrevious', spy );
+			view.keystrokes.press( keyEvtData );
+
+			sinon.assert.calledOnce( spy );
+			sinon.assert.calledOnce( keyEvtData.preventDefault );
+		} );
+
+		it( 'should not fire #findNext on Enter in the buttons', () => {
+			const spy = sinon.spy();
+			const keyEvtData = getKeyEventData( { keyCode: keyCodes.enter, target: view.closeButtonView.element } );
+
+			view.on( 'findNext', spy );
+			view.keystrokes.press( keyEvtData );
+
+			sinon.assert.notCalled( spy );
+			sinon.assert.notCalled( keyEvtData.preventDefault );
+		} );
+
+		it( 'should fire #close on Esc', () => {
+			const spy = sinon.spy();
+			const keyEvtData = getKeyEventData( { keyCode: keyCodes.esc, target: view.closeButtonView.element } );
+
+			view.on( 'close', spy );
+			view.keystrokes.press( keyEvtData );
+
+			sinon.assert.calledOnce( spy );
+			sinon.assert.calledOnce( keyEvtData.preventDefault );
+		} );
+	} );
+
+	describe( 'destroy()', () => {
+		it( 'should destroy #focusTracker and #keystrokes', () => {
+			const focusTrackerSpy = sinon.spy( view.focusTracker, 'destroy' );
+			const keystrokesSpy = sinon.spy( view.keystrokes, 'destroy' );
+
+			view.destroy();
+
+			sinon.assert.calledOnce( focusTrackerSpy );
+			sinon.assert.calledOnce( keystrokesSpy );
+		} );
+	} );
+
+	describe( 'focus()', () => {
+		it( 'should select the content of the input', () => {
+			const spy = sinon.spy( view.findInputView, 'select' );
+
+			view.focus();
+
+			sinon.assert.calledOnce( spy );
+		} );
+	} );
+
+	describe( 'searchText', () => {
+		it( 'should get and set the value of the input', () => {
+			view.searchText = 'foo';
+
+			expect( view.findInputView.element.value ).to.equal( 'foo' );
+
+			view.findInputView.element.value = 'bar';
+
+			expect( view.searchText ).to.equal( 'bar' );
+		} );
+	} );
+
+	function testButton( property, label, icon, eventName ) {
+		it( `should create the "${ label }" button`, () => {
+			const buttonView = view[ property ];
+
+			expect( buttonView ).to.be.instanceOf( ButtonView );
+			expect( buttonView.label ).to.equal( label );
+			expect( buttonView.icon ).to.equal( icon );
+			expect( buttonView.tooltip ).to.be.true;
+		} );
+
+		it( `should fire #${ eventName } when the "${ label }" button is executed`, () => {
+			const spy = sinon.spy();
+
+			view.on( eventName, spy );
+			view[ property ].fire( 'execute' );
+
+			sinon.assert.calledOnce( spy );
+		} );
+	}
+
+	function getKeyEventData( data ) {
+		return {
+			preventDefault: sinon.spy(),
+			stopPropagation: sinon.spy(),
+			...data
+		};
+	}
+} );
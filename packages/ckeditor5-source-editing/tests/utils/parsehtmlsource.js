@@ -0,0 +1,158 @@
+/**
+ * @license Copyright (c) 2003-2024, CKSource Holding sp. z o.o. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+
+import { parseHtmlSource, matchHtmlTags } from '../../src/utils/parsehtmlsource.js';
+
+describe( 'SourceEditing utils', () => {
+	describe( 'parseHtmlSource()', () => {
+		it( 'should return no tokens and tags for an empty source', () => {
+			expect( parseHtmlSource( '' ) ).to.deep.equal( { tokens: [], tags: [] } );
+		} );
+
+		it( 'should return no tokens and tags for a text', () => {
+			expect( parseHtmlSource( 'foo < bar > baz' ) ).to.deep.equal( { tokens: [], tags: [] } );
+		} );
+
+		it( 'should tokenize the opening and closing tags', () => {
+			const source = '<p class="foo">Bar</p>';
+
+			expect( getTokens( source ) ).to.deep.equal( [
+				[ 'bracket', '<' ],
+				[ 'tagName', 'p' ],
+				[ 'attributeName', 'class' ],
+				[ 'attributeValue', '"foo"' ],
+				[ 'bracket', '>' ],
+				[ 'bracket', '</' ],
+				[ 'tagName', 'p' ],
+				[ 'bracket', '>' ]
+			] );
+		} );
+
+		it( 'should tokenize the attributes with single-quoted, unquoted and no values', () => {
+			const source = '<input type=\'text\' size=10 disabled>';
+
+			expect( getTokens( source ) ).to.deep.equal( [
+				[ 'bracket', '<' ],
+				[ 'tagName', 'input' ],
+				[ 'attributeName', 'type' ],
+				[ 'attributeValue', '\'text\'' ],
+				[ 'attributeName', 'size' ],
+				[ 'attributeValue', '10' ],
+				[ 'attributeName', 'disabled' ],
+				[ 'bracket', '>' ]
+			] );
+		} );
+
+		it( 'should tokenize the self-closing tag', () => {
+			expect( getTokens( '<br/>' ) ).to.deep.equal( [
+				[ 'bracket', '<' ],
+				[ 'tagName', 'br' ],
+				[ 'bracket', '/>' ]
+			] );
+		} );
+
+		it( 'should tokenize the comments, doctypes and entities', () => {
+			expect( getTokens( '<!DOCTYPE html><!-- foo <p> -->a&nbsp;b&#160;&#xA0;' ) ).to.deep.equal( [
+				[ 'doctype', '<!DOCTYPE html>' ],
+				[ 'comment', '<!-- foo <p> -->' ],
+				[ 'entity', '&nbsp;' ],
+				[ 'entity', '&#160;' ],
+				[ 'entity', '&#xA0;' ]
+			] );
+		} );
+
+		it( 'should tokenize the unclosed comment up to the end of the source', () => {
+			expect( getTokens( '<p></p><!-- foo' ) ).to.deep.include( [ 'comment', '<!-- foo' ] );
+		} );
+
+		it( 'should tokenize the unclosed tag and attribute value up to the end of the source', () => {
+			expect( getTokens( '<a href="foo' ) ).to.deep.equal( [
+				[ 'bracket', '<' ],
+				[ 'tagName', 'a' ],
+				[ 'attributeName', 'href' ],
+				[ 'attributeValue', '"foo' ]
+			] );
+		} );
+
+		it( 'should not tokenize the content of the raw text elements', () => {
+			expect( getTokens( '<script>if ( a<b ) {}</script>' ) ).to.deep.equal( [
+				[ 'bracket', '<' ],
+				[ 'tagName', 'script' ],
+				[ 'bracket', '>' ],
+				[ 'bracket', '</' ],
+				[ 'tagName', 'script' ],
+				[ 'bracket', '>' ]
+			] );
+		} );
+
+		it( 'should return the tags with their lowercase names and attributes', () => {
+			const { tags } = parseHtmlSource( '<P Class="foo bar" hidden>x</P><br/>' );
+
+			expect( tags ).to.deep.equal( [
+				{
+					name: 'p',
+					isClosing: false,
+					isSelfClosing: false,
+					attributes: [
+						{ name: 'class', value: 'foo bar', start: 3, end: 18 },
+						{ name: 'hidden', value: '', start: 19, end: 25 }
+					],
+					start: 0,
+					end: 26
+				},
+				{ name: 'p', isClosing: true, isSelfClosing: false, attributes: [], start: 27, end: 31 },
+				{ name: 'br', isClosing: false, isSelfClosing: true, attributes: [], start: 31, end: 36 }
+			] );
+		} );
+	} );
+
+	describe( 'matchHtmlTags()', () => {
+		it( 'should pair the opening and closing tags', () => {
+			const { tags } = parseHtmlSource( '<div><p>a</p><p>b</p></div>' );
+			const { pairs, unclosedTags, unexpectedClosingTags } = matchHtmlTags( tags );
+
+			expect( pairs ).to.deep.equal( [
+				[ tags[ 1 ], tags[ 2 ] ],
+				[ tags[ 3 ], tags[ 4 ] ],
+				[ tags[ 0 ], tags[ 5 ] ]
+			] );
+			expect( unclosedTags ).to.be.empty;
+			expect( unexpectedClosingTags ).to.be.empty;
+		} );
+
+		it( 'should not require closing the void elements and self-closing tags', () => {
+			const { tags } = parseHtmlSource( '<p>a<br>b<img src="x"><span/></p>' );
+			const { unclosedTags, unexpectedClosingTags } = matchHtmlTags( tags );
+
+			expect( unclosedTags ).to.be.empty;
+			expect( unexpectedClosingTags ).to.be.empty;
+		} );
+
+		it( 'should find the elements that are not closed', () => {
+			const { tags } = parseHtmlSource( '<div><strong>a</div><em>b' );
+			const { pairs, unclosedTags } = matchHtmlTags( tags );
+
+			expect( pairs ).to.deep.equal( [ [ tags[ 0 ], tags[ 2 ] ] ] );
+			expect( unclosedTags ).to.deep.equal( [ tags[ 1 ], tags[ 3 ] ] );
+		} );
+
+		it( 'should not report the elements which closing tags are optional', () => {
+			const { tags } = parseHtmlSource( '<ul><li>a<li>b</ul><p>c' );
+
+			expect( matchHtmlTags( tags ).unclosedTags ).to.be.empty;
+		} );
+
+		it( 'should find the closing tags that do not close any element', () => {
+			const { tags } = parseHtmlSource( '<p>a</span></p></p>' );
+			const { unexpectedClosingTags } = matchHtmlTags( tags );
+
+			expect( unexpectedClosingTags ).to.deep.equal( [ tags[ 1 ], tags[ 3 ] ] );
+		} );
+	} );
+} );
+
+function getTokens( source ) {
+	return parseHtmlSource( source ).tokens.map( token => [ token.type, source.slice( token.start, token.end ) ] );
+}
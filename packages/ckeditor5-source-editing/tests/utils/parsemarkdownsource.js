@@ -0,0 +1,161 @@
+/**
+ * @license Copyright (c) 2003-2024, CKSource Holding sp. z o.o. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+
+import { parseMarkdownSource, splitMarkdownBlocks } from '../../src/utils/parsemarkdownsource.js';
+
+describe( 'SourceEditing utils', () => {
+	describe( 'parseMarkdownSource()', () => {
+		it( 'should return no tokens and pairs for an empty source', () => {
+			expect( parseMarkdownSource( '' ) ).to.deep.equal( { tokens: [], pairs: [] } );
+		} );
+
+		it( 'should return no tokens for a plain text', () => {
+			expect( parseMarkdownSource( 'Foo bar\nsnake_case_name 2 * 3 * 4' ).tokens ).to.deep.equal( [] );
+		} );
+
+		it( 'should tokenize the headings with their inline syntax', () => {
+			expect( getTokens( '# Foo **bar**\n###### Baz\n#NotHeading' ) ).to.deep.equal( [
+				[ 'heading', '# Foo **bar**' ],
+				[ 'strong', '**bar**' ],
+				[ 'heading', '###### Baz' ]
+			] );
+		} );
+
+		it( 'should tokenize the list markers and the block quote markers', () => {
+			expect( getTokens( '- foo\n* bar\n10. baz\n> > - qux' ) ).to.deep.equal( [
+				[ 'listMarker', '-' ],
+				[ 'listMarker', '*' ],
+				[ 'listMarker', '10.' ],
+				[ 'blockquoteMarker', '> >' ],
+				[ 'listMarker', ' -' ]
+			] );
+		} );
+
+		it( 'should tokenize the thematic breaks', () => {
+			expect( getTokens( '---\n* * *\n___' ) ).to.deep.equal( [
+				[ 'thematicBreak', '---' ],
+				[ 'thematicBreak', '* * *' ],
+				[ 'thematicBreak', '___' ]
+			] );
+		} );
+
+		it( 'should tokenize the inline syntax', () => {
+			expect( getTokens( '`a` [b](c) ![d](e) <https://f> **g** __h__ *i* _j_ ~~k~~' ) ).to.deep.equal( [
+				[ 'code', '`a`' ],
+				[ 'link', '[b](c)' ],
+				[ 'link', '![d](e)' ],
+				[ 'link', '<https://f>' ],
+				[ 'strong', '**g**' ],
+				[ 'strong', '__h__' ],
+				[ 'emphasis', '*i*' ],
+				[ 'emphasis', '_j_' ],
+				[ 'strikethrough', '~~k~~' ]
+			] );
+		} );
+
+		it( 'should not tokenize the syntax inside the code spans', () => {
+			expect( getTokens( '``a **b** ` c``' ) ).to.deep.equal( [
+				[ 'code', '``a **b** ` c``' ]
+			] );
+		} );
+
+		it( 'should tokenize the whole code block and pair its fences', () => {
+			const source = 'Foo\n```js\n# not heading\n\n```\nBar';
+			const { pairs } = parseMarkdownSource( source );
+
+			expect( getTokens( source ) ).to.deep.equal( [
+				[ 'codeBlock', '```js\n# not heading\n\n```' ]
+			] );
+			expect( pairs.map( pair => pair.map( range => source.slice( range.start, range.end ) ) ) ).to.deep.equal( [
+				[ '```js', '```' ]
+			] );
+		} );
+
+		it( 'should not close the code block with a different or a shorter fence', () => {
+			const source = '~~~~\n```\n~~~\n~~~~~';
+			const { pairs } = parseMarkdownSource( source );
+
+			expect( getTokens( source ) ).to.deep.equal( [
+				[ 'codeBlock', source ]
+			] );
+			expect( pairs ).to.have.length( 1 );
+			expect( source.slice( pairs[ 0 ][ 1 ].start, pairs[ 0 ][ 1 ].end ) ).to.equal( '~~~~~' );
+		} );
+
+		it( 'should tokenize the unclosed code block up to the end of the source', () => {
+			const source = '```\nfoo';
+
+			expect( getTokens( source ) ).to.deep.equal( [
+				[ 'codeBlock', source ]
+			] );
+			expect( parseMarkdownSource( source ).pairs ).to.be.empty;
+		} );
+	} );
+
+	describe( 'splitMarkdownBlocks()', () => {
+		it( 'should return no blocks for an empty source', () => {
+			expect( splitMarkdownBlocks( '' ) ).to.deep.equal( [] );
+			expect( splitMarkdownBlocks( '\n  \n' ) ).to.deep.equal( [] );
+		} );
+
+		it( 'should split the source on the blank lines', () => {
+			expect( splitMarkdownBlocks( '# Foo\n\nBar\nBaz' ) ).to.deep.equal( [
+				{ start: 0, end: 5, line: 0 },
+				{ start: 7, end: 14, line: 2 }
+			] );
+		} );
+
+		it( 'should keep the list items separated by the blank lines and their indented content in one block', () => {
+			expect( getBlocks( '- foo\n\n- bar\n\n  baz\n\nqux' ) ).to.deep.equal( [
+				[ 0, '- foo\n\n- bar\n\n  baz' ],
+				[ 6, 'qux' ]
+			] );
+		} );
+
+		it( 'should keep the indented content of the footnote definition separated by the blank lines in one block', () => {
+			expect( getBlocks( '[^1]: foo\n\n    bar\n\nbaz' ) ).to.deep.equal( [
+				[ 0, '[^1]: foo\n\n    bar' ],
+				[ 4, 'baz' ]
+			] );
+		} );
+
+		it( 'should separate the headings from the surrounding content', () => {
+			expect( getBlocks( 'Foo\n# Bar\nBaz' ) ).to.deep.equal( [
+				[ 0, 'Foo' ],
+				[ 1, '# Bar' ],
+				[ 2, 'Baz' ]
+			] );
+		} );
+
+		it( 'should keep the code blocks with the blank lines in one block', () => {
+			expect( getBlocks( 'Foo\n```\na\n\nb\n```\nBar' ) ).to.deep.equal( [
+				[ 0, 'Foo' ],
+				[ 1, '```\na\n\nb\n```' ],
+				[ 6, 'Bar' ]
+			] );
+		} );
+
+		it( 'should keep the code blocks nested in the lists in the block of the list', () => {
+			expect( getBlocks( '- foo\n  ```\n  a\n\n  ```\n- bar\n# Baz' ) ).to.deep.equal( [
+				[ 0, '- foo\n  ```\n  a\n\n  ```\n- bar' ],
+				[ 6, '# Baz' ]
+			] );
+		} );
+
+		it( 'should extend the unclosed code block up to the end of the source', () => {
+			expect( getBlocks( '```\nfoo\n\nbar' ) ).to.deep.equal( [
+				[ 0, '```\nfoo\n\nbar' ]
+			] );
+		} );
+	} );
+} );
+
+function getTokens( source ) {
+	return parseMarkdownSource( source ).tokens.map( token => [ token.type, source.slice( token.start, token.end ) ] );
+}
+
+function getBlocks( source ) {
+	return splitMarkdownBlocks( source ).map( block => [ block.line, source.slice( block.start, block.end ) ] );
+}
@@ -0,0 +1,87 @@
+/**
+ * @license Copyright (c) 2003-2024, CKSource Holding sp. z o.o. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+
+import { validateHtmlSource } from '../../src/utils/validatehtmlsource.js';
+
+describe( 'SourceEditing utils', () => {
+	describe( 'validateHtmlSource()', () => {
+		it( 'should return no issues when the source is preserved', () => {
+			const source = '<p class="foo" style="color: red;">Bar<br></p>';
+
+			expect( validateHtmlSource( source, source ) ).to.be.empty;
+		} );
+
+		it( 'should ignore the order of the markup and the whitespaces', () => {
+			const source = '<p>\n    <a href="x" class="b a">Bar</a>\n</p>';
+			const output = '<p><a class="a b" href="x">Bar</a></p>';
+
+			expect( validateHtmlSource( source, output ) ).to.be.empty;
+		} );
+
+		it( 'should report the removed elements', () => {
+			const source = '<p>Foo</p><hr><marquee>Bar</marquee>';
+			const output = '<p>Foo</p><p>Bar</p>';
+
+			expect( getIssues( source, output ) ).to.deep.equal( [
+				[ 'removedElement', 'hr', '<hr>' ],
+				[ 'removedElement', 'marquee', '<marquee>' ]
+			] );
+		} );
+
+		it( 'should report the removed attributes', () => {
+			const source = '<p id="foo" data-bar="1">Foo</p>';
+			const output = '<p id="foo">Foo</p>';
+
+			expect( getIssues( source, output ) ).to.deep.equal( [
+				[ 'removedAttribute', 'data-bar', 'data-bar="1"' ]
+			] );
+		} );
+
+		it( 'should report the removed classes', () => {
+			const source = '<p class="foo bar baz">Foo</p>';
+			const output = '<p class="bar">Foo</p>';
+
+			expect( getIssues( source, output ) ).to.deep.equal( [
+				[ 'removedClass', 'foo', 'class="foo bar baz"' ],
+				[ 'removedClass', 'baz', 'class="foo bar baz"' ]
+			] );
+		} );
+
+		it( 'should report the removed styles', () => {
+			const source = '<p style="COLOR: red; margin-left:10px">Foo</p>';
+			const output = '<p style="color:red;">Foo</p>';
+
+			expect( getIssues( source, output ) ).to.deep.equal( [
+				[ 'removedStyle', 'margin-left', 'style="COLOR: red; margin-left:10px"' ]
+			] );
+		} );
+
+		it( 'should report the elements that are not closed and the unexpected closing tags', () => {
+			const source = '<div><strong>Foo</div></em>';
+			const output = '<div><strong>Foo</strong></div><em></em>';
+
+			expect( getIssues( source, output ) ).to.deep.equal( [
+				[ 'unclosedElement', 'strong', '<strong>' ],
+				[ 'unexpectedClosingTag', 'em', '</em>' ]
+			] );
+		} );
+
+		it( 'should return the issues sorted by their offsets', () => {
+			const source = '<p data-foo="1"><span>Foo</p><hr>';
+			const output = '<p>Foo</p>';
+
+			expect( getIssues( source, output ).map( ( [ type ] ) => type ) ).to.deep.equal( [
+				'removedAttribute',
+				'unclosedElement',
+				'removedElement',
+				'removedElement'
+			] );
+		} );
+	} );
+} );
+
+function getIssues( source, output ) {
+	return validateHtmlSource( source, output ).map( issue => [ issue.type, issue.name, source.slice( issue.start, issue.end ) ] );
+}
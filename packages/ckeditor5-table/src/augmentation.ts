@@ -15,8 +15,13 @@ import type {
 	TableCellProperties,
 	TableCellPropertiesEditing,
 	TableCellPropertiesUI,
+	TableCellFormula,
+	TableCellFormulaEditing,
 	TableCellWidthEditing,
 	TableClipboard,
+	TableCsv,
+	TableCsvEditing,
+	TableCsvUI,
 	TableColumnResize,
 	TableColumnResizeEditing,
 	TableEditing,
@@ -43,12 +48,16 @@ import type {
 	SelectRowCommand,
 	SetHeaderColumnCommand,
 	SetHeaderRowCommand,
+	SortTableByColumnCommand,
 	SplitCellCommand,
 	ToggleTableCaptionCommand,
+	InsertTableFromCsvCommand,
+	ExportTableToCsvCommand,
 	TableCellBackgroundColorCommand,
 	TableCellBorderColorCommand,
 	TableCellBorderStyleCommand,
 	TableCellBorderWidthCommand,
+	TableCellFormulaCommand,
 	TableCellHeightCommand,
 	TableCellHorizontalAlignmentCommand,
 	TableCellPaddingCommand,
@@ -82,8 +91,13 @@ declare module '@ckeditor/ckeditor5-core' {
 		[ TableCellProperties.pluginName ]: TableCellProperties;
 		[ TableCellPropertiesEditing.pluginName ]: TableCellPropertiesEditing;
 		[ TableCellPropertiesUI.pluginName ]: TableCellPropertiesUI;
+		[ TableCellFormula.pluginName ]: TableCellFormula;
+		[ TableCellFormulaEditing.pluginName ]: TableCellFormulaEditing;
 		[ TableCellWidthEditing.pluginName ]: TableCellWidthEditing;
 		[ TableClipboard.pluginName ]: TableClipboard;
+		[ TableCsv.pluginName ]: TableCsv;
+		[ TableCsvEditing.pluginName ]: TableCsvEditing;
+		[ TableCsvUI.pluginName ]: TableCsvUI;
 		[ TableColumnResize.pluginName ]: TableColumnResize;
 		[ TableColumnResizeEditing.pluginName ]: TableColumnResizeEditing;
 		[ TableEditing.pluginName ]: TableEditing;
@@ -116,13 +130,17 @@ declare module '@ckeditor/ckeditor5-core' {
 		selectTableRow: SelectRowCommand;
 		setTableColumnHeader: SetHeaderColumnCommand;
 		setTableRowHeader: SetHeaderRowCommand;
+		sortTableByColumn: SortTableByColumnCommand;
 		splitTableCellVertically: SplitCellCommand;
 		splitTableCellHorizontally: SplitCellCommand;
 		toggleTableCaption: ToggleTableCaptionCommand;
+		insertTableFromCsv: InsertTableFromCsvCommand;
+		exportTableToCsv: ExportTableToCsvCommand;
 		tableCellBackgroundColor: TableCellBackgroundColorCommand;
 		tableCellBorderColor: TableCellBorderColorCommand;
 		tableCellBorderStyle: TableCellBorderStyleCommand;
 		tableCellBorderWidth: TableCellBorderWidthCommand;
+		tableCellFormula: TableCellFormulaCommand;
 		tableCellHeight: TableCellHeightCommand;
 		tableCellHorizontalAlignment: TableCellHorizontalAlignmentCommand;
 		tableCellPadding: TableCellPaddingCommand;
@@ -0,0 +1,239 @@
+/**
+ * @license Copyright (c) 2003-2024, CKSource Holding sp. z o.o. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+
+/**
+ * @module table/commands/sorttablebycolumncommand
+ */
+
+import { Command } from 'ckeditor5/src/core.js';
+import type { Element } from 'ckeditor5/src/engine.js';
+import type TableUtils from '../tableutils.js';
+
+import TableWalker from '../tablewalker.js';
+import { getTableCellText, parseNumber } from '../utils/common.js';
+
+/**
+ * The sort table by column command.
+ *
+ * The command is registered by {@link module:table/tableediting~TableEditing} as the `'sortTableByColumn'` editor command.
+ *
+ * To sort the rows of the table by the contents of the column containing the selection, execute the command:
+ *
+ * ```ts
+ * editor.execute( 'sortTableByColumn', { order: 'descending' } );
+ * ```
+ *
+ * The header rows are never sorted. The rows joined by cells spanning multiple rows are moved together, as a single group,
+ * which is sorted by the contents of its first row. The command is disabled if a cell from the header rows spans
+ * to the table body.
+ */
+export default class SortTableByColumnCommand extends Command {
+	/**
+	 * @inheritDoc
+	 */
+	public override refresh(): void {
+		const tableUtils: TableUtils = this.editor.plugins.get( 'TableUtils' );
+		const selectedCells = tableUtils.getSelectionAffectedTableCells( this.editor.model.document.selection );
+
+		if ( !selectedCells.length ) {
+			this.isEnabled = false;
+
+			return;
+		}
+
+		const table = selectedCells[ 0 ].findAncestor( 'table' )!;
+		const rowGroups = getSortableRowGroups( table );
+
+		this.isEnabled = !!rowGroups && rowGroups.length > 1;
+	}
+
+	/**
+	 * Executes the command.
+	 *
+	 * @fires execute
+	 * @param options.order The sort order. Defaults to `'ascending'`.
+	 * @param options.compare The way the cell contents are compared:
+	 *
+	 * * `'text'` &ndash; A locale-aware comparison of the texts (using the
+	 * {@link module:utils/locale~Locale#contentLanguage content language}), with the numbers inside the texts compared by their values.
+	 * * `'number'` &ndash; A comparison of the numbers. Both `.` and `,` are accepted as decimal separators.
+	 * * `'date'` &ndash; A comparison of the dates.
+	 * * `'auto'` &ndash; Compares the numbers if all cells in the column contain numbers, the dates if all cells contain dates,
+	 * and the texts otherwise.
+	 *
+	 * The empty cells and the cells which cannot be compared in the chosen way are always placed at the end. Defaults to `'auto'`.
+	 * @param options.column The index of the column to sort by. Defaults to the column of the first selected cell.
+	 */
+	public override execute( options: {
+		order?: TableSortOrder;
+		compare?: TableSortCompare;
+		column?: number;
+	} = {} ): void {
+		const { order = 'ascending', compare = 'auto' } = options;
+		const model = this.editor.model;
+		const tableUtils: TableUtils = this.editor.plugins.get( 'TableUtils' );
+		const selectedCells = tableUtils.getSelectionAffectedTableCells( model.document.selection );
+		const table = selectedCells[ 0 ].findAncestor( 'table' )!;
+		const column = options.column === undefined ? tableUtils.getCellLocation( selectedCells[ 0 ] ).column : options.column;
+		const rowGroups = getSortableRowGroups( table )!;
+		const rows = Array.from( table.getChildren() ).filter( child => child.is( 'element', 'tableRow' ) ) as Array<Element>;
+
+		const texts = rowGroups.map( group => getCellText( table, group.start, column ) );
+		const values = getSortValues( texts, compare, this.editor.locale.contentLanguage );
+		const sortedGroups = rowGroups
+			.map( ( group, index ) => ( { group, value: values[ index ] } ) )
+			.sort( ( a, b ) => compareValues( a.value, b.value, order ) )
+			.map( ( { group } ) => group );
+
+		const headingRows = table.getAttribute( 'headingRows' ) as number || 0;
+
+		model.change( writer => {
+			let index = headingRows;
+
+			for ( const group of sortedGroups ) {
+				for ( let rowIndex = group.start; rowIndex <= group.end; rowIndex++ ) {
+					const row = rows[ rowIndex ];
+
+					if ( row.index !== index ) {
+						writer.move( writer.createRangeOn( row ), table, index );
+					}
+
+					index++;
+				}
+			}
+		} );
+	}
+}
+
+/**
+ * The order in which the table rows are sorted by the {@link module:table/commands/sorttablebycolumncommand~SortTableByColumnCommand}.
+ */
+export type TableSortOrder = 'ascending' | 'descending';
+
+/**
+ * The way the cell contents are compared by the {@link module:table/commands/sorttablebycolumncommand~SortTableByColumnCommand}.
+ */
+export type TableSortCompare = 'auto' | 'text' | 'number' | 'date';
+
+/**
+ * The group of rows that are sorted together (e.g. because of the cells spanning over them).
+ */
+interface RowGroup {
+	start: number;
+	end: number;
+}
+
+/**
+ * A value used for sorting a row group. The `null` value represents the empty cell or a cell that cannot be compared.
+ */
+type SortValue = { value: number } | { text: string; collator: Intl.Collator } | null;
+
+/**
+ * Returns the groups of the body rows that can be moved independently, or `null` if the table body cannot be sorted
+ * because it is spanned by a cell from the header rows.
+ */
+function getSortableRowGroups( table: Element ): Array<RowGroup> | null {
+	const headingRows = table.getAttribute( 'headingRows' ) as number || 0;
+	const rowsCount = Array.from( table.getChildren() ).filter( child => child.is( 'element', 'tableRow' ) ).length;
+	const spanEnds: Array<number> = [];
+
+	for ( const { row, cellHeight } of new TableWalker( table ) ) {
+		const spanEnd = row + cellHeight - 1;
+
+		if ( row < headingRows && spanEnd >= headingRows ) {
+			return null;
+		}
+
+		spanEnds[ row ] = Math.max( spanEnds[ row ] || row, spanEnd );
+	}
+
+	const groups: Array<RowGroup> = [];
+
+	for ( let start = headingRows; start < rowsCount; ) {
+		let end = start;
+
+		for ( let row = start; row <= end; row++ ) {
+			end = Math.min( Math.max( end, spanEnds[ row ] || row ), rowsCount - 1 );
+		}
+
+		groups.push( { start, end } );
+		start = end + 1;
+	}
+
+	return groups;
+}
+
+/**
+ * Returns the text of the cell occupying the given slot of the table.
+ */
+function getCellText( table: Element, row: number, column: number ): string {
+	for ( const { cell } of new TableWalker( table, { row, column, includeAllSlots: true } ) ) {
+		return getTableCellText( cell );
+	}
+
+	return '';
+}
+
+/**
+ * Converts the cell texts to the values used for sorting.
+ */
+function getSortValues( texts: Array<string>, compare: TableSortCompare, language: string ): Array<SortValue> {
+	const nonEmptyTexts = texts.filter( text => text );
+
+	if ( compare == 'auto' ) {
+		if ( nonEmptyTexts.length && nonEmptyTexts.every( text => parseNumber( text ) !== null ) ) {
+			compare = 'number';
+		} else if ( nonEmptyTexts.length && nonEmptyTexts.every( text => parseDate( text ) !== null ) ) {
+			compare = 'date';
+		} else {
+			compare = 'text';
+		}
+	}
+
+	if ( compare == 'text' ) {
+		const collator = new Intl.Collator( language, { numeric: true, sensitivity: 'base' } );
+
+		return texts.map( text => text ? { text, collator } : null );
+	}
+
+	const parse = compare == 'number' ? parseNumber : parseDate;
+
+	return texts.map( text => {
+		const value = parse( text );
+
+		return value === null ? null : { value };
+	} );
+}
+
+/**
+ * Compares the sort values. The `null` values are always placed at the end.
+ */
+function compareValues( a: SortValue, b: SortValue, order: TableSortOrder ): number {
+	if ( !a && !b ) {
+		return 0;
+	}
+
+	if ( !a || !b ) {
+		return a ? -1 : 1;
+	}
+
+	const result = 'text' in a ? a.collator.compare( a.text, ( b as typeof a ).text ) : a.value - ( b as typeof a ).value;
+
+	return order == 'descending' ? -result : result;
+}
+
+/**
+ * Parses a date from the text. The text must contain a year or a numeric date (e.g. `24/12/23`) because `Date.parse()`
+ * accepts almost any text with a number in it.
+ */
+function parseDate( text: string ): number | null {
+	if ( !/\d{4}|\d{1,2}[./-]\d{1,2}[./-]\d{2}/.test( text ) ) {
+		return null;
+	}
+
+	const timestamp = Date.parse( text );
+
+	return isNaN( timestamp ) ? null : timestamp;
+}
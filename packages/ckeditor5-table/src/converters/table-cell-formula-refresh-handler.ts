@@ -0,0 +1,60 @@
+/**
+ * @license Copyright (c) 2003-2024, CKSource Holding sp. z o.o. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+
+/**
+ * @module table/converters/table-cell-formula-refresh-handler
+ */
+
+import type { EditingController, Element, Model, Position } from 'ckeditor5/src/engine.js';
+
+import TableWalker from './../tablewalker.js';
+
+/**
+ * A table cell formula refresh handler which marks the formula cells in the differ to have them re-rendered.
+ *
+ * The values of the formula cells are computed when the cells are converted to the view, so they are not stored in the model.
+ * When a table changes, a formula cell needs to be re-rendered if its value (or whether it has a formula at all)
+ * differs from the value displayed in the editing view.
+ *
+ * @param getFormulaResultText The callback returning the text that should be displayed in the formula cell
+ * (or `undefined` for a cell without a formula).
+ */
+export default function tableCellFormulaRefreshHandler(
+	model: Model,
+	editing: EditingController,
+	getFormulaResultText: ( tableCell: Element ) => string | undefined
+): void {
+	const tables = new Set<Element>();
+
+	for ( const change of model.document.differ.getChanges() ) {
+		const position: Position = change.type == 'attribute' ? change.range.start : change.position;
+		const isTableInsertion = change.type == 'insert' && change.name == 'table';
+		const table = isTableInsertion ? position.nodeAfter as Element : position.findAncestor( 'table' );
+
+		if ( table ) {
+			tables.add( table );
+		}
+	}
+
+	for ( const table of tables ) {
+		if ( !table.isAttached() ) {
+			continue;
+		}
+
+		const cellsToRefresh = new Set<Element>();
+
+		for ( const { cell } of new TableWalker( table ) ) {
+			const viewCell = editing.mapper.toViewElement( cell );
+
+			if ( viewCell && getFormulaResultText( cell ) !== viewCell.getCustomProperty( 'tableCellFormulaResult' ) ) {
+				cellsToRefresh.add( cell );
+			}
+		}
+
+		for ( const cell of cellsToRefresh ) {
+			editing.reconvertItem( cell );
+		}
+	}
+}
@@ -15,6 +15,8 @@ export { default as TableToolbar } from './tabletoolbar.js';
 export { default as TableCellProperties } from './tablecellproperties.js';
 export { default as TableCellPropertiesEditing } from './tablecellproperties/tablecellpropertiesediting.js';
 export { default as TableCellPropertiesUI } from './tablecellproperties/tablecellpropertiesui.js';
+export { default as TableCellFormula } from './tablecellformula.js';
+export { default as TableCellFormulaEditing } from './tablecellformula/tablecellformulaediting.js';
 export { default as TableCellWidthEditing } from './tablecellwidth/tablecellwidthediting.js';
 export { default as TableProperties } from './tableproperties.js';
 export { default as TablePropertiesEditing } from './tableproperties/tablepropertiesediting.js';
@@ -22,6 +24,9 @@ export { default as TablePropertiesUI } from './tableproperties/tablepropertiesu
 export { default as TableCaption } from './tablecaption.js';
 export { default as TableCaptionEditing } from './tablecaption/tablecaptionediting.js';
 export { default as TableCaptionUI } from './tablecaption/tablecaptionui.js';
+export { default as TableCsv } from './tablecsv.js';
+export { default as TableCsvEditing } from './tablecsv/tablecsvediting.js';
+export { default as TableCsvUI } from './tablecsv/tablecsvui.js';
 export { default as TableClipboard } from './tableclipboard.js';
 export { default as TableMouse } from './tablemouse.js';
 export { default as TableKeyboard } from './tablekeyboard.js';
@@ -30,7 +35,7 @@ export { default as TableUtils } from './tableutils.js';
 export { default as TableColumnResize } from './tablecolumnresize.js';
 export { default as TableColumnResizeEditing } from './tablecolumnresize/tablecolumnresizeediting.js';
 
-export type { TableConfig } from './tableconfig.js';
+export type { TableConfig, TableCsvConfig } from './tableconfig.js';
 export type { default as InsertColumnCommand } from './commands/insertcolumncommand.js';
 export type { default as InsertRowCommand } from './commands/insertrowcommand.js';
 export type { default as InsertTableCommand } from './commands/inserttablecommand.js';
@@ -42,12 +47,21 @@ export type { default as SelectColumnCommand } from './commands/selectcolumncomm
 export type { default as SelectRowCommand } from './commands/selectrowcommand.js';
 export type { default as SetHeaderColumnCommand } from './commands/setheadercolumncommand.js';
 export type { default as SetHeaderRowCommand } from './commands/setheaderrowcommand.js';
+export type {
+	default as SortTableByColumnCommand,
+	TableSortOrder,
+	TableSortCompare
+} from './commands/sorttablebycolumncommand.js';
 export type { default as SplitCellCommand } from './commands/splitcellcommand.js';
 export type { default as ToggleTableCaptionCommand } from './tablecaption/toggletablecaptioncommand.js';
+export type { default as InsertTableFromCsvCommand } from './tablecsv/inserttablefromcsvcommand.js';
+export type { default as ExportTableToCsvCommand } from './tablecsv/exporttabletocsvcommand.js';
+export type { CsvDelimiter } from './utils/csv.js';
 export type { default as TableCellBackgroundColorCommand } from './tablecellproperties/commands/tablecellbackgroundcolorcommand.js';
 export type { default as TableCellBorderColorCommand } from './tablecellproperties/commands/tablecellbordercolorcommand.js';
 export type { default as TableCellBorderStyleCommand } from './tablecellproperties/commands/tablecellborderstylecommand.js';
 export type { default as TableCellBorderWidthCommand } from './tablecellproperties/commands/tablecellborderwidthcommand.js';
+export type { default as TableCellFormulaCommand } from './tablecellformula/tablecellformulacommand.js';
 export type { default as TableCellHeightCommand } from './tablecellproperties/commands/tablecellheightcommand.js';
 export type { default as TableCellHorizontalAlignmentCommand } from './tablecellproperties/commands/tablecellhorizontalalignmentcommand.js';
 export type { default as TableCellPaddingCommand } from './tablecellproperties/commands/tablecellpaddingcommand.js';
@@ -0,0 +1,36 @@
+/**
+ * @license Copyright (c) 2003-2024, CKSource Holding sp. z o.o. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+
+/**
+ * @module table/tablecellformula
+ */
+
+import { Plugin } from 'ckeditor5/src/core.js';
+import TableCellFormulaEditing from './tablecellformula/tablecellformulaediting.js';
+
+import '../theme/tablecellformula.css';
+
+/**
+ * The table cell formula feature.
+ *
+ * It allows the table cells to contain the spreadsheet-like formulas, for example `=SUM(B2:B5)` or `=A1*C1`.
+ *
+ * For a detailed overview, check the {@glink features/tables/tables#formulas Formulas} section of the table feature guide.
+ */
+export default class TableCellFormula extends Plugin {
+	/**
+	 * @inheritDoc
+	 */
+	public static get pluginName() {
+		return 'TableCellFormula' as const;
+	}
+
+	/**
+	 * @inheritDoc
+	 */
+	public static get requires() {
+		return [ TableCellFormulaEditing ] as const;
+	}
+}
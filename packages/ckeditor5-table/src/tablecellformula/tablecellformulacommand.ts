@@ -0,0 +1,53 @@
+/**
+ * @license Copyright (c) 2003-2024, CKSource Holding sp. z o.o. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+
+/**
+ * @module table/tablecellformula/tablecellformulacommand
+ */
+
+import type { Editor } from 'ckeditor5/src/core.js';
+
+import TableCellPropertyCommand from '../tablecellproperties/commands/tablecellpropertycommand.js';
+
+/**
+ * The table cell formula command.
+ *
+ * The command is registered by the {@link module:table/tablecellformula/tablecellformulaediting~TableCellFormulaEditing} as
+ * the `'tableCellFormula'` editor command.
+ *
+ * To set the formula of the selected cells, execute the command:
+ *
+ * ```ts
+ * editor.execute( 'tableCellFormula', {
+ *   value: '=SUM(B2:B5)'
+ * } );
+ * ```
+ *
+ * The leading `=` is added if it is missing. To remove the formula (and display the content of the cell again), execute
+ * the command without the value.
+ */
+export default class TableCellFormulaCommand extends TableCellPropertyCommand {
+	/**
+	 * Creates a new `TableCellFormulaCommand` instance.
+	 *
+	 * @param editor An editor in which this command will be used.
+	 */
+	constructor( editor: Editor ) {
+		super( editor, 'tableCellFormula', '' );
+	}
+
+	/**
+	 * @inheritDoc
+	 */
+	public override _getValueToSet( value: string | number | undefined ): unknown {
+		const formula = String( value === undefined ? '' : value ).trim();
+
+		if ( !formula ) {
+			return;
+		}
+
+		return formula.startsWith( '=' ) ? formula : `=${ formula }`;
+	}
+}
@@ -0,0 +1,162 @@
+/**
+ * @license Copyright (c) 2003-2024, CKSource Holding sp. z o.o. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+
+/**
+ * @module table/tablecellformula/tablecellformulaediting
+ */
+
+import { Plugin } from 'ckeditor5/src/core.js';
+import type { DowncastInsertEvent, Element } from 'ckeditor5/src/engine.js';
+
+import TableEditing from './../tableediting.js';
+import TableCellFormulaCommand from './tablecellformulacommand.js';
+import tableCellFormulaRefreshHandler from '../converters/table-cell-formula-refresh-handler.js';
+import { evaluateTableFormulas, getFormulaResultText, type FormulaError } from './utils.js';
+
+/**
+ * The table cell formula editing feature.
+ *
+ * Introduces the `tableCellFormula` table cell model attribute alongside with its converters and a command.
+ * The formula is kept in the `data-formula` attribute of the table cell while the content of the cell is the computed value:
+ *
+ * ```html
+ * <td data-formula="=SUM(B2:B5)">42</td>
+ * ```
+ *
+ * The formulas are evaluated when the cells are converted to the view, so the computed values are not stored in the model
+ * and the content of the formula cells is kept intact. The formula cells are rendered again whenever their values change.
+ *
+ * In the editing view, the computed value is displayed in place of the cell content. The cells with formulas that cannot
+ * be evaluated (e.g. because of a circular reference) get the `ck-table-cell-formula_error` class.
+ */
+export default class TableCellFormulaEditing extends Plugin {
+	/**
+	 * The results of the formulas by the table, evaluated for the given version of the document.
+	 */
+	private _results = new WeakMap<Element, { version: number; results: Map<Element, number | FormulaError> }>();
+
+	/**
+	 * @inheritDoc
+	 */
+	public static get pluginName() {
+		return 'TableCellFormulaEditing' as const;
+	}
+
+	/**
+	 * @inheritDoc
+	 */
+	public static get requires() {
+		return [ TableEditing ] as const;
+	}
+
+	/**
+	 * @inheritDoc
+	 */
+	public init(): void {
+		const editor = this.editor;
+		const model = editor.model;
+		const conversion = editor.conversion;
+
+		model.schema.extend( 'tableCell', {
+			allowAttributes: [ 'tableCellFormula' ]
+		} );
+
+		conversion.for( 'upcast' ).attributeToAttribute( {
+			view: {
+				name: /^(td|th)$/,
+				key: 'data-formula'
+			},
+			model: 'tableCellFormula'
+		} );
+
+		conversion.for( 'downcast' ).attributeToAttribute( {
+			model: {
+				name: 'tableCell',
+				key: 'tableCellFormula'
+			},
+			view: 'data-formula'
+		} );
+
+		// The converters run after the table cell and its content are converted.
+		conversion.for( 'dataDowncast' ).add( dispatcher => {
+			dispatcher.on<DowncastInsertEvent<Element>>( 'insert:tableCell', ( evt, data, { writer, mapper } ) => {
+				const text = this._getFormulaResultText( data.item );
+				const viewCell = mapper.toViewElement( data.item );
+
+				if ( text === undefined || !viewCell ) {
+					return;
+				}
+
+				writer.remove( writer.createRangeIn( viewCell ) );
+				writer.insert( writer.createPositionAt( viewCell, 0 ), writer.createText( text ) );
+			}, { priority: 'low' } );
+		} );
+
+		conversion.for( 'editingDowncast' ).add( dispatcher => {
+			dispatcher.on<DowncastInsertEvent<Element>>( 'insert:tableCell', ( evt, data, { writer, mapper } ) => {
+				const text = this._getFormulaResultText( data.item );
+				const viewCell = mapper.toViewElement( data.item );
+
+				if ( text === undefined || !viewCell ) {
+					return;
+				}
+
+				// The content of the cell stays in the view (so the model positions can be mapped), but it is hidden by the styles.
+				const valueElement = writer.createUIElement( 'span', { class: 'ck-table-cell-formula__value' }, function( domDocument ) {
+					const domElement = this.toDomElement( domDocument );
+
+					domElement.textContent = text;
+
+					return domElement;
+				} );
+
+				writer.insert( writer.createPositionAt( viewCell, 0 ), valueElement );
+				writer.addClass( 'ck-table-cell-formula', viewCell );
+				writer.setCustomProperty( 'tableCellFormulaResult', text, viewCell );
+
+				if ( this._getFormulaResult( data.item ) instanceof Error ) {
+					writer.addClass( 'ck-table-cell-formula_error', viewCell );
+				}
+			}, { priority: 'low' } );
+		} );
+
+		editor.commands.add( 'tableCellFormula', new TableCellFormulaCommand( editor ) );
+
+		this.listenTo( model.document, 'change:data', () => {
+			tableCellFormulaRefreshHandler( model, editor.editing, tableCell => this._getFormulaResultText( tableCell ) );
+		} );
+	}
+
+	/**
+	 * Returns the result of the formula of the table cell or `undefined` if the cell has no formula.
+	 * The formulas of a table are evaluated once for each version of the document.
+	 */
+	private _getFormulaResult( tableCell: Element ): number | FormulaError | undefined {
+		const table = tableCell.parent && tableCell.parent.parent as Element | null;
+
+		if ( !table || !tableCell.hasAttribute( 'tableCellFormula' ) ) {
+			return;
+		}
+
+		const version = this.editor.model.document.version;
+		let cache = this._results.get( table );
+
+		if ( !cache || cache.version != version ) {
+			cache = { version, results: evaluateTableFormulas( table ) };
+			this._results.set( table, cache );
+		}
+
+		return cache.results.get( tableCell );
+	}
+
+	/**
+	 * Returns the text displayed in the formula cell or `undefined` if the cell has no formula.
+	 */
+	private _getFormulaResultText( tableCell: Element ): string | undefined {
+		const result = this._getFormulaResult( tableCell );
+
+		return result === undefined ? undefined : getFormulaResultText( result );
+	}
+}
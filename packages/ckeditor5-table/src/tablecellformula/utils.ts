@@ -0,0 +1,423 @@
+/**
+ * @license Copyright (c) 2003-2024, CKSource Holding sp. z o.o. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+
+/**
+ * @module table/tablecellformula/utils
+ */
+
+import type { Element } from 'ckeditor5/src/engine.js';
+
+import TableWalker from '../tablewalker.js';
+import { getTableCellText, parseNumber } from '../utils/common.js';
+
+/**
+ * The value of a table cell used in a formula: a number, a text or `null` for an empty cell.
+ */
+export type FormulaCellValue = number | string | null;
+
+/**
+ * The location of a table slot referenced in a formula (e.g. `B3` is `{ row: 2, column: 1 }`).
+ */
+export interface FormulaCellAddress {
+	row: number;
+	column: number;
+}
+
+/**
+ * The callback returning the values of the cells in the rectangular range of the table. Each cell should be returned
+ * once, even if it spans over multiple slots of the range.
+ *
+ * It should throw the {@link module:table/tablecellformula/utils~FormulaError} if the range is outside the table
+ * or one of the cells contains a formula that could not be evaluated.
+ */
+export type FormulaRangeResolver = ( start: FormulaCellAddress, end: FormulaCellAddress ) => Array<FormulaCellValue>;
+
+/**
+ * The error thrown when a formula cannot be evaluated. The {@link #code} is displayed in the table cell instead of the value:
+ *
+ * * `'#ERROR!'` &ndash; The formula has an invalid syntax.
+ * * `'#NAME?'` &ndash; The formula uses an unknown function.
+ * * `'#REF!'` &ndash; The formula references a cell outside the table.
+ * * `'#VALUE!'` &ndash; The formula uses a text in a calculation.
+ * * `'#DIV/0!'` &ndash; The formula divides by zero.
+ * * `'#CIRCULAR!'` &ndash; The formula references itself (directly or through other formulas).
+ */
+export class FormulaError extends Error {
+	/**
+	 * The error code.
+	 */
+	public readonly code: string;
+
+	/**
+	 * Creates an instance of the formula error.
+	 *
+	 * @param code The error code.
+	 */
+	constructor( code: string ) {
+		super( code );
+
+		this.code = code;
+	}
+}
+
+/**
+ * Evaluates the formula, e.g. `'=SUM(B2:B5) * 2'`.
+ *
+ * The formula supports numbers, the `+`, `-`, `*` and `/` operators, parentheses, the cell references in the A1 notation
+ * and the `SUM()`, `AVERAGE()`, `MIN()`, `MAX()` and `COUNT()` functions accepting cell ranges (e.g. `A1:C3`).
+ *
+ * @param formula The formula to evaluate. The leading `=` is optional.
+ * @param resolveRange The callback returning the values of the referenced cells.
+ * @throws {module:table/tablecellformula/utils~FormulaError} If the formula cannot be evaluated.
+ */
+export function evaluateFormula( formula: string, resolveRange: FormulaRangeResolver ): number {
+	const parser = new FormulaParser( formula.replace( /^\s*=/, '' ), resolveRange );
+	const result = parser.parse();
+
+	if ( !isFinite( result ) ) {
+		throw new FormulaError( '#DIV/0!' );
+	}
+
+	return result;
+}
+
+/**
+ * Evaluates the formulas of all cells in the table. The formulas referencing other formula cells use their results,
+ * so the order of the cells does not matter.
+ *
+ * @returns The results of the formula cells: the computed values or the errors if the formulas could not be evaluated.
+ */
+export function evaluateTableFormulas( table: Element ): Map<Element, number | FormulaError> {
+	const grid: Array<Array<Element>> = [];
+	const results = new Map<Element, number | FormulaError>();
+	const pendingCells = new Set<Element>();
+
+	for ( const { row, column, cell } of new TableWalker( table, { includeAllSlots: true } ) ) {
+		( grid[ row ] = grid[ row ] || [] )[ column ] = cell;
+	}
+
+	function getCellValue( cell: Element ): FormulaCellValue {
+		const formula = cell.getAttribute( 'tableCellFormula' ) as string | undefined;
+
+		if ( !formula ) {
+			const text = getTableCellText( cell );
+			const value = parseNumber( text );
+
+			return value === null ? text || null : value;
+		}
+
+		if ( !results.has( cell ) ) {
+			if ( pendingCells.has( cell ) ) {
+				throw new FormulaError( '#CIRCULAR!' );
+			}
+
+			pendingCells.add( cell );
+			results.set( cell, evaluateCellFormula( formula, resolveRange ) );
+			pendingCells.delete( cell );
+		}
+
+		const result = results.get( cell )!;
+
+		if ( result instanceof FormulaError ) {
+			throw new FormulaError( result.code );
+		}
+
+		return result;
+	}
+
+	function resolveRange( start: FormulaCellAddress, end: FormulaCellAddress ): Array<FormulaCellValue> {
+		const rangeCells = new Set<Element>();
+
+		for ( let row = start.row; row <= end.row; row++ ) {
+			for ( let column = start.column; column <= end.column; column++ ) {
+				const cell = grid[ row ] && grid[ row ][ column ];
+
+				if ( !cell ) {
+					throw new FormulaError( '#REF!' );
+				}
+
+				rangeCells.add( cell );
+			}
+		}
+
+		return Array.from( rangeCells, getCellValue );
+	}
+
+	for ( const cells of grid ) {
+		for ( const cell of cells ) {
+			if ( cell.hasAttribute( 'tableCellFormula' ) && !results.has( cell ) ) {
+				// The error of the formula is stored in the results, there is no need to handle it here.
+				try {
+					getCellValue( cell );
+				} catch ( error ) {
+					if ( !( error instanceof FormulaError ) ) {
+						throw error;
+					}
+				}
+			}
+		}
+	}
+
+	return results;
+}
+
+/**
+ * Returns the text displayed in the formula cell: the formatted result or the error code.
+ */
+export function getFormulaResultText( result: number | FormulaError ): string {
+	return result instanceof FormulaError ? result.code : formatFormulaResult( result );
+}
+
+/**
+ * Formats the result of the formula, rounding the floating point errors (so `0.1 + 0.2` gives `0.3`).
+ */
+export function formatFormulaResult( value: number ): string {
+	return String( Number( value.toPrecision( 15 ) ) );
+}
+
+/**
+ * Parses the cell reference in the A1 notation, e.g. `'AB12'`.
+ *
+ * @returns The address of the cell or `null` if the text is not a valid cell reference.
+ */
+export function parseCellReference( reference: string ): FormulaCellAddress | null {
+	const match = reference.toUpperCase().match( /^([A-Z]+)([1-9]\d*)$/ );
+
+	if ( !match ) {
+		return null;
+	}
+
+	const column = Array.from( match[ 1 ] ).reduce( ( result, letter ) => result * 26 + letter.charCodeAt( 0 ) - 64, 0 ) - 1;
+
+	return { row: Number( match[ 2 ] ) - 1, column };
+}
+
+const FUNCTIONS: Record<string, ( values: Array<number> ) => number> = {
+	SUM: sum,
+	AVERAGE: values => {
+		if ( !values.length ) {
+			throw new FormulaError( '#DIV/0!' );
+		}
+
+		return sum( values ) / values.length;
+	},
+	MIN: values => values.length ? Math.min( ...values ) : 0,
+	MAX: values => values.length ? Math.max( ...values ) : 0,
+	COUNT: values => values.length
+};
+
+const TOKEN_REG_EXP = /\s*(?:(\d+(?:\.\d*)?|\.\d+)|([A-Za-z]+\d*)|(\S))/y;
+
+/**
+ * Evaluates the formula of a cell, returning the error instead of throwing it.
+ */
+function evaluateCellFormula( formula: string, resolveRange: FormulaRangeResolver ): number | FormulaError {
+	try {
+		return evaluateFormula( formula, resolveRange );
+	} catch ( error ) {
+		if ( error instanceof FormulaError ) {
+			return error;
+		}
+
+		throw error;
+	}
+}
+
+/**
+ * A recursive descent parser evaluating the formula while reading it.
+ *
+ * ```
+ * expression = term { ( "+" | "-" ) term }
+ * term = factor { ( "*" | "/" ) factor }
+ * factor = ( "+" | "-" ) factor | number | reference | function "(" [ argument { ( "," | ";" ) argument } ] ")" | "(" expression ")"
+ * argument = reference ":" reference | expression
+ * ```
+ */
+class FormulaParser {
+	private readonly _tokens: Array<string>;
+	private readonly _resolveRange: FormulaRangeResolver;
+	private _index = 0;
+
+	constructor( formula: string, resolveRange: FormulaRangeResolver ) {
+		this._tokens = tokenize( formula );
+		this._resolveRange = resolveRange;
+	}
+
+	public parse(): number {
+		const result = this._parseExpression();
+
+		if ( this._index < this._tokens.length ) {
+			throw new FormulaError( '#ERROR!' );
+		}
+
+		return result;
+	}
+
+	private _parseExpression(): number {
+		let result = this._parseTerm();
+
+		while ( this._peek() == '+' || this._peek() == '-' ) {
+			const operator = this._next();
+			const operand = this._parseTerm();
+
+			result = operator == '+' ? result + operand : result - operand;
+		}
+
+		return result;
+	}
+
+	private _parseTerm(): number {
+		let result = this._parseFactor();
+
+		while ( this._peek() == '*' || this._peek() == '/' ) {
+			const operator = this._next();
+			const operand = this._parseFactor();
+
+			if ( operator == '/' && operand === 0 ) {
+				throw new FormulaError( '#DIV/0!' );
+			}
+
+			result = operator == '*' ? result * operand : result / operand;
+		}
+
+		return result;
+	}
+
+	private _parseFactor(): number {
+		const token = this._next();
+
+		if ( token === undefined ) {
+			throw new FormulaError( '#ERROR!' );
+		}
+
+		if ( token == '-' || token == '+' ) {
+			const operand = this._parseFactor();
+
+			return token == '-' ? -operand : operand;
+		}
+
+		if ( token == '(' ) {
+			const result = this._parseExpression();
+
+			this._expect( ')' );
+
+			return result;
+		}
+
+		if ( /^[\d.]/.test( token ) ) {
+			return Number( token );
+		}
+
+		if ( /^[A-Za-z]/.test( token ) ) {
+			if ( this._peek() == '(' ) {
+				return this._parseFunction( token.toUpperCase() );
+			}
+
+			return toNumber( this._resolveRange( this._parseReference( token ), this._parseReference( token ) )[ 0 ] );
+		}
+
+		throw new FormulaError( '#ERROR!' );
+	}
+
+	private _parseFunction( name: string ): number {
+		if ( !FUNCTIONS[ name ] ) {
+			throw new FormulaError( '#NAME?' );
+		}
+
+		const values: Array<number> = [];
+
+		this._expect( '(' );
+
+		if ( this._peek() != ')' ) {
+			values.push( ...this._parseArgument() );
+
+			while ( this._peek() == ',' || this._peek() == ';' ) {
+				this._next();
+				values.push( ...this._parseArgument() );
+			}
+		}
+
+		this._expect( ')' );
+
+		return FUNCTIONS[ name ]( values );
+	}
+
+	private _parseArgument(): Array<number> {
+		if ( this._tokens[ this._index + 1 ] != ':' ) {
+			return [ this._parseExpression() ];
+		}
+
+		const start = this._parseReference( this._next() );
+
+		this._expect( ':' );
+
+		const end = this._parseReference( this._next() );
+
+		// Ranges skip the texts and empty cells, like in spreadsheets.
+		return this._resolveRange(
+			{ row: Math.min( start.row, end.row ), column: Math.min( start.column, end.column ) },
+			{ row: Math.max( start.row, end.row ), column: Math.max( start.column, end.column ) }
+		).filter( ( value ): value is number => typeof value == 'number' );
+	}
+
+	private _parseReference( token: string | undefined ): FormulaCellAddress {
+		const address = token && parseCellReference( token );
+
+		if ( !address ) {
+			throw new FormulaError( token && /^[A-Za-z]+$/.test( token ) ? '#NAME?' : '#ERROR!' );
+		}
+
+		return address;
+	}
+
+	private _peek(): string | undefined {
+		return this._tokens[ this._index ];
+	}
+
+	private _next(): string | undefined {
+		return this._tokens[ this._index++ ];
+	}
+
+	private _expect( token: string ): void {
+		if ( this._next() != token ) {
+			throw new FormulaError( '#ERROR!' );
+		}
+	}
+}
+
+/**
+ * Splits the formula into the numbers, the names (references and functions) and the single characters.
+ */
+function tokenize( formula: string ): Array<string> {
+	const tokens: Array<string> = [];
+
+	TOKEN_REG_EXP.lastIndex = 0;
+
+	while ( TOKEN_REG_EXP.lastIndex < formula.trimEnd().length ) {
+		const match = TOKEN_REG_EXP.exec( formula )!;
+
+		tokens.push( match[ 1 ] || match[ 2 ] || match[ 3 ] );
+	}
+
+	return tokens;
+}
+
+/**
+ * Converts the value of a single referenced cell to a number. The empty cells are treated as `0`.
+ */
+function toNumber( value: FormulaCellValue ): number {
+	if ( typeof value == 'string' ) {
+		throw new FormulaError( '#VALUE!' );
+	}
+
+	return value || 0;
+}
+
+/**
+ * Returns the sum of the values.
+ */
+function sum( values: Array<number> ): number {
+	return values.reduce( ( result, value ) => result + value, 0 );
+}
@@ -13,6 +13,7 @@ import {
 	ClipboardPipeline,
 	ClipboardMarkersUtils,
 	type ClipboardEventData,
+	type ViewDocumentClipboardInputEvent,
 	type ViewDocumentCopyEvent,
 	type ViewDocumentCutEvent,
 	type ViewDocumentClipboardOutputEvent
@@ -20,17 +21,18 @@ import {
 
 import { Plugin } from 'ckeditor5/src/core.js';
 
-import type {
-	DocumentFragment,
-	DocumentSelection,
-	DomEventData,
-	Element,
-	Item,
-	Model,
-	ModelInsertContentEvent,
-	Position,
-	Selection,
-	Writer
+import {
+	UpcastWriter,
+	type DocumentFragment,
+	type DocumentSelection,
+	type DomEventData,
+	type Element,
+	type Item,
+	type Model,
+	type ModelInsertContentEvent,
+	type Position,
+	type Selection,
+	type Writer
 } from 'ckeditor5/src/engine.js';
 
 import TableSelection from './tableselection.js';
@@ -47,6 +49,7 @@ import {
 	adjustLastRowIndex,
 	adjustLastColumnIndex
 } from './utils/structure.js';
+import { createViewTableFromCsv, isTabSeparatedText, parseCsv } from './utils/csv.js';
 
 /**
  * This plugin adds support for copying/cutting/pasting fragments of tables.
@@ -76,6 +79,7 @@ export default class TableClipboard extends Plugin {
 
 		this.listenTo<ViewDocumentCopyEvent>( viewDocument, 'copy', ( evt, data ) => this._onCopyCut( evt, data ) );
 		this.listenTo<ViewDocumentCutEvent>( viewDocument, 'cut', ( evt, data ) => this._onCopyCut( evt, data ) );
+		this.listenTo<ViewDocumentClipboardInputEvent>( viewDocument, 'clipboardInput', ( evt, data ) => this._onClipboardInput( data ) );
 		this.listenTo<ModelInsertContentEvent>(
 			editor.model,
 			'insertContent',
@@ -123,6 +127,27 @@ export default class TableClipboard extends Plugin {
 		} );
 	}
 
+	/**
+	 * Converts the tab-separated values (e.g. copied from a spreadsheet) pasted as plain text over the selected table cells
+	 * to a table, so they are pasted into the selected cells just like a copied table fragment.
+	 *
+	 * @param data Clipboard input event data.
+	 */
+	private _onClipboardInput( data: ViewDocumentClipboardInputEvent[ 'args' ][ 0 ] ) {
+		const tableSelection = this.editor.plugins.get( TableSelection );
+		const text = data.dataTransfer.getData( 'text/plain' );
+
+		if ( data.method != 'paste' || data.content || data.dataTransfer.getData( 'text/html' ) || !text ) {
+			return;
+		}
+
+		if ( !tableSelection.getSelectedTableCells() || !isTabSeparatedText( text ) ) {
+			return;
+		}
+
+		data.content = createViewTableFromCsv( new UpcastWriter( this.editor.editing.view.document ), parseCsv( text, '\t' ), 0 );
+	}
+
 	/**
 	 * Overrides default {@link module:engine/model/model~Model#insertContent `model.insertContent()`} method to handle pasting table inside
 	 * selected table fragment.
@@ -208,6 +208,37 @@ export interface TableConfig {
 	 * Read more about configuring the table feature in {@link module:table/tableconfig~TableConfig}.
 	 */
 	tableCellProperties?: TableCellPropertiesConfig;
+
+	/**
+	 * The configuration of the {@link module:table/tablecsv~TableCsv} feature.
+	 *
+	 * ```ts
+	 * const tableConfig = {
+	 * 	csv: {
+	 * 		pasteAsTable: true
+	 * 	}
+	 * };
+	 * ```
+	 *
+	 * Read more in {@link module:table/tableconfig~TableCsvConfig}.
+	 */
+	csv?: TableCsvConfig;
+}
+
+/**
+ * The configuration of the {@link module:table/tablecsv~TableCsv} feature.
+ */
+export interface TableCsvConfig {
+
+	/**
+	 * Whether the tab-separated values pasted as plain text (e.g. copied from a spreadsheet) should be inserted as a table.
+	 * Otherwise, each line of the pasted text becomes a paragraph.
+	 *
+	 * **Note**: The tab-separated values pasted over multiple selected table cells are always pasted into these cells.
+	 *
+	 * @default false
+	 */
+	pasteAsTable?: boolean;
 }
 
 /**
@@ -0,0 +1,37 @@
+/**
+ * @license Copyright (c) 2003-2024, CKSource Holding sp. z o.o. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+
+/**
+ * @module table/tablecsv
+ */
+
+import { Plugin } from 'ckeditor5/src/core.js';
+import TableCsvEditing from './tablecsv/tablecsvediting.js';
+import TableCsvUI from './tablecsv/tablecsvui.js';
+
+/**
+ * The table CSV feature. It allows inserting tables from CSV or TSV text and files, and exporting tables as CSV.
+ *
+ * For a detailed overview, check the {@glink features/tables/tables#importing-and-exporting-csv CSV} section
+ * of the table feature guide.
+ *
+ * This is a "glue" plugin which loads the {@link module:table/tablecsv/tablecsvediting~TableCsvEditing table CSV editing feature}
+ * and the {@link module:table/tablecsv/tablecsvui~TableCsvUI table CSV UI feature}.
+ */
+export default class TableCsv extends Plugin {
+	/**
+	 * @inheritDoc
+	 */
+	public static get pluginName() {
+		return 'TableCsv' as const;
+	}
+
+	/**
+	 * @inheritDoc
+	 */
+	public static get requires() {
+		return [ TableCsvEditing, TableCsvUI ] as const;
+	}
+}
@@ -0,0 +1,72 @@
+/**
+ * @license Copyright (c) 2003-2024, CKSource Holding sp. z o.o. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+
+/**
+ * @module table/tablecsv/exporttabletocsvcommand
+ */
+
+import { Command } from 'ckeditor5/src/core.js';
+import type { Element } from 'ckeditor5/src/engine.js';
+
+import TableWalker from '../tablewalker.js';
+import { getSelectionAffectedTable } from '../utils/common.js';
+import { stringifyCsv, type CsvDelimiter } from '../utils/csv.js';
+
+/**
+ * The export table to CSV command.
+ *
+ * The command is registered by {@link module:table/tablecsv/tablecsvediting~TableCsvEditing} as the `'exportTableToCsv'`
+ * editor command.
+ *
+ * To get the selected table as the CSV text, execute the command:
+ *
+ * ```ts
+ * const csv = editor.execute( 'exportTableToCsv' );
+ *
+ * // Or, to get the tab-separated values:
+ * const tsv = editor.execute( 'exportTableToCsv', { delimiter: '\t' } );
+ * ```
+ *
+ * The merged cells are exported as their value followed by empty values in the slots they span over. The paragraphs
+ * of a table cell are separated by line breaks.
+ */
+export default class ExportTableToCsvCommand extends Command {
+	/**
+	 * @inheritDoc
+	 */
+	public override refresh(): void {
+		this.isEnabled = !!getSelectionAffectedTable( this.editor.model.document.selection );
+	}
+
+	/**
+	 * Executes the command.
+	 *
+	 * @param options.delimiter The delimiter of the values. Defaults to `','`.
+	 * @returns The CSV text.
+	 * @fires execute
+	 */
+	public override execute( options: { delimiter?: CsvDelimiter } = {} ): string {
+		const table = getSelectionAffectedTable( this.editor.model.document.selection );
+		const rows: Array<Array<string>> = [];
+
+		for ( const { row, cell, isAnchor } of new TableWalker( table, { includeAllSlots: true } ) ) {
+			( rows[ row ] = rows[ row ] || [] ).push( isAnchor ? getCellValue( cell ) : '' );
+		}
+
+		return stringifyCsv( rows, options.delimiter || ',' );
+	}
+}
+
+/**
+ * Returns the text of the table cell with the blocks separated by line breaks.
+ */
+function getCellValue( tableCell: Element ): string {
+	return Array.from( tableCell.getChildren() )
+		.map( block => Array.from( block.is( 'element' ) ? block.getChildren() : [] )
+			.map( node => node.is( '$text' ) ? node.data : '' )
+			.join( '' )
+		)
+		.join( '\n' );
+}
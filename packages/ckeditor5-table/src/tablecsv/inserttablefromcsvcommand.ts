@@ -0,0 +1,103 @@
+/**
+ * @license Copyright (c) 2003-2024, CKSource Holding sp. z o.o. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+
+/**
+ * @module table/tablecsv/inserttablefromcsvcommand
+ */
+
+import type { Element } from 'ckeditor5/src/engine.js';
+
+import InsertTableCommand from '../commands/inserttablecommand.js';
+import type TableUtils from '../tableutils.js';
+import { detectCsvDelimiter, detectCsvHeader, parseCsv, type CsvDelimiter } from '../utils/csv.js';
+
+/**
+ * The insert table from CSV command.
+ *
+ * The command is registered by {@link module:table/tablecsv/tablecsvediting~TableCsvEditing} as the `'insertTableFromCsv'`
+ * editor command.
+ *
+ * To insert a table with the values from the CSV (or TSV) text at the current selection, execute the command:
+ *
+ * ```ts
+ * editor.execute( 'insertTableFromCsv', { data: 'Name,Age\nAlice,30\nBob,25' } );
+ * ```
+ *
+ * The command also accepts a file. In this case, it returns a promise resolved when the file is read and the table is inserted:
+ *
+ * ```ts
+ * editor.execute( 'insertTableFromCsv', { file } ).then( () => { ... } );
+ * ```
+ *
+ * The delimiter of the values is detected automatically, as well as whether the first row is a header, unless they are
+ * passed in the options.
+ */
+export default class InsertTableFromCsvCommand extends InsertTableCommand {
+	/**
+	 * Executes the command.
+	 *
+	 * @param options.data The CSV text.
+	 * @param options.file The CSV file. It is used if the `data` is not passed.
+	 * @param options.delimiter The delimiter of the values. If not provided, it is detected from the first line of the data.
+	 * @param options.headingRows The number of heading rows. If not provided, the first row becomes the heading row if
+	 * it looks like a header.
+	 * @fires execute
+	 */
+	public override execute(
+		options: {
+			data?: string;
+			file?: File;
+			delimiter?: CsvDelimiter;
+			headingRows?: number;
+		} = {}
+	): Promise<void> | void {
+		if ( options.data === undefined && options.file ) {
+			return options.file.text().then( data => this._insertTable( data, options ) );
+		}
+
+		this._insertTable( options.data || '', options );
+	}
+
+	/**
+	 * Inserts the table created from the CSV text.
+	 */
+	private _insertTable( data: string, options: { delimiter?: CsvDelimiter; headingRows?: number } ): void {
+		const model = this.editor.model;
+		const tableUtils: TableUtils = this.editor.plugins.get( 'TableUtils' );
+		const rows = parseCsv( data, options.delimiter || detectCsvDelimiter( data ) );
+
+		if ( !rows.length ) {
+			return;
+		}
+
+		const headingRows = options.headingRows === undefined ? Number( detectCsvHeader( rows ) ) : options.headingRows;
+
+		model.change( writer => {
+			const table = tableUtils.createTable( writer, {
+				rows: rows.length,
+				columns: rows[ 0 ].length,
+				headingRows
+			} );
+
+			rows.forEach( ( row, rowIndex ) => {
+				row.forEach( ( value, columnIndex ) => {
+					const tableCell = table.getNodeByPath( [ rowIndex, columnIndex ] ) as Element;
+					const lines = value.split( /\r?\n/ );
+
+					writer.insertText( lines[ 0 ], tableCell.getChild( 0 ) as Element );
+
+					for ( const line of lines.slice( 1 ) ) {
+						writer.insertElement( 'paragraph', tableCell, 'end' );
+						writer.insertText( line, tableCell.getChild( tableCell.childCount - 1 ) as Element );
+					}
+				} );
+			} );
+
+			model.insertObject( table, null, null, { findOptimalPosition: 'auto' } );
+
+			writer.setSelection( writer.createPositionAt( table.getNodeByPath( [ 0, 0, 0 ] ), 0 ) );
+		} );
+	}
+}
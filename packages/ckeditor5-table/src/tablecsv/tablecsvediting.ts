@@ -0,0 +1,76 @@
+/**
+ * @license Copyright (c) 2003-2024, CKSource Holding sp. z o.o. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+
+/**
+ * @module table/tablecsv/tablecsvediting
+ */
+
+import { Plugin } from 'ckeditor5/src/core.js';
+import { ClipboardPipeline, type ViewDocumentClipboardInputEvent } from 'ckeditor5/src/clipboard.js';
+import { UpcastWriter } from 'ckeditor5/src/engine.js';
+
+import TableEditing from '../tableediting.js';
+import InsertTableFromCsvCommand from './inserttablefromcsvcommand.js';
+import ExportTableToCsvCommand from './exporttabletocsvcommand.js';
+import { createViewTableFromCsv, detectCsvHeader, isTabSeparatedText, parseCsv } from '../utils/csv.js';
+
+/**
+ * The table CSV editing feature.
+ *
+ * It introduces the `'insertTableFromCsv'` and `'exportTableToCsv'` commands. If the
+ * {@link module:table/tableconfig~TableCsvConfig#pasteAsTable `config.table.csv.pasteAsTable`} option is enabled,
+ * the tab-separated values pasted as plain text (e.g. copied from a spreadsheet) are inserted as a table.
+ */
+export default class TableCsvEditing extends Plugin {
+	/**
+	 * @inheritDoc
+	 */
+	public static get pluginName() {
+		return 'TableCsvEditing' as const;
+	}
+
+	/**
+	 * @inheritDoc
+	 */
+	public static get requires() {
+		return [ ClipboardPipeline, TableEditing ] as const;
+	}
+
+	/**
+	 * @inheritDoc
+	 */
+	public init(): void {
+		const editor = this.editor;
+
+		editor.config.define( 'table.csv.pasteAsTable', false );
+
+		editor.commands.add( 'insertTableFromCsv', new InsertTableFromCsvCommand( editor ) );
+		editor.commands.add( 'exportTableToCsv', new ExportTableToCsvCommand( editor ) );
+
+		if ( editor.config.get( 'table.csv.pasteAsTable' ) ) {
+			this._enablePastingAsTable();
+		}
+	}
+
+	/**
+	 * Converts the pasted tab-separated values to a table before they are processed by the clipboard pipeline.
+	 */
+	private _enablePastingAsTable(): void {
+		const editor = this.editor;
+		const viewDocument = editor.editing.view.document;
+
+		this.listenTo<ViewDocumentClipboardInputEvent>( viewDocument, 'clipboardInput', ( evt, data ) => {
+			const text = data.dataTransfer.getData( 'text/plain' );
+
+			if ( data.content || data.dataTransfer.getData( 'text/html' ) || !text || !isTabSeparatedText( text ) ) {
+				return;
+			}
+
+			const rows = parseCsv( text, '\t' );
+
+			data.content = createViewTableFromCsv( new UpcastWriter( viewDocument ), rows, Number( detectCsvHeader( rows ) ) );
+		} );
+	}
+}
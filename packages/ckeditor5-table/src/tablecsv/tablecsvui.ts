@@ -0,0 +1,126 @@
+/**
+ * @license Copyright (c) 2003-2024, CKSource Holding sp. z o.o. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+
+/**
+ * @module table/tablecsv/tablecsvui
+ */
+
+import { Plugin } from 'ckeditor5/src/core.js';
+import {
+	ButtonView,
+	FileDialogButtonView,
+	MenuBarMenuListItemFileDialogButtonView
+} from 'ckeditor5/src/ui.js';
+
+import type InsertTableFromCsvCommand from './inserttablefromcsvcommand.js';
+import type ExportTableToCsvCommand from './exporttabletocsvcommand.js';
+
+import tableImportIcon from './../../theme/icons/table-import.svg';
+import tableExportIcon from './../../theme/icons/table-export.svg';
+
+/**
+ * The table CSV UI plugin. It introduces:
+ *
+ * * The `'importTableFromCsv'` button opening the file dialog and inserting a table from the chosen CSV or TSV file,
+ * * The `'menuBar:importTableFromCsv'` menu bar item doing the same,
+ * * The `'exportTableToCsv'` button downloading the selected table as a CSV file. It works best in the
+ * {@link module:table/tableconfig~TableConfig#contentToolbar table content toolbar}.
+ */
+export default class TableCsvUI extends Plugin {
+	/**
+	 * @inheritDoc
+	 */
+	public static get pluginName() {
+		return 'TableCsvUI' as const;
+	}
+
+	/**
+	 * @inheritDoc
+	 */
+	public init(): void {
+		const editor = this.editor;
+		const t = editor.t;
+
+		editor.ui.componentFactory.add( 'importTableFromCsv', () => {
+			const view = this._createImportButton( FileDialogButtonView );
+
+			view.tooltip = true;
+
+			return view;
+		} );
+
+		editor.ui.componentFactory.add( 'menuBar:importTableFromCsv', () => {
+			const view = this._createImportButton( MenuBarMenuListItemFileDialogButtonView );
+
+			view.label = t( 'Table from CSV' );
+
+			return view;
+		} );
+
+		editor.ui.componentFactory.add( 'exportTableToCsv', locale => {
+			const command: ExportTableToCsvCommand = editor.commands.get( 'exportTableToCsv' )!;
+			const view = new ButtonView( locale );
+
+			view.set( {
+				label: t( 'Download table as CSV' ),
+				icon: tableExportIcon,
+				tooltip: true
+			} );
+
+			view.bind( 'isEnabled' ).to( command );
+
+			this.listenTo( view, 'execute', () => {
+				downloadCsv( editor.execute( 'exportTableToCsv' ), 'table.csv' );
+				editor.editing.view.focus();
+			} );
+
+			return view;
+		} );
+	}
+
+	/**
+	 * Creates a button inserting the table from a CSV file to use either in toolbar or in menu bar.
+	 */
+	private _createImportButton<T extends typeof FileDialogButtonView | typeof MenuBarMenuListItemFileDialogButtonView>(
+		ButtonClass: T
+	): InstanceType<T> {
+		const editor = this.editor;
+		const t = editor.t;
+		const command: InsertTableFromCsvCommand = editor.commands.get( 'insertTableFromCsv' )!;
+		const view = new ButtonClass( editor.locale ) as InstanceType<T>;
+
+		view.set( {
+			acceptedType: '.csv,.tsv,.txt,text/csv,text/tab-separated-values,text/plain',
+			allowMultipleFiles: false,
+			label: t( 'Insert table from CSV' ),
+			icon: tableImportIcon
+		} );
+
+		view.bind( 'isEnabled' ).to( command );
+
+		view.on( 'done', ( evt, files: FileList ) => {
+			if ( files.length ) {
+				editor.execute( 'insertTableFromCsv', { file: files[ 0 ] } );
+				editor.editing.view.focus();
+			}
+		} );
+
+		return view;
+	}
+}
+
+/**
+ * Makes the browser download the CSV text as a file. The byte order mark is added so spreadsheets recognize the UTF-8 encoding.
+ */
+function downloadCsv( csv: string, fileName: string ): void {
+	const url = URL.createObjectURL( new Blob( [ '\uFEFF' + csv ], { type: 'text/csv;charset=utf-8' } ) );
+	const link = document.createElement( 'a' );
+
+	link.href = url;
+	link.download = fileName;
+	link.click();
+
+	URL.revokeObjectURL( url );
+}
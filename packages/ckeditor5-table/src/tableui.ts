@@ -159,6 +159,23 @@ export default class TableUI extends Plugin {
 						commandName: 'selectTableColumn',
 						label: t( 'Select column' )
 					}
+				},
+				{ type: 'separator' },
+				{
+					type: 'button',
+					model: {
+						commandName: 'sortTableByColumn',
+						commandValue: { order: 'ascending' },
+						label: t( 'Sort ascending' )
+					}
+				},
+				{
+					type: 'button',
+					model: {
+						commandName: 'sortTableByColumn',
+						commandValue: { order: 'descending' },
+						label: t( 'Sort descending' )
+					}
 				}
 			] as Array<ListDropdownItemDefinition>;
 
@@ -285,7 +302,9 @@ export default class TableUI extends Plugin {
 		} );
 
 		this.listenTo( dropdownView, 'execute', evt => {
-			editor.execute( ( evt.source as any ).commandName );
+			const { commandName, commandValue } = evt.source as any;
+
+			editor.execute( commandName, commandValue );
 
 			// Toggling a switch button view should not move the focus to the editable.
 			if ( !( evt.source instanceof SwitchButtonView ) ) {
@@ -379,12 +398,12 @@ function addListOption(
 ) {
 	if ( option.type === 'button' || option.type === 'switchbutton' ) {
 		const model = option.model = new ViewModel( option.model );
-		const { commandName, bindIsOn } = option.model;
+		const { commandName, commandValue, bindIsOn } = option.model;
 		const command = editor.commands.get( commandName as string )!;
 
 		commands.push( command );
 
-		model.set( { commandName } );
+		model.set( { commandName, commandValue } );
 
 		model.bind( 'isEnabled' ).to( command );
 
@@ -102,3 +102,45 @@ export function getSelectionAffectedTable( selection: DocumentSelection ): Eleme
 
 	return selection.getFirstPosition()!.findAncestor( 'table' )!;
 }
+
+/**
+ * Parses a number from the text. Spaces, currency symbols and the percent sign are ignored. Both `.` and `,` are
+ * accepted as decimal separators. If both are used, the last one is the decimal separator.
+ *
+ * @returns The parsed number or `null` if the text is not a number.
+ */
+export function parseNumber( text: string ): number | null {
+	let normalized = text.replace( /[\s$€£¥%]/g, '' );
+
+	const lastDot = normalized.lastIndexOf( '.' );
+	const lastComma = normalized.lastIndexOf( ',' );
+
+	if ( lastDot > -1 && lastComma > -1 ) {
+		const thousandsSeparator = lastDot > lastComma ? ',' : '.';
+
+		normalized = normalized.split( thousandsSeparator ).join( '' ).replace( ',', '.' );
+	} else if ( /^[-+]?\d{1,3}(,\d{3})+$/.test( normalized ) ) {
+		normalized = normalized.replace( /,/g, '' );
+	} else {
+		normalized = normalized.replace( ',', '.' );
+	}
+
+	if ( !/^[-+]?(\d+\.?\d*|\.\d+)(e[-+]?\d+)?$/i.test( normalized ) ) {
+		return null;
+	}
+
+	return Number( normalized );
+}
+
+/**
+ * Returns the text of a table cell. The texts of the blocks inside the cell are joined with a space.
+ */
+export function getTableCellText( tableCell: Element ): string {
+	const blocks = Array.from( tableCell.getChildren() ).map( block => {
+		return Array.from( block.is( 'element' ) ? block.getChildren() : [] )
+			.map( node => node.is( '$text' ) ? node.data : '' )
+			.join( '' );
+	} );
+
+	return blocks.join( ' ' ).trim();
+}
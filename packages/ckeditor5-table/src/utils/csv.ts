@@ -0,0 +1,201 @@
+/**
+ * @license Copyright (c) 2003-2024, CKSource Holding sp. z o.o. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+
+/**
+ * @module table/utils/csv
+ */
+
+import type {
+	UpcastWriter,
+	ViewDocumentFragment,
+	ViewElement
+} from 'ckeditor5/src/engine.js';
+
+import { parseNumber } from './common.js';
+
+/**
+ * The delimiter of the values in the CSV text.
+ */
+export type CsvDelimiter = ',' | ';' | '\t';
+
+/**
+ * Parses the CSV (or TSV) text into the rows of values, as described in
+ * [RFC 4180](https://www.rfc-editor.org/rfc/rfc4180). The quoted values may contain delimiters, quotes (escaped as `""`)
+ * and line breaks. The empty lines are skipped and the rows are padded with empty values to the length of the longest row.
+ *
+ * @param text The CSV text.
+ * @param delimiter The delimiter of the values.
+ */
+export function parseCsv( text: string, delimiter: CsvDelimiter ): Array<Array<string>> {
+	const rows: Array<Array<string>> = [];
+	let row: Array<string> = [];
+	let value = '';
+	let isQuoted = false;
+	let wasQuoted = false;
+
+	text = text.replace( /^\uFEFF/, '' );
+
+	const endRow = () => {
+		row.push( value );
+
+		if ( row.length > 1 || value || wasQuoted ) {
+			rows.push( row );
+		}
+
+		row = [];
+		value = '';
+		wasQuoted = false;
+	};
+
+	for ( let index = 0; index < text.length; index++ ) {
+		const char = text[ index ];
+
+		if ( isQuoted ) {
+			if ( char == '"' && text[ index + 1 ] == '"' ) {
+				value += '"';
+				index++;
+			} else if ( char == '"' ) {
+				isQuoted = false;
+			} else {
+				value += char;
+			}
+		} else if ( char == '"' && !value ) {
+			isQuoted = true;
+			wasQuoted = true;
+		} else if ( char == delimiter ) {
+			row.push( value );
+			value = '';
+		} else if ( char == '\r' || char == '\n' ) {
+			if ( char == '\r' && text[ index + 1 ] == '\n' ) {
+				index++;
+			}
+
+			endRow();
+		} else {
+			value += char;
+		}
+	}
+
+	endRow();
+
+	const columns = rows.reduce( ( result, row ) => Math.max( result, row.length ), 0 );
+
+	return rows.map( row => row.concat( new Array( columns - row.length ).fill( '' ) ) );
+}
+
+/**
+ * Converts the rows of values to the CSV text. The values containing delimiters, quotes or line breaks are quoted.
+ *
+ * @param rows The rows of values.
+ * @param delimiter The delimiter of the values.
+ */
+export function stringifyCsv( rows: Array<Array<string>>, delimiter: CsvDelimiter ): string {
+	return rows
+		.map( row => row.map( value => {
+			if ( value.includes( delimiter ) || /["\r\n]/.test( value ) ) {
+				return `"${ value.replace( /"/g, '""' ) }"`;
+			}
+
+			return value;
+		} ).join( delimiter ) )
+		.join( '\r\n' );
+}
+
+/**
+ * Detects the delimiter used in the CSV text by checking its first line. The tabulator wins if it is present at all,
+ * otherwise the more frequent of the comma and the semicolon is picked.
+ */
+export function detectCsvDelimiter( text: string ): CsvDelimiter {
+	const firstLine = text.split( /\r?\n/, 1 )[ 0 ];
+
+	if ( firstLine.includes( '\t' ) ) {
+		return '\t';
+	}
+
+	return firstLine.split( ';' ).length > firstLine.split( ',' ).length ? ';' : ',';
+}
+
+/**
+ * Checks if the first row of the values looks like a header. It must contain non-empty texts that are not numbers and
+ * differ from the values below it: either by type (the column contains numbers) or by length (the column contains values
+ * of the same length). Every column votes, and the row is a header if there are more votes for than against it.
+ */
+export function detectCsvHeader( rows: Array<Array<string>> ): boolean {
+	const [ header, ...body ] = rows;
+
+	if ( !body.length || header.some( value => !value.trim() || parseNumber( value ) !== null ) ) {
+		return false;
+	}
+
+	let votes = 0;
+
+	header.forEach( ( headerValue, column ) => {
+		const values = body.map( row => row[ column ] ).filter( value => value.trim() );
+
+		if ( !values.length ) {
+			return;
+		}
+
+		if ( values.every( value => parseNumber( value ) !== null ) ) {
+			votes++;
+		} else if ( values.every( value => value.length == values[ 0 ].length ) ) {
+			votes += headerValue.length == values[ 0 ].length ? -1 : 1;
+		}
+	} );
+
+	return votes > 0;
+}
+
+/**
+ * Checks if the plain text looks like the tab-separated values copied from a spreadsheet: every line contains the same,
+ * non-zero number of tabulators.
+ */
+export function isTabSeparatedText( text: string ): boolean {
+	const lines = text.replace( /(\r?\n)+$/, '' ).split( /\r?\n/ );
+	const tabsCount = lines[ 0 ].split( '\t' ).length - 1;
+
+	return tabsCount > 0 && lines.every( line => line.split( '\t' ).length - 1 == tabsCount );
+}
+
+/**
+ * Creates the view table (as it would be loaded from the data) from the rows of values. The line breaks in the values
+ * become separate paragraphs.
+ *
+ * @param writer The upcast writer.
+ * @param rows The rows of values.
+ * @param headingRows The number of the rows placed in the table header.
+ */
+export function createViewTableFromCsv(
+	writer: UpcastWriter,
+	rows: Array<Array<string>>,
+	headingRows: number
+): ViewDocumentFragment {
+	const createRows = ( rows: Array<Array<string>>, cellName: string ) => rows.map( row => {
+		return writer.createElement( 'tr', null, row.map( value => createViewCell( writer, cellName, value ) ) );
+	} );
+
+	const sections: Array<ViewElement> = [];
+
+	if ( headingRows ) {
+		sections.push( writer.createElement( 'thead', null, createRows( rows.slice( 0, headingRows ), 'th' ) ) );
+	}
+
+	sections.push( writer.createElement( 'tbody', null, createRows( rows.slice( headingRows ), 'td' ) ) );
+
+	return writer.createDocumentFragment( writer.createElement( 'table', null, sections ) );
+}
+
+/**
+ * Creates the view table cell with the value. The lines of a multi-line value are wrapped in paragraphs.
+ */
+function createViewCell( writer: UpcastWriter, cellName: string, value: string ): ViewElement {
+	const lines = value.split( /\r?\n/ );
+
+	if ( lines.length > 1 ) {
+		return writer.createElement( cellName, null, lines.map( line => writer.createElement( 'p', null, writer.createText( line ) ) ) );
+	}
+
+	return writer.createElement( cellName, null, value ? writer.createText( value ) : [] );
+}
@@ -0,0 +1,334 @@
+/**
+ * @license Copyright (c) 2003-2024, CKSource Holding sp. z o.o. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+
+import ModelTestEditor from '@ckeditor/ckeditor5-core/tests/_utils/modeltesteditor.js';
+import Paragraph from '@ckeditor/ckeditor5-paragraph/src/paragraph.js';
+import { getData, setData } from '@ckeditor/ckeditor5-engine/src/dev-utils/model.js';
+
+import TableEditing from '../../src/tableediting.js';
+import TableSelection from '../../src/tableselection.js';
+import { modelTable } from '../_utils/utils.js';
+
+import SortTableByColumnCommand from '../../src/commands/sorttablebycolumncommand.js';
+
+describe( 'SortTableByColumnCommand', () => {
+	let editor, model, command;
+
+	beforeEach( () => {
+		return ModelTestEditor
+			.create( {
+				plugins: [ Paragraph, TableEditing, TableSelection ]
+			} )
+			.then( newEditor => {
+				editor = newEditor;
+				model = editor.model;
+				command = new SortTableByColumnCommand( editor );
+			} );
+	} );
+
+	afterEach( () => {
+		return editor.destroy();
+	} );
+
+	it( 'should be registered by TableEditing', () => {
+		expect( editor.commands.get( 'sortTableByColumn' ) ).to.be.instanceOf( SortTableByColumnCommand );
+	} );
+
+	describe( 'isEnabled', () => {
+		it( 'should be false if selection is not in a table', () => {
+			setData( model, '<paragraph>foo[]</paragraph>' );
+
+			expect( command.isEnabled ).to.be.false;
+		} );
+
+		it( 'should be true if selection is in a table with multiple body rows', () => {
+			setData( model, modelTable( [
+				[ '00[]', '01' ],
+				[ '10', '11' ]
+			] ) );
+
+			expect( command.isEnabled ).to.be.true;
+		} );
+
+		it( 'should be false if there is a single body row', () => {
+			setData( model, modelTable( [
+				[ '00[]', '01' ],
+				[ '10', '11' ]
+			], { headingRows: 1 } ) );
+
+			expect( command.isEnabled ).to.be.false;
+		} );
+
+		it( 'should be false if all body rows are joined by a cell spanning over them', () => {
+			setData( model, modelTable( [
+				[ { contents: '00[]', rowspan: 2 }, '01' ],
+				[ '11' ]
+			] ) );
+
+			expect( command.isEnabled ).to.be.false;
+		} );
+
+		it( 'should be false if a cell from the header rows spans to the table body', () => {
+			setData( model, modelTable( [
+				[ { contents: '00[]', rowspan: 2 }, '01' ],
+				[ '11' ],
+				[ '20', '21' ],
+				[ '30', '31' ]
+			], { headingRows: 1 } ) );
+
+			expect( command.isEnabled ).to.be.false;
+		} );
+	} );
+
+	describe( 'execute()', () => {
+		it( 'should sort rows in ascending order by the column containing the selection', () => {
+			setData( model, modelTable( [
+				[ 'c', 'x[]' ],
+				[ 'a', 'z' ],
+				[ 'b', 'y' ]
+			] ) );
+
+			command.execute();
+
+			expect( getData( model, { withoutSelection: true } ) ).to.equalMarkup( modelTable( [
+				[ 'c', 'x' ],
+				[ 'b', 'y' ],
+				[ 'a', 'z' ]
+			] ) );
+		} );
+
+		it( 'should sort rows in descending order', () => {
+			setData( model, modelTable( [
+				[ 'b[]' ],
+				[ 'a' ],
+				[ 'c' ]
+			] ) );
+
+			command.execute( { order: 'descending' } );
+
+			expect( getData( model, { withoutSelection: true } ) ).to.equalMarkup( modelTable( [
+				[ 'c' ],
+				[ 'b' ],
+				[ 'a' ]
+			] ) );
+		} );
+
+		it( 'should sort by the column passed in the options', () => {
+			setData( model, modelTable( [
+				[ 'a[]', '2' ],
+				[ 'b', '1' ]
+			] ) );
+
+			command.execute( { column: 1 } );
+
+			expect( getData( model, { withoutSelection: true } ) ).to.equalMarkup( modelTable( [
+				[ 'b', '1' ],
+				[ 'a', '2' ]
+			] ) );
+		} );
+
+		it( 'should keep the selection in the moved cell', () => {
+			setData( model, modelTable( [
+				[ 'b[]' ],
+				[ 'a' ]
+			] ) );
+
+			command.execute();
+
+			expect( getData( model ) ).to.equalMarkup( modelTable( [
+				[ 'a' ],
+				[ 'b[]' ]
+			] ) );
+		} );
+
+		it( 'should not sort the header rows', () => {
+			setData( model, modelTable( [
+				[ 'Name[]' ],
+				[ 'b' ],
+				[ 'c' ],
+				[ 'a' ]
+			], { headingRows: 1 } ) );
+
+			command.execute();
+
+			expect( getData( model, { withoutSelection: true } ) ).to.equalMarkup( modelTable( [
+				[ 'Name' ],
+				[ 'a' ],
+				[ 'b' ],
+				[ 'c' ]
+			], { headingRows: 1 } ) );
+		} );
+
+		it( 'should compare numbers by their values', () => {
+			setData( model, modelTable( [
+				[ '10[]' ],
+				[ '9' ],
+				[ '-1,5' ],
+				[ '1 000.5' ],
+				[ '$ 100' ]
+			] ) );
+
+			command.execute();
+
+			expect( getData( model, { withoutSelection: true } ) ).to.equalMarkup( modelTable( [
+				[ '-1,5' ],
+				[ '9' ],
+				[ '10' ],
+				[ '$ 100' ],
+				[ '1 000.5' ]
+			] ) );
+		} );
+
+		it( 'should compare dates', () => {
+			setData( model, modelTable( [
+				[ '2024-03-01[]' ],
+				[ '2023-12-24' ],
+				[ '2024-01-15' ]
+			] ) );
+
+			command.execute( { order: 'descending' } );
+
+			expect( getData( model, { withoutSelection: true } ) ).to.equalMarkup( modelTable( [
+				[ '2024-03-01' ],
+				[ '2024-01-15' ],
+				[ '2023-12-24' ]
+			] ) );
+		} );
+
+		it( 'should compare texts if not all cells contain numbers', () => {
+			setData( model, modelTable( [
+				[ 'item 10[]' ],
+				[ 'Item 9' ],
+				[ '1' ]
+			] ) );
+
+			command.execute();
+
+			expect( getData( model, { withoutSelection: true } ) ).to.equalMarkup( modelTable( [
+				[ '1' ],
+				[ 'Item 9' ],
+				[ 'item 10' ]
+			] ) );
+		} );
+
+		it( 'should compare texts if forced', () => {
+			setData( model, modelTable( [
+				[ '10[]' ],
+				[ '9' ],
+				[ '100' ]
+			] ) );
+
+			command.execute( { compare: 'text' } );
+
+			expect( getData( model, { withoutSelection: true } ) ).to.equalMarkup( modelTable( [
+				[ '9' ],
+				[ '10' ],
+				[ '100' ]
+			] ) );
+		} );
+
+		it( 'should place the cells that cannot be compared as numbers at the end', () => {
+			setData( model, modelTable( [
+				[ 'n/a[]' ],
+				[ '2' ],
+				[ '1' ]
+			] ) );
+
+			command.execute( { compare: 'number', order: 'descending' } );
+
+			expect( getData( model, { withoutSelection: true } ) ).to.equalMarkup( modelTable( [
+				[ '2' ],
+				[ '1' ],
+				[ 'n/a' ]
+			] ) );
+		} );
+
+		it( 'should place the empty cells at the end', () => {
+			setData( model, modelTable( [
+				[ '[]', '0' ],
+				[ 'b', '1' ],
+				[ 'a', '2' ]
+			] ) );
+
+			command.execute();
+
+			expect( getData( model, { withoutSelection: true } ) ).to.equalMarkup( modelTable( [
+				[ 'a', '2' ],
+				[ 'b', '1' ],
+				[ '', '0' ]
+			] ) );
+		} );
+
+		it( 'should keep the order of rows with equal values', () => {
+			setData( model, modelTable( [
+				[ 'b[]', '1' ],
+				[ 'a', '2' ],
+				[ 'b', '3' ],
+				[ 'a', '4' ]
+			] ) );
+
+			command.execute();
+
+			expect( getData( model, { withoutSelection: true } ) ).to.equalMarkup( modelTable( [
+				[ 'a', '2' ],
+				[ 'a', '4' ],
+				[ 'b', '1' ],
+				[ 'b', '3' ]
+			] ) );
+		} );
+
+		it( 'should move the rows joined by a cell spanning over them together', () => {
+			setData( model, modelTable( [
+				[ { contents: 'c[]', rowspan: 2 }, '01' ],
+				[ '11' ],
+				[ 'a', '21' ],
+				[ 'b', '31' ]
+			] ) );
+
+			command.execute();
+
+			expect( getData( model, { withoutSelection: true } ) ).to.equalMarkup( modelTable( [
+				[ 'a', '21' ],
+				[ 'b', '31' ],
+				[ { contents: 'c', rowspan: 2 }, '01' ],
+				[ '11' ]
+			] ) );
+		} );
+
+		it( 'should use the cell spanning over the sorted column', () => {
+			setData( model, modelTable( [
+				[ { contents: 'b[]', colspan: 2 } ],
+				[ '10', 'a' ]
+			] ) );
+
+			command.execute( { column: 1 } );
+
+			expect( getData( model, { withoutSelection: true } ) ).to.equalMarkup( modelTable( [
+				[ '10', 'a' ],
+				[ { contents: 'b', colspan: 2 } ]
+			] ) );
+		} );
+
+		it( 'should create one undo step (1 batch)', () => {
+			setData( model, modelTable( [
+				[ 'b[]' ],
+				[ 'c' ],
+				[ 'a' ]
+			] ) );
+
+			const createdBatches = new Set();
+
+			model.on( 'applyOperation', ( evt, args ) => {
+				const operation = args[ 0 ];
+
+				createdBatches.add( operation.batch );
+			} );
+
+			command.execute();
+
+			expect( createdBatches.size ).to.equal( 1 );
+		} );
+	} );
+} );
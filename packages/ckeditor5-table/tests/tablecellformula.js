@@ -0,0 +1,32 @@
+/**
+ * @license Copyright (c) 2003-2024, CKSource Holding sp. z o.o. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+
+import VirtualTestEditor from '@ckeditor/ckeditor5-core/tests/_utils/virtualtesteditor.js';
+import Paragraph from '@ckeditor/ckeditor5-paragraph/src/paragraph.js';
+
+import TableCellFormula from '../src/tablecellformula.js';
+import TableCellFormulaEditing from '../src/tablecellformula/tablecellformulaediting.js';
+
+describe( 'TableCellFormula', () => {
+	let editor;
+
+	beforeEach( async () => {
+		editor = await VirtualTestEditor.create( {
+			plugins: [ TableCellFormula, Paragraph ]
+		} );
+	} );
+
+	afterEach( async () => {
+		await editor.destroy();
+	} );
+
+	it( 'should have pluginName', () => {
+		expect( TableCellFormula.pluginName ).to.equal( 'TableCellFormula' );
+	} );
+
+	it( 'should load TableCellFormulaEditing plugin', () => {
+		expect( editor.plugins.get( TableCellFormulaEditing ) ).to.instanceOf( TableCellFormulaEditing );
+	} );
+} );
@@ -0,0 +1,119 @@
+/**
+ * @license Copyright (c) 2003-2024, CKSource Holding sp. z o.o. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+
+import ModelTestEditor from '@ckeditor/ckeditor5-core/tests/_utils/modeltesteditor.js';
+import Paragraph from '@ckeditor/ckeditor5-paragraph/src/paragraph.js';
+
+import { getData, setData } from '@ckeditor/ckeditor5-engine/src/dev-utils/model.js';
+
+import { modelTable } from '../_utils/utils.js';
+import TableCellFormulaEditing from '../../src/tablecellformula/tablecellformulaediting.js';
+import TableCellFormulaCommand from '../../src/tablecellformula/tablecellformulacommand.js';
+
+describe( 'TableCellFormulaCommand', () => {
+	let editor, model, command;
+
+	beforeEach( async () => {
+		editor = await ModelTestEditor.create( {
+			plugins: [ Paragraph, TableCellFormulaEditing ]
+		} );
+
+		model = editor.model;
+		command = new TableCellFormulaCommand( editor );
+	} );
+
+	afterEach( () => {
+		return editor.destroy();
+	} );
+
+	describe( 'isEnabled', () => {
+		it( 'should be false if selection does not have table cell', () => {
+			setData( model, '<paragraph>foo[]</paragraph>' );
+			expect( command.isEnabled ).to.be.false;
+		} );
+
+		it( 'should be true is selection has table cell', () => {
+			setData( model, modelTable( [ [ '[]foo' ] ] ) );
+			expect( command.isEnabled ).to.be.true;
+		} );
+	} );
+
+	describe( 'value', () => {
+		it( 'should be undefined if selected table cell has no formula', () => {
+			setData( model, modelTable( [ [ '[]foo' ] ] ) );
+
+			expect( command.value ).to.be.undefined;
+		} );
+
+		it( 'should be set if selected table cell has a formula', () => {
+			setData( model, modelTable( [ [ '2', { contents: '[]', tableCellFormula: '=A1*2' } ] ] ) );
+
+			expect( command.value ).to.equal( '=A1*2' );
+		} );
+
+		it( 'should be undefined if the selected table cells have different formulas', () => {
+			setData( model, modelTable( [ [
+				{ contents: '1', tableCellFormula: '=1', isSelected: true },
+				{ contents: '2', tableCellFormula: '=2', isSelected: true }
+			] ] ) );
+
+			expect( command.value ).to.be.undefined;
+		} );
+	} );
+
+	describe( 'execute()', () => {
+		it( 'should set the formula and evaluate it', () => {
+			setData( model, modelTable( [ [ '2', '[]foo' ] ] ) );
+
+			command.execute( { value: '=A1*2' } );
+
+			expect( getData( model, { withoutSelection: true } ) ).to.equalMarkup(
+				modelTable( [ [ '2', { contents: '4', tableCellFormula: '=A1*2' } ] ] )
+			);
+		} );
+
+		it( 'should add the missing "=" and trim the formula', () => {
+			setData( model, modelTable( [ [ '2', '[]foo' ] ] ) );
+
+			command.execute( { value: ' A1+1 ' } );
+
+			expect( getData( model, { withoutSelection: true } ) ).to.equalMarkup(
+				modelTable( [ [ '2', { contents: '3', tableCellFormula: '=A1+1' } ] ] )
+			);
+		} );
+
+		it( 'should set the formula of all selected table cells', () => {
+			setData( model, modelTable( [ [
+				'2',
+				{ contents: '', isSelected: true },
+				{ contents: '', isSelected: true }
+			] ] ) );
+
+			command.execute( { value: '=A1' } );
+
+			expect( getData( model, { withoutSelection: true } ) ).to.equalMarkup( modelTable( [ [
+				'2',
+				{ contents: '2', tableCellFormula: '=A1' },
+				{ contents: '2', tableCellFormula: '=A1' }
+			] ] ) );
+		} );
+
+		it( 'should remove the formula and keep the last value if no value is passed', () => {
+			setData( model, modelTable( [ [ '2', { contents: '[]', tableCellFormula: '=A1*2' } ] ] ) );
+
+			command.execute();
+
+			expect( getData( model, { withoutSelection: true } ) ).to.equalMarkup( modelTable( [ [ '2', '4' ] ] ) );
+		} );
+
+		it( 'should remove the formula if an empty value is passed', () => {
+			setData( model, modelTable( [ [ '2', { contents: '[]', tableCellFormula: '=A1*2' } ] ] ) );
+
+			command.execute( { value: '  ' } );
+
+			expect( getData( model, { withoutSelection: true } ) ).to.equalMarkup( modelTable( [ [ '2', '4' ] ] ) );
+		} );
+	} );
+} );
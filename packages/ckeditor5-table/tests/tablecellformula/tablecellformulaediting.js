@@ -0,0 +1,298 @@
+/**
+ * @license Copyright (c) 2003-2024, CKSource Holding sp. z o.o. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+
+/* globals document */
+
+import VirtualTestEditor from '@ckeditor/ckeditor5-core/tests/_utils/virtualtesteditor.js';
+import Paragraph from '@ckeditor/ckeditor5-paragraph/src/paragraph.js';
+import BoldEditing from '@ckeditor/ckeditor5-basic-styles/src/bold/boldediting.js';
+import { getData as getModelData, setData as setModelData } from '@ckeditor/ckeditor5-engine/src/dev-utils/model.js';
+import { getData as getViewData } from '@ckeditor/ckeditor5-engine/src/dev-utils/view.js';
+
+import TableEditing from '../../src/tableediting.js';
+import TableCellFormulaEditing from '../../src/tablecellformula/tablecellformulaediting.js';
+import TableCellFormulaCommand from '../../src/tablecellformula/tablecellformulacommand.js';
+import { modelTable } from '../_utils/utils.js';
+
+describe( 'TableCellFormulaEditing', () => {
+	let editor, model, root;
+
+	beforeEach( async () => {
+		editor = await VirtualTestEditor.create( {
+			plugins: [ TableCellFormulaEditing, Paragraph, BoldEditing ]
+		} );
+
+		model = editor.model;
+		root = model.document.getRoot();
+	} );
+
+	afterEach( async () => {
+		await editor.destroy();
+	} );
+
+	it( 'should have pluginName', () => {
+		expect( TableCellFormulaEditing.pluginName ).to.equal( 'TableCellFormulaEditing' );
+	} );
+
+	it( 'should require TableEditing', () => {
+		expect( TableCellFormulaEditing.requires ).to.deep.equal( [ TableEditing ] );
+	} );
+
+	it( 'adds tableCellFormula command', () => {
+		expect( editor.commands.get( 'tableCellFormula' ) ).to.be.instanceOf( TableCellFormulaCommand );
+	} );
+
+	it( 'should set proper schema rules', () => {
+		expect( model.schema.checkAttribute( [ '$root', 'table', 'tableRow', 'tableCell' ], 'tableCellFormula' ) ).to.be.true;
+		expect( model.schema.checkAttribute( [ '$root', 'table', 'tableRow', 'tableCell' ], 'tableCellFormulaError' ) ).to.be.false;
+	} );
+
+	describe( 'conversion', () => {
+		it( 'should upcast the data-formula attribute and evaluate the formula', () => {
+			editor.setData(
+				'<table><tr><td>1</td><td>2</td><td data-formula="=A1+B1">stale</td></tr></table>'
+			);
+
+			const tableCell = root.getNodeByPath( [ 0, 0, 2 ] );
+
+			expect( tableCell.getAttribute( 'tableCellFormula' ) ).to.equal( '=A1+B1' );
+			expect( editor.getData() ).to.equal(
+				'<figure class="table"><table><tbody><tr>' +
+					'<td>1</td><td>2</td><td data-formula="=A1+B1">3</td>' +
+				'</tr></tbody></table></figure>'
+			);
+		} );
+
+		it( 'should not change the content of the formula cell in the model', () => {
+			setModelData( model, modelTable( [
+				[ '1', '2', { contents: '<paragraph><$text bold="true">foo</$text></paragraph><paragraph>bar</paragraph>',
+					tableCellFormula: '=SUM(A1:B1)' } ]
+			] ) );
+
+			expect( getModelData( model, { withoutSelection: true } ) ).to.equalMarkup( modelTable( [
+				[ '1', '2', { contents: '<paragraph><$text bold="true">foo</$text></paragraph><paragraph>bar</paragraph>',
+					tableCellFormula: '=SUM(A1:B1)' } ]
+			] ) );
+			expect( editor.getData() ).to.equal(
+				'<figure class="table"><table><tbody><tr>' +
+					'<td>1</td><td>2</td><td data-formula="=SUM(A1:B1)">3</td>' +
+				'</tr></tbody></table></figure>'
+			);
+		} );
+
+		it( 'should downcast the error code to the data', () => {
+			editor.setData( '<table><tr><td data-formula="=A1">0</td></tr></table>' );
+
+			expect( editor.getData() ).to.equal(
+				'<figure class="table"><table><tbody><tr><td data-formula="=A1">#CIRCULAR!</td></tr></tbody></table></figure>'
+			);
+		} );
+
+		it( 'should display the computed value in the editing view', () => {
+			setModelData( model, modelTable( [ [ '1', { contents: 'foo', tableCellFormula: '=A1*2' } ] ] ) );
+
+			const viewCell = editor.editing.mapper.toViewElement( root.getNodeByPath( [ 0, 0, 1 ] ) );
+			const valueElement = viewCell.getChild( 0 );
+
+			expect( viewCell.getAttribute( 'data-formula' ) ).to.equal( '=A1*2' );
+			expect( viewCell.hasClass( 'ck-table-cell-formula' ) ).to.be.true;
+			expect( viewCell.hasClass( 'ck-table-cell-formula_error' ) ).to.be.false;
+			expect( valueElement.is( 'uiElement' ) ).to.be.true;
+			expect( valueElement.hasClass( 'ck-table-cell-formula__value' ) ).to.be.true;
+			expect( valueElement.render( document, editor.editing.view.domConverter ).textContent ).to.equal( '2' );
+			expect( viewCell.getChild( 1 ).getChild( 0 ).data ).to.equal( 'foo' );
+		} );
+
+		it( 'should add the error class to the cell in the editing view', () => {
+			setModelData( model, modelTable( [ [ 'foo', { contents: '', tableCellFormula: '=A1*2' } ] ] ) );
+
+			const viewCell = editor.editing.mapper.toViewElement( root.getNodeByPath( [ 0, 0, 1 ] ) );
+
+			expect( viewCell.hasClass( 'ck-table-cell-formula_error' ) ).to.be.true;
+			expect( getFormulaValue( root.getNodeByPath( [ 0, 0, 1 ] ) ) ).to.equal( '#VALUE!' );
+		} );
+
+		it( 'should not render the cells without formulas differently', () => {
+			setModelData( model, modelTable( [ [ '1', '2' ] ] ) );
+
+			expect( getViewData( editor.editing.view, { withoutSelection: true } ) ).to.not.contain( 'ck-table-cell-formula' );
+			expect( editor.getData() ).to.equal(
+				'<figure class="table"><table><tbody><tr><td>1</td><td>2</td></tr></tbody></table></figure>'
+			);
+		} );
+	} );
+
+	describe( 'evaluation', () => {
+		it( 'should evaluate the formula again when a referenced cell changes', () => {
+			setModelData( model, modelTable( [
+				[ '1', '2', { contents: '', tableCellFormula: '=A1*B1' } ]
+			] ) );
+
+			model.change( writer => {
+				writer.insertText( '0', root.getNodeByPath( [ 0, 0, 0, 0 ] ), 'end' );
+			} );
+
+			expect( getFormulaValue( root.getNodeByPath( [ 0, 0, 2 ] ) ) ).to.equal( '20' );
+			expect( editor.getData() ).to.contain( '<td data-formula="=A1*B1">20</td>' );
+		} );
+
+		it( 'should evaluate the formula again when the formula changes', () => {
+			setModelData( model, modelTable( [
+				[ '1', '2', { contents: '', tableCellFormula: '=A1*B1' } ]
+			] ) );
+
+			model.change( writer => {
+				writer.setAttribute( 'tableCellFormula', '=A1-B1', root.getNodeByPath( [ 0, 0, 2 ] ) );
+			} );
+
+			expect( getFormulaValue( root.getNodeByPath( [ 0, 0, 2 ] ) ) ).to.equal( '-1' );
+		} );
+
+		it( 'should evaluate the formulas referencing other formulas', () => {
+			setModelData( model, modelTable( [
+				[ { contents: '', tableCellFormula: '=B1*2' }, { contents: '', tableCellFormula: '=C1+1' }, '2' ]
+			] ) );
+
+			expect( getFormulaValue( root.getNodeByPath( [ 0, 0, 0 ] ) ) ).to.equal( '6' );
+			expect( getFormulaValue( root.getNodeByPath( [ 0, 0, 1 ] ) ) ).to.equal( '3' );
+
+			model.change( writer => {
+				writer.insertText( '0', root.getNodeByPath( [ 0, 0, 2, 0 ] ), 'end' );
+			} );
+
+			expect( getFormulaValue( root.getNodeByPath( [ 0, 0, 0 ] ) ) ).to.equal( '42' );
+			expect( getFormulaValue( root.getNodeByPath( [ 0, 0, 1 ] ) ) ).to.equal( '21' );
+		} );
+
+		it( 'should count the cell spanning over multiple slots of the range once', () => {
+			setModelData( model, modelTable( [
+				[ { contents: '5', colspan: 2 } ],
+				[ '1', { contents: '', tableCellFormula: '=SUM(A1:B1)' } ]
+			] ) );
+
+			expect( getFormulaValue( root.getNodeByPath( [ 0, 1, 1 ] ) ) ).to.equal( '5' );
+		} );
+
+		it( 'should mark the circular references as errors', () => {
+			setModelData( model, modelTable( [
+				[ { contents: '', tableCellFormula: '=B1' }, { contents: '', tableCellFormula: '=A1+1' }, '1' ]
+			] ) );
+
+			const firstCell = root.getNodeByPath( [ 0, 0, 0 ] );
+			const secondCell = root.getNodeByPath( [ 0, 0, 1 ] );
+
+			expect( getFormulaValue( firstCell ) ).to.equal( '#CIRCULAR!' );
+			expect( editor.editing.mapper.toViewElement( firstCell ).hasClass( 'ck-table-cell-formula_error' ) ).to.be.true;
+			expect( getFormulaValue( secondCell ) ).to.equal( '#CIRCULAR!' );
+			expect( editor.editing.mapper.toViewElement( secondCell ).hasClass( 'ck-table-cell-formula_error' ) ).to.be.true;
+		} );
+
+		it( 'should display the error code for a reference outside the table', () => {
+			setModelData( model, modelTable( [
+				[ '1', { contents: '', tableCellFormula: '=A1+C1' } ]
+			] ) );
+
+			expect( getFormulaValue( root.getNodeByPath( [ 0, 0, 1 ] ) ) ).to.equal( '#REF!' );
+		} );
+
+		it( 'should remove the error state when the formula can be evaluated again', () => {
+			setModelData( model, modelTable( [
+				[ 'foo', { contents: '', tableCellFormula: '=A1*2' } ]
+			] ) );
+
+			const tableCell = root.getNodeByPath( [ 0, 0, 1 ] );
+
+			model.change( writer => {
+				writer.remove( writer.createRangeIn( root.getNodeByPath( [ 0, 0, 0, 0 ] ) ) );
+				writer.insertText( '4', root.getNodeByPath( [ 0, 0, 0, 0 ] ), 0 );
+			} );
+
+			expect( getFormulaValue( tableCell ) ).to.equal( '8' );
+			expect( editor.editing.mapper.toViewElement( tableCell ).hasClass( 'ck-table-cell-formula_error' ) ).to.be.false;
+		} );
+
+		it( 'should display the content of the cell again when the formula is removed', () => {
+			setModelData( model, modelTable( [
+				[ { contents: 'foo', tableCellFormula: '=A1' } ]
+			] ) );
+
+			const tableCell = root.getNodeByPath( [ 0, 0, 0 ] );
+
+			model.change( writer => {
+				writer.removeAttribute( 'tableCellFormula', tableCell );
+			} );
+
+			const viewCell = editor.editing.mapper.toViewElement( tableCell );
+
+			expect( getFormulaValue( tableCell ) ).to.be.undefined;
+			expect( viewCell.hasClass( 'ck-table-cell-formula' ) ).to.be.false;
+			expect( viewCell.hasClass( 'ck-table-cell-formula_error' ) ).to.be.false;
+			expect( editor.getData() ).to.equal(
+				'<figure class="table"><table><tbody><tr><td>foo</td></tr></tbody></table></figure>'
+			);
+		} );
+
+		it( 'should not change the model when the formulas are evaluated', () => {
+			setModelData( model, modelTable( [
+				[ '1', { contents: 'foo', tableCellFormula: '=A1*2' } ]
+			] ) );
+
+			const changeSpy = sinon.spy();
+			const operationSpy = sinon.spy();
+
+			model.document.on( 'change:data', changeSpy );
+			model.on( 'applyOperation', operationSpy );
+
+			model.change( writer => {
+				writer.insertText( '0', root.getNodeByPath( [ 0, 0, 0, 0 ] ), 'end' );
+			} );
+
+			expect( changeSpy.calledOnce ).to.be.true;
+			expect( operationSpy.calledOnce ).to.be.true;
+			expect( getModelData( model, { withoutSelection: true } ) ).to.equalMarkup( modelTable( [
+				[ '10', { contents: 'foo', tableCellFormula: '=A1*2' } ]
+			] ) );
+			expect( getFormulaValue( root.getNodeByPath( [ 0, 0, 1 ] ) ) ).to.equal( '20' );
+		} );
+
+		it( 'should not re-render the formula cells with unchanged values', () => {
+			setModelData( model, modelTable( [
+				[ '1', 'foo', { contents: '', tableCellFormula: '=A1*2' } ]
+			] ) );
+
+			const viewCell = editor.editing.mapper.toViewElement( root.getNodeByPath( [ 0, 0, 2 ] ) );
+
+			model.change( writer => {
+				writer.insertText( 'bar', root.getNodeByPath( [ 0, 0, 1, 0 ] ), 'end' );
+			} );
+
+			expect( editor.editing.mapper.toViewElement( root.getNodeByPath( [ 0, 0, 2 ] ) ) ).to.equal( viewCell );
+		} );
+
+		it( 'should evaluate the formulas in the inserted table', () => {
+			setModelData( model, '<paragraph>[]</paragraph>' );
+
+			model.change( writer => {
+				const table = writer.createElement( 'table' );
+				const row = writer.createElement( 'tableRow' );
+				const cell = writer.createElement( 'tableCell', { tableCellFormula: '=2*3' } );
+
+				writer.insertElement( 'paragraph', cell );
+				writer.insert( cell, row );
+				writer.insert( row, table );
+				writer.insert( table, root, 0 );
+			} );
+
+			expect( getFormulaValue( root.getNodeByPath( [ 0, 0, 0 ] ) ) ).to.equal( '6' );
+		} );
+	} );
+
+	// Returns the value displayed in the formula cell in the editing view.
+	function getFormulaValue( tableCell ) {
+		const viewCell = editor.editing.mapper.toViewElement( tableCell );
+
+		return viewCell.getCustomProperty( 'tableCellFormulaResult' );
+	}
+} );
@@ -0,0 +1,201 @@
+/**
+ * @license Copyright (c) 2003-2024, CKSource Holding sp. z o.o. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+
+import ModelTestEditor from '@ckeditor/ckeditor5-core/tests/_utils/modeltesteditor.js';
+import Paragraph from '@ckeditor/ckeditor5-paragraph/src/paragraph.js';
+import { setData as setModelData } from '@ckeditor/ckeditor5-engine/src/dev-utils/model.js';
+
+import TableEditing from '../../src/tableediting.js';
+import { modelTable } from '../_utils/utils.js';
+import {
+	evaluateFormula,
+	evaluateTableFormulas,
+	getFormulaResultText,
+	formatFormulaResult,
+	parseCellReference,
+	FormulaError
+} from '../../src/tablecellformula/utils.js';
+
+describe( 'table cell formula utils', () => {
+	describe( 'evaluateFormula()', () => {
+		const grid = [
+			[ 1, 2, 'foo' ],
+			[ 3, null, 4 ]
+		];
+
+		function resolveRange( start, end ) {
+			const values = [];
+
+			for ( let row = start.row; row <= end.row; row++ ) {
+				for ( let column = start.column; column <= end.column; column++ ) {
+					if ( !grid[ row ] || column >= grid[ row ].length ) {
+						throw new FormulaError( '#REF!' );
+					}
+
+					values.push( grid[ row ][ column ] );
+				}
+			}
+
+			return values;
+		}
+
+		function expectError( formula, code ) {
+			expect( () => evaluateFormula( formula, resolveRange ) ).to.throw( FormulaError ).with.property( 'code', code );
+		}
+
+		it( 'should evaluate the arithmetic operators with the proper precedence', () => {
+			expect( evaluateFormula( '=1+2*3', resolveRange ) ).to.equal( 7 );
+			expect( evaluateFormula( '=(1+2)*3', resolveRange ) ).to.equal( 9 );
+			expect( evaluateFormula( '=10/4-1', resolveRange ) ).to.equal( 1.5 );
+			expect( evaluateFormula( '=-(2+3)', resolveRange ) ).to.equal( -5 );
+		} );
+
+		it( 'should accept the formula without the leading "="', () => {
+			expect( evaluateFormula( ' 1 + 2 ', resolveRange ) ).to.equal( 3 );
+		} );
+
+		it( 'should evaluate the cell references', () => {
+			expect( evaluateFormula( '=A1+B1*a2', resolveRange ) ).to.equal( 7 );
+		} );
+
+		it( 'should treat the empty cells as 0', () => {
+			expect( evaluateFormula( '=B2+1', resolveRange ) ).to.equal( 1 );
+		} );
+
+		it( 'should evaluate the functions with ranges', () => {
+			expect( evaluateFormula( '=SUM(A1:C2)', resolveRange ) ).to.equal( 10 );
+			expect( evaluateFormula( '=SUM(C2:A1)', resolveRange ) ).to.equal( 10 );
+			expect( evaluateFormula( '=average(A1:B2)', resolveRange ) ).to.equal( 2 );
+			expect( evaluateFormula( '=MIN(A1:C2)', resolveRange ) ).to.equal( 1 );
+			expect( evaluateFormula( '=MAX(A1:C2; 10)', resolveRange ) ).to.equal( 10 );
+			expect( evaluateFormula( '=COUNT(A1:C2)', resolveRange ) ).to.equal( 4 );
+			expect( evaluateFormula( '=SUM(A1, A2, 2*3)', resolveRange ) ).to.equal( 10 );
+			expect( evaluateFormula( '=SUM()', resolveRange ) ).to.equal( 0 );
+		} );
+
+		it( 'should throw #ERROR! for an invalid syntax', () => {
+			expectError( '=1+', '#ERROR!' );
+			expectError( '=(1+2', '#ERROR!' );
+			expectError( '=A1 A2', '#ERROR!' );
+			expectError( '=SUM(A1:2)', '#ERROR!' );
+			expectError( '=', '#ERROR!' );
+		} );
+
+		it( 'should throw #NAME? for an unknown function or name', () => {
+			expectError( '=FOO(A1)', '#NAME?' );
+			expectError( '=FOO+1', '#NAME?' );
+		} );
+
+		it( 'should throw #VALUE! if a text is used in a calculation', () => {
+			expectError( '=C1+1', '#VALUE!' );
+		} );
+
+		it( 'should throw #DIV/0! when dividing by zero', () => {
+			expectError( '=A1/0', '#DIV/0!' );
+			expectError( '=A1/B2', '#DIV/0!' );
+			expectError( '=AVERAGE(C1:C1)', '#DIV/0!' );
+		} );
+
+		it( 'should rethrow the errors of the range resolver', () => {
+			expectError( '=D1', '#REF!' );
+			expectError( '=SUM(A1:A3)', '#REF!' );
+		} );
+	} );
+
+	describe( 'evaluateTableFormulas()', () => {
+		let editor, model, root;
+
+		beforeEach( async () => {
+			editor = await ModelTestEditor.create( {
+				plugins: [ Paragraph, TableEditing ]
+			} );
+
+			model = editor.model;
+			root = model.document.getRoot();
+
+			model.schema.extend( 'tableCell', { allowAttributes: [ 'tableCellFormula' ] } );
+		} );
+
+		afterEach( async () => {
+			await editor.destroy();
+		} );
+
+		it( 'should return the results of the formula cells only', () => {
+			setModelData( model, modelTable( [
+				[ '1', '2', { contents: '', tableCellFormula: '=A1+B1' } ]
+			] ) );
+
+			const results = evaluateTableFormulas( root.getChild( 0 ) );
+
+			expect( Array.from( results.keys() ) ).to.deep.equal( [ root.getNodeByPath( [ 0, 0, 2 ] ) ] );
+			expect( results.get( root.getNodeByPath( [ 0, 0, 2 ] ) ) ).to.equal( 3 );
+		} );
+
+		it( 'should use the results of the referenced formula cells', () => {
+			setModelData( model, modelTable( [
+				[ { contents: 'foo', tableCellFormula: '=B1*2' }, { contents: 'bar', tableCellFormula: '=C1+1' }, '2' ]
+			] ) );
+
+			const results = evaluateTableFormulas( root.getChild( 0 ) );
+
+			expect( results.get( root.getNodeByPath( [ 0, 0, 0 ] ) ) ).to.equal( 6 );
+			expect( results.get( root.getNodeByPath( [ 0, 0, 1 ] ) ) ).to.equal( 3 );
+		} );
+
+		it( 'should return the errors of the formulas that cannot be evaluated', () => {
+			setModelData( model, modelTable( [
+				[ { contents: '', tableCellFormula: '=A1' }, { contents: '', tableCellFormula: '=A1+D1' }, '1' ]
+			] ) );
+
+			const results = evaluateTableFormulas( root.getChild( 0 ) );
+
+			expect( getFormulaResultText( results.get( root.getNodeByPath( [ 0, 0, 0 ] ) ) ) ).to.equal( '#CIRCULAR!' );
+			expect( getFormulaResultText( results.get( root.getNodeByPath( [ 0, 0, 1 ] ) ) ) ).to.equal( '#CIRCULAR!' );
+		} );
+
+		it( 'should return the error for a reference outside the table', () => {
+			setModelData( model, modelTable( [
+				[ '1', { contents: '', tableCellFormula: '=A1+C1' } ]
+			] ) );
+
+			const result = evaluateTableFormulas( root.getChild( 0 ) ).get( root.getNodeByPath( [ 0, 0, 1 ] ) );
+
+			expect( result ).to.be.instanceOf( FormulaError );
+			expect( result.code ).to.equal( '#REF!' );
+		} );
+	} );
+
+	describe( 'getFormulaResultText()', () => {
+		it( 'should return the formatted value or the error code', () => {
+			expect( getFormulaResultText( 0.1 + 0.2 ) ).to.equal( '0.3' );
+			expect( getFormulaResultText( new FormulaError( '#DIV/0!' ) ) ).to.equal( '#DIV/0!' );
+		} );
+	} );
+
+	describe( 'formatFormulaResult()', () => {
+		it( 'should format the number', () => {
+			expect( formatFormulaResult( 42 ) ).to.equal( '42' );
+			expect( formatFormulaResult( -1.5 ) ).to.equal( '-1.5' );
+		} );
+
+		it( 'should round the floating point errors', () => {
+			expect( formatFormulaResult( 0.1 + 0.2 ) ).to.equal( '0.3' );
+		} );
+	} );
+
+	describe( 'parseCellReference()', () => {
+		it( 'should parse the reference in the A1 notation', () => {
+			expect( parseCellReference( 'A1' ) ).to.deep.equal( { row: 0, column: 0 } );
+			expect( parseCellReference( 'c12' ) ).to.deep.equal( { row: 11, column: 2 } );
+			expect( parseCellReference( 'AB3' ) ).to.deep.equal( { row: 2, column: 27 } );
+		} );
+
+		it( 'should return null for an invalid reference', () => {
+			expect( parseCellReference( 'A0' ) ).to.be.null;
+			expect( parseCellReference( '1A' ) ).to.be.null;
+			expect( parseCellReference( 'A' ) ).to.be.null;
+		} );
+	} );
+} );
@@ -96,6 +96,57 @@ describe( 'table clipboard', () => {
 			] ) );
 		} );
 
+		it( 'should paste the tab-separated plain text into the selected table cells', () => {
+			tableSelection.setCellSelection(
+				modelRoot.getNodeByPath( [ 0, 0, 0 ] ),
+				modelRoot.getNodeByPath( [ 0, 1, 1 ] )
+			);
+
+			pasteText( 'aa\tab\r\nba\t"b\tb"\r\n' );
+
+			expect( getModelData( model, { withoutSelection: true } ) ).to.equalMarkup( modelTable( [
+				[ 'aa', 'ab', '02', '03' ],
+				[ 'ba', 'b\tb', '12', '13' ],
+				[ '20', '21', '22', '23' ],
+				[ '30', '31', '32', '33' ]
+			] ) );
+		} );
+
+		it( 'should not convert the tab-separated plain text if no table cells are selected', () => {
+			pasteText( 'aa\tab' );
+
+			expect( getModelData( model ) ).to.equalMarkup( modelTable( [
+				[ '00aa\u00a0\u00a0\u00a0\u00a0ab[]', '01', '02', '03' ],
+				[ '10', '11', '12', '13' ],
+				[ '20', '21', '22', '23' ],
+				[ '30', '31', '32', '33' ]
+			] ) );
+		} );
+
+		it( 'should not convert the tab-separated plain text if the HTML is also pasted', () => {
+			tableSelection.setCellSelection(
+				modelRoot.getNodeByPath( [ 0, 0, 0 ] ),
+				modelRoot.getNodeByPath( [ 0, 1, 1 ] )
+			);
+
+			const data = {
+				dataTransfer: createDataTransfer(),
+				preventDefault: sinon.spy(),
+				stopPropagation: sinon.spy()
+			};
+
+			data.dataTransfer.setData( 'text/plain', 'aa\tab' );
+			data.dataTransfer.setData( 'text/html', viewTable( [ [ 'xx' ] ] ) );
+			viewDocument.fire( 'paste', data );
+
+			expect( getModelData( model, { withoutSelection: true } ) ).to.equalMarkup( modelTable( [
+				[ 'xx', 'xx', '02', '03' ],
+				[ 'xx', 'xx', '12', '13' ],
+				[ '20', '21', '22', '23' ],
+				[ '30', '31', '32', '33' ]
+			] ) );
+		} );
+
 		it( 'should not alter model.insertContent if selectable is different from document selection', () => {
 			model.change( writer => {
 				writer.setSelection( modelRoot.getNodeByPath( [ 0, 0, 0 ] ), 0 );
@@ -4638,6 +4689,18 @@ describe( 'table clipboard', () => {
 		return data;
 	}
 
+	function pasteText( text ) {
+		const data = {
+			dataTransfer: createDataTransfer(),
+			preventDefault: sinon.spy(),
+			stopPropagation: sinon.spy()
+		};
+		data.dataTransfer.setData( 'text/plain', text );
+		viewDocument.fire( 'paste', data );
+
+		return data;
+	}
+
 	function createDataTransfer() {
 		const store = new Map();
 
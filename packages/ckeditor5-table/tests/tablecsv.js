@@ -0,0 +1,18 @@
+/**
+ * @license Copyright (c) 2003-2024, CKSource Holding sp. z o.o. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+
+import TableCsv from '../src/tablecsv.js';
+import TableCsvEditing from '../src/tablecsv/tablecsvediting.js';
+import TableCsvUI from '../src/tablecsv/tablecsvui.js';
+
+describe( 'TableCsv', () => {
+	it( 'should have pluginName', () => {
+		expect( TableCsv.pluginName ).to.equal( 'TableCsv' );
+	} );
+
+	it( 'should require TableCsvEditing and TableCsvUI', () => {
+		expect( TableCsv.requires ).to.deep.equal( [ TableCsvEditing, TableCsvUI ] );
+	} );
+} );
@@ -0,0 +1,103 @@
+/**
+ * @license Copyright (c) 2003-2024, CKSource Holding sp. z o.o. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+
+import ModelTestEditor from '@ckeditor/ckeditor5-core/tests/_utils/modeltesteditor.js';
+import Paragraph from '@ckeditor/ckeditor5-paragraph/src/paragraph.js';
+import { setData } from '@ckeditor/ckeditor5-engine/src/dev-utils/model.js';
+
+import TableEditing from '../../src/tableediting.js';
+import ExportTableToCsvCommand from '../../src/tablecsv/exporttabletocsvcommand.js';
+import { modelTable } from '../_utils/utils.js';
+
+describe( 'ExportTableToCsvCommand', () => {
+	let editor, model, command;
+
+	beforeEach( async () => {
+		editor = await ModelTestEditor.create( {
+			plugins: [ Paragraph, TableEditing ]
+		} );
+
+		model = editor.model;
+		command = new ExportTableToCsvCommand( editor );
+	} );
+
+	afterEach( () => {
+		return editor.destroy();
+	} );
+
+	describe( 'isEnabled', () => {
+		it( 'should be false if the selection is outside a table', () => {
+			setData( model, '<paragraph>foo[]</paragraph>' );
+
+			expect( command.isEnabled ).to.be.false;
+		} );
+
+		it( 'should be true if the selection is in a table cell', () => {
+			setData( model, modelTable( [ [ '[]foo' ] ] ) );
+
+			expect( command.isEnabled ).to.be.true;
+		} );
+
+		it( 'should be true if the table is selected', () => {
+			setData( model, '[' + modelTable( [ [ 'foo' ] ] ) + ']' );
+
+			expect( command.isEnabled ).to.be.true;
+		} );
+	} );
+
+	describe( 'execute()', () => {
+		it( 'should return the values of the table as CSV', () => {
+			setData( model, modelTable( [
+				[ '[]a', 'b' ],
+				[ 'c', 'd' ]
+			], { headingRows: 1 } ) );
+
+			expect( command.execute() ).to.equal( 'a,b\r\nc,d' );
+		} );
+
+		it( 'should use the delimiter passed in the options', () => {
+			setData( model, modelTable( [
+				[ '[]a', 'b,c' ],
+				[ 'd', 'e' ]
+			] ) );
+
+			expect( command.execute( { delimiter: '\t' } ) ).to.equal( 'a\tb,c\r\nd\te' );
+		} );
+
+		it( 'should quote the values when needed', () => {
+			setData( model, modelTable( [
+				[ '[]a,b', 'say "hi"' ]
+			] ) );
+
+			expect( command.execute() ).to.equal( '"a,b","say ""hi"""' );
+		} );
+
+		it( 'should separate the paragraphs of a cell with line breaks', () => {
+			setData( model, modelTable( [
+				[ '<paragraph>[]a</paragraph><paragraph>b</paragraph>', 'c' ]
+			] ) );
+
+			expect( command.execute() ).to.equal( '"a\nb",c' );
+		} );
+
+		it( 'should leave the slots covered by merged cells empty', () => {
+			setData( model, modelTable( [
+				[ { contents: '[]a', colspan: 2 }, { contents: 'b', rowspan: 2 } ],
+				[ 'c', 'd' ]
+			] ) );
+
+			expect( command.execute() ).to.equal( 'a,,b\r\nc,d,' );
+		} );
+
+		it( 'should export the table containing the selection only', () => {
+			setData( model,
+				modelTable( [ [ 'x' ] ] ) +
+				modelTable( [ [ '[]a', 'b' ] ] )
+			);
+
+			expect( command.execute() ).to.equal( 'a,b' );
+		} );
+	} );
+} );
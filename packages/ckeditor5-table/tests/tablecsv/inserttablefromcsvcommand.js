@@ -0,0 +1,162 @@
+/**
+ * @license Copyright (c) 2003-2024, CKSource Holding sp. z o.o. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+
+/* globals File */
+
+import ModelTestEditor from '@ckeditor/ckeditor5-core/tests/_utils/modeltesteditor.js';
+import Paragraph from '@ckeditor/ckeditor5-paragraph/src/paragraph.js';
+import { getData, setData } from '@ckeditor/ckeditor5-engine/src/dev-utils/model.js';
+
+import TableEditing from '../../src/tableediting.js';
+import InsertTableCommand from '../../src/commands/inserttablecommand.js';
+import InsertTableFromCsvCommand from '../../src/tablecsv/inserttablefromcsvcommand.js';
+import { modelTable } from '../_utils/utils.js';
+
+describe( 'InsertTableFromCsvCommand', () => {
+	let editor, model, command;
+
+	beforeEach( async () => {
+		editor = await ModelTestEditor.create( {
+			plugins: [ Paragraph, TableEditing ]
+		} );
+
+		model = editor.model;
+		command = new InsertTableFromCsvCommand( editor );
+	} );
+
+	afterEach( () => {
+		return editor.destroy();
+	} );
+
+	it( 'should extend the InsertTableCommand', () => {
+		expect( command ).to.be.instanceOf( InsertTableCommand );
+	} );
+
+	describe( 'isEnabled', () => {
+		it( 'should be true if in paragraph', () => {
+			setData( model, '<paragraph>foo[]</paragraph>' );
+
+			expect( command.isEnabled ).to.be.true;
+		} );
+	} );
+
+	describe( 'execute()', () => {
+		it( 'should insert the table with the values', () => {
+			setData( model, '<paragraph>foo[]</paragraph>' );
+
+			command.execute( { data: 'a,b\nc,d\ne,f' } );
+
+			expect( getData( model ) ).to.equalMarkup(
+				'<paragraph>foo</paragraph>' +
+				modelTable( [
+					[ '[]a', 'b' ],
+					[ 'c', 'd' ],
+					[ 'e', 'f' ]
+				] )
+			);
+		} );
+
+		it( 'should create a single batch', () => {
+			setData( model, '<paragraph>foo[]</paragraph>' );
+
+			const spy = sinon.spy();
+
+			model.document.on( 'change', spy );
+
+			command.execute( { data: 'a,b' } );
+
+			sinon.assert.calledOnce( spy );
+		} );
+
+		it( 'should detect the delimiter', () => {
+			setData( model, '<paragraph>[]</paragraph>' );
+
+			command.execute( { data: 'a;b,c\nd;e' } );
+
+			expect( getData( model ) ).to.equalMarkup( modelTable( [
+				[ '[]a', 'b,c' ],
+				[ 'd', 'e' ]
+			] ) );
+		} );
+
+		it( 'should use the delimiter passed in the options', () => {
+			setData( model, '<paragraph>[]</paragraph>' );
+
+			command.execute( { data: 'a;b,c\nd;e', delimiter: ',' } );
+
+			expect( getData( model ) ).to.equalMarkup( modelTable( [
+				[ '[]a;b', 'c' ],
+				[ 'd;e', '' ]
+			] ) );
+		} );
+
+		it( 'should make the first row a heading row if it looks like a header', () => {
+			setData( model, '<paragraph>[]</paragraph>' );
+
+			command.execute( { data: 'Name,Price\nApple,1.20\nPear,0.90' } );
+
+			expect( getData( model ) ).to.equalMarkup( modelTable( [
+				[ '[]Name', 'Price' ],
+				[ 'Apple', '1.20' ],
+				[ 'Pear', '0.90' ]
+			], { headingRows: 1 } ) );
+		} );
+
+		it( 'should use the number of heading rows passed in the options', () => {
+			setData( model, '<paragraph>[]</paragraph>' );
+
+			command.execute( { data: 'Name,Price\nApple,1.20\nPear,0.90', headingRows: 0 } );
+
+			expect( getData( model ) ).to.equalMarkup( modelTable( [
+				[ '[]Name', 'Price' ],
+				[ 'Apple', '1.20' ],
+				[ 'Pear', '0.90' ]
+			] ) );
+		} );
+
+		it( 'should put the lines of multi-line values in separate paragraphs', () => {
+			setData( model, '<paragraph>[]</paragraph>' );
+
+			command.execute( { data: '"a\nb",c' } );
+
+			expect( getData( model ) ).to.equalMarkup( modelTable( [
+				[ '<paragraph>[]a</paragraph><paragraph>b</paragraph>', 'c' ]
+			] ) );
+		} );
+
+		it( 'should do nothing if there are no values', () => {
+			setData( model, '<paragraph>foo[]</paragraph>' );
+
+			command.execute( { data: '\n\n' } );
+			command.execute();
+
+			expect( getData( model ) ).to.equalMarkup( '<paragraph>foo[]</paragraph>' );
+		} );
+
+		it( 'should read the values from the file and return a promise', async () => {
+			setData( model, '<paragraph>[]</paragraph>' );
+
+			const result = command.execute( { file: new File( [ 'a\tb\nc\td' ], 'table.tsv' ) } );
+
+			expect( result ).to.be.instanceOf( Promise );
+
+			await result;
+
+			expect( getData( model ) ).to.equalMarkup( modelTable( [
+				[ '[]a', 'b' ],
+				[ 'c', 'd' ]
+			] ) );
+		} );
+
+		it( 'should prefer the data over the file', () => {
+			setData( model, '<paragraph>[]</paragraph>' );
+
+			const result = command.execute( { data: 'a', file: new File( [ 'b' ], 'table.csv' ) } );
+
+			expect( result ).to.be.undefined;
+			expect( getData( model ) ).to.equalMarkup( modelTable( [ [ '[]a' ] ] ) );
+		} );
+	} );
+} );
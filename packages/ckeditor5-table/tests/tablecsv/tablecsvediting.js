@@ -0,0 +1,139 @@
+/**
+ * @license Copyright (c) 2003-2024, CKSource Holding sp. z o.o. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+
+/* globals document */
+
+import ClassicTestEditor from '@ckeditor/ckeditor5-core/tests/_utils/classictesteditor.js';
+import Paragraph from '@ckeditor/ckeditor5-paragraph/src/paragraph.js';
+import ClipboardPipeline from '@ckeditor/ckeditor5-clipboard/src/clipboardpipeline.js';
+import { getData as getModelData, setData as setModelData } from '@ckeditor/ckeditor5-engine/src/dev-utils/model.js';
+
+import TableEditing from '../../src/tableediting.js';
+import TableCsvEditing from '../../src/tablecsv/tablecsvediting.js';
+import InsertTableFromCsvCommand from '../../src/tablecsv/inserttablefromcsvcommand.js';
+import ExportTableToCsvCommand from '../../src/tablecsv/exporttabletocsvcommand.js';
+import { modelTable } from '../_utils/utils.js';
+
+describe( 'TableCsvEditing', () => {
+	let editor, model, element;
+
+	beforeEach( async () => {
+		element = document.createElement( 'div' );
+		document.body.appendChild( element );
+
+		editor = await ClassicTestEditor.create( element, {
+			plugins: [ TableCsvEditing, Paragraph ]
+		} );
+
+		model = editor.model;
+	} );
+
+	afterEach( async () => {
+		await editor.destroy();
+
+		element.remove();
+	} );
+
+	it( 'should have pluginName', () => {
+		expect( TableCsvEditing.pluginName ).to.equal( 'TableCsvEditing' );
+	} );
+
+	it( 'should require ClipboardPipeline and TableEditing', () => {
+		expect( TableCsvEditing.requires ).to.deep.equal( [ ClipboardPipeline, TableEditing ] );
+	} );
+
+	it( 'should register the insertTableFromCsv command', () => {
+		expect( editor.commands.get( 'insertTableFromCsv' ) ).to.be.instanceOf( InsertTableFromCsvCommand );
+	} );
+
+	it( 'should register the exportTableToCsv command', () => {
+		expect( editor.commands.get( 'exportTableToCsv' ) ).to.be.instanceOf( ExportTableToCsvCommand );
+	} );
+
+	it( 'should define the table.csv.pasteAsTable config option', () => {
+		expect( editor.config.get( 'table.csv.pasteAsTable' ) ).to.be.false;
+	} );
+
+	it( 'should not convert the pasted tab-separated values by default', () => {
+		setModelData( model, '<paragraph>[]</paragraph>' );
+
+		pasteData( editor, { 'text/plain': 'a\tb' } );
+
+		expect( getModelData( model, { withoutSelection: true } ) ).to.equalMarkup(
+			'<paragraph>a\u00a0\u00a0\u00a0\u00a0b</paragraph>'
+		);
+	} );
+
+	describe( 'with the pasteAsTable option enabled', () => {
+		let editor, model, element;
+
+		beforeEach( async () => {
+			element = document.createElement( 'div' );
+			document.body.appendChild( element );
+
+			editor = await ClassicTestEditor.create( element, {
+				plugins: [ TableCsvEditing, Paragraph ],
+				table: {
+					csv: {
+						pasteAsTable: true
+					}
+				}
+			} );
+
+			model = editor.model;
+
+			setModelData( model, '<paragraph>foo[]</paragraph>' );
+		} );
+
+		afterEach( async () => {
+			await editor.destroy();
+
+			element.remove();
+		} );
+
+		it( 'should insert the pasted tab-separated values as a table', () => {
+			pasteData( editor, { 'text/plain': 'a\tb\r\nc\t"d\te"\r\n' } );
+
+			expect( getModelData( model, { withoutSelection: true } ) ).to.include( modelTable( [
+				[ 'a', 'b' ],
+				[ 'c', 'd\te' ]
+			] ) );
+		} );
+
+		it( 'should make the first row a heading row if it looks like a header', () => {
+			pasteData( editor, { 'text/plain': 'Name\tPrice\nApple\t1.20\nPear\t0.90' } );
+
+			expect( getModelData( model, { withoutSelection: true } ) ).to.include( modelTable( [
+				[ 'Name', 'Price' ],
+				[ 'Apple', '1.20' ],
+				[ 'Pear', '0.90' ]
+			], { headingRows: 1 } ) );
+		} );
+
+		it( 'should not convert the plain text that is not tab-separated', () => {
+			pasteData( editor, { 'text/plain': 'a\tb\nc' } );
+
+			expect( getModelData( model, { withoutSelection: true } ) ).to.not.include( '<table' );
+		} );
+
+		it( 'should not convert the tab-separated values if the HTML is pasted', () => {
+			pasteData( editor, { 'text/plain': 'a\tb', 'text/html': '<p>bar</p>' } );
+
+			expect( getModelData( model, { withoutSelection: true } ) ).to.equalMarkup( '<paragraph>foobar</paragraph>' );
+		} );
+	} );
+
+	function pasteData( editor, data ) {
+		const dataTransfer = {
+			getData: type => data[ type ]
+		};
+
+		editor.editing.view.document.fire( 'paste', {
+			dataTransfer,
+			preventDefault() {},
+			stopPropagation() {}
+		} );
+	}
+} );
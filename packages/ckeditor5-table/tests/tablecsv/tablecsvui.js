@@ -0,0 +1,162 @@
+/**
+ * @license Copyright (c) 2003-2024, CKSource Holding sp. z o.o. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+
+/* globals document, window, HTMLAnchorElement */
+
+import ClassicTestEditor from '@ckeditor/ckeditor5-core/tests/_utils/classictesteditor.js';
+import ButtonView from '@ckeditor/ckeditor5-ui/src/button/buttonview.js';
+import FileDialogButtonView from '@ckeditor/ckeditor5-ui/src/button/filedialogbuttonview.js';
+import MenuBarMenuListItemFileDialogButtonView from '@ckeditor/ckeditor5-ui/src/menubar/menubarmenulistitemfiledialogbuttonview.js';
+import testUtils from '@ckeditor/ckeditor5-core/tests/_utils/utils.js';
+import Paragraph from '@ckeditor/ckeditor5-paragraph/src/paragraph.js';
+import { setData as setModelData } from '@ckeditor/ckeditor5-engine/src/dev-utils/model.js';
+
+import TableCsvEditing from '../../src/tablecsv/tablecsvediting.js';
+import TableCsvUI from '../../src/tablecsv/tablecsvui.js';
+import { modelTable } from '../_utils/utils.js';
+
+describe( 'TableCsvUI', () => {
+	let editor, editorElement;
+
+	testUtils.createSinonSandbox();
+
+	beforeEach( async () => {
+		editorElement = document.createElement( 'div' );
+		document.body.appendChild( editorElement );
+
+		editor = await ClassicTestEditor.create( editorElement, {
+			plugins: [ Paragraph, TableCsvEditing, TableCsvUI ]
+		} );
+	} );
+
+	afterEach( async () => {
+		editorElement.remove();
+
+		await editor.destroy();
+	} );
+
+	it( 'should have pluginName', () => {
+		expect( TableCsvUI.pluginName ).to.equal( 'TableCsvUI' );
+	} );
+
+	describe( 'importTableFromCsv button', () => {
+		let button;
+
+		beforeEach( () => {
+			button = editor.ui.componentFactory.create( 'importTableFromCsv' );
+		} );
+
+		it( 'should be registered', () => {
+			expect( button ).to.be.instanceOf( FileDialogButtonView );
+			expect( button.label ).to.equal( 'Insert table from CSV' );
+			expect( button.icon ).to.match( /<svg / );
+			expect( button.tooltip ).to.be.true;
+			expect( button.acceptedType ).to.equal( '.csv,.tsv,.txt,text/csv,text/tab-separated-values,text/plain' );
+			expect( button.allowMultipleFiles ).to.be.false;
+		} );
+
+		it( 'should be bound to the insertTableFromCsv command', () => {
+			const command = editor.commands.get( 'insertTableFromCsv' );
+
+			command.isEnabled = true;
+			expect( button.isEnabled ).to.be.true;
+
+			command.isEnabled = false;
+			expect( button.isEnabled ).to.be.false;
+		} );
+
+		it( 'should execute the insertTableFromCsv command with the chosen file', () => {
+			const executeStub = testUtils.sinon.stub( editor, 'execute' );
+			const focusSpy = testUtils.sinon.spy( editor.editing.view, 'focus' );
+			const file = { name: 'table.csv' };
+
+			button.fire( 'done', [ file ] );
+
+			sinon.assert.calledOnceWithExactly( executeStub, 'insertTableFromCsv', { file } );
+			sinon.assert.calledOnce( focusSpy );
+		} );
+
+		it( 'should do nothing if no file was chosen', () => {
+			const executeStub = testUtils.sinon.stub( editor, 'execute' );
+
+			button.fire( 'done', [] );
+
+			sinon.assert.notCalled( executeStub );
+		} );
+	} );
+
+	describe( 'menuBar:importTableFromCsv menu bar item', () => {
+		let button;
+
+		beforeEach( () => {
+			button = editor.ui.componentFactory.create( 'menuBar:importTableFromCsv' );
+		} );
+
+		it( 'should be registered', () => {
+			expect( button ).to.be.instanceOf( MenuBarMenuListItemFileDialogButtonView );
+			expect( button.label ).to.equal( 'Table from CSV' );
+			expect( button.icon ).to.match( /<svg / );
+		} );
+
+		it( 'should execute the insertTableFromCsv command with the chosen file', () => {
+			const executeStub = testUtils.sinon.stub( editor, 'execute' );
+			const file = { name: 'table.csv' };
+
+			button.fire( 'done', [ file ] );
+
+			sinon.assert.calledOnceWithExactly( executeStub, 'insertTableFromCsv', { file } );
+		} );
+	} );
+
+	describe( 'exportTableToCsv button', () => {
+		let button;
+
+		beforeEach( () => {
+			button = editor.ui.componentFactory.create( 'exportTableToCsv' );
+		} );
+
+		it( 'should be registered', () => {
+			expect( button ).to.be.instanceOf( ButtonView );
+			expect( button.label ).to.equal( 'Download table as CSV' );
+			expect( button.icon ).to.match( /<svg / );
+			expect( button.tooltip ).to.be.true;
+		} );
+
+		it( 'should be bound to the exportTableToCsv command', () => {
+			const command = editor.commands.get( 'exportTableToCsv' );
+
+			command.isEnabled = true;
+			expect( button.isEnabled ).to.be.true;
+
+			command.isEnabled = false;
+			expect( button.isEnabled ).to.be.false;
+		} );
+
+		it( 'should download the table as a CSV file', () => {
+			const createObjectURLStub = testUtils.sinon.stub( window.URL, 'createObjectURL' ).returns( 'blob:table' );
+			const revokeObjectURLStub = testUtils.sinon.stub( window.URL, 'revokeObjectURL' );
+			const clickStub = testUtils.sinon.stub( HTMLAnchorElement.prototype, 'click' );
+
+			setModelData( editor.model, modelTable( [ [ '[]a', 'b' ] ] ) );
+
+			button.fire( 'execute' );
+
+			const blob = createObjectURLStub.firstCall.args[ 0 ];
+			const link = clickStub.firstCall.thisValue;
+
+			expect( blob.type ).to.equal( 'text/csv;charset=utf-8' );
+			expect( link.href ).to.equal( 'blob:table' );
+			expect( link.download ).to.equal( 'table.csv' );
+			sinon.assert.calledOnceWithExactly( revokeObjectURLStub, 'blob:table' );
+
+			// The byte order mark takes 3 bytes, and it is skipped when the blob is decoded.
+			expect( blob.size ).to.equal( 6 );
+
+			return blob.text().then( text => {
+				expect( text ).to.equal( 'a,b' );
+			} );
+		} );
+	} );
+} );
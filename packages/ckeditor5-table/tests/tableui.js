@@ -386,7 +386,10 @@ describe( 'TableUI', () => {
 			const labels = listView.items.map( item => item instanceof ListSeparatorView ? '|' : item.children.first.label );
 
 			expect( labels ).to.deep.equal(
-				[ 'Header column', '|', 'Insert column left', 'Insert column right', 'Delete column', 'Select column' ]
+				[
+					'Header column', '|', 'Insert column left', 'Insert column right', 'Delete column', 'Select column', '|',
+					'Sort ascending', 'Sort descending'
+				]
 			);
 		} );
 
@@ -400,12 +403,14 @@ describe( 'TableUI', () => {
 			const insertColumnRightCommand = editor.commands.get( 'insertTableColumnRight' );
 			const removeColumnCommand = editor.commands.get( 'removeTableColumn' );
 			const selectColumnCommand = editor.commands.get( 'selectTableColumn' );
+			const sortTableByColumnCommand = editor.commands.get( 'sortTableByColumn' );
 
 			setColumnHeaderCommand.isEnabled = true;
 			insertColumnLeftCommand.isEnabled = true;
 			insertColumnRightCommand.isEnabled = true;
 			removeColumnCommand.isEnabled = true;
 			selectColumnCommand.isEnabled = true;
+			sortTableByColumnCommand.isEnabled = true;
 
 			expect( items.first.children.first.isEnabled ).to.be.true;
 			expect( items.get( 2 ).children.first.isEnabled ).to.be.true;
@@ -433,6 +438,12 @@ describe( 'TableUI', () => {
 			selectColumnCommand.isEnabled = false;
 			expect( items.get( 5 ).children.first.isEnabled ).to.be.false;
 
+			expect( dropdown.buttonView.isEnabled ).to.be.true;
+
+			sortTableByColumnCommand.isEnabled = false;
+			expect( items.get( 7 ).children.first.isEnabled ).to.be.false;
+			expect( items.get( 8 ).children.first.isEnabled ).to.be.false;
+
 			expect( dropdown.buttonView.isEnabled ).to.be.false;
 		} );
 
@@ -499,6 +510,19 @@ describe( 'TableUI', () => {
 			expect( spy.args[ 0 ][ 0 ] ).to.equal( 'setTableColumnHeader' );
 		} );
 
+		it( 'executes the sort command with the order', () => {
+			dropdown.isOpen = true;
+
+			const spy = sinon.stub( editor, 'execute' );
+
+			dropdown.listView.items.get( 7 ).children.first.fire( 'execute' );
+			dropdown.listView.items.get( 8 ).children.first.fire( 'execute' );
+
+			sinon.assert.calledTwice( spy );
+			sinon.assert.calledWithExactly( spy.firstCall, 'sortTableByColumn', { order: 'ascending' } );
+			sinon.assert.calledWithExactly( spy.secondCall, 'sortTableByColumn', { order: 'descending' } );
+		} );
+
 		it( 'should use a toggle switch for the setTableColumnHeader item', () => {
 			dropdown.isOpen = true;
 
@@ -10,7 +10,7 @@ import { setData as setModelData, setData } from '@ckeditor/ckeditor5-engine/src
 import TableEditing from '../../src/tableediting.js';
 import { modelTable } from '../_utils/utils.js';
 
-import { getSelectionAffectedTable, isHeadingColumnCell } from '../../src/utils/common.js';
+import { getSelectionAffectedTable, getTableCellText, isHeadingColumnCell, parseNumber } from '../../src/utils/common.js';
 import Selection from '@ckeditor/ckeditor5-engine/src/model/selection.js';
 
 describe( 'table utils', () => {
@@ -125,5 +125,54 @@ describe( 'table utils', () => {
 				expect( tableElement ).to.equal( modelRoot.getNodeByPath( [ 0, 0, 0, 0 ] ) );
 			} );
 		} );
+
+		describe( 'getTableCellText()', () => {
+			it( 'should return the text of the table cell', () => {
+				setModelData( model, modelTable( [
+					[ '<paragraph> foo </paragraph><paragraph>bar</paragraph>' ]
+				] ) );
+
+				expect( getTableCellText( modelRoot.getNodeByPath( [ 0, 0, 0 ] ) ) ).to.equal( 'foo bar' );
+			} );
+
+			it( 'should return an empty string for an empty table cell', () => {
+				setModelData( model, modelTable( [ [ '' ] ] ) );
+
+				expect( getTableCellText( modelRoot.getNodeByPath( [ 0, 0, 0 ] ) ) ).to.equal( '' );
+			} );
+		} );
+
+		describe( 'parseNumber()', () => {
+			it( 'should parse numbers', () => {
+				expect( parseNumber( '42' ) ).to.equal( 42 );
+				expect( parseNumber( '-1.5' ) ).to.equal( -1.5 );
+				expect( parseNumber( '.5' ) ).to.equal( 0.5 );
+				expect( parseNumber( '1e3' ) ).to.equal( 1000 );
+			} );
+
+			it( 'should accept a comma as a decimal separator', () => {
+				expect( parseNumber( '-1,5' ) ).to.equal( -1.5 );
+			} );
+
+			it( 'should ignore the thousands separators', () => {
+				expect( parseNumber( '1,000' ) ).to.equal( 1000 );
+				expect( parseNumber( '1 000.5' ) ).to.equal( 1000.5 );
+				expect( parseNumber( '1.000.000,5' ) ).to.equal( 1000000.5 );
+				expect( parseNumber( '1,000,000.5' ) ).to.equal( 1000000.5 );
+			} );
+
+			it( 'should ignore the currency symbols and the percent sign', () => {
+				expect( parseNumber( '$ 100' ) ).to.equal( 100 );
+				expect( parseNumber( '12,5 €' ) ).to.equal( 12.5 );
+				expect( parseNumber( '50%' ) ).to.equal( 50 );
+			} );
+
+			it( 'should return null if the text is not a number', () => {
+				expect( parseNumber( '' ) ).to.be.null;
+				expect( parseNumber( 'foo' ) ).to.be.null;
+				expect( parseNumber( '10 items' ) ).to.be.null;
+				expect( parseNumber( '1-2' ) ).to.be.null;
+			} );
+		} );
 	} );
 } );
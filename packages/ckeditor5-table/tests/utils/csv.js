@@ -0,0 +1,198 @@
+/**
+ * @license Copyright (c) 2003-2024, CKSource Holding sp. z o.o. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+
+import UpcastWriter from '@ckeditor/ckeditor5-engine/src/view/upcastwriter.js';
+import ViewDocument from '@ckeditor/ckeditor5-engine/src/view/document.js';
+import { StylesProcessor } from '@ckeditor/ckeditor5-engine/src/view/stylesmap.js';
+import { stringify } from '@ckeditor/ckeditor5-engine/src/dev-utils/view.js';
+
+import {
+	createViewTableFromCsv,
+	detectCsvDelimiter,
+	detectCsvHeader,
+	isTabSeparatedText,
+	parseCsv,
+	stringifyCsv
+} from '../../src/utils/csv.js';
+
+describe( 'table utils', () => {
+	describe( 'csv', () => {
+		describe( 'parseCsv()', () => {
+			it( 'should parse the rows of values', () => {
+				expect( parseCsv( 'a,b,c\n1,2,3', ',' ) ).to.deep.equal( [
+					[ 'a', 'b', 'c' ],
+					[ '1', '2', '3' ]
+				] );
+			} );
+
+			it( 'should use the given delimiter', () => {
+				expect( parseCsv( 'a;b,c\n1\t2;3', ';' ) ).to.deep.equal( [
+					[ 'a', 'b,c' ],
+					[ '1\t2', '3' ]
+				] );
+			} );
+
+			it( 'should accept all kinds of line breaks', () => {
+				expect( parseCsv( 'a\r\nb\rc\nd', ',' ) ).to.deep.equal( [ [ 'a' ], [ 'b' ], [ 'c' ], [ 'd' ] ] );
+			} );
+
+			it( 'should parse the quoted values', () => {
+				expect( parseCsv( '"a,b","say ""hi""","line\r\nbreak"\n"",x', ',' ) ).to.deep.equal( [
+					[ 'a,b', 'say "hi"', 'line\r\nbreak' ],
+					[ '', 'x', '' ]
+				] );
+			} );
+
+			it( 'should not treat a quote inside a value as the beginning of a quoted value', () => {
+				expect( parseCsv( 'a"b,c', ',' ) ).to.deep.equal( [ [ 'a"b', 'c' ] ] );
+			} );
+
+			it( 'should skip the empty lines and the byte order mark', () => {
+				expect( parseCsv( '\uFEFFa,b\n\n1,2\n', ',' ) ).to.deep.equal( [
+					[ 'a', 'b' ],
+					[ '1', '2' ]
+				] );
+			} );
+
+			it( 'should keep the line with a single quoted empty value', () => {
+				expect( parseCsv( 'a\n""\nb', ',' ) ).to.deep.equal( [ [ 'a' ], [ '' ], [ 'b' ] ] );
+			} );
+
+			it( 'should pad the rows to the length of the longest row', () => {
+				expect( parseCsv( 'a\n1,2,3\n4,5', ',' ) ).to.deep.equal( [
+					[ 'a', '', '' ],
+					[ '1', '2', '3' ],
+					[ '4', '5', '' ]
+				] );
+			} );
+
+			it( 'should return no rows for an empty text', () => {
+				expect( parseCsv( '', ',' ) ).to.deep.equal( [] );
+				expect( parseCsv( '\r\n\n', ',' ) ).to.deep.equal( [] );
+			} );
+		} );
+
+		describe( 'stringifyCsv()', () => {
+			it( 'should join the values and the rows', () => {
+				expect( stringifyCsv( [ [ 'a', 'b' ], [ '1', '2' ] ], ',' ) ).to.equal( 'a,b\r\n1,2' );
+				expect( stringifyCsv( [ [ 'a', 'b' ], [ '1', '2' ] ], '\t' ) ).to.equal( 'a\tb\r\n1\t2' );
+			} );
+
+			it( 'should quote the values containing the delimiter, quotes or line breaks', () => {
+				expect( stringifyCsv( [ [ 'a,b', 'a;b', 'say "hi"', 'line\nbreak' ] ], ',' ) ).to.equal(
+					'"a,b",a;b,"say ""hi""","line\nbreak"'
+				);
+
+				expect( stringifyCsv( [ [ 'a,b', 'a;b' ] ], ';' ) ).to.equal( 'a,b;"a;b"' );
+			} );
+
+			it( 'should produce the text parsed back to the same values', () => {
+				const rows = [ [ 'a,b', '"', '' ], [ 'x\r\ny', ' ', 'z' ] ];
+
+				expect( parseCsv( stringifyCsv( rows, ',' ), ',' ) ).to.deep.equal( rows );
+			} );
+		} );
+
+		describe( 'detectCsvDelimiter()', () => {
+			it( 'should detect the tabulator', () => {
+				expect( detectCsvDelimiter( 'a,b;c\td' ) ).to.equal( '\t' );
+			} );
+
+			it( 'should detect the more frequent of the comma and the semicolon in the first line', () => {
+				expect( detectCsvDelimiter( 'a;b;c,d\n1,2,3,4,5' ) ).to.equal( ';' );
+				expect( detectCsvDelimiter( 'a,b,c;d\n1;2;3;4;5' ) ).to.equal( ',' );
+			} );
+
+			it( 'should default to the comma', () => {
+				expect( detectCsvDelimiter( 'abc' ) ).to.equal( ',' );
+				expect( detectCsvDelimiter( '' ) ).to.equal( ',' );
+			} );
+		} );
+
+		describe( 'detectCsvHeader()', () => {
+			it( 'should detect the header above the columns of numbers', () => {
+				expect( detectCsvHeader( [ [ 'Name', 'Price' ], [ 'Apple', '1.20' ], [ 'Pear', '0.90' ] ] ) ).to.be.true;
+			} );
+
+			it( 'should detect the header above the columns of values having the same length', () => {
+				expect( detectCsvHeader( [ [ 'Code' ], [ 'AB' ], [ 'CD' ] ] ) ).to.be.true;
+			} );
+
+			it( 'should not detect the header if its value has the same length as the values of the column', () => {
+				expect( detectCsvHeader( [ [ 'Code' ], [ 'ABCD' ], [ 'EFGH' ] ] ) ).to.be.false;
+			} );
+
+			it( 'should not detect the header above the texts of different lengths', () => {
+				expect( detectCsvHeader( [ [ 'Name' ], [ 'Alice' ], [ 'Bob' ] ] ) ).to.be.false;
+			} );
+
+			it( 'should not detect the header if the first row contains an empty value or a number', () => {
+				expect( detectCsvHeader( [ [ 'Name', '' ], [ 'Apple', '1' ] ] ) ).to.be.false;
+				expect( detectCsvHeader( [ [ 'Name', '2024' ], [ 'Apple', '1' ] ] ) ).to.be.false;
+			} );
+
+			it( 'should not detect the header if there is a single row', () => {
+				expect( detectCsvHeader( [ [ 'Name', 'Price' ] ] ) ).to.be.false;
+			} );
+
+			it( 'should let the columns vote', () => {
+				expect( detectCsvHeader( [ [ 'Name', 'Qty', 'Code' ], [ 'Apple', '1', 'ABCD' ], [ 'Pear', '2', 'EFGH' ] ] ) ).to.be.false;
+				expect( detectCsvHeader( [ [ 'Name', 'Qty', 'Price' ], [ 'Apple', '1', '2' ], [ 'Pear', '2', '3' ] ] ) ).to.be.true;
+			} );
+		} );
+
+		describe( 'isTabSeparatedText()', () => {
+			it( 'should return true if every line has the same number of tabulators', () => {
+				expect( isTabSeparatedText( 'a\tb' ) ).to.be.true;
+				expect( isTabSeparatedText( 'a\tb\t\r\nc\td\t\r\n' ) ).to.be.true;
+			} );
+
+			it( 'should return false if there are no tabulators', () => {
+				expect( isTabSeparatedText( 'a\nb' ) ).to.be.false;
+			} );
+
+			it( 'should return false if the lines have different numbers of tabulators', () => {
+				expect( isTabSeparatedText( 'a\tb\nc' ) ).to.be.false;
+				expect( isTabSeparatedText( 'a\tb\nc\td\te' ) ).to.be.false;
+			} );
+		} );
+
+		describe( 'createViewTableFromCsv()', () => {
+			let writer;
+
+			beforeEach( () => {
+				writer = new UpcastWriter( new ViewDocument( new StylesProcessor() ) );
+			} );
+
+			it( 'should create the table with the rows of values', () => {
+				const fragment = createViewTableFromCsv( writer, [ [ 'a', 'b' ], [ '1', '' ] ], 0 );
+
+				expect( stringify( fragment ) ).to.equal(
+					'<table><tbody>' +
+						'<tr><td>a</td><td>b</td></tr>' +
+						'<tr><td>1</td><td></td></tr>' +
+					'</tbody></table>'
+				);
+			} );
+
+			it( 'should put the heading rows in the table header', () => {
+				const fragment = createViewTableFromCsv( writer, [ [ 'a', 'b' ], [ '1', '2' ] ], 1 );
+
+				expect( stringify( fragment ) ).to.equal(
+					'<table>' +
+						'<thead><tr><th>a</th><th>b</th></tr></thead>' +
+						'<tbody><tr><td>1</td><td>2</td></tr></tbody>' +
+					'</table>'
+				);
+			} );
+
+			it( 'should wrap the lines of multi-line values in paragraphs', () => {
+				const fragment = createViewTableFromCsv( writer, [ [ 'a\r\nb' ] ], 0 );
+
+				expect( stringify( fragment ) ).to.equal( '<table><tbody><tr><td><p>a</p><p>b</p></td></tr></tbody></table>' );
+			} );
+		} );
+	} );
+} );
@@ -507,7 +507,8 @@ export const MenuBarMenuViewPanelPositioningFunctions: Record<string, Positionin
  * 					'menuBar:uploadImage',
  * 					'menuBar:ckbox',
  * 					'menuBar:ckfinder',
- * 					'menuBar:insertTable'
+ * 					'menuBar:insertTable',
+ * 					'menuBar:importTableFromCsv'
  * 				]
  * 			},
  * 			{
@@ -755,7 +756,8 @@ export const DefaultMenuBarItems: DeepReadonly<MenuBarConfigObject[ 'items' ]> =
 					'menuBar:uploadImage',
 					'menuBar:ckbox',
 					'menuBar:ckfinder',
-					'menuBar:insertTable'
+					'menuBar:insertTable',
+					'menuBar:importTableFromCsv'
 				]
 			},
 			{
@@ -8,13 +8,15 @@ import type {
 	UndoEditing,
 	UndoUI,
 	UndoCommand,
-	RedoCommand
+	RedoCommand,
+	RevertToCheckpointCommand
 } from './index.js';
 
 declare module '@ckeditor/ckeditor5-core' {
 	interface CommandsMap {
 		undo: UndoCommand;
 		redo: RedoCommand;
+		revertToCheckpoint: RevertToCheckpointCommand;
 	}
 
 	interface PluginsMap {
@@ -14,6 +14,7 @@ import {
 	type Batch,
 	type Operation,
 	type DataControllerSetEvent,
+	type DataControllerFromJSONEvent,
 	type Range,
 	NoOperation
 } from '@ckeditor/ckeditor5-engine';
@@ -49,31 +50,33 @@ export default abstract class BaseCommand extends Command {
 		// This command should not depend on selection change.
 		this._isEnabledBasedOnSelection = false;
 
-		// Set the transparent batch for the `editor.data.set()` call if the
+		// Set the transparent batch for the `editor.data.set()` and `editor.data.fromJSON()` calls if the
 		// batch type is not set already.
-		this.listenTo<DataControllerSetEvent>( editor.data, 'set', ( evt, data ) => {
-			// Create a shallow copy of the options to not change the original args.
-			// And make sure that an object is assigned to data[ 1 ].
-			data[ 1 ] = { ...data[ 1 ] };
+		for ( const eventName of [ 'set', 'fromJSON' ] as const ) {
+			this.listenTo<DataControllerSetEvent | DataControllerFromJSONEvent>( editor.data, eventName, ( evt, data ) => {
+				// Create a shallow copy of the options to not change the original args.
+				// And make sure that an object is assigned to data[ 1 ].
+				data[ 1 ] = { ...data[ 1 ] };
 
-			const options = data[ 1 ];
+				const options = data[ 1 ];
 
-			// If batch type is not set, default to non-undoable batch.
-			if ( !options.batchType ) {
-				options.batchType = { isUndoable: false };
-			}
-		}, { priority: 'high' } );
+				// If batch type is not set, default to non-undoable batch.
+				if ( !options.batchType ) {
+					options.batchType = { isUndoable: false };
+				}
+			}, { priority: 'high' } );
 
-		// Clear the stack for the `transparent` batches.
-		this.listenTo<DataControllerSetEvent>( editor.data, 'set', ( evt, data ) => {
-			// We can assume that the object exists and it has a `batchType` property.
-			// It was ensured with a higher priority listener before.
-			const options = data[ 1 ]!;
+			// Clear the stack for the `transparent` batches.
+			this.listenTo<DataControllerSetEvent | DataControllerFromJSONEvent>( editor.data, eventName, ( evt, data ) => {
+				// We can assume that the object exists and it has a `batchType` property.
+				// It was ensured with a higher priority listener before.
+				const options = data[ 1 ]!;
 
-			if ( !options.batchType!.isUndoable ) {
-				this.clearStack();
-			}
-		} );
+				if ( !options.batchType!.isUndoable ) {
+					this.clearStack();
+				}
+			} );
+		}
 	}
 
 	/**
@@ -90,6 +93,13 @@ export default abstract class BaseCommand extends Command {
 		return this._createdBatches;
 	}
 
+	/**
+	 * Returns the batches stored by the command, from the oldest to the most recent one.
+	 */
+	public getBatches(): Array<Batch> {
+		return this._stack.map( item => item.batch );
+	}
+
 	/**
 	 * Stores a batch in the command, together with the selection state of the {@link module:engine/model/document~Document document}
 	 * created by the editor which this command is registered to.
@@ -12,5 +12,8 @@ export { default as UndoEditing } from './undoediting.js';
 export { default as UndoUI } from './undoui.js';
 export type { default as UndoCommand } from './undocommand.js';
 export type { default as RedoCommand } from './redocommand.js';
+export type { default as RevertToCheckpointCommand } from './reverttocheckpointcommand.js';
+export type { UndoCheckpoint } from './undoediting.js';
+export { getBatchDescription } from './utils.js';
 
 import './augmentation.js';
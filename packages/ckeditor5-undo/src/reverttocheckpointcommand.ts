@@ -0,0 +1,106 @@
+/**
+ * @license Copyright (c) 2003-2024, CKSource Holding sp. z o.o. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+
+/**
+ * @module undo/reverttocheckpointcommand
+ */
+
+import { Command, type Editor } from '@ckeditor/ckeditor5-core';
+import type { Batch } from '@ckeditor/ckeditor5-engine';
+import { CKEditorError } from '@ckeditor/ckeditor5-utils';
+
+import type UndoCommand from './undocommand.js';
+import type { default as UndoEditing, UndoCheckpoint } from './undoediting.js';
+
+/**
+ * The revert to checkpoint command. It undoes all the batches from the {@link module:undo/undocommand~UndoCommand undo stack}
+ * that were applied after the {@link module:undo/undoediting~UndoEditing#createCheckpoint checkpoint} was created.
+ *
+ * The command is registered by {@link module:undo/undoediting~UndoEditing} as the `'revertToCheckpoint'` editor command.
+ *
+ * ```ts
+ * const checkpoint = editor.plugins.get( 'Undo' ).createCheckpoint( 'Before legal review' );
+ *
+ * // ...
+ *
+ * editor.execute( 'revertToCheckpoint', checkpoint );
+ *
+ * // Or, using the name of the checkpoint:
+ * editor.execute( 'revertToCheckpoint', 'Before legal review' );
+ * ```
+ *
+ * Each batch is undone separately, so the reverted changes can be brought back step by step with the `'redo'` command.
+ */
+export default class RevertToCheckpointCommand extends Command {
+	/**
+	 * The undo editing feature keeping the checkpoints.
+	 */
+	private readonly _undoEditing: UndoEditing;
+
+	/**
+	 * Creates an instance of the command.
+	 *
+	 * @param editor The editor instance.
+	 * @param undoEditing The undo editing feature keeping the checkpoints.
+	 */
+	constructor( editor: Editor, undoEditing: UndoEditing ) {
+		super( editor );
+
+		this._undoEditing = undoEditing;
+
+		// This command should not depend on selection change.
+		this._isEnabledBasedOnSelection = false;
+	}
+
+	/**
+	 * @inheritDoc
+	 */
+	public override refresh(): void {
+		const checkpoints = this._undoEditing.getCheckpoints();
+
+		this.isEnabled = checkpoints.some( checkpoint => this._getBatchesToUndo( checkpoint ).length > 0 );
+	}
+
+	/**
+	 * Executes the command.
+	 *
+	 * @fires execute
+	 * @param checkpoint The checkpoint to revert to, or its name. If there are multiple checkpoints with the same name,
+	 * the most recent one is used.
+	 */
+	public override execute( checkpoint: UndoCheckpoint | string ): void {
+		if ( typeof checkpoint == 'string' ) {
+			const checkpoints = this._undoEditing.getCheckpoints();
+			const name = checkpoint;
+
+			checkpoint = checkpoints.reverse().find( item => item.name == name )!;
+
+			if ( !checkpoint ) {
+				/**
+				 * The checkpoint with the given name does not exist.
+				 *
+				 * @error revert-to-checkpoint-command-unknown-checkpoint
+				 * @param name The name of the checkpoint.
+				 */
+				throw new CKEditorError( 'revert-to-checkpoint-command-unknown-checkpoint', this, { name } );
+			}
+		}
+
+		for ( const batch of this._getBatchesToUndo( checkpoint ) ) {
+			this.editor.execute( 'undo', batch );
+		}
+	}
+
+	/**
+	 * Returns the batches from the undo stack applied after the checkpoint was created, starting from the most recent one.
+	 */
+	private _getBatchesToUndo( checkpoint: UndoCheckpoint ): Array<Batch> {
+		const undoCommand: UndoCommand = this.editor.commands.get( 'undo' )!;
+
+		return undoCommand.getBatches()
+			.filter( batch => batch.baseVersion !== null && batch.baseVersion >= checkpoint.version )
+			.reverse();
+	}
+}
@@ -8,7 +8,7 @@
  */
 
 import { Plugin } from '@ckeditor/ckeditor5-core';
-import UndoEditing from './undoediting.js';
+import UndoEditing, { type UndoCheckpoint } from './undoediting.js';
 import UndoUI from './undoui.js';
 
 /**
@@ -122,4 +122,17 @@ export default class Undo extends Plugin {
 	public static get pluginName() {
 		return 'Undo' as const;
 	}
+
+	/**
+	 * Creates a named checkpoint at the current state of the document. All the changes made after it can be undone at once
+	 * with the `'revertToCheckpoint'` command.
+	 *
+	 * See {@link module:undo/undoediting~UndoEditing#createCheckpoint} for more details.
+	 *
+	 * @param name The name of the checkpoint.
+	 * @returns The created checkpoint.
+	 */
+	public createCheckpoint( name: string ): UndoCheckpoint {
+		return this.editor.plugins.get( UndoEditing ).createCheckpoint( name );
+	}
 }
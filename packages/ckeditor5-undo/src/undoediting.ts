@@ -11,16 +11,19 @@ import { Plugin } from '@ckeditor/ckeditor5-core';
 
 import UndoCommand, { type UndoCommandRevertEvent } from './undocommand.js';
 import RedoCommand from './redocommand.js';
+import RevertToCheckpointCommand from './reverttocheckpointcommand.js';
 
 import type {
 	Batch,
+	DataControllerSetEvent,
+	DataControllerFromJSONEvent,
 	ModelApplyOperationEvent
 } from '@ckeditor/ckeditor5-engine';
 
 /**
  * The undo engine feature.
  *
- * It introduces the `'undo'` and `'redo'` commands to the editor.
+ * It introduces the `'undo'`, `'redo'` and `'revertToCheckpoint'` commands to the editor.
  */
 export default class UndoEditing extends Plugin {
 	/**
@@ -40,6 +43,11 @@ export default class UndoEditing extends Plugin {
 	 */
 	private _batchRegistry = new WeakSet<Batch>();
 
+	/**
+	 * The checkpoints created by {@link #createCheckpoint}, from the oldest to the most recent one.
+	 */
+	private _checkpoints: Array<UndoCheckpoint> = [];
+
 	/**
 	 * @inheritDoc
 	 */
@@ -61,6 +69,7 @@ export default class UndoEditing extends Plugin {
 		// Register command to the editor.
 		editor.commands.add( 'undo', this._undoCommand );
 		editor.commands.add( 'redo', this._redoCommand );
+		editor.commands.add( 'revertToCheckpoint', new RevertToCheckpointCommand( editor, this ) );
 
 		this.listenTo<ModelApplyOperationEvent>( editor.model, 'applyOperation', ( evt, args ) => {
 			const operation = args[ 0 ];
@@ -107,6 +116,15 @@ export default class UndoEditing extends Plugin {
 			this._redoCommand.addBatch( undoingBatch );
 		} );
 
+		// The checkpoints are lost together with the undo stack when the editor data is replaced.
+		for ( const eventName of [ 'set', 'fromJSON' ] as const ) {
+			this.listenTo<DataControllerSetEvent | DataControllerFromJSONEvent>( editor.data, eventName, ( evt, data ) => {
+				if ( !data[ 1 ]!.batchType!.isUndoable ) {
+					this._checkpoints = [];
+				}
+			} );
+		}
+
 		editor.keystrokes.set( 'CTRL+Z', 'undo' );
 		editor.keystrokes.set( 'CTRL+Y', 'redo' );
 		editor.keystrokes.set( 'CTRL+SHIFT+Z', 'redo' );
@@ -125,4 +143,67 @@ export default class UndoEditing extends Plugin {
 			]
 		} );
 	}
+
+	/**
+	 * Creates a named checkpoint at the current state of the document. All the changes made after it can be undone at once
+	 * with the {@link module:undo/reverttocheckpointcommand~RevertToCheckpointCommand `'revertToCheckpoint'`} command:
+	 *
+	 * ```ts
+	 * const checkpoint = editor.plugins.get( 'UndoEditing' ).createCheckpoint( 'Before legal review' );
+	 *
+	 * // ...
+	 *
+	 * editor.execute( 'revertToCheckpoint', checkpoint );
+	 * ```
+	 *
+	 * The checkpoints are removed when the editor data is {@link module:engine/controller/datacontroller~DataController#set set}.
+	 *
+	 * @param name The name of the checkpoint, displayed in the undo history panel.
+	 * @returns The created checkpoint.
+	 */
+	public createCheckpoint( name: string ): UndoCheckpoint {
+		const checkpoint = {
+			name,
+			version: this.editor.model.document.version
+		};
+
+		this._checkpoints.push( checkpoint );
+		this.editor.commands.get( 'revertToCheckpoint' )!.refresh();
+
+		return checkpoint;
+	}
+
+	/**
+	 * Removes the checkpoint created by {@link #createCheckpoint}.
+	 *
+	 * @param checkpoint The checkpoint to remove.
+	 */
+	public removeCheckpoint( checkpoint: UndoCheckpoint ): void {
+		this._checkpoints = this._checkpoints.filter( item => item !== checkpoint );
+		this.editor.commands.get( 'revertToCheckpoint' )!.refresh();
+	}
+
+	/**
+	 * Returns the checkpoints created by {@link #createCheckpoint}, from the oldest to the most recent one.
+	 */
+	public getCheckpoints(): Array<UndoCheckpoint> {
+		return this._checkpoints.slice();
+	}
+}
+
+/**
+ * A named checkpoint in the editing history created by {@link module:undo/undoediting~UndoEditing#createCheckpoint}.
+ */
+export interface UndoCheckpoint {
+
+	/**
+	 * The name of the checkpoint.
+	 */
+	readonly name: string;
+
+	/**
+	 * The {@link module:engine/model/document~Document#version version of the document} at the moment the checkpoint was created.
+	 * The batches applied after this version are undone when reverting to the checkpoint.
+	 */
+	readonly version: number;
 }
@@ -8,10 +8,31 @@
  */
 
 import { icons, Plugin } from '@ckeditor/ckeditor5-core';
-import { ButtonView, MenuBarMenuListItemButtonView } from '@ckeditor/ckeditor5-ui';
+import {
+	ButtonView,
+	MenuBarMenuListItemButtonView,
+	ViewModel,
+	addListToDropdown,
+	createDropdown,
+	type ListDropdownButtonDefinition
+} from '@ckeditor/ckeditor5-ui';
+import { Collection } from '@ckeditor/ckeditor5-utils';
+import type { Batch } from '@ckeditor/ckeditor5-engine';
+
+import type { UndoCheckpoint } from './undoediting.js';
+import { getBatchDescription } from './utils.js';
 
 /**
- * The undo UI feature. It introduces the `'undo'` and `'redo'` buttons to the editor.
+ * The maximum number of the undo steps listed in the undo history panel.
+ */
+const HISTORY_PANEL_LENGTH = 20;
+
+/**
+ * The undo UI feature. It introduces the `'undo'` and `'redo'` buttons and the `'undoHistory'` dropdown to the editor.
+ *
+ * The `'undoHistory'` dropdown lists the recent undo steps and the
+ * {@link module:undo/undoediting~UndoEditing#createCheckpoint checkpoints}. Choosing an undo step undoes it together with
+ * all the steps made after it. Choosing a checkpoint reverts the content to it.
  */
 export default class UndoUI extends Plugin {
 	/**
@@ -34,6 +55,126 @@ export default class UndoUI extends Plugin {
 
 		this._addButtonsToFactory( 'undo', t( 'Undo' ), 'CTRL+Z', localizedUndoIcon );
 		this._addButtonsToFactory( 'redo', t( 'Redo' ), 'CTRL+Y', localizedRedoIcon );
+		this._addHistoryDropdownToFactory();
+	}
+
+	/**
+	 * Creates the `'undoHistory'` dropdown listing the recent undo steps and checkpoints.
+	 */
+	private _addHistoryDropdownToFactory() {
+		const editor = this.editor;
+		const t = editor.t;
+
+		editor.ui.componentFactory.add( 'undoHistory', locale => {
+			const command = editor.commands.get( 'undo' )!;
+			const dropdownView = createDropdown( locale );
+			const itemDefinitions = new Collection<ListDropdownButtonDefinition>();
+
+			dropdownView.buttonView.set( {
+				label: t( 'Undo history' ),
+				icon: icons.history,
+				tooltip: true
+			} );
+
+			dropdownView.class = 'ck-undo-history-dropdown';
+			dropdownView.bind( 'isEnabled' ).to( command );
+
+			// The list is built when the dropdown opens because the undo stack changes with every change in the content.
+			dropdownView.on( 'change:isOpen', ( evt, name, isOpen ) => {
+				if ( isOpen ) {
+					itemDefinitions.clear();
+					itemDefinitions.addMany( this._getHistoryItemDefinitions() );
+				}
+			}, { priority: 'highest' } );
+
+			addListToDropdown( dropdownView, itemDefinitions, {
+				role: 'menu',
+				ariaLabel: t( 'Undo history' )
+			} );
+
+			dropdownView.on( 'execute', evt => {
+				const { _undoBatch, _undoCheckpoint } = ( evt.source as any ) as {
+					_undoBatch?: Batch;
+					_undoCheckpoint?: UndoCheckpoint;
+				};
+
+				if ( _undoCheckpoint ) {
+					editor.execute( 'revertToCheckpoint', _undoCheckpoint );
+				} else {
+					for ( const batch of command.getBatches().reverse() ) {
+						editor.execute( 'undo', batch );
+
+						if ( batch == _undoBatch ) {
+							break;
+						}
+					}
+				}
+
+				editor.editing.view.focus();
+			} );
+
+			return dropdownView;
+		} );
+	}
+
+	/**
+	 * Returns the definitions of the undo history dropdown items: the most recent undo steps and the checkpoints
+	 * created between them, starting from the most recent one.
+	 */
+	private _getHistoryItemDefinitions(): Array<ListDropdownButtonDefinition> {
+		const editor = this.editor;
+		const t = editor.t;
+		const batches = editor.commands.get( 'undo' )!.getBatches().slice( -HISTORY_PANEL_LENGTH ).reverse();
+		const checkpoints = editor.plugins.get( 'UndoEditing' ).getCheckpoints();
+		const items: Array<{ version: number; definition: ListDropdownButtonDefinition }> = [];
+
+		if ( !batches.length ) {
+			return [];
+		}
+
+		const newestVersion = Math.max( ...batches.map( batch => batch.baseVersion! ) );
+		const oldestVersion = Math.min( ...batches.map( batch => batch.baseVersion! ) );
+
+		for ( const batch of batches ) {
+			items.push( {
+				version: batch.baseVersion!,
+				definition: {
+					type: 'button',
+					model: new ViewModel( {
+						_undoBatch: batch,
+						label: getBatchDescription( batch, t ),
+						role: 'menuitem',
+						withText: true
+					} )
+				}
+			} );
+		}
+
+		for ( const checkpoint of checkpoints ) {
+			if ( checkpoint.version > newestVersion || checkpoint.version < oldestVersion ) {
+				continue;
+			}
+
+			items.push( {
+				version: checkpoint.version,
+				definition: {
+					type: 'button',
+					model: new ViewModel( {
+						_undoCheckpoint: checkpoint,
+						class: 'ck-undo-history-checkpoint',
+						label: t( 'Checkpoint: %0', checkpoint.name ),
+						role: 'menuitem',
+						withText: true
+					} )
+				}
+			} );
+		}
+
+		// The undo steps are listed above the checkpoints created right before them. The sort is stable,
+		// so the undo steps (added first) keep their order.
+		return items
+			.sort( ( a, b ) => b.version - a.version )
+			.map( item => item.definition );
 	}
 
 	/**
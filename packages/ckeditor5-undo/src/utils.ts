@@ -0,0 +1,67 @@
+/**
+ * @license Copyright (c) 2003-2024, CKSource Holding sp. z o.o. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+
+/**
+ * @module undo/utils
+ */
+
+import type { Batch } from '@ckeditor/ckeditor5-engine';
+import type { Locale } from '@ckeditor/ckeditor5-utils';
+
+/**
+ * Returns a short, human-readable description of the changes made by the batch, e.g. `'Typing'` or `'Formatting'`.
+ * It is used to label the undo steps in the undo history panel.
+ *
+ * The description depends on the {@link module:engine/model/batch~Batch#isTyping typing} flag of the batch and on the types
+ * of its document operations. If the batch mixes different kinds of changes, a generic `'Editing'` description is returned.
+ *
+ * @param batch The batch to describe.
+ * @param t The translation function of the editor.
+ */
+export function getBatchDescription( batch: Batch, t: Locale[ 't' ] ): string {
+	if ( batch.isTyping ) {
+		return t( 'Typing' );
+	}
+
+	const kinds = new Set<string>();
+
+	for ( const operation of batch.operations ) {
+		if ( operation.isDocumentOperation && operation.type != 'marker' && operation.type != 'noop' ) {
+			kinds.add( getOperationKind( operation.type ) );
+		}
+	}
+
+	if ( kinds.size != 1 ) {
+		return t( 'Editing' );
+	}
+
+	switch ( kinds.values().next().value ) {
+		case 'insert':
+			return t( 'Inserting content' );
+		case 'remove':
+			return t( 'Deleting content' );
+		case 'attribute':
+			return t( 'Formatting' );
+		case 'rename':
+			return t( 'Changing block type' );
+		default:
+			return t( 'Editing' );
+	}
+}
+
+/**
+ * Groups the operation types into the kinds of changes described to the user.
+ */
+function getOperationKind( type: string ): string {
+	if ( type == 'addAttribute' || type == 'removeAttribute' || type == 'changeAttribute' ) {
+		return 'attribute';
+	}
+
+	if ( type == 'insert' || type == 'remove' || type == 'rename' ) {
+		return type;
+	}
+
+	return 'other';
+}
@@ -36,6 +36,26 @@ describe( 'BaseCommand', () => {
 		} );
 	} );
 
+	describe( 'getBatches()', () => {
+		it( 'should return the batches from the stack, from the oldest to the most recent one', () => {
+			const batchA = editor.model.createBatch();
+			const batchB = editor.model.createBatch();
+
+			base.addBatch( batchA );
+			base.addBatch( batchB );
+
+			expect( base.getBatches() ).to.deep.equal( [ batchA, batchB ] );
+		} );
+
+		it( 'should return a new array', () => {
+			base.addBatch( editor.model.createBatch() );
+
+			base.getBatches().pop();
+
+			expect( base.getBatches() ).to.have.length( 1 );
+		} );
+	} );
+
 	describe( 'clearStack', () => {
 		it( 'should remove all batches from the stack', () => {
 			base.addBatch( editor.model.createBatch() );
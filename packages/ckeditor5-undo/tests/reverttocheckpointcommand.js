@@ -0,0 +1,135 @@
+/**
+ * @license Copyright (c) 2003-2024, CKSource Holding sp. z o.o. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+
+import ModelTestEditor from '@ckeditor/ckeditor5-core/tests/_utils/modeltesteditor.js';
+import Paragraph from '@ckeditor/ckeditor5-paragraph/src/paragraph.js';
+import { getData } from '@ckeditor/ckeditor5-engine/src/dev-utils/model.js';
+import { expectToThrowCKEditorError } from '@ckeditor/ckeditor5-utils/tests/_utils/utils.js';
+
+import UndoEditing from '../src/undoediting.js';
+
+describe( 'RevertToCheckpointCommand', () => {
+	let editor, model, root, undoEditing, command;
+
+	beforeEach( async () => {
+		editor = await ModelTestEditor.create( {
+			plugins: [ Paragraph, UndoEditing ]
+		} );
+
+		model = editor.model;
+		root = model.document.getRoot();
+		undoEditing = editor.plugins.get( UndoEditing );
+		command = editor.commands.get( 'revertToCheckpoint' );
+
+		editor.setData( '<p>foo</p>' );
+	} );
+
+	afterEach( () => {
+		return editor.destroy();
+	} );
+
+	describe( 'isEnabled', () => {
+		it( 'should be false if there are no checkpoints', () => {
+			type( 'a' );
+
+			expect( command.isEnabled ).to.be.false;
+		} );
+
+		it( 'should be false if there are no changes after the checkpoint', () => {
+			type( 'a' );
+			undoEditing.createCheckpoint( 'checkpoint' );
+
+			expect( command.isEnabled ).to.be.false;
+		} );
+
+		it( 'should be true if there are changes after the checkpoint', () => {
+			undoEditing.createCheckpoint( 'checkpoint' );
+			type( 'a' );
+
+			expect( command.isEnabled ).to.be.true;
+		} );
+
+		it( 'should be false if the changes after the checkpoint were undone', () => {
+			undoEditing.createCheckpoint( 'checkpoint' );
+			type( 'a' );
+			editor.execute( 'undo' );
+
+			expect( command.isEnabled ).to.be.false;
+		} );
+	} );
+
+	describe( 'execute()', () => {
+		it( 'should undo all the changes made after the checkpoint', () => {
+			type( 'a' );
+			const checkpoint = undoEditing.createCheckpoint( 'checkpoint' );
+			type( 'b' );
+			type( 'c' );
+
+			command.execute( checkpoint );
+
+			expect( getData( model, { withoutSelection: true } ) ).to.equal( '<paragraph>fooa</paragraph>' );
+		} );
+
+		it( 'should keep the changes made before the checkpoint in the undo stack', () => {
+			type( 'a' );
+			const checkpoint = undoEditing.createCheckpoint( 'checkpoint' );
+			type( 'b' );
+
+			command.execute( checkpoint );
+
+			expect( editor.commands.get( 'undo' ).getBatches() ).to.have.length( 1 );
+
+			editor.execute( 'undo' );
+
+			expect( getData( model, { withoutSelection: true } ) ).to.equal( '<paragraph>foo</paragraph>' );
+		} );
+
+		it( 'should allow redoing the reverted changes step by step', () => {
+			const checkpoint = undoEditing.createCheckpoint( 'checkpoint' );
+			type( 'a' );
+			type( 'b' );
+
+			command.execute( checkpoint );
+
+			editor.execute( 'redo' );
+			expect( getData( model, { withoutSelection: true } ) ).to.equal( '<paragraph>fooa</paragraph>' );
+
+			editor.execute( 'redo' );
+			expect( getData( model, { withoutSelection: true } ) ).to.equal( '<paragraph>fooab</paragraph>' );
+		} );
+
+		it( 'should accept the name of the checkpoint and use the most recent checkpoint with that name', () => {
+			undoEditing.createCheckpoint( 'checkpoint' );
+			type( 'a' );
+			undoEditing.createCheckpoint( 'checkpoint' );
+			type( 'b' );
+
+			command.execute( 'checkpoint' );
+
+			expect( getData( model, { withoutSelection: true } ) ).to.equal( '<paragraph>fooa</paragraph>' );
+		} );
+
+		it( 'should throw if there is no checkpoint with the given name', () => {
+			expectToThrowCKEditorError( () => {
+				command.execute( 'unknown' );
+			}, 'revert-to-checkpoint-command-unknown-checkpoint', editor, { name: 'unknown' } );
+		} );
+
+		it( 'should do nothing if there are no changes after the checkpoint', () => {
+			type( 'a' );
+			const checkpoint = undoEditing.createCheckpoint( 'checkpoint' );
+
+			command.execute( checkpoint );
+
+			expect( getData( model, { withoutSelection: true } ) ).to.equal( '<paragraph>fooa</paragraph>' );
+		} );
+	} );
+
+	function type( text ) {
+		model.change( writer => {
+			writer.insertText( text, root.getChild( 0 ), 'end' );
+		} );
+	}
+} );
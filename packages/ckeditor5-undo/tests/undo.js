@@ -3,6 +3,8 @@
  * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
  */
 
+import ModelTestEditor from '@ckeditor/ckeditor5-core/tests/_utils/modeltesteditor.js';
+
 import Undo from '../src/undo.js';
 import UndoEditing from '../src/undoediting.js';
 import UndoUI from '../src/undoui.js';
@@ -15,4 +17,17 @@ describe( 'Undo', () => {
 	it( 'should require UndoEditing and UndoUI', () => {
 		expect( Undo.requires ).to.deep.equal( [ UndoEditing, UndoUI ] );
 	} );
+
+	describe( 'createCheckpoint()', () => {
+		it( 'should create the checkpoint using UndoEditing', async () => {
+			const editor = await ModelTestEditor.create( { plugins: [ UndoEditing ] } );
+			const undo = new Undo( editor );
+			const checkpoint = undo.createCheckpoint( 'foo' );
+
+			expect( checkpoint.name ).to.equal( 'foo' );
+			expect( editor.plugins.get( UndoEditing ).getCheckpoints() ).to.deep.equal( [ checkpoint ] );
+
+			await editor.destroy();
+		} );
+	} );
 } );
@@ -415,6 +415,22 @@ describe( 'UndoCommand', () => {
 			expect( data[ 1 ].batchType ).to.deep.equal( { isUndoable: true } );
 		} );
 
+		it( 'should clear stack on DataController#fromJSON()', () => {
+			const spy = sinon.stub( undo, 'clearStack' );
+
+			editor.data.fromJSON( editor.data.toJSON() );
+
+			sinon.assert.called( spy );
+		} );
+
+		it( 'should not clear stack on DataController#fromJSON() when the batch is set as undoable', () => {
+			const spy = sinon.spy( undo, 'clearStack' );
+
+			editor.data.fromJSON( editor.data.toJSON(), { batchType: { isUndoable: true } } );
+
+			sinon.assert.notCalled( spy );
+		} );
+
 		it( 'should fire `revert` event when executed, after all changes are applied (including post-fixer)', done => {
 			undo.on( 'revert', ( evt, undoneBatch, undoingBatch ) => {
 				// We undone "insert text `foo`".
@@ -6,6 +6,7 @@
 import ModelTestEditor from '@ckeditor/ckeditor5-core/tests/_utils/modeltesteditor.js';
 
 import UndoEditing from '../src/undoediting.js';
+import RevertToCheckpointCommand from '../src/reverttocheckpointcommand.js';
 import env from '@ckeditor/ckeditor5-utils/src/env.js';
 import { keyCodes } from '@ckeditor/ckeditor5-utils/src/keyboard.js';
 
@@ -47,6 +48,10 @@ describe( 'UndoEditing', () => {
 		expect( editor.commands.get( 'redo' ) ).to.equal( undo._redoCommand );
 	} );
 
+	it( 'should register revertToCheckpoint command', () => {
+		expect( editor.commands.get( 'revertToCheckpoint' ) ).to.be.instanceOf( RevertToCheckpointCommand );
+	} );
+
 	it( 'should add a batch to undo command and clear redo stack, if it\'s type is "default"', () => {
 		sinon.spy( undo._undoCommand, 'addBatch' );
 		sinon.spy( undo._redoCommand, 'clearStack' );
@@ -202,4 +207,73 @@ describe( 'UndoEditing', () => {
 		expect( spy.calledWithExactly( 'redo' ) ).to.be.true;
 		expect( keyEventData.preventDefault.calledOnce ).to.be.true;
 	} );
+
+	describe( 'checkpoints', () => {
+		it( 'should create a checkpoint at the current document version', () => {
+			model.change( writer => {
+				writer.insertText( 'foobar', root );
+			} );
+
+			const checkpoint = undo.createCheckpoint( 'foo' );
+
+			expect( checkpoint ).to.deep.equal( { name: 'foo', version: model.document.version } );
+		} );
+
+		it( 'should return the checkpoints from the oldest to the most recent one', () => {
+			const checkpointA = undo.createCheckpoint( 'a' );
+			const checkpointB = undo.createCheckpoint( 'b' );
+
+			expect( undo.getCheckpoints() ).to.deep.equal( [ checkpointA, checkpointB ] );
+		} );
+
+		it( 'should return a new array of checkpoints', () => {
+			undo.createCheckpoint( 'a' );
+			undo.getCheckpoints().pop();
+
+			expect( undo.getCheckpoints() ).to.have.length( 1 );
+		} );
+
+		it( 'should remove a checkpoint', () => {
+			const checkpointA = undo.createCheckpoint( 'a' );
+			const checkpointB = undo.createCheckpoint( 'b' );
+
+			undo.removeCheckpoint( checkpointA );
+
+			expect( undo.getCheckpoints() ).to.deep.equal( [ checkpointB ] );
+		} );
+
+		it( 'should refresh the revertToCheckpoint command when a checkpoint is created or removed', () => {
+			const command = editor.commands.get( 'revertToCheckpoint' );
+			const spy = sinon.spy( command, 'refresh' );
+
+			const checkpoint = undo.createCheckpoint( 'a' );
+			undo.removeCheckpoint( checkpoint );
+
+			sinon.assert.calledTwice( spy );
+		} );
+
+		it( 'should remove the checkpoints when the editor data is set', () => {
+			undo.createCheckpoint( 'a' );
+
+			editor.data.set( '' );
+
+			expect( undo.getCheckpoints() ).to.deep.equal( [] );
+		} );
+
+		it( 'should keep the checkpoints when the editor data is set in an undoable batch', () => {
+			undo.createCheckpoint( 'a' );
+
+			editor.data.set( '', { batchType: { isUndoable: true } } );
+
+			expect( undo.getCheckpoints() ).to.have.length( 1 );
+		} );
+
+		it( 'should remove the checkpoints when the editor data is set from JSON', () => {
+			undo.createCheckpoint( 'a' );
+
+			editor.data.fromJSON( editor.data.toJSON() );
+
+			expect( undo.getCheckpoints() ).to.deep.equal( [] );
+		} );
+	} );
 } );
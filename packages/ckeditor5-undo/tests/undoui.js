@@ -10,6 +10,8 @@ import { icons } from '@ckeditor/ckeditor5-core';
 import ClassicTestEditor from '@ckeditor/ckeditor5-core/tests/_utils/classictesteditor.js';
 import UndoEditing from '../src/undoediting.js';
 import UndoUI from '../src/undoui.js';
+import Paragraph from '@ckeditor/ckeditor5-paragraph/src/paragraph.js';
+import DropdownView from '@ckeditor/ckeditor5-ui/src/dropdown/dropdownview.js';
 import ButtonView from '@ckeditor/ckeditor5-ui/src/button/buttonview.js';
 import MenuBarMenuListItemButtonView from '@ckeditor/ckeditor5-ui/src/menubar/menubarmenulistitembuttonview.js';
 import testUtils from '@ckeditor/ckeditor5-core/tests/_utils/utils.js';
@@ -23,7 +25,7 @@ describe( 'UndoUI', () => {
 		editorElement = document.createElement( 'div' );
 		document.body.appendChild( editorElement );
 
-		return ClassicTestEditor.create( editorElement, { plugins: [ UndoEditing, UndoUI ] } )
+		return ClassicTestEditor.create( editorElement, { plugins: [ Paragraph, UndoEditing, UndoUI ] } )
 			.then( newEditor => {
 				editor = newEditor;
 			} );
@@ -79,6 +81,144 @@ describe( 'UndoUI', () => {
 		} );
 	} );
 
+	describe( 'undo history dropdown', () => {
+		let dropdown, root;
+
+		beforeEach( () => {
+			dropdown = editor.ui.componentFactory.create( 'undoHistory' );
+			root = editor.model.document.getRoot();
+
+			dropdown.render();
+			document.body.appendChild( dropdown.element );
+
+			editor.setData( '<p>foo</p>' );
+		} );
+
+		afterEach( () => {
+			dropdown.element.remove();
+			dropdown.destroy();
+		} );
+
+		it( 'should register feature component', () => {
+			expect( dropdown ).to.be.instanceOf( DropdownView );
+			expect( dropdown.buttonView.label ).to.equal( 'Undo history' );
+			expect( dropdown.buttonView.icon ).to.equal( icons.history );
+			expect( dropdown.buttonView.tooltip ).to.be.true;
+		} );
+
+		it( 'should bind isEnabled to the undo command', () => {
+			const command = editor.commands.get( 'undo' );
+
+			command.isEnabled = true;
+			expect( dropdown.isEnabled ).to.be.true;
+
+			command.isEnabled = false;
+			expect( dropdown.isEnabled ).to.be.false;
+		} );
+
+		it( 'should list the undo steps starting from the most recent one', () => {
+			insertText( 'a' );
+			setBold();
+
+			dropdown.isOpen = true;
+
+			expect( getItemLabels() ).to.deep.equal( [ 'Formatting', 'Inserting content' ] );
+		} );
+
+		it( 'should list the checkpoints between the undo steps', () => {
+			editor.plugins.get( 'UndoEditing' ).createCheckpoint( 'Before bold' );
+			insertText( 'a' );
+			editor.plugins.get( 'UndoEditing' ).createCheckpoint( 'Before bold' );
+			setBold();
+			editor.plugins.get( 'UndoEditing' ).createCheckpoint( 'Nothing after' );
+
+			dropdown.isOpen = true;
+
+			expect( getItemLabels() ).to.deep.equal( [
+				'Formatting',
+				'Checkpoint: Before bold',
+				'Inserting content',
+				'Checkpoint: Before bold'
+			] );
+		} );
+
+		it( 'should list at most 20 recent undo steps', () => {
+			for ( let i = 0; i < 25; i++ ) {
+				insertText( 'a' );
+			}
+
+			dropdown.isOpen = true;
+
+			expect( getItemLabels() ).to.have.length( 20 );
+		} );
+
+		it( 'should update the list every time the dropdown opens', () => {
+			insertText( 'a' );
+
+			dropdown.isOpen = true;
+			dropdown.isOpen = false;
+
+			setBold();
+
+			dropdown.isOpen = true;
+
+			expect( getItemLabels() ).to.deep.equal( [ 'Formatting', 'Inserting content' ] );
+		} );
+
+		it( 'should undo the chosen step and all the steps after it', () => {
+			insertText( 'a' );
+			insertText( 'b' );
+			insertText( 'c' );
+
+			dropdown.isOpen = true;
+			dropdown.listView.items.get( 1 ).children.first.fire( 'execute' );
+
+			expect( editor.getData() ).to.equal( '<p>fooa</p>' );
+			expect( editor.commands.get( 'redo' ).isEnabled ).to.be.true;
+		} );
+
+		it( 'should revert to the chosen checkpoint', () => {
+			insertText( 'a' );
+			const checkpoint = editor.plugins.get( 'UndoEditing' ).createCheckpoint( 'checkpoint' );
+			insertText( 'b' );
+
+			const executeSpy = testUtils.sinon.spy( editor, 'execute' );
+
+			dropdown.isOpen = true;
+			dropdown.listView.items.get( 1 ).children.first.fire( 'execute' );
+
+			sinon.assert.calledWith( executeSpy, 'revertToCheckpoint', checkpoint );
+			expect( editor.getData() ).to.equal( '<p>fooa</p>' );
+		} );
+
+		it( 'should focus the editing view after executing an item', () => {
+			const focusSpy = testUtils.sinon.spy( editor.editing.view, 'focus' );
+
+			insertText( 'a' );
+
+			dropdown.isOpen = true;
+			dropdown.listView.items.get( 0 ).children.first.fire( 'execute' );
+
+			sinon.assert.calledOnce( focusSpy );
+		} );
+
+		function insertText( text ) {
+			editor.model.change( writer => {
+				writer.insertText( text, root.getChild( 0 ), 'end' );
+			} );
+		}
+
+		function setBold() {
+			editor.model.change( writer => {
+				writer.setAttribute( 'bold', true, writer.createRangeIn( root.getChild( 0 ) ) );
+			} );
+		}
+
+		function getItemLabels() {
+			return Array.from( dropdown.listView.items ).map( item => item.children.first.label );
+		}
+	} );
+
 	describe( 'icons', () => {
 		describe( 'left–to–right UI', () => {
 			it( 'should display the right icon for undo', () => {
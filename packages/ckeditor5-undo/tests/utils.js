@@ -0,0 +1,89 @@
+/**
+ * @license Copyright (c) 2003-2024, CKSource Holding sp. z o.o. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+
+import ModelTestEditor from '@ckeditor/ckeditor5-core/tests/_utils/modeltesteditor.js';
+import Paragraph from '@ckeditor/ckeditor5-paragraph/src/paragraph.js';
+import { setData } from '@ckeditor/ckeditor5-engine/src/dev-utils/model.js';
+
+import { getBatchDescription } from '../src/utils.js';
+
+describe( 'utils', () => {
+	describe( 'getBatchDescription()', () => {
+		let editor, model, root;
+
+		beforeEach( async () => {
+			editor = await ModelTestEditor.create( {
+				plugins: [ Paragraph ]
+			} );
+
+			model = editor.model;
+			root = model.document.getRoot();
+
+			setData( model, '<paragraph>foo</paragraph>' );
+		} );
+
+		afterEach( () => {
+			return editor.destroy();
+		} );
+
+		it( 'should describe the typing batch', () => {
+			expect( describeChanges( { isTyping: true }, writer => {
+				writer.insertText( 'a', root.getChild( 0 ), 'end' );
+			} ) ).to.equal( 'Typing' );
+		} );
+
+		it( 'should describe the insertion', () => {
+			expect( describeChanges( {}, writer => {
+				writer.insertElement( 'paragraph', root, 'end' );
+			} ) ).to.equal( 'Inserting content' );
+		} );
+
+		it( 'should describe the removal', () => {
+			expect( describeChanges( {}, writer => {
+				writer.remove( writer.createRangeIn( root.getChild( 0 ) ) );
+			} ) ).to.equal( 'Deleting content' );
+		} );
+
+		it( 'should describe the attribute changes', () => {
+			expect( describeChanges( {}, writer => {
+				writer.setAttribute( 'bold', true, writer.createRangeIn( root.getChild( 0 ) ) );
+			} ) ).to.equal( 'Formatting' );
+		} );
+
+		it( 'should describe the renaming', () => {
+			expect( describeChanges( {}, writer => {
+				writer.rename( root.getChild( 0 ), 'heading1' );
+			} ) ).to.equal( 'Changing block type' );
+		} );
+
+		it( 'should describe the other changes', () => {
+			expect( describeChanges( {}, writer => {
+				writer.split( writer.createPositionAt( root.getChild( 0 ), 1 ) );
+			} ) ).to.equal( 'Editing' );
+		} );
+
+		it( 'should describe the mixed changes', () => {
+			expect( describeChanges( {}, writer => {
+				writer.remove( writer.createRangeIn( root.getChild( 0 ) ) );
+				writer.insertText( 'bar', root.getChild( 0 ), 0 );
+			} ) ).to.equal( 'Editing' );
+		} );
+
+		it( 'should ignore the marker operations', () => {
+			expect( describeChanges( {}, writer => {
+				writer.insertText( 'bar', root.getChild( 0 ), 0 );
+				writer.addMarker( 'foo', { range: writer.createRangeIn( root.getChild( 0 ) ), usingOperation: true } );
+			} ) ).to.equal( 'Inserting content' );
+		} );
+
+		function describeChanges( batchType, callback ) {
+			const batch = model.createBatch( batchType );
+
+			model.enqueueChange( batch, callback );
+
+			return getBatchDescription( batch, editor.t );
+		}
+	} );
+} );
@@ -7,12 +7,16 @@
  * @module upload/adapters/simpleuploadadapter
  */
 
-/* globals XMLHttpRequest, FormData */
+/* globals XMLHttpRequest, FormData, AbortController */
 
 import { Plugin } from '@ckeditor/ckeditor5-core';
 import FileRepository, { type UploadResponse, type FileLoader, type UploadAdapter } from '../filerepository.js';
-import type { SimpleUploadConfig } from '../uploadconfig.js';
-import { logWarning } from '@ckeditor/ckeditor5-utils';
+import type { SimpleUploadConfig, SimpleUploadChunkedUploadConfig } from '../uploadconfig.js';
+import { logWarning, retry, exponentialDelay } from '@ckeditor/ckeditor5-utils';
+
+const DEFAULT_CHUNK_SIZE = 5 * 1024 * 1024;
+const DEFAULT_MAX_RETRIES = 5;
+const DEFAULT_RETRY_DELAY = 1000;
 
 /**
  * The Simple upload adapter allows uploading images to an application running on your server using
@@ -99,6 +103,11 @@ class Adapter implements UploadAdapter {
 
 	private xhr?: XMLHttpRequest;
 
+	/**
+	 * The controller of the chunked upload. It aborts the pending request and the retries.
+	 */
+	private _chunkedUploadController?: AbortController;
+
 	/**
 	 * Creates a new adapter instance.
 	 */
@@ -114,11 +123,19 @@ class Adapter implements UploadAdapter {
 	 */
 	public upload(): Promise<UploadResponse> {
 		return this.loader.file
-			.then( file => new Promise( ( resolve, reject ) => {
-				this._initRequest();
-				this._initListeners( resolve, reject, file! );
-				this._sendRequest( file! );
-			} ) );
+			.then( file => {
+				const chunkedUploadOptions = this.options.chunkedUpload;
+
+				if ( chunkedUploadOptions && file!.size > ( chunkedUploadOptions.chunkSize || DEFAULT_CHUNK_SIZE ) ) {
+					return this._uploadInChunks( file!, chunkedUploadOptions );
+				}
+
+				return new Promise( ( resolve, reject ) => {
+					this._initRequest();
+					this._initListeners( resolve, reject, file! );
+					this._sendRequest( file! );
+				} );
+			} );
 	}
 
 	/**
@@ -130,6 +147,10 @@ class Adapter implements UploadAdapter {
 		if ( this.xhr ) {
 			this.xhr.abort();
 		}
+
+		if ( this._chunkedUploadController ) {
+			this._chunkedUploadController.abort();
+		}
 	}
 
 	/**
@@ -169,14 +190,7 @@ class Adapter implements UploadAdapter {
 				return reject( response && response.error && response.error.message ? response.error.message : genericErrorText );
 			}
 
-			const urls = response.url ? { default: response.url } : response.urls;
-
-			// Resolve with the normalized `urls` property and pass the rest of the response
-			// to allow customizing the behavior of features relying on the upload adapters.
-			resolve( {
-				...response,
-				urls
-			} );
+			resolve( createUploadResponse( response ) );
 		} );
 
 		// Upload progress when it is supported.
@@ -197,6 +211,186 @@ class Adapter implements UploadAdapter {
 	 * @param file File instance to be uploaded.
 	 */
 	private _sendRequest( file: File ): void {
+		this._setRequestOptions( this.xhr! );
+
+		// Prepare the form data.
+		const data = new FormData();
+
+		data.append( 'upload', file );
+
+		// Send the request.
+		this.xhr!.send( data );
+	}
+
+	/**
+	 * Uploads the file in chunks using the protocol described in the
+	 * {@glink features/images/image-upload/simple-upload-adapter#chunked-upload "Chunked upload"} section of the feature guide.
+	 *
+	 * The failed requests are retried with the exponential back-off. Before sending the chunk again, the adapter asks the server
+	 * for the number of bytes it has already stored, so the upload is resumed even if the response to the previous chunk was lost.
+	 *
+	 * @param file File instance to be uploaded.
+	 * @param options The configuration of the chunked upload.
+	 */
+	private async _uploadInChunks( file: File, options: SimpleUploadChunkedUploadConfig ): Promise<UploadResponse> {
+		const controller = this._chunkedUploadController = new AbortController();
+		const signal = controller.signal;
+		const loader = this.loader;
+		const chunkSize = options.chunkSize || DEFAULT_CHUNK_SIZE;
+		const genericErrorText = `Couldn't upload file: ${ file.name }.`;
+
+		const maxRetries = typeof options.maxRetries == 'number' ? options.maxRetries : DEFAULT_MAX_RETRIES;
+		const retryDelay = typeof options.retryDelay == 'number' ? options.retryDelay : DEFAULT_RETRY_DELAY;
+
+		const retryOptions = {
+			signal,
+			maxAttempts: maxRetries + 1,
+			retryDelay: exponentialDelay( { delay: retryDelay } )
+		};
+
+		let uploadId: string | undefined;
+		let response: ChunkedUploadResponse;
+
+		try {
+			const initResponse = await retry( () => this._sendChunkedUploadRequest( {
+				action: 'init',
+				fileName: file.name,
+				fileSize: String( file.size ),
+				fileType: file.type
+			}, signal ), retryOptions );
+
+			uploadId = initResponse.uploadId;
+			response = uploadId ? { offset: 0 } : initResponse;
+
+			loader.uploadTotal = file.size;
+			loader.uploaded = 0;
+
+			while ( isChunkedUploadPending( response ) ) {
+				let offset = response.offset!;
+				let isResumed = false;
+
+				response = await retry( async () => {
+					if ( isResumed ) {
+						const status = await this._sendChunkedUploadRequest( { action: 'status', uploadId: uploadId! }, signal );
+
+						if ( !isChunkedUploadPending( status ) ) {
+							return status;
+						}
+
+						offset = status.offset!;
+					}
+
+					isResumed = true;
+
+					const chunkOffset = offset;
+					const chunk = file.slice( chunkOffset, chunkOffset + chunkSize );
+
+					return this._sendChunkedUploadRequest( {
+						action: 'chunk',
+						uploadId: uploadId!,
+						offset: String( chunkOffset ),
+						upload: chunk
+					}, signal, ( loaded, total ) => {
+						loader.uploaded = chunkOffset + Math.round( chunk.size * loaded / total );
+					} );
+				}, retryOptions );
+
+				if ( isChunkedUploadPending( response ) ) {
+					loader.uploaded = response.offset!;
+				}
+			}
+		} catch {
+			if ( signal.aborted ) {
+				// Let the server discard the stored chunks. The result of the request does not matter.
+				if ( uploadId ) {
+					this._sendChunkedUploadRequest( { action: 'cancel', uploadId }, new AbortController().signal ).catch( () => {} );
+				}
+
+				return Promise.reject();
+			}
+
+			return Promise.reject( genericErrorText );
+		}
+
+		if ( response.error ) {
+			return Promise.reject( response.error.message || genericErrorText );
+		}
+
+		if ( !response.url && !response.urls ) {
+			return Promise.reject( genericErrorText );
+		}
+
+		loader.uploaded = file.size;
+
+		return createUploadResponse( response );
+	}
+
+	/**
+	 * Sends a single request of the chunked upload.
+	 *
+	 * The returned promise is rejected when the request should be retried, i.e. when the server cannot be reached or
+	 * when it responds with an error status without the `error` property in the response.
+	 *
+	 * @param fields The fields of the form data sent to the server.
+	 * @param signal The signal aborting the request.
+	 * @param onProgress The callback called with the number of bytes sent so far and the total number of bytes to send.
+	 */
+	private _sendChunkedUploadRequest(
+		fields: Record<string, string | Blob>,
+		signal: AbortSignal,
+		onProgress?: ( loaded: number, total: number ) => void
+	): Promise<ChunkedUploadResponse> {
+		return new Promise( ( resolve, reject ) => {
+			signal.throwIfAborted();
+
+			const xhr = new XMLHttpRequest();
+			const abortCallback = () => xhr.abort();
+
+			xhr.open( 'POST', this.options.uploadUrl, true );
+			xhr.responseType = 'json';
+
+			signal.addEventListener( 'abort', abortCallback );
+
+			xhr.addEventListener( 'loadend', () => signal.removeEventListener( 'abort', abortCallback ) );
+			xhr.addEventListener( 'error', () => reject() );
+			xhr.addEventListener( 'abort', () => reject() );
+			xhr.addEventListener( 'load', () => {
+				const response = xhr.response;
+
+				if ( !response || ( xhr.status >= 500 && !response.error ) ) {
+					return reject();
+				}
+
+				resolve( response );
+			} );
+
+			/* istanbul ignore else -- @preserve */
+			if ( onProgress && xhr.upload ) {
+				xhr.upload.addEventListener( 'progress', evt => {
+					if ( evt.lengthComputable ) {
+						onProgress( evt.loaded, evt.total );
+					}
+				} );
+			}
+
+			this._setRequestOptions( xhr );
+
+			const data = new FormData();
+
+			for ( const [ name, value ] of Object.entries( fields ) ) {
+				data.append( name, value );
+			}
+
+			xhr.send( data );
+		} );
+	}
+
+	/**
+	 * Sets the headers and the `withCredentials` flag of the request.
+	 *
+	 * @param xhr The request to set up.
+	 */
+	private _setRequestOptions( xhr: XMLHttpRequest ): void {
 		// Set headers if specified.
 		const headers = this.options.headers || {};
 
@@ -204,17 +398,41 @@ class Adapter implements UploadAdapter {
 		const withCredentials = this.options.withCredentials || false;
 
 		for ( const headerName of Object.keys( headers ) ) {
-			this.xhr!.setRequestHeader( headerName, headers[ headerName ] );
+			xhr.setRequestHeader( headerName, headers[ headerName ] );
 		}
 
-		this.xhr!.withCredentials = withCredentials;
+		xhr.withCredentials = withCredentials;
+	}
+}
 
-		// Prepare the form data.
-		const data = new FormData();
+/**
+ * Resolves the upload with the normalized `urls` property and passes the rest of the response
+ * to allow customizing the behavior of features relying on the upload adapters.
+ */
+function createUploadResponse( response: Record<string, any> ): UploadResponse {
+	const urls = response.url ? { default: response.url } : response.urls;
 
-		data.append( 'upload', file );
+	return {
+		...response,
+		urls
+	};
+}
 
-		// Send the request.
-		this.xhr!.send( data );
-	}
+/**
+ * Checks whether the server waits for more chunks of the file.
+ */
+function isChunkedUploadPending( response: ChunkedUploadResponse ): boolean {
+	return !response.error && !response.url && !response.urls && typeof response.offset == 'number';
+}
+
+/**
+ * The response of the server to a request of the chunked upload.
+ */
+interface ChunkedUploadResponse {
+	uploadId?: string;
+	offset?: number;
+	url?: string;
+	urls?: Record<string, string>;
+	error?: { message?: string };
+	[ key: string ]: unknown;
 }
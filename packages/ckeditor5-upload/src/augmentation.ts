@@ -7,7 +7,12 @@ import type {
 	SimpleUploadConfig,
 	FileRepository,
 	SimpleUploadAdapter,
-	Base64UploadAdapter
+	Base64UploadAdapter,
+	FileAttachment,
+	FileAttachmentEditing,
+	FileAttachmentUI,
+	FileAttachmentConfig,
+	UploadFileAttachmentCommand
 } from './index.js';
 
 declare module '@ckeditor/ckeditor5-core' {
@@ -19,11 +24,25 @@ declare module '@ckeditor/ckeditor5-core' {
 		 * Read more in {@link module:upload/uploadconfig~SimpleUploadConfig}.
 		 */
 		simpleUpload?: SimpleUploadConfig;
+
+		/**
+		 * The configuration of the {@link module:upload/fileattachment~FileAttachment file attachment feature}.
+		 *
+		 * Read more in {@link module:upload/fileattachmentconfig~FileAttachmentConfig}.
+		 */
+		fileAttachment?: FileAttachmentConfig;
 	}
 
 	interface PluginsMap {
 		[ FileRepository.pluginName ]: FileRepository;
 		[ SimpleUploadAdapter.pluginName ]: SimpleUploadAdapter;
 		[ Base64UploadAdapter.pluginName ]: Base64UploadAdapter;
+		[ FileAttachment.pluginName ]: FileAttachment;
+		[ FileAttachmentEditing.pluginName ]: FileAttachmentEditing;
+		[ FileAttachmentUI.pluginName ]: FileAttachmentUI;
+	}
+
+	interface CommandsMap {
+		uploadFileAttachment: UploadFileAttachmentCommand;
 	}
 }
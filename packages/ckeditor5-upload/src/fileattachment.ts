@@ -0,0 +1,42 @@
+/**
+ * @license Copyright (c) 2003-2024, CKSource Holding sp. z o.o. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+
+/**
+ * @module upload/fileattachment
+ */
+
+import { Plugin } from '@ckeditor/ckeditor5-core';
+
+import FileAttachmentEditing from './fileattachment/fileattachmentediting.js';
+import FileAttachmentUI from './fileattachment/fileattachmentui.js';
+
+/**
+ * The file attachment plugin.
+ *
+ * It allows attaching any files (for instance, PDF documents, spreadsheets, or archives) to the content. The files are picked
+ * using the `'uploadFile'` button or pasted and dropped into the editor, uploaded with the configured
+ * {@link module:upload/filerepository~UploadAdapter upload adapter}, and inserted as inline links displaying the name,
+ * the size, and the type of the file.
+ *
+ * See the {@glink features/file-attachment File attachment} guide to learn more.
+ *
+ * This is a "glue" plugin which loads the {@link module:upload/fileattachment/fileattachmentediting~FileAttachmentEditing}
+ * and {@link module:upload/fileattachment/fileattachmentui~FileAttachmentUI} plugins.
+ */
+export default class FileAttachment extends Plugin {
+	/**
+	 * @inheritDoc
+	 */
+	public static get requires() {
+		return [ FileAttachmentEditing, FileAttachmentUI ] as const;
+	}
+
+	/**
+	 * @inheritDoc
+	 */
+	public static get pluginName() {
+		return 'FileAttachment' as const;
+	}
+}
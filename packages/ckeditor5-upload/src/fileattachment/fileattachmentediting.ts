@@ -0,0 +1,494 @@
+/**
+ * @license Copyright (c) 2003-2024, CKSource Holding sp. z o.o. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+
+/**
+ * @module upload/fileattachment/fileattachmentediting
+ */
+
+import { Plugin, type Editor } from '@ckeditor/ckeditor5-core';
+import type {
+	DataTransfer,
+	DowncastWriter,
+	Element,
+	RootElement,
+	UpcastElementEvent,
+	ViewNode,
+	ViewUIElement
+} from '@ckeditor/ckeditor5-engine';
+import { IconView, Notification } from '@ckeditor/ckeditor5-ui';
+import { ClipboardPipeline, type ViewDocumentClipboardInputEvent } from '@ckeditor/ckeditor5-clipboard';
+import { Widget, toWidget } from '@ckeditor/ckeditor5-widget';
+import type { GetCallback } from '@ckeditor/ckeditor5-utils';
+
+import FileRepository, { type FileLoader, type UploadResponse } from '../filerepository.js';
+import UploadFileAttachmentCommand from './uploadfileattachmentcommand.js';
+import { formatFileSize, getFileExtension } from './utils.js';
+
+import fileAttachmentIcon from '../../theme/icons/file-attachment.svg';
+import '../../theme/fileattachment.css';
+
+const FILE_ATTACHMENT_ATTRIBUTES = [ 'fileAttachmentHref', 'fileAttachmentName', 'fileAttachmentSize', 'fileAttachmentType' ];
+
+/**
+ * The editing part of the file attachment feature.
+ *
+ * It introduces the `<fileAttachment>` inline element in the model which represents a link to an uploaded file
+ * (`<a class="file-attachment" href="..." data-file-size="..." data-file-type="...">name</a>` in the data)
+ * and the `'uploadFileAttachment'` command.
+ *
+ * The files pasted or dropped into the editor are attached unless they are handled by the image upload feature.
+ * The files are uploaded using the {@link module:upload/filerepository~FileRepository file repository}, so the same
+ * {@link module:upload/filerepository~UploadAdapter upload adapter} as for the images is used.
+ *
+ * When a file is uploaded, the plugin fires the {@link ~FileAttachmentEditing#event:uploadComplete `uploadComplete`} event
+ * that allows setting the URL of the file based on the custom upload response.
+ */
+export default class FileAttachmentEditing extends Plugin {
+	/**
+	 * The model elements of the uploaded file attachments by the {@link module:upload/filerepository~FileLoader#id file loader IDs}.
+	 */
+	private readonly _uploadElements = new Map<string, Element>();
+
+	/**
+	 * The progress bars of the uploaded file attachments by the {@link module:upload/filerepository~FileLoader#id file loader IDs}.
+	 * The file attachment may be converted more than once during the upload, so only its most recent progress bar is updated.
+	 */
+	private readonly _progressBars = new Map<string, ViewUIElement>();
+
+	/**
+	 * @inheritDoc
+	 */
+	public static get requires() {
+		return [ FileRepository, Notification, ClipboardPipeline, Widget ] as const;
+	}
+
+	/**
+	 * @inheritDoc
+	 */
+	public static get pluginName() {
+		return 'FileAttachmentEditing' as const;
+	}
+
+	/**
+	 * @inheritDoc
+	 */
+	constructor( editor: Editor ) {
+		super( editor );
+
+		editor.config.define( 'fileAttachment', {
+			upload: {
+				types: [ '.pdf', '.doc', '.docx', '.xls', '.xlsx', '.ppt', '.pptx', '.odt', '.ods', '.odp', '.rtf', '.txt', '.csv', '.zip' ]
+			}
+		} );
+	}
+
+	/**
+	 * @inheritDoc
+	 */
+	public init(): void {
+		const editor = this.editor;
+		const model = editor.model;
+		const schema = model.schema;
+		const conversion = editor.conversion;
+		const fileRepository = editor.plugins.get( FileRepository );
+
+		schema.register( 'fileAttachment', {
+			inheritAllFrom: '$inlineObject',
+			allowAttributes: [ ...FILE_ATTACHMENT_ATTRIBUTES, 'uploadId' ]
+		} );
+
+		// The file attachment is a link itself, so it cannot be a part of another link.
+		schema.addAttributeCheck( ( context, attributeName ) => {
+			if ( context.endsWith( 'fileAttachment' ) && attributeName == 'linkHref' ) {
+				return false;
+			}
+		} );
+
+		editor.commands.add( 'uploadFileAttachment', new UploadFileAttachmentCommand( editor ) );
+
+		conversion.for( 'upcast' ).add( dispatcher => {
+			dispatcher.on<UpcastElementEvent>( 'element:a', upcastFileAttachment(), { priority: 'high' } );
+		} );
+
+		conversion.for( 'dataDowncast' ).elementToElement( {
+			model: {
+				name: 'fileAttachment',
+				attributes: FILE_ATTACHMENT_ATTRIBUTES
+			},
+			view: ( modelElement, { writer } ) => {
+				const href = modelElement.getAttribute( 'fileAttachmentHref' ) as string | undefined;
+				const size = modelElement.getAttribute( 'fileAttachmentSize' ) as number | undefined;
+				const type = modelElement.getAttribute( 'fileAttachmentType' ) as string | undefined;
+
+				return writer.createContainerElement( 'a', {
+					class: 'file-attachment',
+					...( href && { href } ),
+					...( size !== undefined && { 'data-file-size': String( size ) } ),
+					...( type && { 'data-file-type': type } )
+				}, [
+					writer.createText( modelElement.getAttribute( 'fileAttachmentName' ) as string || '' )
+				] );
+			}
+		} );
+
+		conversion.for( 'editingDowncast' ).elementToElement( {
+			model: {
+				name: 'fileAttachment',
+				attributes: [ ...FILE_ATTACHMENT_ATTRIBUTES, 'uploadId' ]
+			},
+			view: ( modelElement, { writer } ) => {
+				const t = editor.locale.t;
+				const name = modelElement.getAttribute( 'fileAttachmentName' ) as string || '';
+				const size = modelElement.getAttribute( 'fileAttachmentSize' ) as number | undefined;
+				const uploadId = modelElement.getAttribute( 'uploadId' ) as string | undefined;
+				const sizeElement = size !== undefined && writer.createContainerElement(
+					'span', { class: 'ck-file-attachment__size' }, writer.createText( formatFileSize( size ) )
+				);
+
+				const viewElement = writer.createContainerElement( 'span', {
+					class: uploadId ? 'ck-file-attachment ck-file-attachment_uploading' : 'ck-file-attachment'
+				}, [
+					createFileAttachmentIcon( writer, getFileExtension( name ) ),
+					writer.createContainerElement( 'span', { class: 'ck-file-attachment__name' }, writer.createText( name ) ),
+					...( sizeElement ? [ sizeElement ] : [] ),
+					...( uploadId ? [ this._createProgressBar( writer, uploadId ) ] : [] )
+				] );
+
+				return toWidget( viewElement, writer, { label: t( 'File attachment: %0', name ) } );
+			}
+		} );
+
+		// Attach the pasted and dropped files. The images are left for the image upload feature.
+		this.listenTo<ViewDocumentClipboardInputEvent>( editor.editing.view.document, 'clipboardInput', ( evt, data ) => {
+			// Skip if non empty HTML data is included, the same as the image upload feature does.
+			if ( isHtmlIncluded( data.dataTransfer ) ) {
+				return;
+			}
+
+			const files = Array.from( data.dataTransfer.files ).filter( file => file );
+			const imageFiles = files.filter( file => this._isUploadedAsImage( file ) );
+			const attachedFiles = files.filter( file => !imageFiles.includes( file ) );
+
+			if ( !attachedFiles.length ) {
+				return;
+			}
+
+			// Let the image upload feature insert the images.
+			if ( !imageFiles.length ) {
+				evt.stop();
+			}
+
+			model.change( writer => {
+				// Set selection to paste target.
+				if ( data.targetRanges ) {
+					writer.setSelection( data.targetRanges.map( viewRange => editor.editing.mapper.toModelRange( viewRange ) ) );
+				}
+
+				editor.execute( 'uploadFileAttachment', { file: attachedFiles } );
+			} );
+		}, { priority: 'high' } );
+
+		// Prevents from the browser redirecting to the dropped file.
+		editor.editing.view.document.on( 'dragover', ( evt, data ) => {
+			data.preventDefault();
+		} );
+
+		// Upload the file attachments that appeared in the model and abort the upload of the removed ones.
+		model.document.on( 'change', () => {
+			// Reversing changes to start with insertions, so the file attachments which were moved are not aborted.
+			const changes = model.document.differ.getChanges( { includeChangesInGraveyard: true } ).reverse();
+			const insertedUploadIds = new Set<string>();
+
+			for ( const entry of changes ) {
+				if ( entry.type != 'insert' || entry.name == '$text' ) {
+					continue;
+				}
+
+				const isInsertedInGraveyard = ( entry.position.root as RootElement ).rootName == '$graveyard';
+
+				for ( const { item } of model.createRangeOn( entry.position.nodeAfter! ) ) {
+					if ( !item.is( 'element', 'fileAttachment' ) ) {
+						continue;
+					}
+
+					const uploadId = item.getAttribute( 'uploadId' ) as string | undefined;
+					const loader = uploadId && fileRepository.loaders.get( uploadId );
+
+					if ( !uploadId || !loader ) {
+						continue;
+					}
+
+					if ( isInsertedInGraveyard ) {
+						if ( !insertedUploadIds.has( uploadId ) ) {
+							loader.abort();
+						}
+					} else {
+						insertedUploadIds.add( uploadId );
+						this._uploadElements.set( uploadId, item );
+
+						if ( loader.status == 'idle' ) {
+							this._upload( loader );
+						}
+					}
+				}
+			}
+		} );
+
+		// Set the default handler setting the URL of the uploaded file.
+		this.on<FileAttachmentUploadCompleteEvent>( 'uploadComplete', ( evt, { fileAttachmentElement, data } ) => {
+			const urls = ( data.urls ? data.urls : data ) as Record<string, unknown>;
+
+			model.change( writer => {
+				writer.setAttribute( 'fileAttachmentHref', urls.default, fileAttachmentElement );
+			} );
+		}, { priority: 'low' } );
+	}
+
+	/**
+	 * Uploads the file of the file attachment. When the upload fails, the file attachment is removed and the user is notified.
+	 */
+	protected _upload( loader: FileLoader ): Promise<void> {
+		const editor = this.editor;
+		const model = editor.model;
+		const t = editor.locale.t;
+		const fileRepository = editor.plugins.get( FileRepository );
+		const notification = editor.plugins.get( Notification );
+		const uploadElements = this._uploadElements;
+		const progressBars = this._progressBars;
+
+		if ( editor.ui ) {
+			editor.ui.ariaLiveAnnouncer.announce( t( 'Uploading file' ) );
+		}
+
+		return loader.upload()
+			.then( data => {
+				model.enqueueChange( { isUndoable: false }, () => {
+					this.fire<FileAttachmentUploadCompleteEvent>( 'uploadComplete', {
+						data,
+						fileAttachmentElement: uploadElements.get( loader.id )!
+					} );
+				} );
+
+				if ( editor.ui ) {
+					editor.ui.ariaLiveAnnouncer.announce( t( 'File upload complete' ) );
+				}
+
+				clean();
+			} )
+			.catch( error => {
+				// If status is not 'error' nor 'aborted', something else went wrong, so the error should not be hidden.
+				if ( loader.status !== 'error' && loader.status !== 'aborted' ) {
+					throw error;
+				}
+
+				if ( editor.ui ) {
+					editor.ui.ariaLiveAnnouncer.announce( t( 'Error during file upload' ) );
+				}
+
+				// Might be 'aborted'.
+				if ( loader.status == 'error' && error ) {
+					notification.showWarning( error, {
+						title: t( 'File upload failed' ),
+						namespace: 'upload'
+					} );
+				}
+
+				// Permanently remove the file attachment from the insertion batch.
+				model.enqueueChange( { isUndoable: false }, writer => {
+					writer.remove( uploadElements.get( loader.id )! );
+				} );
+
+				clean();
+			} );
+
+		function clean() {
+			model.enqueueChange( { isUndoable: false }, writer => {
+				writer.removeAttribute( 'uploadId', uploadElements.get( loader.id )! );
+
+				uploadElements.delete( loader.id );
+			} );
+
+			progressBars.delete( loader.id );
+
+			fileRepository.destroyLoader( loader );
+		}
+	}
+
+	/**
+	 * Checks whether the pasted or dropped file is uploaded by the image upload feature.
+	 */
+	private _isUploadedAsImage( file: File ): boolean {
+		if ( !this.editor.plugins.has( 'ImageUploadEditing' ) ) {
+			return false;
+		}
+
+		const imageTypes = this.editor.config.get( 'image.upload.types' ) as Array<string>;
+
+		return imageTypes.some( type => file.type == `image/${ type }` );
+	}
+
+	/**
+	 * Creates the progress bar of the uploaded file attachment. Its width follows the upload progress of the file loader.
+	 * The file attachments uploaded by other clients display the indeterminate progress bar.
+	 */
+	private _createProgressBar( writer: DowncastWriter, uploadId: string ): ViewUIElement {
+		const view = this.editor.editing.view;
+		const loader = this.editor.plugins.get( FileRepository ).loaders.get( uploadId );
+		const progressBar = writer.createUIElement( 'span', {
+			class: [
+				'ck-file-attachment__progress-bar',
+				...( loader ? [] : [ 'ck-file-attachment__progress-bar_indeterminate' ] )
+			].join( ' ' )
+		} );
+
+		if ( loader ) {
+			writer.setStyle( 'width', loader.uploadedPercent + '%', progressBar );
+
+			// Listen to the loader only once, as the progress bar is created on every conversion of the file attachment.
+			if ( !this._progressBars.has( uploadId ) ) {
+				loader.on( 'change:uploadedPercent', ( evt, name, value ) => {
+					const currentProgressBar = this._progressBars.get( uploadId );
+
+					if ( currentProgressBar ) {
+						view.change( writer => {
+							writer.setStyle( 'width', value + '%', currentProgressBar );
+						} );
+					}
+				} );
+			}
+
+			this._progressBars.set( uploadId, progressBar );
+		}
+
+		return progressBar;
+	}
+}
+
+/**
+ * Converts the `<a class="file-attachment">` view element to the `<fileAttachment>` model element.
+ * The name of the file is the text of the link.
+ */
+function upcastFileAttachment(): GetCallback<UpcastElementEvent> {
+	return ( evt, data, conversionApi ) => {
+		const viewItem = data.viewItem;
+		const consumable = {
+			name: true,
+			classes: 'file-attachment',
+			attributes: [ 'href', 'data-file-size', 'data-file-type' ].filter( key => viewItem.hasAttribute( key ) )
+		};
+
+		if ( !viewItem.hasClass( 'file-attachment' ) || !conversionApi.consumable.test( viewItem, consumable ) ) {
+			return;
+		}
+
+		const href = viewItem.getAttribute( 'href' );
+		const size = parseInt( viewItem.getAttribute( 'data-file-size' ) || '', 10 );
+		const type = viewItem.getAttribute( 'data-file-type' );
+
+		const fileAttachment = conversionApi.writer.createElement( 'fileAttachment', {
+			fileAttachmentName: getViewText( viewItem ).trim(),
+			...( href && { fileAttachmentHref: href } ),
+			...( !isNaN( size ) && { fileAttachmentSize: size } ),
+			...( type && { fileAttachmentType: type } )
+		} );
+
+		if ( !conversionApi.safeInsert( fileAttachment, data.modelCursor ) ) {
+			return;
+		}
+
+		// The content of the file attachment is fully represented by the attributes of the model element.
+		conversionApi.consumable.consume( viewItem, consumable );
+		conversionApi.updateConversionResult( fileAttachment, data );
+	};
+}
+
+/**
+ * Creates the icon of the file attachment displaying the extension of the file.
+ */
+function createFileAttachmentIcon( writer: DowncastWriter, extension: string ): ViewUIElement {
+	return writer.createUIElement( 'span', { class: 'ck-file-attachment__icon' }, function( domDocument ) {
+		const domElement = this.toDomElement( domDocument );
+		const icon = new IconView();
+
+		icon.set( 'content', fileAttachmentIcon );
+		icon.render();
+
+		domElement.appendChild( icon.element! );
+
+		// The long extensions would not fit the icon.
+		if ( extension && extension.length <= 4 ) {
+			const label = domDocument.createElement( 'span' );
+
+			label.className = 'ck-file-attachment__extension';
+			label.textContent = extension;
+			domElement.appendChild( label );
+		}
+
+		return domElement;
+	} );
+}
+
+/**
+ * Returns the text content of the view node.
+ */
+function getViewText( viewNode: ViewNode ): string {
+	if ( viewNode.is( '$text' ) ) {
+		return viewNode.data;
+	}
+
+	if ( viewNode.is( 'element' ) ) {
+		return Array.from( viewNode.getChildren(), getViewText ).join( '' );
+	}
+
+	return '';
+}
+
+/**
+ * Returns `true` if non-empty `text/html` is included in the data transfer.
+ */
+function isHtmlIncluded( dataTransfer: DataTransfer ): boolean {
+	return Array.from( dataTransfer.types ).includes( 'text/html' ) && dataTransfer.getData( 'text/html' ) !== '';
+}
+
+/**
+ * An event fired when a file attachment is uploaded. You can hook into this event to set the attributes
+ * of the {@link module:engine/model/element~Element file attachment element} based on the data from the server.
+ *
+ * ```ts
+ * const fileAttachmentEditing = editor.plugins.get( 'FileAttachmentEditing' );
+ *
+ * fileAttachmentEditing.on( 'uploadComplete', ( evt, { data, fileAttachmentElement } ) => {
+ * 	editor.model.change( writer => {
+ * 		writer.setAttribute( 'fileAttachmentHref', data.downloadUrl, fileAttachmentElement );
+ * 	} );
+ *
+ * 	// Stop the default handler setting the `fileAttachmentHref` attribute to the default URL from the response.
+ * 	evt.stop();
+ * } );
+ * ```
+ *
+ * @eventName ~FileAttachmentEditing#uploadComplete
+ * @param data The `uploadComplete` event data.
+ */
+export type FileAttachmentUploadCompleteEvent = {
+	name: 'uploadComplete';
+	args: [ data: FileAttachmentUploadCompleteData ];
+};
+
+/**
+ * The data of the {@link ~FileAttachmentEditing#event:uploadComplete `uploadComplete`} event.
+ */
+export type FileAttachmentUploadCompleteData = {
+
+	/**
+	 * The data coming from the upload adapter.
+	 */
+	data: UploadResponse;
+
+	/**
+	 * The model {@link module:engine/model/element~Element file attachment element}.
+	 */
+	fileAttachmentElement: Element;
+};
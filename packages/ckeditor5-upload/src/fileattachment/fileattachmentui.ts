@@ -0,0 +1,84 @@
+/**
+ * @license Copyright (c) 2003-2024, CKSource Holding sp. z o.o. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+
+/**
+ * @module upload/fileattachment/fileattachmentui
+ */
+
+import { Plugin } from '@ckeditor/ckeditor5-core';
+import { FileDialogButtonView, MenuBarMenuListItemFileDialogButtonView } from '@ckeditor/ckeditor5-ui';
+
+import fileAttachmentIcon from '../../theme/icons/file-attachment.svg';
+
+/**
+ * The file attachment UI plugin.
+ *
+ * It adds the `'uploadFile'` button to the {@link module:ui/componentfactory~ComponentFactory UI component factory}
+ * and the `'menuBar:uploadFile'` menu bar item. Both open the file dialog accepting the files configured in
+ * {@link module:upload/fileattachmentconfig~FileAttachmentUploadConfig#types `fileAttachment.upload.types`}.
+ */
+export default class FileAttachmentUI extends Plugin {
+	/**
+	 * @inheritDoc
+	 */
+	public static get pluginName() {
+		return 'FileAttachmentUI' as const;
+	}
+
+	/**
+	 * @inheritDoc
+	 */
+	public init(): void {
+		const editor = this.editor;
+		const t = editor.t;
+
+		editor.ui.componentFactory.add( 'uploadFile', () => {
+			const button = this._createButton( FileDialogButtonView );
+
+			button.tooltip = true;
+
+			return button;
+		} );
+
+		editor.ui.componentFactory.add( 'menuBar:uploadFile', () => {
+			const button = this._createButton( MenuBarMenuListItemFileDialogButtonView );
+
+			button.label = t( 'File from computer' );
+
+			return button;
+		} );
+	}
+
+	/**
+	 * Creates a button for the upload file attachment command to use either in the toolbar or in the menu bar.
+	 */
+	private _createButton<T extends typeof FileDialogButtonView | typeof MenuBarMenuListItemFileDialogButtonView>(
+		ButtonClass: T
+	): InstanceType<T> {
+		const editor = this.editor;
+		const t = editor.locale.t;
+		const command = editor.commands.get( 'uploadFileAttachment' )!;
+		const view = new ButtonClass( editor.locale ) as InstanceType<T>;
+
+		view.set( {
+			acceptedType: editor.config.get( 'fileAttachment.upload.types' )!.join( ',' ),
+			allowMultipleFiles: true,
+			label: t( 'Upload file' ),
+			icon: fileAttachmentIcon
+		} );
+
+		view.bind( 'isEnabled' ).to( command );
+
+		view.on( 'done', ( evt, files: FileList ) => {
+			if ( files.length ) {
+				editor.execute( 'uploadFileAttachment', { file: Array.from( files ) } );
+
+				editor.editing.view.focus();
+			}
+		} );
+
+		return view;
+	}
+}
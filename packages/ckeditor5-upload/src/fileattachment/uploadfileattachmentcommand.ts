@@ -0,0 +1,100 @@
+/**
+ * @license Copyright (c) 2003-2024, CKSource Holding sp. z o.o. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+
+/**
+ * @module upload/fileattachment/uploadfileattachmentcommand
+ */
+
+import { Command } from '@ckeditor/ckeditor5-core';
+import { Notification } from '@ckeditor/ckeditor5-ui';
+import { toArray, type ArrayOrItem } from '@ckeditor/ckeditor5-utils';
+
+import FileRepository from '../filerepository.js';
+import { createFileTypeMatcher, formatFileSize } from './utils.js';
+
+/**
+ * The upload file attachment command.
+ *
+ * The command is registered by the {@link module:upload/fileattachment/fileattachmentediting~FileAttachmentEditing} plugin as
+ * `'uploadFileAttachment'`.
+ *
+ * It inserts the file attachments at the current selection position and starts their upload. The files which do not match the
+ * {@link module:upload/fileattachmentconfig~FileAttachmentUploadConfig#types `fileAttachment.upload.types`} or exceed the
+ * {@link module:upload/fileattachmentconfig~FileAttachmentUploadConfig#maxFileSize `fileAttachment.upload.maxFileSize`}
+ * configuration are skipped and the user is notified about them.
+ *
+ * ```ts
+ * editor.execute( 'uploadFileAttachment', { file: [ file1, file2 ] } );
+ * ```
+ */
+export default class UploadFileAttachmentCommand extends Command {
+	/**
+	 * @inheritDoc
+	 */
+	public override refresh(): void {
+		const model = this.editor.model;
+		const selection = model.document.selection;
+
+		this.isEnabled = model.canEditAt( selection ) && model.schema.checkChild( selection.getFirstPosition()!, 'fileAttachment' );
+	}
+
+	/**
+	 * Executes the command.
+	 *
+	 * @fires execute
+	 * @param options Options for the executed command.
+	 * @param options.file The file or an array of files to attach.
+	 */
+	public override execute( options: { file: ArrayOrItem<File> } ): void {
+		const editor = this.editor;
+		const model = editor.model;
+		const t = editor.t;
+		const fileRepository = editor.plugins.get( FileRepository );
+		const notification = editor.plugins.get( Notification );
+		const { types, maxFileSize } = editor.config.get( 'fileAttachment.upload' )!;
+		const isAcceptedType = createFileTypeMatcher( types );
+
+		const showWarning = ( message: string ) => {
+			notification.showWarning( message, {
+				title: t( 'File upload failed' ),
+				namespace: 'upload'
+			} );
+		};
+
+		model.change( writer => {
+			for ( const file of toArray( options.file ) ) {
+				if ( !isAcceptedType( file ) ) {
+					showWarning( t( 'The type of the "%0" file is not allowed.', file.name ) );
+
+					continue;
+				}
+
+				if ( maxFileSize && file.size > maxFileSize ) {
+					const formattedMaxFileSize = formatFileSize( maxFileSize );
+
+					showWarning( t( 'The "%0" file is too big. The maximum file size is %1.', [ file.name, formattedMaxFileSize ] ) );
+
+					continue;
+				}
+
+				const loader = fileRepository.createLoader( file );
+
+				// The loader cannot be created without the upload adapter.
+				if ( !loader ) {
+					return;
+				}
+
+				const fileAttachment = writer.createElement( 'fileAttachment', {
+					uploadId: loader.id,
+					fileAttachmentName: file.name,
+					fileAttachmentSize: file.size,
+					fileAttachmentType: file.type
+				} );
+
+				model.insertObject( fileAttachment, null, null, { setSelection: 'after' } );
+			}
+		} );
+	}
+}
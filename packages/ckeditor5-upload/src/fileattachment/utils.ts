@@ -0,0 +1,83 @@
+/**
+ * @license Copyright (c) 2003-2024, CKSource Holding sp. z o.o. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+
+/**
+ * @module upload/fileattachment/utils
+ */
+
+const FILE_SIZE_UNITS = [ 'B', 'KB', 'MB', 'GB', 'TB' ];
+
+/**
+ * Creates a function checking whether the file matches any of the types from the
+ * {@link module:upload/fileattachmentconfig~FileAttachmentUploadConfig#types `fileAttachment.upload.types`} configuration.
+ *
+ * ```ts
+ * const isAccepted = createFileTypeMatcher( [ 'application/pdf', 'video/*', '.docx' ] );
+ *
+ * isAccepted( new File( [], 'report.docx' ) ); // true
+ * isAccepted( new File( [], 'movie.mp4', { type: 'video/mp4' } ) ); // true
+ * ```
+ *
+ * The MIME types are compared case-insensitively. The extensions are compared with the end of the file name.
+ *
+ * @param types The accepted MIME types (including the wildcard subtypes) and file extensions.
+ */
+export function createFileTypeMatcher( types: Array<string> ): ( file: Pick<File, 'name' | 'type'> ) => boolean {
+	const normalizedTypes = types.map( type => type.trim().toLowerCase() );
+
+	return file => {
+		const fileName = file.name.toLowerCase();
+		const fileType = file.type.toLowerCase();
+
+		return normalizedTypes.some( type => {
+			if ( type.startsWith( '.' ) ) {
+				return fileName.endsWith( type );
+			}
+
+			if ( type.endsWith( '/*' ) ) {
+				return fileType.startsWith( type.slice( 0, -1 ) );
+			}
+
+			return fileType == type;
+		} );
+	};
+}
+
+/**
+ * Formats the size of the file in bytes as a human-readable text.
+ *
+ * ```ts
+ * formatFileSize( 500 ); // '500 B'
+ * formatFileSize( 1536 ); // '1.5 KB'
+ * formatFileSize( 10485760 ); // '10 MB'
+ * ```
+ *
+ * @param size The size of the file in bytes.
+ */
+export function formatFileSize( size: number ): string {
+	let unitIndex = 0;
+
+	while ( size >= 1024 && unitIndex < FILE_SIZE_UNITS.length - 1 ) {
+		size /= 1024;
+		unitIndex++;
+	}
+
+	// Display one decimal place for the small values only, for instance, "1.5 MB" but "15 MB".
+	const value = unitIndex && size < 10 ? Math.round( size * 10 ) / 10 : Math.round( size );
+
+	return `${ value } ${ FILE_SIZE_UNITS[ unitIndex ] }`;
+}
+
+/**
+ * Returns the extension of the file name in upper case, for instance, `'PDF'` for `'report.pdf'`.
+ * It is displayed by the file attachment as the type of the file. An empty string is returned for the names without an extension.
+ *
+ * @param fileName The name of the file.
+ */
+export function getFileExtension( fileName: string ): string {
+	const dotIndex = fileName.lastIndexOf( '.' );
+
+	return dotIndex > 0 ? fileName.slice( dotIndex + 1 ).toUpperCase() : '';
+}
@@ -0,0 +1,91 @@
+/**
+ * @license Copyright (c) 2003-2024, CKSource Holding sp. z o.o. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+
+/**
+ * @module upload/fileattachmentconfig
+ */
+
+/**
+ * The configuration of the {@link module:upload/fileattachment~FileAttachment file attachment feature}.
+ *
+ * ```ts
+ * ClassicEditor
+ * 	.create( editorElement, {
+ * 		fileAttachment: {
+ * 			upload: {
+ * 				types: [ 'application/pdf', '.docx', '.zip' ],
+ * 				maxFileSize: 10 * 1024 * 1024
+ * 			}
+ * 		}
+ * 	} )
+ * 	.then( ... )
+ * 	.catch( ... );
+ * ```
+ *
+ * See {@link module:core/editor/editorconfig~EditorConfig all editor configuration options}.
+ */
+export interface FileAttachmentConfig {
+
+	/**
+	 * The file attachment upload configuration.
+	 */
+	upload?: FileAttachmentUploadConfig;
+}
+
+/**
+ * The file attachment upload configuration.
+ */
+export interface FileAttachmentUploadConfig {
+
+	/**
+	 * The list of accepted file types. A type can be:
+	 *
+	 * * A MIME type, for instance, `'application/pdf'`.
+	 * * A MIME type with a wildcard subtype, for instance, `'video/*'`.
+	 * * A file extension starting with a dot, for instance, `'.docx'`.
+	 *
+	 * The types use the same format as the [`accept`](https://developer.mozilla.org/en-US/docs/Web/HTML/Attributes/accept)
+	 * attribute of the file input, which is used in the file dialog opened by the `'uploadFile'` button.
+	 *
+	 * ```ts
+	 * ClassicEditor
+	 * 	.create( editorElement, {
+	 * 		fileAttachment: {
+	 * 			upload: {
+	 * 				types: [ 'application/pdf', 'video/*', '.docx' ]
+	 * 			}
+	 * 		}
+	 * 	} )
+	 * 	.then( ... )
+	 * 	.catch( ... );
+	 * ```
+	 *
+	 * The files of other types are not attached. The user is notified about them.
+	 *
+	 * @default [ '.pdf', '.doc', '.docx', '.xls', '.xlsx', '.ppt', '.pptx', '.odt', '.ods', '.odp', '.rtf', '.txt', '.csv', '.zip' ]
+	 */
+	types: Array<string>;
+
+	/**
+	 * The maximum size of an attached file in bytes. The larger files are not attached. The user is notified about them.
+	 *
+	 * ```ts
+	 * ClassicEditor
+	 * 	.create( editorElement, {
+	 * 		fileAttachment: {
+	 * 			upload: {
+	 * 				// 25 MB.
+	 * 				maxFileSize: 25 * 1024 * 1024
+	 * 			}
+	 * 		}
+	 * 	} )
+	 * 	.then( ... )
+	 * 	.catch( ... );
+	 * ```
+	 *
+	 * By default, the size of the files is not limited.
+	 */
+	maxFileSize?: number;
+}
@@ -15,6 +15,16 @@ export {
 } from './filerepository.js';
 export { default as Base64UploadAdapter } from './adapters/base64uploadadapter.js';
 export { default as SimpleUploadAdapter } from './adapters/simpleuploadadapter.js';
-export type { SimpleUploadConfig } from './uploadconfig.js';
+export type { SimpleUploadConfig, SimpleUploadChunkedUploadConfig } from './uploadconfig.js';
+export { default as FileAttachment } from './fileattachment.js';
+export {
+	default as FileAttachmentEditing,
+	type FileAttachmentUploadCompleteEvent,
+	type FileAttachmentUploadCompleteData
+} from './fileattachment/fileattachmentediting.js';
+export { default as FileAttachmentUI } from './fileattachment/fileattachmentui.js';
+export { default as UploadFileAttachmentCommand } from './fileattachment/uploadfileattachmentcommand.js';
+export { createFileTypeMatcher, formatFileSize } from './fileattachment/utils.js';
+export type { FileAttachmentConfig, FileAttachmentUploadConfig } from './fileattachmentconfig.js';
 
 import './augmentation.js';
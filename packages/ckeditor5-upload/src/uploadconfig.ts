@@ -92,4 +92,63 @@ export interface SimpleUploadConfig {
 	 * @default false
 	 */
 	withCredentials?: boolean;
+
+	/**
+	 * Enables uploading the large files in chunks. When specified, the files larger than
+	 * {@link module:upload/uploadconfig~SimpleUploadChunkedUploadConfig#chunkSize `chunkSize`} are sent in a series of requests,
+	 * each carrying a single chunk of the file. The failed requests are retried and the upload is resumed from the last chunk
+	 * stored by the server, so a temporary network loss does not require sending the whole file again.
+	 *
+	 * ```ts
+	 * ClassicEditor
+	 * 	.create( editorElement, {
+	 * 		simpleUpload: {
+	 * 			uploadUrl: 'http://example.com',
+	 * 			chunkedUpload: {
+	 * 				chunkSize: 2 * 1024 * 1024
+	 * 			}
+	 * 		}
+	 * 	} );
+	 * 	.then( ... )
+	 * 	.catch( ... );
+	 * ```
+	 *
+	 * The chunked upload requires a dedicated server-side implementation. Learn more about it in the
+	 * {@glink features/images/image-upload/simple-upload-adapter#chunked-upload "Chunked upload"} section of the feature guide.
+	 */
+	chunkedUpload?: SimpleUploadChunkedUploadConfig;
+}
+
+/**
+ * The configuration of the chunked upload of the
+ * {@link module:upload/adapters/simpleuploadadapter~SimpleUploadAdapter simple upload adapter}.
+ *
+ * See {@link module:upload/uploadconfig~SimpleUploadConfig#chunkedUpload `config.simpleUpload.chunkedUpload`} to learn more.
+ */
+export interface SimpleUploadChunkedUploadConfig {
+
+	/**
+	 * The size of a single chunk in bytes. The files that are not larger than a single chunk are uploaded
+	 * in a single request, as if the chunked upload was disabled.
+	 *
+	 * @default 5242880
+	 */
+	chunkSize?: number;
+
+	/**
+	 * The number of times a failed request is retried before the upload fails. A request fails when the server
+	 * cannot be reached or when it responds with an error status (5xx) without the `error` property in the response.
+	 * The errors reported by the server with the `error` property are never retried.
+	 *
+	 * @default 5
+	 */
+	maxRetries?: number;
+
+	/**
+	 * The time in milliseconds to wait before the first retry of a failed request. The time is doubled
+	 * with every subsequent retry (up to 10 seconds).
+	 *
+	 * @default 1000
+	 */
+	retryDelay?: number;
 }
@@ -0,0 +1,159 @@
+/**
+ * @license Copyright (c) 2003-2024, CKSource Holding sp. z o.o. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+
+/* globals Blob */
+
+/**
+ * Simulates the server side of the chunked upload of the simple upload adapter using the Sinon fake server.
+ * It implements the protocol described in the "Chunked upload" section of the simple upload adapter guide,
+ * so it can be used as a reference for the backend implementation.
+ *
+ *		const server = new ChunkedUploadServerMock( testUtils.sinon.useFakeServer() );
+ *
+ *		// Makes the second request fail as if the network was lost.
+ *		server.failRequests( 'network', [ 1 ] );
+ */
+export class ChunkedUploadServerMock {
+	/**
+	 * @param {Object} fakeServer The Sinon fake server.
+	 */
+	constructor( fakeServer ) {
+		/**
+		 * The uploads in progress by their IDs.
+		 *
+		 * @type {Map.<String,Object>}
+		 */
+		this.uploads = new Map();
+
+		/**
+		 * The fields of the handled requests (except the chunk data), including the failed ones.
+		 *
+		 * @type {Array.<Object>}
+		 */
+		this.requests = [];
+
+		/**
+		 * The maximum size of the uploaded file in bytes.
+		 *
+		 * @type {Number}
+		 */
+		this.maxFileSize = Infinity;
+
+		this._failures = new Map();
+		this._lastUploadId = 0;
+
+		fakeServer.respondImmediately = true;
+		fakeServer.respondWith( request => this._handleRequest( request ) );
+	}
+
+	/**
+	 * Makes the requests with the given indexes (counting from `0`) fail:
+	 *
+	 * * `'network'` &ndash; The request does not reach the server.
+	 * * `'lostResponse'` &ndash; The request is handled by the server, but the response does not reach the client.
+	 * * `'serverError'` &ndash; The server responds with the `503` status without the `error` property in the response.
+	 *
+	 * @param {String} type The type of the failure.
+	 * @param {Array.<Number>} indexes The indexes of the failed requests.
+	 */
+	failRequests( type, indexes ) {
+		for ( const index of indexes ) {
+			this._failures.set( index, type );
+		}
+	}
+
+	/**
+	 * Returns the content of the upload assembled from the received chunks.
+	 *
+	 * @param {String} uploadId
+	 * @returns {Blob}
+	 */
+	getUploadedFile( uploadId ) {
+		return new Blob( this.uploads.get( uploadId ).chunks );
+	}
+
+	_handleRequest( request ) {
+		const data = request.requestBody;
+		const failure = this._failures.get( this.requests.length );
+		const fields = {};
+
+		for ( const [ name, value ] of data.entries() ) {
+			if ( name != 'upload' ) {
+				fields[ name ] = value;
+			}
+		}
+
+		this.requests.push( fields );
+
+		if ( failure == 'network' ) {
+			return request.error();
+		}
+
+		if ( failure == 'serverError' ) {
+			return request.respond( 503, { 'Content-Type': 'text/plain' }, 'Service Unavailable' );
+		}
+
+		const [ status, response ] = this._getResponse( data, request );
+
+		if ( failure == 'lostResponse' ) {
+			return request.error();
+		}
+
+		request.respond( status, { 'Content-Type': 'application/json' }, JSON.stringify( response ) );
+	}
+
+	_getResponse( data, request ) {
+		const action = data.get( 'action' );
+
+		if ( action == 'init' ) {
+			if ( Number( data.get( 'fileSize' ) ) > this.maxFileSize ) {
+				return [ 413, { error: { message: 'The file is too big.' } } ];
+			}
+
+			const uploadId = `upload-${ ++this._lastUploadId }`;
+
+			this.uploads.set( uploadId, {
+				fileName: data.get( 'fileName' ),
+				fileSize: Number( data.get( 'fileSize' ) ),
+				fileType: data.get( 'fileType' ),
+				chunks: [],
+				offset: 0
+			} );
+
+			return [ 200, { uploadId } ];
+		}
+
+		const uploadId = data.get( 'uploadId' );
+		const upload = this.uploads.get( uploadId );
+
+		if ( !upload ) {
+			return [ 404, { error: { message: 'The upload does not exist.' } } ];
+		}
+
+		if ( action == 'cancel' ) {
+			this.uploads.delete( uploadId );
+
+			return [ 200, {} ];
+		}
+
+		if ( action == 'chunk' ) {
+			const chunk = data.get( 'upload' );
+
+			request.uploadProgress( { loaded: chunk.size / 2, total: chunk.size } );
+
+			// The chunk sent again after a lost response is ignored.
+			if ( Number( data.get( 'offset' ) ) == upload.offset ) {
+				upload.chunks.push( chunk );
+				upload.offset += chunk.size;
+			}
+		}
+
+		if ( upload.offset >= upload.fileSize ) {
+			return [ 200, { url: `http://example.com/files/${ upload.fileName }` } ];
+		}
+
+		return [ 200, { offset: upload.offset } ];
+	}
+}
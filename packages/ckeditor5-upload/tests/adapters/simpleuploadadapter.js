@@ -3,12 +3,13 @@
  * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
  */
 
-/* globals document, console */
+/* globals document, console, window, File */
 
 import ClassicTestEditor from '@ckeditor/ckeditor5-core/tests/_utils/classictesteditor.js';
 import SimpleUploadAdapter from '../../src/adapters/simpleuploadadapter.js';
 import FileRepository from '../../src/filerepository.js';
 import { createNativeFileMock } from '../_utils/mocks.js';
+import { ChunkedUploadServerMock } from '../_utils/chunkeduploadservermock.js';
 import testUtils from '@ckeditor/ckeditor5-core/tests/_utils/utils.js';
 
 describe( 'SimpleUploadAdapter', () => {
@@ -496,4 +497,236 @@ describe( 'SimpleUploadAdapter', () => {
 			} );
 		} );
 	} );
+
+	describe( 'chunked upload', () => {
+		let chunkedUploadEditor, chunkedUploadEditorElement, server, file, loader, adapter;
+
+		beforeEach( async () => {
+			chunkedUploadEditorElement = document.createElement( 'div' );
+			document.body.appendChild( chunkedUploadEditorElement );
+
+			chunkedUploadEditor = await ClassicTestEditor.create( chunkedUploadEditorElement, {
+				plugins: [ SimpleUploadAdapter ],
+				simpleUpload: {
+					uploadUrl: 'http://example.com',
+					headers: {
+						'X-CSRF-TOKEN': 'foo'
+					},
+					withCredentials: true,
+					chunkedUpload: {
+						chunkSize: 1000,
+						maxRetries: 2,
+						retryDelay: 10
+					}
+				}
+			} );
+
+			server = new ChunkedUploadServerMock( sinonXHR );
+			file = new File( [ 'a'.repeat( 1000 ), 'b'.repeat( 1000 ), 'c'.repeat( 500 ) ], 'video.mp4', { type: 'video/mp4' } );
+
+			const fileRepository = chunkedUploadEditor.plugins.get( FileRepository );
+
+			loader = fileRepository.createLoader( file );
+			adapter = fileRepository.createUploadAdapter( loader );
+		} );
+
+		afterEach( () => {
+			chunkedUploadEditorElement.remove();
+
+			return chunkedUploadEditor.destroy();
+		} );
+
+		it( 'should upload the file not larger than a single chunk in a single request', async () => {
+			const smallFile = new File( [ 'a'.repeat( 1000 ) ], 'image.png', { type: 'image/png' } );
+			const fileRepository = chunkedUploadEditor.plugins.get( FileRepository );
+			const smallFileLoader = fileRepository.createLoader( smallFile );
+			const uploadPromise = fileRepository.createUploadAdapter( smallFileLoader ).upload();
+
+			sinonXHR.respondImmediately = false;
+
+			await smallFileLoader.file;
+
+			const request = sinonXHR.requests[ 0 ];
+
+			expect( sinonXHR.requests ).to.have.length( 1 );
+			expect( request.requestBody.has( 'action' ) ).to.be.false;
+			expect( request.requestBody.get( 'upload' ).size ).to.equal( 1000 );
+
+			const validResponse = {
+				url: 'http://example.com/images/image.png'
+			};
+
+			request.respond( 200, { 'Content-Type': 'application/json' }, JSON.stringify( validResponse ) );
+
+			expect( await uploadPromise ).to.deep.equal( {
+				url: 'http://example.com/images/image.png',
+				urls: {
+					default: 'http://example.com/images/image.png'
+				}
+			} );
+		} );
+
+		it( 'should upload the file in chunks', async () => {
+			const response = await adapter.upload();
+
+			expect( server.requests ).to.deep.equal( [
+				{ action: 'init', fileName: 'video.mp4', fileSize: '2500', fileType: 'video/mp4' },
+				{ action: 'chunk', uploadId: 'upload-1', offset: '0' },
+				{ action: 'chunk', uploadId: 'upload-1', offset: '1000' },
+				{ action: 'chunk', uploadId: 'upload-1', offset: '2000' }
+			] );
+
+			expect( await server.getUploadedFile( 'upload-1' ).text() ).to.equal( await file.text() );
+
+			expect( response ).to.deep.equal( {
+				url: 'http://example.com/files/video.mp4',
+				urls: {
+					default: 'http://example.com/files/video.mp4'
+				}
+			} );
+		} );
+
+		it( 'should use config#headers and config#withCredentials in every request', async () => {
+			await adapter.upload();
+
+			expect( sinonXHR.requests ).to.have.length( 4 );
+
+			for ( const request of sinonXHR.requests ) {
+				expect( request.requestHeaders ).to.include( { 'X-CSRF-TOKEN': 'foo' } );
+				expect( request ).to.have.property( 'withCredentials', true );
+			}
+		} );
+
+		it( 'should update progress after each part of a chunk', async () => {
+			const uploaded = [];
+
+			loader.on( 'change:uploaded', () => uploaded.push( loader.uploaded ) );
+
+			await adapter.upload();
+
+			expect( loader.uploadTotal ).to.equal( 2500 );
+			expect( uploaded ).to.deep.equal( [ 500, 1000, 1500, 2000, 2250, 2500 ] );
+			expect( loader.uploadedPercent ).to.equal( 100 );
+		} );
+
+		it( 'should retry the failed request and resume the upload from the offset stored by the server', async () => {
+			server.failRequests( 'network', [ 2 ] );
+
+			await adapter.upload();
+
+			expect( server.requests.map( fields => [ fields.action, fields.offset ] ) ).to.deep.equal( [
+				[ 'init', undefined ],
+				[ 'chunk', '0' ],
+				[ 'chunk', '1000' ],
+				[ 'status', undefined ],
+				[ 'chunk', '1000' ],
+				[ 'chunk', '2000' ]
+			] );
+
+			expect( await server.getUploadedFile( 'upload-1' ).text() ).to.equal( await file.text() );
+		} );
+
+		it( 'should not upload the chunk again if the server stored it before the response was lost', async () => {
+			server.failRequests( 'lostResponse', [ 1 ] );
+
+			await adapter.upload();
+
+			expect( server.requests.map( fields => [ fields.action, fields.offset ] ) ).to.deep.equal( [
+				[ 'init', undefined ],
+				[ 'chunk', '0' ],
+				[ 'status', undefined ],
+				[ 'chunk', '1000' ],
+				[ 'chunk', '2000' ]
+			] );
+
+			expect( await server.getUploadedFile( 'upload-1' ).text() ).to.equal( await file.text() );
+		} );
+
+		it( 'should retry the request if the server responds with an error status without the error in the response', async () => {
+			server.failRequests( 'serverError', [ 0 ] );
+
+			await adapter.upload();
+
+			expect( server.requests.map( fields => fields.action ) ).to.deep.equal( [ 'init', 'init', 'chunk', 'chunk', 'chunk' ] );
+		} );
+
+		it( 'should wait before retrying the request using the exponential back-off', async () => {
+			const setTimeoutSpy = testUtils.sinon.spy( window, 'setTimeout' );
+
+			server.failRequests( 'network', [ 1, 2 ] );
+
+			await adapter.upload();
+
+			expect( setTimeoutSpy.args.map( args => args[ 1 ] ).filter( delay => delay >= 10 ) ).to.deep.equal( [ 10, 20 ] );
+		} );
+
+		it( 'should throw a generic error when the request fails more times than config#chunkedUpload.maxRetries', async () => {
+			server.failRequests( 'network', [ 1, 2, 3 ] );
+
+			try {
+				await adapter.upload();
+
+				throw new Error( 'Promise should throw.' );
+			} catch ( error ) {
+				expect( error ).to.equal( 'Couldn\'t upload file: video.mp4.' );
+			}
+
+			expect( server.requests.map( fields => fields.action ) ).to.deep.equal( [ 'init', 'chunk', 'status', 'status' ] );
+		} );
+
+		it( 'should throw an error from the server without retrying the request', async () => {
+			server.maxFileSize = 2000;
+
+			try {
+				await adapter.upload();
+
+				throw new Error( 'Promise should throw.' );
+			} catch ( error ) {
+				expect( error ).to.equal( 'The file is too big.' );
+			}
+
+			expect( server.requests.map( fields => fields.action ) ).to.deep.equal( [ 'init' ] );
+		} );
+
+		it( 'should abort the upload and let the server discard it on abort()', async () => {
+			loader.on( 'change:uploaded', () => {
+				if ( loader.uploaded == 1000 ) {
+					adapter.abort();
+				}
+			} );
+
+			try {
+				await adapter.upload();
+
+				throw new Error( 'Promise should throw.' );
+			} catch ( error ) {
+				expect( error ).to.be.undefined;
+			}
+
+			expect( server.requests.map( fields => fields.action ) ).to.deep.equal( [ 'init', 'chunk', 'cancel' ] );
+			expect( server.uploads.has( 'upload-1' ) ).to.be.false;
+		} );
+
+		it( 'should abort the pending request on abort()', async () => {
+			sinonXHR.respondImmediately = false;
+
+			const promise = adapter.upload();
+
+			await loader.file;
+
+			const request = sinonXHR.requests[ 0 ];
+
+			adapter.abort();
+
+			try {
+				await promise;
+
+				throw new Error( 'Promise should throw.' );
+			} catch ( error ) {
+				expect( error ).to.be.undefined;
+			}
+
+			expect( request.aborted ).to.be.true;
+		} );
+	} );
 } );
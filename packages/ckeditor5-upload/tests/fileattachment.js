@@ -0,0 +1,44 @@
+/**
+ * @license Copyright (c) 2003-2024, CKSource Holding sp. z o.o. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+
+/* globals document */
+
+import ClassicTestEditor from '@ckeditor/ckeditor5-core/tests/_utils/classictesteditor.js';
+
+import FileAttachment from '../src/fileattachment.js';
+import FileAttachmentEditing from '../src/fileattachment/fileattachmentediting.js';
+import FileAttachmentUI from '../src/fileattachment/fileattachmentui.js';
+import { UploadAdapterPluginMock } from './_utils/mocks.js';
+
+describe( 'FileAttachment', () => {
+	let editor, editorElement;
+
+	beforeEach( async () => {
+		editorElement = document.createElement( 'div' );
+		document.body.appendChild( editorElement );
+
+		editor = await ClassicTestEditor.create( editorElement, {
+			plugins: [ FileAttachment, UploadAdapterPluginMock ]
+		} );
+	} );
+
+	afterEach( async () => {
+		editorElement.remove();
+
+		await editor.destroy();
+	} );
+
+	it( 'should have pluginName', () => {
+		expect( FileAttachment.pluginName ).to.equal( 'FileAttachment' );
+	} );
+
+	it( 'should include FileAttachmentEditing', () => {
+		expect( editor.plugins.get( FileAttachmentEditing ) ).to.be.instanceOf( FileAttachmentEditing );
+	} );
+
+	it( 'should include FileAttachmentUI', () => {
+		expect( editor.plugins.get( FileAttachmentUI ) ).to.be.instanceOf( FileAttachmentUI );
+	} );
+} );
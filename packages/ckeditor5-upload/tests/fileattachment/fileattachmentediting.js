@@ -0,0 +1,810 @@
+/**
+ * @license Copyright (c) 2003-2024, CKSource Holding sp. z o.o. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+
+/* globals document, setTimeout */
+
+import ClassicTestEditor from '@ckeditor/ckeditor5-core/tests/_utils/classictesteditor.js';
+import Plugin from '@ckeditor/ckeditor5-core/src/plugin.js';
+import Paragraph from '@ckeditor/ckeditor5-paragraph/src/paragraph.js';
+import ClipboardPipeline from '@ckeditor/ckeditor5-clipboard/src/clipboardpipeline.js';
+import Widget from '@ckeditor/ckeditor5-widget/src/widget.js';
+import { getLabel } from '@ckeditor/ckeditor5-widget/src/utils.js';
+import Notification from '@ckeditor/ckeditor5-ui/src/notification/notification.js';
+import DataTransfer from '@ckeditor/ckeditor5-engine/src/view/datatransfer.js';
+import EventInfo from '@ckeditor/ckeditor5-utils/src/eventinfo.js';
+import testUtils from '@ckeditor/ckeditor5-core/tests/_utils/utils.js';
+import { setData as setModelData, getData as getModelData } from '@ckeditor/ckeditor5-engine/src/dev-utils/model.js';
+import { getData as getViewData } from '@ckeditor/ckeditor5-engine/src/dev-utils/view.js';
+
+import FileRepository from '../../src/filerepository.js';
+import FileAttachmentEditing from '../../src/fileattachment/fileattachmentediting.js';
+import UploadFileAttachmentCommand from '../../src/fileattachment/uploadfileattachmentcommand.js';
+import { UploadAdapterMock } from '../_utils/mocks.js';
+
+describe( 'FileAttachmentEditing', () => {
+	let editor, editorElement, model, doc, view, viewDocument, fileRepository, adapterMocks, showWarningStub;
+
+	testUtils.createSinonSandbox();
+
+	class UploadAdapterPluginMock extends Plugin {
+		init() {
+			fileRepository = this.editor.plugins.get( FileRepository );
+			fileRepository.createUploadAdapter = loader => {
+				const adapterMock = new UploadAdapterMock( loader );
+
+				adapterMocks.push( adapterMock );
+
+				return adapterMock;
+			};
+		}
+	}
+
+	beforeEach( async () => {
+		adapterMocks = [];
+		editorElement = document.createElement( 'div' );
+		document.body.appendChild( editorElement );
+
+		editor = await ClassicTestEditor.create( editorElement, {
+			plugins: [ FileAttachmentEditing, Paragraph, UploadAdapterPluginMock ]
+		} );
+
+		model = editor.model;
+		doc = model.document;
+		view = editor.editing.view;
+		viewDocument = view.document;
+		showWarningStub = sinon.stub( editor.plugins.get( Notification ), 'showWarning' );
+	} );
+
+	afterEach( async () => {
+		await editor.destroy();
+
+		editorElement.remove();
+	} );
+
+	it( 'should have pluginName', () => {
+		expect( FileAttachmentEditing.pluginName ).to.equal( 'FileAttachmentEditing' );
+	} );
+
+	it( 'should require the plugins', () => {
+		expect( FileAttachmentEditing.requires ).to.deep.equal( [ FileRepository, Notification, ClipboardPipeline, Widget ] );
+	} );
+
+	it( 'should define the default configuration', () => {
+		expect( editor.config.get( 'fileAttachment.upload.types' ) ).to.deep.equal( [
+			'.pdf', '.doc', '.docx', '.xls', '.xlsx', '.ppt', '.pptx', '.odt', '.ods', '.odp', '.rtf', '.txt', '.csv', '.zip'
+		] );
+		expect( editor.config.get( 'fileAttachment.upload.maxFileSize' ) ).to.be.undefined;
+	} );
+
+	it( 'should register the uploadFileAttachment command', () => {
+		expect( editor.commands.get( 'uploadFileAttachment' ) ).to.be.instanceOf( UploadFileAttachmentCommand );
+	} );
+
+	describe( 'schema', () => {
+		it( 'should allow the fileAttachment element where the inline objects are allowed', () => {
+			expect( model.schema.checkChild( [ '$root', 'paragraph' ], 'fileAttachment' ) ).to.be.true;
+			expect( model.schema.checkChild( [ '$root' ], 'fileAttachment' ) ).to.be.false;
+			expect( model.schema.isObject( 'fileAttachment' ) ).to.be.true;
+			expect( model.schema.isInline( 'fileAttachment' ) ).to.be.true;
+		} );
+
+		it( 'should allow the file attachment attributes', () => {
+			const context = [ '$root', 'paragraph', 'fileAttachment' ];
+
+			expect( model.schema.checkAttribute( context, 'fileAttachmentHref' ) ).to.be.true;
+			expect( model.schema.checkAttribute( context, 'fileAttachmentName' ) ).to.be.true;
+			expect( model.schema.checkAttribute( context, 'fileAttachmentSize' ) ).to.be.true;
+			expect( model.schema.checkAttribute( context, 'fileAttachmentType' ) ).to.be.true;
+			expect( model.schema.checkAttribute( context, 'uploadId' ) ).to.be.true;
+		} );
+
+		it( 'should not allow the link on the file attachment', () => {
+			model.schema.extend( '$text', { allowAttributes: 'linkHref' } );
+
+			expect( model.schema.checkAttribute( [ '$root', 'paragraph', '$text' ], 'linkHref' ) ).to.be.true;
+			expect( model.schema.checkAttribute( [ '$root', 'paragraph', 'fileAttachment' ], 'linkHref' ) ).to.be.false;
+		} );
+	} );
+
+	describe( 'conversion', () => {
+		describe( 'upcast', () => {
+			it( 'should convert the file attachment link', () => {
+				editor.setData(
+					'<p>foo <a class="file-attachment" href="/files/report.pdf" data-file-size="2048" ' +
+						'data-file-type="application/pdf">report.pdf</a> bar</p>'
+				);
+
+				expect( getModelData( model, { withoutSelection: true } ) ).to.equal(
+					'<paragraph>foo ' +
+						'<fileAttachment fileAttachmentHref="/files/report.pdf" fileAttachmentName="report.pdf" ' +
+							'fileAttachmentSize="2048" fileAttachmentType="application/pdf"></fileAttachment>' +
+					' bar</paragraph>'
+				);
+			} );
+
+			it( 'should convert the file attachment link without the optional attributes', () => {
+				editor.setData( '<p><a class="file-attachment"> report.pdf </a></p>' );
+
+				expect( getModelData( model, { withoutSelection: true } ) ).to.equal(
+					'<paragraph><fileAttachment fileAttachmentName="report.pdf"></fileAttachment></paragraph>'
+				);
+			} );
+
+			it( 'should take the name from the nested elements', () => {
+				editor.setData( '<p><a class="file-attachment" href="/report.pdf"><b>report</b>.pdf</a></p>' );
+
+				expect( getModelData( model, { withoutSelection: true } ) ).to.equal(
+					'<paragraph>' +
+						'<fileAttachment fileAttachmentHref="/report.pdf" fileAttachmentName="report.pdf"></fileAttachment>' +
+					'</paragraph>'
+				);
+			} );
+
+			it( 'should skip the invalid file size', () => {
+				editor.setData( '<p><a class="file-attachment" data-file-size="big">report.pdf</a></p>' );
+
+				expect( getModelData( model, { withoutSelection: true } ) ).to.equal(
+					'<paragraph><fileAttachment fileAttachmentName="report.pdf"></fileAttachment></paragraph>'
+				);
+			} );
+
+			it( 'should not convert the links without the file-attachment class', () => {
+				editor.setData( '<p><a class="download" href="/report.pdf">report.pdf</a></p>' );
+
+				expect( getModelData( model, { withoutSelection: true } ) ).to.equal( '<paragraph>report.pdf</paragraph>' );
+			} );
+
+			it( 'should not convert the file attachment link if it was already consumed', () => {
+				editor.conversion.for( 'upcast' ).add( dispatcher => {
+					dispatcher.on( 'element:a', ( evt, data, conversionApi ) => {
+						conversionApi.consumable.consume( data.viewItem, { attributes: [ 'href' ] } );
+					}, { priority: 'highest' } );
+				} );
+
+				editor.setData( '<p><a class="file-attachment" href="/report.pdf">report.pdf</a></p>' );
+
+				expect( getModelData( model, { withoutSelection: true } ) ).to.equal( '<paragraph>report.pdf</paragraph>' );
+			} );
+
+			it( 'should not convert the file attachment link where it is not allowed', () => {
+				model.schema.addChildCheck( ( context, childDefinition ) => {
+					if ( childDefinition.name == 'fileAttachment' ) {
+						return false;
+					}
+				} );
+
+				editor.setData( '<p><a class="file-attachment" href="/report.pdf">report.pdf</a></p>' );
+
+				expect( getModelData( model, { withoutSelection: true } ) ).to.equal( '<paragraph>report.pdf</paragraph>' );
+			} );
+		} );
+
+		describe( 'data downcast', () => {
+			it( 'should convert the file attachment to the link', () => {
+				setModelData( model,
+					'<paragraph>' +
+						'<fileAttachment fileAttachmentHref="/files/report.pdf" fileAttachmentName="report.pdf" ' +
+							'fileAttachmentSize="2048" fileAttachmentType="application/pdf"></fileAttachment>' +
+					'</paragraph>'
+				);
+
+				expect( editor.getData() ).to.equal(
+					'<p><a class="file-attachment" href="/files/report.pdf" data-file-size="2048" ' +
+						'data-file-type="application/pdf">report.pdf</a></p>'
+				);
+			} );
+
+			it( 'should skip the missing attributes', () => {
+				setModelData( model, '<paragraph><fileAttachment fileAttachmentName="report.pdf"></fileAttachment></paragraph>' );
+
+				expect( editor.getData() ).to.equal( '<p><a class="file-attachment">report.pdf</a></p>' );
+			} );
+
+			it( 'should not output the upload ID', () => {
+				setModelData( model,
+					'<paragraph><fileAttachment fileAttachmentName="report.pdf" uploadId="123"></fileAttachment></paragraph>'
+				);
+
+				expect( editor.getData() ).to.equal( '<p><a class="file-attachment">report.pdf</a></p>' );
+			} );
+
+			it( 'should keep the data after the round trip', () => {
+				const data =
+					'<p><a class="file-attachment" href="/files/a.zip" data-file-size="10" data-file-type="application/zip">a.zip</a></p>';
+
+				editor.setData( data );
+
+				expect( editor.getData() ).to.equal( data );
+			} );
+		} );
+
+		describe( 'editing downcast', () => {
+			it( 'should convert the file attachment to the widget', () => {
+				setModelData( model,
+					'<paragraph>foo[]' +
+						'<fileAttachment fileAttachmentHref="/files/report.pdf" fileAttachmentName="report.pdf" ' +
+							'fileAttachmentSize="2048" fileAttachmentType="application/pdf"></fileAttachment>' +
+					'</paragraph>'
+				);
+
+				expect( getViewData( view, { withoutSelection: true } ) ).to.equal(
+					'<p>foo' +
+						'<span class="ck-file-attachment ck-widget" contenteditable="false">' +
+							'<span class="ck-file-attachment__icon"></span>' +
+							'<span class="ck-file-attachment__name">report.pdf</span>' +
+							'<span class="ck-file-attachment__size">2 KB</span>' +
+						'</span>' +
+					'</p>'
+				);
+			} );
+
+			it( 'should not render the size if it is unknown', () => {
+				setModelData( model, '<paragraph>foo[]<fileAttachment fileAttachmentName="report.pdf"></fileAttachment></paragraph>' );
+
+				expect( getViewData( view, { withoutSelection: true } ) ).to.equal(
+					'<p>foo' +
+						'<span class="ck-file-attachment ck-widget" contenteditable="false">' +
+							'<span class="ck-file-attachment__icon"></span>' +
+							'<span class="ck-file-attachment__name">report.pdf</span>' +
+						'</span>' +
+					'</p>'
+				);
+			} );
+
+			it( 'should set the widget label', () => {
+				setModelData( model, '<paragraph>foo[]<fileAttachment fileAttachmentName="report.pdf"></fileAttachment></paragraph>' );
+
+				expect( getLabel( getViewFileAttachment() ) ).to.equal( 'File attachment: report.pdf' );
+			} );
+
+			it( 'should render the icon with the extension of the file', () => {
+				setModelData( model, '<paragraph>foo[]<fileAttachment fileAttachmentName="report.pdf"></fileAttachment></paragraph>' );
+
+				const domIcon = getDomFileAttachment().querySelector( '.ck-file-attachment__icon' );
+
+				expect( domIcon.querySelector( 'svg' ) ).to.not.be.null;
+				expect( domIcon.querySelector( '.ck-file-attachment__extension' ).textContent ).to.equal( 'PDF' );
+			} );
+
+			it( 'should not render the extension of the file if it is too long', () => {
+				setModelData( model, '<paragraph>foo[]<fileAttachment fileAttachmentName="notes.markdown"></fileAttachment></paragraph>' );
+
+				const domIcon = getDomFileAttachment().querySelector( '.ck-file-attachment__icon' );
+
+				expect( domIcon.querySelector( 'svg' ) ).to.not.be.null;
+				expect( domIcon.querySelector( '.ck-file-attachment__extension' ) ).to.be.null;
+			} );
+
+			it( 'should render the indeterminate progress bar if the loader does not exist', () => {
+				setModelData( model,
+					'<paragraph>foo[]<fileAttachment fileAttachmentName="a.pdf" uploadId="123"></fileAttachment></paragraph>'
+				);
+
+				expect( getViewData( view, { withoutSelection: true } ) ).to.equal(
+					'<p>foo' +
+						'<span class="ck-file-attachment ck-file-attachment_uploading ck-widget" contenteditable="false">' +
+							'<span class="ck-file-attachment__icon"></span>' +
+							'<span class="ck-file-attachment__name">a.pdf</span>' +
+							'<span class="ck-file-attachment__progress-bar ck-file-attachment__progress-bar_indeterminate"></span>' +
+						'</span>' +
+					'</p>'
+				);
+			} );
+		} );
+	} );
+
+	describe( 'clipboard', () => {
+		it( 'should attach the pasted file', () => {
+			const file = createFileMock();
+			const dataTransfer = new DataTransfer( { files: [ file ], types: [ 'Files' ] } );
+			const eventInfo = new EventInfo( viewDocument, 'clipboardInput' );
+
+			setModelData( model, '<paragraph>foo[]</paragraph>' );
+
+			viewDocument.fire( eventInfo, { dataTransfer } );
+
+			const id = fileRepository.getLoader( file ).id;
+
+			expect( getModelData( model ) ).to.equal(
+				'<paragraph>foo' +
+					'<fileAttachment fileAttachmentName="report.pdf" fileAttachmentSize="2048" ' +
+						`fileAttachmentType="application/pdf" uploadId="${ id }"></fileAttachment>` +
+				'[]</paragraph>'
+			);
+			expect( eventInfo.stop.called ).to.be.true;
+		} );
+
+		it( 'should attach the dropped files at the target position', () => {
+			const files = [ createFileMock(), createFileMock( 'archive.zip', 'application/zip', 10 ) ];
+			const dataTransfer = new DataTransfer( { files, types: [ 'Files' ] } );
+
+			setModelData( model, '<paragraph>foo[]bar</paragraph>' );
+
+			const targetRange = model.createRange( model.createPositionAt( doc.getRoot().getChild( 0 ), 1 ) );
+			const targetViewRange = editor.editing.mapper.toViewRange( targetRange );
+
+			viewDocument.fire( 'clipboardInput', { dataTransfer, targetRanges: [ targetViewRange ] } );
+
+			expect( getModelData( model, { withoutSelection: true } ) ).to.equal(
+				'<paragraph>f' +
+					'<fileAttachment fileAttachmentName="report.pdf" fileAttachmentSize="2048" ' +
+						`fileAttachmentType="application/pdf" uploadId="${ fileRepository.getLoader( files[ 0 ] ).id }"></fileAttachment>` +
+					'<fileAttachment fileAttachmentName="archive.zip" fileAttachmentSize="10" ' +
+						`fileAttachmentType="application/zip" uploadId="${ fileRepository.getLoader( files[ 1 ] ).id }"></fileAttachment>` +
+				'oobar</paragraph>'
+			);
+		} );
+
+		it( 'should notify about the pasted files of not allowed types', () => {
+			const file = createFileMock( 'setup.exe', 'application/x-msdownload' );
+			const dataTransfer = new DataTransfer( { files: [ file ], types: [ 'Files' ] } );
+
+			setModelData( model, '<paragraph>foo[]</paragraph>' );
+
+			viewDocument.fire( 'clipboardInput', { dataTransfer } );
+
+			expect( getModelData( model ) ).to.equal( '<paragraph>foo[]</paragraph>' );
+			sinon.assert.calledOnce( showWarningStub );
+		} );
+
+		it( 'should not attach the files when non-empty HTML is pasted', () => {
+			const file = createFileMock();
+			const dataTransfer = new DataTransfer( {
+				files: [ file ],
+				types: [ 'Files', 'text/html' ],
+				getData: type => type == 'text/html' ? '<p>bar</p>' : ''
+			} );
+
+			setModelData( model, '<paragraph>foo[]</paragraph>' );
+
+			viewDocument.fire( 'clipboardInput', { dataTransfer } );
+
+			expect( fileRepository.getLoader( file ) ).to.be.null;
+			expect( getModelData( model ) ).to.equal( '<paragraph>foobar[]</paragraph>' );
+		} );
+
+		it( 'should do nothing when no files are pasted', () => {
+			const dataTransfer = new DataTransfer( {
+				files: [],
+				types: [ 'text/plain' ],
+				getData: type => type == 'text/plain' ? 'bar' : ''
+			} );
+
+			setModelData( model, '<paragraph>foo[]</paragraph>' );
+
+			viewDocument.fire( 'clipboardInput', { dataTransfer } );
+
+			expect( getModelData( model ) ).to.equal( '<paragraph>foobar[]</paragraph>' );
+		} );
+
+		it( 'should attach the pasted images when the image upload is not loaded', () => {
+			const file = createFileMock( 'photo.png', 'image/png' );
+			const dataTransfer = new DataTransfer( { files: [ file ], types: [ 'Files' ] } );
+
+			editor.config.set( 'fileAttachment.upload.types', [ 'image/*' ] );
+			setModelData( model, '<paragraph>foo[]</paragraph>' );
+
+			viewDocument.fire( 'clipboardInput', { dataTransfer } );
+
+			expect( fileRepository.getLoader( file ) ).to.not.be.null;
+		} );
+
+		describe( 'with the image upload feature', () => {
+			let imageUploadSpy;
+
+			class ImageUploadEditingMock extends Plugin {
+				static get pluginName() {
+					return 'ImageUploadEditing';
+				}
+
+				constructor( editor ) {
+					super( editor );
+
+					editor.config.define( 'image.upload.types', [ 'jpeg', 'png' ] );
+				}
+
+				init() {
+					// Mimics the image upload feature which handles the images with the normal priority.
+					this.listenTo( this.editor.editing.view.document, 'clipboardInput', ( evt, data ) => {
+						imageUploadSpy( Array.from( data.dataTransfer.files ) );
+						evt.stop();
+					} );
+				}
+			}
+
+			beforeEach( async () => {
+				await editor.destroy();
+
+				imageUploadSpy = sinon.spy();
+				editor = await ClassicTestEditor.create( editorElement, {
+					plugins: [ FileAttachmentEditing, ImageUploadEditingMock, Paragraph, UploadAdapterPluginMock ],
+					fileAttachment: {
+						upload: {
+							types: [ 'application/pdf', 'image/*' ]
+						}
+					}
+				} );
+
+				model = editor.model;
+				viewDocument = editor.editing.view.document;
+			} );
+
+			it( 'should leave the images for the image upload feature', () => {
+				const files = [ createFileMock( 'photo.png', 'image/png' ), createFileMock( 'drawing.svg', 'image/svg+xml' ) ];
+				const dataTransfer = new DataTransfer( { files, types: [ 'Files' ] } );
+
+				setModelData( model, '<paragraph>foo[]</paragraph>' );
+
+				viewDocument.fire( 'clipboardInput', { dataTransfer } );
+
+				// The SVG image is not handled by the image upload feature.
+				expect( fileRepository.getLoader( files[ 0 ] ) ).to.be.null;
+				expect( fileRepository.getLoader( files[ 1 ] ) ).to.not.be.null;
+				sinon.assert.calledOnce( imageUploadSpy );
+			} );
+
+			it( 'should attach the other files and leave the images for the image upload feature', () => {
+				const files = [ createFileMock(), createFileMock( 'photo.png', 'image/png' ) ];
+				const dataTransfer = new DataTransfer( { files, types: [ 'Files' ] } );
+
+				setModelData( model, '<paragraph>foo[]</paragraph>' );
+
+				viewDocument.fire( 'clipboardInput', { dataTransfer } );
+
+				expect( fileRepository.getLoader( files[ 0 ] ) ).to.not.be.null;
+				expect( fileRepository.getLoader( files[ 1 ] ) ).to.be.null;
+				sinon.assert.calledOnce( imageUploadSpy );
+			} );
+
+			it( 'should not attach anything if only the images are pasted', () => {
+				const file = createFileMock( 'photo.jpg', 'image/jpeg' );
+				const dataTransfer = new DataTransfer( { files: [ file ], types: [ 'Files' ] } );
+
+				setModelData( model, '<paragraph>foo[]</paragraph>' );
+
+				viewDocument.fire( 'clipboardInput', { dataTransfer } );
+
+				expect( fileRepository.getLoader( file ) ).to.be.null;
+				expect( getModelData( model ) ).to.equal( '<paragraph>foo[]</paragraph>' );
+				sinon.assert.calledOnce( imageUploadSpy );
+			} );
+		} );
+
+		it( 'should prevent the browser from redirecting to the dropped file', () => {
+			const spy = sinon.spy();
+
+			viewDocument.fire( 'dragover', { preventDefault: spy } );
+
+			sinon.assert.calledOnce( spy );
+		} );
+	} );
+
+	describe( 'upload', () => {
+		it( 'should start the upload of the inserted file attachment', () => {
+			const file = createFileMock();
+
+			setModelData( model, '<paragraph>foo[]</paragraph>' );
+			editor.execute( 'uploadFileAttachment', { file } );
+
+			expect( fileRepository.getLoader( file ).status ).to.equal( 'uploading' );
+		} );
+
+		it( 'should render the progress bar following the upload progress', async () => {
+			const file = createFileMock();
+
+			setModelData( model, '<paragraph>foo[]</paragraph>' );
+			editor.execute( 'uploadFileAttachment', { file } );
+
+			const progressBar = getViewFileAttachment().getChild( 3 );
+
+			expect( progressBar.is( 'uiElement' ) ).to.be.true;
+			expect( progressBar.hasClass( 'ck-file-attachment__progress-bar' ) ).to.be.true;
+			expect( progressBar.hasClass( 'ck-file-attachment__progress-bar_indeterminate' ) ).to.be.false;
+			expect( progressBar.getStyle( 'width' ) ).to.equal( '0%' );
+
+			await waitForUploadStart( adapterMocks[ 0 ] );
+
+			adapterMocks[ 0 ].mockProgress( 512, 2048 );
+
+			expect( progressBar.getStyle( 'width' ) ).to.equal( '25%' );
+		} );
+
+		it( 'should update only the progress bar of the most recent conversion of the file attachment', async () => {
+			const file = createFileMock();
+
+			setModelData( model, '<paragraph>foo[]</paragraph>' );
+			editor.execute( 'uploadFileAttachment', { file } );
+
+			editor.editing.reconvertItem( getFileAttachment() );
+			editor.editing.reconvertItem( getFileAttachment() );
+
+			const progressBar = getViewFileAttachment().getChild( 3 );
+			const spy = sinon.spy( view, 'change' );
+
+			await waitForUploadStart( adapterMocks[ 0 ] );
+
+			adapterMocks[ 0 ].mockProgress( 512, 2048 );
+
+			expect( progressBar.getStyle( 'width' ) ).to.equal( '25%' );
+			sinon.assert.calledOnce( spy );
+		} );
+
+		it( 'should set the URL of the uploaded file and remove the upload ID', async () => {
+			const file = createFileMock();
+
+			setModelData( model, '<paragraph>foo[]</paragraph>' );
+			editor.execute( 'uploadFileAttachment', { file } );
+
+			await waitForUploadStart( adapterMocks[ 0 ] );
+
+			adapterMocks[ 0 ].mockSuccess( { default: 'http://example.com/report.pdf' } );
+
+			await flushPromises();
+
+			expect( getModelData( model ) ).to.equal(
+				'<paragraph>foo' +
+					'<fileAttachment fileAttachmentHref="http://example.com/report.pdf" fileAttachmentName="report.pdf" ' +
+						'fileAttachmentSize="2048" fileAttachmentType="application/pdf"></fileAttachment>' +
+				'[]</paragraph>'
+			);
+			expect( getViewFileAttachment().hasClass( 'ck-file-attachment_uploading' ) ).to.be.false;
+			expect( fileRepository.getLoader( file ) ).to.be.null;
+		} );
+
+		it( 'should support the adapter response with the normalized `urls` property', async () => {
+			const file = createFileMock();
+
+			setModelData( model, '<paragraph>foo[]</paragraph>' );
+			editor.execute( 'uploadFileAttachment', { file } );
+
+			await waitForUploadStart( adapterMocks[ 0 ] );
+
+			adapterMocks[ 0 ].mockSuccess( { urls: { default: 'http://example.com/report.pdf' }, id: 'abc' } );
+
+			await flushPromises();
+
+			expect( getFileAttachment().getAttribute( 'fileAttachmentHref' ) ).to.equal( 'http://example.com/report.pdf' );
+		} );
+
+		it( 'should not create an undo step for setting the URL', async () => {
+			const file = createFileMock();
+
+			setModelData( model, '<paragraph>foo[]</paragraph>' );
+			editor.execute( 'uploadFileAttachment', { file } );
+
+			await waitForUploadStart( adapterMocks[ 0 ] );
+
+			const version = doc.version;
+
+			adapterMocks[ 0 ].mockSuccess( { default: 'http://example.com/report.pdf' } );
+
+			await flushPromises();
+
+			const operations = doc.history.getOperations( version );
+
+			expect( operations ).to.not.be.empty;
+
+			for ( const operation of operations ) {
+				expect( operation.batch.isUndoable ).to.be.false;
+			}
+		} );
+
+		describe( 'uploadComplete event', () => {
+			it( 'should be fired when the upload adapter resolves with the data', async () => {
+				const file = createFileMock();
+				const uploadCompleteSpy = sinon.spy();
+
+				editor.plugins.get( 'FileAttachmentEditing' ).on( 'uploadComplete', uploadCompleteSpy );
+
+				setModelData( model, '<paragraph>foo[]</paragraph>' );
+				editor.execute( 'uploadFileAttachment', { file } );
+
+				await waitForUploadStart( adapterMocks[ 0 ] );
+
+				sinon.assert.notCalled( uploadCompleteSpy );
+
+				adapterMocks[ 0 ].mockSuccess( { default: 'report.pdf' } );
+
+				await flushPromises();
+
+				sinon.assert.calledOnce( uploadCompleteSpy );
+
+				const eventArgs = uploadCompleteSpy.firstCall.args[ 1 ];
+
+				expect( eventArgs.fileAttachmentElement ).to.equal( getFileAttachment() );
+				expect( eventArgs.data ).to.deep.equal( { default: 'report.pdf' } );
+			} );
+
+			it( 'should allow stopping the default listener setting the URL of the file', async () => {
+				const file = createFileMock();
+
+				editor.plugins.get( 'FileAttachmentEditing' ).on( 'uploadComplete', ( evt, { data, fileAttachmentElement } ) => {
+					model.change( writer => {
+						writer.setAttribute( 'fileAttachmentHref', data.downloadUrl, fileAttachmentElement );
+					} );
+
+					evt.stop();
+				} );
+
+				setModelData( model, '<paragraph>foo[]</paragraph>' );
+				editor.execute( 'uploadFileAttachment', { file } );
+
+				await waitForUploadStart( adapterMocks[ 0 ] );
+
+				adapterMocks[ 0 ].mockSuccess( { default: 'report.pdf', downloadUrl: '/download/report.pdf' } );
+
+				await flushPromises();
+
+				expect( getFileAttachment().getAttribute( 'fileAttachmentHref' ) ).to.equal( '/download/report.pdf' );
+			} );
+		} );
+
+		it( 'should remove the file attachment and notify the user when the upload fails', async () => {
+			const file = createFileMock();
+
+			setModelData( model, '<paragraph>foo[]</paragraph>' );
+			editor.execute( 'uploadFileAttachment', { file } );
+
+			await waitForUploadStart( adapterMocks[ 0 ] );
+
+			adapterMocks[ 0 ].mockError( 'Server error.' );
+
+			await flushPromises();
+
+			expect( getModelData( model ) ).to.equal( '<paragraph>foo[]</paragraph>' );
+			expect( fileRepository.getLoader( file ) ).to.be.null;
+			sinon.assert.calledOnceWithExactly( showWarningStub, 'Server error.', {
+				title: 'File upload failed',
+				namespace: 'upload'
+			} );
+		} );
+
+		it( 'should not notify the user when the upload fails without an error message', async () => {
+			const file = createFileMock();
+
+			setModelData( model, '<paragraph>foo[]</paragraph>' );
+			editor.execute( 'uploadFileAttachment', { file } );
+
+			await waitForUploadStart( adapterMocks[ 0 ] );
+
+			adapterMocks[ 0 ].mockError();
+
+			await flushPromises();
+
+			expect( getModelData( model ) ).to.equal( '<paragraph>foo[]</paragraph>' );
+			sinon.assert.notCalled( showWarningStub );
+		} );
+
+		it( 'should abort the upload when the file attachment is removed', async () => {
+			const file = createFileMock();
+
+			setModelData( model, '<paragraph>foo[]</paragraph>' );
+			editor.execute( 'uploadFileAttachment', { file } );
+
+			const loader = fileRepository.getLoader( file );
+			const abortSpy = sinon.spy( loader, 'abort' );
+
+			await waitForUploadStart( adapterMocks[ 0 ] );
+
+			model.change( writer => {
+				writer.remove( getFileAttachment() );
+			} );
+
+			expect( loader.status ).to.equal( 'aborted' );
+			sinon.assert.calledOnce( abortSpy );
+
+			await flushPromises();
+
+			expect( getModelData( model ) ).to.equal( '<paragraph>foo[]</paragraph>' );
+			expect( fileRepository.getLoader( file ) ).to.be.null;
+			sinon.assert.notCalled( showWarningStub );
+		} );
+
+		it( 'should not abort nor restart the upload when the file attachment is moved', () => {
+			const file = createFileMock();
+
+			setModelData( model, '<paragraph>foo[]</paragraph>' );
+			editor.execute( 'uploadFileAttachment', { file } );
+
+			const loader = fileRepository.getLoader( file );
+			const abortSpy = sinon.spy( loader, 'abort' );
+			const uploadSpy = sinon.spy( loader, 'upload' );
+			const paragraph = doc.getRoot().getChild( 0 );
+
+			model.change( writer => {
+				writer.move( writer.createRangeOn( getFileAttachment() ), writer.createPositionAt( paragraph, 0 ) );
+			} );
+
+			expect( paragraph.getChild( 0 ).is( 'element', 'fileAttachment' ) ).to.be.true;
+			sinon.assert.notCalled( abortSpy );
+			sinon.assert.notCalled( uploadSpy );
+		} );
+
+		it( 'should do nothing for the file attachments without the upload ID', () => {
+			const uploadSpy = sinon.spy( editor.plugins.get( 'FileAttachmentEditing' ), '_upload' );
+
+			setModelData( model, '<paragraph>foo[]<fileAttachment fileAttachmentName="a.pdf"></fileAttachment></paragraph>' );
+
+			sinon.assert.notCalled( uploadSpy );
+		} );
+
+		it( 'should do nothing for the file attachments uploaded by other clients', () => {
+			const uploadSpy = sinon.spy( editor.plugins.get( 'FileAttachmentEditing' ), '_upload' );
+
+			setModelData( model,
+				'<paragraph>foo[]<fileAttachment fileAttachmentName="a.pdf" uploadId="123"></fileAttachment></paragraph>'
+			);
+
+			sinon.assert.notCalled( uploadSpy );
+		} );
+
+		describe( 'accessibility', () => {
+			let announcerSpy;
+
+			beforeEach( () => {
+				announcerSpy = sinon.spy( editor.ui.ariaLiveAnnouncer, 'announce' );
+			} );
+
+			it( 'should announce the upload start', () => {
+				setModelData( model, '<paragraph>foo[]</paragraph>' );
+				editor.execute( 'uploadFileAttachment', { file: createFileMock() } );
+
+				sinon.assert.calledWithExactly( announcerSpy, 'Uploading file' );
+			} );
+
+			it( 'should announce the upload completion', async () => {
+				setModelData( model, '<paragraph>foo[]</paragraph>' );
+				editor.execute( 'uploadFileAttachment', { file: createFileMock() } );
+
+				await waitForUploadStart( adapterMocks[ 0 ] );
+
+				adapterMocks[ 0 ].mockSuccess( { default: 'report.pdf' } );
+
+				await flushPromises();
+
+				sinon.assert.calledWithExactly( announcerSpy, 'File upload complete' );
+			} );
+
+			it( 'should announce the upload error', async () => {
+				setModelData( model, '<paragraph>foo[]</paragraph>' );
+				editor.execute( 'uploadFileAttachment', { file: createFileMock() } );
+
+				await waitForUploadStart( adapterMocks[ 0 ] );
+
+				adapterMocks[ 0 ].mockError( 'Server error.' );
+
+				await flushPromises();
+
+				sinon.assert.calledWithExactly( announcerSpy, 'Error during file upload' );
+			} );
+		} );
+	} );
+
+	function createFileMock( name = 'report.pdf', type = 'application/pdf', size = 2048 ) {
+		return { name, type, size };
+	}
+
+	function getFileAttachment() {
+		return Array.from( model.createRangeIn( doc.getRoot() ).getItems() ).find( item => item.is( 'element', 'fileAttachment' ) );
+	}
+
+	function getViewFileAttachment() {
+		return editor.editing.mapper.toViewElement( getFileAttachment() );
+	}
+
+	function getDomFileAttachment() {
+		return view.domConverter.mapViewToDom( getViewFileAttachment() );
+	}
+
+	function waitForUploadStart( adapterMock ) {
+		return new Promise( resolve => {
+			adapterMock.uploadStartedCallback = resolve;
+		} );
+	}
+
+	function flushPromises() {
+		return new Promise( resolve => setTimeout( resolve ) );
+	}
+} );
@@ -0,0 +1,178 @@
+/**
+ * @license Copyright (c) 2003-2024, CKSource Holding sp. z o.o. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+
+/* globals document, Event */
+
+import ClassicTestEditor from '@ckeditor/ckeditor5-core/tests/_utils/classictesteditor.js';
+import Plugin from '@ckeditor/ckeditor5-core/src/plugin.js';
+import Paragraph from '@ckeditor/ckeditor5-paragraph/src/paragraph.js';
+import FileDialogButtonView from '@ckeditor/ckeditor5-ui/src/button/filedialogbuttonview.js';
+import Notification from '@ckeditor/ckeditor5-ui/src/notification/notification.js';
+import { MenuBarMenuListItemFileDialogButtonView } from '@ckeditor/ckeditor5-ui';
+import testUtils from '@ckeditor/ckeditor5-core/tests/_utils/utils.js';
+import { setData as setModelData, getData as getModelData } from '@ckeditor/ckeditor5-engine/src/dev-utils/model.js';
+
+import FileAttachmentEditing from '../../src/fileattachment/fileattachmentediting.js';
+import FileAttachmentUI from '../../src/fileattachment/fileattachmentui.js';
+import { UploadAdapterMock } from '../_utils/mocks.js';
+
+import fileAttachmentIcon from '../../theme/icons/file-attachment.svg';
+
+describe( 'FileAttachmentUI', () => {
+	let editor, model, editorElement, button;
+
+	testUtils.createSinonSandbox();
+
+	class UploadAdapterPluginMock extends Plugin {
+		init() {
+			this.editor.plugins.get( 'FileRepository' ).createUploadAdapter = loader => new UploadAdapterMock( loader );
+		}
+	}
+
+	beforeEach( async () => {
+		editorElement = document.createElement( 'div' );
+		document.body.appendChild( editorElement );
+
+		editor = await ClassicTestEditor.create( editorElement, {
+			plugins: [ Paragraph, FileAttachmentEditing, FileAttachmentUI, UploadAdapterPluginMock ],
+			fileAttachment: {
+				upload: {
+					types: [ 'application/pdf', '.docx', 'video/*' ]
+				}
+			}
+		} );
+
+		model = editor.model;
+
+		// Hide all notifications (prevent alert() calls).
+		editor.plugins.get( Notification ).on( 'show', evt => evt.stop() );
+	} );
+
+	afterEach( async () => {
+		editorElement.remove();
+
+		await editor.destroy();
+	} );
+
+	it( 'should have pluginName', () => {
+		expect( FileAttachmentUI.pluginName ).to.equal( 'FileAttachmentUI' );
+	} );
+
+	describe( 'toolbar button', () => {
+		beforeEach( () => {
+			button = editor.ui.componentFactory.create( 'uploadFile' );
+		} );
+
+		testButton( 'Upload file', FileDialogButtonView );
+
+		it( 'should have tooltip', () => {
+			expect( button.tooltip ).to.be.true;
+		} );
+	} );
+
+	describe( 'menu bar button', () => {
+		beforeEach( () => {
+			button = editor.ui.componentFactory.create( 'menuBar:uploadFile' );
+		} );
+
+		testButton( 'File from computer', MenuBarMenuListItemFileDialogButtonView );
+	} );
+
+	function testButton( label, Component ) {
+		it( 'should register feature component', () => {
+			expect( button ).to.be.instanceOf( Component );
+		} );
+
+		it( 'should create UI component with correct attribute values', () => {
+			expect( button.label ).to.equal( label );
+			expect( button.allowMultipleFiles ).to.be.true;
+			expect( button.icon ).to.equal( fileAttachmentIcon );
+		} );
+
+		it( 'should accept the file types defined in the configuration', () => {
+			expect( button.acceptedType ).to.equal( 'application/pdf,.docx,video/*' );
+		} );
+
+		it( 'should bind #isEnabled to the uploadFileAttachment command', () => {
+			const command = editor.commands.get( 'uploadFileAttachment' );
+
+			command.isEnabled = true;
+			expect( button.isEnabled ).to.be.true;
+
+			command.isEnabled = false;
+			expect( button.isEnabled ).to.be.false;
+		} );
+
+		it( 'should not fire execute when the command is disabled', () => {
+			const command = editor.commands.get( 'uploadFileAttachment' );
+			const spy = sinon.spy();
+
+			button.render();
+			button.on( 'execute', spy );
+
+			command.isEnabled = false;
+
+			button.element.dispatchEvent( new Event( 'click' ) );
+
+			sinon.assert.notCalled( spy );
+		} );
+
+		it( 'should execute the uploadFileAttachment command with the selected files', () => {
+			const executeStub = sinon.stub( editor, 'execute' );
+			const files = [ createFileMock(), createFileMock( 'notes.docx' ) ];
+
+			button.fire( 'done', files );
+
+			sinon.assert.calledOnce( executeStub );
+			expect( executeStub.firstCall.args[ 0 ] ).to.equal( 'uploadFileAttachment' );
+			expect( executeStub.firstCall.args[ 1 ].file ).to.deep.equal( files );
+		} );
+
+		it( 'should work even if the FileList does not support iterators', () => {
+			const executeStub = sinon.stub( editor, 'execute' );
+			const files = {
+				0: createFileMock(),
+				length: 1
+			};
+
+			button.fire( 'done', files );
+
+			sinon.assert.calledOnce( executeStub );
+			expect( executeStub.firstCall.args[ 1 ].file ).to.deep.equal( [ files[ 0 ] ] );
+		} );
+
+		it( 'should not execute the command when no files were selected', () => {
+			const executeStub = sinon.stub( editor, 'execute' );
+
+			button.fire( 'done', [] );
+
+			sinon.assert.notCalled( executeStub );
+		} );
+
+		it( 'should insert the file attachment', () => {
+			setModelData( model, '<paragraph>f[]oo</paragraph>' );
+
+			button.fire( 'done', [ createFileMock() ] );
+
+			expect( getModelData( model, { withoutSelection: true } ) ).to.match(
+				/^<paragraph>f<fileAttachment fileAttachmentName="report.pdf" [^>]+><\/fileAttachment>oo<\/paragraph>$/
+			);
+		} );
+
+		it( 'should move focus to editable after executing the command', () => {
+			const spy = sinon.spy( editor.editing.view, 'focus' );
+
+			setModelData( model, '<paragraph>f[]oo</paragraph>' );
+
+			button.fire( 'done', [ createFileMock() ] );
+
+			sinon.assert.calledOnce( spy );
+		} );
+	}
+
+	function createFileMock( name = 'report.pdf', type = 'application/pdf' ) {
+		return { name, type, size: 1024 };
+	}
+} );
@@ -0,0 +1,217 @@
+/**
+ * @license Copyright (c) 2003-2024, CKSource Holding sp. z o.o. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+
+import VirtualTestEditor from '@ckeditor/ckeditor5-core/tests/_utils/virtualtesteditor.js';
+import Plugin from '@ckeditor/ckeditor5-core/src/plugin.js';
+import Paragraph from '@ckeditor/ckeditor5-paragraph/src/paragraph.js';
+import Notification from '@ckeditor/ckeditor5-ui/src/notification/notification.js';
+import testUtils from '@ckeditor/ckeditor5-core/tests/_utils/utils.js';
+import { setData as setModelData, getData as getModelData } from '@ckeditor/ckeditor5-engine/src/dev-utils/model.js';
+
+import FileRepository from '../../src/filerepository.js';
+import FileAttachmentEditing from '../../src/fileattachment/fileattachmentediting.js';
+import UploadFileAttachmentCommand from '../../src/fileattachment/uploadfileattachmentcommand.js';
+import { UploadAdapterMock } from '../_utils/mocks.js';
+
+describe( 'UploadFileAttachmentCommand', () => {
+	let editor, model, command, fileRepository, showWarningStub;
+
+	testUtils.createSinonSandbox();
+
+	class UploadAdapterPluginMock extends Plugin {
+		init() {
+			fileRepository = this.editor.plugins.get( FileRepository );
+			fileRepository.createUploadAdapter = loader => new UploadAdapterMock( loader );
+		}
+	}
+
+	beforeEach( async () => {
+		editor = await VirtualTestEditor.create( {
+			plugins: [ FileAttachmentEditing, Paragraph, UploadAdapterPluginMock ],
+			fileAttachment: {
+				upload: {
+					types: [ 'application/pdf', '.zip' ],
+					maxFileSize: 2048
+				}
+			}
+		} );
+
+		model = editor.model;
+		command = editor.commands.get( 'uploadFileAttachment' );
+		showWarningStub = sinon.stub( editor.plugins.get( Notification ), 'showWarning' );
+	} );
+
+	afterEach( () => {
+		return editor.destroy();
+	} );
+
+	it( 'should be registered by the FileAttachmentEditing plugin', () => {
+		expect( command ).to.be.instanceOf( UploadFileAttachmentCommand );
+	} );
+
+	describe( 'isEnabled', () => {
+		it( 'should be true when the selection is in a paragraph', () => {
+			setModelData( model, '<paragraph>foo[]</paragraph>' );
+
+			expect( command.isEnabled ).to.be.true;
+		} );
+
+		it( 'should be true when an inline object is selected', () => {
+			setModelData( model, '<paragraph>foo[<fileAttachment fileAttachmentName="a.pdf"></fileAttachment>]</paragraph>' );
+
+			expect( command.isEnabled ).to.be.true;
+		} );
+
+		it( 'should be false when the file attachment is not allowed at the selection position', () => {
+			model.schema.register( 'blockWidget', { inheritAllFrom: '$blockObject' } );
+			editor.conversion.elementToElement( { model: 'blockWidget', view: 'div' } );
+
+			setModelData( model, '<paragraph>foo</paragraph>[<blockWidget></blockWidget>]' );
+
+			expect( command.isEnabled ).to.be.false;
+		} );
+
+		it( 'should be false when the editor is read-only', () => {
+			setModelData( model, '<paragraph>foo[]</paragraph>' );
+
+			editor.enableReadOnlyMode( 'unit-test' );
+
+			expect( command.isEnabled ).to.be.false;
+		} );
+	} );
+
+	describe( 'execute()', () => {
+		it( 'should insert the file attachment and put the selection after it', () => {
+			const file = createFileMock( 'report.pdf', 'application/pdf', 1024 );
+
+			setModelData( model, '<paragraph>foo[]bar</paragraph>' );
+
+			command.execute( { file } );
+
+			const id = fileRepository.getLoader( file ).id;
+
+			expect( getModelData( model ) ).to.equal(
+				'<paragraph>foo' +
+					'<fileAttachment fileAttachmentName="report.pdf" fileAttachmentSize="1024" ' +
+						`fileAttachmentType="application/pdf" uploadId="${ id }"></fileAttachment>` +
+				'[]bar</paragraph>'
+			);
+		} );
+
+		it( 'should replace the selected content', () => {
+			const file = createFileMock( 'report.pdf', 'application/pdf', 1024 );
+
+			setModelData( model, '<paragraph>f[oo]</paragraph>' );
+
+			command.execute( { file } );
+
+			const id = fileRepository.getLoader( file ).id;
+
+			expect( getModelData( model ) ).to.equal(
+				'<paragraph>f' +
+					'<fileAttachment fileAttachmentName="report.pdf" fileAttachmentSize="1024" ' +
+						`fileAttachmentType="application/pdf" uploadId="${ id }"></fileAttachment>` +
+				'[]</paragraph>'
+			);
+		} );
+
+		it( 'should insert multiple file attachments in one batch', () => {
+			const files = [
+				createFileMock( 'report.pdf', 'application/pdf', 1024 ),
+				createFileMock( 'archive.zip', 'application/zip', 2048 )
+			];
+
+			setModelData( model, '<paragraph>[]</paragraph>' );
+
+			const batchCount = editor.model.document.history.getOperations().length;
+
+			command.execute( { file: files } );
+
+			const [ id1, id2 ] = files.map( file => fileRepository.getLoader( file ).id );
+
+			expect( getModelData( model ) ).to.equal(
+				'<paragraph>' +
+					'<fileAttachment fileAttachmentName="report.pdf" fileAttachmentSize="1024" ' +
+						`fileAttachmentType="application/pdf" uploadId="${ id1 }"></fileAttachment>` +
+					'<fileAttachment fileAttachmentName="archive.zip" fileAttachmentSize="2048" ' +
+						`fileAttachmentType="application/zip" uploadId="${ id2 }"></fileAttachment>` +
+				'[]</paragraph>'
+			);
+
+			const operations = editor.model.document.history.getOperations().slice( batchCount );
+
+			expect( new Set( operations.map( operation => operation.batch ) ).size ).to.equal( 1 );
+		} );
+
+		it( 'should skip the files of not allowed types and notify the user', () => {
+			const files = [
+				createFileMock( 'script.exe', 'application/x-msdownload', 1024 ),
+				createFileMock( 'archive.zip', '', 1024 )
+			];
+
+			setModelData( model, '<paragraph>[]</paragraph>' );
+
+			command.execute( { file: files } );
+
+			expect( fileRepository.getLoader( files[ 0 ] ) ).to.be.null;
+			expect( fileRepository.getLoader( files[ 1 ] ) ).to.not.be.null;
+			expect( getModelData( model ) ).to.match(
+				/^<paragraph><fileAttachment fileAttachmentName="archive.zip"[^>]*><\/fileAttachment>\[\]<\/paragraph>$/
+			);
+
+			sinon.assert.calledOnceWithExactly( showWarningStub, 'The type of the "script.exe" file is not allowed.', {
+				title: 'File upload failed',
+				namespace: 'upload'
+			} );
+		} );
+
+		it( 'should skip the files exceeding the maximum size and notify the user', () => {
+			const file = createFileMock( 'report.pdf', 'application/pdf', 2049 );
+
+			setModelData( model, '<paragraph>[]</paragraph>' );
+
+			command.execute( { file } );
+
+			expect( fileRepository.getLoader( file ) ).to.be.null;
+			expect( getModelData( model ) ).to.equal( '<paragraph>[]</paragraph>' );
+
+			sinon.assert.calledOnceWithExactly( showWarningStub, 'The "report.pdf" file is too big. The maximum file size is 2 KB.', {
+				title: 'File upload failed',
+				namespace: 'upload'
+			} );
+		} );
+
+		it( 'should not limit the size of the files when the maximum size is not configured', async () => {
+			const newEditor = await VirtualTestEditor.create( {
+				plugins: [ FileAttachmentEditing, Paragraph, UploadAdapterPluginMock ]
+			} );
+			const file = createFileMock( 'report.pdf', 'application/pdf', 1024 * 1024 * 1024 );
+
+			setModelData( newEditor.model, '<paragraph>[]</paragraph>' );
+
+			newEditor.execute( 'uploadFileAttachment', { file } );
+
+			expect( fileRepository.getLoader( file ) ).to.not.be.null;
+
+			await newEditor.destroy();
+		} );
+
+		it( 'should not insert the file attachment when the loader could not be created', () => {
+			const file = createFileMock( 'report.pdf', 'application/pdf', 1024 );
+
+			sinon.stub( fileRepository, 'createLoader' ).returns( null );
+
+			setModelData( model, '<paragraph>foo[]</paragraph>' );
+
+			command.execute( { file } );
+
+			expect( getModelData( model ) ).to.equal( '<paragraph>foo[]</paragraph>' );
+		} );
+	} );
+
+	function createFileMock( name, type, size ) {
+		return { name, type, size };
+	}
+} );
@@ -0,0 +1,91 @@
+/**
+ * @license Copyright (c) 2003-2024, CKSource Holding sp. z o.o. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+
+import { createFileTypeMatcher, formatFileSize, getFileExtension } from '../../src/fileattachment/utils.js';
+
+describe( 'file attachment utils', () => {
+	describe( 'createFileTypeMatcher()', () => {
+		it( 'should match the file by the MIME type', () => {
+			const isAccepted = createFileTypeMatcher( [ 'application/pdf' ] );
+
+			expect( isAccepted( { name: 'report', type: 'application/pdf' } ) ).to.be.true;
+			expect( isAccepted( { name: 'report.pdf', type: 'application/zip' } ) ).to.be.false;
+		} );
+
+		it( 'should match the file by the MIME type with a wildcard subtype', () => {
+			const isAccepted = createFileTypeMatcher( [ 'video/*' ] );
+
+			expect( isAccepted( { name: 'movie.mp4', type: 'video/mp4' } ) ).to.be.true;
+			expect( isAccepted( { name: 'movie.webm', type: 'video/webm' } ) ).to.be.true;
+			expect( isAccepted( { name: 'song.mp3', type: 'audio/mpeg' } ) ).to.be.false;
+			expect( isAccepted( { name: 'video', type: 'application/video' } ) ).to.be.false;
+		} );
+
+		it( 'should match the file by the extension', () => {
+			const isAccepted = createFileTypeMatcher( [ '.docx', '.tar.gz' ] );
+
+			expect( isAccepted( { name: 'report.docx', type: '' } ) ).to.be.true;
+			expect( isAccepted( { name: 'backup.tar.gz', type: 'application/gzip' } ) ).to.be.true;
+			expect( isAccepted( { name: 'report.doc', type: 'application/msword' } ) ).to.be.false;
+			expect( isAccepted( { name: 'docx', type: '' } ) ).to.be.false;
+		} );
+
+		it( 'should compare the types case-insensitively', () => {
+			const isAccepted = createFileTypeMatcher( [ ' .PDF ', 'Application/ZIP' ] );
+
+			expect( isAccepted( { name: 'REPORT.pdf', type: '' } ) ).to.be.true;
+			expect( isAccepted( { name: 'archive', type: 'application/zip' } ) ).to.be.true;
+		} );
+
+		it( 'should match any of the types', () => {
+			const isAccepted = createFileTypeMatcher( [ 'application/pdf', 'image/*', '.txt' ] );
+
+			expect( isAccepted( { name: 'report', type: 'application/pdf' } ) ).to.be.true;
+			expect( isAccepted( { name: 'photo', type: 'image/png' } ) ).to.be.true;
+			expect( isAccepted( { name: 'notes.txt', type: '' } ) ).to.be.true;
+			expect( isAccepted( { name: 'archive.zip', type: 'application/zip' } ) ).to.be.false;
+		} );
+
+		it( 'should not match any file when no types are given', () => {
+			const isAccepted = createFileTypeMatcher( [] );
+
+			expect( isAccepted( { name: 'report.pdf', type: 'application/pdf' } ) ).to.be.false;
+		} );
+	} );
+
+	describe( 'formatFileSize()', () => {
+		it( 'should format the size in bytes', () => {
+			expect( formatFileSize( 0 ) ).to.equal( '0 B' );
+			expect( formatFileSize( 500 ) ).to.equal( '500 B' );
+			expect( formatFileSize( 1023 ) ).to.equal( '1023 B' );
+		} );
+
+		it( 'should format the size using the largest fitting unit', () => {
+			expect( formatFileSize( 1024 ) ).to.equal( '1 KB' );
+			expect( formatFileSize( 10 * 1024 * 1024 ) ).to.equal( '10 MB' );
+			expect( formatFileSize( 2 * 1024 * 1024 * 1024 ) ).to.equal( '2 GB' );
+			expect( formatFileSize( 3 * 1024 * 1024 * 1024 * 1024 ) ).to.equal( '3 TB' );
+			expect( formatFileSize( 2048 * 1024 * 1024 * 1024 * 1024 ) ).to.equal( '2048 TB' );
+		} );
+
+		it( 'should display one decimal place for the values smaller than 10', () => {
+			expect( formatFileSize( 1536 ) ).to.equal( '1.5 KB' );
+			expect( formatFileSize( 9.94 * 1024 * 1024 ) ).to.equal( '9.9 MB' );
+			expect( formatFileSize( 15.5 * 1024 ) ).to.equal( '16 KB' );
+		} );
+	} );
+
+	describe( 'getFileExtension()', () => {
+		it( 'should return the extension in upper case', () => {
+			expect( getFileExtension( 'report.pdf' ) ).to.equal( 'PDF' );
+			expect( getFileExtension( 'backup.tar.gz' ) ).to.equal( 'GZ' );
+		} );
+
+		it( 'should return an empty string for the names without an extension', () => {
+			expect( getFileExtension( 'README' ) ).to.equal( '' );
+			expect( getFileExtension( '.gitignore' ) ).to.equal( '' );
+		} );
+	} );
+} );
@@ -7,7 +7,14 @@
  * @module word-count
  */
 
-export { default as WordCount, type WordCountUpdateEvent } from './wordcount.js';
+export {
+	default as WordCount,
+	type WordCountStats,
+	type WordCountUpdateEvent,
+	type WordCountUpdateEventData,
+	type WordCountSelectionUpdateEvent,
+	type WordCountLimitExceededEvent
+} from './wordcount.js';
 export type { WordCountConfig } from './wordcountconfig.js';
 
 import './augmentation.js';
@@ -7,14 +7,14 @@
  * @module word-count/utils
  */
 
-import type { Element, Item } from 'ckeditor5/src/engine.js';
+import type { DocumentFragment, Element, Item, Range, Schema } from 'ckeditor5/src/engine.js';
 
 /**
  * Returns a plain text representation of an element and its children.
  *
  * @returns Plain text representing the model's data.
  */
-export function modelElementToPlainText( item: Item ): string {
+export function modelElementToPlainText( item: Item | DocumentFragment ): string {
 	if ( item.is( '$text' ) || item.is( '$textProxy' ) ) {
 		return item.data;
 	}
@@ -38,3 +38,50 @@ export function modelElementToPlainText( item: Item ): string {
 
 	return text;
 }
+
+/**
+ * Returns a plain text representation of the content of a model range. Just like in
+ * {@link module:word-count/utils~modelElementToPlainText}, blocks are separated with a newline character.
+ *
+ * @returns Plain text representing the content of the range.
+ */
+export function modelRangeToPlainText( range: Range ): string {
+	let text = '';
+
+	for ( const { item } of range.getWalker() ) {
+		if ( item.is( '$textProxy' ) ) {
+			text += item.data;
+		} else if ( text !== '' && !text.endsWith( '\n' ) ) {
+			// Any element boundary within the range separates words.
+			text += '\n';
+		}
+	}
+
+	return text.replace( /\n$/, '' );
+}
+
+/**
+ * Returns the number of non-empty text blocks (elements that allow text directly, e.g. paragraphs, headings or list items)
+ * in the given element and its descendants.
+ *
+ * @returns The number of non-empty text blocks.
+ */
+export function countTextBlocks( item: Element | DocumentFragment, schema: Schema ): number {
+	let count = 0;
+
+	for ( const child of item.getChildren() ) {
+		if ( !child.is( 'element' ) ) {
+			continue;
+		}
+
+		if ( schema.isBlock( child ) && schema.checkChild( child, '$text' ) ) {
+			if ( /\S/.test( modelElementToPlainText( child ) ) ) {
+				count++;
+			}
+		} else {
+			count += countTextBlocks( child, schema );
+		}
+	}
+
+	return count;
+}
@@ -7,12 +7,21 @@
  * @module word-count/wordcount
  */
 
-import { type DocumentChangeEvent } from 'ckeditor5/src/engine.js';
+import type {
+	DocumentChangeEvent,
+	DocumentFragment,
+	DocumentSelection,
+	DocumentSelectionChangeRangeEvent,
+	Item,
+	ModelInsertContentEvent,
+	Selection,
+	Writer
+} from 'ckeditor5/src/engine.js';
 import { Plugin, type Editor } from 'ckeditor5/src/core.js';
 import { Template, View } from 'ckeditor5/src/ui.js';
 import { env } from 'ckeditor5/src/utils.js';
 
-import { modelElementToPlainText } from './utils.js';
+import { countTextBlocks, modelElementToPlainText, modelRangeToPlainText } from './utils.js';
 import type { WordCountConfig } from './wordcountconfig.js';
 
 import { throttle, isElement } from 'lodash-es';
@@ -46,6 +55,15 @@ import { throttle, isElement } from 'lodash-es';
  * <paragraph>12345</paragraph>
  * // Words: 1, Characters: 5
  * ```
+ *
+ * Apart from the totals, the plugin also provides the number of sentences and paragraphs, the estimated reading time,
+ * the statistics of the current selection and the statistics of each root (see {@link #getRootStats}).
+ *
+ * When {@link module:word-count/wordcountconfig~WordCountConfig#maxWords `config.wordCount.maxWords`} or
+ * {@link module:word-count/wordcountconfig~WordCountConfig#maxCharacters `config.wordCount.maxCharacters`} is set,
+ * the plugin fires the {@link #event:limitExceeded} event once the content exceeds the limit. If
+ * {@link module:word-count/wordcountconfig~WordCountConfig#preventExceedingLimits `config.wordCount.preventExceedingLimits`}
+ * is enabled, the text inserted by the user that would exceed the limit is removed by a model post-fixer.
  */
 export default class WordCount extends Plugin {
 	/**
@@ -64,6 +82,57 @@ export default class WordCount extends Plugin {
 	 */
 	declare public words: number;
 
+	/**
+	 * The number of sentences in the editor. Updated together with the {@link #event:update} event.
+	 *
+	 * @observable
+	 * @readonly
+	 */
+	declare public sentences: number;
+
+	/**
+	 * The number of non-empty paragraphs (text blocks) in the editor. Updated together with the {@link #event:update} event.
+	 *
+	 * @observable
+	 * @readonly
+	 */
+	declare public paragraphs: number;
+
+	/**
+	 * The estimated reading time of the editor content (in minutes), based on
+	 * {@link module:word-count/wordcountconfig~WordCountConfig#wordsPerMinute `config.wordCount.wordsPerMinute`}.
+	 * Updated together with the {@link #event:update} event.
+	 *
+	 * @observable
+	 * @readonly
+	 */
+	declare public readingTime: number;
+
+	/**
+	 * The number of words in the current selection.
+	 *
+	 * @observable
+	 * @readonly
+	 */
+	declare public selectionWords: number;
+
+	/**
+	 * The number of characters in the current selection.
+	 *
+	 * @observable
+	 * @readonly
+	 */
+	declare public selectionCharacters: number;
+
+	/**
+	 * Indicates whether the content exceeds {@link module:word-count/wordcountconfig~WordCountConfig#maxWords}
+	 * or {@link module:word-count/wordcountconfig~WordCountConfig#maxCharacters}.
+	 *
+	 * @observable
+	 * @readonly
+	 */
+	declare public isLimitExceeded: boolean;
+
 	/**
 	 * The label used to display the words value in the {@link #wordCountContainer output container}.
 	 *
@@ -82,6 +151,42 @@ export default class WordCount extends Plugin {
 	 */
 	declare public _charactersLabel: string | undefined;
 
+	/**
+	 * The label used to display the sentences value in the {@link #wordCountContainer output container}.
+	 *
+	 * @observable
+	 * @private
+	 * @readonly
+	 */
+	declare public _sentencesLabel: string | undefined;
+
+	/**
+	 * The label used to display the paragraphs value in the {@link #wordCountContainer output container}.
+	 *
+	 * @observable
+	 * @private
+	 * @readonly
+	 */
+	declare public _paragraphsLabel: string | undefined;
+
+	/**
+	 * The label used to display the reading time value in the {@link #wordCountContainer output container}.
+	 *
+	 * @observable
+	 * @private
+	 * @readonly
+	 */
+	declare public _readingTimeLabel: string | undefined;
+
+	/**
+	 * The label used to display the selection statistics in the {@link #wordCountContainer output container}.
+	 *
+	 * @observable
+	 * @private
+	 * @readonly
+	 */
+	declare public _selectionLabel: string | undefined;
+
 	/**
 	 * The configuration of this plugin.
 	 */
@@ -105,6 +210,12 @@ export default class WordCount extends Plugin {
 
 		this.set( 'characters', 0 );
 		this.set( 'words', 0 );
+		this.set( 'sentences', 0 );
+		this.set( 'paragraphs', 0 );
+		this.set( 'readingTime', 0 );
+		this.set( 'selectionWords', 0 );
+		this.set( 'selectionCharacters', 0 );
+		this.set( 'isLimitExceeded', false );
 
 		// Don't wait for the #update event to set the value of the properties but obtain it right away.
 		// This way, accessing the properties directly returns precise numbers, e.g. for validation, etc.
@@ -124,6 +235,10 @@ export default class WordCount extends Plugin {
 
 		this.set( '_wordsLabel', undefined );
 		this.set( '_charactersLabel', undefined );
+		this.set( '_sentencesLabel', undefined );
+		this.set( '_paragraphsLabel', undefined );
+		this.set( '_readingTimeLabel', undefined );
+		this.set( '_selectionLabel', undefined );
 
 		this._config = editor.config.get( 'wordCount' ) || {};
 
@@ -151,7 +266,26 @@ export default class WordCount extends Plugin {
 	public init(): void {
 		const editor = this.editor;
 
+		const refreshSelectionStats = throttle( this._refreshSelectionStats.bind( this ), 250 );
+
 		editor.model.document.on<DocumentChangeEvent>( 'change:data', throttle( this._refreshStats.bind( this ), 250 ) );
+		editor.model.document.on<DocumentChangeEvent>( 'change:data', refreshSelectionStats );
+		editor.model.document.selection.on<DocumentSelectionChangeRangeEvent>( 'change:range', refreshSelectionStats );
+
+		if ( this._config.preventExceedingLimits && this._hasLimits() ) {
+			editor.model.document.registerPostFixer( writer => this._preventExceedingLimits( writer ) );
+
+			// The content inserted as a whole (e.g. pasted paragraphs, lists or tables) is blocked before it gets into the model,
+			// as inserting the blocks may also split the existing ones, so it could not be safely removed afterwards.
+			editor.model.on<ModelInsertContentEvent>( 'insertContent', ( evt, [ content, selectable ] ) => {
+				const selection = selectable || editor.model.document.selection;
+
+				if ( this._preventExceedingLimitsOnInsert( content, selection ) ) {
+					evt.return = editor.model.createRange( selection.getFirstPosition()! );
+					evt.stop();
+				}
+			}, { priority: 'high' } );
+		}
 
 		if ( typeof this._config.onUpdate == 'function' ) {
 			this.on<WordCountUpdateEvent>( 'update', ( evt, data ) => {
@@ -186,12 +320,20 @@ export default class WordCount extends Plugin {
 	 * 	<div class="ck-word-count__characters">Characters: 28</div>
 	 * </div>
 	 * ```
+	 *
+	 * Sentences, paragraphs, reading time and selection statistics are rendered only when enabled in the configuration,
+	 * for instance by {@link module:word-count/wordcountconfig~WordCountConfig#displaySentences `config.wordCount.displaySentences`}.
+	 * The container gets the `ck-word-count_limit-exceeded` class when the content exceeds the configured limits.
 	 */
 	public get wordCountContainer(): HTMLElement {
 		const editor = this.editor;
 		const t = editor.t;
 		const displayWords = editor.config.get( 'wordCount.displayWords' );
 		const displayCharacters = editor.config.get( 'wordCount.displayCharacters' );
+		const displaySentences = editor.config.get( 'wordCount.displaySentences' );
+		const displayParagraphs = editor.config.get( 'wordCount.displayParagraphs' );
+		const displayReadingTime = editor.config.get( 'wordCount.displayReadingTime' );
+		const displaySelection = editor.config.get( 'wordCount.displaySelection' );
 		const bind = Template.bind( this, this );
 		const children = [];
 
@@ -234,12 +376,85 @@ export default class WordCount extends Plugin {
 				} );
 			}
 
+			if ( displaySentences ) {
+				this.bind( '_sentencesLabel' ).to( this, 'sentences', sentences => {
+					return t( 'Sentences: %0', sentences );
+				} );
+
+				children.push( {
+					tag: 'div',
+					children: [
+						{
+							text: [ bind.to( '_sentencesLabel' ) ]
+						}
+					],
+					attributes: {
+						class: 'ck-word-count__sentences'
+					}
+				} );
+			}
+
+			if ( displayParagraphs ) {
+				this.bind( '_paragraphsLabel' ).to( this, 'paragraphs', paragraphs => {
+					return t( 'Paragraphs: %0', paragraphs );
+				} );
+
+				children.push( {
+					tag: 'div',
+					children: [
+						{
+							text: [ bind.to( '_paragraphsLabel' ) ]
+						}
+					],
+					attributes: {
+						class: 'ck-word-count__paragraphs'
+					}
+				} );
+			}
+
+			if ( displayReadingTime ) {
+				this.bind( '_readingTimeLabel' ).to( this, 'readingTime', readingTime => {
+					return t( 'Reading time: %0 min', readingTime );
+				} );
+
+				children.push( {
+					tag: 'div',
+					children: [
+						{
+							text: [ bind.to( '_readingTimeLabel' ) ]
+						}
+					],
+					attributes: {
+						class: 'ck-word-count__reading-time'
+					}
+				} );
+			}
+
+			if ( displaySelection ) {
+				this.bind( '_selectionLabel' ).to( this, 'selectionWords', this, 'selectionCharacters', ( words, characters ) => {
+					return t( 'Selected: %0 words, %1 characters', [ words, characters ] );
+				} );
+
+				children.push( {
+					tag: 'div',
+					children: [
+						{
+							text: [ bind.to( '_selectionLabel' ) ]
+						}
+					],
+					attributes: {
+						class: 'ck-word-count__selection'
+					}
+				} );
+			}
+
 			this._outputView.setTemplate( {
 				tag: 'div',
 				attributes: {
 					class: [
 						'ck',
-						'ck-word-count'
+						'ck-word-count',
+						bind.if( 'isLimitExceeded', 'ck-word-count_limit-exceeded' )
 					]
 				},
 				children
@@ -251,6 +466,34 @@ export default class WordCount extends Plugin {
 		return this._outputView.element!;
 	}
 
+	/**
+	 * Returns the statistics of a single root of the editor.
+	 *
+	 * ```ts
+	 * const { words, characters } = editor.plugins.get( 'WordCount' ).getRootStats( 'intro' );
+	 * ```
+	 *
+	 * @param rootName The name of the root. Defaults to `'main'`.
+	 */
+	public getRootStats( rootName: string = 'main' ): WordCountStats {
+		const root = this.editor.model.document.getRoot( rootName );
+
+		if ( !root ) {
+			return { words: 0, characters: 0, sentences: 0, paragraphs: 0, readingTime: 0 };
+		}
+
+		const txt = modelElementToPlainText( root );
+		const words = this._getWords( txt );
+
+		return {
+			words,
+			characters: this._getCharacters( txt ),
+			sentences: this._getSentences( txt ),
+			paragraphs: countTextBlocks( root, this.editor.model.schema ),
+			readingTime: this._getReadingTime( words )
+		};
+	}
+
 	private _getText(): string {
 		let txt = '';
 
@@ -283,29 +526,275 @@ export default class WordCount extends Plugin {
 	}
 
 	/**
-	 * Determines the number of words and characters in the current editor's model and assigns it to {@link #characters} and {@link #words}.
-	 * It also fires the {@link #event:update}.
+	 * Determines the number of sentences in the given text. A sentence ends with a terminal punctuation mark
+	 * followed by a whitespace or with the end of a block. Fragments without any word are not counted.
+	 */
+	private _getSentences( txt: string ): number {
+		return txt
+			.split( /[.!?\u2026]+(?=\s|$)|\n/ )
+			.filter( fragment => this._getWords( fragment ) > 0 )
+			.length;
+	}
+
+	/**
+	 * Estimates the reading time (in minutes) of the given number of words.
+	 */
+	private _getReadingTime( words: number ): number {
+		const wordsPerMinute = this._config.wordsPerMinute || 200;
+
+		return Math.ceil( words / wordsPerMinute );
+	}
+
+	/**
+	 * Checks whether any of the limits is configured.
+	 */
+	private _hasLimits(): boolean {
+		return typeof this._config.maxWords == 'number' || typeof this._config.maxCharacters == 'number';
+	}
+
+	/**
+	 * Checks whether the given statistics exceed the configured limits.
+	 */
+	private _exceedsLimits( words: number, characters: number ): boolean {
+		const { maxWords, maxCharacters } = this._config;
+
+		return ( typeof maxWords == 'number' && words > maxWords ) ||
+			( typeof maxCharacters == 'number' && characters > maxCharacters );
+	}
+
+	/**
+	 * A post-fixer that removes the text inserted by the user if it made the content exceed the configured limits.
+	 *
+	 * Only local, undoable changes are affected, so loading the data, undo and changes coming from other
+	 * collaborators are never blocked.
+	 */
+	private _preventExceedingLimits( writer: Writer ): boolean {
+		const batch = writer.batch;
+
+		if ( !batch.isLocal || !batch.isUndoable || batch.isUndo ) {
+			return false;
+		}
+
+		const insertions = this.editor.model.document.differ.getChanges()
+			.filter( change => change.type == 'insert' && change.name == '$text' );
+
+		if ( !insertions.length ) {
+			return false;
+		}
+
+		const txt = this._getText();
+		const words = this._getWords( txt );
+		const characters = this._getCharacters( txt );
+
+		if ( !this._exceedsLimits( words, characters ) ) {
+			return false;
+		}
+
+		// Changes are sorted by their positions, so removing them starting from the last one keeps the other positions valid.
+		for ( const change of insertions.reverse() ) {
+			if ( change.type == 'insert' ) {
+				writer.remove( writer.createRange( change.position, change.position.getShiftedBy( change.length ) ) );
+			}
+		}
+
+		this.fire<WordCountLimitExceededEvent>( 'limitExceeded', {
+			words,
+			characters,
+			isInputBlocked: true
+		} );
+
+		return true;
+	}
+
+	/**
+	 * Checks whether inserting the given content in place of the selection would make the content exceed the configured limits
+	 * and fires the {@link #event:limitExceeded} event if so.
+	 */
+	private _preventExceedingLimitsOnInsert(
+		content: Item | DocumentFragment,
+		selection: Selection | DocumentSelection
+	): boolean {
+		const txt = this._getText();
+		let selectedTxt = '';
+
+		for ( const range of selection.getRanges() ) {
+			selectedTxt += modelRangeToPlainText( range );
+		}
+
+		const insertedTxt = modelElementToPlainText( content );
+		const currentWords = this._getWords( txt );
+		const currentCharacters = this._getCharacters( txt );
+		const words = currentWords - this._getWords( selectedTxt ) + this._getWords( insertedTxt );
+		const characters = currentCharacters - this._getCharacters( selectedTxt ) + this._getCharacters( insertedTxt );
+
+		// Replacing the content with a shorter one is always allowed, so the user can fix the content that exceeds the limits.
+		if ( !this._exceedsLimits( words, characters ) || ( words <= currentWords && characters <= currentCharacters ) ) {
+			return false;
+		}
+
+		this.fire<WordCountLimitExceededEvent>( 'limitExceeded', {
+			words,
+			characters,
+			isInputBlocked: true
+		} );
+
+		return true;
+	}
+
+	/**
+	 * Determines the number of words and characters in the current selection and assigns it to {@link #selectionWords}
+	 * and {@link #selectionCharacters}.
+	 *
+	 * @fires selectionUpdate
+	 */
+	private _refreshSelectionStats(): void {
+		let txt = '';
+
+		for ( const range of this.editor.model.document.selection.getRanges() ) {
+			if ( txt !== '' ) {
+				txt += '\n';
+			}
+
+			txt += modelRangeToPlainText( range );
+		}
+
+		const words = this.selectionWords = this._getWords( txt );
+		const characters = this.selectionCharacters = this._getCharacters( txt );
+
+		this.fire<WordCountSelectionUpdateEvent>( 'selectionUpdate', {
+			words,
+			characters
+		} );
+	}
+
+	/**
+	 * Determines the statistics of the current editor's model and assigns them to {@link #characters}, {@link #words},
+	 * {@link #sentences}, {@link #paragraphs} and {@link #readingTime}. It also fires the {@link #event:update}
+	 * and, if the content exceeds the configured limits, the {@link #event:limitExceeded} event.
 	 *
 	 * @fires update
+	 * @fires limitExceeded
 	 */
 	private _refreshStats(): void {
-		const txt = this._getText();
-		const words = this.words = this._getWords( txt );
-		const characters = this.characters = this._getCharacters( txt );
+		const roots: Record<string, WordCountStats> = {};
+		let words = 0;
+		let characters = 0;
+		let sentences = 0;
+		let paragraphs = 0;
+
+		for ( const rootName of this.editor.model.document.getRootNames() ) {
+			const rootStats = roots[ rootName ] = this.getRootStats( rootName );
+
+			words += rootStats.words;
+			characters += rootStats.characters;
+			sentences += rootStats.sentences;
+			paragraphs += rootStats.paragraphs;
+		}
+
+		const readingTime = this._getReadingTime( words );
+
+		this.words = words;
+		this.characters = characters;
+		this.sentences = sentences;
+		this.paragraphs = paragraphs;
+		this.readingTime = readingTime;
 
 		this.fire<WordCountUpdateEvent>( 'update', {
 			words,
-			characters
+			characters,
+			sentences,
+			paragraphs,
+			readingTime,
+			roots
 		} );
+
+		const isLimitExceeded = this._exceedsLimits( words, characters );
+
+		if ( isLimitExceeded && !this.isLimitExceeded ) {
+			this.fire<WordCountLimitExceededEvent>( 'limitExceeded', {
+				words,
+				characters,
+				isInputBlocked: false
+			} );
+		}
+
+		this.isLimitExceeded = isLimitExceeded;
 	}
 }
 
 /**
- * An event fired after {@link ~WordCount#words} and {@link ~WordCount#characters} are updated.
+ * The statistics of the editor content (or a single root).
+ */
+export interface WordCountStats {
+
+	/**
+	 * The number of words.
+	 */
+	words: number;
+
+	/**
+	 * The number of characters.
+	 */
+	characters: number;
+
+	/**
+	 * The number of sentences.
+	 */
+	sentences: number;
+
+	/**
+	 * The number of non-empty paragraphs (text blocks).
+	 */
+	paragraphs: number;
+
+	/**
+	 * The estimated reading time in minutes.
+	 */
+	readingTime: number;
+}
+
+/**
+ * The data passed along with the {@link ~WordCount#event:update} event.
+ */
+export interface WordCountUpdateEventData extends WordCountStats {
+
+	/**
+	 * The statistics of each root of the editor, keyed by the root name.
+	 */
+	roots: Record<string, WordCountStats>;
+}
+
+/**
+ * An event fired after {@link ~WordCount#words}, {@link ~WordCount#characters} and the other content statistics are updated.
  *
  * @eventName ~WordCount#update
  */
 export type WordCountUpdateEvent = {
 	name: 'update';
+	args: [ WordCountUpdateEventData ];
+};
+
+/**
+ * An event fired after {@link ~WordCount#selectionWords} and {@link ~WordCount#selectionCharacters} are updated.
+ *
+ * @eventName ~WordCount#selectionUpdate
+ */
+export type WordCountSelectionUpdateEvent = {
+	name: 'selectionUpdate';
 	args: [ { words: number; characters: number } ];
 };
+
+/**
+ * An event fired when the content exceeds {@link module:word-count/wordcountconfig~WordCountConfig#maxWords}
+ * or {@link module:word-count/wordcountconfig~WordCountConfig#maxCharacters}.
+ *
+ * When {@link module:word-count/wordcountconfig~WordCountConfig#preventExceedingLimits} is enabled, the event is fired
+ * each time the user input is reverted. In such case, `isInputBlocked` is set to `true` and the statistics describe
+ * the content that was rejected.
+ *
+ * @eventName ~WordCount#limitExceeded
+ */
+export type WordCountLimitExceededEvent = {
+	name: 'limitExceeded';
+	args: [ { words: number; characters: number; isInputBlocked: boolean } ];
+};
@@ -7,6 +7,8 @@
  * @module word-count/wordcountconfig
  */
 
+import type { WordCountUpdateEventData } from './wordcount.js';
+
 /**
  * The configuration of the word count feature.
  *
@@ -65,21 +67,157 @@ export interface WordCountConfig {
 	 */
 	displayCharacters?: boolean;
 
+	/**
+	 * This option allows for displaying the number of sentences in the
+	 * {@link module:word-count/wordcount~WordCount#wordCountContainer word count container}.
+	 * The sentence counter is hidden by default.
+	 *
+	 * ```ts
+	 * const wordCountConfig = {
+	 * 	displaySentences: true
+	 * };
+	 * ```
+	 *
+	 * The configuration above will add the following element to the container:
+	 *
+	 * ```html
+	 * <div class="ck-word-count__sentences">Sentences: 3</div>
+	 * ```
+	 */
+	displaySentences?: boolean;
+
+	/**
+	 * This option allows for displaying the number of non-empty paragraphs in the
+	 * {@link module:word-count/wordcount~WordCount#wordCountContainer word count container}.
+	 * The paragraph counter is hidden by default.
+	 *
+	 * ```ts
+	 * const wordCountConfig = {
+	 * 	displayParagraphs: true
+	 * };
+	 * ```
+	 *
+	 * The configuration above will add the following element to the container:
+	 *
+	 * ```html
+	 * <div class="ck-word-count__paragraphs">Paragraphs: 2</div>
+	 * ```
+	 */
+	displayParagraphs?: boolean;
+
+	/**
+	 * This option allows for displaying the estimated reading time in the
+	 * {@link module:word-count/wordcount~WordCount#wordCountContainer word count container}.
+	 * The reading time is hidden by default. See also {@link #wordsPerMinute}.
+	 *
+	 * ```ts
+	 * const wordCountConfig = {
+	 * 	displayReadingTime: true
+	 * };
+	 * ```
+	 *
+	 * The configuration above will add the following element to the container:
+	 *
+	 * ```html
+	 * <div class="ck-word-count__reading-time">Reading time: 1 min</div>
+	 * ```
+	 */
+	displayReadingTime?: boolean;
+
+	/**
+	 * This option allows for displaying the number of words and characters in the current selection in the
+	 * {@link module:word-count/wordcount~WordCount#wordCountContainer word count container}.
+	 * The selection statistics are hidden by default.
+	 *
+	 * ```ts
+	 * const wordCountConfig = {
+	 * 	displaySelection: true
+	 * };
+	 * ```
+	 *
+	 * The configuration above will add the following element to the container:
+	 *
+	 * ```html
+	 * <div class="ck-word-count__selection">Selected: 2 words, 11 characters</div>
+	 * ```
+	 */
+	displaySelection?: boolean;
+
+	/**
+	 * The number of words read per minute, used to estimate the
+	 * {@link module:word-count/wordcount~WordCount#readingTime reading time}.
+	 *
+	 * ```ts
+	 * const wordCountConfig = {
+	 * 	wordsPerMinute: 250
+	 * };
+	 * ```
+	 *
+	 * @default 200
+	 */
+	wordsPerMinute?: number;
+
+	/**
+	 * The maximum number of words in the editor content. When the content exceeds it, the
+	 * {@link module:word-count/wordcount~WordCount#event:limitExceeded} event is fired and the
+	 * {@link module:word-count/wordcount~WordCount#wordCountContainer word count container} gets
+	 * the `ck-word-count_limit-exceeded` class.
+	 *
+	 * By default, the limit is a soft one. Set {@link #preventExceedingLimits} to `true` to block the user input instead.
+	 *
+	 * ```ts
+	 * const wordCountConfig = {
+	 * 	maxWords: 500
+	 * };
+	 * ```
+	 */
+	maxWords?: number;
+
+	/**
+	 * The maximum number of characters in the editor content. It works the same way as {@link #maxWords}.
+	 *
+	 * ```ts
+	 * const wordCountConfig = {
+	 * 	maxCharacters: 2000
+	 * };
+	 * ```
+	 */
+	maxCharacters?: number;
+
+	/**
+	 * When set to `true`, {@link #maxWords} and {@link #maxCharacters} become hard limits: the content typed or pasted by the user
+	 * (including whole paragraphs, lists or tables) that would make the content exceed them is not inserted.
+	 *
+	 * Loading the data, undo and changes made by other users in real-time collaboration are never blocked.
+	 *
+	 * ```ts
+	 * const wordCountConfig = {
+	 * 	maxCharacters: 2000,
+	 * 	preventExceedingLimits: true
+	 * };
+	 * ```
+	 *
+	 * @default false
+	 */
+	preventExceedingLimits?: boolean;
+
 	/**
 	 * This configuration takes a function that is executed whenever the word count plugin updates its values.
-	 * This function is called with one argument, which is an object with the `words` and `characters` keys containing
-	 * the number of detected words and characters in the document.
+	 * This function is called with one argument, which is an object with the `words`, `characters`, `sentences`, `paragraphs`
+	 * and `readingTime` keys containing the statistics of the document. The `roots` key contains the same statistics
+	 * for each root of the editor, keyed by the root name.
 	 *
 	 * ```ts
 	 * const wordCountConfig = {
 	 * 	onUpdate: function( stats ) {
 	 * 		doSthWithWordNumber( stats.words );
 	 * 		doSthWithCharacterNumber( stats.characters );
+	 * 		doSthWithMainRootWordNumber( stats.roots.main.words );
 	 * 	}
 	 * };
 	 * ```
 	 */
-	onUpdate?: ( data: { words: number; characters: number } ) => void;
+	onUpdate?: ( data: WordCountUpdateEventData ) => void;
 
 	/**
 	 * Allows for providing the HTML element that the
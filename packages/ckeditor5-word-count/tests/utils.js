@@ -3,7 +3,7 @@
  * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
  */
 
-import { modelElementToPlainText } from '../src/utils.js';
+import { modelElementToPlainText, modelRangeToPlainText, countTextBlocks } from '../src/utils.js';
 
 import Element from '@ckeditor/ckeditor5-engine/src/model/element.js';
 import Text from '@ckeditor/ckeditor5-engine/src/model/text.js';
@@ -130,4 +130,85 @@ describe( 'utils', () => {
 			} );
 		} );
 	} );
+
+	describe( 'modelRangeToPlainText()', () => {
+		let editor, model;
+
+		beforeEach( () => {
+			return VirtualTestEditor
+				.create( {
+					plugins: [ Paragraph, BoldEditing, BlockQuoteEditing ]
+				} )
+				.then( newEditor => {
+					editor = newEditor;
+					model = editor.model;
+				} );
+		} );
+
+		afterEach( () => {
+			return editor.destroy();
+		} );
+
+		it( 'should return an empty string for a collapsed range', () => {
+			setModelData( model, '<paragraph>Foo[]bar</paragraph>' );
+
+			expect( modelRangeToPlainText( model.document.selection.getFirstRange() ) ).to.equal( '' );
+		} );
+
+		it( 'should extract text of a range within a single block', () => {
+			setModelData( model, '<paragraph>F[o<$text bold="true">ob</$text>a]r</paragraph>' );
+
+			expect( modelRangeToPlainText( model.document.selection.getFirstRange() ) ).to.equal( 'ooba' );
+		} );
+
+		it( 'should separate text of different blocks with a newline', () => {
+			setModelData( model,
+				'<paragraph>F[oo</paragraph>' +
+				'<blockQuote><paragraph>bar</paragraph></blockQuote>' +
+				'<paragraph>ba]z</paragraph>'
+			);
+
+			expect( modelRangeToPlainText( model.document.selection.getFirstRange() ) ).to.equal( 'oo\nbar\nba' );
+		} );
+
+		it( 'should not add a newline at the beginning and the end of the text', () => {
+			setModelData( model, '[<paragraph>Foo</paragraph><paragraph>bar</paragraph>]' );
+
+			expect( modelRangeToPlainText( model.document.selection.getFirstRange() ) ).to.equal( 'Foo\nbar' );
+		} );
+	} );
+
+	describe( 'countTextBlocks()', () => {
+		let editor, model;
+
+		beforeEach( () => {
+			return VirtualTestEditor
+				.create( {
+					plugins: [ Paragraph, BlockQuoteEditing, TableEditing ]
+				} )
+				.then( newEditor => {
+					editor = newEditor;
+					model = editor.model;
+				} );
+		} );
+
+		afterEach( () => {
+			return editor.destroy();
+		} );
+
+		it( 'should count non-empty text blocks', () => {
+			setModelData( model, '<paragraph>Foo</paragraph><paragraph></paragraph><paragraph> </paragraph><paragraph>Bar</paragraph>' );
+
+			expect( countTextBlocks( model.document.getRoot(), model.schema ) ).to.equal( 2 );
+		} );
+
+		it( 'should count nested text blocks', () => {
+			setModelData( model,
+				'<blockQuote><paragraph>Foo</paragraph><paragraph>Bar</paragraph></blockQuote>' +
+				'<table><tableRow><tableCell><paragraph>Baz</paragraph></tableCell></tableRow></table>'
+			);
+
+			expect( countTextBlocks( model.document.getRoot(), model.schema ) ).to.equal( 3 );
+		} );
+	} );
 } );
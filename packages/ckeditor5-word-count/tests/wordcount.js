@@ -11,7 +11,7 @@ import Paragraph from '@ckeditor/ckeditor5-paragraph/src/paragraph.js';
 import VirtualTestEditor from '@ckeditor/ckeditor5-core/tests/_utils/virtualtesteditor.js';
 import { MultiRootEditor } from '@ckeditor/ckeditor5-editor-multi-root';
 import testUtils from '@ckeditor/ckeditor5-core/tests/_utils/utils.js';
-import { setData as setModelData } from '@ckeditor/ckeditor5-engine/src/dev-utils/model.js';
+import { setData as setModelData, getData as getModelData } from '@ckeditor/ckeditor5-engine/src/dev-utils/model.js';
 import { add as addTranslations, _clear as clearTranslations } from '@ckeditor/ckeditor5-utils/src/translation-service.js';
 import Position from '@ckeditor/ckeditor5-engine/src/model/position.js';
 import ShiftEnter from '@ckeditor/ckeditor5-enter/src/shiftenter.js';
@@ -25,6 +25,12 @@ import ImageBlockEditing from '@ckeditor/ckeditor5-image/src/image/imageblockedi
 // Delay related to word-count throttling.
 const DELAY = 255;
 
+function createStats( words, characters, sentences, paragraphs, readingTime ) {
+	const stats = { words, characters, sentences, paragraphs, readingTime };
+
+	return { ...stats, roots: { main: stats } };
+}
+
 describe( 'WordCount', () => {
 	testUtils.createSinonSandbox();
 
@@ -305,6 +311,403 @@ describe( 'WordCount', () => {
 			expect( wordCountPlugin.characters ).to.equal( 9 );
 		} );
 
+		describe( 'counting sentences', () => {
+			it( 'should count sentences ended with a punctuation mark', () => {
+				setModelData( model, '<paragraph>Hello world. How are you? Fine!</paragraph>' );
+				wordCountPlugin._refreshStats();
+
+				expect( wordCountPlugin.sentences ).to.equal( 3 );
+			} );
+
+			it( 'should treat the end of a block as the end of a sentence', () => {
+				setModelData( model, '<paragraph>Hello world</paragraph><paragraph>Foo. Bar</paragraph>' );
+				wordCountPlugin._refreshStats();
+
+				expect( wordCountPlugin.sentences ).to.equal( 3 );
+			} );
+
+			it( 'should not end a sentence on a dot inside a word', () => {
+				setModelData( model, '<paragraph>Version 1.2 is out.</paragraph>' );
+				wordCountPlugin._refreshStats();
+
+				expect( wordCountPlugin.sentences ).to.equal( 1 );
+			} );
+
+			it( 'should not count fragments without words', () => {
+				setModelData( model, '<paragraph>Hello... !!! ?</paragraph>' );
+				wordCountPlugin._refreshStats();
+
+				expect( wordCountPlugin.sentences ).to.equal( 1 );
+			} );
+		} );
+
+		describe( 'counting paragraphs', () => {
+			it( 'should count non-empty text blocks', () => {
+				setModelData( model, '<paragraph>Foo</paragraph><paragraph></paragraph><paragraph>Bar</paragraph>' );
+				wordCountPlugin._refreshStats();
+
+				expect( wordCountPlugin.paragraphs ).to.equal( 2 );
+			} );
+
+			it( 'should not count blocks with whitespaces only', () => {
+				setModelData( model, '<paragraph>Foo</paragraph><paragraph>   </paragraph>' );
+				wordCountPlugin._refreshStats();
+
+				expect( wordCountPlugin.paragraphs ).to.equal( 1 );
+			} );
+
+			it( 'should count text blocks nested in other elements', () => {
+				setModelData( model,
+					'<paragraph>Foo</paragraph>' +
+					'<table>' +
+						'<tableRow>' +
+							'<tableCell><paragraph>Bar</paragraph></tableCell>' +
+							'<tableCell><paragraph>Baz</paragraph></tableCell>' +
+						'</tableRow>' +
+					'</table>' );
+				wordCountPlugin._refreshStats();
+
+				expect( wordCountPlugin.paragraphs ).to.equal( 3 );
+			} );
+		} );
+
+		describe( 'reading time', () => {
+			it( 'should be rounded up to full minutes', () => {
+				setModelData( model, '<paragraph>Foo bar</paragraph>' );
+				wordCountPlugin._refreshStats();
+
+				expect( wordCountPlugin.readingTime ).to.equal( 1 );
+			} );
+
+			it( 'should be 0 for empty content', () => {
+				wordCountPlugin._refreshStats();
+
+				expect( wordCountPlugin.readingTime ).to.equal( 0 );
+			} );
+
+			it( 'should use config.wordCount.wordsPerMinute', () => {
+				return VirtualTestEditor.create( {
+					plugins: [ WordCount, Paragraph ],
+					wordCount: {
+						wordsPerMinute: 2
+					}
+				} )
+					.then( editor => {
+						const wordCountPlugin = editor.plugins.get( 'WordCount' );
+
+						setModelData( editor.model, '<paragraph>One two three four five</paragraph>' );
+						wordCountPlugin._refreshStats();
+
+						expect( wordCountPlugin.readingTime ).to.equal( 3 );
+
+						return editor.destroy();
+					} );
+			} );
+		} );
+
+		describe( 'selection statistics', () => {
+			it( 'should be 0 for a collapsed selection', () => {
+				setModelData( model, '<paragraph>Foo []bar</paragraph>' );
+				wordCountPlugin._refreshSelectionStats();
+
+				expect( wordCountPlugin.selectionWords ).to.equal( 0 );
+				expect( wordCountPlugin.selectionCharacters ).to.equal( 0 );
+			} );
+
+			it( 'should count words and characters in the selection', () => {
+				setModelData( model, '<paragraph>Foo [bar baz] qux</paragraph>' );
+				wordCountPlugin._refreshSelectionStats();
+
+				expect( wordCountPlugin.selectionWords ).to.equal( 2 );
+				expect( wordCountPlugin.selectionCharacters ).to.equal( 7 );
+			} );
+
+			it( 'should separate words from different blocks', () => {
+				setModelData( model, '<paragraph>Foo [bar</paragraph><paragraph>baz] qux</paragraph>' );
+				wordCountPlugin._refreshSelectionStats();
+
+				expect( wordCountPlugin.selectionWords ).to.equal( 2 );
+				expect( wordCountPlugin.selectionCharacters ).to.equal( 6 );
+			} );
+
+			it( 'should fire the #selectionUpdate event', () => {
+				const spy = sinon.spy();
+
+				wordCountPlugin.on( 'selectionUpdate', spy );
+
+				setModelData( model, '<paragraph>[Foo bar]</paragraph>' );
+				wordCountPlugin._refreshSelectionStats();
+
+				sinon.assert.calledWithExactly( spy, sinon.match.any, { words: 2, characters: 7 } );
+			} );
+
+			it( 'should be updated after the selection change', done => {
+				setModelData( model, '<paragraph>Foo bar</paragraph>' );
+
+				setTimeout( () => {
+					model.change( writer => {
+						writer.setSelection( model.document.getRoot().getChild( 0 ), 'in' );
+					} );
+
+					setTimeout( () => {
+						expect( wordCountPlugin.selectionWords ).to.equal( 2 );
+
+						done();
+					}, DELAY );
+				}, DELAY );
+			} );
+		} );
+
+		describe( 'getRootStats()', () => {
+			it( 'should return the statistics of the main root by default', () => {
+				setModelData( model, '<paragraph>Foo bar.</paragraph><paragraph>Baz</paragraph>' );
+
+				expect( wordCountPlugin.getRootStats() ).to.deep.equal( {
+					words: 3,
+					characters: 11,
+					sentences: 2,
+					paragraphs: 2,
+					readingTime: 1
+				} );
+			} );
+
+			it( 'should return empty statistics for a non-existing root', () => {
+				expect( wordCountPlugin.getRootStats( 'foo' ) ).to.deep.equal( {
+					words: 0,
+					characters: 0,
+					sentences: 0,
+					paragraphs: 0,
+					readingTime: 0
+				} );
+			} );
+		} );
+
+		describe( 'limits', () => {
+			let limitedEditor, limitedPlugin;
+
+			function createEditor( config ) {
+				return VirtualTestEditor.create( {
+					plugins: [ WordCount, Paragraph ],
+					wordCount: config
+				} ).then( _editor => {
+					limitedEditor = _editor;
+					limitedPlugin = limitedEditor.plugins.get( 'WordCount' );
+				} );
+			}
+
+			function getText() {
+				return getModelData( limitedEditor.model, { withoutSelection: true } );
+			}
+
+			afterEach( () => {
+				return limitedEditor.destroy();
+			} );
+
+			it( 'should fire the #limitExceeded event when the content exceeds config.wordCount.maxWords', () => {
+				return createEditor( { maxWords: 2 } ).then( () => {
+					const spy = sinon.spy();
+
+					limitedPlugin.on( 'limitExceeded', spy );
+
+					setModelData( limitedEditor.model, '<paragraph>Foo bar</paragraph>' );
+					limitedPlugin._refreshStats();
+
+					sinon.assert.notCalled( spy );
+					expect( limitedPlugin.isLimitExceeded ).to.be.false;
+
+					setModelData( limitedEditor.model, '<paragraph>Foo bar baz</paragraph>' );
+					limitedPlugin._refreshStats();
+
+					sinon.assert.calledOnce( spy );
+					sinon.assert.calledWithExactly( spy, sinon.match.any, { words: 3, characters: 11, isInputBlocked: false } );
+					expect( limitedPlugin.isLimitExceeded ).to.be.true;
+				} );
+			} );
+
+			it( 'should fire the #limitExceeded event when the content exceeds config.wordCount.maxCharacters', () => {
+				return createEditor( { maxCharacters: 5 } ).then( () => {
+					const spy = sinon.spy();
+
+					limitedPlugin.on( 'limitExceeded', spy );
+
+					setModelData( limitedEditor.model, '<paragraph>Foo bar</paragraph>' );
+					limitedPlugin._refreshStats();
+
+					sinon.assert.calledOnce( spy );
+					expect( limitedPlugin.isLimitExceeded ).to.be.true;
+				} );
+			} );
+
+			it( 'should fire the #limitExceeded event only when crossing the limit', () => {
+				return createEditor( { maxWords: 1 } ).then( () => {
+					const spy = sinon.spy();
+
+					limitedPlugin.on( 'limitExceeded', spy );
+
+					setModelData( limitedEditor.model, '<paragraph>Foo bar</paragraph>' );
+					limitedPlugin._refreshStats();
+
+					setModelData( limitedEditor.model, '<paragraph>Foo bar baz</paragraph>' );
+					limitedPlugin._refreshStats();
+
+					sinon.assert.calledOnce( spy );
+
+					setModelData( limitedEditor.model, '<paragraph>Foo</paragraph>' );
+					limitedPlugin._refreshStats();
+
+					expect( limitedPlugin.isLimitExceeded ).to.be.false;
+
+					setModelData( limitedEditor.model, '<paragraph>Foo bar</paragraph>' );
+					limitedPlugin._refreshStats();
+
+					sinon.assert.calledTwice( spy );
+				} );
+			} );
+
+			it( 'should not block the input by default', () => {
+				return createEditor( { maxCharacters: 5 } ).then( () => {
+					setModelData( limitedEditor.model, '<paragraph>Foo[]</paragraph>' );
+
+					limitedEditor.model.change( writer => {
+						writer.insertText( 'bar baz', limitedEditor.model.document.selection.getFirstPosition() );
+					} );
+
+					expect( getText() ).to.equal( '<paragraph>Foobar baz</paragraph>' );
+				} );
+			} );
+
+			describe( 'config.wordCount.preventExceedingLimits', () => {
+				it( 'should remove the inserted text exceeding config.wordCount.maxCharacters', () => {
+					return createEditor( { maxCharacters: 5, preventExceedingLimits: true } ).then( () => {
+						const spy = sinon.spy();
+
+						limitedPlugin.on( 'limitExceeded', spy );
+
+						setModelData( limitedEditor.model, '<paragraph>Foo[]</paragraph>' );
+
+						limitedEditor.model.change( writer => {
+							writer.insertText( 'ba', limitedEditor.model.document.selection.getFirstPosition() );
+						} );
+
+						expect( getText() ).to.equal( '<paragraph>Fooba</paragraph>' );
+						sinon.assert.notCalled( spy );
+
+						limitedEditor.model.change( writer => {
+							writer.insertText( 'r', limitedEditor.model.document.selection.getFirstPosition() );
+						} );
+
+						expect( getText() ).to.equal( '<paragraph>Fooba</paragraph>' );
+						sinon.assert.calledOnce( spy );
+						sinon.assert.calledWithExactly( spy, sinon.match.any, { words: 1, characters: 6, isInputBlocked: true } );
+					} );
+				} );
+
+				it( 'should remove the inserted text exceeding config.wordCount.maxWords', () => {
+					return createEditor( { maxWords: 2, preventExceedingLimits: true } ).then( () => {
+						setModelData( limitedEditor.model, '<paragraph>Foo bar[]</paragraph>' );
+
+						limitedEditor.model.change( writer => {
+							writer.insertText( 'baz', limitedEditor.model.document.selection.getFirstPosition() );
+						} );
+
+						expect( getText() ).to.equal( '<paragraph>Foo barbaz</paragraph>' );
+
+						limitedEditor.model.change( writer => {
+							writer.insertText( ' qux', limitedEditor.model.document.selection.getFirstPosition() );
+						} );
+
+						expect( getText() ).to.equal( '<paragraph>Foo barbaz</paragraph>' );
+					} );
+				} );
+
+				it( 'should not insert the pasted paragraphs exceeding config.wordCount.maxWords', () => {
+					return createEditor( { maxWords: 3, preventExceedingLimits: true } ).then( () => {
+						const spy = sinon.spy();
+
+						limitedPlugin.on( 'limitExceeded', spy );
+
+						setModelData( limitedEditor.model, '<paragraph>Foo[]bar</paragraph>' );
+
+						limitedEditor.model.change( writer => {
+							const fragment = writer.createDocumentFragment();
+
+							writer.appendElement( 'paragraph', fragment );
+							writer.insertText( 'one two', fragment.getChild( 0 ) );
+							writer.appendElement( 'paragraph', fragment );
+							writer.insertText( 'three four', fragment.getChild( 1 ) );
+
+							limitedEditor.model.insertContent( fragment );
+						} );
+
+						expect( getText() ).to.equal( '<paragraph>Foobar</paragraph>' );
+						sinon.assert.calledOnce( spy );
+						sinon.assert.calledWithExactly( spy, sinon.match.any, { words: 5, characters: 23, isInputBlocked: true } );
+					} );
+				} );
+
+				it( 'should insert the pasted paragraphs within config.wordCount.maxCharacters', () => {
+					return createEditor( { maxCharacters: 20, preventExceedingLimits: true } ).then( () => {
+						setModelData( limitedEditor.model, '<paragraph>Foo[]bar</paragraph>' );
+
+						limitedEditor.model.change( writer => {
+							const fragment = writer.createDocumentFragment();
+
+							writer.appendElement( 'paragraph', fragment );
+							writer.insertText( 'one', fragment.getChild( 0 ) );
+							writer.appendElement( 'paragraph', fragment );
+							writer.insertText( 'two', fragment.getChild( 1 ) );
+
+							limitedEditor.model.insertContent( fragment );
+						} );
+
+						expect( getText() ).to.equal( '<paragraph>Fooone</paragraph><paragraph>twobar</paragraph>' );
+					} );
+				} );
+
+				it( 'should allow replacing the selected content with a shorter one when the limits are exceeded', () => {
+					return createEditor( { maxWords: 1, preventExceedingLimits: true } ).then( () => {
+						setModelData( limitedEditor.model, '<paragraph>[Foo bar] baz</paragraph>' );
+
+						limitedEditor.model.insertContent( limitedEditor.model.change( writer => writer.createText( 'Qux' ) ) );
+
+						expect( getText() ).to.equal( '<paragraph>Qux baz</paragraph>' );
+					} );
+				} );
+
+				it( 'should not block changes that are not undoable (e.g. loading the data)', () => {
+					return createEditor( { maxWords: 1, preventExceedingLimits: true } ).then( () => {
+						limitedEditor.data.set( '<p>Foo bar baz</p>' );
+
+						expect( limitedPlugin.words ).to.equal( 3 );
+					} );
+				} );
+
+				it( 'should not block changes made by other users', () => {
+					return createEditor( { maxWords: 1, preventExceedingLimits: true } ).then( () => {
+						setModelData( limitedEditor.model, '<paragraph>Foo[]</paragraph>' );
+
+						limitedEditor.model.enqueueChange( { isLocal: false }, writer => {
+							writer.insertText( ' bar', limitedEditor.model.document.selection.getFirstPosition() );
+						} );
+
+						expect( limitedPlugin.words ).to.equal( 2 );
+					} );
+				} );
+
+				it( 'should not block the input when no limit is configured', () => {
+					return createEditor( { preventExceedingLimits: true } ).then( () => {
+						setModelData( limitedEditor.model, '<paragraph>Foo[]</paragraph>' );
+
+						limitedEditor.model.change( writer => {
+							writer.insertText( ' bar', limitedEditor.model.document.selection.getFirstPosition() );
+						} );
+
+						expect( limitedPlugin.words ).to.equal( 2 );
+					} );
+				} );
+			} );
+		} );
+
 		describe( '#update event', () => {
 			it( 'fires with the actual number of characters and words', () => {
 				const fake = sinon.fake();
@@ -313,14 +716,14 @@ describe( 'WordCount', () => {
 				wordCountPlugin._refreshStats();
 
 				sinon.assert.calledOnce( fake );
-				sinon.assert.calledWithExactly( fake, sinon.match.any, { words: 0, characters: 0 } );
+				sinon.assert.calledWithExactly( fake, sinon.match.any, createStats( 0, 0, 0, 0, 0 ) );
 
 				// _refreshStats is throttled, so for this test case is run manually
 				setModelData( model, '<paragraph><$text foo="true">Hello</$text> world.</paragraph>' );
 				wordCountPlugin._refreshStats();
 
 				sinon.assert.calledTwice( fake );
-				sinon.assert.calledWithExactly( fake, sinon.match.any, { words: 2, characters: 12 } );
+				sinon.assert.calledWithExactly( fake, sinon.match.any, createStats( 2, 12, 1, 1, 1 ) );
 			} );
 
 			it( 'should be fired after editor initialization', () => {
@@ -432,12 +835,12 @@ describe( 'WordCount', () => {
 			setModelData( model, '<paragraph>Hello world.</paragraph>' );
 
 			sinon.assert.calledOnce( fake );
-			sinon.assert.calledWith( fake, sinon.match.any, { words: 2, characters: 12 } );
+			sinon.assert.calledWith( fake, sinon.match.any, createStats( 2, 12, 1, 1, 1 ) );
 
 			// Subsequent updates should be throttle and run with last parameters
 			setTimeout( () => {
 				sinon.assert.calledTwice( fake );
-				sinon.assert.calledWith( fake, sinon.match.any, { words: 2, characters: 9 } );
+				sinon.assert.calledWith( fake, sinon.match.any, createStats( 2, 9, 1, 1, 1 ) );
 
 				done();
 			}, DELAY );
@@ -517,7 +920,7 @@ describe( 'WordCount', () => {
 				}
 			} )
 				.then( editor => {
-					sinon.assert.calledWithExactly( fake, { words: 0, characters: 0 } );
+					sinon.assert.calledWithExactly( fake, createStats( 0, 0, 0, 0, 0 ) );
 
 					setModelData( editor.model, '<paragraph>Foo Bar</paragraph>' );
 				} )
@@ -525,7 +928,64 @@ describe( 'WordCount', () => {
 					setTimeout( resolve, DELAY );
 				} ) )
 				.then( () => {
-					sinon.assert.calledWithExactly( fake, { words: 2, characters: 7 } );
+					sinon.assert.calledWithExactly( fake, createStats( 2, 7, 1, 1, 1 ) );
+				} );
+		} );
+
+		it( 'displaySentences, displayParagraphs, displayReadingTime and displaySelection = true', () => {
+			return VirtualTestEditor.create( {
+				plugins: [ WordCount, Paragraph ],
+				wordCount: {
+					displaySentences: true,
+					displayParagraphs: true,
+					displayReadingTime: true,
+					displaySelection: true
+				}
+			} )
+				.then( editor => {
+					const wordCountPlugin = editor.plugins.get( 'WordCount' );
+					const container = wordCountPlugin.wordCountContainer;
+
+					expect( container.innerText ).to.equal(
+						'Words: 0Characters: 0Sentences: 0Paragraphs: 0Reading time: 0 minSelected: 0 words, 0 characters'
+					);
+
+					expect( container.querySelector( '.ck-word-count__sentences' ) ).to.be.instanceof( HTMLElement );
+					expect( container.querySelector( '.ck-word-count__paragraphs' ) ).to.be.instanceof( HTMLElement );
+					expect( container.querySelector( '.ck-word-count__reading-time' ) ).to.be.instanceof( HTMLElement );
+					expect( container.querySelector( '.ck-word-count__selection' ) ).to.be.instanceof( HTMLElement );
+
+					setModelData( editor.model, '<paragraph>[Foo] bar.</paragraph>' );
+					wordCountPlugin._refreshStats();
+					wordCountPlugin._refreshSelectionStats();
+
+					expect( container.innerText ).to.equal(
+						'Words: 2Characters: 8Sentences: 1Paragraphs: 1Reading time: 1 minSelected: 1 words, 3 characters'
+					);
+
+					return editor.destroy();
+				} );
+		} );
+
+		it( 'should toggle the limit class on the container when config.wordCount.maxWords is exceeded', () => {
+			return VirtualTestEditor.create( {
+				plugins: [ WordCount, Paragraph ],
+				wordCount: {
+					maxWords: 1
+				}
+			} )
+				.then( editor => {
+					const wordCountPlugin = editor.plugins.get( 'WordCount' );
+					const container = wordCountPlugin.wordCountContainer;
+
+					expect( container.classList.contains( 'ck-word-count_limit-exceeded' ) ).to.be.false;
+
+					setModelData( editor.model, '<paragraph>Foo bar</paragraph>' );
+					wordCountPlugin._refreshStats();
+
+					expect( container.classList.contains( 'ck-word-count_limit-exceeded' ) ).to.be.true;
+
+					return editor.destroy();
 				} );
 		} );
 
@@ -609,6 +1069,31 @@ describe( 'WordCount', () => {
 			expect( wordCountPlugin.characters ).to.be.equal( 18 );
 		} );
 
+		it( 'should provide statistics of each root', () => {
+			setModelData( model, '<paragraph>foo bar</paragraph>', { rootName: 'foo' } );
+			setModelData( model, '<paragraph>lorem ipsum dolor</paragraph>', { rootName: 'bar' } );
+
+			expect( wordCountPlugin.getRootStats( 'foo' ).words ).to.equal( 2 );
+			expect( wordCountPlugin.getRootStats( 'bar' ).words ).to.equal( 3 );
+		} );
+
+		it( 'should pass statistics of each root with the #update event', () => {
+			const spy = sinon.spy();
+
+			wordCountPlugin.on( 'update', spy );
+
+			setModelData( model, '<paragraph>foo bar</paragraph>', { rootName: 'foo' } );
+			setModelData( model, '<paragraph>lorem ipsum dolor</paragraph>', { rootName: 'bar' } );
+			wordCountPlugin._refreshStats();
+
+			const { roots, words } = spy.lastCall.args[ 1 ];
+
+			expect( words ).to.equal( 5 );
+			expect( Object.keys( roots ) ).to.have.members( [ 'foo', 'bar' ] );
+			expect( roots.foo.words ).to.equal( 2 );
+			expect( roots.bar.characters ).to.equal( 17 );
+		} );
+
 		it( 'should sum words of each root', () => {
 			setModelData( model, '<paragraph>foo bar</paragraph>', { rootName: 'foo' } );
 			setModelData( model, '<paragraph>lorem ipsum</paragraph>', { rootName: 'bar' } );